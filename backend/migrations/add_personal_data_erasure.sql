@@ -0,0 +1,8 @@
+-- Migration: Personal data erasure
+-- Description: Admins can erase a volunteer's or student's personal data on request. The account row
+-- is kept (anonymised) so meeting history and impact counts stay intact; erased_at marks it.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS erased_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS erased_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN users.erased_at IS 'When personal data was erased; the row only remains for aggregate meeting stats';
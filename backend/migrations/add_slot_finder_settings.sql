@@ -0,0 +1,9 @@
+-- Migration: Slot finder settings
+-- Description: Settings used by the meeting-service slot finder, which crosses volunteer_availability
+-- windows with the student's timezone, existing meetings and a school-hours block.
+
+INSERT INTO app_settings (key, value, data_type, category, description, is_public) VALUES
+    ('scheduling.slot_interval_minutes', '30', 'number', 'scheduling', 'Minutes between candidate start times offered by the slot finder', true),
+    ('scheduling.slot_finder_max_days', '14', 'number', 'scheduling', 'Maximum number of days a single slot search may cover', true),
+    ('scheduling.school_hours_block', '{"enabled": true, "days": [1, 2, 3, 4, 5], "start": "07:30", "end": "16:00"}', 'json', 'scheduling', 'Hours (in the student''s timezone) when students are in class and cannot be booked. days: 0=Sunday to 6=Saturday', true)
+ON CONFLICT (key) DO NOTHING;
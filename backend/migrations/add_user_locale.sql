@@ -0,0 +1,7 @@
+-- Migration: User locale preference
+-- Description: Language each user reads TalkTime in. The backend renders notification titles,
+-- messages and emails in this locale; the frontends use it when the browser has no saved choice.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locale VARCHAR(10) NOT NULL DEFAULT 'en';
+
+COMMENT ON COLUMN users.locale IS 'Preferred language (en, sw); see backend/src/i18n';
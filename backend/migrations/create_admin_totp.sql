@@ -0,0 +1,25 @@
+-- Migration: Admin two-factor authentication (TOTP)
+-- Description: Admins can protect their account with an authenticator app code on top of their
+-- password, plus single-use backup codes for a lost phone. Optional until
+-- security.admin_totp_enforce_from, after which admins without it must enroll at their next login.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+
+CREATE TABLE IF NOT EXISTS admin_backup_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_backup_codes_user_id ON admin_backup_codes(user_id) WHERE used_at IS NULL;
+
+COMMENT ON COLUMN users.totp_secret IS 'AES-256-GCM encrypted TOTP secret; set during enrollment, active once totp_enabled_at is set';
+COMMENT ON TABLE admin_backup_codes IS 'SHA-256 hashes of single-use admin 2FA backup codes';
+
+INSERT INTO app_settings (key, value, data_type, category, description, is_public) VALUES
+    ('security.admin_totp_enforce_from', '', 'string', 'security', 'Date (YYYY-MM-DD) from which admins must use two-factor authentication; empty keeps it optional', false)
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,76 @@
+-- Migration: Unified audit trail
+-- Description: activity_log becomes the audit trail. Application code records admin mutations and
+-- auth events with the acting user, IP and a before/after diff (changes). Meeting lifecycle changes
+-- are captured by a trigger so every writer is covered (API, call timers, sockets, meeting-service).
+-- Writers that know who is acting set talktime.actor_id / actor_role / actor_ip for their
+-- transaction (activityLogService.withAuditActor); anything else is recorded as a system change.
+
+ALTER TABLE activity_log ADD COLUMN IF NOT EXISTS changes JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_activity_log_created ON activity_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_activity_log_action_created ON activity_log(action, created_at DESC);
+
+COMMENT ON TABLE activity_log IS 'Audit trail: who did what to which entity, from where, with a before/after diff in changes';
+COMMENT ON COLUMN activity_log.changes IS '{"field": {"from": old, "to": new}} for updates; only the fields that changed';
+
+CREATE OR REPLACE FUNCTION audit_meeting_changes()
+RETURNS TRIGGER AS $$
+DECLARE
+    tracked TEXT[] := ARRAY['status', 'scheduled_time', 'volunteer_id', 'student_id', 'room_id',
+                            'is_instant', 'reschedule_count', 'cleared_by_admin', 'notes'];
+    old_row JSONB := CASE WHEN TG_OP = 'INSERT' THEN '{}'::jsonb ELSE to_jsonb(OLD) END;
+    new_row JSONB := CASE WHEN TG_OP = 'DELETE' THEN '{}'::jsonb ELSE to_jsonb(NEW) END;
+    diff JSONB := '{}'::jsonb;
+    col TEXT;
+    action_name TEXT;
+BEGIN
+    FOREACH col IN ARRAY tracked LOOP
+        IF (old_row -> col) IS DISTINCT FROM (new_row -> col) THEN
+            diff := diff || jsonb_build_object(col, jsonb_build_object('from', old_row -> col, 'to', new_row -> col));
+        END IF;
+    END LOOP;
+
+    IF TG_OP = 'INSERT' THEN
+        action_name := 'meeting_created';
+    ELSIF TG_OP = 'DELETE' THEN
+        action_name := 'meeting_deleted';
+    ELSIF diff = '{}'::jsonb THEN
+        RETURN NULL;
+    ELSIF diff ? 'status' THEN
+        action_name := 'meeting_status_changed';
+    ELSIF diff ? 'scheduled_time' THEN
+        action_name := 'meeting_rescheduled';
+    ELSE
+        action_name := 'meeting_updated';
+    END IF;
+
+    -- An audit write must never block the meeting change itself
+    BEGIN
+        INSERT INTO activity_log (user_id, user_role, action, entity_type, entity_id, details, changes, ip_address)
+        VALUES (
+            NULLIF(current_setting('talktime.actor_id', true), '')::INTEGER,
+            NULLIF(current_setting('talktime.actor_role', true), ''),
+            action_name,
+            'meeting',
+            ((CASE WHEN TG_OP = 'DELETE' THEN old_row ELSE new_row END) ->> 'id')::INTEGER,
+            jsonb_build_object(
+                'volunteerId', COALESCE(new_row -> 'volunteer_id', old_row -> 'volunteer_id'),
+                'studentId', COALESCE(new_row -> 'student_id', old_row -> 'student_id'),
+                'source', CASE WHEN current_setting('talktime.actor_id', true) IS NULL
+                                    OR current_setting('talktime.actor_id', true) = '' THEN 'system' ELSE 'user' END
+            ),
+            diff,
+            NULLIF(current_setting('talktime.actor_ip', true), '')
+        );
+    EXCEPTION WHEN OTHERS THEN
+        RAISE WARNING 'audit_meeting_changes: could not write activity_log: %', SQLERRM;
+    END;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_meeting_changes ON meetings;
+CREATE TRIGGER audit_meeting_changes
+    AFTER INSERT OR UPDATE OR DELETE ON meetings
+    FOR EACH ROW EXECUTE FUNCTION audit_meeting_changes();
@@ -0,0 +1,28 @@
+-- Migration: Call quality telemetry
+-- Description: Periodic WebRTC getStats() summaries reported by each participant's browser during a call.
+-- Lets admins tell a connectivity failure apart from a genuinely missed call.
+
+CREATE TABLE IF NOT EXISTS call_quality_samples (
+    id BIGSERIAL PRIMARY KEY,
+    meeting_id INTEGER REFERENCES meetings(id) ON DELETE CASCADE,
+    room_id VARCHAR(255) NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    role VARCHAR(20),
+    rtt_ms INTEGER,
+    packet_loss_pct NUMERIC(5, 2),
+    outbound_bitrate_kbps INTEGER,
+    inbound_bitrate_kbps INTEGER,
+    frame_width INTEGER,
+    frame_height INTEGER,
+    frames_per_second NUMERIC(5, 1),
+    relayed BOOLEAN, -- true when the selected ICE candidate pair goes through TURN
+    local_candidate_type VARCHAR(20),
+    remote_candidate_type VARCHAR(20),
+    connection_state VARCHAR(20),
+    sampled_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_quality_samples_meeting_id ON call_quality_samples(meeting_id, sampled_at);
+CREATE INDEX IF NOT EXISTS idx_call_quality_samples_room_id ON call_quality_samples(room_id);
+
+COMMENT ON TABLE call_quality_samples IS 'WebRTC connection quality samples (RTT, loss, bitrate, resolution, TURN relay) per call participant';
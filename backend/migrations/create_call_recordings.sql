@@ -0,0 +1,52 @@
+-- Migration: Server-side call recording with consent
+-- Description: Opt-in recordings stored against the meeting. A recording only starts once the
+-- volunteer and the student have both consented (plus standing parental consent for under-18
+-- volunteers). Media is uploaded in chunks during the call and purged after the retention period.
+
+-- Standing parental consent for under-18 volunteers to take part in recorded sessions
+ALTER TABLE users ADD COLUMN IF NOT EXISTS parent_recording_consent_token VARCHAR(255);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS parent_recording_consent_sent_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS parent_recording_consent_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS call_recordings (
+    id SERIAL PRIMARY KEY,
+    meeting_id INTEGER NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+    room_id VARCHAR(255) NOT NULL,
+    requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    status VARCHAR(30) NOT NULL DEFAULT 'pending_consent'
+        CHECK (status IN ('pending_consent', 'declined', 'consented', 'recording', 'completed', 'deleted')),
+    mime_type VARCHAR(100),
+    storage_path VARCHAR(500),
+    size_bytes BIGINT NOT NULL DEFAULT 0,
+    chunk_count INTEGER NOT NULL DEFAULT 0,
+    started_at TIMESTAMPTZ,
+    stopped_at TIMESTAMPTZ,
+    stop_reason VARCHAR(50),
+    retention_until TIMESTAMPTZ,
+    deleted_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS call_recording_consents (
+    id SERIAL PRIMARY KEY,
+    recording_id INTEGER NOT NULL REFERENCES call_recordings(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    consent_type VARCHAR(20) NOT NULL CHECK (consent_type IN ('participant', 'parent')),
+    granted BOOLEAN, -- NULL while waiting for an answer
+    responded_at TIMESTAMPTZ,
+    ip_address VARCHAR(45),
+    UNIQUE (recording_id, user_id, consent_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_recordings_meeting_id ON call_recordings(meeting_id);
+CREATE INDEX IF NOT EXISTS idx_call_recordings_retention ON call_recordings(retention_until) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_activity_log_entity ON activity_log(entity_type, entity_id, created_at DESC);
+
+COMMENT ON TABLE call_recordings IS 'Consented server-side call recordings, purged after recording.retention_days';
+COMMENT ON TABLE call_recording_consents IS 'Per-recording consent answers from each participant (and the parent of an under-18 volunteer)';
+
+INSERT INTO app_settings (key, value, data_type, category, description, is_public) VALUES
+    ('recording.enabled', 'true', 'boolean', 'recording', 'Allow participants to request a consented server-side recording of a call', true),
+    ('recording.retention_days', '90', 'number', 'recording', 'Days a call recording is kept before it is deleted automatically', false)
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,31 @@
+-- Migration: Email outbox
+-- Description: Emails are rendered from per-type templates (backend/src/utils/email) when they are
+-- queued and stored here with their plain-text alternative and any calendar invite. The scheduler
+-- sends what is due every minute and retries failures with backoff until they run out of attempts.
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+    id SERIAL PRIMARY KEY,
+    to_email VARCHAR(255) NOT NULL,
+    template VARCHAR(50) NOT NULL,
+    locale VARCHAR(10) NOT NULL DEFAULT 'en',
+    subject TEXT NOT NULL,
+    html TEXT NOT NULL,
+    text_body TEXT NOT NULL,
+    ical_event JSONB, -- nodemailer icalEvent ({method, filename, content}) for meeting invites
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    dedupe_key VARCHAR(100) UNIQUE, -- emails that must only go out once, e.g. certificate_ready:<volunteer id>
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP, -- next retry, or the lease on a send in progress
+    last_error TEXT,
+    provider_message_id VARCHAR(255),
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(next_attempt_at) WHERE status IN ('pending', 'sending');
+CREATE INDEX IF NOT EXISTS idx_email_outbox_created ON email_outbox(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_user ON email_outbox(user_id) WHERE user_id IS NOT NULL;
+
+COMMENT ON TABLE email_outbox IS 'Rendered emails waiting to be sent, with their delivery attempts and outcome';
@@ -0,0 +1,67 @@
+-- Migration: Conversation topic and lesson plan library
+-- Description: Admin-managed conversation prompts and lesson plans, tagged by English level and
+-- topic. A plan is suggested for each meeting when it is booked (from the student's level, goals,
+-- preferred topics and interests), shown to the volunteer during the call, and recorded as used so
+-- the next volunteer can see what the student has already covered.
+
+-- Student learning profile captured when an admin creates a student
+ALTER TABLE users ADD COLUMN IF NOT EXISTS english_level VARCHAR(50);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS learning_goals TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS preferred_topics TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS interests TEXT;
+
+CREATE TABLE IF NOT EXISTS lesson_plans (
+    id SERIAL PRIMARY KEY,
+    title VARCHAR(150) NOT NULL,
+    kind VARCHAR(20) NOT NULL DEFAULT 'lesson_plan' CHECK (kind IN ('prompt', 'lesson_plan')),
+    english_level VARCHAR(20) -- NULL suits any level
+        CHECK (english_level IN ('beginner', 'elementary', 'intermediate', 'upper_intermediate', 'advanced')),
+    topics TEXT[] NOT NULL DEFAULT '{}', -- Lowercase tags, matched against the student's topics and interests
+    summary TEXT,
+    objectives TEXT,
+    prompts TEXT[] NOT NULL DEFAULT '{}', -- Questions and activities, in order
+    vocabulary TEXT[] NOT NULL DEFAULT '{}',
+    duration_minutes INTEGER CHECK (duration_minutes BETWEEN 5 AND 120),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The plan suggested for (or picked during) a meeting, and when the volunteer marked it as used
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS lesson_plan_id INTEGER REFERENCES lesson_plans(id) ON DELETE SET NULL;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS lesson_plan_used_at TIMESTAMPTZ;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS lesson_plan_notes TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_lesson_plans_level ON lesson_plans(english_level) WHERE is_active = TRUE;
+CREATE INDEX IF NOT EXISTS idx_meetings_lesson_plan_used ON meetings(student_id, lesson_plan_used_at DESC) WHERE lesson_plan_used_at IS NOT NULL;
+
+COMMENT ON TABLE lesson_plans IS 'Conversation prompts and lesson plans volunteers can follow during a call';
+COMMENT ON COLUMN meetings.lesson_plan_used_at IS 'Set when the volunteer marks the plan as covered; drives the student''s covered-topics history';
+
+-- Starter library so suggestions work before admins add their own
+INSERT INTO lesson_plans (title, kind, english_level, topics, summary, objectives, prompts, vocabulary, duration_minutes)
+SELECT * FROM (VALUES
+    ('Getting to know each other', 'lesson_plan', 'beginner', ARRAY['family', 'introductions'],
+     'A gentle first call: names, family and daily routine.',
+     'Introduce yourself and family members in simple present sentences.',
+     ARRAY['What is your name? How old are you?', 'Who is in your family?', 'What do you do every morning?', 'What is your favourite food?'],
+     ARRAY['brother', 'sister', 'wake up', 'breakfast', 'favourite'], 30),
+    ('My school day', 'lesson_plan', 'elementary', ARRAY['school', 'daily life'],
+     'Talk through a normal school day and favourite subjects.',
+     'Describe routines with time expressions and give simple reasons.',
+     ARRAY['What time does school start?', 'Which subject do you like most, and why?', 'What do you do at break time?', 'What is hard about school?'],
+     ARRAY['subject', 'timetable', 'homework', 'because', 'usually'], 30),
+    ('Dream jobs', 'lesson_plan', 'intermediate', ARRAY['careers', 'future'],
+     'Discuss future plans and the jobs the student is curious about.',
+     'Use future forms (will, going to) and talk about skills.',
+     ARRAY['What job would you like to do one day?', 'What skills does that job need?', 'Who do you know who does an interesting job?', 'Where do you see yourself in ten years?'],
+     ARRAY['career', 'skill', 'ambition', 'training', 'going to'], 40),
+    ('Would you rather...?', 'prompt', NULL, ARRAY['fun', 'opinions'],
+     'Quick warm-up questions that work at any level.',
+     'Give an opinion and one reason.',
+     ARRAY['Would you rather live by the sea or in the mountains?', 'Would you rather be able to fly or be invisible?', 'Would you rather read a book or watch the film?'],
+     ARRAY['rather', 'prefer', 'opinion'], 10)
+) AS starter(title, kind, english_level, topics, summary, objectives, prompts, vocabulary, duration_minutes)
+WHERE NOT EXISTS (SELECT 1 FROM lesson_plans);
@@ -0,0 +1,36 @@
+-- Migration: Meeting calendar invites and volunteer ICS feeds
+-- Description: Meeting emails carry an iCalendar (RFC 5545) invite whose UID is stable per meeting.
+-- ics_sequence is the invite's SEQUENCE; a trigger bumps it whenever the meeting moves or is
+-- canceled so every writer is covered (API, waitlist, series, meeting-service) and calendar apps
+-- replace the earlier copy instead of keeping both. Volunteers can subscribe to a private feed of
+-- their upcoming meetings; the feed URL carries a random token that they can rotate.
+
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS ics_sequence INTEGER NOT NULL DEFAULT 0;
+
+CREATE OR REPLACE FUNCTION bump_meeting_ics_sequence()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.scheduled_time IS DISTINCT FROM OLD.scheduled_time
+       OR NEW.volunteer_id IS DISTINCT FROM OLD.volunteer_id
+       OR NEW.student_id IS DISTINCT FROM OLD.student_id
+       OR (NEW.status IN ('canceled', 'declined') AND NEW.status IS DISTINCT FROM OLD.status) THEN
+        NEW.ics_sequence := COALESCE(OLD.ics_sequence, 0) + 1;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS bump_meeting_ics_sequence ON meetings;
+CREATE TRIGGER bump_meeting_ics_sequence
+    BEFORE UPDATE ON meetings
+    FOR EACH ROW EXECUTE FUNCTION bump_meeting_ics_sequence();
+
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    token VARCHAR(64) NOT NULL UNIQUE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    last_accessed_at TIMESTAMPTZ
+);
+
+COMMENT ON COLUMN meetings.ics_sequence IS 'SEQUENCE of the meeting''s calendar invite; bumped by trigger when the meeting moves or is canceled';
+COMMENT ON TABLE calendar_feeds IS 'Private ICS feed tokens; anyone with the token can read the volunteer''s upcoming meetings, so rotating it revokes old URLs';
@@ -0,0 +1,30 @@
+-- Migration: Create recurring meeting series
+-- Description: A series ("every Tuesday 16:00 EAT for 6 weeks") is expanded into individual
+-- meetings rows by the meeting-service. Each occurrence keeps its own status so a single
+-- occurrence can be cancelled or rescheduled without touching the rest of the series.
+
+CREATE TABLE IF NOT EXISTS meeting_series (
+    id SERIAL PRIMARY KEY,
+    volunteer_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    day_of_week INTEGER NOT NULL CHECK (day_of_week >= 0 AND day_of_week <= 6), -- 0=Sunday, 6=Saturday
+    start_time TIME NOT NULL, -- Wall-clock time in the series timezone
+    timezone VARCHAR(100) NOT NULL DEFAULT 'Africa/Nairobi',
+    interval_weeks INTEGER NOT NULL DEFAULT 1 CHECK (interval_weeks >= 1 AND interval_weeks <= 4),
+    occurrence_count INTEGER NOT NULL CHECK (occurrence_count >= 1 AND occurrence_count <= 26),
+    start_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'canceled')),
+    canceled_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES meeting_series(id) ON DELETE SET NULL;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS series_index INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_meeting_series_volunteer_id ON meeting_series(volunteer_id);
+CREATE INDEX IF NOT EXISTS idx_meeting_series_student_id ON meeting_series(student_id);
+CREATE INDEX IF NOT EXISTS idx_meetings_series_id ON meetings(series_id) WHERE series_id IS NOT NULL;
+
+COMMENT ON TABLE meeting_series IS 'Recurring volunteer-student meeting definitions, expanded into meetings rows';
+COMMENT ON COLUMN meetings.series_index IS 'Zero-based position of this occurrence within its series';
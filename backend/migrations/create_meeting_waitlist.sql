@@ -0,0 +1,32 @@
+-- Migration: Meeting waitlist with automatic backfill
+-- Description: Volunteers queue for a student's day (in the student's timezone). When a meeting on
+-- that day is canceled or marked missed, the first eligible volunteer in the queue is offered the
+-- slot for a limited time; unanswered offers pass to the next volunteer.
+
+CREATE TABLE IF NOT EXISTS meeting_waitlist (
+    id SERIAL PRIMARY KEY,
+    student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    volunteer_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    waitlist_date DATE NOT NULL, -- Day in the student's timezone
+    status VARCHAR(20) NOT NULL DEFAULT 'waiting'
+        CHECK (status IN ('waiting', 'offered', 'accepted', 'declined', 'expired', 'left')),
+    freed_meeting_id INTEGER REFERENCES meetings(id) ON DELETE SET NULL,
+    offered_time TIMESTAMPTZ, -- NULL when the freed time has passed and the volunteer picks one
+    offered_at TIMESTAMPTZ,
+    offer_expires_at TIMESTAMPTZ,
+    responded_at TIMESTAMPTZ,
+    booked_meeting_id INTEGER REFERENCES meetings(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_meeting_waitlist_open ON meeting_waitlist(student_id, volunteer_id, waitlist_date) WHERE status IN ('waiting', 'offered');
+CREATE INDEX IF NOT EXISTS idx_meeting_waitlist_queue ON meeting_waitlist(student_id, waitlist_date, created_at) WHERE status = 'waiting';
+CREATE INDEX IF NOT EXISTS idx_meeting_waitlist_offers ON meeting_waitlist(offer_expires_at) WHERE status = 'offered';
+CREATE INDEX IF NOT EXISTS idx_meeting_waitlist_volunteer_id ON meeting_waitlist(volunteer_id);
+
+COMMENT ON TABLE meeting_waitlist IS 'Volunteers queued for a student''s day, offered the slot in order when a meeting that day is canceled or missed';
+
+INSERT INTO app_settings (key, value, data_type, category, description, is_public) VALUES
+    ('waitlist.offer_window_minutes', '30', 'number', 'meeting', 'Minutes a waitlisted volunteer has to accept a freed slot before it passes to the next volunteer', false)
+ON CONFLICT (key) DO NOTHING;
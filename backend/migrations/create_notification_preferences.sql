@@ -0,0 +1,69 @@
+-- Migration: Per-user notification preferences
+-- Description: Which channels (in-app, push, email, SMS) each kind of notification reaches a user on,
+-- quiet hours in the user's own timezone, and an optional daily email digest. Users without a row
+-- get the defaults in notificationPreferenceService; channels only stores what they changed.
+-- notification_digest_items holds the notifications waiting for a user's next digest email.
+-- Volunteers' email, browser/push and SMS choices in volunteer_settings are copied over once.
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    channels JSONB NOT NULL DEFAULT '{}', -- {"<category>": {"in_app": true, "push": false, ...}}
+    quiet_hours_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    quiet_hours_start TIME NOT NULL DEFAULT '21:00',
+    quiet_hours_end TIME NOT NULL DEFAULT '07:00',
+    digest_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    digest_hour SMALLINT NOT NULL DEFAULT 18 CHECK (digest_hour BETWEEN 0 AND 23), -- local hour the digest is sent
+    last_digest_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Carry volunteers' choices over from the volunteer_settings JSONB columns. Email and push keep
+-- their opt-outs, SMS its opt-ins; to_jsonb(s) tolerates installs where a column never existed.
+WITH legacy AS (
+    SELECT s.volunteer_id AS user_id,
+           COALESCE(to_jsonb(s) -> 'email_notifications', '{}') AS email,
+           COALESCE(to_jsonb(s) -> 'sms_notifications', '{}') AS sms,
+           COALESCE(to_jsonb(s) -> 'browser_notifications', '{}') AS browser,
+           COALESCE(to_jsonb(s) -> 'push_notifications', '{}') AS push
+    FROM volunteer_settings s
+), overrides AS (
+    SELECT user_id, jsonb_strip_nulls(jsonb_build_object(
+        'meeting_reminders', NULLIF(jsonb_strip_nulls(jsonb_build_object(
+            'email', CASE WHEN email ->> 'meeting_reminder' = 'false' OR email ->> 'meeting_reminders' = 'false' THEN false END,
+            'push', CASE WHEN browser ->> 'meeting_reminder' = 'false' OR push ->> 'meeting_reminder' = 'false' THEN false END,
+            'sms', CASE WHEN sms ->> 'meeting_reminder' = 'true' OR sms ->> 'urgent_reminder' = 'true' THEN true END
+        )), '{}'),
+        'meeting_updates', NULLIF(jsonb_strip_nulls(jsonb_build_object(
+            'email', CASE WHEN email ->> 'meeting_scheduled' = 'false' OR email ->> 'meeting_rescheduled' = 'false'
+                               OR email ->> 'meeting_cancelled' = 'false' OR email ->> 'meeting_notifications' = 'false' THEN false END,
+            'push', CASE WHEN browser ->> 'meeting_scheduled' = 'false' OR push ->> 'meeting_reminder' = 'false' THEN false END,
+            'sms', CASE WHEN sms ->> 'urgent_changes' = 'true' OR sms ->> 'meeting_changes' = 'true' THEN true END
+        )), '{}'),
+        'calls', NULLIF(jsonb_strip_nulls(jsonb_build_object(
+            'push', CASE WHEN browser ->> 'instant_calls' = 'false' OR push ->> 'instant_calls' = 'false'
+                              OR push ->> 'new_meeting_requests' = 'false' THEN false END
+        )), '{}'),
+        'account', NULLIF(jsonb_strip_nulls(jsonb_build_object(
+            'email', CASE WHEN email ->> 'system_notifications' = 'false' THEN false END,
+            'push', CASE WHEN push ->> 'system_alerts' = 'false' THEN false END,
+            'sms', CASE WHEN sms ->> 'system_alerts' = 'true' THEN true END
+        )), '{}')
+    )) AS channels
+    FROM legacy
+)
+INSERT INTO notification_preferences (user_id, channels)
+SELECT user_id, channels FROM overrides
+WHERE channels <> '{}'
+ON CONFLICT (user_id) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS notification_digest_items (
+    notification_id INTEGER PRIMARY KEY REFERENCES notifications(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_digest_items_user ON notification_digest_items(user_id, created_at);
+
+COMMENT ON TABLE notification_preferences IS 'Notification channels per category, quiet hours and daily digest settings for each user';
+COMMENT ON TABLE notification_digest_items IS 'Notifications whose email is held for the recipient''s next daily digest';
@@ -0,0 +1,25 @@
+-- Migration: Refresh-token rotation
+-- Description: Every refresh token issued at login is recorded with the "family" (login session)
+-- it belongs to. Each /refresh marks the presented token as used and issues its successor in the
+-- same family; presenting an already-used token again means it was copied, so the whole family is
+-- revoked. Access-token revocation itself lives in Redis (see tokenRevocationService).
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    jti VARCHAR(64) NOT NULL UNIQUE,
+    family_id VARCHAR(64) NOT NULL,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    replaced_by VARCHAR(64),
+    revoked_at TIMESTAMPTZ,
+    revoke_reason VARCHAR(50),
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id) WHERE revoked_at IS NULL;
+
+COMMENT ON TABLE refresh_tokens IS 'Issued refresh tokens, rotated on every refresh; reuse of a used token revokes its family';
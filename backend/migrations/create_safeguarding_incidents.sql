@@ -0,0 +1,61 @@
+-- Migration: Safeguarding incident reporting
+-- Description: Lets a student or volunteer report a concern about the other participant during or
+-- after a session. Each incident is linked to the meeting, both participants and a snapshot of
+-- their chat messages, and is worked through an admin case queue with notes and a resolution.
+
+-- Admin-imposed block on a volunteer scheduling new meetings while a concern is investigated
+ALTER TABLE users ADD COLUMN IF NOT EXISTS scheduling_suspended_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS scheduling_suspension_reason VARCHAR(255);
+
+CREATE TABLE IF NOT EXISTS safeguarding_incidents (
+    id SERIAL PRIMARY KEY,
+    meeting_id INTEGER REFERENCES meetings(id) ON DELETE SET NULL,
+    room_id VARCHAR(255),
+    reported_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reporter_role VARCHAR(20) NOT NULL,
+    reported_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    category VARCHAR(40) NOT NULL
+        CHECK (category IN ('inappropriate_language', 'inappropriate_content', 'harassment', 'personal_information', 'contact_outside_platform', 'other')),
+    description TEXT NOT NULL,
+    during_call BOOLEAN NOT NULL DEFAULT FALSE,
+    status VARCHAR(20) NOT NULL DEFAULT 'open'
+        CHECK (status IN ('open', 'investigating', 'escalated', 'resolved', 'dismissed')),
+    assigned_to INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    resolution TEXT,
+    resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Copies of the chat messages at the time of the report, so evidence survives later edits/deletes
+CREATE TABLE IF NOT EXISTS safeguarding_incident_messages (
+    id SERIAL PRIMARY KEY,
+    incident_id INTEGER NOT NULL REFERENCES safeguarding_incidents(id) ON DELETE CASCADE,
+    message_id INTEGER REFERENCES messages(id) ON DELETE SET NULL,
+    sender_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    recipient_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    content TEXT NOT NULL,
+    sent_at TIMESTAMPTZ,
+    UNIQUE (incident_id, message_id)
+);
+
+CREATE TABLE IF NOT EXISTS safeguarding_incident_notes (
+    id SERIAL PRIMARY KEY,
+    incident_id INTEGER NOT NULL REFERENCES safeguarding_incidents(id) ON DELETE CASCADE,
+    author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    note TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_safeguarding_incidents_status ON safeguarding_incidents(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_safeguarding_incidents_reported_user ON safeguarding_incidents(reported_user_id);
+CREATE INDEX IF NOT EXISTS idx_safeguarding_incidents_meeting_id ON safeguarding_incidents(meeting_id);
+CREATE INDEX IF NOT EXISTS idx_safeguarding_incident_notes_incident ON safeguarding_incident_notes(incident_id, created_at);
+
+COMMENT ON TABLE safeguarding_incidents IS 'Concerns raised by students/volunteers about another participant, worked as admin cases';
+COMMENT ON COLUMN users.scheduling_suspended_at IS 'Set while a volunteer is barred from scheduling pending a safeguarding review';
+
+INSERT INTO app_settings (key, value, data_type, category, description, is_public) VALUES
+    ('safeguarding.auto_suspend_on_student_report', 'false', 'boolean', 'safeguarding', 'Suspend a volunteer''s scheduling as soon as a student reports a concern about them, pending admin review', false)
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,27 @@
+-- Migration: Post-session feedback
+-- Description: Short structured survey both participants fill in when a call ends. Students rate
+-- the volunteer on a 1-5 (emoji) scale; volunteers rate the student's engagement and estimate
+-- their English level. Student ratings feed the volunteer reputation score and admin analytics.
+
+CREATE TABLE IF NOT EXISTS session_feedback (
+    id SERIAL PRIMARY KEY,
+    meeting_id INTEGER NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+    reviewer_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reviewer_role VARCHAR(20) NOT NULL CHECK (reviewer_role IN ('volunteer', 'student')),
+    subject_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    rating SMALLINT CHECK (rating BETWEEN 1 AND 5),
+    engagement SMALLINT CHECK (engagement BETWEEN 1 AND 5),
+    english_level VARCHAR(20)
+        CHECK (english_level IN ('beginner', 'elementary', 'intermediate', 'upper_intermediate', 'advanced')),
+    comment TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (meeting_id, reviewer_id),
+    CHECK (
+        (reviewer_role = 'student' AND rating IS NOT NULL) OR
+        (reviewer_role = 'volunteer' AND engagement IS NOT NULL AND english_level IS NOT NULL)
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_feedback_subject ON session_feedback(subject_id, reviewer_role, created_at DESC);
+
+COMMENT ON TABLE session_feedback IS 'Post-call survey answers; one row per participant per meeting';
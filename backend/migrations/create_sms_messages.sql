@@ -0,0 +1,51 @@
+-- Migration: SMS delivery log and SMS-only contacts
+-- Description: Every SMS goes through one transport (Twilio, Africa's Talking or a local stub, picked
+-- by SMS_PROVIDER) and is logged in sms_messages; the provider's delivery receipts update its status.
+-- sms_contacts are people without a TalkTime account or smartphone - a student's parent, or a school
+-- coordinator for one class or the whole school - who get meeting reminders by SMS.
+
+CREATE TABLE IF NOT EXISTS sms_contacts (
+    id SERIAL PRIMARY KEY,
+    contact_type VARCHAR(20) NOT NULL CHECK (contact_type IN ('parent', 'school_coordinator')),
+    student_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    school_grade VARCHAR(20), -- coordinators only; NULL covers every class
+    full_name VARCHAR(100) NOT NULL,
+    phone VARCHAR(30) NOT NULL,
+    locale VARCHAR(10) NOT NULL DEFAULT 'en',
+    meeting_reminders BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    -- A parent belongs to one student; a coordinator to a class, not a student
+    CONSTRAINT sms_contacts_target CHECK (
+        (contact_type = 'parent' AND student_id IS NOT NULL AND school_grade IS NULL)
+        OR (contact_type = 'school_coordinator' AND student_id IS NULL)
+    )
+);
+
+CREATE TABLE IF NOT EXISTS sms_messages (
+    id SERIAL PRIMARY KEY,
+    provider VARCHAR(20) NOT NULL,
+    provider_message_id VARCHAR(100),
+    to_phone VARCHAR(30) NOT NULL,
+    body TEXT NOT NULL,
+    purpose VARCHAR(50) NOT NULL DEFAULT 'notification',
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    contact_id INTEGER REFERENCES sms_contacts(id) ON DELETE SET NULL,
+    meeting_id INTEGER REFERENCES meetings(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sent', 'delivered', 'failed')),
+    error TEXT,
+    cost VARCHAR(30),
+    sent_at TIMESTAMPTZ,
+    delivered_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sms_contacts_student ON sms_contacts(student_id) WHERE student_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_sms_messages_provider_id ON sms_messages(provider, provider_message_id);
+CREATE INDEX IF NOT EXISTS idx_sms_messages_created ON sms_messages(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sms_messages_meeting ON sms_messages(meeting_id, contact_id) WHERE meeting_id IS NOT NULL;
+
+COMMENT ON TABLE sms_contacts IS 'Parents and school coordinators who get meeting reminders by SMS instead of through an account';
+COMMENT ON TABLE sms_messages IS 'Every SMS sent, with the status from the provider''s delivery receipts';
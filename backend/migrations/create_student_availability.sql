@@ -0,0 +1,49 @@
+-- Migration: Student availability and school calendar
+-- Description: Admin-managed weekly availability for students (per student or per class, keyed on
+-- users.school_grade) plus term dates, holidays and exam periods. Both the backend and the
+-- meeting-service refuse to book a student outside these windows.
+--
+-- Resolution rules:
+--   * A student's own windows take precedence over their class windows
+--   * No windows at all means the student can be booked at any time (legacy behaviour)
+--   * Holidays and exams block the whole day; if any term applies to the student, the day must fall inside a term
+
+CREATE TABLE IF NOT EXISTS student_availability (
+    id SERIAL PRIMARY KEY,
+    student_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    school_grade VARCHAR(20),
+    day_of_week INTEGER NOT NULL CHECK (day_of_week >= 0 AND day_of_week <= 6), -- 0=Sunday, 6=Saturday
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    timezone VARCHAR(100) NOT NULL DEFAULT 'Africa/Nairobi',
+    is_active BOOLEAN DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT student_availability_valid_window CHECK (end_time > start_time),
+    -- Each window belongs to exactly one student or one class
+    CONSTRAINT student_availability_single_target CHECK ((student_id IS NULL) <> (school_grade IS NULL))
+);
+
+CREATE TABLE IF NOT EXISTS school_calendar (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(150) NOT NULL,
+    event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('term', 'holiday', 'exam')),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    school_grade VARCHAR(20), -- NULL applies to every class
+    notes TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT school_calendar_valid_range CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_student_availability_student_id ON student_availability(student_id) WHERE student_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_student_availability_grade ON student_availability(school_grade) WHERE school_grade IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_school_calendar_dates ON school_calendar(start_date, end_date);
+
+COMMENT ON TABLE student_availability IS 'Weekly windows when a student (or a whole class) can be booked';
+COMMENT ON TABLE school_calendar IS 'Term dates, holidays and exam periods that restrict student bookings';
@@ -0,0 +1,34 @@
+-- Migration: Student login cards
+-- Description: Students sign in on shared school laptops with a printed QR login card plus a short
+-- PIN instead of their (effectively public) name and admission number. Admins issue, rotate and
+-- revoke cards; repeated wrong PINs lock the student's card login for a while.
+
+CREATE TABLE IF NOT EXISTS student_login_cards (
+    id SERIAL PRIMARY KEY,
+    student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    card_code VARCHAR(32) NOT NULL UNIQUE,
+    pin_hash VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'replaced', 'revoked')),
+    issued_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    issued_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMPTZ,
+    revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    revoked_at TIMESTAMPTZ,
+    revoke_reason VARCHAR(255)
+);
+
+-- A student has at most one card that works
+CREATE UNIQUE INDEX IF NOT EXISTS idx_student_login_cards_active ON student_login_cards(student_id) WHERE status = 'active';
+
+-- Per-student lockout after repeated wrong PINs
+ALTER TABLE users ADD COLUMN IF NOT EXISTS login_failed_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS login_locked_until TIMESTAMPTZ;
+
+COMMENT ON TABLE student_login_cards IS 'Printed QR login cards for students; the PIN is only shown to the admin when the card is issued';
+
+INSERT INTO app_settings (key, value, data_type, category, description, is_public) VALUES
+    ('student_login.max_failed_attempts', '5', 'number', 'student_login', 'Wrong PINs in a row before a student''s card login is locked', false),
+    ('student_login.lockout_minutes', '15', 'number', 'student_login', 'How long a student''s card login stays locked after too many wrong PINs', false),
+    ('student_login.require_card', 'false', 'boolean', 'student_login', 'Turn off the name + admission number login so students must use their login card and PIN', true)
+ON CONFLICT (key) DO NOTHING;
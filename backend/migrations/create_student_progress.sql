@@ -0,0 +1,52 @@
+-- Migration: Student progress tracking
+-- Description: A longitudinal record of each student's English across sessions. Volunteers rate
+-- individual skills on a CEFR-style scale (A1-C2) in the post-call survey and their session notes
+-- are saved to meetings.notes. After each assessed session the student's current levels are
+-- recalculated into student_progress, and goals with a target level are marked as achieved.
+
+CREATE TABLE IF NOT EXISTS student_skill_assessments (
+    id SERIAL PRIMARY KEY,
+    meeting_id INTEGER NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+    student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    assessed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    skill VARCHAR(20) NOT NULL
+        CHECK (skill IN ('speaking', 'listening', 'vocabulary', 'grammar', 'pronunciation')),
+    level VARCHAR(2) NOT NULL CHECK (level IN ('A1', 'A2', 'B1', 'B2', 'C1', 'C2')),
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (meeting_id, skill)
+);
+
+-- Current levels, recalculated from recent assessments after each session
+CREATE TABLE IF NOT EXISTS student_progress (
+    student_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    overall_level VARCHAR(2),
+    speaking_level VARCHAR(2),
+    listening_level VARCHAR(2),
+    vocabulary_level VARCHAR(2),
+    grammar_level VARCHAR(2),
+    pronunciation_level VARCHAR(2),
+    sessions_assessed INTEGER NOT NULL DEFAULT 0,
+    last_assessed_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS student_goals (
+    id SERIAL PRIMARY KEY,
+    student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title VARCHAR(200) NOT NULL,
+    skill VARCHAR(20) -- NULL with a target level means the overall level
+        CHECK (skill IN ('speaking', 'listening', 'vocabulary', 'grammar', 'pronunciation')),
+    target_level VARCHAR(2) CHECK (target_level IN ('A1', 'A2', 'B1', 'B2', 'C1', 'C2')),
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'achieved', 'dropped')),
+    achieved_at TIMESTAMPTZ,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_student_skill_assessments_student ON student_skill_assessments(student_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_student_goals_student ON student_goals(student_id, status);
+
+COMMENT ON TABLE student_skill_assessments IS 'Per-skill CEFR levels a volunteer gave a student in the post-call survey';
+COMMENT ON TABLE student_progress IS 'Each student''s current CEFR levels, recalculated after every assessed session';
+COMMENT ON COLUMN meetings.notes IS 'The volunteer''s session notes from the post-call survey, shown in the student''s progress record';
@@ -4,6 +4,23 @@ import pool from '../../../config/database.js';
 import configService from '../../../services/configService.js';
 import { capitalizeName } from '../../../utils/nameUtils.js';
 import { generateAccessToken } from '../../../utils/jwt.js';
+import { revokeUserTokens } from '../../../services/tokenRevocationService.js';
+import {
+    admissionNumberExists,
+    insertStudent,
+    parseGallery,
+    importRoster,
+    exportRoster
+} from '../../../services/studentRosterService.js';
+import {
+    logActivity,
+    diffChanges,
+    getAuditActor,
+    withAuditActor,
+    getRequestIp
+} from '../../../services/activityLogService.js';
+import { ENGLISH_LEVELS } from '../../../services/sessionFeedbackService.js';
+import { normalizeEnglishLevel } from '../../../services/lessonPlanService.js';
 
 dotenv.config();
 
@@ -21,6 +38,72 @@ try {
     console.error('Error parsing ADMIN_SECRET_CODES from environment:', error);
 }
 
+// Student profile fields compared for the audit trail
+const STUDENT_AUDIT_FIELDS = [
+    'fullName', 'admissionNumber', 'age', 'gender', 'bio', 'story', 'profilePictureUrl', 'gallery', 'isAvailable',
+    'englishLevel', 'learningGoals', 'preferredTopics', 'interests'
+];
+
+// Student profile, with the learning profile kept on the student's user account
+const STUDENT_PROFILE_QUERY = `
+    SELECT
+        s.id,
+        s.full_name as "fullName",
+        s.admission_number as "admissionNumber",
+        s.age,
+        s.gender,
+        s.bio,
+        s.story,
+        s.photo_url as "profilePictureUrl",
+        s.gallery,
+        s.is_available as "isAvailable",
+        s.created_at as "createdAt",
+        u.english_level as "englishLevel",
+        u.learning_goals as "learningGoals",
+        u.preferred_topics as "preferredTopics",
+        u.interests
+    FROM students s
+    LEFT JOIN users u ON u.id = s.user_id
+    WHERE s.id = $1
+`;
+
+/**
+ * Validate the English level sent with a student form
+ * @returns {{englishLevel: string|null, error: string|null}} Level as one of ENGLISH_LEVELS
+ */
+const parseStudentEnglishLevel = (value) => {
+    if (value === undefined || value === null || value === '') return { englishLevel: null, error: null };
+    const englishLevel = normalizeEnglishLevel(value);
+    return englishLevel
+        ? { englishLevel, error: null }
+        : { englishLevel: null, error: `English level must be one of: ${ENGLISH_LEVELS.join(', ')}` };
+};
+
+// Free-text learning profile fields in student forms, and their users columns
+const STUDENT_LEARNING_TEXT_FIELDS = {
+    learningGoals: 'learning_goals',
+    preferredTopics: 'preferred_topics',
+    interests: 'interests'
+};
+
+/**
+ * Validate the learning profile text sent with a student form
+ * Fields that weren't sent are left out; blank text clears a field.
+ * @returns {{values: Object<string, string|null>, error: string|null}} Trimmed text by users column
+ */
+const parseStudentLearningText = (body) => {
+    const values = {};
+    for (const [field, column] of Object.entries(STUDENT_LEARNING_TEXT_FIELDS)) {
+        const value = body[field];
+        if (value === undefined) continue;
+        if (value !== null && typeof value !== 'string') {
+            return { values: {}, error: `${field} must be text` };
+        }
+        values[column] = value?.trim() || null;
+    }
+    return { values, error: null };
+};
+
 /**
  * Admin signup controller
  * Handles admin registration with secret code verification
@@ -263,15 +346,23 @@ export const resetStudentMeetings = async (req, res) => {
                 AND (scheduled_time < $2 OR status = 'canceled')
                 RETURNING id
             `;
-            result = await pool.query(query, [Number(id), now]);
+            result = await withAuditActor(getAuditActor(req), client => client.query(query, [Number(id), now]));
             
             console.log(`Deleted ${result.rows.length} past or cancelled meetings for student ${id}`);
         } else if (action === 'delete_all_meetings') {
             query = 'DELETE FROM meetings WHERE student_id = $1 RETURNING id';
-            result = await pool.query(query, [Number(id)]);
+            result = await withAuditActor(getAuditActor(req), client => client.query(query, [Number(id)]));
             
             console.log(`Deleted all ${result.rows.length} meetings for student ${id}`);
         }
+
+        await logActivity({
+            ...getAuditActor(req),
+            action: 'student_meetings_reset',
+            entityType: 'student',
+            entityId: Number(id),
+            details: { resetAction: action, deletedCount: result.rows.length }
+        });
         
         res.json({
             success: true,
@@ -365,19 +456,24 @@ export const getAllStudents = async (req, res) => {
     try {
         const query = `
             SELECT
-                id,
-                full_name as "fullName",
-                admission_number as "admissionNumber",
-                age,
-                gender,
-                bio,
-                story,
-                photo_url as "profilePictureUrl",
-                gallery,
-                is_available as "isAvailable",
-                created_at as "createdAt"
-            FROM students
-            ORDER BY created_at DESC
+                s.id,
+                s.full_name as "fullName",
+                s.admission_number as "admissionNumber",
+                s.age,
+                s.gender,
+                s.bio,
+                s.story,
+                s.photo_url as "profilePictureUrl",
+                s.gallery,
+                s.is_available as "isAvailable",
+                s.created_at as "createdAt",
+                s.user_id as "userId",
+                (c.id IS NOT NULL) as "hasLoginCard",
+                COALESCE(u.login_locked_until > NOW(), FALSE) as "loginLocked"
+            FROM students s
+            LEFT JOIN users u ON s.user_id = u.id
+            LEFT JOIN student_login_cards c ON c.student_id = s.user_id AND c.status = 'active'
+            ORDER BY s.created_at DESC
         `;
 
         const result = await pool.query(query);
@@ -417,9 +513,7 @@ export const createStudent = async (req, res) => {
             gallery,
             location,
             interests,
-            englishLevel,
-            learningGoals,
-            preferredTopics
+            englishLevel
         } = req.body;
 
         // Validate required fields
@@ -432,121 +526,49 @@ export const createStudent = async (req, res) => {
         // Capitalize the name properly
         const fullName = capitalizeName(`${firstName} ${lastName}`);
 
-        // Check if admission number already exists in users table
-        const existingUser = await pool.query(
-            'SELECT id FROM users WHERE LOWER(username) LIKE LOWER($1) AND role = $2',
-            [`${admissionNumber}%`, 'student']
-        );
-
-        if (existingUser.rows.length > 0) {
-            return res.status(400).json({
-                error: 'A student with this admission number already exists'
-            });
+        const level = parseStudentEnglishLevel(englishLevel);
+        if (level.error) {
+            return res.status(400).json({ error: level.error });
         }
 
-        // Also check students table
-        const existingStudent = await pool.query(
-            'SELECT id FROM students WHERE LOWER(admission_number) LIKE LOWER($1)',
-            [`${admissionNumber}%`]
-        );
+        const learningText = parseStudentLearningText(req.body);
+        if (learningText.error) {
+            return res.status(400).json({ error: learningText.error });
+        }
 
-        if (existingStudent.rows.length > 0) {
+        if (await admissionNumberExists(admissionNumber)) {
             return res.status(400).json({
                 error: 'A student with this admission number already exists'
             });
         }
 
-        // Process gallery URLs - handle both string and array formats
-        let galleryImages = [];
-        if (gallery || galleryUrls) {
-            const galleryData = gallery || galleryUrls;
-            if (typeof galleryData === 'string') {
-                // Split by newlines and filter out empty lines
-                galleryImages = galleryData.split('\n').map(url => url.trim()).filter(Boolean);
-            } else if (Array.isArray(galleryData)) {
-                galleryImages = galleryData.filter(Boolean);
-            }
-        }
-
-        // Generate username from admission number
-        const username = `${admissionNumber}-${fullName.toLowerCase().replace(/\s+/g, '-')}`;
-        const email = `${fullName.toLowerCase().replace(/\s+/g, '.')}@talktime.local`;
-
-        // Step 1: Create user account in users table (required for login)
-        const userQuery = `
-            INSERT INTO users (
-                username,
-                full_name,
-                email,
-                password_hash,
-                role,
-                age,
-                gender,
-                is_approved,
-                created_at,
-                updated_at
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
-            RETURNING id
-        `;
-
-        const userResult = await pool.query(userQuery, [
-            username,                    // $1 - username (ADM0001-john-doe)
-            fullName,                    // $2 - full_name
-            email,                       // $3 - email (placeholder)
-            'student-no-password',       // $4 - password_hash (students login by name, not password)
-            'student',                   // $5 - role
-            age || null,                 // $6 - age
-            gender || null,              // $7 - gender
-            true                         // $8 - is_approved
-        ]);
-
-        const userId = userResult.rows[0].id;
-
-        // Step 2: Create student profile in students table
-        const studentQuery = `
-            INSERT INTO students (
-                full_name,
-                admission_number,
-                age,
-                gender,
-                bio,
-                story,
-                photo_url,
-                gallery,
-                is_available,
-                user_id
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-            RETURNING
-                id,
-                full_name as "fullName",
-                admission_number as "admissionNumber",
-                age,
-                gender,
-                photo_url as "profilePictureUrl",
-                bio,
-                story,
-                gallery,
-                is_available as "isAvailable",
-                created_at as "createdAt",
-                user_id as "userId"
-        `;
+        const student = await insertStudent({
+            fullName,
+            admissionNumber,
+            age,
+            gender,
+            bio,
+            story: story || studentStory,
+            photoUrl: profilePictureUrl || photoUrl,
+            gallery: parseGallery(gallery || galleryUrls),
+            englishLevel: level.englishLevel,
+            learningGoals: learningText.values.learning_goals ?? null,
+            preferredTopics: learningText.values.preferred_topics ?? null,
+            interests: learningText.values.interests ?? null
+        });
 
-        const result = await pool.query(studentQuery, [
-            fullName,                                           // $1
-            username,                                           // $2 - admission_number (same as username)
-            age || null,                                       // $3
-            gender || null,                                    // $4
-            bio || null,                                       // $5
-            story || studentStory || null,                     // $6
-            profilePictureUrl || photoUrl || null,            // $7 - photo_url
-            galleryImages.length > 0 ? galleryImages : null,  // $8 - gallery array
-            true,                                              // $9 - is_available
-            userId                                             // $10 - user_id (link to users table)
-        ]);
+        await logActivity({
+            ...getAuditActor(req),
+            action: 'student_created',
+            entityType: 'student',
+            entityId: student.id,
+            details: { userId: student.userId, admissionNumber: student.admissionNumber },
+            changes: diffChanges(null, student, STUDENT_AUDIT_FIELDS)
+        });
 
         res.status(201).json({
             success: true,
-            student: result.rows[0],
+            student,
             message: 'Student created successfully'
         });
 
@@ -559,6 +581,67 @@ export const createStudent = async (req, res) => {
     }
 };
 
+/**
+ * Bulk import students from a CSV or XLSX file (multipart field "file")
+ * ?dryRun=false commits; anything else validates and returns a per-row preview only.
+ */
+export const importStudents = async (req, res) => {
+    try {
+        const dryRun = req.query.dryRun !== 'false';
+        const result = await importRoster({ file: req.file, dryRun, actor: getAuditActor(req) });
+
+        res.status(dryRun ? 200 : 201).json({
+            success: true,
+            ...result,
+            message: dryRun
+                ? `${result.validRows} of ${result.totalRows} rows are ready to import`
+                : `${result.created} students imported successfully`
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                error: error.message,
+                code: error.code,
+                ...(error.preview && { dryRun: false, ...error.preview })
+            });
+        }
+        console.error('Error importing students:', error);
+        res.status(500).json({
+            error: 'Failed to import students',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Export the full student roster
+ * ?format=xlsx for Excel, CSV otherwise
+ */
+export const exportStudents = async (req, res) => {
+    try {
+        const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+        const { body, contentType, extension } = await exportRoster(format);
+
+        await logActivity({
+            ...getAuditActor(req),
+            action: 'students_exported',
+            entityType: 'student',
+            details: { format }
+        });
+
+        const date = new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="talktime-students-${date}.${extension}"`);
+        res.send(body);
+    } catch (error) {
+        console.error('Error exporting students:', error);
+        res.status(500).json({
+            error: 'Failed to export students',
+            details: error.message
+        });
+    }
+};
+
 /**
  * Get a single student by ID
  */
@@ -571,25 +654,7 @@ export const getStudent = async (req, res) => {
             return res.status(400).json({ error: 'Valid student ID is required' });
         }
 
-        // Get student from students table
-        const query = `
-            SELECT
-                id,
-                full_name as "fullName",
-                admission_number as "admissionNumber",
-                age,
-                gender,
-                bio,
-                story,
-                photo_url as "profilePictureUrl",
-                gallery,
-                is_available as "isAvailable",
-                created_at as "createdAt"
-            FROM students
-            WHERE id = $1
-        `;
-
-        const result = await pool.query(query, [Number(id)]);
+        const result = await pool.query(STUDENT_PROFILE_QUERY, [Number(id)]);
 
         if (result.rows.length === 0) {
             return res.status(404).json({ error: 'Student not found' });
@@ -637,9 +702,7 @@ export const updateStudent = async (req, res) => {
             gallery,
             location,
             interests,
-            englishLevel,
-            learningGoals,
-            preferredTopics
+            englishLevel
         } = req.body;
         
         // Validate student ID
@@ -647,11 +710,8 @@ export const updateStudent = async (req, res) => {
             return res.status(400).json({ error: 'Valid student ID is required' });
         }
         
-        // Check if student exists
-        const existingStudent = await pool.query(
-            'SELECT id FROM students WHERE id = $1',
-            [Number(id)]
-        );
+        // Check if student exists (the row doubles as the "before" for the audit diff)
+        const existingStudent = await pool.query(STUDENT_PROFILE_QUERY, [Number(id)]);
         
         if (existingStudent.rows.length === 0) {
             return res.status(404).json({ error: 'Student not found' });
@@ -726,31 +786,55 @@ export const updateStudent = async (req, res) => {
             paramCount++;
         }
         
-        if (updates.length === 0) {
+        // The learning profile lives on the student's user account
+        const learningUpdates = {};
+        if (englishLevel !== undefined) {
+            const level = parseStudentEnglishLevel(englishLevel);
+            if (level.error) {
+                return res.status(400).json({ error: level.error });
+            }
+            learningUpdates.english_level = level.englishLevel;
+        }
+        const learningText = parseStudentLearningText(req.body);
+        if (learningText.error) {
+            return res.status(400).json({ error: learningText.error });
+        }
+        Object.assign(learningUpdates, learningText.values);
+        const learningColumns = Object.keys(learningUpdates);
+
+        if (updates.length === 0 && learningColumns.length === 0) {
             return res.status(400).json({ error: 'No valid fields to update' });
         }
         
-        values.push(Number(id));
-        
-        const query = `
-            UPDATE students
-            SET ${updates.join(', ')}
-            WHERE id = $${paramCount}
-            RETURNING
-                id,
-                full_name as "fullName",
-                admission_number as "admissionNumber",
-                age,
-                gender,
-                bio,
-                story,
-                photo_url as "profilePictureUrl",
-                gallery,
-                is_available as "isAvailable",
-                created_at as "createdAt"
-        `;
-        
-        const result = await pool.query(query, values);
+        // The students row and the user account are saved together or not at all
+        await withAuditActor(getAuditActor(req), async (client) => {
+            if (updates.length > 0) {
+                values.push(Number(id));
+                await client.query(`
+                    UPDATE students
+                    SET ${updates.join(', ')}
+                    WHERE id = $${paramCount}
+                `, values);
+            }
+
+            if (learningColumns.length > 0) {
+                await client.query(`
+                    UPDATE users
+                    SET ${learningColumns.map((column, index) => `${column} = $${index + 2}`).join(', ')}, updated_at = NOW()
+                    WHERE id = (SELECT user_id FROM students WHERE id = $1)
+                `, [Number(id), ...learningColumns.map(column => learningUpdates[column])]);
+            }
+        });
+
+        const result = await pool.query(STUDENT_PROFILE_QUERY, [Number(id)]);
+
+        await logActivity({
+            ...getAuditActor(req),
+            action: 'student_updated',
+            entityType: 'student',
+            entityId: Number(id),
+            changes: diffChanges(existingStudent.rows[0], result.rows[0], STUDENT_AUDIT_FIELDS)
+        });
         
         res.json({
             success: true,
@@ -781,7 +865,9 @@ export const deleteStudent = async (req, res) => {
         
         // Check if student exists
         const existingStudent = await pool.query(
-            'SELECT id, full_name FROM students WHERE id = $1',
+            `SELECT id, full_name, full_name as "fullName", admission_number as "admissionNumber", age, gender,
+                    bio, story, photo_url as "profilePictureUrl", gallery, is_available as "isAvailable"
+             FROM students WHERE id = $1`,
             [Number(id)]
         );
 
@@ -794,6 +880,14 @@ export const deleteStudent = async (req, res) => {
             'DELETE FROM students WHERE id = $1',
             [Number(id)]
         );
+
+        await logActivity({
+            ...getAuditActor(req),
+            action: 'student_deleted',
+            entityType: 'student',
+            entityId: Number(id),
+            changes: diffChanges(existingStudent.rows[0], null, STUDENT_AUDIT_FIELDS)
+        });
         
         res.json({
             success: true,
@@ -832,6 +926,13 @@ export const deleteAllStudents = async (req, res) => {
         // Delete all students
         await pool.query('DELETE FROM students');
 
+        await logActivity({
+            ...getAuditActor(req),
+            action: 'students_deleted_all',
+            entityType: 'student',
+            details: { deletedCount: studentCount }
+        });
+
         res.json({
             success: true,
             message: `Successfully deleted ${studentCount} students`,
@@ -1063,10 +1164,11 @@ export const clearVolunteerRecord = async (req, res) => {
         }
 
         let result;
+        const actor = getAuditActor(req);
 
         if (meetingIds && Array.isArray(meetingIds) && meetingIds.length > 0) {
             // Clear specific meetings
-            result = await pool.query(`
+            result = await withAuditActor(actor, client => client.query(`
                 UPDATE meetings
                 SET cleared_by_admin = TRUE, cleared_by_admin_at = NOW()
                 WHERE id = ANY($1::int[])
@@ -1074,10 +1176,10 @@ export const clearVolunteerRecord = async (req, res) => {
                 AND status IN ('canceled', 'cancelled', 'missed')
                 AND (cleared_by_admin IS NULL OR cleared_by_admin = FALSE)
                 RETURNING id
-            `, [meetingIds, Number(id)]);
+            `, [meetingIds, Number(id)]));
         } else {
             // Clear all bad meetings for this volunteer
-            result = await pool.query(`
+            result = await withAuditActor(actor, client => client.query(`
                 UPDATE meetings
                 SET cleared_by_admin = TRUE, cleared_by_admin_at = NOW()
                 WHERE volunteer_id = $1
@@ -1085,9 +1187,20 @@ export const clearVolunteerRecord = async (req, res) => {
                 AND (cleared_by_admin IS NULL OR cleared_by_admin = FALSE)
                 AND scheduled_time < NOW()
                 RETURNING id
-            `, [Number(id)]);
+            `, [Number(id)]));
         }
 
+        await logActivity({
+            ...actor,
+            action: 'volunteer_record_cleared',
+            entityType: 'volunteer',
+            entityId: Number(id),
+            details: {
+                clearedCount: result.rows.length,
+                meetingIds: result.rows.map(row => row.id)
+            }
+        });
+
         res.json({
             success: true,
             message: `Cleared ${result.rows.length} meetings for ${volunteerResult.rows[0].full_name}`,
@@ -1313,11 +1426,12 @@ export const deleteVolunteer = async (req, res) => {
         // Manually clean up all FK references (live DB lacks ON DELETE CASCADE on some tables)
         const vid = Number(id);
 
-        // Null out rescheduled_by references from any meeting
-        await pool.query('UPDATE meetings SET rescheduled_by = NULL WHERE rescheduled_by = $1', [vid]);
-
-        // Delete meetings where this volunteer is volunteer_id or student_id
-        await pool.query('DELETE FROM meetings WHERE volunteer_id = $1 OR student_id = $1', [vid]);
+        // Null out rescheduled_by references from any meeting, then delete meetings where this
+        // volunteer is volunteer_id or student_id (tagged so the meeting audit trigger records who)
+        await withAuditActor(getAuditActor(req), async (client) => {
+            await client.query('UPDATE meetings SET rescheduled_by = NULL WHERE rescheduled_by = $1', [vid]);
+            await client.query('DELETE FROM meetings WHERE volunteer_id = $1 OR student_id = $1', [vid]);
+        });
 
         // Delete messages sent by this user (recipient cascade may exist but be safe)
         await pool.query('DELETE FROM messages WHERE sender_id = $1 OR recipient_id = $1', [vid]);
@@ -1328,9 +1442,20 @@ export const deleteVolunteer = async (req, res) => {
         // Null out newsletter_campaigns created_by
         await pool.query('UPDATE newsletter_campaigns SET created_by = NULL WHERE created_by = $1', [vid]).catch(() => {});
 
+        // Sign the volunteer out everywhere before the account disappears
+        await revokeUserTokens(vid, 'account_deleted');
+
         // Delete the user (volunteer_settings + activity_log handled by CASCADE/SET NULL)
         await pool.query('DELETE FROM users WHERE id = $1', [vid]);
 
+        await logActivity({
+            ...getAuditActor(req),
+            action: 'volunteer_deleted',
+            entityType: 'volunteer',
+            entityId: vid,
+            details: { fullName: volunteerName }
+        });
+
         res.json({
             success: true,
             message: `Volunteer ${volunteerName} has been deleted successfully`
@@ -1345,6 +1470,55 @@ export const deleteVolunteer = async (req, res) => {
     }
 };
 
+/**
+ * Sign a user out of every device: revokes their refresh tokens and all access tokens issued so far
+ * POST /api/v1/admin/users/:id/revoke-sessions
+ */
+export const revokeUserSessions = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!id || isNaN(Number(id))) {
+            return res.status(400).json({ error: 'Valid user ID is required' });
+        }
+
+        const userResult = await pool.query(
+            'SELECT id, full_name, role FROM users WHERE id = $1',
+            [Number(id)]
+        );
+
+        if (userResult.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const user = userResult.rows[0];
+        const revokedSessions = await revokeUserTokens(user.id, 'admin_revoked');
+
+        await logActivity({
+            userId: req.user.id,
+            userRole: req.user.role,
+            action: 'user_sessions_revoked',
+            entityType: 'user',
+            entityId: user.id,
+            details: { revokedSessions },
+            ipAddress: getRequestIp(req)
+        });
+
+        res.json({
+            success: true,
+            revokedSessions,
+            message: `${user.full_name} has been signed out of all devices`
+        });
+
+    } catch (error) {
+        console.error('Error revoking user sessions:', error);
+        res.status(500).json({
+            error: 'Failed to revoke sessions',
+            details: error.message
+        });
+    }
+};
+
 /**
  * Get volunteer activity feed
  * Reconstructs activity from meetings, messages, and security_events
@@ -1532,7 +1706,7 @@ export const getAnalyticsMeetingStats = async (req, res) => {
 };
 
 /**
- * Top volunteers ranked by completed meetings
+ * Top volunteers ranked by completed meetings, with their average post-session rating from students
  */
 export const getAnalyticsTopVolunteers = async (req, res) => {
     try {
@@ -1542,11 +1716,18 @@ export const getAnalyticsTopVolunteers = async (req, res) => {
             SELECT
                 u.id, u.full_name, u.email,
                 COUNT(m.id) as meeting_count,
-                COUNT(m.id) FILTER (WHERE m.status = 'completed') as completed_count
+                COUNT(m.id) FILTER (WHERE m.status = 'completed') as completed_count,
+                ratings.average_rating,
+                ratings.rating_count
             FROM users u
             LEFT JOIN meetings m ON u.id = m.volunteer_id
+            LEFT JOIN LATERAL (
+                SELECT ROUND(AVG(f.rating), 1) as average_rating, COUNT(*) as rating_count
+                FROM session_feedback f
+                WHERE f.subject_id = u.id AND f.reviewer_role = 'student'
+            ) ratings ON TRUE
             WHERE u.role = 'volunteer'
-            GROUP BY u.id, u.full_name, u.email
+            GROUP BY u.id, u.full_name, u.email, ratings.average_rating, ratings.rating_count
             ORDER BY completed_count DESC
             LIMIT $1
         `, [limit]);
@@ -1558,7 +1739,9 @@ export const getAnalyticsTopVolunteers = async (req, res) => {
                 fullName: row.full_name,
                 email: row.email,
                 meetingCount: parseInt(row.meeting_count),
-                completedCount: parseInt(row.completed_count)
+                completedCount: parseInt(row.completed_count),
+                averageRating: row.average_rating === null ? null : parseFloat(row.average_rating),
+                ratingCount: parseInt(row.rating_count)
             }))
         });
 
@@ -1569,7 +1752,8 @@ export const getAnalyticsTopVolunteers = async (req, res) => {
 };
 
 /**
- * Student engagement: meeting counts per student
+ * Student engagement: meeting counts per student, with the volunteers' engagement rating and
+ * their latest estimate of the student's English level
  */
 export const getAnalyticsStudentEngagement = async (req, res) => {
     try {
@@ -1577,11 +1761,20 @@ export const getAnalyticsStudentEngagement = async (req, res) => {
             SELECT
                 u.id, u.full_name, u.username as admission_number,
                 COUNT(m.id) as meeting_count,
-                MAX(m.scheduled_time) as last_meeting
+                MAX(m.scheduled_time) as last_meeting,
+                feedback.average_engagement,
+                feedback.english_level
             FROM users u
             LEFT JOIN meetings m ON u.id = m.student_id
+            LEFT JOIN LATERAL (
+                SELECT
+                    ROUND(AVG(f.engagement), 1) as average_engagement,
+                    (ARRAY_AGG(f.english_level ORDER BY f.created_at DESC))[1] as english_level
+                FROM session_feedback f
+                WHERE f.subject_id = u.id AND f.reviewer_role = 'volunteer'
+            ) feedback ON TRUE
             WHERE u.role = 'student'
-            GROUP BY u.id, u.full_name, u.username
+            GROUP BY u.id, u.full_name, u.username, feedback.average_engagement, feedback.english_level
             ORDER BY meeting_count DESC
         `);
 
@@ -1592,7 +1785,9 @@ export const getAnalyticsStudentEngagement = async (req, res) => {
                 fullName: row.full_name,
                 admissionNumber: row.admission_number,
                 meetingCount: parseInt(row.meeting_count),
-                lastMeeting: row.last_meeting
+                lastMeeting: row.last_meeting,
+                averageEngagement: row.average_engagement === null ? null : parseFloat(row.average_engagement),
+                englishLevel: row.english_level
             }))
         });
 
@@ -1602,6 +1797,104 @@ export const getAnalyticsStudentEngagement = async (req, res) => {
     }
 };
 
+/**
+ * Post-session feedback summary: rating/engagement averages and distributions, survey response
+ * rate and the lowest-rated volunteers over the last `days` days
+ */
+export const getAnalyticsFeedbackSummary = async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+
+        const [summaryResult, distributionResult, completedResult, lowestRatedResult] = await Promise.all([
+            pool.query(`
+                SELECT
+                    ROUND(AVG(rating) FILTER (WHERE reviewer_role = 'student'), 2) as average_rating,
+                    COUNT(*) FILTER (WHERE reviewer_role = 'student') as student_responses,
+                    ROUND(AVG(engagement) FILTER (WHERE reviewer_role = 'volunteer'), 2) as average_engagement,
+                    COUNT(*) FILTER (WHERE reviewer_role = 'volunteer') as volunteer_responses
+                FROM session_feedback
+                WHERE created_at >= NOW() - make_interval(days => $1)
+            `, [days]),
+            pool.query(`
+                SELECT 'rating' as metric, rating::text as value, COUNT(*) as count
+                FROM session_feedback
+                WHERE reviewer_role = 'student' AND created_at >= NOW() - make_interval(days => $1)
+                GROUP BY rating
+                UNION ALL
+                SELECT 'engagement', engagement::text, COUNT(*)
+                FROM session_feedback
+                WHERE reviewer_role = 'volunteer' AND created_at >= NOW() - make_interval(days => $1)
+                GROUP BY engagement
+                UNION ALL
+                SELECT 'english_level', english_level, COUNT(*)
+                FROM session_feedback
+                WHERE reviewer_role = 'volunteer' AND created_at >= NOW() - make_interval(days => $1)
+                GROUP BY english_level
+            `, [days]),
+            // Completed sessions in the period, to show how many got a survey answer
+            pool.query(`
+                SELECT COUNT(*) as count
+                FROM meetings
+                WHERE status = 'completed'
+                AND scheduled_time >= NOW() - make_interval(days => $1)
+            `, [days]),
+            pool.query(`
+                SELECT
+                    u.id, u.full_name,
+                    ROUND(AVG(f.rating), 2) as average_rating,
+                    COUNT(*) as rating_count
+                FROM session_feedback f
+                JOIN users u ON f.subject_id = u.id
+                WHERE f.reviewer_role = 'student'
+                AND f.created_at >= NOW() - make_interval(days => $1)
+                GROUP BY u.id, u.full_name
+                HAVING COUNT(*) >= 3
+                ORDER BY average_rating ASC, rating_count DESC
+                LIMIT 5
+            `, [days])
+        ]);
+
+        const summary = summaryResult.rows[0];
+        const completedSessions = parseInt(completedResult.rows[0].count || 0);
+        const studentResponses = parseInt(summary.student_responses || 0);
+        const volunteerResponses = parseInt(summary.volunteer_responses || 0);
+        const responseRate = (responses) => completedSessions > 0
+            ? Math.min(100, Math.round((responses / completedSessions) * 100))
+            : 0;
+
+        const distributions = { rating: {}, engagement: {}, englishLevel: {} };
+        distributionResult.rows.forEach(row => {
+            const key = row.metric === 'english_level' ? 'englishLevel' : row.metric;
+            distributions[key][row.value] = parseInt(row.count);
+        });
+
+        res.json({
+            success: true,
+            days,
+            feedback: {
+                averageRating: summary.average_rating === null ? null : parseFloat(summary.average_rating),
+                averageEngagement: summary.average_engagement === null ? null : parseFloat(summary.average_engagement),
+                studentResponses,
+                volunteerResponses,
+                completedSessions,
+                studentResponseRate: responseRate(studentResponses),
+                volunteerResponseRate: responseRate(volunteerResponses),
+                distributions,
+                lowestRatedVolunteers: lowestRatedResult.rows.map(row => ({
+                    id: row.id,
+                    fullName: row.full_name,
+                    averageRating: parseFloat(row.average_rating),
+                    ratingCount: parseInt(row.rating_count)
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching feedback summary:', error);
+        res.status(500).json({ error: 'Failed to fetch feedback summary', details: error.message });
+    }
+};
+
 // ============================================
 // Application Settings Management
 // ============================================
@@ -1688,7 +1981,7 @@ export const updateSetting = async (req, res) => {
             return res.status(400).json({ error: 'Value is required' });
         }
 
-        const updated = await configService.updateSetting(key, value);
+        const updated = await configService.updateSetting(key, value, getAuditActor(req));
 
         res.json({
             success: true,
@@ -1715,7 +2008,7 @@ export const updateSettings = async (req, res) => {
             return res.status(400).json({ error: 'Settings object is required' });
         }
 
-        const updated = await configService.updateSettings(settings);
+        const updated = await configService.updateSettings(settings, getAuditActor(req));
 
         res.json({
             success: true,
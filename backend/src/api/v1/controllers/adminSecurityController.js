@@ -0,0 +1,149 @@
+/**
+ * Admin Security Controller
+ * The signed-in admin's own two-factor settings, step-up confirmation before destructive actions,
+ * and resetting TOTP for another admin who is locked out
+ */
+import bcrypt from 'bcrypt';
+import pool from '../../../config/database.js';
+import {
+    getTotpStatus,
+    startTotpEnrollment,
+    activateTotp,
+    verifySecondFactor,
+    regenerateBackupCodes,
+    disableTotp,
+    resetAdminTotp
+} from '../../../services/adminTotpService.js';
+import { getRequestIp } from '../../../services/activityLogService.js';
+import { issueStepUpToken } from '../../../middleware/adminStepUp.js';
+import { sendServiceError } from '../../../utils/serviceError.js';
+
+// A wrong code here doesn't mean the session is bad; a 401 would make the dashboard sign out
+const sendSecurityError = (res, error, fallback) => {
+    if (error.status === 401) {
+        error.status = 403;
+    }
+    sendServiceError(res, error, fallback, ['lockedUntil']);
+};
+
+/**
+ * GET /api/v1/admin/security/totp
+ */
+export const getOwnTotpStatus = async (req, res) => {
+    try {
+        const status = await getTotpStatus(req.user.id);
+        res.json({ success: true, ...status });
+    } catch (error) {
+        sendSecurityError(res, error, 'Failed to fetch two-factor status');
+    }
+};
+
+/**
+ * POST /api/v1/admin/security/totp/setup
+ * Returns the secret and otpauth:// URI for the QR code; nothing changes until it is activated
+ */
+export const setupOwnTotp = async (req, res) => {
+    try {
+        const { secret, otpauthUri } = await startTotpEnrollment(req.user.id);
+        res.json({ success: true, secret, otpauthUri });
+    } catch (error) {
+        sendSecurityError(res, error, 'Failed to start two-factor setup');
+    }
+};
+
+/**
+ * POST /api/v1/admin/security/totp/activate
+ * Body: { code }. Backup codes are only returned here.
+ */
+export const activateOwnTotp = async (req, res) => {
+    try {
+        const { backupCodes } = await activateTotp({
+            userId: req.user.id,
+            code: req.body?.code,
+            ipAddress: getRequestIp(req)
+        });
+        res.json({ success: true, backupCodes, message: 'Two-factor authentication is on' });
+    } catch (error) {
+        sendSecurityError(res, error, 'Failed to activate two-factor authentication');
+    }
+};
+
+/**
+ * DELETE /api/v1/admin/security/totp
+ * Body: { code }
+ */
+export const disableOwnTotp = async (req, res) => {
+    try {
+        await disableTotp({ userId: req.user.id, code: req.body?.code, ipAddress: getRequestIp(req) });
+        res.json({ success: true, message: 'Two-factor authentication is off' });
+    } catch (error) {
+        sendSecurityError(res, error, 'Failed to turn off two-factor authentication');
+    }
+};
+
+/**
+ * POST /api/v1/admin/security/totp/backup-codes
+ * Body: { code }. Replaces all backup codes.
+ */
+export const regenerateOwnBackupCodes = async (req, res) => {
+    try {
+        const { backupCodes } = await regenerateBackupCodes({
+            userId: req.user.id,
+            code: req.body?.code,
+            ipAddress: getRequestIp(req)
+        });
+        res.json({ success: true, backupCodes, message: 'New backup codes created. The old ones no longer work.' });
+    } catch (error) {
+        sendSecurityError(res, error, 'Failed to regenerate backup codes');
+    }
+};
+
+/**
+ * POST /api/v1/admin/security/step-up
+ * Body: { code } with TOTP on, otherwise { password }. Returns a short-lived X-Step-Up-Token.
+ */
+export const stepUp = async (req, res) => {
+    try {
+        const { code, password } = req.body || {};
+        const result = await pool.query(
+            'SELECT password_hash, totp_enabled_at FROM users WHERE id = $1 AND role = $2',
+            [req.user.id, 'admin']
+        );
+        const admin = result.rows[0];
+        if (!admin) {
+            return res.status(404).json({ error: 'Admin not found' });
+        }
+
+        if (admin.totp_enabled_at) {
+            await verifySecondFactor({ userId: req.user.id, code, ipAddress: getRequestIp(req) });
+        } else if (!password || !(await bcrypt.compare(String(password), admin.password_hash))) {
+            return res.status(403).json({
+                error: 'Incorrect password',
+                message: 'Incorrect password',
+                code: 'INVALID_PASSWORD'
+            });
+        }
+
+        res.json({ success: true, ...issueStepUpToken(req.user) });
+    } catch (error) {
+        sendSecurityError(res, error, 'Failed to confirm identity');
+    }
+};
+
+/**
+ * DELETE /api/v1/admin/users/:id/totp
+ * Clears another admin's TOTP and backup codes after they lose access to both
+ */
+export const resetUserTotp = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!id || isNaN(Number(id))) {
+            return res.status(400).json({ error: 'Valid user ID is required' });
+        }
+
+        await resetAdminTotp({ targetUserId: Number(id), admin: req.user, ipAddress: getRequestIp(req) });
+        res.json({ success: true, message: 'Two-factor authentication has been reset for this admin' });
+    } catch (error) {
+        sendSecurityError(res, error, 'Failed to reset two-factor authentication');
+    }
+};
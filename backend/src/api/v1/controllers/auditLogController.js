@@ -0,0 +1,104 @@
+/**
+ * Audit Log Controller
+ * Admin search, filtering and CSV export of the activity_log audit trail
+ */
+import {
+    searchActivity,
+    getActivityFacets,
+    exportActivityCsv,
+    logActivity,
+    getAuditActor
+} from '../../../services/activityLogService.js';
+
+const FILTER_KEYS = ['q', 'action', 'entityType', 'entityId', 'userId', 'role', 'from', 'to'];
+
+/**
+ * Filters from the query string; returns { error } when one is malformed
+ */
+const parseFilters = (query) => {
+    const filters = {};
+    for (const key of FILTER_KEYS) {
+        const value = typeof query[key] === 'string' ? query[key].trim() : '';
+        if (value) filters[key] = value;
+    }
+
+    for (const key of ['entityId', 'userId']) {
+        if (filters[key] && !/^[0-9]+$/.test(filters[key])) {
+            return { error: `${key} must be a number` };
+        }
+    }
+    for (const key of ['from', 'to']) {
+        if (filters[key] && Number.isNaN(new Date(filters[key]).getTime())) {
+            return { error: `${key} must be a date` };
+        }
+    }
+
+    return { filters };
+};
+
+/**
+ * GET /api/v1/admin/audit-log
+ * Query: q, action, entityType, entityId, userId, role, from, to, page, limit
+ */
+export const getAuditLog = async (req, res) => {
+    try {
+        const { filters, error } = parseFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { entries, pagination } = await searchActivity(filters, {
+            page: req.query.page,
+            limit: req.query.limit
+        });
+
+        res.json({ success: true, entries, pagination });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ error: 'Failed to fetch audit log', details: error.message });
+    }
+};
+
+/**
+ * GET /api/v1/admin/audit-log/facets
+ * Actions and entity types present in the log, for the filter dropdowns
+ */
+export const getAuditLogFacets = async (req, res) => {
+    try {
+        const facets = await getActivityFacets();
+        res.json({ success: true, ...facets });
+    } catch (error) {
+        console.error('Error fetching audit log filters:', error);
+        res.status(500).json({ error: 'Failed to fetch audit log filters', details: error.message });
+    }
+};
+
+/**
+ * GET /api/v1/admin/audit-log/export
+ * Same filters as the search; downloads a CSV. The export itself is audited.
+ */
+export const exportAuditLog = async (req, res) => {
+    try {
+        const { filters, error } = parseFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const csv = await exportActivityCsv(filters);
+
+        await logActivity({
+            ...getAuditActor(req),
+            action: 'audit_log_exported',
+            entityType: 'activity_log',
+            details: { filters }
+        });
+
+        const date = new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="talktime-audit-log-${date}.csv"`);
+        res.send(csv);
+    } catch (error) {
+        console.error('Error exporting audit log:', error);
+        res.status(500).json({ error: 'Failed to export audit log', details: error.message });
+    }
+};
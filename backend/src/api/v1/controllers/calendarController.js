@@ -0,0 +1,60 @@
+/**
+ * Calendar Controller
+ * Volunteers' private ICS feed URLs and the token-authenticated feed itself
+ */
+import {
+    getCalendarFeed,
+    rotateCalendarFeed,
+    renderCalendarFeed
+} from '../../../services/meetingCalendarService.js';
+import { getAuditActor } from '../../../services/activityLogService.js';
+import { sendServiceError } from '../../../utils/serviceError.js';
+
+/**
+ * GET /api/v1/volunteers/me/calendar-feed
+ */
+export const getMyCalendarFeed = async (req, res) => {
+    try {
+        const feed = await getCalendarFeed(req.user.id);
+        res.json({ success: true, feed });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch calendar feed');
+    }
+};
+
+/**
+ * POST /api/v1/volunteers/me/calendar-feed/rotate
+ * Issues a new feed URL; the old one stops working
+ */
+export const rotateMyCalendarFeed = async (req, res) => {
+    try {
+        const feed = await rotateCalendarFeed(req.user.id, getAuditActor(req));
+        res.json({ success: true, feed, message: 'Calendar feed URL reset' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to reset calendar feed');
+    }
+};
+
+/**
+ * GET /api/v1/calendar/feeds/:token.ics
+ * Public; the token in the URL is the credential
+ */
+export const getCalendarFeedIcs = async (req, res) => {
+    try {
+        const ics = await renderCalendarFeed(req.params.token);
+        res.set({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': 'inline; filename="talktime.ics"',
+            'Cache-Control': 'private, max-age=300'
+        });
+        res.send(ics);
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to render calendar feed');
+    }
+};
+
+export default {
+    getMyCalendarFeed,
+    rotateMyCalendarFeed,
+    getCalendarFeedIcs
+};
@@ -0,0 +1,153 @@
+/**
+ * Call Quality Controller
+ * Admin view over the WebRTC telemetry stored by services/callQualityService.js.
+ * Meetings are summarised per call so a "missed" meeting can be told apart from a
+ * call that was attempted but failed on the connection.
+ */
+import pool from '../../../config/database.js';
+import { rateQuality } from '../../../services/callQualityService.js';
+
+/**
+ * Explain why a meeting went the way it did from its telemetry
+ * @param {Object} row - Aggregated meeting row
+ * @returns {string}
+ */
+const diagnoseMeeting = (row) => {
+    const sampleCount = Number(row.sample_count);
+    const roles = (row.roles || []).filter(Boolean);
+
+    if (sampleCount === 0) {
+        return 'no_connection_attempt';
+    }
+    if (row.had_failure || !row.ever_connected) {
+        return 'connectivity_failure';
+    }
+    if (roles.length < 2) {
+        return 'one_side_joined';
+    }
+    return row.quality === 'poor' ? 'poor_connection' : 'connected';
+};
+
+/**
+ * List meetings with their aggregated call quality
+ * Query: from / to (ISO dates), status, quality (good|fair|poor|unknown), limit
+ * Meetings without telemetry are included only when they were missed, so admins can see
+ * that nobody ever connected.
+ */
+export const getCallQualityOverview = async (req, res) => {
+    try {
+        const { from, to, status, quality } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+        const result = await pool.query(`
+            SELECT
+                m.id as meeting_id,
+                m.room_id,
+                m.scheduled_time,
+                m.status,
+                v.full_name as volunteer_name,
+                s.full_name as student_name,
+                COUNT(q.id) as sample_count,
+                ROUND(AVG(q.rtt_ms)) as avg_rtt_ms,
+                MAX(q.rtt_ms) as max_rtt_ms,
+                ROUND(AVG(q.packet_loss_pct), 2) as avg_packet_loss_pct,
+                MAX(q.packet_loss_pct) as max_packet_loss_pct,
+                ROUND(AVG(q.inbound_bitrate_kbps)) as avg_inbound_bitrate_kbps,
+                ROUND(AVG(q.outbound_bitrate_kbps)) as avg_outbound_bitrate_kbps,
+                MAX(q.frame_height) as max_frame_height,
+                COALESCE(BOOL_OR(q.relayed), false) as relayed,
+                COALESCE(BOOL_OR(q.connection_state = 'failed'), false) as had_failure,
+                COALESCE(BOOL_OR(q.connection_state = 'connected'), false) as ever_connected,
+                ARRAY_AGG(DISTINCT q.role) FILTER (WHERE q.role IS NOT NULL) as roles,
+                MIN(q.sampled_at) as first_sample_at,
+                MAX(q.sampled_at) as last_sample_at
+            FROM meetings m
+            LEFT JOIN users v ON m.volunteer_id = v.id
+            LEFT JOIN users s ON m.student_id = s.id
+            LEFT JOIN call_quality_samples q ON q.meeting_id = m.id
+            WHERE ($1::timestamptz IS NULL OR m.scheduled_time >= $1)
+            AND ($2::timestamptz IS NULL OR m.scheduled_time <= $2)
+            AND ($3::varchar IS NULL OR m.status = $3)
+            GROUP BY m.id, v.full_name, s.full_name
+            HAVING COUNT(q.id) > 0 OR m.status = 'missed'
+            ORDER BY m.scheduled_time DESC
+            LIMIT $4
+        `, [from || null, to || null, status || null, limit]);
+
+        let meetings = result.rows.map(row => {
+            const rated = {
+                ...row,
+                sample_count: Number(row.sample_count),
+                quality: rateQuality({ rttMs: row.avg_rtt_ms, packetLossPct: row.avg_packet_loss_pct })
+            };
+            return { ...rated, diagnosis: diagnoseMeeting(rated) };
+        });
+
+        if (quality) {
+            meetings = meetings.filter(m => m.quality === quality);
+        }
+
+        const summary = {
+            total: meetings.length,
+            poor: meetings.filter(m => m.quality === 'poor').length,
+            relayed: meetings.filter(m => m.relayed).length,
+            connectivityFailures: meetings.filter(m => m.diagnosis === 'connectivity_failure').length,
+            missedWithoutAttempt: meetings.filter(m => m.status === 'missed' && m.diagnosis === 'no_connection_attempt').length
+        };
+
+        res.json({ success: true, meetings, summary });
+    } catch (error) {
+        console.error('Error fetching call quality overview:', error);
+        res.status(500).json({ error: 'Failed to fetch call quality', details: error.message });
+    }
+};
+
+/**
+ * Get the full telemetry timeline for one meeting (samples from both participants)
+ */
+export const getMeetingCallQuality = async (req, res) => {
+    try {
+        const { meetingId } = req.params;
+
+        const meetingResult = await pool.query(`
+            SELECT m.id, m.room_id, m.scheduled_time, m.status, m.is_instant,
+                   v.full_name as volunteer_name, s.full_name as student_name
+            FROM meetings m
+            LEFT JOIN users v ON m.volunteer_id = v.id
+            LEFT JOIN users s ON m.student_id = s.id
+            WHERE m.id = $1
+        `, [meetingId]);
+
+        if (meetingResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Meeting not found' });
+        }
+
+        const samplesResult = await pool.query(`
+            SELECT id, user_id, role, rtt_ms, packet_loss_pct, outbound_bitrate_kbps, inbound_bitrate_kbps,
+                   frame_width, frame_height, frames_per_second, relayed,
+                   local_candidate_type, remote_candidate_type, connection_state, sampled_at
+            FROM call_quality_samples
+            WHERE meeting_id = $1
+            ORDER BY sampled_at ASC
+        `, [meetingId]);
+
+        const samples = samplesResult.rows.map(sample => ({
+            ...sample,
+            quality: rateQuality({ rttMs: sample.rtt_ms, packetLossPct: sample.packet_loss_pct })
+        }));
+
+        res.json({
+            success: true,
+            meeting: meetingResult.rows[0],
+            samples
+        });
+    } catch (error) {
+        console.error('Error fetching meeting call quality:', error);
+        res.status(500).json({ error: 'Failed to fetch meeting call quality', details: error.message });
+    }
+};
+
+export default {
+    getCallQualityOverview,
+    getMeetingCallQuality
+};
@@ -0,0 +1,59 @@
+/**
+ * Data Privacy Controller
+ * Volunteers download a copy of their personal data; admins erase a volunteer's or student's
+ * personal data while keeping their meeting history for impact reporting
+ */
+import { writeVolunteerDataArchive, erasePersonalData } from '../../../services/dataPrivacyService.js';
+import { getAuditActor } from '../../../services/activityLogService.js';
+
+/**
+ * GET /api/v1/volunteers/me/data-export
+ * Streams a zip with JSON files for each kind of record plus uploaded photos
+ */
+export const downloadOwnData = async (req, res) => {
+    try {
+        const date = new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="talktime-my-data-${date}.zip"`);
+        await writeVolunteerDataArchive(req.user.id, res, getAuditActor(req));
+    } catch (error) {
+        if (res.headersSent) {
+            // Part of the zip has already gone out; cut the connection so the download fails visibly
+            console.error('Error streaming data export:', error);
+            return res.destroy(error);
+        }
+        res.removeHeader('Content-Disposition');
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Error exporting personal data:', error);
+        res.status(500).json({ error: 'Failed to export your data', details: error.message });
+    }
+};
+
+/**
+ * POST /api/v1/admin/users/:id/erase
+ * Anonymises a volunteer or student. Needs a step-up token.
+ */
+export const eraseUserData = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!id || isNaN(Number(id))) {
+            return res.status(400).json({ error: 'Valid user ID is required' });
+        }
+
+        const { role, removed } = await erasePersonalData({ userId: Number(id), actor: getAuditActor(req) });
+        res.json({
+            success: true,
+            role,
+            removed,
+            message: `The ${role}'s personal data has been erased. Their meeting history is kept anonymously.`
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Error erasing personal data:', error);
+        res.status(500).json({ error: 'Failed to erase personal data', details: error.message });
+    }
+};
@@ -0,0 +1,52 @@
+/**
+ * Email Controller
+ * Admin preview and test send of the email templates, and the state of the email outbox
+ */
+import {
+    listEmailTemplates,
+    previewEmailTemplate as renderPreview,
+    sendTestEmail as queueTestEmail,
+    getEmailQueueStats
+} from '../../../services/emailService.js';
+import { getAuditActor } from '../../../services/activityLogService.js';
+import { sendServiceError } from '../../../utils/serviceError.js';
+
+/**
+ * GET /api/v1/admin/email-templates
+ * Templates, supported languages and outbox counts
+ */
+export const getEmailTemplates = async (req, res) => {
+    try {
+        const queue = await getEmailQueueStats();
+        res.json({ success: true, ...listEmailTemplates(), queue });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch email templates');
+    }
+};
+
+/**
+ * GET /api/v1/admin/email-templates/:name/preview
+ * Query: locale?
+ */
+export const previewEmailTemplate = async (req, res) => {
+    try {
+        const preview = renderPreview(req.params.name, req.query.locale);
+        res.json({ success: true, preview });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to render email preview');
+    }
+};
+
+/**
+ * POST /api/v1/admin/email-templates/:name/test
+ * Body: { to, locale? }
+ */
+export const sendTestEmail = async (req, res) => {
+    try {
+        const { to, locale } = req.body || {};
+        const queued = await queueTestEmail(req.params.name, { to, locale }, getAuditActor(req));
+        res.status(202).json({ success: true, id: queued.id, message: `Test email queued for ${to}` });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to send test email');
+    }
+};
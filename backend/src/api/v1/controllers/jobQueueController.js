@@ -0,0 +1,65 @@
+/**
+ * Job Queue Controller
+ * Admin view of the background job queue: what is waiting, running and dead-lettered
+ */
+import {
+    listJobs,
+    getJobQueueStats,
+    retryDeadJob,
+    discardDeadJob
+} from '../../../services/jobQueueService.js';
+import { logActivity, getAuditActor } from '../../../services/activityLogService.js';
+import { sendServiceError } from '../../../utils/serviceError.js';
+
+/**
+ * GET /api/v1/admin/jobs
+ * Query: state? (pending | active | dead), limit?
+ */
+export const getJobs = async (req, res) => {
+    try {
+        const { state = 'pending', limit } = req.query;
+        const jobs = await listJobs({ state, limit });
+        const stats = await getJobQueueStats();
+        res.json({ success: true, state, jobs, stats });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch jobs');
+    }
+};
+
+/**
+ * POST /api/v1/admin/jobs/:id/retry
+ * Dead-lettered jobs only
+ */
+export const retryJob = async (req, res) => {
+    try {
+        const job = await retryDeadJob(req.params.id);
+        await logActivity({
+            ...getAuditActor(req),
+            action: 'job_retried',
+            entityType: 'job',
+            details: { jobId: job.id, type: job.type, lastError: job.lastError }
+        });
+        res.json({ success: true, job, message: 'Job queued to run again' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to retry job');
+    }
+};
+
+/**
+ * DELETE /api/v1/admin/jobs/:id
+ * Dead-lettered jobs only
+ */
+export const discardJob = async (req, res) => {
+    try {
+        const job = await discardDeadJob(req.params.id);
+        await logActivity({
+            ...getAuditActor(req),
+            action: 'job_discarded',
+            entityType: 'job',
+            details: { jobId: job.id, type: job.type, payload: job.payload, lastError: job.lastError }
+        });
+        res.json({ success: true, message: 'Job discarded' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to discard job');
+    }
+};
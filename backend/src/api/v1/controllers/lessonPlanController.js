@@ -0,0 +1,117 @@
+/**
+ * Lesson Plan Controller
+ * Admin library of conversation prompts and lesson plans, and the plan shown to the volunteer in a call
+ */
+import {
+    listLessonPlans,
+    getLessonPlanTopics,
+    createLessonPlan,
+    updateLessonPlan,
+    deleteLessonPlan,
+    getMeetingLessonPlan,
+    recordLessonPlanUsed
+} from '../../../services/lessonPlanService.js';
+import { getAuditActor, getRequestIp } from '../../../services/activityLogService.js';
+import { sendServiceError } from '../../../utils/serviceError.js';
+
+/**
+ * GET /api/v1/admin/lesson-plans
+ * Query: level?, topic?, search?, includeArchived?
+ */
+export const getLessonPlans = async (req, res) => {
+    try {
+        const { level, topic, search, includeArchived } = req.query;
+        const [plans, topics] = await Promise.all([
+            listLessonPlans({ level, topic, search, includeArchived: includeArchived === 'true' }),
+            getLessonPlanTopics()
+        ]);
+        res.json({ success: true, plans, topics });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch lesson plans');
+    }
+};
+
+/**
+ * POST /api/v1/admin/lesson-plans
+ * Body: { title, kind, englishLevel?, topics, summary?, objectives?, prompts, vocabulary?, durationMinutes?, isActive? }
+ */
+export const addLessonPlan = async (req, res) => {
+    try {
+        const plan = await createLessonPlan(req.body, getAuditActor(req));
+        res.status(201).json({ success: true, plan, message: 'Lesson plan created successfully' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to create lesson plan');
+    }
+};
+
+/**
+ * PUT /api/v1/admin/lesson-plans/:id
+ */
+export const editLessonPlan = async (req, res) => {
+    try {
+        const plan = await updateLessonPlan(parseInt(req.params.id, 10) || 0, req.body, getAuditActor(req));
+        res.json({ success: true, plan, message: 'Lesson plan updated successfully' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update lesson plan');
+    }
+};
+
+/**
+ * DELETE /api/v1/admin/lesson-plans/:id
+ * Plans that sessions have used are archived instead of deleted
+ */
+export const removeLessonPlan = async (req, res) => {
+    try {
+        const { archived } = await deleteLessonPlan(parseInt(req.params.id, 10) || 0, getAuditActor(req));
+        res.json({
+            success: true,
+            archived,
+            message: archived
+                ? 'Lesson plan archived (it has been used in sessions, so it stays in students\' history)'
+                : 'Lesson plan deleted successfully'
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to delete lesson plan');
+    }
+};
+
+/**
+ * GET /api/v1/meeting/:meetingId/lesson-plan
+ * :meetingId may be the meeting id or its room id
+ */
+export const getSessionLessonPlan = async (req, res) => {
+    try {
+        const lessonPlan = await getMeetingLessonPlan(req.params.meetingId, req.user);
+        res.json({ success: true, ...lessonPlan });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to load lesson plan');
+    }
+};
+
+/**
+ * PUT /api/v1/meeting/:meetingId/lesson-plan
+ * Body: { lessonPlanId, notes? } - marks the plan as used in this session
+ */
+export const markSessionLessonPlanUsed = async (req, res) => {
+    try {
+        const lessonPlan = await recordLessonPlanUsed({
+            meetingRef: req.params.meetingId,
+            user: req.user,
+            lessonPlanId: req.body?.lessonPlanId,
+            notes: req.body?.notes,
+            ipAddress: getRequestIp(req)
+        });
+        res.json({ success: true, ...lessonPlan, message: 'Lesson plan recorded' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to record lesson plan');
+    }
+};
+
+export default {
+    getLessonPlans,
+    addLessonPlan,
+    editLessonPlan,
+    removeLessonPlan,
+    getSessionLessonPlan,
+    markSessionLessonPlanUsed
+};
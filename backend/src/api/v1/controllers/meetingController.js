@@ -10,7 +10,14 @@ import * as notificationService from '../../../services/notificationService.js';
 import pool from '../../../config/database.js';
 // import { generateSecureAccessToken, createMeetingAccessUrl } from '../../../utils/secureTokens.js'; // Temporarily disabled
 import { getIO } from '../../../socket.js';
-import { getUserTimezone, getDayBoundariesInTimezone, getSafeTimezone, formatInTimezone } from '../../../utils/timezoneUtils.js';
+import { getUserTimezone, getSafeTimezone, formatInTimezone } from '../../../utils/timezoneUtils.js';
+import { checkStudentAvailability } from '../../../services/studentAvailabilityService.js';
+import { getSchedulingSuspension } from '../../../services/safeguardingService.js';
+import { withAuditActor, getAuditActor } from '../../../services/activityLogService.js';
+import { checkVolunteerPerformance, checkPairLimit, findStudentMeetingOnDay } from '../../../services/businessRules.js';
+import { offerFreedSlot, processOverdueMeetings } from '../../../services/meetingWaitlistService.js';
+import { assignLessonPlan } from '../../../services/lessonPlanService.js';
+import { queueCertificateReadyEmail } from '../../../services/emailService.js';
 
 /**
  * Get meeting by ID
@@ -134,64 +141,41 @@ export const createMeeting = async (req, res) => {
             return res.status(404).json({ error: 'Volunteer not found' });
         }
 
+        // Volunteers under a safeguarding review can't book new calls
+        const suspension = await getSchedulingSuspension(volunteerId);
+        if (suspension.suspended) {
+            return res.status(403).json({
+                error: 'Scheduling suspended',
+                message: 'Your ability to schedule new calls is on hold while our team reviews a report. Please contact support.',
+                code: 'SCHEDULING_SUSPENDED'
+            });
+        }
+
         // Check volunteer performance restrictions
         // Exclude meetings cleared by admin from restriction calculation
-        const performanceQuery = `
-            SELECT
-                COUNT(*) FILTER (WHERE status = 'completed') as completed_calls,
-                COUNT(*) FILTER (WHERE status = 'canceled') as cancelled_calls,
-                COUNT(*) FILTER (WHERE status = 'cancelled') as cancelled_calls_alt,
-                COUNT(*) FILTER (WHERE status = 'missed') as missed_calls,
-                COUNT(*) FILTER (WHERE status IN ('completed', 'canceled', 'cancelled', 'missed')) as total_scheduled
-            FROM meetings
-            WHERE volunteer_id = $1 AND scheduled_time < NOW()
-            AND (cleared_by_admin IS NULL OR cleared_by_admin = FALSE)
-        `;
-        
-        const { rows: performanceRows } = await pool.query(performanceQuery, [volunteerId]);
-        const metrics = performanceRows[0];
-        
-        // Calculate rates for restriction check
-        const cancelledCalls = parseInt(metrics.cancelled_calls) + parseInt(metrics.cancelled_calls_alt);
-        const completedCalls = parseInt(metrics.completed_calls);
-        const missedCalls = parseInt(metrics.missed_calls);
-        const totalScheduled = parseInt(metrics.total_scheduled);
-        
-        if (totalScheduled > 0) {
-            const cancelledRate = Math.round((cancelledCalls / totalScheduled) * 100);
-            const missedRate = Math.round((missedCalls / totalScheduled) * 100);
-            const reputationScore = Math.max(0, Math.round(100 - (cancelledRate * 1.5) - (missedRate * 2)));
-            
-            // Enforce restrictions based on performance
-            if (cancelledRate >= 40 || missedRate >= 30 || reputationScore < 30) {
-                console.error('Volunteer account restricted due to poor performance:', {
-                    volunteerId,
-                    cancelledRate,
-                    missedRate,
-                    reputationScore,
-                    totalScheduled
-                });
-                return res.status(403).json({ 
-                    error: 'Account temporarily restricted',
-                    message: 'Your account is temporarily restricted from scheduling new calls due to high cancellation/missed call rates. Please contact support to resolve this issue.',
-                    performanceData: {
-                        cancelledRate,
-                        missedRate,
-                        reputationScore,
-                        totalCalls: totalScheduled,
-                        restriction: 'critical'
-                    }
-                });
-            }
+        const { restricted, performanceData } = await checkVolunteerPerformance(volunteerId);
+        if (restricted) {
+            console.error('Volunteer account restricted due to poor performance:', {
+                volunteerId,
+                ...performanceData
+            });
+            return res.status(403).json({ 
+                error: 'Account temporarily restricted',
+                message: 'Your account is temporarily restricted from scheduling new calls due to high cancellation/missed call rates. Please contact support to resolve this issue.',
+                performanceData
+            });
         }
         
         // CRITICAL: Enforce 1-call-per-day rule - Check if student already has a meeting on this date
         // IMPORTANT: Only consider 'scheduled' and 'in_progress' meetings as conflicts, NOT 'canceled' meetings
         // TIMEZONE-AWARE: Day boundaries are calculated in the STUDENT's timezone for accurate enforcement
-
-        // Get student's timezone for accurate day boundary calculation
-        const studentTimezone = await getUserTimezone(actualStudentUserId);
-        const { startOfDay, endOfDay, localDateString } = getDayBoundariesInTimezone(scheduledTime, studentTimezone);
+        const {
+            existingMeeting,
+            timezone: studentTimezone,
+            localDateString,
+            startOfDay,
+            endOfDay
+        } = await findStudentMeetingOnDay(actualStudentUserId, scheduledTime);
 
         console.log('Timezone-aware day boundary check:', {
             studentId,
@@ -202,20 +186,7 @@ export const createMeeting = async (req, res) => {
             endOfDayUTC: endOfDay.toISOString()
         });
 
-        // Use PostgreSQL AT TIME ZONE for accurate timezone-aware comparison
-        const existingMeetingQuery = `
-            SELECT id, scheduled_time, volunteer_id, status
-            FROM meetings
-            WHERE student_id = $1
-            AND scheduled_time >= $2
-            AND scheduled_time < $3
-            AND status IN ('scheduled', 'in_progress')
-        `;
-
-        const existingMeetingResult = await pool.query(existingMeetingQuery, [studentId, startOfDay, endOfDay]);
-
-        if (existingMeetingResult.rows.length > 0) {
-            const existingMeeting = existingMeetingResult.rows[0];
+        if (existingMeeting) {
             console.error('Student already has a meeting on this date (timezone-aware check):', {
                 studentId,
                 studentTimezone,
@@ -236,32 +207,30 @@ export const createMeeting = async (req, res) => {
             });
         }
         
-        // NEW: Check 3-meeting limit per volunteer-student pair
-        // First, check for any overdue meetings and mark them as missed (40+ minute timeout)
-        await pool.query(`
-            UPDATE meetings 
-            SET status = 'missed', 
-                updated_at = NOW()
-            WHERE volunteer_id = $1 
-            AND student_id = $2
-            AND status = 'scheduled' 
-            AND scheduled_time < NOW() - INTERVAL '40 minutes'
-        `, [volunteerId, studentId]);
+        // Enforce student availability windows, term dates, holidays and exams
+        const studentAvailability = await checkStudentAvailability(actualStudentUserId, scheduledTime);
+        if (!studentAvailability.available) {
+            console.error('Student not available at requested time:', {
+                studentId,
+                requestedTime: scheduledTime,
+                reason: studentAvailability.reason
+            });
+            return res.status(409).json({
+                error: studentAvailability.error,
+                reason: studentAvailability.reason,
+                event: studentAvailability.event
+            });
+        }
 
-        // IMPORTANT: Count all active meetings (scheduled, completed, in_progress)
-        // Only exclude missed and canceled meetings
-        const volunteerStudentMeetingQuery = `
-            SELECT COUNT(*) as meeting_count
-            FROM meetings 
-            WHERE volunteer_id = $1 
-            AND student_id = $2 
-            AND status NOT IN ('missed', 'canceled', 'cancelled')
-        `;
-        
-        const volunteerStudentMeetingResult = await pool.query(volunteerStudentMeetingQuery, [volunteerId, studentId]);
-        const currentMeetingCount = parseInt(volunteerStudentMeetingResult.rows[0].meeting_count);
+        // Check 3-meeting limit per volunteer-student pair
+        // First, mark any overdue meetings as missed (40+ minute timeout) so they stop counting
+        await processOverdueMeetings({ volunteerId, studentId });
+
+        // IMPORTANT: Counts all active meetings (scheduled, completed, in_progress)
+        // Only missed and canceled meetings are excluded
+        const { allowed: withinPairLimit, meetingCount: currentMeetingCount, limit: pairLimit } = await checkPairLimit(volunteerId, studentId);
         
-        if (currentMeetingCount >= 3) {
+        if (!withinPairLimit) {
             console.error('Volunteer has reached 3-meeting limit with this student:', {
                 volunteerId,
                 studentId,
@@ -270,7 +239,7 @@ export const createMeeting = async (req, res) => {
             return res.status(403).json({ 
                 error: 'You have reached the 3-meeting limit with this student. This limit counts all active meetings (scheduled, ongoing, completed) to ensure all students get equal opportunities. Only missed and canceled meetings are excluded.',
                 meetingCount: currentMeetingCount,
-                limit: 3
+                limit: pairLimit
             });
         }
         
@@ -278,7 +247,7 @@ export const createMeeting = async (req, res) => {
             volunteerId,
             studentId,
             currentMeetingCount,
-            limit: 3
+            limit: pairLimit
         });
         
         // Generate unique room ID
@@ -286,16 +255,23 @@ export const createMeeting = async (req, res) => {
         console.log('Generated room ID:', roomId);
         
         // Create meeting
-        const meeting = await Meeting.create({
+        const meeting = await withAuditActor(getAuditActor(req), client => Meeting.create({
             studentId,
             volunteerId,
             scheduledTime,
             duration: 40, // Default 40 minutes
             status: 'scheduled',
             roomId
-        });
+        }, client));
         
         console.log('Meeting created successfully:', meeting);
+
+        // Suggest a lesson plan so the volunteer can prepare
+        try {
+            await assignLessonPlan(meeting);
+        } catch (planError) {
+            console.error('Error suggesting lesson plan:', planError);
+        }
         
         // Generate secure access token for the student
         let secureAccessUrl = null;
@@ -334,8 +310,13 @@ export const createMeeting = async (req, res) => {
             await notificationService.sendNotification({
                 recipient_id: meeting.volunteer_id || meeting.volunteerId,
                 recipient_role: 'volunteer',
-                title: '✅ Meeting Scheduled Successfully!',
-                message: `Your meeting with ${studentName || 'student'} has been scheduled for ${new Date(meeting.scheduled_time || meeting.scheduledTime).toLocaleDateString()} at ${new Date(meeting.scheduled_time || meeting.scheduledTime).toLocaleTimeString()}. You'll receive reminders before the meeting starts.`,
+                template: {
+                    key: 'meeting_scheduled_volunteer',
+                    params: {
+                        studentName,
+                        time: new Date(meeting.scheduled_time || meeting.scheduledTime)
+                    }
+                },
                 type: 'meeting_scheduled',
                 priority: 'high',
                 metadata: {
@@ -344,7 +325,7 @@ export const createMeeting = async (req, res) => {
                     scheduled_time: meeting.scheduled_time || meeting.scheduledTime,
                     meeting_link: meeting.roomUrl || secureAccessUrl
                 }
-            }, ['in-app', 'push'], {
+            }, ['in-app', 'push', 'email'], {
                 persistent: true,
                 auto_delete_after: 1440, // 24 hours
                 require_interaction: false,
@@ -357,8 +338,10 @@ export const createMeeting = async (req, res) => {
                 await notificationService.sendNotification({
                     recipient_id: studentUserIdForNotifications,
                     recipient_role: 'student',
-                    title: '🎉 New Meeting Scheduled!',
-                    message: `A volunteer has scheduled a meeting with you for ${new Date(meeting.scheduled_time || meeting.scheduledTime).toLocaleDateString()} at ${new Date(meeting.scheduled_time || meeting.scheduledTime).toLocaleTimeString()}. We'll send you reminders!`,
+                    template: {
+                        key: 'meeting_scheduled_student',
+                        params: { time: new Date(meeting.scheduled_time || meeting.scheduledTime) }
+                    },
                     type: 'meeting_scheduled',
                     priority: 'high',
                     metadata: {
@@ -367,7 +350,7 @@ export const createMeeting = async (req, res) => {
                         scheduled_time: meeting.scheduled_time || meeting.scheduledTime,
                         meeting_link: secureAccessUrl
                     }
-                }, ['in-app', 'push'], {
+                }, ['in-app', 'push', 'email'], {
                     persistent: true,
                     auto_delete_after: 1440, // 24 hours
                     require_interaction: false,
@@ -483,7 +466,7 @@ export const updateMeeting = async (req, res) => {
         }
         
         // Update meeting
-        const updatedMeeting = await Meeting.update(id, updateData);
+        const updatedMeeting = await withAuditActor(getAuditActor(req), client => Meeting.update(id, updateData, client));
         console.log('DEBUG: updatedMeeting from Meeting.update:', JSON.stringify(updatedMeeting, null, 2));
         
         // If the meeting time changed, cancel old notifications and create new ones
@@ -594,11 +577,11 @@ export const cancelMeeting = async (req, res) => {
         }
         
         // Cancel meeting - Use 'canceled' to match frontend expectations
-        await Meeting.update(id, {
+        await withAuditActor(getAuditActor(req), client => Meeting.update(id, {
             status: 'canceled',
             canceled_at: new Date(),
             canceled_by: volunteerId
-        });
+        }, client));
         
         // Reset student availability after cancellation
         // This ensures the student can be booked for another meeting
@@ -627,8 +610,13 @@ export const cancelMeeting = async (req, res) => {
                 await notificationService.sendNotification({
                     recipient_id: student.id,
                     recipient_role: 'student',
-                    title: '❌ Meeting Canceled',
-                    message: `Your meeting scheduled for ${new Date(meeting.scheduledTime).toLocaleString()} has been canceled by ${req.user.full_name || req.user.fullName}. You can schedule a new meeting anytime.`,
+                    template: {
+                        key: 'meeting_canceled_by',
+                        params: {
+                            time: new Date(meeting.scheduledTime),
+                            canceledBy: req.user.full_name || req.user.fullName
+                        }
+                    },
                     type: 'meeting_canceled',
                     priority: 'high',
                     metadata: {
@@ -662,8 +650,10 @@ export const cancelMeeting = async (req, res) => {
                 await notificationService.sendNotification({
                     recipient_id: volunteer.id,
                     recipient_role: 'volunteer',
-                    title: '❌ Meeting Canceled',
-                    message: `Your meeting scheduled for ${new Date(meeting.scheduledTime).toLocaleString()} has been canceled. You can schedule new meetings from your dashboard.`,
+                    template: {
+                        key: 'meeting_canceled',
+                        params: { time: new Date(meeting.scheduledTime) }
+                    },
                     type: 'meeting_canceled',
                     priority: 'high',
                     metadata: {
@@ -685,8 +675,10 @@ export const cancelMeeting = async (req, res) => {
             await notificationService.sendNotification({
                 recipient_id: req.user.id,
                 recipient_role: req.user.role,
-                title: '✅ Meeting Canceled Successfully',
-                message: `Your meeting scheduled for ${new Date(meeting.scheduledTime).toLocaleString()} has been canceled. All participants have been notified.`,
+                template: {
+                    key: 'meeting_canceled_confirmation',
+                    params: { time: new Date(meeting.scheduledTime) }
+                },
                 type: 'meeting_canceled_confirmation',
                 priority: 'medium',
                 metadata: {
@@ -707,7 +699,14 @@ export const cancelMeeting = async (req, res) => {
             // Don't fail the meeting cancellation if notifications fail
             // Just log the error and continue
         }
-        
+
+        // Offer the student's freed day to the next volunteer on the waitlist
+        try {
+            await offerFreedSlot(meeting);
+        } catch (waitlistError) {
+            console.error('Error offering canceled slot to waitlist:', waitlistError);
+        }
+
         res.json({
             message: 'Meeting cancelled successfully'
         });
@@ -886,13 +885,9 @@ export const getMeetingsByStudentId = async (req, res) => {
             
             for (const meetingUpdate of meetingsToUpdate) {
                 try {
-                    await pool.query(`
-                        UPDATE meetings 
-                        SET status = 'missed', 
-                            updated_at = NOW()
-                        WHERE id = $1 AND status = 'scheduled'
-                    `, [meetingUpdate.id]);
-                    
+                    // Goes through the overdue processor so the freed day is offered to the waitlist
+                    await processOverdueMeetings({ meetingId: meetingUpdate.id });
+
                     console.log(`✅ Meeting ${meetingUpdate.id} auto-marked as missed (40+ min timeout)`);
                 } catch (updateError) {
                     console.error(`❌ Failed to auto-update meeting ${meetingUpdate.id}:`, updateError);
@@ -1081,7 +1076,7 @@ export const endMeeting = async (req, res) => {
         const finalStatus = isSuccessfulMeeting ? 'completed' : 'ended';
         
         // Update meeting status
-        await pool.query(`
+        await withAuditActor(getAuditActor(req), client => client.query(`
             UPDATE meetings 
             SET 
                 status = $1,
@@ -1090,7 +1085,7 @@ export const endMeeting = async (req, res) => {
                 end_reason = $4,
                 updated_at = NOW()
             WHERE id = $5
-        `, [finalStatus, endTime, userId, reason, meeting.id]);
+        `, [finalStatus, endTime, userId, reason, meeting.id]));
         
         // Determine who ended the meeting and who needs to be notified
         const endedByName = userRole === 'volunteer' ? meeting.volunteer_name : meeting.student_name;
@@ -1165,21 +1160,14 @@ export const endMeeting = async (req, res) => {
         
         // Send meeting completion notifications
         try {
-            const completionMessage = finalStatus === 'completed' 
-                ? '🎉 Meeting Completed Successfully!' 
-                : '⏰ Meeting Ended';
-                
-            const completionDetails = finalStatus === 'completed'
-                ? 'Thank you for participating in this conversation practice session. Your engagement helps build stronger communities!'
-                : 'The meeting has ended. Thank you for your time.';
+            const completionKey = finalStatus === 'completed' ? 'meeting_completed' : 'meeting_ended';
 
             // Notify the other participant
             if (otherParticipantId && otherParticipantRole) {
                 await notificationService.sendNotification({
                     recipient_id: otherParticipantId,
                     recipient_role: otherParticipantRole,
-                    title: completionMessage,
-                    message: `Your meeting with ${endedByName} has ended. ${completionDetails}`,
+                    template: { key: completionKey, params: { name: endedByName } },
                     type: finalStatus === 'completed' ? 'meeting_completed' : 'meeting_ended',
                     priority: 'medium',
                     metadata: {
@@ -1203,8 +1191,7 @@ export const endMeeting = async (req, res) => {
             await notificationService.sendNotification({
                 recipient_id: userId,
                 recipient_role: userRole,
-                title: completionMessage,
-                message: `Your meeting with ${otherParticipantName} has ended. ${completionDetails}`,
+                template: { key: completionKey, params: { name: otherParticipantName } },
                 type: finalStatus === 'completed' ? 'meeting_completed' : 'meeting_ended',
                 priority: 'medium',
                 metadata: {
@@ -1225,6 +1212,15 @@ export const endMeeting = async (req, res) => {
             console.error('Error sending meeting completion notifications:', notificationError);
             // Don't fail the meeting end if notifications fail
         }
+
+        // A volunteer's first completed call makes their certificate available (sent once)
+        if (finalStatus === 'completed') {
+            try {
+                await queueCertificateReadyEmail(meeting.volunteer_id);
+            } catch (certificateError) {
+                console.error('Error queuing certificate email:', certificateError);
+            }
+        }
         
         // Log the meeting end action
         try {
@@ -1364,7 +1360,6 @@ async function createRescheduleNotification(meeting, rescheduler, originalTime,
             return;
         }
         const volunteer = volunteerResult.rows[0];
-        const volunteerTimezone = volunteer.timezone || 'UTC';
 
         // Get student - handle both users.id and students.id (include timezone)
         let studentResult = await pool.query(
@@ -1388,54 +1383,15 @@ async function createRescheduleNotification(meeting, rescheduler, originalTime,
             return;
         }
         const student = studentResult.rows[0];
-        const studentTimezone = student.timezone || 'UTC';
 
-        // Helper function to format time in a specific timezone
-        const formatTimeInTimezone = (time, timezone) => {
-            if (!time || time === 'Invalid Date' || isNaN(new Date(time).getTime())) {
-                return 'Previous time';
-            }
-            // Validate timezone - fall back to UTC if invalid
-            let tz = timezone;
-            try {
-                new Date().toLocaleString('en-US', { timeZone: tz });
-            } catch (e) {
-                console.warn(`Invalid timezone "${timezone}", falling back to UTC`);
-                tz = 'UTC';
-            }
-            return new Date(time).toLocaleString('en-US', {
-                weekday: 'long',
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric',
-                hour: '2-digit',
-                minute: '2-digit',
-                timeZone: tz
-            });
+        // Times are rendered per recipient, in their own language and timezone
+        const times = {
+            originalTime: new Date(originalTime || NaN),
+            newTime: new Date(newTime)
         };
 
-        // Format times for each recipient in their timezone
-        const originalDateForStudent = formatTimeInTimezone(originalTime, studentTimezone);
-        const newDateForStudent = formatTimeInTimezone(newTime, studentTimezone);
-        const originalDateForVolunteer = formatTimeInTimezone(originalTime, volunteerTimezone);
-        const newDateForVolunteer = formatTimeInTimezone(newTime, volunteerTimezone);
-
         console.log(`📅 Creating reschedule notifications for meeting ${meeting.id}`);
 
-        // Student notification (they receive info about who rescheduled)
-        const studentMessage = `Your meeting has been rescheduled by ${rescheduler.full_name}. ` +
-                              `Original time: ${originalDateForStudent}. ` +
-                              `New time: ${newDateForStudent}.`;
-
-        // Volunteer notification (confirmation of their reschedule action)
-        const volunteerMessage = rescheduler.id === volunteer.id
-            ? `You successfully rescheduled your meeting with ${student.full_name}. ` +
-              `Original time: ${originalDateForVolunteer}. ` +
-              `New time: ${newDateForVolunteer}.`
-            : `Your meeting with ${student.full_name} has been rescheduled by ${rescheduler.full_name}. ` +
-              `Original time: ${originalDateForVolunteer}. ` +
-              `New time: ${newDateForVolunteer}.`;
-
         // Shared metadata for both notifications
         const baseMetadata = {
             meeting_id: meeting.id,
@@ -1449,18 +1405,20 @@ async function createRescheduleNotification(meeting, rescheduler, originalTime,
         };
 
         // Send notification to student with immediate in-app notification only
-        await notificationService.sendNotification({
+        const studentNotification = await notificationService.sendNotification({
             recipient_id: student.id,
             recipient_role: 'student',
-            title: '📅 Meeting Rescheduled',
-            message: studentMessage,
+            template: {
+                key: 'meeting_rescheduled_student',
+                params: { ...times, reschedulerName: rescheduler.full_name }
+            },
             type: 'meeting_rescheduled',
             priority: 'high',
             metadata: {
                 ...baseMetadata,
                 action_url: '/student/dashboard'
             }
-        }, ['in-app', 'push'], {  // Include push notification for mobile alerts
+        }, ['in-app', 'push', 'email'], {  // Email carries the updated calendar invite
             persistent: true,
             require_interaction: false,
             action_url: '/student/dashboard',
@@ -1471,18 +1429,20 @@ async function createRescheduleNotification(meeting, rescheduler, originalTime,
         });
 
         // Send notification to volunteer with immediate in-app notification only  
-        await notificationService.sendNotification({
+        const volunteerNotification = await notificationService.sendNotification({
             recipient_id: volunteer.id,
             recipient_role: 'volunteer',
-            title: '📅 Meeting Rescheduled',
-            message: volunteerMessage,
+            template: {
+                key: rescheduler.id === volunteer.id ? 'meeting_rescheduled_self' : 'meeting_rescheduled_volunteer',
+                params: { ...times, studentName: student.full_name, reschedulerName: rescheduler.full_name }
+            },
             type: 'meeting_rescheduled',
             priority: 'high',
             metadata: {
                 ...baseMetadata,
                 action_url: '/volunteer/dashboard/upcoming.html'
             }
-        }, ['in-app', 'push'], {  // Include push notification for mobile alerts
+        }, ['in-app', 'push', 'email'], {  // Email carries the updated calendar invite
             persistent: true,
             require_interaction: false,
             action_url: '/volunteer/dashboard/upcoming.html',
@@ -1503,7 +1463,7 @@ async function createRescheduleNotification(meeting, rescheduler, originalTime,
                 original_time: originalTime,
                 new_time: newTime,
                 rescheduled_by: rescheduler.full_name,
-                message: studentMessage,
+                message: studentNotification.message,
                 timestamp: new Date().toISOString()
             });
             console.log(`📅 Emitted meeting-rescheduled to student user_${student.id}`);
@@ -1514,7 +1474,7 @@ async function createRescheduleNotification(meeting, rescheduler, originalTime,
                 original_time: originalTime,
                 new_time: newTime,
                 rescheduled_by: rescheduler.full_name,
-                message: volunteerMessage,
+                message: volunteerNotification.message,
                 timestamp: new Date().toISOString()
             });
             console.log(`📅 Emitted meeting-rescheduled to volunteer user_${volunteer.id}`);
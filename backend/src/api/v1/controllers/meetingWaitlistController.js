@@ -0,0 +1,91 @@
+/**
+ * Meeting Waitlist Controller
+ * Volunteers queue for a booked student's day and accept the slot if it frees up
+ */
+import {
+    joinWaitlist,
+    leaveWaitlist,
+    getVolunteerWaitlist,
+    acceptWaitlistOffer
+} from '../../../services/meetingWaitlistService.js';
+import { getAuditActor } from '../../../services/activityLogService.js';
+import { sendServiceError } from '../../../utils/serviceError.js';
+
+/**
+ * GET /api/v1/volunteers/waitlist
+ */
+export const listWaitlist = async (req, res) => {
+    try {
+        const entries = await getVolunteerWaitlist(req.user.id);
+        res.json({ success: true, entries });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to load waitlist');
+    }
+};
+
+/**
+ * POST /api/v1/volunteers/waitlist
+ * Body: { studentId, date } - date is YYYY-MM-DD in the student's timezone
+ *    or: { studentId, scheduledTime } - the time that couldn't be booked
+ */
+export const joinStudentWaitlist = async (req, res) => {
+    try {
+        const { studentId, date, scheduledTime } = req.body;
+        const entry = await joinWaitlist({ volunteerId: req.user.id, studentId, date, scheduledTime });
+        res.status(201).json({
+            success: true,
+            entry,
+            message: `You're number ${entry.position} on the waitlist. We'll let you know if the day frees up.`
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to join waitlist');
+    }
+};
+
+/**
+ * POST /api/v1/volunteers/waitlist/:id/accept
+ * Body: { scheduledTime? } - needed when the offer is for the day rather than a fixed time
+ */
+export const acceptOffer = async (req, res) => {
+    try {
+        const meeting = await acceptWaitlistOffer({
+            volunteerId: req.user.id,
+            entryId: req.params.id,
+            scheduledTime: req.body?.scheduledTime,
+            actor: getAuditActor(req)
+        });
+        res.status(201).json({
+            success: true,
+            meeting: {
+                id: meeting.id,
+                scheduledTime: meeting.scheduled_time,
+                roomId: meeting.room_id,
+                status: meeting.status,
+                studentId: meeting.student_id
+            },
+            message: 'Meeting scheduled'
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to accept waitlist offer');
+    }
+};
+
+/**
+ * DELETE /api/v1/volunteers/waitlist/:id
+ * Leaves the waitlist, or declines the offer if one is open
+ */
+export const leaveStudentWaitlist = async (req, res) => {
+    try {
+        await leaveWaitlist(req.user.id, req.params.id);
+        res.json({ success: true, message: 'Removed from the waitlist' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to leave waitlist');
+    }
+};
+
+export default {
+    listWaitlist,
+    joinStudentWaitlist,
+    acceptOffer,
+    leaveStudentWaitlist
+};
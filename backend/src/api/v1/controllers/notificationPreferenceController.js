@@ -0,0 +1,51 @@
+/**
+ * Notification Preference Controller
+ * The signed-in volunteer's or student's notification channels, quiet hours and digest
+ */
+import {
+    NOTIFICATION_CATEGORIES,
+    NOTIFICATION_CHANNELS,
+    getNotificationPreferences,
+    updateNotificationPreferences
+} from '../../../services/notificationPreferenceService.js';
+import { sendServiceError } from '../../../utils/serviceError.js';
+
+const preferencesResponse = (preferences) => ({
+    success: true,
+    preferences,
+    categories: Object.keys(NOTIFICATION_CATEGORIES),
+    channels: NOTIFICATION_CHANNELS
+});
+
+/**
+ * GET /api/v1/volunteers/me/notification-preferences
+ * GET /api/v1/students/me/notification-preferences
+ */
+export const getMyNotificationPreferences = async (req, res) => {
+    try {
+        const preferences = await getNotificationPreferences(req.user.id);
+        res.json(preferencesResponse(preferences));
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch notification preferences');
+    }
+};
+
+/**
+ * PUT /api/v1/volunteers/me/notification-preferences
+ * PUT /api/v1/students/me/notification-preferences
+ * Body: any of { channels: { <category>: { <channel>: boolean } }, quietHours: { enabled, start, end }, digest: { enabled, hour } }
+ */
+export const updateMyNotificationPreferences = async (req, res) => {
+    try {
+        const { channels, quietHours, digest } = req.body || {};
+        const preferences = await updateNotificationPreferences(req.user.id, { channels, quietHours, digest });
+        res.json(preferencesResponse(preferences));
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update notification preferences');
+    }
+};
+
+export default {
+    getMyNotificationPreferences,
+    updateMyNotificationPreferences
+};
@@ -0,0 +1,332 @@
+/**
+ * Recording Controller
+ * Participant endpoints for the consented call recording workflow (request, consent, upload, stop)
+ * and the admin playback/audit view. State changes are pushed to the call room over Socket.IO.
+ */
+import pool from '../../../config/database.js';
+import { getIO } from '../../../socket.js';
+import {
+    requestRecording,
+    respondToConsent,
+    startRecording,
+    appendChunk,
+    stopRecording,
+    deleteRecordingMedia,
+    getRecordingFile,
+    getConsents
+} from '../../../services/recordingService.js';
+import { logActivity, getEntityActivity, getRequestIp } from '../../../services/activityLogService.js';
+import { sendServiceError } from '../../../utils/serviceError.js';
+
+/**
+ * Tell everyone in the call room about a recording state change
+ */
+const emitToRoom = (roomId, event, payload) => {
+    try {
+        getIO().to(roomId).emit(event, payload);
+    } catch (error) {
+        console.error(`❌ Could not emit ${event} to room ${roomId}:`, error.message);
+    }
+};
+
+/**
+ * POST /api/v1/recordings/request
+ * Body: { roomId }
+ */
+export const requestCallRecording = async (req, res) => {
+    try {
+        const { roomId } = req.body;
+        if (!roomId) {
+            return res.status(400).json({ error: 'roomId is required' });
+        }
+
+        const { recording, consents, created } = await requestRecording({
+            roomId,
+            user: req.user,
+            ipAddress: getRequestIp(req)
+        });
+
+        if (created) {
+            emitToRoom(recording.room_id, 'recording-consent-request', {
+                recordingId: recording.id,
+                requestedBy: { id: req.user.id, name: req.user.full_name || req.user.fullName, role: req.user.role },
+                consents
+            });
+        }
+
+        res.status(created ? 201 : 200).json({ success: true, recording, consents });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to request recording', ['parentNotified']);
+    }
+};
+
+/**
+ * POST /api/v1/recordings/:id/consent
+ * Body: { granted: boolean }
+ */
+export const respondToRecordingConsent = async (req, res) => {
+    try {
+        if (typeof req.body.granted !== 'boolean') {
+            return res.status(400).json({ error: 'granted must be true or false' });
+        }
+
+        const { recording, consents } = await respondToConsent({
+            recordingId: req.params.id,
+            user: req.user,
+            granted: req.body.granted,
+            ipAddress: getRequestIp(req)
+        });
+
+        emitToRoom(recording.room_id, recording.status === 'completed' ? 'recording-stopped' : 'recording-consent-updated', {
+            recordingId: recording.id,
+            status: recording.status,
+            reason: recording.stop_reason || null,
+            consents
+        });
+
+        res.json({ success: true, recording, consents });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to save recording consent');
+    }
+};
+
+/**
+ * POST /api/v1/recordings/:id/start
+ * Body: { mimeType }
+ */
+export const startCallRecording = async (req, res) => {
+    try {
+        const recording = await startRecording({
+            recordingId: req.params.id,
+            user: req.user,
+            mimeType: req.body.mimeType,
+            ipAddress: getRequestIp(req)
+        });
+
+        emitToRoom(recording.room_id, 'recording-started', {
+            recordingId: recording.id,
+            startedAt: recording.started_at
+        });
+
+        res.json({ success: true, recording });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to start recording');
+    }
+};
+
+/**
+ * POST /api/v1/recordings/:id/chunks?index=N
+ * Raw body: one MediaRecorder data chunk
+ */
+export const uploadRecordingChunk = async (req, res) => {
+    try {
+        const result = await appendChunk({
+            recordingId: req.params.id,
+            user: req.user,
+            index: parseInt(req.query.index, 10),
+            data: req.body
+        });
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to upload recording chunk');
+    }
+};
+
+/**
+ * POST /api/v1/recordings/:id/stop
+ * Body: { reason? }
+ */
+export const stopCallRecording = async (req, res) => {
+    try {
+        const reason = ['stopped', 'call_ended'].includes(req.body.reason) ? req.body.reason : 'stopped';
+        const { recording, consents } = await stopRecording({
+            recordingId: req.params.id,
+            user: req.user,
+            reason,
+            ipAddress: getRequestIp(req)
+        });
+
+        emitToRoom(recording.room_id, 'recording-stopped', {
+            recordingId: recording.id,
+            status: recording.status,
+            reason: recording.stop_reason || reason,
+            consents
+        });
+
+        res.json({ success: true, recording, consents });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to stop recording');
+    }
+};
+
+/**
+ * GET /api/v1/admin/recordings
+ * Query: status, from / to (ISO dates), limit
+ */
+export const getRecordings = async (req, res) => {
+    try {
+        const { status, from, to } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+        const result = await pool.query(`
+            SELECT
+                r.id, r.meeting_id, r.room_id, r.status, r.mime_type, r.size_bytes, r.chunk_count,
+                r.started_at, r.stopped_at, r.stop_reason, r.retention_until, r.deleted_at, r.created_at,
+                m.scheduled_time,
+                v.full_name as volunteer_name,
+                s.full_name as student_name,
+                rb.full_name as requested_by_name,
+                COALESCE(
+                    JSON_AGG(JSON_BUILD_OBJECT(
+                        'user_id', c.user_id,
+                        'consent_type', c.consent_type,
+                        'granted', c.granted,
+                        'responded_at', c.responded_at
+                    ) ORDER BY c.id) FILTER (WHERE c.id IS NOT NULL),
+                    '[]'
+                ) as consents
+            FROM call_recordings r
+            JOIN meetings m ON r.meeting_id = m.id
+            LEFT JOIN users v ON m.volunteer_id = v.id
+            LEFT JOIN users s ON m.student_id = s.id
+            LEFT JOIN users rb ON r.requested_by = rb.id
+            LEFT JOIN call_recording_consents c ON c.recording_id = r.id
+            WHERE ($1::varchar IS NULL OR r.status = $1)
+            AND ($2::timestamptz IS NULL OR r.created_at >= $2)
+            AND ($3::timestamptz IS NULL OR r.created_at <= $3)
+            GROUP BY r.id, m.scheduled_time, v.full_name, s.full_name, rb.full_name
+            ORDER BY r.created_at DESC
+            LIMIT $4
+        `, [status || null, from || null, to || null, limit]);
+
+        const recordings = result.rows.map(row => ({
+            ...row,
+            size_bytes: Number(row.size_bytes),
+            duration_seconds: row.started_at && row.stopped_at
+                ? Math.round((new Date(row.stopped_at) - new Date(row.started_at)) / 1000)
+                : null
+        }));
+
+        res.json({ success: true, recordings });
+    } catch (error) {
+        console.error('Error fetching recordings:', error);
+        res.status(500).json({ error: 'Failed to fetch recordings', details: error.message });
+    }
+};
+
+/**
+ * GET /api/v1/admin/recordings/:id
+ * Recording details, consent answers and its activity_log audit trail
+ */
+export const getRecording = async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT r.*, m.scheduled_time, m.status as meeting_status,
+                   v.full_name as volunteer_name, s.full_name as student_name,
+                   rb.full_name as requested_by_name
+            FROM call_recordings r
+            JOIN meetings m ON r.meeting_id = m.id
+            LEFT JOIN users v ON m.volunteer_id = v.id
+            LEFT JOIN users s ON m.student_id = s.id
+            LEFT JOIN users rb ON r.requested_by = rb.id
+            WHERE r.id = $1
+        `, [req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+
+        const recording = result.rows[0];
+        res.json({
+            success: true,
+            recording: { ...recording, size_bytes: Number(recording.size_bytes) },
+            consents: await getConsents(recording.id),
+            activity: await getEntityActivity('call_recording', recording.id)
+        });
+    } catch (error) {
+        console.error('Error fetching recording:', error);
+        res.status(500).json({ error: 'Failed to fetch recording', details: error.message });
+    }
+};
+
+/**
+ * GET /api/v1/admin/recordings/:id/media
+ * Streams the recording (supports Range requests); every playback is logged
+ */
+export const streamRecording = async (req, res) => {
+    try {
+        const { recording, filePath } = await getRecordingFile(req.params.id);
+
+        // Log the first request of a playback, not every Range request the player makes
+        if (!req.headers.range || /^bytes=0-/.test(req.headers.range)) {
+            await logActivity({
+                userId: req.user.id,
+                userRole: req.user.role,
+                action: 'recording_viewed',
+                entityType: 'call_recording',
+                entityId: recording.id,
+                details: { meetingId: recording.meeting_id },
+                ipAddress: getRequestIp(req)
+            });
+        }
+
+        res.sendFile(filePath, {
+            headers: {
+                'Content-Type': recording.mime_type || 'video/webm',
+                'Cache-Control': 'no-store'
+            }
+        }, (error) => {
+            if (error && !res.headersSent) {
+                res.status(error.code === 'ENOENT' ? 410 : 500).json({ error: 'Recording media is not available' });
+            }
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to stream recording');
+    }
+};
+
+/**
+ * DELETE /api/v1/admin/recordings/:id
+ * Delete a recording before its retention date
+ */
+export const deleteRecording = async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM call_recordings WHERE id = $1', [req.params.id]);
+        const recording = result.rows[0];
+
+        if (!recording) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+        if (recording.status === 'recording') {
+            return res.status(409).json({ error: 'Recording is still in progress' });
+        }
+        if (recording.deleted_at) {
+            return res.status(409).json({ error: 'Recording was already deleted' });
+        }
+
+        await deleteRecordingMedia(recording, {
+            userId: req.user.id,
+            userRole: req.user.role,
+            ipAddress: getRequestIp(req),
+            reason: 'admin_deleted'
+        });
+
+        res.json({ success: true, message: 'Recording deleted' });
+    } catch (error) {
+        console.error('Error deleting recording:', error);
+        res.status(500).json({ error: 'Failed to delete recording', details: error.message });
+    }
+};
+
+export default {
+    requestCallRecording,
+    respondToRecordingConsent,
+    startCallRecording,
+    uploadRecordingChunk,
+    stopCallRecording,
+    getRecordings,
+    getRecording,
+    streamRecording,
+    deleteRecording
+};
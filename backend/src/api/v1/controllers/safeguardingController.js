@@ -0,0 +1,239 @@
+/**
+ * Safeguarding Controller
+ * "Report a concern" endpoint for students and volunteers, and the admin case-management queue
+ */
+import pool from '../../../config/database.js';
+import {
+    INCIDENT_STATUSES,
+    createIncident,
+    updateIncident,
+    addIncidentNote,
+    getIncidentMessages,
+    getIncidentNotes,
+    setSchedulingSuspension
+} from '../../../services/safeguardingService.js';
+import { getEntityActivity, getRequestIp } from '../../../services/activityLogService.js';
+import { sendServiceError } from '../../../utils/serviceError.js';
+
+/**
+ * POST /api/v1/safeguarding/incidents
+ * Body: { meetingId | roomId, category, description, messageIds?, duringCall? }
+ */
+export const reportIncident = async (req, res) => {
+    try {
+        const { meetingId, roomId, category, description, messageIds, duringCall } = req.body;
+
+        const { incident, evidenceCount } = await createIncident({
+            user: req.user,
+            meetingId: meetingId ? parseInt(meetingId, 10) : null,
+            roomId,
+            category,
+            description,
+            messageIds,
+            duringCall,
+            ipAddress: getRequestIp(req)
+        });
+
+        // The reporter only gets a reference; case details stay with the safeguarding team
+        res.status(201).json({
+            success: true,
+            incident: { id: incident.id, status: incident.status, createdAt: incident.created_at },
+            evidenceCount,
+            message: 'Thank you for telling us. Our safeguarding team has been alerted and will follow up.'
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to report concern');
+    }
+};
+
+/**
+ * GET /api/v1/admin/safeguarding/incidents
+ * Query: status ('active' for everything not yet closed), category, limit
+ */
+export const getIncidents = async (req, res) => {
+    try {
+        const { status, category } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+        const statuses = status === 'active'
+            ? ['open', 'investigating', 'escalated']
+            : (INCIDENT_STATUSES.includes(status) ? [status] : null);
+
+        const result = await pool.query(`
+            SELECT
+                i.id, i.meeting_id, i.reporter_role, i.category, i.during_call, i.status,
+                i.assigned_to, i.created_at, i.updated_at, i.resolved_at,
+                m.scheduled_time,
+                reporter.full_name as reporter_name,
+                reported.full_name as reported_name,
+                reported.role as reported_role,
+                reported.scheduling_suspended_at as reported_scheduling_suspended_at,
+                assignee.full_name as assigned_to_name,
+                (SELECT COUNT(*) FROM safeguarding_incidents prior
+                 WHERE prior.reported_user_id = i.reported_user_id AND prior.id <> i.id)::int as other_reports
+            FROM safeguarding_incidents i
+            LEFT JOIN meetings m ON i.meeting_id = m.id
+            LEFT JOIN users reporter ON i.reported_by = reporter.id
+            LEFT JOIN users reported ON i.reported_user_id = reported.id
+            LEFT JOIN users assignee ON i.assigned_to = assignee.id
+            WHERE ($1::varchar[] IS NULL OR i.status = ANY($1))
+            AND ($2::varchar IS NULL OR i.category = $2)
+            ORDER BY
+                CASE i.status WHEN 'escalated' THEN 0 WHEN 'open' THEN 1 WHEN 'investigating' THEN 2 ELSE 3 END,
+                i.created_at DESC
+            LIMIT $3
+        `, [statuses, category || null, limit]);
+
+        const counts = await pool.query(`
+            SELECT status, COUNT(*)::int as count FROM safeguarding_incidents GROUP BY status
+        `);
+
+        res.json({
+            success: true,
+            incidents: result.rows,
+            counts: Object.fromEntries(counts.rows.map(row => [row.status, row.count]))
+        });
+    } catch (error) {
+        console.error('Error fetching safeguarding incidents:', error);
+        res.status(500).json({ error: 'Failed to fetch safeguarding incidents', details: error.message });
+    }
+};
+
+/**
+ * GET /api/v1/admin/safeguarding/incidents/:id
+ * The case with its participants, chat evidence, notes and audit trail
+ */
+export const getIncident = async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT i.*,
+                   m.scheduled_time, m.status as meeting_status,
+                   reporter.full_name as reporter_name, reporter.email as reporter_email,
+                   reported.full_name as reported_name, reported.email as reported_email,
+                   reported.role as reported_role, reported.is_under_18 as reported_is_under_18,
+                   reported.scheduling_suspended_at as reported_scheduling_suspended_at,
+                   reported.scheduling_suspension_reason as reported_scheduling_suspension_reason,
+                   assignee.full_name as assigned_to_name,
+                   resolver.full_name as resolved_by_name
+            FROM safeguarding_incidents i
+            LEFT JOIN meetings m ON i.meeting_id = m.id
+            LEFT JOIN users reporter ON i.reported_by = reporter.id
+            LEFT JOIN users reported ON i.reported_user_id = reported.id
+            LEFT JOIN users assignee ON i.assigned_to = assignee.id
+            LEFT JOIN users resolver ON i.resolved_by = resolver.id
+            WHERE i.id = $1
+        `, [req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Incident not found' });
+        }
+
+        const incident = result.rows[0];
+        const otherReports = await pool.query(`
+            SELECT id, category, status, created_at
+            FROM safeguarding_incidents
+            WHERE reported_user_id = $1 AND id <> $2
+            ORDER BY created_at DESC
+        `, [incident.reported_user_id, incident.id]);
+
+        const admins = await pool.query(`SELECT id, full_name FROM users WHERE role = 'admin' ORDER BY full_name`);
+
+        res.json({
+            success: true,
+            incident,
+            messages: await getIncidentMessages(incident.id),
+            notes: await getIncidentNotes(incident.id),
+            activity: await getEntityActivity('safeguarding_incident', incident.id),
+            otherReports: otherReports.rows,
+            admins: admins.rows
+        });
+    } catch (error) {
+        console.error('Error fetching safeguarding incident:', error);
+        res.status(500).json({ error: 'Failed to fetch safeguarding incident', details: error.message });
+    }
+};
+
+/**
+ * PATCH /api/v1/admin/safeguarding/incidents/:id
+ * Body: { status?, assignedTo?, resolution? }
+ */
+export const updateIncidentCase = async (req, res) => {
+    try {
+        const { status, assignedTo, resolution } = req.body;
+        const incident = await updateIncident({
+            incidentId: req.params.id,
+            admin: req.user,
+            status,
+            assignedTo: assignedTo === undefined ? undefined : (assignedTo ? parseInt(assignedTo, 10) : null),
+            resolution,
+            ipAddress: getRequestIp(req)
+        });
+
+        res.json({ success: true, incident });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update safeguarding incident');
+    }
+};
+
+/**
+ * POST /api/v1/admin/safeguarding/incidents/:id/notes
+ * Body: { note }
+ */
+export const addIncidentCaseNote = async (req, res) => {
+    try {
+        const note = await addIncidentNote({
+            incidentId: req.params.id,
+            admin: req.user,
+            note: req.body.note
+        });
+
+        res.status(201).json({ success: true, note });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to add case note');
+    }
+};
+
+/**
+ * PUT /api/v1/admin/safeguarding/incidents/:id/suspension
+ * Body: { suspended: boolean, reason? } — applies to the reported volunteer
+ */
+export const updateReportedVolunteerSuspension = async (req, res) => {
+    try {
+        if (typeof req.body.suspended !== 'boolean') {
+            return res.status(400).json({ error: 'suspended must be true or false' });
+        }
+
+        const result = await pool.query(
+            'SELECT id, reported_user_id FROM safeguarding_incidents WHERE id = $1',
+            [req.params.id]
+        );
+        const incident = result.rows[0];
+        if (!incident) {
+            return res.status(404).json({ error: 'Incident not found' });
+        }
+        if (!incident.reported_user_id) {
+            return res.status(409).json({ error: 'The reported user no longer exists' });
+        }
+
+        const volunteer = await setSchedulingSuspension({
+            userId: incident.reported_user_id,
+            suspended: req.body.suspended,
+            reason: req.body.suspended ? (req.body.reason || `Safeguarding incident #${incident.id}`) : null,
+            incidentId: incident.id,
+            actor: { userId: req.user.id, userRole: req.user.role, ipAddress: getRequestIp(req) }
+        });
+
+        res.json({ success: true, volunteer });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update scheduling suspension');
+    }
+};
+
+export default {
+    reportIncident,
+    getIncidents,
+    getIncident,
+    updateIncidentCase,
+    addIncidentCaseNote,
+    updateReportedVolunteerSuspension
+};
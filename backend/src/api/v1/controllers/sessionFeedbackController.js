@@ -0,0 +1,57 @@
+/**
+ * Session Feedback Controller
+ * Post-call survey submitted by the student and the volunteer when a session ends
+ */
+import { submitFeedback } from '../../../services/sessionFeedbackService.js';
+import { parseSkillLevels, recordSessionProgress } from '../../../services/studentProgressService.js';
+import { getRequestIp } from '../../../services/activityLogService.js';
+
+/**
+ * POST /api/v1/meeting/:meetingId/feedback
+ * Body (student): { rating, comment? }
+ * Body (volunteer): { engagement, englishLevel, skills?, comment? }
+ * The volunteer's skill levels ({ speaking: 'B1', ... }) and comment update the student's progress record
+ */
+export const submitSessionFeedback = async (req, res) => {
+    try {
+        const { rating, engagement, englishLevel, skills, comment } = req.body;
+        const isVolunteer = req.user.role === 'volunteer';
+        const skillLevels = isVolunteer ? parseSkillLevels(skills) : {};
+
+        const { feedback, updated } = await submitFeedback({
+            meetingRef: req.params.meetingId,
+            user: req.user,
+            rating,
+            engagement,
+            englishLevel,
+            comment,
+            ipAddress: getRequestIp(req)
+        });
+
+        if (isVolunteer && feedback.subject_id) {
+            await recordSessionProgress({
+                meetingId: feedback.meeting_id,
+                studentId: feedback.subject_id,
+                volunteerId: req.user.id,
+                skills: skillLevels,
+                notes: comment
+            });
+        }
+
+        res.status(updated ? 200 : 201).json({
+            success: true,
+            feedback,
+            message: 'Thank you for your feedback!'
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Error saving session feedback:', error);
+        res.status(500).json({ error: 'Failed to save session feedback', details: error.message });
+    }
+};
+
+export default {
+    submitSessionFeedback
+};
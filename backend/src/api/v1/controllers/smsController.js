@@ -0,0 +1,106 @@
+/**
+ * SMS Controller
+ * Providers' delivery receipts, the admin SMS log, and SMS-only contacts (parents and school coordinators)
+ */
+import {
+    recordDeliveryReport,
+    isValidCallbackToken,
+    listSmsMessages,
+    listSmsContacts,
+    createSmsContact,
+    updateSmsContact,
+    deleteSmsContact
+} from '../../../services/smsService.js';
+import { getAuditActor } from '../../../services/activityLogService.js';
+import { sendServiceError } from '../../../utils/serviceError.js';
+
+/**
+ * POST /api/v1/sms/delivery-reports/:provider
+ * Public; called by the SMS provider. Query: token (when SMS_CALLBACK_TOKEN is set)
+ */
+export const receiveDeliveryReport = async (req, res) => {
+    if (!isValidCallbackToken(req.query.token)) {
+        return res.status(403).json({ error: 'Invalid callback token', code: 'INVALID_CALLBACK_TOKEN' });
+    }
+
+    try {
+        const result = await recordDeliveryReport(req.params.provider, req.body || {});
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to record delivery report');
+    }
+};
+
+/**
+ * GET /api/v1/admin/sms/messages
+ * Query: status?, purpose?
+ */
+export const getSmsMessages = async (req, res) => {
+    try {
+        const { status, purpose } = req.query;
+        const log = await listSmsMessages({ status, purpose });
+        res.json({ success: true, ...log });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch SMS messages');
+    }
+};
+
+/**
+ * GET /api/v1/admin/sms/contacts
+ * Query: studentId?
+ */
+export const getSmsContacts = async (req, res) => {
+    try {
+        const studentId = parseInt(req.query.studentId, 10) || null;
+        const contacts = await listSmsContacts({ studentId });
+        res.json({ success: true, contacts });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch SMS contacts');
+    }
+};
+
+/**
+ * POST /api/v1/admin/sms/contacts
+ * Body: { contactType, fullName, phone, studentId?, schoolGrade?, locale?, meetingReminders? }
+ */
+export const addSmsContact = async (req, res) => {
+    try {
+        const contact = await createSmsContact(req.body, getAuditActor(req));
+        res.status(201).json({ success: true, contact, message: 'SMS contact added successfully' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to add SMS contact');
+    }
+};
+
+/**
+ * PUT /api/v1/admin/sms/contacts/:id
+ */
+export const editSmsContact = async (req, res) => {
+    try {
+        const contact = await updateSmsContact(parseInt(req.params.id, 10) || 0, req.body, getAuditActor(req));
+        res.json({ success: true, contact, message: 'SMS contact updated successfully' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update SMS contact');
+    }
+};
+
+/**
+ * DELETE /api/v1/admin/sms/contacts/:id
+ */
+export const removeSmsContact = async (req, res) => {
+    try {
+        await deleteSmsContact(parseInt(req.params.id, 10) || 0, getAuditActor(req));
+        res.json({ success: true, message: 'SMS contact deleted successfully' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to delete SMS contact');
+    }
+};
+
+export default {
+    receiveDeliveryReport,
+    getSmsMessages,
+    getSmsContacts,
+    addSmsContact,
+    editSmsContact,
+    removeSmsContact
+};
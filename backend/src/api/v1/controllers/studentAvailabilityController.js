@@ -0,0 +1,355 @@
+/**
+ * Student Availability Controller
+ * Admin management of student (or class) weekly availability and the school calendar
+ * (term dates, holidays, exams). Enforcement lives in services/studentAvailabilityService.js,
+ * which the meeting-service also asks through the internal API.
+ */
+import pool from '../../../config/database.js';
+import { isValidTimezone } from '../../../utils/timezoneUtils.js';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CALENDAR_EVENT_TYPES = ['term', 'holiday', 'exam'];
+
+/**
+ * Validate an availability window payload
+ * @param {Object} body
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateWindow = ({ dayOfWeek, startTime, endTime, timezone }) => {
+    const day = Number(dayOfWeek);
+    if (!Number.isInteger(day) || day < 0 || day > 6) {
+        return 'dayOfWeek must be between 0 (Sunday) and 6 (Saturday)';
+    }
+    if (!TIME_PATTERN.test(startTime || '') || !TIME_PATTERN.test(endTime || '')) {
+        return 'startTime and endTime are required in HH:MM format';
+    }
+    if (startTime >= endTime) {
+        return 'endTime must be after startTime';
+    }
+    if (timezone && !isValidTimezone(timezone)) {
+        return 'Invalid timezone';
+    }
+    return null;
+};
+
+/**
+ * Validate a school calendar entry payload
+ * @param {Object} body
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateCalendarEvent = ({ name, eventType, startDate, endDate }) => {
+    if (!name || !String(name).trim()) {
+        return 'name is required';
+    }
+    if (!CALENDAR_EVENT_TYPES.includes(eventType)) {
+        return `eventType must be one of: ${CALENDAR_EVENT_TYPES.join(', ')}`;
+    }
+    if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '')) {
+        return 'startDate and endDate are required in YYYY-MM-DD format';
+    }
+    if (endDate < startDate) {
+        return 'endDate must be on or after startDate';
+    }
+    return null;
+};
+
+const CALENDAR_COLUMNS = `
+    id, name, event_type, school_grade, notes,
+    to_char(start_date, 'YYYY-MM-DD') as start_date,
+    to_char(end_date, 'YYYY-MM-DD') as end_date,
+    created_at, updated_at
+`;
+
+// ============================================
+// Availability windows
+// ============================================
+
+/**
+ * List availability windows
+ * Query: studentId or schoolGrade to filter; no filter returns every window
+ */
+export const getStudentAvailability = async (req, res) => {
+    try {
+        const { studentId, schoolGrade } = req.query;
+
+        const result = await pool.query(`
+            SELECT sa.*, u.full_name as student_name
+            FROM student_availability sa
+            LEFT JOIN users u ON sa.student_id = u.id
+            WHERE ($1::integer IS NULL OR sa.student_id = $1)
+            AND ($2::varchar IS NULL OR sa.school_grade = $2)
+            ORDER BY sa.school_grade NULLS LAST, u.full_name, sa.day_of_week, sa.start_time
+        `, [studentId || null, schoolGrade || null]);
+
+        const gradesResult = await pool.query(`
+            SELECT DISTINCT school_grade
+            FROM users
+            WHERE role = 'student' AND school_grade IS NOT NULL AND school_grade <> ''
+            ORDER BY school_grade
+        `);
+
+        res.json({
+            success: true,
+            availability: result.rows,
+            grades: gradesResult.rows.map(r => r.school_grade)
+        });
+    } catch (error) {
+        console.error('Error fetching student availability:', error);
+        res.status(500).json({ error: 'Failed to fetch student availability', details: error.message });
+    }
+};
+
+/**
+ * Create an availability window for a student or a class
+ * Body: { studentId | schoolGrade, dayOfWeek, startTime, endTime, timezone }
+ */
+export const createStudentAvailability = async (req, res) => {
+    try {
+        const { studentId, schoolGrade, dayOfWeek, startTime, endTime, timezone } = req.body;
+
+        if (!studentId === !schoolGrade) {
+            return res.status(400).json({ error: 'Provide either studentId or schoolGrade' });
+        }
+
+        const validationError = validateWindow(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        // Students may be referenced by users.id or by the legacy students table id
+        let studentUserId = null;
+        if (studentId) {
+            const studentResult = await pool.query(`
+                SELECT id FROM users WHERE id = $1 AND role = 'student'
+                UNION ALL
+                SELECT user_id FROM students WHERE id = $1 AND user_id IS NOT NULL
+                LIMIT 1
+            `, [studentId]);
+            if (studentResult.rows.length === 0) {
+                return res.status(404).json({ error: 'Student not found' });
+            }
+            studentUserId = studentResult.rows[0].id;
+        }
+
+        const result = await pool.query(`
+            INSERT INTO student_availability
+                (student_id, school_grade, day_of_week, start_time, end_time, timezone, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `, [
+            studentUserId,
+            schoolGrade || null,
+            Number(dayOfWeek),
+            startTime,
+            endTime,
+            timezone || 'Africa/Nairobi',
+            req.user.id
+        ]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Availability window created successfully',
+            availability: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error creating student availability:', error);
+        res.status(500).json({ error: 'Failed to create availability window', details: error.message });
+    }
+};
+
+/**
+ * Update an availability window
+ */
+export const updateStudentAvailability = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { dayOfWeek, startTime, endTime, timezone, isActive } = req.body;
+
+        const existing = await pool.query('SELECT * FROM student_availability WHERE id = $1', [id]);
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ error: 'Availability window not found' });
+        }
+        const current = existing.rows[0];
+
+        const merged = {
+            dayOfWeek: dayOfWeek ?? current.day_of_week,
+            startTime: startTime ?? String(current.start_time).slice(0, 5),
+            endTime: endTime ?? String(current.end_time).slice(0, 5),
+            timezone: timezone ?? current.timezone
+        };
+        const validationError = validateWindow(merged);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const result = await pool.query(`
+            UPDATE student_availability
+            SET day_of_week = $2, start_time = $3, end_time = $4, timezone = $5,
+                is_active = COALESCE($6, is_active), updated_at = NOW()
+            WHERE id = $1
+            RETURNING *
+        `, [id, Number(merged.dayOfWeek), merged.startTime, merged.endTime, merged.timezone, isActive ?? null]);
+
+        res.json({
+            success: true,
+            message: 'Availability window updated successfully',
+            availability: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error updating student availability:', error);
+        res.status(500).json({ error: 'Failed to update availability window', details: error.message });
+    }
+};
+
+/**
+ * Delete an availability window
+ */
+export const deleteStudentAvailability = async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM student_availability WHERE id = $1 RETURNING id',
+            [req.params.id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Availability window not found' });
+        }
+
+        res.json({ success: true, message: 'Availability window deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting student availability:', error);
+        res.status(500).json({ error: 'Failed to delete availability window', details: error.message });
+    }
+};
+
+// ============================================
+// School calendar (terms, holidays, exams)
+// ============================================
+
+/**
+ * List school calendar entries
+ * Query: from / to (YYYY-MM-DD) to limit to entries overlapping a range
+ */
+export const getSchoolCalendar = async (req, res) => {
+    try {
+        const { from, to } = req.query;
+
+        const result = await pool.query(`
+            SELECT ${CALENDAR_COLUMNS}
+            FROM school_calendar
+            WHERE ($1::date IS NULL OR end_date >= $1)
+            AND ($2::date IS NULL OR start_date <= $2)
+            ORDER BY start_date, event_type
+        `, [from || null, to || null]);
+
+        res.json({ success: true, events: result.rows });
+    } catch (error) {
+        console.error('Error fetching school calendar:', error);
+        res.status(500).json({ error: 'Failed to fetch school calendar', details: error.message });
+    }
+};
+
+/**
+ * Create a school calendar entry
+ * Body: { name, eventType, startDate, endDate, schoolGrade?, notes? }
+ */
+export const createSchoolCalendarEvent = async (req, res) => {
+    try {
+        const validationError = validateCalendarEvent(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { name, eventType, startDate, endDate, schoolGrade, notes } = req.body;
+        const result = await pool.query(`
+            INSERT INTO school_calendar (name, event_type, start_date, end_date, school_grade, notes, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING ${CALENDAR_COLUMNS}
+        `, [String(name).trim(), eventType, startDate, endDate, schoolGrade || null, notes || null, req.user.id]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Calendar entry created successfully',
+            event: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error creating school calendar entry:', error);
+        res.status(500).json({ error: 'Failed to create calendar entry', details: error.message });
+    }
+};
+
+/**
+ * Update a school calendar entry
+ */
+export const updateSchoolCalendarEvent = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existing = await pool.query(`SELECT ${CALENDAR_COLUMNS} FROM school_calendar WHERE id = $1`, [id]);
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ error: 'Calendar entry not found' });
+        }
+        const current = existing.rows[0];
+
+        const merged = {
+            name: req.body.name ?? current.name,
+            eventType: req.body.eventType ?? current.event_type,
+            startDate: req.body.startDate ?? current.start_date,
+            endDate: req.body.endDate ?? current.end_date,
+            schoolGrade: req.body.schoolGrade !== undefined ? req.body.schoolGrade : current.school_grade,
+            notes: req.body.notes !== undefined ? req.body.notes : current.notes
+        };
+        const validationError = validateCalendarEvent(merged);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const result = await pool.query(`
+            UPDATE school_calendar
+            SET name = $2, event_type = $3, start_date = $4, end_date = $5,
+                school_grade = $6, notes = $7, updated_at = NOW()
+            WHERE id = $1
+            RETURNING ${CALENDAR_COLUMNS}
+        `, [id, String(merged.name).trim(), merged.eventType, merged.startDate, merged.endDate, merged.schoolGrade || null, merged.notes || null]);
+
+        res.json({
+            success: true,
+            message: 'Calendar entry updated successfully',
+            event: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error updating school calendar entry:', error);
+        res.status(500).json({ error: 'Failed to update calendar entry', details: error.message });
+    }
+};
+
+/**
+ * Delete a school calendar entry
+ */
+export const deleteSchoolCalendarEvent = async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM school_calendar WHERE id = $1 RETURNING id',
+            [req.params.id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Calendar entry not found' });
+        }
+
+        res.json({ success: true, message: 'Calendar entry deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting school calendar entry:', error);
+        res.status(500).json({ error: 'Failed to delete calendar entry', details: error.message });
+    }
+};
+
+export default {
+    getStudentAvailability,
+    createStudentAvailability,
+    updateStudentAvailability,
+    deleteStudentAvailability,
+    getSchoolCalendar,
+    createSchoolCalendarEvent,
+    updateSchoolCalendarEvent,
+    deleteSchoolCalendarEvent
+};
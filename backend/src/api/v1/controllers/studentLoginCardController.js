@@ -0,0 +1,93 @@
+/**
+ * Student Login Card Controller
+ * Admin endpoints to issue, rotate and revoke a student's QR login card and clear PIN lockouts
+ */
+import {
+    getLoginCardStatus,
+    issueLoginCard,
+    revokeLoginCard,
+    unlockStudentLogin
+} from '../../../services/studentLoginCardService.js';
+import { getRequestIp } from '../../../services/activityLogService.js';
+import { sendServiceError } from '../../../utils/serviceError.js';
+
+/**
+ * GET /api/v1/admin/students/:id/login-card
+ */
+export const getStudentLoginCard = async (req, res) => {
+    try {
+        const status = await getLoginCardStatus(req.params.id);
+        res.json({ success: true, ...status });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch login card');
+    }
+};
+
+/**
+ * POST /api/v1/admin/students/:id/login-card
+ * Issues a new card and PIN (rotating any current card). The PIN is only returned here.
+ */
+export const issueStudentLoginCard = async (req, res) => {
+    try {
+        const { card, pin, replacedCardId } = await issueLoginCard({
+            studentId: req.params.id,
+            admin: req.user,
+            ipAddress: getRequestIp(req)
+        });
+
+        res.status(201).json({
+            success: true,
+            card,
+            pin,
+            rotated: !!replacedCardId,
+            message: replacedCardId
+                ? 'New login card issued. The previous card no longer works.'
+                : 'Login card issued.'
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to issue login card');
+    }
+};
+
+/**
+ * DELETE /api/v1/admin/students/:id/login-card
+ * Body: { reason? }
+ */
+export const revokeStudentLoginCard = async (req, res) => {
+    try {
+        const card = await revokeLoginCard({
+            studentId: req.params.id,
+            admin: req.user,
+            reason: req.body?.reason,
+            ipAddress: getRequestIp(req)
+        });
+
+        res.json({ success: true, card, message: 'Login card revoked' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to revoke login card');
+    }
+};
+
+/**
+ * POST /api/v1/admin/students/:id/login-unlock
+ */
+export const unlockStudentLoginCard = async (req, res) => {
+    try {
+        await unlockStudentLogin({
+            studentId: req.params.id,
+            admin: req.user,
+            ipAddress: getRequestIp(req)
+        });
+
+        res.json({ success: true, message: 'Student login unlocked' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to unlock student login');
+    }
+};
+
+export default {
+    getStudentLoginCard,
+    issueStudentLoginCard,
+    revokeStudentLoginCard,
+    unlockStudentLoginCard
+};
@@ -0,0 +1,83 @@
+/**
+ * Student Progress Controller
+ * Students' own progress record, and admin views of any student's progress and goals
+ */
+import {
+    getStudentProgress,
+    createStudentGoal,
+    updateStudentGoal,
+    deleteStudentGoal
+} from '../../../services/studentProgressService.js';
+import { getAuditActor } from '../../../services/activityLogService.js';
+import { sendServiceError } from '../../../utils/serviceError.js';
+
+/**
+ * GET /api/v1/students/me/progress
+ */
+export const getMyProgress = async (req, res) => {
+    try {
+        const progress = await getStudentProgress(req.user.id);
+        res.json({ success: true, ...progress });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch progress');
+    }
+};
+
+/**
+ * GET /api/v1/admin/students/:id/progress
+ * :id is the student's user id
+ */
+export const getStudentProgressForAdmin = async (req, res) => {
+    try {
+        const progress = await getStudentProgress(req.params.id);
+        res.json({ success: true, ...progress });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch student progress');
+    }
+};
+
+/**
+ * POST /api/v1/admin/students/:id/goals
+ * Body: { title, skill?, targetLevel? }
+ */
+export const addStudentGoal = async (req, res) => {
+    try {
+        const goal = await createStudentGoal(req.params.id, req.body, getAuditActor(req));
+        res.status(201).json({ success: true, goal, message: 'Goal added' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to add goal');
+    }
+};
+
+/**
+ * PUT /api/v1/admin/students/:id/goals/:goalId
+ * Body: { title?, skill?, targetLevel?, status? }
+ */
+export const editStudentGoal = async (req, res) => {
+    try {
+        const goal = await updateStudentGoal(req.params.id, req.params.goalId, req.body, getAuditActor(req));
+        res.json({ success: true, goal, message: 'Goal updated' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update goal');
+    }
+};
+
+/**
+ * DELETE /api/v1/admin/students/:id/goals/:goalId
+ */
+export const removeStudentGoal = async (req, res) => {
+    try {
+        await deleteStudentGoal(req.params.id, req.params.goalId, getAuditActor(req));
+        res.json({ success: true, message: 'Goal deleted' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to delete goal');
+    }
+};
+
+export default {
+    getMyProgress,
+    getStudentProgressForAdmin,
+    addStudentGoal,
+    editStudentGoal,
+    removeStudentGoal
+};
@@ -8,6 +8,12 @@ import pool from '../../../config/database.js';
 import bcrypt from 'bcrypt';
 import * as notificationService from '../../../services/notificationService.js';
 import { getIO } from '../../../socket.js';
+import { checkStudentAvailability } from '../../../services/studentAvailabilityService.js';
+import { getSchedulingSuspension } from '../../../services/safeguardingService.js';
+import { getVolunteerRatingSummary } from '../../../services/sessionFeedbackService.js';
+import { withAuditActor, getAuditActor } from '../../../services/activityLogService.js';
+import { checkVolunteerPerformance } from '../../../services/businessRules.js';
+import { assignLessonPlan } from '../../../services/lessonPlanService.js';
 
 // Local placeholder image for students (Volunteer Dashboard default)
 const PLACEHOLDER_LOCAL = '/images/default-profile.svg';
@@ -466,7 +472,9 @@ export const getVolunteerPerformance = async (req, res) => {
         let reputationScore = 100;
         reputationScore -= (cancelledRate * 1.5); // Heavy penalty for cancellations
         reputationScore -= (missedRate * 2); // Even heavier penalty for missing calls
-        reputationScore = Math.max(0, Math.round(reputationScore));
+        const studentRatings = await getVolunteerRatingSummary(volunteerId);
+        reputationScore += studentRatings.adjustment; // Recent post-call ratings from students
+        reputationScore = Math.min(100, Math.max(0, Math.round(reputationScore)));
         
         // Determine performance tier
         let performanceTier, tierColor, tierIcon;
@@ -554,6 +562,9 @@ export const getVolunteerPerformance = async (req, res) => {
                 
                 // Reputation and tier
                 reputationScore,
+                averageStudentRating: studentRatings.averageRating,
+                studentRatingCount: studentRatings.ratingCount,
+                ratingAdjustment: studentRatings.adjustment,
                 performanceTier,
                 tierColor,
                 tierIcon,
@@ -760,16 +771,20 @@ export const getStudentProfile = async (req, res) => {
             SELECT s.id, s.user_id, s.full_name, s.admission_number,
                    s.age, s.gender, s.photo_url,
                    s.bio, s.story, s.is_available,
-                   s.gallery
+                   s.gallery,
+                   u.english_level, u.learning_goals, u.preferred_topics, u.interests
             FROM students s
+            LEFT JOIN users u ON u.id = s.user_id
             WHERE s.id = $1 OR s.user_id = $1
             LIMIT 1;
         ` : `
             SELECT s.id, s.user_id, s.full_name, s.admission_number,
                    s.age, s.gender, s.photo_url,
                    s.bio, s.story, s.is_available,
-                   s.gallery
+                   s.gallery,
+                   u.english_level, u.learning_goals, u.preferred_topics, u.interests
             FROM students s
+            LEFT JOIN users u ON u.id = s.user_id
             WHERE s.admission_number = $1;
         `;
 
@@ -796,7 +811,7 @@ export const getStudentProfile = async (req, res) => {
                 userId: student.user_id,
                 name: student.full_name || 'Student Name Not Available',
                 profileImage: sanitizeImageUrl(student.photo_url) || placeholderImage,
-                interests: 'English conversation practice', // Default value
+                interests: student.interests || 'English conversation practice',
                 bio: student.bio || 'No biography available for this student.',
                 story: student.story || 'No story available.',
                 age: student.age || 'Age not specified',
@@ -805,9 +820,9 @@ export const getStudentProfile = async (req, res) => {
                 location: 'Kenya', // Default location
                 gallery: gallery,
                 isAvailable: student.is_available !== false, // Default to true if not specified
-                englishLevel: 'Beginner', // Default level
-                learningGoals: 'Improve English conversation skills', // Default goals
-                preferredTopics: 'General conversation' // Default topics
+                englishLevel: student.english_level || 'Beginner',
+                learningGoals: student.learning_goals || 'Improve English conversation skills',
+                preferredTopics: student.preferred_topics || 'General conversation'
             }
         });
     } catch (error) {
@@ -843,7 +858,17 @@ export const createMeeting = async (req, res) => {
         if (!timeRegex.test(time)) {
             return res.status(400).json({ error: 'Invalid time format. Use HH:MM' });
         }
-        
+
+        // Volunteers under a safeguarding review can't book new calls
+        const suspension = await getSchedulingSuspension(volunteerId);
+        if (suspension.suspended) {
+            return res.status(403).json({
+                error: 'Scheduling suspended',
+                message: 'Your ability to schedule new calls is on hold while our team reviews a report. Please contact support.',
+                code: 'SCHEDULING_SUSPENDED'
+            });
+        }
+
         // Check if student exists - check users table first, then students table
         let student = null;
         let actualStudentId = studentId;
@@ -906,46 +931,13 @@ export const createMeeting = async (req, res) => {
         }
 
         // Check volunteer performance restrictions (exclude admin-cleared meetings)
-        const performanceQuery = `
-            SELECT
-                COUNT(*) FILTER (WHERE status = 'completed') as completed_calls,
-                COUNT(*) FILTER (WHERE status = 'canceled') as cancelled_calls,
-                COUNT(*) FILTER (WHERE status = 'cancelled') as cancelled_calls_alt,
-                COUNT(*) FILTER (WHERE status = 'missed') as missed_calls,
-                COUNT(*) FILTER (WHERE status IN ('completed', 'canceled', 'cancelled', 'missed')) as total_scheduled
-            FROM meetings
-            WHERE volunteer_id = $1 AND scheduled_time < NOW()
-            AND (cleared_by_admin IS NULL OR cleared_by_admin = FALSE)
-        `;
-        
-        const { rows: performanceRows } = await pool.query(performanceQuery, [volunteerId]);
-        const metrics = performanceRows[0];
-        
-        // Calculate rates for restriction check
-        const cancelledCalls = parseInt(metrics.cancelled_calls) + parseInt(metrics.cancelled_calls_alt);
-        const completedCalls = parseInt(metrics.completed_calls);
-        const missedCalls = parseInt(metrics.missed_calls);
-        const totalScheduled = parseInt(metrics.total_scheduled);
-        
-        if (totalScheduled > 0) {
-            const cancelledRate = Math.round((cancelledCalls / totalScheduled) * 100);
-            const missedRate = Math.round((missedCalls / totalScheduled) * 100);
-            const reputationScore = Math.max(0, Math.round(100 - (cancelledRate * 1.5) - (missedRate * 2)));
-            
-            // Enforce restrictions based on performance
-            if (cancelledRate >= 40 || missedRate >= 30 || reputationScore < 30) {
-                return res.status(403).json({ 
-                    error: 'Account temporarily restricted',
-                    message: 'Your account is temporarily restricted from scheduling new calls due to high cancellation/missed call rates. Please contact support to resolve this issue.',
-                    performanceData: {
-                        cancelledRate,
-                        missedRate,
-                        reputationScore,
-                        totalCalls: totalScheduled,
-                        restriction: 'critical'
-                    }
-                });
-            }
+        const { restricted, performanceData } = await checkVolunteerPerformance(volunteerId);
+        if (restricted) {
+            return res.status(403).json({ 
+                error: 'Account temporarily restricted',
+                message: 'Your account is temporarily restricted from scheduling new calls due to high cancellation/missed call rates. Please contact support to resolve this issue.',
+                performanceData
+            });
         }
         
         // Format the scheduled time from date and time fields
@@ -957,6 +949,16 @@ export const createMeeting = async (req, res) => {
         if (scheduledDateTime <= now) {
             return res.status(400).json({ error: 'Cannot schedule meetings in the past' });
         }
+
+        // Enforce student availability windows, term dates, holidays and exams
+        const studentAvailability = await checkStudentAvailability(effectiveStudentId, scheduledDateTime);
+        if (!studentAvailability.available) {
+            return res.status(409).json({
+                error: studentAvailability.error,
+                reason: studentAvailability.reason,
+                event: studentAvailability.event
+            });
+        }
         
         // Check for existing meeting conflicts for this student at the same time
         const conflictQuery = `
@@ -1017,12 +1019,16 @@ export const createMeeting = async (req, res) => {
             roomId
         };
         
-        const meeting = await Meeting.create(meetingData);
+        const meeting = await withAuditActor(getAuditActor(req), client => Meeting.create(meetingData, client));
+
+        // Suggest a lesson plan so the volunteer can prepare
+        try {
+            await assignLessonPlan(meeting);
+        } catch (planError) {
+            console.error('Error suggesting lesson plan:', planError);
+        }
 
-        // Format meeting time for notification messages
         const meetingDateObj = new Date(meeting.scheduled_time);
-        const dateStr = meetingDateObj.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
-        const timeStr = meetingDateObj.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
         const volunteerName = req.user.full_name || req.user.fullName || 'A volunteer';
         const studentName = student.full_name || 'Student';
 
@@ -1032,26 +1038,30 @@ export const createMeeting = async (req, res) => {
             await notificationService.sendNotification({
                 recipient_id: volunteerId,
                 recipient_role: 'volunteer',
-                title: 'Meeting Scheduled',
-                message: `Your meeting with ${studentName} is set for ${dateStr} at ${timeStr}.`,
+                template: {
+                    key: 'meeting_booked_volunteer',
+                    params: { studentName, time: meetingDateObj }
+                },
                 type: 'meeting_scheduled',
                 priority: 'low',
                 metadata: { meeting_id: meeting.id, student_name: studentName, scheduled_time: meeting.scheduled_time }
-            }, ['in-app'], {
+            }, ['in-app', 'email'], {
                 persistent: true,
                 action_url: '/volunteer/dashboard/upcoming'
             });
 
             // Notify student
-            await notificationService.sendNotification({
+            const studentNotification = await notificationService.sendNotification({
                 recipient_id: effectiveStudentId,
                 recipient_role: 'student',
-                title: 'New Meeting Scheduled',
-                message: `${volunteerName} scheduled a meeting with you for ${dateStr} at ${timeStr}.`,
+                template: {
+                    key: 'meeting_booked_student',
+                    params: { volunteerName, time: meetingDateObj }
+                },
                 type: 'meeting_scheduled',
                 priority: 'high',
                 metadata: { meeting_id: meeting.id, volunteer_name: volunteerName, scheduled_time: meeting.scheduled_time }
-            }, ['in-app', 'push'], {
+            }, ['in-app', 'push', 'email'], {
                 persistent: true,
                 action_url: '/student/dashboard'
             });
@@ -1061,7 +1071,7 @@ export const createMeeting = async (req, res) => {
             if (io) {
                 io.to(`user_${effectiveStudentId}`).emit('meeting-scheduled', {
                     meeting_id: meeting.id,
-                    message: `${volunteerName} scheduled a meeting with you for ${dateStr} at ${timeStr}.`,
+                    message: studentNotification.message,
                     scheduledTime: meeting.scheduled_time,
                     volunteerName
                 });
@@ -1140,24 +1150,6 @@ export const getVolunteerSettings = async (req, res) => {
                 display_timezone_preference: settings.display_timezone_preference || 'local',
                 dst_handling: settings.dst_handling !== false,
 
-                // Notifications
-                email_notifications: settings.email_notifications || {
-                    meeting_scheduled: true,
-                    meeting_reminder: true,
-                    meeting_cancelled: true,
-                    meeting_rescheduled: true,
-                    system_updates: false,
-                    new_student_alerts: false
-                },
-                sms_notifications: settings.sms_notifications || {
-                    meeting_reminder: false,
-                    urgent_changes: false
-                },
-                browser_notifications: settings.browser_notifications || {
-                    meeting_reminder: true,
-                    meeting_scheduled: true,
-                    instant_calls: true
-                },
                 reminder_timings: settings.reminder_timings || [60, 30, 5]
             }
         });
@@ -1183,25 +1175,20 @@ export const updateVolunteerSettings = async (req, res) => {
         const values = [];
         let paramCount = 1;
 
-        // Map of allowed fields to update
+        // Map of allowed fields to update; notification channels are set through
+        // /volunteers/me/notification-preferences (notificationPreferenceService)
         const allowedFields = [
             'theme_mode', 'font_size', 'zoom_level',
             'max_meetings_per_day', 'max_meetings_per_week',
             'advance_notice_hours', 'auto_accept_meetings',
             'primary_timezone', 'display_timezone_preference', 'dst_handling',
-            'email_notifications', 'sms_notifications', 'browser_notifications',
             'reminder_timings'
         ];
 
         for (const field of allowedFields) {
             if (updates[field] !== undefined) {
                 updateFields.push(`${field} = $${paramCount}`);
-                // Handle JSONB fields
-                if (['email_notifications', 'sms_notifications', 'browser_notifications'].includes(field)) {
-                    values.push(JSON.stringify(updates[field]));
-                } else {
-                    values.push(updates[field]);
-                }
+                values.push(updates[field]);
                 paramCount++;
             }
         }
@@ -1247,23 +1234,6 @@ export const updateVolunteerSettings = async (req, res) => {
                     primary_timezone: settings.primary_timezone || 'UTC',
                     display_timezone_preference: settings.display_timezone_preference || 'local',
                     dst_handling: settings.dst_handling !== false,
-                    email_notifications: settings.email_notifications || {
-                        meeting_scheduled: true,
-                        meeting_reminder: true,
-                        meeting_cancelled: true,
-                        meeting_rescheduled: true,
-                        system_updates: false,
-                        new_student_alerts: false
-                    },
-                    sms_notifications: settings.sms_notifications || {
-                        meeting_reminder: false,
-                        urgent_changes: false
-                    },
-                    browser_notifications: settings.browser_notifications || {
-                        meeting_reminder: true,
-                        meeting_scheduled: true,
-                        instant_calls: true
-                    },
                     reminder_timings: settings.reminder_timings || [60, 30, 5]
                 }
             });
@@ -1284,23 +1254,6 @@ export const updateVolunteerSettings = async (req, res) => {
                 primary_timezone: settings.primary_timezone || 'UTC',
                 display_timezone_preference: settings.display_timezone_preference || 'local',
                 dst_handling: settings.dst_handling !== false,
-                email_notifications: settings.email_notifications || {
-                    meeting_scheduled: true,
-                    meeting_reminder: true,
-                    meeting_cancelled: true,
-                    meeting_rescheduled: true,
-                    system_updates: false,
-                    new_student_alerts: false
-                },
-                sms_notifications: settings.sms_notifications || {
-                    meeting_reminder: false,
-                    urgent_changes: false
-                },
-                browser_notifications: settings.browser_notifications || {
-                    meeting_reminder: true,
-                    meeting_scheduled: true,
-                    instant_calls: true
-                },
                 reminder_timings: settings.reminder_timings || [60, 30, 5]
             }
         });
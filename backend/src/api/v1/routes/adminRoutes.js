@@ -1,4 +1,5 @@
 import express from 'express';
+import multer from 'multer';
 import {
     signup,
     login,
@@ -9,6 +10,8 @@ import {
     getAllStudents,
     getStudent,
     createStudent,
+    importStudents,
+    exportStudents,
     updateStudent,
     deleteStudent,
     deleteAllStudents,
@@ -17,24 +20,112 @@ import {
     clearVolunteerRecord,
     getVolunteerDetails,
     deleteVolunteer,
+    revokeUserSessions,
     getVolunteerActivity,
     getAnalyticsSystemStats,
     getAnalyticsMeetingStats,
     getAnalyticsTopVolunteers,
     getAnalyticsStudentEngagement,
+    getAnalyticsFeedbackSummary,
     getAllSettings,
     getSettingsByCategory,
     updateSetting,
     updateSettings,
     invalidateSettingsCache
 } from '../controllers/adminController.js';
+import {
+    getStudentAvailability,
+    createStudentAvailability,
+    updateStudentAvailability,
+    deleteStudentAvailability,
+    getSchoolCalendar,
+    createSchoolCalendarEvent,
+    updateSchoolCalendarEvent,
+    deleteSchoolCalendarEvent
+} from '../controllers/studentAvailabilityController.js';
+import {
+    getCallQualityOverview,
+    getMeetingCallQuality
+} from '../controllers/callQualityController.js';
+import {
+    getRecordings,
+    getRecording,
+    streamRecording,
+    deleteRecording
+} from '../controllers/recordingController.js';
+import {
+    getIncidents,
+    getIncident,
+    updateIncidentCase,
+    addIncidentCaseNote,
+    updateReportedVolunteerSuspension
+} from '../controllers/safeguardingController.js';
+import {
+    getStudentLoginCard,
+    issueStudentLoginCard,
+    revokeStudentLoginCard,
+    unlockStudentLoginCard
+} from '../controllers/studentLoginCardController.js';
+import {
+    getOwnTotpStatus,
+    setupOwnTotp,
+    activateOwnTotp,
+    disableOwnTotp,
+    regenerateOwnBackupCodes,
+    stepUp,
+    resetUserTotp
+} from '../controllers/adminSecurityController.js';
+import {
+    getAuditLog,
+    getAuditLogFacets,
+    exportAuditLog
+} from '../controllers/auditLogController.js';
+import { eraseUserData } from '../controllers/dataPrivacyController.js';
+import {
+    getLessonPlans,
+    addLessonPlan,
+    editLessonPlan,
+    removeLessonPlan
+} from '../controllers/lessonPlanController.js';
+import {
+    getStudentProgressForAdmin,
+    addStudentGoal,
+    editStudentGoal,
+    removeStudentGoal
+} from '../controllers/studentProgressController.js';
+import {
+    getSmsMessages,
+    getSmsContacts,
+    addSmsContact,
+    editSmsContact,
+    removeSmsContact
+} from '../controllers/smsController.js';
+import {
+    getEmailTemplates,
+    previewEmailTemplate,
+    sendTestEmail
+} from '../controllers/emailController.js';
+import {
+    getJobs,
+    retryJob,
+    discardJob
+} from '../controllers/jobQueueController.js';
 import { createJWTMiddleware } from '../../../utils/jwt.js';
+import { requireStepUp } from '../../../middleware/adminStepUp.js';
 
 const router = express.Router();
 
 // Create JWT middleware for admin-only access
 const adminOnlyJWT = createJWTMiddleware(['admin']);
 
+// Student roster files are parsed in memory
+const rosterUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB limit
+    }
+});
+
 // Public admin routes (no authentication required)
 router.post('/signup', signup); // Public route for initial admin signup
 router.post('/login', login);
@@ -42,30 +133,58 @@ router.post('/login', login);
 // Protected admin routes (require JWT authentication)
 router.get('/logout', adminOnlyJWT, logout);
 router.get('/me', adminOnlyJWT, getCurrentAdmin);
-router.post('/reset-student-meetings/:id', adminOnlyJWT, resetStudentMeetings);
+router.post('/reset-student-meetings/:id', adminOnlyJWT, requireStepUp, resetStudentMeetings);
 router.get('/meetings', adminOnlyJWT, getAllMeetings);
 
 // Student management routes
 router.get('/students', adminOnlyJWT, getAllStudents);
+router.get('/students/export', adminOnlyJWT, exportStudents);
+router.post('/students/import', adminOnlyJWT, rosterUpload.single('file'), importStudents);
 router.get('/students/:id', adminOnlyJWT, getStudent);
 router.post('/students', adminOnlyJWT, createStudent);
 router.put('/students/:id', adminOnlyJWT, updateStudent);
-router.delete('/students/:id', adminOnlyJWT, deleteStudent);
-router.delete('/students', adminOnlyJWT, deleteAllStudents);
+router.delete('/students/:id', adminOnlyJWT, requireStepUp, deleteStudent);
+router.delete('/students', adminOnlyJWT, requireStepUp, deleteAllStudents);
+
+// Student QR login cards and PIN lockouts
+router.get('/students/:id/login-card', adminOnlyJWT, getStudentLoginCard);
+router.post('/students/:id/login-card', adminOnlyJWT, issueStudentLoginCard);
+router.delete('/students/:id/login-card', adminOnlyJWT, revokeStudentLoginCard);
+router.post('/students/:id/login-unlock', adminOnlyJWT, unlockStudentLoginCard);
+
+// Student progress and goals (:id is the student's user id)
+router.get('/students/:id/progress', adminOnlyJWT, getStudentProgressForAdmin);
+router.post('/students/:id/goals', adminOnlyJWT, addStudentGoal);
+router.put('/students/:id/goals/:goalId', adminOnlyJWT, editStudentGoal);
+router.delete('/students/:id/goals/:goalId', adminOnlyJWT, removeStudentGoal);
 
 // Volunteer management routes
 router.get('/volunteers', adminOnlyJWT, getAllVolunteers);
 router.get('/volunteers/:id/details', adminOnlyJWT, getVolunteerDetails);
 router.get('/volunteers/:id/performance', adminOnlyJWT, getVolunteerPerformance);
 router.get('/volunteers/:id/activity', adminOnlyJWT, getVolunteerActivity);
-router.delete('/volunteers/:id', adminOnlyJWT, deleteVolunteer);
+router.delete('/volunteers/:id', adminOnlyJWT, requireStepUp, deleteVolunteer);
 router.post('/volunteers/:id/clear-record', adminOnlyJWT, clearVolunteerRecord);
 
+// User session routes
+router.post('/users/:id/revoke-sessions', adminOnlyJWT, requireStepUp, revokeUserSessions);
+router.delete('/users/:id/totp', adminOnlyJWT, requireStepUp, resetUserTotp);
+router.post('/users/:id/erase', adminOnlyJWT, requireStepUp, eraseUserData);
+
+// Own account security (two-factor authentication, step-up confirmation)
+router.get('/security/totp', adminOnlyJWT, getOwnTotpStatus);
+router.post('/security/totp/setup', adminOnlyJWT, setupOwnTotp);
+router.post('/security/totp/activate', adminOnlyJWT, activateOwnTotp);
+router.delete('/security/totp', adminOnlyJWT, disableOwnTotp);
+router.post('/security/totp/backup-codes', adminOnlyJWT, regenerateOwnBackupCodes);
+router.post('/security/step-up', adminOnlyJWT, stepUp);
+
 // Analytics routes (served from monolith instead of broken microservice)
 router.get('/analytics/system-stats', adminOnlyJWT, getAnalyticsSystemStats);
 router.get('/analytics/meeting-stats', adminOnlyJWT, getAnalyticsMeetingStats);
 router.get('/analytics/top-volunteers', adminOnlyJWT, getAnalyticsTopVolunteers);
 router.get('/analytics/student-engagement', adminOnlyJWT, getAnalyticsStudentEngagement);
+router.get('/analytics/feedback-summary', adminOnlyJWT, getAnalyticsFeedbackSummary);
 
 // Application settings routes (admin only)
 router.get('/settings', adminOnlyJWT, getAllSettings);
@@ -74,4 +193,59 @@ router.put('/settings/:key', adminOnlyJWT, updateSetting);
 router.put('/settings', adminOnlyJWT, updateSettings);
 router.post('/settings/invalidate-cache', adminOnlyJWT, invalidateSettingsCache);
 
+// Student availability and school calendar
+router.get('/student-availability', adminOnlyJWT, getStudentAvailability);
+router.post('/student-availability', adminOnlyJWT, createStudentAvailability);
+router.put('/student-availability/:id', adminOnlyJWT, updateStudentAvailability);
+router.delete('/student-availability/:id', adminOnlyJWT, deleteStudentAvailability);
+router.get('/school-calendar', adminOnlyJWT, getSchoolCalendar);
+router.post('/school-calendar', adminOnlyJWT, createSchoolCalendarEvent);
+router.put('/school-calendar/:id', adminOnlyJWT, updateSchoolCalendarEvent);
+router.delete('/school-calendar/:id', adminOnlyJWT, deleteSchoolCalendarEvent);
+
+// Call quality telemetry
+router.get('/call-quality', adminOnlyJWT, getCallQualityOverview);
+router.get('/call-quality/:meetingId', adminOnlyJWT, getMeetingCallQuality);
+
+// Call recordings (playback and audit)
+router.get('/recordings', adminOnlyJWT, getRecordings);
+router.get('/recordings/:id', adminOnlyJWT, getRecording);
+router.get('/recordings/:id/media', adminOnlyJWT, streamRecording);
+router.delete('/recordings/:id', adminOnlyJWT, requireStepUp, deleteRecording);
+
+// Safeguarding case management
+router.get('/safeguarding/incidents', adminOnlyJWT, getIncidents);
+router.get('/safeguarding/incidents/:id', adminOnlyJWT, getIncident);
+router.patch('/safeguarding/incidents/:id', adminOnlyJWT, updateIncidentCase);
+router.post('/safeguarding/incidents/:id/notes', adminOnlyJWT, addIncidentCaseNote);
+router.put('/safeguarding/incidents/:id/suspension', adminOnlyJWT, updateReportedVolunteerSuspension);
+
+// Audit trail
+router.get('/audit-log', adminOnlyJWT, getAuditLog);
+router.get('/audit-log/facets', adminOnlyJWT, getAuditLogFacets);
+router.get('/audit-log/export', adminOnlyJWT, exportAuditLog);
+
+// Conversation topic and lesson plan library
+router.get('/lesson-plans', adminOnlyJWT, getLessonPlans);
+router.post('/lesson-plans', adminOnlyJWT, addLessonPlan);
+router.put('/lesson-plans/:id', adminOnlyJWT, editLessonPlan);
+router.delete('/lesson-plans/:id', adminOnlyJWT, removeLessonPlan);
+
+// SMS delivery log and SMS-only contacts (parents and school coordinators)
+router.get('/sms/messages', adminOnlyJWT, getSmsMessages);
+router.get('/sms/contacts', adminOnlyJWT, getSmsContacts);
+router.post('/sms/contacts', adminOnlyJWT, addSmsContact);
+router.put('/sms/contacts/:id', adminOnlyJWT, editSmsContact);
+router.delete('/sms/contacts/:id', adminOnlyJWT, removeSmsContact);
+
+// Email templates: preview and test send, with the outbox state
+router.get('/email-templates', adminOnlyJWT, getEmailTemplates);
+router.get('/email-templates/:name/preview', adminOnlyJWT, previewEmailTemplate);
+router.post('/email-templates/:name/test', adminOnlyJWT, sendTestEmail);
+
+// Background job queue: pending, running and dead-lettered jobs
+router.get('/jobs', adminOnlyJWT, getJobs);
+router.post('/jobs/:id/retry', adminOnlyJWT, retryJob);
+router.delete('/jobs/:id', adminOnlyJWT, discardJob);
+
 export default router;
@@ -0,0 +1,31 @@
+/**
+ * Calendar Routes
+ * Subscribable ICS feeds; the token in the URL is the credential, since calendar apps
+ * cannot send a JWT
+ */
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { getCalendarFeedIcs } from '../controllers/calendarController.js';
+
+const router = express.Router();
+
+// Calendar apps poll every few minutes at most; anything faster is someone guessing tokens
+const feedRateLimit = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 60,
+    message: {
+        error: 'Too many calendar feed requests. Please try again later.',
+        code: 'RATE_LIMIT_EXCEEDED'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+/**
+ * @route   GET /api/v1/calendar/feeds/:token.ics
+ * @desc    A volunteer's upcoming meetings as an iCalendar feed
+ * @access  Public (token-authenticated)
+ */
+router.get('/feeds/:token.ics', feedRateLimit, getCalendarFeedIcs);
+
+export default router;
@@ -0,0 +1,180 @@
+/**
+ * Internal Routes
+ * Service-to-service calls from the microservices, authenticated by the shared INTERNAL_API_KEY.
+ * nginx sends public /internal/ traffic to the auth-service, so these are only reachable on the
+ * internal network.
+ *
+ * The auth-service runs the admin login but leaves the second factor to adminTotpService here,
+ * so TOTP codes, backup codes and the lockout are checked in one place. The meeting-service reads
+ * a volunteer's student-rating adjustment from sessionFeedbackService and checks students'
+ * availability with studentAvailabilityService for the same reason, asks lessonPlanService to attach
+ * a lesson plan to each meeting it books, and the notification-service
+ * hands its meeting reminders to the job queue here rather than running a queue of its own.
+ */
+import express from 'express';
+import {
+    startTotpEnrollment,
+    activateTotp,
+    verifySecondFactor
+} from '../../../services/adminTotpService.js';
+import { getVolunteerRatingSummary } from '../../../services/sessionFeedbackService.js';
+import { checkStudentAvailabilityAt } from '../../../services/studentAvailabilityService.js';
+import { assignLessonPlanToMeeting } from '../../../services/lessonPlanService.js';
+import { serviceError, sendServiceError } from '../../../utils/serviceError.js';
+import {
+    enqueueScheduledNotifications,
+    cancelMeetingNotifications
+} from '../../../services/notificationService.js';
+
+const router = express.Router();
+
+// Unlike the auth-service, refuse everything when no key is configured: these endpoints
+// enroll and check admin second factors
+const validateInternalApiKey = (req, res, next) => {
+    const expectedKey = process.env.INTERNAL_API_KEY;
+    if (!expectedKey || req.headers['x-internal-api-key'] !== expectedKey) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid internal API key'
+        });
+    }
+    next();
+};
+
+router.use(validateInternalApiKey);
+
+/**
+ * @route   POST /internal/admins/:userId/totp/verify
+ * @desc    Check an authenticator or backup code for an admin's login, applying the lockout
+ * @body    { code, ipAddress }
+ * @access  Internal (requires API key)
+ */
+router.post('/admins/:userId/totp/verify', async (req, res) => {
+    try {
+        const result = await verifySecondFactor({
+            userId: Number(req.params.userId),
+            code: req.body.code,
+            ipAddress: req.body.ipAddress || null
+        });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed TOTP verification', ['lockedUntil']);
+    }
+});
+
+/**
+ * @route   POST /internal/admins/:userId/totp/setup
+ * @desc    Start TOTP enrollment; returns the secret and otpauth:// URI
+ * @access  Internal (requires API key)
+ */
+router.post('/admins/:userId/totp/setup', async (req, res) => {
+    try {
+        const { secret, otpauthUri } = await startTotpEnrollment(Number(req.params.userId));
+        res.json({ success: true, secret, otpauthUri });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed TOTP setup', ['lockedUntil']);
+    }
+});
+
+/**
+ * @route   POST /internal/admins/:userId/totp/activate
+ * @desc    Finish TOTP enrollment; returns the backup codes
+ * @body    { code, ipAddress }
+ * @access  Internal (requires API key)
+ */
+router.post('/admins/:userId/totp/activate', async (req, res) => {
+    try {
+        const { backupCodes } = await activateTotp({
+            userId: Number(req.params.userId),
+            code: req.body.code,
+            ipAddress: req.body.ipAddress || null
+        });
+        res.json({ success: true, backupCodes });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed TOTP activation', ['lockedUntil']);
+    }
+});
+
+/**
+ * @route   GET /internal/volunteers/:volunteerId/rating-summary
+ * @desc    Average of the volunteer's recent student ratings and the reputation adjustment it gives
+ * @access  Internal (requires API key)
+ */
+router.get('/volunteers/:volunteerId/rating-summary', async (req, res) => {
+    try {
+        const summary = await getVolunteerRatingSummary(Number(req.params.volunteerId));
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed rating summary lookup');
+    }
+});
+
+// Callers with more candidate times send them in several requests
+const MAX_AVAILABILITY_TIMES = 1000;
+
+/**
+ * @route   POST /internal/students/:studentId/availability
+ * @desc    Check candidate meeting times against the student's availability windows and school calendar
+ * @body    { times: string[], durationMinutes? }
+ * @access  Internal (requires API key)
+ */
+router.post('/students/:studentId/availability', async (req, res) => {
+    try {
+        const { times, durationMinutes } = req.body;
+        if (!Array.isArray(times) || times.length > MAX_AVAILABILITY_TIMES || times.some(time => Number.isNaN(Date.parse(time)))) {
+            throw serviceError(`times must be a list of at most ${MAX_AVAILABILITY_TIMES} dates`, 400, 'INVALID_TIMES');
+        }
+        if (durationMinutes !== undefined && !(Number.isInteger(durationMinutes) && durationMinutes > 0)) {
+            throw serviceError('durationMinutes must be a positive whole number', 400, 'INVALID_DURATION');
+        }
+
+        const results = await checkStudentAvailabilityAt(Number(req.params.studentId), times, durationMinutes);
+        res.json({ success: true, results });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed student availability check');
+    }
+});
+
+/**
+ * @route   POST /internal/notifications/queue-scheduled
+ * @desc    Queue delivery of every pending scheduled notification that has no job yet
+ * @access  Internal (requires API key)
+ */
+router.post('/notifications/queue-scheduled', async (req, res) => {
+    try {
+        const queued = await enqueueScheduledNotifications();
+        res.json({ success: true, queued });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed notification queueing');
+    }
+});
+
+/**
+ * @route   POST /internal/meetings/:meetingId/lesson-plan
+ * @desc    Attach the best lesson plan to a meeting the meeting-service just booked
+ * @access  Internal (requires API key)
+ */
+router.post('/meetings/:meetingId/lesson-plan', async (req, res) => {
+    try {
+        const lessonPlan = await assignLessonPlanToMeeting(req.params.meetingId);
+        res.json({ success: true, lessonPlan });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed lesson plan assignment');
+    }
+});
+
+/**
+ * @route   DELETE /internal/meetings/:meetingId/notifications
+ * @desc    Drop a meeting's unsent scheduled notifications and their queued jobs
+ * @access  Internal (requires API key)
+ */
+router.delete('/meetings/:meetingId/notifications', async (req, res) => {
+    try {
+        await cancelMeetingNotifications(req.params.meetingId);
+        res.json({ success: true });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed notification cancellation');
+    }
+});
+
+export default router;
@@ -132,8 +132,13 @@ router.post('/send', chatJWTMiddleware, async (req, res) => {
             await notificationService.sendNotification({
                 recipient_id: recipientId,
                 recipient_role: recipient.role,
-                title: 'New Message',
-                message: `${senderName}: ${content.substring(0, 100)}${content.length > 100 ? '...' : ''}`,
+                template: {
+                    key: 'new_message',
+                    params: {
+                        senderName,
+                        preview: `${content.substring(0, 100)}${content.length > 100 ? '...' : ''}`
+                    }
+                },
                 type: 'new_message',
                 priority: 'medium',
                 metadata: {
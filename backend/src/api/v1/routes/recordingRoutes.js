@@ -0,0 +1,61 @@
+/**
+ * Recording Routes
+ * Consented call recording workflow for call participants
+ */
+import express from 'express';
+import { createJWTMiddleware } from '../../../utils/jwt.js';
+import {
+    requestCallRecording,
+    respondToRecordingConsent,
+    startCallRecording,
+    uploadRecordingChunk,
+    stopCallRecording
+} from '../controllers/recordingController.js';
+
+const router = express.Router();
+
+// Only the two call participants take part in a recording
+const participantJWT = createJWTMiddleware(['volunteer', 'student']);
+
+// MediaRecorder chunks are posted as raw bytes (a few seconds of webm each)
+const rawChunk = express.raw({
+    type: ['video/webm', 'audio/webm', 'application/octet-stream'],
+    limit: '10mb'
+});
+
+/**
+ * @route   POST /api/v1/recordings/request
+ * @desc    Ask to record the call in a room; the other participant is asked to consent
+ * @access  Private (Volunteers and Students)
+ */
+router.post('/request', participantJWT, requestCallRecording);
+
+/**
+ * @route   POST /api/v1/recordings/:id/consent
+ * @desc    Grant, decline or withdraw consent
+ * @access  Private (Volunteers and Students)
+ */
+router.post('/:id/consent', participantJWT, respondToRecordingConsent);
+
+/**
+ * @route   POST /api/v1/recordings/:id/start
+ * @desc    Start uploading once everyone has consented
+ * @access  Private (Requesting participant)
+ */
+router.post('/:id/start', participantJWT, startCallRecording);
+
+/**
+ * @route   POST /api/v1/recordings/:id/chunks?index=N
+ * @desc    Append the next media chunk
+ * @access  Private (Requesting participant)
+ */
+router.post('/:id/chunks', participantJWT, rawChunk, uploadRecordingChunk);
+
+/**
+ * @route   POST /api/v1/recordings/:id/stop
+ * @desc    Stop the recording
+ * @access  Private (Volunteers and Students)
+ */
+router.post('/:id/stop', participantJWT, stopCallRecording);
+
+export default router;
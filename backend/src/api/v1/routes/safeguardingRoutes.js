@@ -0,0 +1,21 @@
+/**
+ * Safeguarding Routes
+ * "Report a concern" for call participants
+ */
+import express from 'express';
+import { createJWTMiddleware } from '../../../utils/jwt.js';
+import { reportIncident } from '../controllers/safeguardingController.js';
+
+const router = express.Router();
+
+// Either participant of a session can raise a concern about the other
+const participantJWT = createJWTMiddleware(['volunteer', 'student']);
+
+/**
+ * @route   POST /api/v1/safeguarding/incidents
+ * @desc    Report a concern about the other participant of a meeting (during or after the call)
+ * @access  Private (Volunteers and Students)
+ */
+router.post('/incidents', participantJWT, reportIncident);
+
+export default router;
@@ -0,0 +1,31 @@
+/**
+ * SMS Routes
+ * Delivery receipt callbacks from the SMS provider; authenticated by the shared
+ * SMS_CALLBACK_TOKEN in the query string, since providers cannot send a JWT
+ */
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { receiveDeliveryReport } from '../controllers/smsController.js';
+
+const router = express.Router();
+
+// Providers send one receipt per message; this only stops a flood
+const deliveryReportRateLimit = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: 600,
+    message: {
+        error: 'Too many delivery reports. Please try again later.',
+        code: 'RATE_LIMIT_EXCEEDED'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+/**
+ * @route   POST /api/v1/sms/delivery-reports/:provider
+ * @desc    Record a delivery receipt (:provider is twilio, africastalking or local)
+ * @access  Public (callback token)
+ */
+router.post('/delivery-reports/:provider', deliveryReportRateLimit, receiveDeliveryReport);
+
+export default router;
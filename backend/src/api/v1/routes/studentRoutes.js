@@ -5,6 +5,8 @@
 import express from 'express';
 import pool from '../../../config/database.js';
 import { createJWTMiddleware } from '../../../utils/jwt.js';
+import { getMyProgress } from '../controllers/studentProgressController.js';
+import { getMyNotificationPreferences, updateMyNotificationPreferences } from '../controllers/notificationPreferenceController.js';
 
 const router = express.Router();
 
@@ -190,6 +192,27 @@ router.get('/me/meetings/history', studentJWTMiddleware, async (req, res) => {
     }
 });
 
+/**
+ * @route   GET /api/v1/students/me/progress
+ * @desc    Current skill levels, assessed-session timeline, volunteer notes and goals
+ * @access  Private (Student only)
+ */
+router.get('/me/progress', studentJWTMiddleware, getMyProgress);
+
+/**
+ * @route   GET /api/v1/students/me/notification-preferences
+ * @desc    Channels per kind of notification, quiet hours and daily digest settings
+ * @access  Private (Student only)
+ */
+router.get('/me/notification-preferences', studentJWTMiddleware, getMyNotificationPreferences);
+
+/**
+ * @route   PUT /api/v1/students/me/notification-preferences
+ * @desc    Change some of the notification preferences
+ * @access  Private (Student only)
+ */
+router.put('/me/notification-preferences', studentJWTMiddleware, updateMyNotificationPreferences);
+
 /**
  * @route   GET /api/v1/students/me/instant-calls
  * @desc    Get current student's instant call history
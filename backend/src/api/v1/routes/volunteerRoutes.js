@@ -4,6 +4,7 @@
  */
 import express from 'express';
 import multer from 'multer';
+import rateLimit from 'express-rate-limit';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
@@ -16,6 +17,10 @@ const router = express.Router();
 const volunteerJWTMiddleware = createJWTMiddleware(['volunteer']);
 
 import * as volunteerController from '../controllers/volunteerController.js';
+import { downloadOwnData } from '../controllers/dataPrivacyController.js';
+import * as waitlistController from '../controllers/meetingWaitlistController.js';
+import { getMyCalendarFeed, rotateMyCalendarFeed } from '../controllers/calendarController.js';
+import { getMyNotificationPreferences, updateMyNotificationPreferences } from '../controllers/notificationPreferenceController.js';
 
 console.log('Volunteer routes file loaded');
 
@@ -299,6 +304,34 @@ router.get('/students/:id/profile', volunteerController.getStudentProfile);
  */
 router.post('/meetings', volunteerController.createMeeting);
 
+/**
+ * @route   GET /api/v1/volunteers/waitlist
+ * @desc    List the volunteer's waitlist entries and open offers
+ * @access  Private (Volunteer only)
+ */
+router.get('/waitlist', waitlistController.listWaitlist);
+
+/**
+ * @route   POST /api/v1/volunteers/waitlist
+ * @desc    Join the waitlist for a booked student's day
+ * @access  Private (Volunteer only)
+ */
+router.post('/waitlist', waitlistController.joinStudentWaitlist);
+
+/**
+ * @route   POST /api/v1/volunteers/waitlist/:id/accept
+ * @desc    Accept an offered slot and book the meeting
+ * @access  Private (Volunteer only)
+ */
+router.post('/waitlist/:id/accept', waitlistController.acceptOffer);
+
+/**
+ * @route   DELETE /api/v1/volunteers/waitlist/:id
+ * @desc    Leave the waitlist (declines an open offer)
+ * @access  Private (Volunteer only)
+ */
+router.delete('/waitlist/:id', waitlistController.leaveStudentWaitlist);
+
 /**
  * @route   GET /api/v1/volunteers/settings
  * @desc    Get volunteer settings
@@ -350,24 +383,6 @@ router.get('/settings', async (req, res) => {
                 display_timezone_preference: settings.display_timezone_preference || 'local',
                 dst_handling: settings.dst_handling !== false,
 
-                // Notifications
-                email_notifications: settings.email_notifications || {
-                    meeting_scheduled: true,
-                    meeting_reminder: true,
-                    meeting_cancelled: true,
-                    meeting_rescheduled: true,
-                    system_updates: false,
-                    new_student_alerts: false
-                },
-                sms_notifications: settings.sms_notifications || {
-                    meeting_reminder: false,
-                    urgent_changes: false
-                },
-                browser_notifications: settings.browser_notifications || {
-                    meeting_reminder: true,
-                    meeting_scheduled: true,
-                    instant_calls: true
-                },
                 reminder_timings: settings.reminder_timings || [60, 30, 5]
             }
         });
@@ -394,25 +409,20 @@ router.put('/settings', async (req, res) => {
         const values = [];
         let paramCount = 1;
 
-        // Map of allowed fields to update
+        // Map of allowed fields to update; notification channels are set through
+        // /volunteers/me/notification-preferences (notificationPreferenceService)
         const allowedFields = [
             'theme_mode', 'font_size', 'zoom_level',
             'max_meetings_per_day', 'max_meetings_per_week',
             'advance_notice_hours', 'auto_accept_meetings',
             'primary_timezone', 'display_timezone_preference', 'dst_handling',
-            'email_notifications', 'sms_notifications', 'browser_notifications',
             'reminder_timings'
         ];
 
         for (const field of allowedFields) {
             if (updates[field] !== undefined) {
                 updateFields.push(`${field} = $${paramCount}`);
-                // Handle JSONB fields
-                if (['email_notifications', 'sms_notifications', 'browser_notifications'].includes(field)) {
-                    values.push(JSON.stringify(updates[field]));
-                } else {
-                    values.push(updates[field]);
-                }
+                values.push(updates[field]);
                 paramCount++;
             }
         }
@@ -458,23 +468,6 @@ router.put('/settings', async (req, res) => {
                     primary_timezone: settings.primary_timezone || 'UTC',
                     display_timezone_preference: settings.display_timezone_preference || 'local',
                     dst_handling: settings.dst_handling !== false,
-                    email_notifications: settings.email_notifications || {
-                        meeting_scheduled: true,
-                        meeting_reminder: true,
-                        meeting_cancelled: true,
-                        meeting_rescheduled: true,
-                        system_updates: false,
-                        new_student_alerts: false
-                    },
-                    sms_notifications: settings.sms_notifications || {
-                        meeting_reminder: false,
-                        urgent_changes: false
-                    },
-                    browser_notifications: settings.browser_notifications || {
-                        meeting_reminder: true,
-                        meeting_scheduled: true,
-                        instant_calls: true
-                    },
                     reminder_timings: settings.reminder_timings || [60, 30, 5]
                 }
             });
@@ -495,23 +488,6 @@ router.put('/settings', async (req, res) => {
                 primary_timezone: settings.primary_timezone || 'UTC',
                 display_timezone_preference: settings.display_timezone_preference || 'local',
                 dst_handling: settings.dst_handling !== false,
-                email_notifications: settings.email_notifications || {
-                    meeting_scheduled: true,
-                    meeting_reminder: true,
-                    meeting_cancelled: true,
-                    meeting_rescheduled: true,
-                    system_updates: false,
-                    new_student_alerts: false
-                },
-                sms_notifications: settings.sms_notifications || {
-                    meeting_reminder: false,
-                    urgent_changes: false
-                },
-                browser_notifications: settings.browser_notifications || {
-                    meeting_reminder: true,
-                    meeting_scheduled: true,
-                    instant_calls: true
-                },
                 reminder_timings: settings.reminder_timings || [60, 30, 5]
             }
         });
@@ -612,8 +588,7 @@ router.post('/instant-call/notify', async (req, res) => {
                 await notificationService.sendNotification({
                     recipient_id: userIdToNotify,
                     recipient_role: 'student',
-                    title: 'Missed Call',
-                    message: `${volunteerName || 'A volunteer'} tried to call you but you were offline.`,
+                    template: { key: 'missed_call', params: { volunteerName } },
                     type: 'missed_call',
                     priority: 'high',
                     metadata: {
@@ -685,8 +660,7 @@ router.post('/instant-call/notify', async (req, res) => {
             await notificationService.sendNotification({
                 recipient_id: userIdToNotify,
                 recipient_role: 'student',
-                title: 'Incoming Call',
-                message: `${volunteerName || 'A volunteer'} is calling you now!`,
+                template: { key: 'incoming_call', params: { volunteerName } },
                 type: 'instant_call_request',
                 priority: 'high',
                 metadata: {
@@ -898,4 +872,52 @@ router.get('/me/messages/unread-count', async (req, res) => {
     }
 });
 
+// Building the archive reads every table the volunteer appears in, so keep it occasional
+const dataExportRateLimit = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5,
+    message: {
+        error: 'Too many data export requests. Please try again in an hour.',
+        code: 'RATE_LIMIT_EXCEEDED'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: (req) => `data-export-${req.user.id}`
+});
+
+/**
+ * @route   GET /api/v1/volunteers/me/data-export
+ * @desc    Download a zip of all personal data held about the current volunteer
+ * @access  Private (Volunteer only)
+ */
+router.get('/me/data-export', dataExportRateLimit, downloadOwnData);
+
+/**
+ * @route   GET /api/v1/volunteers/me/calendar-feed
+ * @desc    Private ICS feed URL of the volunteer's upcoming meetings (created on first use)
+ * @access  Private (Volunteer only)
+ */
+router.get('/me/calendar-feed', getMyCalendarFeed);
+
+/**
+ * @route   POST /api/v1/volunteers/me/calendar-feed/rotate
+ * @desc    Replace the feed URL; the old URL stops working
+ * @access  Private (Volunteer only)
+ */
+router.post('/me/calendar-feed/rotate', rotateMyCalendarFeed);
+
+/**
+ * @route   GET /api/v1/volunteers/me/notification-preferences
+ * @desc    Channels per kind of notification, quiet hours and daily digest settings
+ * @access  Private (Volunteer only)
+ */
+router.get('/me/notification-preferences', getMyNotificationPreferences);
+
+/**
+ * @route   PUT /api/v1/volunteers/me/notification-preferences
+ * @desc    Change some of the notification preferences
+ * @access  Private (Volunteer only)
+ */
+router.put('/me/notification-preferences', updateMyNotificationPreferences);
+
 export default router;
@@ -5,6 +5,7 @@
 import pool from '../config/database.js';
 import crypto from 'crypto';
 import dotenv from 'dotenv';
+import { withAuditActor, getAuditActor } from '../services/activityLogService.js';
 dotenv.config();
 
 function createMeetingAccessUrl(token) {
@@ -104,11 +105,11 @@ export async function joinMeetingWithToken(req, res) {
         
         // Update meeting status to active if it's scheduled
         if (meeting.status === 'scheduled') {
-            await pool.query(`
+            await withAuditActor(getAuditActor(req), client => client.query(`
                 UPDATE meetings 
                 SET status = 'active'
                 WHERE id = $1
-            `, [meeting.id]);
+            `, [meeting.id]));
         }
         
         // Return meeting room data for frontend
@@ -0,0 +1,145 @@
+/**
+ * Localization
+ * Message catalogs and locale helpers for text the backend sends to people (notifications,
+ * emails, push actions). Keys are dotted paths into the catalogs in ./locales; anything a
+ * catalog is missing falls back to English, so a partial translation never shows a raw key.
+ *
+ * To add a locale: create ./locales/<code>.js, register it in CATALOGS and add the code to
+ * SUPPORTED_LOCALES (and to frontends/shared/js/i18n.js). Maa ('mas') is next; Node's ICU
+ * already formats dates for it, so it only needs reviewed catalogs.
+ */
+
+import en from './locales/en.js';
+import sw from './locales/sw.js';
+
+export const DEFAULT_LOCALE = 'en';
+export const SUPPORTED_LOCALES = ['en', 'sw'];
+
+const CATALOGS = { en, sw };
+
+/**
+ * Reduce a locale tag to a supported locale
+ * @param {string} locale - e.g. 'sw-KE', 'SW', 'en_US'
+ * @returns {string|null} Supported locale code, or null when unsupported
+ */
+export const normalizeLocale = (locale) => {
+    if (!locale || typeof locale !== 'string') return null;
+    const code = locale.trim().toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(code) ? code : null;
+};
+
+/**
+ * Pick the best supported locale from an Accept-Language header
+ * @param {string} acceptLanguage - e.g. 'sw-KE,sw;q=0.9,en;q=0.8'
+ * @returns {string}
+ */
+export const negotiateLocale = (acceptLanguage) => {
+    if (!acceptLanguage) return DEFAULT_LOCALE;
+
+    const ranked = String(acceptLanguage)
+        .split(',')
+        .map(part => {
+            const [tag, ...params] = part.trim().split(';');
+            const q = params.find(p => p.trim().startsWith('q='));
+            return { tag, q: q ? parseFloat(q.trim().slice(2)) || 0 : 1 };
+        })
+        .filter(entry => entry.tag && entry.q > 0)
+        .sort((a, b) => b.q - a.q);
+
+    for (const { tag } of ranked) {
+        const locale = normalizeLocale(tag);
+        if (locale) return locale;
+    }
+    return DEFAULT_LOCALE;
+};
+
+/**
+ * The locale to use for a stored user row
+ * @param {Object} user - Row from users (may be missing the locale column)
+ * @returns {string}
+ */
+export const getUserLocale = (user) => normalizeLocale(user?.locale) || DEFAULT_LOCALE;
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+const resolve = (code, key) => lookup(CATALOGS[code], key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key);
+
+const formatDate = (date, locale, timeZone) => {
+    try {
+        return new Intl.DateTimeFormat(locale, {
+            dateStyle: 'full',
+            timeStyle: 'short',
+            timeZone: timeZone || undefined
+        }).format(date);
+    } catch (error) {
+        // Unknown timezone on the user row; fall back to the server's zone
+        return new Intl.DateTimeFormat(locale, { dateStyle: 'full', timeStyle: 'short' }).format(date);
+    }
+};
+
+/**
+ * Translate a message key
+ * Date parameters are formatted in the reader's locale and timezone; parameters passed as
+ * null/undefined use the catalog's placeholders entry (e.g. "A volunteer" for a missing name).
+ * @param {string} locale
+ * @param {string} key - e.g. 'email.join_meeting'
+ * @param {Object} [params] - Values for {placeholders}
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - IANA timezone for Date parameters
+ * @returns {string} The translation, the English text, or the key itself as a last resort
+ */
+export const translate = (locale, key, params = {}, { timeZone } = {}) => {
+    const code = normalizeLocale(locale) || DEFAULT_LOCALE;
+    const template = resolve(code, key);
+    if (typeof template !== 'string') return key;
+
+    return template.replace(/\{(\w+)\}/g, (match, name) => {
+        let value = params[name];
+        if ((value === undefined || value === null || value === '') && name in params) {
+            value = resolve(code, `placeholders.${name}`);
+        }
+        if (value === undefined || value === null) return match;
+        if (value instanceof Date) {
+            return isNaN(value.getTime())
+                ? translate(code, 'common.unknown_time')
+                : formatDate(value, code, timeZone);
+        }
+        return String(value);
+    });
+};
+
+/**
+ * Format a date and time for a reader, the way Date parameters to translate() are formatted
+ * @param {string} locale
+ * @param {Date|string} date
+ * @param {string} [timeZone] - Reader's IANA timezone
+ * @returns {string}
+ */
+export const formatDateTime = (locale, date, timeZone = null) => {
+    const code = normalizeLocale(locale) || DEFAULT_LOCALE;
+    const value = date instanceof Date ? date : new Date(date);
+    return isNaN(value.getTime()) ? translate(code, 'common.unknown_time') : formatDate(value, code, timeZone);
+};
+
+/**
+ * Render a notification's title and message for one reader
+ * @param {string} locale
+ * @param {string} key - Key under notifications, e.g. 'meeting_canceled'
+ * @param {Object} [params]
+ * @param {string} [timeZone] - Reader's IANA timezone
+ * @returns {{title: string, message: string}}
+ */
+export const localizeNotification = (locale, key, params = {}, timeZone = null) => ({
+    title: translate(locale, `notifications.${key}.title`, params, { timeZone }),
+    message: translate(locale, `notifications.${key}.message`, params, { timeZone })
+});
+
+export default {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    normalizeLocale,
+    negotiateLocale,
+    getUserLocale,
+    translate,
+    formatDateTime,
+    localizeNotification
+};
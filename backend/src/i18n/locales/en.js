@@ -0,0 +1,213 @@
+/**
+ * English message catalog (the source of truth; other catalogs fall back to it)
+ * Placeholders in {braces} are filled by translate(); Date values are formatted for the reader.
+ */
+export default {
+    common: {
+        unknown_time: 'Previous time'
+    },
+
+    // Used when a call site has no value for a placeholder (e.g. a user without a name)
+    placeholders: {
+        volunteerName: 'A volunteer',
+        studentName: 'your student',
+        senderName: 'Someone'
+    },
+
+    notifications: {
+        meeting_scheduled_volunteer: {
+            title: '✅ Meeting Scheduled Successfully!',
+            message: 'Your meeting with {studentName} has been scheduled for {time}. You\'ll receive reminders before the meeting starts.'
+        },
+        meeting_scheduled_student: {
+            title: '🎉 New Meeting Scheduled!',
+            message: 'A volunteer has scheduled a meeting with you for {time}. We\'ll send you reminders!'
+        },
+        meeting_canceled_by: {
+            title: '❌ Meeting Canceled',
+            message: 'Your meeting scheduled for {time} has been canceled by {canceledBy}. You can schedule a new meeting anytime.'
+        },
+        meeting_canceled: {
+            title: '❌ Meeting Canceled',
+            message: 'Your meeting scheduled for {time} has been canceled. You can schedule new meetings from your dashboard.'
+        },
+        meeting_canceled_confirmation: {
+            title: '✅ Meeting Canceled Successfully',
+            message: 'Your meeting scheduled for {time} has been canceled. All participants have been notified.'
+        },
+        meeting_completed: {
+            title: '🎉 Meeting Completed Successfully!',
+            message: 'Your meeting with {name} has ended. Thank you for participating in this conversation practice session. Your engagement helps build stronger communities!'
+        },
+        meeting_ended: {
+            title: '⏰ Meeting Ended',
+            message: 'Your meeting with {name} has ended. Thank you for your time.'
+        },
+        meeting_rescheduled_student: {
+            title: '📅 Meeting Rescheduled',
+            message: 'Your meeting has been rescheduled by {reschedulerName}. Original time: {originalTime}. New time: {newTime}.'
+        },
+        meeting_rescheduled_self: {
+            title: '📅 Meeting Rescheduled',
+            message: 'You successfully rescheduled your meeting with {studentName}. Original time: {originalTime}. New time: {newTime}.'
+        },
+        meeting_rescheduled_volunteer: {
+            title: '📅 Meeting Rescheduled',
+            message: 'Your meeting with {studentName} has been rescheduled by {reschedulerName}. Original time: {originalTime}. New time: {newTime}.'
+        },
+        meeting_reminder_volunteer: {
+            title: '{icon} {minutes}-Minute Meeting Reminder',
+            message: 'Your meeting with {name} is starting in {minutes} minutes, on {time}. Click to join!'
+        },
+        meeting_reminder_student: {
+            title: '{icon} {minutes}-Minute Meeting Reminder',
+            message: 'Your meeting with {name} is starting in {minutes} minutes, on {time}. Get ready!'
+        },
+        meeting_booked_volunteer: {
+            title: 'Meeting Scheduled',
+            message: 'Your meeting with {studentName} is set for {time}.'
+        },
+        meeting_booked_student: {
+            title: 'New Meeting Scheduled',
+            message: '{volunteerName} scheduled a meeting with you for {time}.'
+        },
+        missed_call: {
+            title: 'Missed Call',
+            message: '{volunteerName} tried to call you but you were offline.'
+        },
+        incoming_call: {
+            title: 'Incoming Call',
+            message: '{volunteerName} is calling you now!'
+        },
+        new_message: {
+            title: 'New Message',
+            message: '{senderName}: {preview}'
+        },
+        waitlist_offer: {
+            title: '📅 A Call Slot Opened Up',
+            message: 'A call with {studentName} on {time} is free again. Accept by {expiresAt} to book it; after that it goes to the next volunteer on the waitlist.'
+        },
+        waitlist_offer_day: {
+            title: '📅 A Call Slot Opened Up',
+            message: 'A call with {studentName} is free on {date}. Pick a time and accept by {expiresAt} to book it; after that it goes to the next volunteer on the waitlist.'
+        },
+        waitlist_offer_expired: {
+            title: 'Waitlist Offer Expired',
+            message: 'The open slot with {studentName} was passed to the next volunteer because it wasn\'t accepted in time. You\'re still on the waitlist for other days you joined.'
+        }
+    },
+
+    push: {
+        view: '👀 View',
+        dismiss: '✕ Dismiss',
+        join_meeting: '🎥 Join Meeting',
+        remind_later: '⏰ Remind Later',
+        accept_call: '✅ Accept Call',
+        decline: '❌ Decline',
+        view_details: '📅 View Details',
+        add_to_calendar: '📆 Add to Calendar',
+        view_schedule: '📅 View Schedule',
+        update_calendar: '📆 Update Calendar'
+    },
+
+    calendar: {
+        summary_volunteer: 'TalkTime conversation with {studentName}',
+        summary_student: 'TalkTime conversation with {volunteerName}',
+        description: 'English conversation practice on TalkTime. Join from your dashboard when it is time: {url}',
+        feed_name: 'TalkTime meetings'
+    },
+
+    // Email layout and the per-type templates in utils/email; all of it is plain text, escaped when rendered
+    email: {
+        tagline: 'Connecting Maasai Students with Global Volunteers',
+        join_meeting: 'Join Meeting',
+        view_dashboard: 'View Dashboard',
+        mission: 'Empowering Maasai youth through English conversation practice',
+        footer: 'TalkTime by ADEA Foundation',
+        link_fallback: 'If the button does not work, copy this link into your browser:',
+        greeting: 'Hi {name},',
+        greeting_parent: 'Dear Parent/Guardian,',
+        details: {
+            with: 'With',
+            when: 'When',
+            previous_time: 'Previously',
+            certificate_id: 'Certificate ID'
+        },
+        calendar_attached: 'The attached calendar invite keeps this meeting up to date in your calendar.',
+        support: 'Questions? Contact us at support@talktime.org.',
+        not_expected: 'If you did not expect this email, you can safely ignore it.',
+        templates: {
+            notification: {
+                subject: 'TalkTime - {title}'
+            },
+            meeting_scheduled: {
+                subject: 'TalkTime: conversation with {name} on {time}',
+                heading: 'Your conversation is booked'
+            },
+            meeting_rescheduled: {
+                subject: 'TalkTime: your conversation with {name} has moved to {time}',
+                heading: 'Your conversation has a new time'
+            },
+            meeting_reminder: {
+                subject: 'TalkTime: your conversation with {name} starts in {minutes} minutes',
+                heading: 'Your conversation starts soon',
+                body: 'Your conversation with {name} starts in {minutes} minutes. Find a quiet place with a good connection and join from your dashboard.'
+            },
+            parental_approval: {
+                subject: 'TalkTime: parental approval needed for {name}',
+                heading: 'Parental Approval Required',
+                intro_child: 'Your child {name} ({email}) has signed up to volunteer with TalkTime, a platform that connects Maasai students in Kenya with volunteers around the world for English conversation practice.',
+                intro_student_volunteer: 'Your child {name} ({email}) has signed up to volunteer with TalkTime as a student volunteer. TalkTime connects Maasai students in Kenya with volunteers around the world for English conversation practice.',
+                reason_child: 'Because your child is under 18, we need your approval before they can take part.',
+                reason_student_volunteer: 'Student volunteers need the approval of a parent or guardian before they can take part.',
+                offers_title: 'What TalkTime offers:',
+                offer_safe: 'Safe, supervised video conversations with Maasai students',
+                offer_flexible: 'Flexible scheduling around school and family time',
+                offer_service_hours: 'Community service hours and an official certificate',
+                offer_exchange: 'Cultural exchange and language learning',
+                offer_oversight: 'Oversight and safeguarding by ADEA staff',
+                action: 'Approve Participation',
+                expiry: 'This approval link expires in 7 days.'
+            },
+            parental_recording_consent: {
+                subject: 'TalkTime: permission to record {name}\'s conversation sessions',
+                heading: 'Recording Permission Requested',
+                body: '{name} would like to record their conversation sessions with Maasai students. Recordings are only made when both participants agree, are kept securely for safeguarding review by ADEA staff, and are deleted automatically after the retention period.',
+                reason: 'Because your child is under 18, we need your permission before any of their sessions can be recorded.',
+                action: 'Allow Recording',
+                expiry: 'This link expires in 7 days. If you do not want sessions to be recorded, ignore this email; nothing is recorded without your permission.'
+            },
+            parental_approval_confirmed: {
+                subject: 'TalkTime: parental approval confirmed - welcome!',
+                heading: 'Approval Confirmed!',
+                body: 'Great news! Your parent or guardian has approved your participation in TalkTime. You can now schedule conversations with Maasai students.',
+                body_student_volunteer: 'Great news! Your parent or guardian has approved your participation in TalkTime as a student volunteer. You can now schedule conversations with Maasai students.',
+                steps_title: 'Next steps:',
+                step_login: 'Log in to your TalkTime dashboard',
+                step_browse: 'Browse students and read their stories',
+                step_schedule: 'Schedule your first conversation',
+                action: 'Go to Dashboard'
+            },
+            certificate_ready: {
+                subject: 'TalkTime: your volunteer certificate is ready',
+                heading: 'Your certificate is ready',
+                body: 'Congratulations on completing your first TalkTime conversation! Your community service certificate is ready to download from your profile. It updates automatically as you complete more calls.',
+                verify: 'Schools and employers can check it at {url}',
+                action: 'Download Certificate'
+            },
+            daily_digest: {
+                subject: 'TalkTime: your daily summary ({count} notifications)',
+                heading: 'Your daily summary',
+                body: 'Here is what happened on TalkTime since your last summary.',
+                list_title: 'Notifications',
+                more: 'And {count} more on your dashboard.',
+                settings: 'You get this summary instead of separate emails. You can change this in your notification settings.'
+            }
+        }
+    },
+
+    sms: {
+        body: 'TalkTime: {title}\n{message}',
+        meeting_reminder_contact: 'TalkTime: {studentName} has an English conversation session with {volunteerName} at {time}. Please help them get ready.'
+    }
+};
@@ -0,0 +1,211 @@
+/**
+ * Swahili (Kiswahili) message catalog
+ * Missing keys fall back to English. Keep sentences short and plain; many readers are beginners.
+ */
+export default {
+    common: {
+        unknown_time: 'haujulikani'
+    },
+
+    placeholders: {
+        volunteerName: 'Mjitolea',
+        studentName: 'mwanafunzi wako',
+        senderName: 'Mtu fulani'
+    },
+
+    notifications: {
+        meeting_scheduled_volunteer: {
+            title: '✅ Mkutano Umepangwa!',
+            message: 'Mkutano wako na {studentName} umepangwa {time}. Utapokea vikumbusho kabla mkutano haujaanza.'
+        },
+        meeting_scheduled_student: {
+            title: '🎉 Mkutano Mpya Umepangwa!',
+            message: 'Mjitolea amepanga mkutano nawe {time}. Tutakutumia vikumbusho!'
+        },
+        meeting_canceled_by: {
+            title: '❌ Mkutano Umeghairiwa',
+            message: 'Mkutano wako uliopangwa {time} umeghairiwa na {canceledBy}. Unaweza kupanga mkutano mpya wakati wowote.'
+        },
+        meeting_canceled: {
+            title: '❌ Mkutano Umeghairiwa',
+            message: 'Mkutano wako uliopangwa {time} umeghairiwa. Unaweza kupanga mikutano mipya kwenye dashibodi yako.'
+        },
+        meeting_canceled_confirmation: {
+            title: '✅ Mkutano Umeghairiwa',
+            message: 'Mkutano wako uliopangwa {time} umeghairiwa. Washiriki wote wamearifiwa.'
+        },
+        meeting_completed: {
+            title: '🎉 Mkutano Umekamilika!',
+            message: 'Mkutano wako na {name} umekwisha. Asante kwa kushiriki katika zoezi hili la mazungumzo. Ushiriki wako unasaidia kujenga jamii imara zaidi!'
+        },
+        meeting_ended: {
+            title: '⏰ Mkutano Umekwisha',
+            message: 'Mkutano wako na {name} umekwisha. Asante kwa muda wako.'
+        },
+        meeting_rescheduled_student: {
+            title: '📅 Muda wa Mkutano Umebadilishwa',
+            message: '{reschedulerName} amebadilisha muda wa mkutano wako. Muda wa awali: {originalTime}. Muda mpya: {newTime}.'
+        },
+        meeting_rescheduled_self: {
+            title: '📅 Muda wa Mkutano Umebadilishwa',
+            message: 'Umebadilisha muda wa mkutano wako na {studentName}. Muda wa awali: {originalTime}. Muda mpya: {newTime}.'
+        },
+        meeting_rescheduled_volunteer: {
+            title: '📅 Muda wa Mkutano Umebadilishwa',
+            message: '{reschedulerName} amebadilisha muda wa mkutano wako na {studentName}. Muda wa awali: {originalTime}. Muda mpya: {newTime}.'
+        },
+        meeting_reminder_volunteer: {
+            title: '{icon} Kikumbusho: Mkutano Baada ya Dakika {minutes}',
+            message: 'Mkutano wako na {name} unaanza baada ya dakika {minutes}, {time}. Bofya ili ujiunge!'
+        },
+        meeting_reminder_student: {
+            title: '{icon} Kikumbusho: Mkutano Baada ya Dakika {minutes}',
+            message: 'Mkutano wako na {name} unaanza baada ya dakika {minutes}, {time}. Jiandae!'
+        },
+        meeting_booked_volunteer: {
+            title: 'Mkutano Umepangwa',
+            message: 'Mkutano wako na {studentName} umepangwa {time}.'
+        },
+        meeting_booked_student: {
+            title: 'Mkutano Mpya Umepangwa',
+            message: '{volunteerName} amepanga mkutano nawe {time}.'
+        },
+        missed_call: {
+            title: 'Simu Uliyoikosa',
+            message: '{volunteerName} alijaribu kukupigia lakini hukuwa mtandaoni.'
+        },
+        incoming_call: {
+            title: 'Simu Inaingia',
+            message: '{volunteerName} anakupigia sasa hivi!'
+        },
+        new_message: {
+            title: 'Ujumbe Mpya',
+            message: '{senderName}: {preview}'
+        },
+        waitlist_offer: {
+            title: '📅 Nafasi ya Simu Imepatikana',
+            message: 'Simu na {studentName} tarehe {time} iko wazi tena. Ikubali kabla ya {expiresAt} ili uihifadhi; baada ya hapo itapewa mjitolea anayefuata kwenye orodha ya kusubiri.'
+        },
+        waitlist_offer_day: {
+            title: '📅 Nafasi ya Simu Imepatikana',
+            message: 'Nafasi ya simu na {studentName} iko wazi tarehe {date}. Chagua muda na ukubali kabla ya {expiresAt} ili uihifadhi; baada ya hapo itapewa mjitolea anayefuata kwenye orodha ya kusubiri.'
+        },
+        waitlist_offer_expired: {
+            title: 'Muda wa Ofa Umeisha',
+            message: 'Nafasi iliyo wazi na {studentName} imepewa mjitolea anayefuata kwa sababu haikukubaliwa kwa wakati. Bado uko kwenye orodha ya kusubiri kwa siku nyingine ulizojiunga nazo.'
+        }
+    },
+
+    push: {
+        view: '👀 Tazama',
+        dismiss: '✕ Funga',
+        join_meeting: '🎥 Jiunge na Mkutano',
+        remind_later: '⏰ Nikumbushe Baadaye',
+        accept_call: '✅ Pokea Simu',
+        decline: '❌ Kataa',
+        view_details: '📅 Tazama Maelezo',
+        add_to_calendar: '📆 Ongeza kwenye Kalenda',
+        view_schedule: '📅 Tazama Ratiba',
+        update_calendar: '📆 Sasisha Kalenda'
+    },
+
+    calendar: {
+        summary_volunteer: 'Mazungumzo ya TalkTime na {studentName}',
+        summary_student: 'Mazungumzo ya TalkTime na {volunteerName}',
+        description: 'Mazoezi ya mazungumzo ya Kiingereza kwenye TalkTime. Jiunge kupitia dashibodi yako wakati ukifika: {url}',
+        feed_name: 'Mikutano ya TalkTime'
+    },
+
+    email: {
+        tagline: 'Tunawaunganisha Wanafunzi wa Kimaasai na Wajitolea wa Kimataifa',
+        join_meeting: 'Jiunge na Mkutano',
+        view_dashboard: 'Fungua Dashibodi',
+        mission: 'Kuwawezesha vijana wa Kimaasai kupitia mazoezi ya mazungumzo ya Kiingereza',
+        footer: 'TalkTime na ADEA Foundation',
+        link_fallback: 'Kitufe kisipofanya kazi, nakili kiungo hiki kwenye kivinjari chako:',
+        greeting: 'Habari {name},',
+        greeting_parent: 'Mpendwa Mzazi/Mlezi,',
+        details: {
+            with: 'Pamoja na',
+            when: 'Lini',
+            previous_time: 'Awali',
+            certificate_id: 'Nambari ya Cheti'
+        },
+        calendar_attached: 'Mwaliko wa kalenda ulioambatishwa unaweka mkutano huu sawa kwenye kalenda yako.',
+        support: 'Una maswali? Wasiliana nasi kupitia support@talktime.org.',
+        not_expected: 'Kama hukutarajia barua pepe hii, unaweza kuipuuza.',
+        templates: {
+            notification: {
+                subject: 'TalkTime - {title}'
+            },
+            meeting_scheduled: {
+                subject: 'TalkTime: mazungumzo na {name} {time}',
+                heading: 'Mazungumzo yako yamepangwa'
+            },
+            meeting_rescheduled: {
+                subject: 'TalkTime: mazungumzo yako na {name} yamehamishiwa {time}',
+                heading: 'Mazungumzo yako yana muda mpya'
+            },
+            meeting_reminder: {
+                subject: 'TalkTime: mazungumzo yako na {name} yanaanza baada ya dakika {minutes}',
+                heading: 'Mazungumzo yako yanaanza hivi karibuni',
+                body: 'Mazungumzo yako na {name} yanaanza baada ya dakika {minutes}. Tafuta mahali tulivu penye mtandao mzuri na ujiunge kupitia dashibodi yako.'
+            },
+            parental_approval: {
+                subject: 'TalkTime: idhini ya mzazi inahitajika kwa {name}',
+                heading: 'Idhini ya Mzazi Inahitajika',
+                intro_child: 'Mtoto wako {name} ({email}) amejiandikisha kujitolea na TalkTime, jukwaa linalowaunganisha wanafunzi wa Kimaasai nchini Kenya na wajitolea kutoka kote duniani kwa mazoezi ya mazungumzo ya Kiingereza.',
+                intro_student_volunteer: 'Mtoto wako {name} ({email}) amejiandikisha kujitolea na TalkTime kama mjitolea mwanafunzi. TalkTime inawaunganisha wanafunzi wa Kimaasai nchini Kenya na wajitolea kutoka kote duniani kwa mazoezi ya mazungumzo ya Kiingereza.',
+                reason_child: 'Kwa kuwa mtoto wako ana umri wa chini ya miaka 18, tunahitaji idhini yako kabla hajashiriki.',
+                reason_student_volunteer: 'Wajitolea wanafunzi wanahitaji idhini ya mzazi au mlezi kabla ya kushiriki.',
+                offers_title: 'TalkTime inatoa:',
+                offer_safe: 'Mazungumzo salama ya video yanayosimamiwa na wanafunzi wa Kimaasai',
+                offer_flexible: 'Ratiba inayoendana na muda wa shule na familia',
+                offer_service_hours: 'Saa za huduma kwa jamii na cheti rasmi',
+                offer_exchange: 'Kubadilishana tamaduni na kujifunza lugha',
+                offer_oversight: 'Usimamizi na ulinzi na wafanyakazi wa ADEA',
+                action: 'Idhinisha Ushiriki',
+                expiry: 'Kiungo hiki cha idhini kitaisha baada ya siku 7.'
+            },
+            parental_recording_consent: {
+                subject: 'TalkTime: ruhusa ya kurekodi vipindi vya mazungumzo vya {name}',
+                heading: 'Ruhusa ya Kurekodi Inaombwa',
+                body: '{name} angependa kurekodi vipindi vyake vya mazungumzo na wanafunzi wa Kimaasai. Rekodi hufanywa tu washiriki wote wawili wakikubali, huhifadhiwa kwa usalama kwa ukaguzi wa ulinzi na wafanyakazi wa ADEA, na hufutwa kiotomatiki muda wa kuhifadhi ukiisha.',
+                reason: 'Kwa kuwa mtoto wako ana umri wa chini ya miaka 18, tunahitaji ruhusa yako kabla kipindi chochote hakijarekodiwa.',
+                action: 'Ruhusu Kurekodi',
+                expiry: 'Kiungo hiki kitaisha baada ya siku 7. Kama hutaki vipindi virekodiwe, puuza barua pepe hii; hakuna kitakachorekodiwa bila ruhusa yako.'
+            },
+            parental_approval_confirmed: {
+                subject: 'TalkTime: idhini ya mzazi imethibitishwa - karibu!',
+                heading: 'Idhini Imethibitishwa!',
+                body: 'Habari njema! Mzazi au mlezi wako ameidhinisha ushiriki wako katika TalkTime. Sasa unaweza kupanga mazungumzo na wanafunzi wa Kimaasai.',
+                body_student_volunteer: 'Habari njema! Mzazi au mlezi wako ameidhinisha ushiriki wako katika TalkTime kama mjitolea mwanafunzi. Sasa unaweza kupanga mazungumzo na wanafunzi wa Kimaasai.',
+                steps_title: 'Hatua zinazofuata:',
+                step_login: 'Ingia kwenye dashibodi yako ya TalkTime',
+                step_browse: 'Tazama wanafunzi na usome hadithi zao',
+                step_schedule: 'Panga mazungumzo yako ya kwanza',
+                action: 'Fungua Dashibodi'
+            },
+            certificate_ready: {
+                subject: 'TalkTime: cheti chako cha kujitolea kiko tayari',
+                heading: 'Cheti chako kiko tayari',
+                body: 'Hongera kwa kukamilisha mazungumzo yako ya kwanza ya TalkTime! Cheti chako cha huduma kwa jamii kiko tayari kupakuliwa kwenye wasifu wako. Kinasasishwa kiotomatiki unapokamilisha simu zaidi.',
+                verify: 'Shule na waajiri wanaweza kukihakiki kupitia {url}',
+                action: 'Pakua Cheti'
+            },
+            daily_digest: {
+                subject: 'TalkTime: muhtasari wako wa siku (arifa {count})',
+                heading: 'Muhtasari wako wa siku',
+                body: 'Haya ndiyo yaliyotokea kwenye TalkTime tangu muhtasari wako uliopita.',
+                list_title: 'Arifa',
+                more: 'Na arifa nyingine {count} kwenye dashibodi yako.',
+                settings: 'Unapokea muhtasari huu badala ya barua pepe tofauti. Unaweza kubadilisha hili kwenye mipangilio ya arifa.'
+            }
+        }
+    },
+
+    sms: {
+        body: 'TalkTime: {title}\n{message}',
+        meeting_reminder_contact: 'TalkTime: {studentName} ana kipindi cha mazungumzo ya Kiingereza na {volunteerName} mnamo {time}. Tafadhali msaidie ajiandae.'
+    }
+};
@@ -0,0 +1,58 @@
+/**
+ * Admin Step-Up Middleware
+ * Destructive admin routes need a fresh confirmation on top of the session token: the admin
+ * re-enters an authenticator code (or their password if they haven't set up TOTP) at
+ * POST /api/v1/admin/security/step-up and sends the returned token in the X-Step-Up-Token header.
+ * The token is short-lived and only valid for the login session it was issued to.
+ */
+import pool from '../config/database.js';
+import { generatePurposeToken, verifyPurposeToken } from '../utils/jwt.js';
+
+const STEP_UP_PURPOSE = 'admin_step_up';
+const STEP_UP_EXPIRES_IN = '5m';
+
+/**
+ * Issue a step-up token for the current admin session
+ * @param {Object} user - req.user
+ * @returns {{stepUpToken: string, expiresIn: string}}
+ */
+export function issueStepUpToken(user) {
+    return {
+        stepUpToken: generatePurposeToken({ id: user.id, fid: user.fid || null }, STEP_UP_PURPOSE, STEP_UP_EXPIRES_IN),
+        expiresIn: STEP_UP_EXPIRES_IN
+    };
+}
+
+/**
+ * Require a valid X-Step-Up-Token for the authenticated admin (use after the JWT middleware)
+ */
+export async function requireStepUp(req, res, next) {
+    const token = req.headers['x-step-up-token'];
+
+    if (token) {
+        try {
+            const decoded = verifyPurposeToken(token, STEP_UP_PURPOSE);
+            if (decoded.id === req.user.id && (decoded.fid || null) === (req.user.fid || null)) {
+                return next();
+            }
+        } catch {
+            // Expired or invalid; fall through and ask again
+        }
+    }
+
+    try {
+        const result = await pool.query('SELECT totp_enabled_at FROM users WHERE id = $1', [req.user.id]);
+        return res.status(403).json({
+            success: false,
+            error: 'Please confirm it\'s you before doing this',
+            message: 'Please confirm it\'s you before doing this',
+            code: 'STEP_UP_REQUIRED',
+            method: result.rows[0]?.totp_enabled_at ? 'totp' : 'password'
+        });
+    } catch (error) {
+        console.error('Step-up check error:', error);
+        res.status(500).json({ error: 'Failed to check confirmation', details: error.message });
+    }
+}
+
+export default { issueStepUpToken, requireStepUp };
@@ -3,7 +3,7 @@
  * Validates secure meeting access tokens and enforces student-specific access
  */
 import pool from '../config/database.js';
-import { verifyToken as verifyJWT, extractTokenFromHeader } from '../utils/jwt.js';
+import { verifyActiveToken, extractTokenFromHeader } from '../utils/jwt.js';
 
 /**
  * Log meeting access attempt for security audit
@@ -105,7 +105,7 @@ export async function validateMeetingAccess(req, res, next) {
             const bearer = extractTokenFromHeader(authHeader);
             if (bearer) {
                 try {
-                    authenticatedUser = verifyJWT(bearer);
+                    authenticatedUser = await verifyActiveToken(bearer);
                     req.user = authenticatedUser;
                 } catch (e) {
                     // Invalid token, treat as unauthenticated
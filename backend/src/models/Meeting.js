@@ -4,16 +4,17 @@ class Meeting {
     /**
      * Creates a new meeting.
      * @param {object} meetingData - The data for the new meeting.
+     * @param {object} [db] - Pool or transaction client (e.g. from withAuditActor).
      * @returns {Promise<object>} The newly created meeting.
      */
-    static async create({ volunteerId, studentId, scheduledTime, roomId }) {
+    static async create({ volunteerId, studentId, scheduledTime, roomId }, db = pool) {
         const query = `
             INSERT INTO meetings (volunteer_id, student_id, scheduled_time, room_id, status)
             VALUES ($1, $2, $3, $4, 'scheduled')
             RETURNING *;
         `;
         try {
-            const { rows } = await pool.query(query, [volunteerId, studentId, scheduledTime, roomId]);
+            const { rows } = await db.query(query, [volunteerId, studentId, scheduledTime, roomId]);
             return rows[0];
         } catch (error) {
             console.error('Error creating meeting:', error);
@@ -24,16 +25,17 @@ class Meeting {
     /**
      * Creates a new instant meeting.
      * @param {object} meetingData - The data for the new instant meeting.
+     * @param {object} [db] - Pool or transaction client (e.g. from withAuditActor).
      * @returns {Promise<object>} The newly created instant meeting.
      */
-    static async createInstant({ volunteerId, studentId, roomId }) {
+    static async createInstant({ volunteerId, studentId, roomId }, db = pool) {
         const query = `
             INSERT INTO meetings (volunteer_id, student_id, scheduled_time, room_id, status, is_instant)
             VALUES ($1, $2, NOW(), $3, 'pending', TRUE)
             RETURNING *;
         `;
         try {
-            const { rows } = await pool.query(query, [volunteerId, studentId, roomId]);
+            const { rows } = await db.query(query, [volunteerId, studentId, roomId]);
             return rows[0];
         } catch (error) {
             console.error('Error creating instant meeting:', error);
@@ -53,11 +55,13 @@ class Meeting {
                 COALESCE(s.photo_url, su.profile_image, s_user.profile_image) as "profileImage",
                 m.scheduled_time as time,
                 m.room_id as roomId,
-                m.status
+                m.status,
+                lp.title as "lessonPlanTitle"
             FROM meetings m
             LEFT JOIN users su ON m.student_id = su.id AND su.role = 'student'
             LEFT JOIN students s ON (m.student_id = s.id OR m.student_id = s.user_id)
             LEFT JOIN users s_user ON s.user_id = s_user.id
+            LEFT JOIN lesson_plans lp ON lp.id = m.lesson_plan_id
             WHERE m.volunteer_id = $1
               AND m.scheduled_time >= NOW()
               AND m.status = 'scheduled'
@@ -167,9 +171,10 @@ class Meeting {
      * Updates a meeting by ID.
      * @param {number} id - The meeting ID to update.
      * @param {object} updateData - The data to update (status, scheduledTime, etc).
+     * @param {object} [db] - Pool or transaction client (e.g. from withAuditActor).
      * @returns {Promise<object>} The updated meeting.
      */
-    static async update(id, updateData) {
+    static async update(id, updateData, db = pool) {
         // Build the SET part of the query dynamically based on updateData
         const updates = [];
         const values = [id]; // First parameter is always the ID
@@ -211,7 +216,7 @@ class Meeting {
         `;
         
         try {
-            const { rows } = await pool.query(query, values);
+            const { rows } = await db.query(query, values);
             if (rows.length === 0) {
                 throw new Error('Meeting not found');
             }
@@ -332,9 +337,10 @@ class Meeting {
      * Update the status of an instant meeting
      * @param {number} id - The meeting ID
      * @param {string} status - The new status ('active', 'declined', etc.)
+     * @param {object} [db] - Pool or transaction client (e.g. from withAuditActor)
      * @returns {Promise<object>} The updated meeting
      */
-    static async updateInstantMeetingStatus(id, status) {
+    static async updateInstantMeetingStatus(id, status, db = pool) {
         const query = `
             UPDATE meetings
             SET status = $2
@@ -343,7 +349,7 @@ class Meeting {
         `;
         
         try {
-            const { rows } = await pool.query(query, [id, status]);
+            const { rows } = await db.query(query, [id, status]);
             if (rows.length === 0) {
                 throw new Error('Instant meeting not found or not an instant meeting');
             }
@@ -1,8 +1,20 @@
 import express from 'express';
 import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
-import { generateTokens, verifyToken, createJWTMiddleware } from '../utils/jwt.js';
+import { createJWTMiddleware, generatePurposeToken, verifyPurposeToken } from '../utils/jwt.js';
 import pool from '../config/database.js';
+import { getStudentLoginSettings } from '../services/configService.js';
+import { authenticateWithLoginCard } from '../services/studentLoginCardService.js';
+import { logActivity, getRequestIp } from '../services/activityLogService.js';
+import { issueTokens, rotateRefreshToken, getTokenRequestMeta } from '../services/refreshTokenService.js';
+import { revokeAccessToken, revokeTokenFamily } from '../services/tokenRevocationService.js';
+import {
+    getLoginSecondFactor,
+    startTotpEnrollment,
+    activateTotp,
+    verifySecondFactor
+} from '../services/adminTotpService.js';
+import { getUserLocale, normalizeLocale, SUPPORTED_LOCALES } from '../i18n/index.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -11,8 +23,33 @@ const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-i
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
 // Legacy User and Student models removed - using unified users table only
 
+// Time allowed between the password step and the authenticator code (or setting one up)
+const ADMIN_MFA_PURPOSE = 'admin_mfa';
+const ADMIN_MFA_EXPIRES_IN = '10m';
+
 const router = express.Router();
 
+/**
+ * Record an auth event in the audit trail. Failed attempts are not attributed to the account
+ * they targeted (the caller isn't authenticated), only linked to it as the entity.
+ * @param {Object} req
+ * @param {string} action - e.g. 'login_succeeded', 'login_failed'
+ * @param {Object} [event]
+ * @param {Object} [event.user] - Account the event is about
+ * @param {string} [event.role] - Role the caller tried to sign in as
+ * @param {boolean} [event.authenticated=true] - Whether the caller proved they own the account
+ * @param {Object} [event.details]
+ */
+const logAuthEvent = (req, action, { user = null, role = null, authenticated = true, details = null } = {}) => logActivity({
+    userId: authenticated ? user?.id ?? null : null,
+    userRole: authenticated ? user?.role || role : null,
+    action,
+    entityType: 'user',
+    entityId: user?.id ?? null,
+    details: { role: user?.role || role, ...details },
+    ipAddress: getRequestIp(req)
+});
+
 /**
  * @route   POST /api/v1/jwt-auth/volunteer/login
  * @desc    JWT-based volunteer login
@@ -38,6 +75,12 @@ router.post('/volunteer/login', async (req, res) => {
         const user = rows[0];
 
         if (!user || !(await bcrypt.compare(password, user.password_hash))) {
+            await logAuthEvent(req, 'login_failed', {
+                user,
+                role: 'volunteer',
+                authenticated: false,
+                details: { email, reason: user ? 'invalid_password' : 'unknown_account' }
+            });
             return res.status(401).json({
                 success: false,
                 error: 'Invalid email or password'
@@ -45,9 +88,10 @@ router.post('/volunteer/login', async (req, res) => {
         }
 
         // Generate JWT token using utility function with proper audience
-        const tokens = generateTokens(user);
+        const tokens = await issueTokens(user, getTokenRequestMeta(req));
 
         console.log('JWT Volunteer login successful:', user.email);
+        await logAuthEvent(req, 'login_succeeded', { user, details: { method: 'password' } });
 
         res.json({
             success: true,
@@ -60,7 +104,8 @@ router.post('/volunteer/login', async (req, res) => {
                 full_name: user.full_name,
                 role: user.role,
                 volunteer_type: user.volunteer_type,
-                is_approved: user.is_approved
+                is_approved: user.is_approved,
+                locale: getUserLocale(user)
             }
         });
 
@@ -171,6 +216,11 @@ router.post('/volunteer/verify-security-answers', async (req, res) => {
         const answer3Valid = await bcrypt.compare(security_answers[2].toLowerCase().trim(), user.security_answer_3_hash);
 
         if (!answer1Valid || !answer2Valid || !answer3Valid) {
+            await logAuthEvent(req, 'password_reset_failed', {
+                user: { id: user.id, role: 'volunteer' },
+                authenticated: false,
+                details: { reason: 'invalid_security_answers' }
+            });
             return res.status(401).json({
                 success: false,
                 error: 'One or more security answers are incorrect'
@@ -189,6 +239,10 @@ router.post('/volunteer/verify-security-answers', async (req, res) => {
         );
 
         console.log('Security answers verified successfully for:', user.email);
+        await logAuthEvent(req, 'password_reset_verified', {
+            user: { id: user.id, role: 'volunteer' },
+            authenticated: false
+        });
 
         res.json({
             success: true,
@@ -259,6 +313,7 @@ router.post('/volunteer/reset-password', async (req, res) => {
         }
 
         console.log('Password reset successful for:', user.email);
+        await logAuthEvent(req, 'password_reset', { user: { id: user.id, role: 'volunteer' } });
 
         res.json({
             success: true,
@@ -428,6 +483,7 @@ router.post('/volunteer/signup', async (req, res) => {
                 // Send parental approval request
                 const { sendParentalApprovalRequest } = await import('../services/notificationService.js');
                 await sendParentalApprovalRequest({
+                    id: newUser.id,
                     full_name,
                     email,
                     is_under_18: actuallyUnder18,
@@ -444,9 +500,13 @@ router.post('/volunteer/signup', async (req, res) => {
         }
         
         // Generate JWT tokens
-        const tokens = generateTokens(newUser);
+        const tokens = await issueTokens(newUser, getTokenRequestMeta(req));
         
         console.log('JWT Volunteer signup successful:', newUser.email);
+        await logAuthEvent(req, 'signup', {
+            user: newUser,
+            details: { volunteerType: newUser.volunteer_type, needsParentalApproval }
+        });
         
         res.status(201).json({
             success: true,
@@ -469,9 +529,44 @@ router.post('/volunteer/signup', async (req, res) => {
     }
 });
 
+/**
+ * Issue tokens and the login response for an authenticated student
+ */
+const sendStudentLoginResponse = async (req, res, student) => {
+    // Create user object for token generation
+    const userForToken = {
+        id: student.id,
+        role: 'student',
+        full_name: student.full_name,
+        admission_number: student.username
+    };
+    
+    // Generate JWT tokens
+    const tokens = await issueTokens(userForToken, getTokenRequestMeta(req));
+    
+    console.log('JWT Student login successful:', student.full_name);
+    
+    res.json({
+        success: true,
+        message: 'Login successful',
+        student: {
+            id: student.id,
+            fullName: student.full_name,
+            admissionNumber: student.username
+        },
+        user: {
+            id: student.id,
+            fullName: student.full_name,
+            role: 'student',
+            locale: getUserLocale(student)
+        },
+        ...tokens
+    });
+};
+
 /**
  * @route   POST /api/v1/jwt-auth/student/login
- * @desc    JWT-based student login
+ * @desc    JWT-based student login (name + admission number, unless login cards are required)
  * @access  Public
  */
 router.post('/student/login', async (req, res) => {
@@ -480,6 +575,16 @@ router.post('/student/login', async (req, res) => {
         
         console.log('JWT Student login attempt:', { name, admission_number });
         
+        const { requireCard } = await getStudentLoginSettings();
+        if (requireCard) {
+            return res.status(403).json({
+                success: false,
+                error: 'Please sign in with your login card and PIN.',
+                message: 'Please sign in with your login card and PIN.',
+                code: 'LOGIN_CARD_REQUIRED'
+            });
+        }
+        
         if (!name || !admission_number) {
             return res.status(400).json({
                 success: false,
@@ -498,43 +603,74 @@ router.post('/student/login', async (req, res) => {
         const { rows } = await pool.query(query, [name.trim(), `${normalizedAdmissionNumber}%`, 'student']);
         const student = rows[0];
         if (!student) {
+            await logAuthEvent(req, 'login_failed', {
+                role: 'student',
+                authenticated: false,
+                details: { admissionNumber: normalizedAdmissionNumber, reason: 'unknown_account' }
+            });
             return res.status(401).json({
                 success: false,
                 error: 'Invalid credentials. Please check your name and admission number.'
             });
         }
         
-        // Create user object for token generation
-        const userForToken = {
-            id: student.id,
-            role: 'student',
-            full_name: student.full_name,
-            admission_number: student.username
-        };
+        // Card logins are recorded by studentLoginCardService
+        await logAuthEvent(req, 'login_succeeded', { user: student, details: { method: 'name' } });
+        await sendStudentLoginResponse(req, res, student);
         
-        // Generate JWT tokens
-        const tokens = generateTokens(userForToken);
+    } catch (error) {
+        console.error('JWT Student login error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error during login'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/jwt-auth/student/card-login
+ * @desc    Student login with a printed QR login card and PIN (per-student lockout on wrong PINs)
+ * @access  Public
+ */
+router.post('/student/card-login', async (req, res) => {
+    try {
+        const { card, pin } = req.body;
         
-        console.log('JWT Student login successful:', student.full_name);
+        if (!card || !pin) {
+            return res.status(400).json({
+                success: false,
+                error: 'Login card and PIN are required',
+                message: 'Login card and PIN are required'
+            });
+        }
         
-        res.json({
-            success: true,
-            message: 'Login successful',
-            student: {
-                id: student.id,
-                fullName: student.full_name,
-                admissionNumber: student.username
-            },
-            user: {
-                id: student.id,
-                fullName: student.full_name,
-                role: 'student'
-            },
-            ...tokens
+        const student = await authenticateWithLoginCard({
+            card: String(card),
+            pin: String(pin),
+            ipAddress: getRequestIp(req)
         });
         
+        await sendStudentLoginResponse(req, res, student);
+        
     } catch (error) {
-        console.error('JWT Student login error:', error);
+        if (error.status === 401) {
+            await logAuthEvent(req, 'login_failed', {
+                role: 'student',
+                authenticated: false,
+                details: { method: 'card', reason: error.code }
+            });
+        }
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                message: error.message,
+                code: error.code,
+                ...(error.lockedUntil && { lockedUntil: error.lockedUntil }),
+                ...(error.attemptsRemaining !== undefined && { attemptsRemaining: error.attemptsRemaining })
+            });
+        }
+        console.error('JWT Student card login error:', error);
         res.status(500).json({
             success: false,
             error: 'Server error during login'
@@ -542,6 +678,85 @@ router.post('/student/login', async (req, res) => {
     }
 });
 
+/**
+ * Issue tokens and the login response for an authenticated admin
+ */
+const sendAdminLoginResponse = async (req, res, user, extra = {}, method = 'password') => {
+    const tokens = await issueTokens(user, getTokenRequestMeta(req));
+    
+    console.log('JWT Admin login successful:', user.email);
+    await logAuthEvent(req, 'login_succeeded', { user, details: { method } });
+    
+    res.json({
+        success: true,
+        message: 'Admin login successful',
+        user: {
+            id: user.id,
+            email: user.email,
+            fullName: user.full_name,
+            role: user.role,
+            locale: getUserLocale(user)
+        },
+        ...extra,
+        ...tokens
+    });
+};
+
+/**
+ * Password accepted, but no session yet: the client finishes with /admin/login/verify-totp
+ * ('verify') or sets up an authenticator app via /admin/login/totp-setup + totp-activate ('enroll')
+ */
+const sendAdminSecondFactorResponse = (res, user, secondFactor) => {
+    const mfaToken = generatePurposeToken({ id: user.id }, ADMIN_MFA_PURPOSE, ADMIN_MFA_EXPIRES_IN);
+    
+    res.json({
+        success: true,
+        ...(secondFactor === 'verify'
+            ? { mfaRequired: true, message: 'Enter the code from your authenticator app' }
+            : { mfaEnrollmentRequired: true, message: 'Two-factor authentication is required for admins. Set it up to continue.' }),
+        mfaToken,
+        mfaExpiresIn: ADMIN_MFA_EXPIRES_IN
+    });
+};
+
+/**
+ * Admin users row for a second-step request, from its mfaToken
+ */
+const getAdminFromMfaToken = async (mfaToken) => {
+    let decoded;
+    try {
+        decoded = verifyPurposeToken(mfaToken, ADMIN_MFA_PURPOSE);
+    } catch {
+        return null;
+    }
+    const { rows } = await pool.query('SELECT * FROM users WHERE id = $1 AND role = $2', [decoded.id, 'admin']);
+    return rows[0] || null;
+};
+
+const sendAdminSecondFactorError = (res, error, context) => {
+    if (error.status) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message,
+            message: error.message,
+            code: error.code,
+            ...(error.lockedUntil && { lockedUntil: error.lockedUntil })
+        });
+    }
+    console.error(`JWT Admin ${context} error:`, error);
+    res.status(500).json({
+        success: false,
+        error: 'Server error during admin login'
+    });
+};
+
+const invalidMfaTokenResponse = (res) => res.status(401).json({
+    success: false,
+    error: 'Your login attempt has expired. Please sign in again.',
+    message: 'Your login attempt has expired. Please sign in again.',
+    code: 'INVALID_MFA_TOKEN'
+});
+
 /**
  * @route   POST /api/v1/jwt-auth/admin/login
  * @desc    JWT-based admin login
@@ -569,6 +784,11 @@ router.post('/admin/login', async (req, res) => {
         
         if (!user) {
             console.log('JWT Admin login failed: User not found for email:', email);
+            await logAuthEvent(req, 'login_failed', {
+                role: 'admin',
+                authenticated: false,
+                details: { email, reason: 'unknown_account' }
+            });
             return res.status(401).json({
                 success: false,
                 error: 'Invalid credentials'
@@ -578,6 +798,12 @@ router.post('/admin/login', async (req, res) => {
         // Verify user is an admin
         if (user.role !== 'admin') {
             console.log('JWT Admin login failed: User role is not admin. Role:', user.role);
+            await logAuthEvent(req, 'login_failed', {
+                user,
+                role: 'admin',
+                authenticated: false,
+                details: { email, reason: 'not_admin' }
+            });
             return res.status(401).json({
                 success: false,
                 error: 'Invalid credentials'
@@ -591,28 +817,25 @@ router.post('/admin/login', async (req, res) => {
         
         if (!isValidPassword) {
             console.log('JWT Admin login failed: Invalid password for user:', user.email);
+            await logAuthEvent(req, 'login_failed', {
+                user,
+                authenticated: false,
+                details: { email, reason: 'invalid_password' }
+            });
             return res.status(401).json({
                 success: false,
                 error: 'Invalid credentials'
             });
         }
         
-        // Generate JWT tokens
-        const tokens = generateTokens(user);
-        
-        console.log('JWT Admin login successful:', user.email);
+        // Password is right; admins with two-factor on (or who must now set it up) get a second step
+        const secondFactor = await getLoginSecondFactor(user);
+        if (secondFactor) {
+            console.log(`JWT Admin login - second factor required (${secondFactor}):`, user.email);
+            return sendAdminSecondFactorResponse(res, user, secondFactor);
+        }
         
-        res.json({
-            success: true,
-            message: 'Admin login successful',
-            user: {
-                id: user.id,
-                email: user.email,
-                fullName: user.full_name,
-                role: user.role
-            },
-            ...tokens
-        });
+        await sendAdminLoginResponse(req, res, user);
         
     } catch (error) {
         console.error('JWT Admin login error:', error);
@@ -623,6 +846,84 @@ router.post('/admin/login', async (req, res) => {
     }
 });
 
+/**
+ * @route   POST /api/v1/jwt-auth/admin/login/verify-totp
+ * @desc    Second login step: authenticator app code or a backup code
+ * @access  Public (with mfaToken from /admin/login)
+ */
+router.post('/admin/login/verify-totp', async (req, res) => {
+    let user = null;
+    try {
+        const { mfaToken, code } = req.body;
+        
+        user = await getAdminFromMfaToken(mfaToken);
+        if (!user) {
+            return invalidMfaTokenResponse(res);
+        }
+        
+        const { method, backupCodesRemaining } = await verifySecondFactor({
+            userId: user.id,
+            code,
+            ipAddress: getRequestIp(req)
+        });
+        
+        await sendAdminLoginResponse(req, res, user, method === 'backup_code' ? { backupCodesRemaining } : {}, method);
+        
+    } catch (error) {
+        if (user && error.status === 401) {
+            await logAuthEvent(req, 'login_failed', {
+                user,
+                authenticated: false,
+                details: { reason: 'invalid_totp' }
+            });
+        }
+        sendAdminSecondFactorError(res, error, 'TOTP verification');
+    }
+});
+
+/**
+ * @route   POST /api/v1/jwt-auth/admin/login/totp-setup
+ * @desc    Start the required two-factor setup during login; returns the secret and otpauth:// URI
+ * @access  Public (with mfaToken from /admin/login)
+ */
+router.post('/admin/login/totp-setup', async (req, res) => {
+    try {
+        const user = await getAdminFromMfaToken(req.body.mfaToken);
+        if (!user) {
+            return invalidMfaTokenResponse(res);
+        }
+        
+        const { secret, otpauthUri } = await startTotpEnrollment(user.id);
+        res.json({ success: true, secret, otpauthUri });
+        
+    } catch (error) {
+        sendAdminSecondFactorError(res, error, 'TOTP setup');
+    }
+});
+
+/**
+ * @route   POST /api/v1/jwt-auth/admin/login/totp-activate
+ * @desc    Finish the required two-factor setup and sign in; backup codes are returned once here
+ * @access  Public (with mfaToken from /admin/login)
+ */
+router.post('/admin/login/totp-activate', async (req, res) => {
+    try {
+        const { mfaToken, code } = req.body;
+        
+        const user = await getAdminFromMfaToken(mfaToken);
+        if (!user) {
+            return invalidMfaTokenResponse(res);
+        }
+        
+        const { backupCodes } = await activateTotp({ userId: user.id, code, ipAddress: getRequestIp(req) });
+        
+        await sendAdminLoginResponse(req, res, user, { backupCodes }, 'totp');
+        
+    } catch (error) {
+        sendAdminSecondFactorError(res, error, 'TOTP activation');
+    }
+});
+
 /**
  * @route   POST /api/v1/jwt-auth/admin/signup
  * @desc    JWT-based admin signup (requires secret code)
@@ -671,6 +972,11 @@ router.post('/admin/signup', async (req, res) => {
         // Check if provided code is valid
         if (!validCodes.includes(secret_code)) {
             console.log('Invalid secret code attempt:', secret_code);
+            await logAuthEvent(req, 'signup_failed', {
+                role: 'admin',
+                authenticated: false,
+                details: { email, reason: 'invalid_secret_code' }
+            });
             return res.status(401).json({
                 success: false,
                 error: 'Invalid secret code'
@@ -704,9 +1010,22 @@ router.post('/admin/signup', async (req, res) => {
             'admin'
         ]);
         const newAdmin = newAdminRows[0];
+        await logAuthEvent(req, 'signup', { user: newAdmin });
+        
+        // Once two-factor is mandatory, new admins set it up before getting a session
+        if (await getLoginSecondFactor(newAdmin)) {
+            console.log('JWT Admin signup successful, two-factor setup required:', newAdmin.email);
+            return res.status(201).json({
+                success: true,
+                message: 'Admin registration successful. Set up two-factor authentication to continue.',
+                mfaEnrollmentRequired: true,
+                mfaToken: generatePurposeToken({ id: newAdmin.id }, ADMIN_MFA_PURPOSE, ADMIN_MFA_EXPIRES_IN),
+                mfaExpiresIn: ADMIN_MFA_EXPIRES_IN
+            });
+        }
         
         // Generate JWT tokens
-        const tokens = generateTokens(newAdmin);
+        const tokens = await issueTokens(newAdmin, getTokenRequestMeta(req));
         
         console.log('JWT Admin signup successful:', newAdmin.email);
         
@@ -733,8 +1052,8 @@ router.post('/admin/signup', async (req, res) => {
 
 /**
  * @route   POST /api/v1/jwt-auth/refresh
- * @desc    Refresh JWT token
- * @access  Private
+ * @desc    Rotate a refresh token: returns a new access/refresh pair, the old refresh token stops working
+ * @access  Public (with valid refresh token)
  */
 router.post('/refresh', async (req, res) => {
     try {
@@ -747,23 +1066,7 @@ router.post('/refresh', async (req, res) => {
             });
         }
         
-        // Verify refresh token
-        const decoded = verifyToken(refreshToken);
-        
-        // Find user to generate new tokens using unified users table
-        const query = 'SELECT * FROM users WHERE id = $1';
-        const { rows } = await pool.query(query, [decoded.id]);
-        const user = rows[0];
-        
-        if (!user) {
-            return res.status(401).json({
-                success: false,
-                error: 'Invalid refresh token'
-            });
-        }
-        
-        // Generate new tokens
-        const tokens = generateTokens(user);
+        const { tokens } = await rotateRefreshToken(refreshToken, getTokenRequestMeta(req));
         
         res.json({
             success: true,
@@ -772,10 +1075,17 @@ router.post('/refresh', async (req, res) => {
         });
         
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                code: error.code
+            });
+        }
         console.error('JWT Refresh token error:', error);
-        res.status(401).json({
+        res.status(500).json({
             success: false,
-            error: 'Invalid refresh token'
+            error: 'Server error during token refresh'
         });
     }
 });
@@ -817,14 +1127,58 @@ router.get('/verify', createJWTMiddleware(), async (req, res) => {
     }
 });
 
+/**
+ * @route   PUT /api/v1/jwt-auth/me/locale
+ * @desc    Save the signed-in user's language for notifications and the UI
+ * @access  Private (any role)
+ */
+router.put('/me/locale', createJWTMiddleware(), async (req, res) => {
+    try {
+        const locale = normalizeLocale(req.body?.locale);
+        if (!locale) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported locale. Use one of: ${SUPPORTED_LOCALES.join(', ')}`,
+                code: 'UNSUPPORTED_LOCALE'
+            });
+        }
+
+        const { rowCount } = await pool.query(
+            'UPDATE users SET locale = $1, updated_at = NOW() WHERE id = $2',
+            [locale, req.user.id]
+        );
+        if (rowCount === 0) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        res.json({ success: true, locale });
+    } catch (error) {
+        console.error('JWT Update locale error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error while saving language'
+        });
+    }
+});
+
 /**
  * @route   POST /api/v1/jwt-auth/logout
- * @desc    Logout (client-side token removal)
+ * @desc    Logout: revokes this access token and the login session's refresh tokens
  * @access  Private
  */
-router.post('/logout', createJWTMiddleware(), (req, res) => {
-    // With JWT, logout is handled client-side by removing the token
-    // Server doesn't need to do anything unless we implement token blacklisting
+router.post('/logout', createJWTMiddleware(), async (req, res) => {
+    await logAuthEvent(req, 'logout', { user: req.user });
+    
+    try {
+        await revokeAccessToken(req.user);
+        if (req.user.fid) {
+            await revokeTokenFamily(req.user.fid, 'logout');
+        }
+    } catch (error) {
+        // The client drops its tokens either way
+        console.error('JWT Logout revocation error:', error);
+    }
+    
     res.json({
         success: true,
         message: 'Logged out successfully'
@@ -20,6 +20,8 @@ import {
     revokeMeetingAccessToken,
     regenerateMeetingAccessToken
 } from '../controllers/meetingJoinController.js';
+import { submitSessionFeedback } from '../api/v1/controllers/sessionFeedbackController.js';
+import { getSessionLessonPlan, markSessionLessonPlanUsed } from '../api/v1/controllers/lessonPlanController.js';
 
 const router = express.Router();
 
@@ -73,4 +75,25 @@ router.put('/:meetingId/regenerate-token', isAuthenticated, regenerateMeetingAcc
  */
 router.delete('/:meetingId/revoke-token', isAuthenticated, revokeMeetingAccessToken);
 
+/**
+ * @route POST /api/v1/meeting/:meetingId/feedback
+ * @description Submit the post-call survey (student rates the volunteer, volunteer rates the student)
+ * @access Private (Meeting participants)
+ */
+router.post('/:meetingId/feedback', isAuthenticated, submitSessionFeedback);
+
+/**
+ * @route GET /api/v1/meeting/:meetingId/lesson-plan
+ * @description Suggested lesson plan, the student's learning profile and what they have already covered
+ * @access Private (Meeting volunteer and Admins)
+ */
+router.get('/:meetingId/lesson-plan', isAuthenticated, getSessionLessonPlan);
+
+/**
+ * @route PUT /api/v1/meeting/:meetingId/lesson-plan
+ * @description Record which lesson plan was used in the session
+ * @access Private (Meeting volunteer and Admins)
+ */
+router.put('/:meetingId/lesson-plan', isAuthenticated, markSessionLessonPlanUsed);
+
 export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import ParentalApprovalService from '../utils/parentalApproval.js';
 import { sendParentalApprovalRequest, sendParentalApprovalConfirmation } from '../services/notificationService.js';
+import { logActivity, getRequestIp } from '../services/activityLogService.js';
 
 const router = express.Router();
 
@@ -261,6 +262,61 @@ router.get('/approve-parent/:token', async (req, res) => {
     }
 });
 
+/**
+ * Minimal result page for parent-facing links
+ */
+const renderParentPage = (title, icon, heading, message) => `
+    <html>
+        <head>
+            <title>${title} - TalkTime</title>
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        </head>
+        <body style="font-family: Arial, sans-serif; background: linear-gradient(to bottom right, #c7d2fe, #d8b4fe); margin: 0; padding: 20px; min-height: 100vh; display: flex; align-items: center; justify-content: center;">
+            <div style="background: rgba(255, 255, 255, 0.9); border-radius: 16px; padding: 40px; text-align: center; max-width: 500px;">
+                <div style="color: #4f46e5; font-size: 32px; font-weight: bold; margin-bottom: 10px;">TALKTIME</div>
+                <div style="font-size: 64px; margin-bottom: 20px;">${icon}</div>
+                <h1 style="color: #374151;">${heading}</h1>
+                <p style="color: #4b5563; line-height: 1.6;">${message}</p>
+            </div>
+        </body>
+    </html>
+`;
+
+/**
+ * GET /api/v1/parental-approval/recording-consent/:token
+ * Parent allows their under-18 child's calls to be recorded (link from email/SMS)
+ */
+router.get('/recording-consent/:token', async (req, res) => {
+    try {
+        const child = await ParentalApprovalService.approveRecordingConsent(req.params.token);
+
+        await logActivity({
+            userId: child.id,
+            userRole: 'volunteer',
+            action: 'parent_recording_consent_granted',
+            entityType: 'user',
+            entityId: child.id,
+            ipAddress: getRequestIp(req)
+        });
+
+        res.send(renderParentPage(
+            'Recording Allowed',
+            '✅',
+            'Thank you!',
+            `<strong>${child.full_name}</strong>'s conversation sessions may now be recorded when both participants agree.
+            If you change your mind, please contact us at <strong>support@talktime.org</strong>`
+        ));
+    } catch (error) {
+        console.error('Error approving parental recording consent:', error);
+        res.status(400).send(renderParentPage(
+            'Link Invalid',
+            '❌',
+            'Consent Link Invalid',
+            'This link is either invalid, expired, or has already been used. Links expire after 7 days.'
+        ));
+    }
+});
+
 /**
  * GET /api/v1/auth/approval-status/:userId
  * Get parental approval status for a user
@@ -69,6 +69,7 @@ router.get('/settings', volunteerJWTMiddleware, async (req, res) => {
 /**
  * PUT /api/v1/volunteer/settings
  * Update volunteer settings
+ * Notification channels are not kept here; see /api/v1/volunteers/me/notification-preferences
  */
 router.put('/settings', volunteerJWTMiddleware, async (req, res) => {
     try {
@@ -84,9 +85,6 @@ router.put('/settings', volunteerJWTMiddleware, async (req, res) => {
             primary_timezone,
             display_timezone_preference,
             dst_handling,
-            email_notifications,
-            sms_notifications,
-            browser_notifications,
             reminder_timings
         } = req.body;
         
@@ -136,38 +134,12 @@ router.put('/settings', volunteerJWTMiddleware, async (req, res) => {
             parameterIndex++;
         }
         
-        if (email_notifications !== undefined) {
-            updateFields.push(`email_notifications = $${parameterIndex}`);
-            updateValues.push(JSON.stringify(email_notifications));
-            parameterIndex++;
-        }
-        
-        if (browser_notifications !== undefined) {
-            updateFields.push(`browser_notifications = $${parameterIndex}`);
-            updateValues.push(JSON.stringify(browser_notifications));
-            parameterIndex++;
-        }
-        
         if (reminder_timings !== undefined) {
             updateFields.push(`reminder_timings = $${parameterIndex}`);
             updateValues.push(JSON.stringify(reminder_timings));
             parameterIndex++;
         }
         
-        // Add SMS notifications support
-        if (req.body.sms_notifications !== undefined) {
-            updateFields.push(`sms_notifications = $${parameterIndex}`);
-            updateValues.push(JSON.stringify(req.body.sms_notifications));
-            parameterIndex++;
-        }
-        
-        // Add push notifications support
-        if (req.body.push_notifications !== undefined) {
-            updateFields.push(`push_notifications = $${parameterIndex}`);
-            updateValues.push(JSON.stringify(req.body.push_notifications));
-            parameterIndex++;
-        }
-        
         // Add theme management support
         if (theme_mode !== undefined) {
             updateFields.push(`theme_mode = $${parameterIndex}`);
@@ -187,6 +159,12 @@ router.put('/settings', volunteerJWTMiddleware, async (req, res) => {
             parameterIndex++;
         }
         
+        if (updateFields.length === 0) {
+            return res.status(400).json({
+                error: 'No valid fields to update'
+            });
+        }
+        
         const updateQuery = `
             UPDATE volunteer_settings SET
                 ${updateFields.join(', ')}
@@ -202,16 +180,6 @@ router.put('/settings', volunteerJWTMiddleware, async (req, res) => {
             });
         }
         
-        // Clear notification preferences cache when settings are updated
-        if (email_notifications !== undefined || sms_notifications !== undefined || req.body.push_notifications !== undefined) {
-            try {
-                const { clearNotificationPrefsCache } = await import('../services/notificationService.js');
-                clearNotificationPrefsCache(volunteerId);
-            } catch (error) {
-                console.warn('Failed to clear notification preferences cache:', error);
-            }
-        }
-        
         res.json({
             message: 'Settings updated successfully',
             settings: result.rows[0]
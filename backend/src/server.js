@@ -30,6 +30,11 @@ import messageRoutes from './api/v1/routes/messageRoutes.js';
 // import uploadRoutes from './routes/upload.js';
 import mailchimpRoutes from './api/v1/routes/mailchimpRoutes.js';
 import uploadRoutes from './api/v1/routes/uploadRoutes.js';
+import recordingRoutes from './api/v1/routes/recordingRoutes.js';
+import safeguardingRoutes from './api/v1/routes/safeguardingRoutes.js';
+import calendarRoutes from './api/v1/routes/calendarRoutes.js';
+import smsRoutes from './api/v1/routes/smsRoutes.js';
+import internalRoutes from './api/v1/routes/internalRoutes.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { initializeSocket } from './socket.js';
 import { redisClient } from './config/cache.js';
@@ -90,6 +95,9 @@ app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
 
 // Public routes (no authentication required)
 app.use('/api/v1/parental-approval', parentalApprovalRoutes); // Parental approval routes
+app.use('/api/v1/calendar', calendarRoutes); // ICS feeds (token in the URL)
+app.use('/api/v1/sms', smsRoutes); // SMS delivery receipts (callback token)
+app.use('/internal', internalRoutes); // Service-to-service (INTERNAL_API_KEY)
 // Newsletter routes REMOVED - handled by newsletter-service microservice
 
 // JWT Authentication routes (no additional middleware needed)
@@ -133,6 +141,8 @@ app.use('/api/v1/meeting', jwtAuthMiddleware, meetingAccessRoutes);
 // app.use('/api/v1/notifications', notificationRoutes);
 app.use('/api/v1/mailchimp', mailchimpRoutes);
 app.use('/api/v1/messages', jwtAuthMiddleware, messageRoutes);
+app.use('/api/v1/recordings', recordingRoutes); // Consented call recordings (JWT enforced inside recordingRoutes)
+app.use('/api/v1/safeguarding', safeguardingRoutes); // Report a concern (JWT enforced inside safeguardingRoutes)
 // app.use('/api/v1/upload', uploadRoutes);
 
 // Health check endpoint
@@ -0,0 +1,276 @@
+/**
+ * Activity Log Service
+ * Writes user and system actions to the activity_log table, which is the platform's audit trail.
+ * Logging never throws: a failed audit write is reported but must not break the action itself.
+ * Meeting changes are recorded by a database trigger; use withAuditActor so it knows who made them.
+ */
+
+import pool from '../config/database.js';
+import { toCsv } from '../utils/csv.js';
+
+/**
+ * Record an action
+ * @param {Object} entry
+ * @param {number|null} [entry.userId] - Acting user (null for system jobs)
+ * @param {string|null} [entry.userRole]
+ * @param {string} entry.action - e.g. 'recording_started'
+ * @param {string} entry.entityType - e.g. 'call_recording'
+ * @param {number|null} [entry.entityId]
+ * @param {Object|null} [entry.details]
+ * @param {Object|null} [entry.changes] - Before/after diff, see diffChanges
+ * @param {string|null} [entry.ipAddress]
+ * @returns {Promise<Object|null>} Stored row, or null when the write failed
+ */
+export const logActivity = async ({
+    userId = null,
+    userRole = null,
+    action,
+    entityType,
+    entityId = null,
+    details = null,
+    changes = null,
+    ipAddress = null
+}) => {
+    try {
+        const result = await pool.query(`
+            INSERT INTO activity_log (user_id, user_role, action, entity_type, entity_id, details, changes, ip_address)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *
+        `, [
+            userId,
+            userRole,
+            action,
+            entityType,
+            entityId,
+            details ? JSON.stringify(details) : null,
+            changes && Object.keys(changes).length > 0 ? JSON.stringify(changes) : null,
+            ipAddress
+        ]);
+        return result.rows[0];
+    } catch (error) {
+        console.error(`❌ Failed to write activity log (${action} ${entityType}:${entityId}):`, error.message);
+        return null;
+    }
+};
+
+// Never copied into the audit trail, even as a diff
+const REDACTED_FIELDS = new Set([
+    'password', 'password_hash', 'totp_secret', 'pin', 'pin_hash',
+    'security_answer_1', 'security_answer_2', 'security_answer_3',
+    'security_answer_1_hash', 'security_answer_2_hash', 'security_answer_3_hash'
+]);
+
+const normalizeAuditValue = (value) => {
+    if (value === undefined) return null;
+    if (value instanceof Date) return value.toISOString();
+    return value;
+};
+
+/**
+ * Build a { field: { from, to } } diff of the fields that changed.
+ * Sensitive fields are reported as changed without their values.
+ * @param {Object|null} before - Row before the change (null for a create)
+ * @param {Object|null} after - Row after the change (null for a delete)
+ * @param {string[]} [fields] - Fields to compare (default: every key on either side)
+ * @returns {Object} Empty when nothing changed
+ */
+export const diffChanges = (before, after, fields = null) => {
+    const keys = fields || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+    const changes = {};
+
+    for (const key of keys) {
+        const from = normalizeAuditValue(before?.[key]);
+        const to = normalizeAuditValue(after?.[key]);
+        if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+        changes[key] = REDACTED_FIELDS.has(key)
+            ? { from: from === null ? null : '[redacted]', to: to === null ? null : '[redacted]' }
+            : { from, to };
+    }
+
+    return changes;
+};
+
+/**
+ * The acting user for an authenticated request
+ * @param {Object} req
+ * @returns {{userId: number|null, userRole: string|null, ipAddress: string|null}}
+ */
+export const getAuditActor = (req) => ({
+    userId: req.user?.id ?? null,
+    userRole: req.user?.role ?? null,
+    ipAddress: getRequestIp(req)
+});
+
+/**
+ * Run database writes in a transaction tagged with the acting user, so the meeting audit
+ * trigger records who made the change instead of treating it as a system change
+ * @param {Object} actor - From getAuditActor
+ * @param {Function} fn - Receives the transaction client
+ * @returns {Promise<*>} Whatever fn returns
+ */
+export const withAuditActor = async (actor, fn) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query(`
+            SELECT set_config('talktime.actor_id', $1, true),
+                   set_config('talktime.actor_role', $2, true),
+                   set_config('talktime.actor_ip', $3, true)
+        `, [
+            actor?.userId != null ? String(actor.userId) : '',
+            actor?.userRole || '',
+            actor?.ipAddress || ''
+        ]);
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Activity for a single entity, newest first
+ * @param {string} entityType
+ * @param {number} entityId
+ * @returns {Promise<Object[]>}
+ */
+export const getEntityActivity = async (entityType, entityId) => {
+    const result = await pool.query(`
+        SELECT a.id, a.user_id, a.user_role, a.action, a.details, a.changes, a.ip_address, a.created_at,
+               u.full_name as user_name
+        FROM activity_log a
+        LEFT JOIN users u ON a.user_id = u.id
+        WHERE a.entity_type = $1 AND a.entity_id = $2
+        ORDER BY a.created_at DESC
+    `, [entityType, entityId]);
+    return result.rows;
+};
+
+const buildActivityFilters = ({ q, action, entityType, entityId, userId, role, from, to } = {}) => {
+    const conditions = [];
+    const params = [];
+    const add = (sql, value) => {
+        params.push(value);
+        conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (action) add('a.action = ?', action);
+    if (entityType) add('a.entity_type = ?', entityType);
+    if (entityId) add('a.entity_id = ?', Number(entityId));
+    if (userId) add('a.user_id = ?', Number(userId));
+    if (role) add('a.user_role = ?', role);
+    if (from) add('a.created_at >= ?', from);
+    if (to) add('a.created_at <= ?', to);
+    if (q) {
+        params.push(`%${q}%`);
+        const p = `$${params.length}`;
+        conditions.push(`(a.action ILIKE ${p} OR u.full_name ILIKE ${p} OR u.email ILIKE ${p}
+            OR a.ip_address ILIKE ${p} OR a.details::text ILIKE ${p} OR a.changes::text ILIKE ${p})`);
+    }
+
+    return {
+        where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+};
+
+/**
+ * Search the audit trail, newest first
+ * @param {Object} filters - q, action, entityType, entityId, userId, role, from, to
+ * @param {Object} [pagination]
+ * @param {number} [pagination.page=1]
+ * @param {number} [pagination.limit=50] - At most 200
+ * @returns {Promise<{entries: Object[], pagination: Object}>}
+ */
+export const searchActivity = async (filters = {}, { page = 1, limit = 50 } = {}) => {
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const safePage = Math.max(parseInt(page, 10) || 1, 1);
+    const { where, params } = buildActivityFilters(filters);
+
+    const countResult = await pool.query(`
+        SELECT COUNT(*) FROM activity_log a LEFT JOIN users u ON a.user_id = u.id ${where}
+    `, params);
+    const total = parseInt(countResult.rows[0].count, 10);
+
+    const result = await pool.query(`
+        SELECT a.id, a.user_id, a.user_role, a.action, a.entity_type, a.entity_id,
+               a.details, a.changes, a.ip_address, a.created_at,
+               u.full_name as user_name, u.email as user_email
+        FROM activity_log a
+        LEFT JOIN users u ON a.user_id = u.id
+        ${where}
+        ORDER BY a.created_at DESC, a.id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, safeLimit, (safePage - 1) * safeLimit]);
+
+    return {
+        entries: result.rows,
+        pagination: {
+            page: safePage,
+            limit: safeLimit,
+            total,
+            totalPages: Math.ceil(total / safeLimit)
+        }
+    };
+};
+
+/**
+ * Distinct actions and entity types, for the audit log filters
+ * @returns {Promise<{actions: string[], entityTypes: string[]}>}
+ */
+export const getActivityFacets = async () => {
+    const [actions, entityTypes] = await Promise.all([
+        pool.query('SELECT DISTINCT action FROM activity_log ORDER BY action'),
+        pool.query('SELECT DISTINCT entity_type FROM activity_log ORDER BY entity_type')
+    ]);
+    return {
+        actions: actions.rows.map(r => r.action),
+        entityTypes: entityTypes.rows.map(r => r.entity_type)
+    };
+};
+
+const EXPORT_ROW_LIMIT = 50000;
+
+/**
+ * Export matching audit entries as CSV (newest first, capped at 50,000 rows)
+ * @param {Object} filters - Same as searchActivity
+ * @returns {Promise<string>}
+ */
+export const exportActivityCsv = async (filters = {}) => {
+    const { where, params } = buildActivityFilters(filters);
+    const result = await pool.query(`
+        SELECT a.id, a.created_at, a.user_id, u.full_name as user_name, u.email as user_email, a.user_role,
+               a.action, a.entity_type, a.entity_id, a.ip_address, a.changes, a.details
+        FROM activity_log a
+        LEFT JOIN users u ON a.user_id = u.id
+        ${where}
+        ORDER BY a.created_at DESC, a.id DESC
+        LIMIT ${EXPORT_ROW_LIMIT}
+    `, params);
+
+    const columns = ['id', 'created_at', 'user_id', 'user_name', 'user_email', 'user_role',
+        'action', 'entity_type', 'entity_id', 'ip_address', 'changes', 'details'];
+    return toCsv(columns, result.rows);
+};
+
+/**
+ * Pull the caller's IP the same way the other request logs do
+ */
+export const getRequestIp = (req) => req.ip || req.connection?.remoteAddress || null;
+
+export default {
+    logActivity,
+    diffChanges,
+    getAuditActor,
+    withAuditActor,
+    getEntityActivity,
+    searchActivity,
+    getActivityFacets,
+    exportActivityCsv,
+    getRequestIp
+};
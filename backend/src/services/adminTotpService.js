@@ -0,0 +1,364 @@
+/**
+ * Admin TOTP Service
+ * Two-factor authentication for admin accounts: an authenticator app code on top of the password,
+ * with single-use backup codes for a lost phone.
+ *
+ * Enrollment is two steps: startTotpEnrollment stores a new (encrypted) secret and returns the QR
+ * content, and activateTotp turns it on once the admin proves their app produces matching codes.
+ * TOTP is optional until security.admin_totp_enforce_from; after that date admins without it are
+ * sent through enrollment at their next login. Wrong codes count towards the same per-user lockout
+ * columns as student login cards.
+ */
+
+import crypto from 'crypto';
+import pool from '../config/database.js';
+import { getAdminSecuritySettings } from './configService.js';
+import { logActivity } from './activityLogService.js';
+import {
+    generateTotpSecret,
+    verifyTotpCode,
+    buildOtpAuthUri,
+    encryptTotpSecret,
+    decryptTotpSecret
+} from '../utils/totp.js';
+import { serviceError } from '../utils/serviceError.js';
+
+const BACKUP_CODE_COUNT = 10;
+const MAX_FAILED_CODES = 5;
+const LOCKOUT_MINUTES = 15;
+
+const hashBackupCode = (code) => crypto
+    .createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+    .digest('hex');
+
+// xxxx-xxxx, hex so they can't be confused with a 6-digit app code
+const generateBackupCode = () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+};
+
+const getAdmin = async (userId) => {
+    const result = await pool.query(
+        `SELECT id, email, full_name, role, totp_secret, totp_enabled_at, totp_last_used_step,
+                login_failed_attempts, login_locked_until
+         FROM users WHERE id = $1 AND role = 'admin'`,
+        [userId]
+    );
+    if (!result.rows[0]) {
+        throw serviceError('Admin not found', 404, 'ADMIN_NOT_FOUND');
+    }
+    return result.rows[0];
+};
+
+const replaceBackupCodes = async (db, userId) => {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, generateBackupCode);
+    await db.query('DELETE FROM admin_backup_codes WHERE user_id = $1', [userId]);
+    await db.query(
+        `INSERT INTO admin_backup_codes (user_id, code_hash)
+         SELECT $1, unnest($2::varchar[])`,
+        [userId, codes.map(hashBackupCode)]
+    );
+    return codes;
+};
+
+/**
+ * Whether the enforcement date has passed, so every admin must use TOTP
+ * @returns {Promise<boolean>}
+ */
+export const isTotpEnforced = async () => {
+    const { totpEnforceFrom } = await getAdminSecuritySettings();
+    if (!totpEnforceFrom) return false;
+    const enforceFrom = new Date(totpEnforceFrom);
+    return !Number.isNaN(enforceFrom.getTime()) && enforceFrom <= new Date();
+};
+
+/**
+ * What an admin who just entered the right password still has to do
+ * @param {Object} user - users row
+ * @returns {Promise<'verify'|'enroll'|null>}
+ */
+export const getLoginSecondFactor = async (user) => {
+    if (user.totp_enabled_at) return 'verify';
+    return (await isTotpEnforced()) ? 'enroll' : null;
+};
+
+/**
+ * Two-factor status for the admin's security settings
+ * @param {number} userId
+ */
+export const getTotpStatus = async (userId) => {
+    const admin = await getAdmin(userId);
+    const codes = await pool.query(
+        'SELECT COUNT(*) FROM admin_backup_codes WHERE user_id = $1 AND used_at IS NULL',
+        [userId]
+    );
+    const { totpEnforceFrom } = await getAdminSecuritySettings();
+
+    return {
+        enabled: !!admin.totp_enabled_at,
+        enabledAt: admin.totp_enabled_at,
+        backupCodesRemaining: parseInt(codes.rows[0].count, 10),
+        enforced: await isTotpEnforced(),
+        enforceFrom: totpEnforceFrom || null
+    };
+};
+
+/**
+ * Generate a new secret for an admin who hasn't turned TOTP on yet.
+ * Calling it again before activating replaces the pending secret.
+ * @param {number} userId
+ * @returns {Promise<{secret: string, otpauthUri: string}>}
+ */
+export const startTotpEnrollment = async (userId) => {
+    const admin = await getAdmin(userId);
+    if (admin.totp_enabled_at) {
+        throw serviceError('Two-factor authentication is already turned on', 409, 'TOTP_ALREADY_ENABLED');
+    }
+
+    const secret = generateTotpSecret();
+    await pool.query(
+        'UPDATE users SET totp_secret = $2, totp_last_used_step = NULL WHERE id = $1',
+        [admin.id, encryptTotpSecret(secret)]
+    );
+
+    return {
+        secret,
+        otpauthUri: buildOtpAuthUri({ secret, accountName: admin.email })
+    };
+};
+
+/**
+ * Turn TOTP on once the admin enters a code from their app
+ * @param {Object} params
+ * @param {number} params.userId
+ * @param {string} params.code - 6-digit code from the authenticator app
+ * @param {string} [params.ipAddress]
+ * @returns {Promise<{backupCodes: string[]}>} Backup codes, shown once
+ */
+export const activateTotp = async ({ userId, code, ipAddress }) => {
+    const admin = await getAdmin(userId);
+    if (admin.totp_enabled_at) {
+        throw serviceError('Two-factor authentication is already turned on', 409, 'TOTP_ALREADY_ENABLED');
+    }
+    if (!admin.totp_secret) {
+        throw serviceError('Start two-factor setup first', 409, 'TOTP_SETUP_NOT_STARTED');
+    }
+
+    const step = verifyTotpCode(decryptTotpSecret(admin.totp_secret), code);
+    if (step === null) {
+        throw serviceError('That code didn\'t match. Check the time on your phone and try again.', 401, 'INVALID_TOTP_CODE');
+    }
+
+    const client = await pool.connect();
+    let backupCodes;
+    try {
+        await client.query('BEGIN');
+        await client.query(
+            'UPDATE users SET totp_enabled_at = NOW(), totp_last_used_step = $2 WHERE id = $1',
+            [admin.id, step]
+        );
+        backupCodes = await replaceBackupCodes(client, admin.id);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    await logActivity({
+        userId: admin.id,
+        userRole: 'admin',
+        action: 'admin_totp_enabled',
+        entityType: 'user',
+        entityId: admin.id,
+        ipAddress
+    });
+
+    return { backupCodes };
+};
+
+/**
+ * Check an authenticator code or a backup code, applying the per-user lockout.
+ * A backup code is used up; an app code can't be replayed within its time window.
+ * @param {Object} params
+ * @param {number} params.userId
+ * @param {string} params.code - 6-digit app code or xxxx-xxxx backup code
+ * @param {string} [params.ipAddress]
+ * @returns {Promise<{method: 'totp'|'backup_code', backupCodesRemaining?: number}>}
+ */
+export const verifySecondFactor = async ({ userId, code, ipAddress }) => {
+    const admin = await getAdmin(userId);
+    if (!admin.totp_enabled_at) {
+        throw serviceError('Two-factor authentication is not turned on', 409, 'TOTP_NOT_ENABLED');
+    }
+    if (admin.login_locked_until && new Date(admin.login_locked_until) > new Date()) {
+        throw serviceError(
+            'Too many wrong codes. Please wait a few minutes and try again.',
+            423,
+            'LOGIN_LOCKED',
+            { lockedUntil: admin.login_locked_until }
+        );
+    }
+
+    const input = String(code || '').trim();
+    let result = null;
+
+    if (/^[0-9]{3}\s?[0-9]{3}$/.test(input)) {
+        const step = verifyTotpCode(decryptTotpSecret(admin.totp_secret), input, admin.totp_last_used_step);
+        if (step !== null) {
+            await pool.query('UPDATE users SET totp_last_used_step = $2 WHERE id = $1', [admin.id, step]);
+            result = { method: 'totp' };
+        }
+    } else if (input) {
+        const used = await pool.query(`
+            UPDATE admin_backup_codes SET used_at = NOW()
+            WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+            RETURNING id
+        `, [admin.id, hashBackupCode(input)]);
+        if (used.rows[0]) {
+            const remaining = await pool.query(
+                'SELECT COUNT(*) FROM admin_backup_codes WHERE user_id = $1 AND used_at IS NULL',
+                [admin.id]
+            );
+            result = { method: 'backup_code', backupCodesRemaining: parseInt(remaining.rows[0].count, 10) };
+        }
+    }
+
+    if (!result) {
+        const updated = await pool.query(`
+            UPDATE users SET
+                login_failed_attempts = CASE WHEN login_failed_attempts + 1 >= $2 THEN 0 ELSE login_failed_attempts + 1 END,
+                login_locked_until = CASE WHEN login_failed_attempts + 1 >= $2
+                    THEN NOW() + make_interval(mins => $3) ELSE login_locked_until END
+            WHERE id = $1
+            RETURNING login_failed_attempts, login_locked_until
+        `, [admin.id, MAX_FAILED_CODES, LOCKOUT_MINUTES]);
+        const { login_failed_attempts: failedAttempts, login_locked_until: lockedUntil } = updated.rows[0];
+
+        if (failedAttempts === 0 && lockedUntil) {
+            await logActivity({
+                userId: admin.id,
+                userRole: 'admin',
+                action: 'admin_totp_locked',
+                entityType: 'user',
+                entityId: admin.id,
+                details: { lockedUntil, attempts: MAX_FAILED_CODES },
+                ipAddress
+            });
+            throw serviceError(
+                `Too many wrong codes. Two-factor sign-in is locked for ${LOCKOUT_MINUTES} minutes.`,
+                423,
+                'LOGIN_LOCKED',
+                { lockedUntil }
+            );
+        }
+        throw serviceError('Invalid authentication code', 401, 'INVALID_TOTP_CODE');
+    }
+
+    await pool.query(
+        'UPDATE users SET login_failed_attempts = 0, login_locked_until = NULL WHERE id = $1',
+        [admin.id]
+    );
+    if (result.method === 'backup_code') {
+        await logActivity({
+            userId: admin.id,
+            userRole: 'admin',
+            action: 'admin_backup_code_used',
+            entityType: 'user',
+            entityId: admin.id,
+            details: { backupCodesRemaining: result.backupCodesRemaining },
+            ipAddress
+        });
+    }
+    return result;
+};
+
+/**
+ * Replace all backup codes (the old ones stop working). Requires a current code.
+ * @returns {Promise<{backupCodes: string[]}>}
+ */
+export const regenerateBackupCodes = async ({ userId, code, ipAddress }) => {
+    await verifySecondFactor({ userId, code, ipAddress });
+    const backupCodes = await replaceBackupCodes(pool, userId);
+
+    await logActivity({
+        userId,
+        userRole: 'admin',
+        action: 'admin_backup_codes_regenerated',
+        entityType: 'user',
+        entityId: userId,
+        ipAddress
+    });
+
+    return { backupCodes };
+};
+
+const clearTotp = async (userId) => {
+    await pool.query(
+        `UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL,
+                login_failed_attempts = 0, login_locked_until = NULL
+         WHERE id = $1`,
+        [userId]
+    );
+    await pool.query('DELETE FROM admin_backup_codes WHERE user_id = $1', [userId]);
+};
+
+/**
+ * Turn TOTP off for your own account. Requires a current code, and isn't allowed once TOTP is mandatory.
+ */
+export const disableTotp = async ({ userId, code, ipAddress }) => {
+    if (await isTotpEnforced()) {
+        throw serviceError('Two-factor authentication is required for all admins', 409, 'TOTP_REQUIRED');
+    }
+    await verifySecondFactor({ userId, code, ipAddress });
+    await clearTotp(userId);
+
+    await logActivity({
+        userId,
+        userRole: 'admin',
+        action: 'admin_totp_disabled',
+        entityType: 'user',
+        entityId: userId,
+        ipAddress
+    });
+};
+
+/**
+ * Another admin resets TOTP for an admin who lost both their phone and backup codes.
+ * They set it up again at their next login (or whenever they choose, if TOTP isn't mandatory yet).
+ * @param {Object} params
+ * @param {number} params.targetUserId
+ * @param {Object} params.admin - req.user of the admin doing the reset
+ * @param {string} [params.ipAddress]
+ */
+export const resetAdminTotp = async ({ targetUserId, admin, ipAddress }) => {
+    if (Number(targetUserId) === admin.id) {
+        throw serviceError('Use your own security settings to change your two-factor authentication', 400, 'CANNOT_RESET_OWN_TOTP');
+    }
+    const target = await getAdmin(targetUserId);
+    await clearTotp(target.id);
+
+    await logActivity({
+        userId: admin.id,
+        userRole: admin.role,
+        action: 'admin_totp_reset',
+        entityType: 'user',
+        entityId: target.id,
+        details: { email: target.email },
+        ipAddress
+    });
+};
+
+export default {
+    isTotpEnforced,
+    getLoginSecondFactor,
+    getTotpStatus,
+    startTotpEnrollment,
+    activateTotp,
+    verifySecondFactor,
+    regenerateBackupCodes,
+    disableTotp,
+    resetAdminTotp
+};
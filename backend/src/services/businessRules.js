@@ -0,0 +1,201 @@
+/**
+ * Business Rules
+ * Booking rules shared by every path that puts a volunteer in a student's diary: the normal
+ * schedule endpoints and the waitlist backfill. Each check returns what the caller needs to
+ * build its own response; checkBookingRules runs them all and throws on the first failure.
+ */
+
+import pool from '../config/database.js';
+import { getUserTimezone, getDayBoundariesInTimezone } from '../utils/timezoneUtils.js';
+import { checkStudentAvailability } from './studentAvailabilityService.js';
+import { getSchedulingSuspension } from './safeguardingService.js';
+import { getVolunteerRatingSummary } from './sessionFeedbackService.js';
+import { serviceError } from '../utils/serviceError.js';
+
+export const PAIR_MEETING_LIMIT = 3;
+export const MISSED_AFTER_MINUTES = 40;
+
+// Performance restriction thresholds (percentages / score out of 100)
+const MAX_CANCELLED_RATE = 40;
+const MAX_MISSED_RATE = 30;
+const MIN_REPUTATION_SCORE = 30;
+
+/**
+ * Mark scheduled meetings that never started within the timeout as missed
+ * @param {Object} [filter] - Limit to one meeting or one volunteer/student pair
+ * @param {number} [filter.meetingId]
+ * @param {number} [filter.volunteerId]
+ * @param {number} [filter.studentId]
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Object[]>} The meetings that were marked missed
+ */
+export const markOverdueMeetingsMissed = async ({ meetingId, volunteerId, studentId } = {}, db = pool) => {
+    const { rows } = await db.query(`
+        UPDATE meetings
+        SET status = 'missed',
+            updated_at = NOW()
+        WHERE status = 'scheduled'
+        AND scheduled_time < NOW() - make_interval(mins => $1)
+        AND ($2::int IS NULL OR id = $2)
+        AND ($3::int IS NULL OR volunteer_id = $3)
+        AND ($4::int IS NULL OR student_id = $4)
+        RETURNING *
+    `, [MISSED_AFTER_MINUTES, meetingId || null, volunteerId || null, studentId || null]);
+    return rows;
+};
+
+/**
+ * Check whether a volunteer's cancelled/missed history restricts new bookings
+ * Meetings cleared by an admin don't count.
+ * @param {number} volunteerId
+ * @returns {Promise<{restricted: boolean, performanceData: Object|null}>}
+ */
+export const checkVolunteerPerformance = async (volunteerId) => {
+    const { rows } = await pool.query(`
+        SELECT
+            COUNT(*) FILTER (WHERE status IN ('canceled', 'cancelled')) as cancelled_calls,
+            COUNT(*) FILTER (WHERE status = 'missed') as missed_calls,
+            COUNT(*) FILTER (WHERE status IN ('completed', 'canceled', 'cancelled', 'missed')) as total_scheduled
+        FROM meetings
+        WHERE volunteer_id = $1 AND scheduled_time < NOW()
+        AND (cleared_by_admin IS NULL OR cleared_by_admin = FALSE)
+    `, [volunteerId]);
+
+    const totalScheduled = parseInt(rows[0].total_scheduled);
+    if (totalScheduled === 0) {
+        return { restricted: false, performanceData: null };
+    }
+
+    const cancelledRate = Math.round((parseInt(rows[0].cancelled_calls) / totalScheduled) * 100);
+    const missedRate = Math.round((parseInt(rows[0].missed_calls) / totalScheduled) * 100);
+    // Recent student ratings move the score up or down a little
+    const { adjustment: ratingAdjustment } = await getVolunteerRatingSummary(volunteerId);
+    const reputationScore = Math.min(100, Math.max(0, Math.round(100 - (cancelledRate * 1.5) - (missedRate * 2) + ratingAdjustment)));
+
+    const restricted = cancelledRate >= MAX_CANCELLED_RATE
+        || missedRate >= MAX_MISSED_RATE
+        || reputationScore < MIN_REPUTATION_SCORE;
+
+    return {
+        restricted,
+        performanceData: {
+            cancelledRate,
+            missedRate,
+            reputationScore,
+            totalCalls: totalScheduled,
+            restriction: restricted ? 'critical' : 'none'
+        }
+    };
+};
+
+/**
+ * Count the pair's active meetings (scheduled, in progress, completed) against the limit
+ * Missed and canceled meetings don't count.
+ * @param {number} volunteerId
+ * @param {number} studentId
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<{allowed: boolean, meetingCount: number, limit: number}>}
+ */
+export const checkPairLimit = async (volunteerId, studentId, db = pool) => {
+    const { rows } = await db.query(`
+        SELECT COUNT(*) as meeting_count
+        FROM meetings
+        WHERE volunteer_id = $1
+        AND student_id = $2
+        AND status NOT IN ('missed', 'canceled', 'cancelled')
+    `, [volunteerId, studentId]);
+
+    const meetingCount = parseInt(rows[0].meeting_count);
+    return { allowed: meetingCount < PAIR_MEETING_LIMIT, meetingCount, limit: PAIR_MEETING_LIMIT };
+};
+
+/**
+ * Find the student's booked call on the same local day as a given time
+ * Students get one call per day, counted in the student's own timezone.
+ * @param {number} studentId - users.id of the student
+ * @param {Date|string} time - Any moment on the day to check
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<{existingMeeting: Object|null, timezone: string, localDateString: string, startOfDay: Date, endOfDay: Date}>}
+ */
+export const findStudentMeetingOnDay = async (studentId, time, db = pool) => {
+    const studentTimezone = await getUserTimezone(studentId);
+    const { startOfDay, endOfDay, localDateString } = getDayBoundariesInTimezone(time, studentTimezone);
+
+    const { rows } = await db.query(`
+        SELECT id, scheduled_time, volunteer_id, status
+        FROM meetings
+        WHERE student_id = $1
+        AND scheduled_time >= $2
+        AND scheduled_time < $3
+        AND status IN ('scheduled', 'in_progress')
+        ORDER BY scheduled_time
+        LIMIT 1
+    `, [studentId, startOfDay, endOfDay]);
+
+    return {
+        existingMeeting: rows[0] || null,
+        timezone: studentTimezone,
+        localDateString,
+        startOfDay,
+        endOfDay
+    };
+};
+
+/**
+ * Check the rules that depend only on the volunteer and the pair, not on the time
+ * @param {Object} pair
+ * @param {number} pair.volunteerId
+ * @param {number} pair.studentId - users.id of the student
+ * @param {Object} [db] - Pool or transaction client for the pair check
+ * @throws {Error} SCHEDULING_SUSPENDED, ACCOUNT_RESTRICTED or PAIR_LIMIT_REACHED
+ */
+export const checkVolunteerEligibility = async ({ volunteerId, studentId }, db = pool) => {
+    const suspension = await getSchedulingSuspension(volunteerId);
+    if (suspension.suspended) {
+        throw serviceError('Your ability to schedule new calls is on hold while our team reviews a report. Please contact support.', 403, 'SCHEDULING_SUSPENDED');
+    }
+
+    const { restricted, performanceData } = await checkVolunteerPerformance(volunteerId);
+    if (restricted) {
+        throw serviceError('Your account is temporarily restricted from scheduling new calls due to high cancellation/missed call rates. Please contact support to resolve this issue.', 403, 'ACCOUNT_RESTRICTED', { performanceData });
+    }
+
+    const { allowed, meetingCount, limit } = await checkPairLimit(volunteerId, studentId, db);
+    if (!allowed) {
+        throw serviceError(`You have reached the ${limit}-meeting limit with this student.`, 403, 'PAIR_LIMIT_REACHED', { meetingCount, limit });
+    }
+};
+
+/**
+ * Run every rule a new booking has to pass
+ * @param {Object} booking
+ * @param {number} booking.volunteerId
+ * @param {number} booking.studentId - users.id of the student
+ * @param {Date|string} booking.scheduledTime
+ * @param {Object} [db] - Pool or transaction client for the day and pair checks
+ * @throws {Error} With status, code and any details for the response
+ */
+export const checkBookingRules = async ({ volunteerId, studentId, scheduledTime }, db = pool) => {
+    await checkVolunteerEligibility({ volunteerId, studentId }, db);
+
+    const { existingMeeting } = await findStudentMeetingOnDay(studentId, scheduledTime, db);
+    if (existingMeeting) {
+        throw serviceError('Student already has a meeting scheduled for this date', 409, 'STUDENT_DAY_BOOKED');
+    }
+
+    const availability = await checkStudentAvailability(studentId, scheduledTime);
+    if (!availability.available) {
+        throw serviceError(availability.error, 409, 'STUDENT_UNAVAILABLE', { reason: availability.reason });
+    }
+};
+
+export default {
+    PAIR_MEETING_LIMIT,
+    MISSED_AFTER_MINUTES,
+    markOverdueMeetingsMissed,
+    checkVolunteerPerformance,
+    checkPairLimit,
+    findStudentMeetingOnDay,
+    checkVolunteerEligibility,
+    checkBookingRules
+};
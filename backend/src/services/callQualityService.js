@@ -0,0 +1,101 @@
+/**
+ * Call Quality Service
+ * Stores the WebRTC getStats() summaries that call participants report over the socket
+ * and rates them, so admins can see whether a call failed because of the connection.
+ */
+
+import pool from '../config/database.js';
+
+// Thresholds for rating a sample or a whole call (rural mobile links sit near "fair")
+const QUALITY_THRESHOLDS = {
+    poor: { rttMs: 400, packetLossPct: 5 },
+    fair: { rttMs: 200, packetLossPct: 2 }
+};
+
+const CANDIDATE_TYPES = ['host', 'srflx', 'prflx', 'relay'];
+const CONNECTION_STATES = ['new', 'connecting', 'connected', 'disconnected', 'failed', 'closed'];
+
+/**
+ * Coerce a reported metric to a bounded number, or null when missing/invalid
+ */
+const toMetric = (value, max) => {
+    const number = Number(value);
+    if (value === null || value === undefined || !Number.isFinite(number) || number < 0) {
+        return null;
+    }
+    return Math.min(number, max);
+};
+
+const toIntegerMetric = (value, max) => {
+    const metric = toMetric(value, max);
+    return metric === null ? null : Math.round(metric);
+};
+
+/**
+ * Rate connection quality from RTT and packet loss
+ * @param {{rttMs?: number|null, packetLossPct?: number|null}} metrics
+ * @returns {'good'|'fair'|'poor'|'unknown'}
+ */
+export const rateQuality = ({ rttMs, packetLossPct }) => {
+    const rtt = rttMs === null || rttMs === undefined ? null : Number(rttMs);
+    const loss = packetLossPct === null || packetLossPct === undefined ? null : Number(packetLossPct);
+
+    if (rtt === null && loss === null) return 'unknown';
+    if (rtt >= QUALITY_THRESHOLDS.poor.rttMs || loss >= QUALITY_THRESHOLDS.poor.packetLossPct) return 'poor';
+    if (rtt >= QUALITY_THRESHOLDS.fair.rttMs || loss >= QUALITY_THRESHOLDS.fair.packetLossPct) return 'fair';
+    return 'good';
+};
+
+/**
+ * Record a quality sample reported by a call participant
+ * @param {Object} report - Socket payload: { roomId, userId?, role?, sample }
+ * @returns {Promise<Object|null>} Stored row, or null when the report is unusable
+ */
+export const recordQualitySample = async ({ roomId, userId, role, sample }) => {
+    if (!roomId || !sample || typeof sample !== 'object') {
+        return null;
+    }
+
+    // Calls identify themselves by room; instant calls without a meeting are kept by room only
+    const meetingResult = await pool.query(
+        'SELECT id FROM meetings WHERE room_id = $1 ORDER BY scheduled_time DESC LIMIT 1',
+        [String(roomId)]
+    );
+    const meetingId = meetingResult.rows[0]?.id || null;
+
+    const numericUserId = Number.isInteger(Number(userId)) && Number(userId) > 0 ? Number(userId) : null;
+
+    const result = await pool.query(`
+        INSERT INTO call_quality_samples (
+            meeting_id, room_id, user_id, role,
+            rtt_ms, packet_loss_pct, outbound_bitrate_kbps, inbound_bitrate_kbps,
+            frame_width, frame_height, frames_per_second,
+            relayed, local_candidate_type, remote_candidate_type, connection_state
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+        RETURNING *
+    `, [
+        meetingId,
+        String(roomId),
+        numericUserId,
+        ['volunteer', 'student', 'admin'].includes(role) ? role : null,
+        toIntegerMetric(sample.rttMs, 60000),
+        toMetric(sample.packetLossPct, 100),
+        toIntegerMetric(sample.outboundBitrateKbps, 100000),
+        toIntegerMetric(sample.inboundBitrateKbps, 100000),
+        toIntegerMetric(sample.frameWidth, 10000),
+        toIntegerMetric(sample.frameHeight, 10000),
+        toMetric(sample.framesPerSecond, 240),
+        typeof sample.relayed === 'boolean' ? sample.relayed : null,
+        CANDIDATE_TYPES.includes(sample.localCandidateType) ? sample.localCandidateType : null,
+        CANDIDATE_TYPES.includes(sample.remoteCandidateType) ? sample.remoteCandidateType : null,
+        CONNECTION_STATES.includes(sample.connectionState) ? sample.connectionState : null
+    ]);
+
+    return result.rows[0];
+};
+
+export default {
+    rateQuality,
+    recordQualitySample
+};
@@ -6,6 +6,7 @@
 
 import pool from '../config/database.js';
 import { redisClient } from '../config/cache.js';
+import { logActivity } from './activityLogService.js';
 
 const CACHE_PREFIX = 'config:';
 const CACHE_TTL = 300; // 5 minutes cache TTL
@@ -22,6 +23,9 @@ const DEFAULT_SETTINGS = {
     'meeting.calls_per_student_per_day': 1,
     'meeting.meetings_per_volunteer_student_pair': 3,
 
+    // Waitlist settings
+    'waitlist.offer_window_minutes': 30,
+
     // Instant call settings
     'instant_call.response_timeout_seconds': 180,
     'instant_call.cleanup_interval_minutes': 3,
@@ -35,6 +39,26 @@ const DEFAULT_SETTINGS = {
     'volunteer.missed_rate_threshold': 30,
     'volunteer.min_reputation_score': 30,
 
+    // Scheduling / slot finder settings
+    'scheduling.slot_interval_minutes': 30,
+    'scheduling.slot_finder_max_days': 14,
+    'scheduling.school_hours_block': { enabled: true, days: [1, 2, 3, 4, 5], start: '07:30', end: '16:00' },
+
+    // Call recording settings
+    'recording.enabled': true,
+    'recording.retention_days': 90,
+
+    // Safeguarding settings
+    'safeguarding.auto_suspend_on_student_report': false,
+
+    // Student login card settings
+    'student_login.max_failed_attempts': 5,
+    'student_login.lockout_minutes': 15,
+    'student_login.require_card': false,
+
+    // Security settings
+    'security.admin_totp_enforce_from': '',
+
     // Notification settings
     'notification.reminder_intervals_minutes': [30, 10, 5],
     'notification.auto_launch_minutes': 5,
@@ -233,13 +257,14 @@ export async function getSettingsByCategory(category) {
  * Update a setting (admin only)
  * @param {string} key - The setting key
  * @param {any} value - The new value
+ * @param {Object} [actor] - Who made the change ({userId, userRole, ipAddress}); recorded in the audit trail
  * @returns {Promise<Object>} The updated setting
  */
-export async function updateSetting(key, value) {
+export async function updateSetting(key, value, actor = null) {
     try {
         // Get existing setting to determine data type
         const existing = await pool.query(
-            'SELECT data_type FROM app_settings WHERE key = $1',
+            'SELECT value, data_type FROM app_settings WHERE key = $1',
             [key]
         );
 
@@ -266,6 +291,13 @@ export async function updateSetting(key, value) {
 
         console.log(`[ConfigService] Setting ${key} updated to ${stringValue}`);
 
+        await logSettingChanges(actor, {
+            [key]: {
+                from: parseValue(existing.rows[0].value, dataType),
+                to: parseValue(updated.value, updated.data_type)
+            }
+        });
+
         return {
             key: updated.key,
             value: parseValue(updated.value, updated.data_type),
@@ -283,19 +315,21 @@ export async function updateSetting(key, value) {
 /**
  * Update multiple settings at once (admin only)
  * @param {Object} settings - Key-value pairs to update
+ * @param {Object} [actor] - Who made the change ({userId, userRole, ipAddress}); recorded in the audit trail
  * @returns {Promise<Object>} Updated settings
  */
-export async function updateSettings(settings) {
+export async function updateSettings(settings, actor = null) {
     const client = await pool.connect();
     try {
         await client.query('BEGIN');
 
         const updated = {};
+        const changes = {};
 
         for (const [key, value] of Object.entries(settings)) {
             // Get data type
             const existing = await client.query(
-                'SELECT data_type FROM app_settings WHERE key = $1',
+                'SELECT value, data_type FROM app_settings WHERE key = $1',
                 [key]
             );
 
@@ -313,6 +347,9 @@ export async function updateSettings(settings) {
             );
 
             updated[key] = parseValue(stringValue, dataType);
+            if (existing.rows[0].value !== stringValue) {
+                changes[key] = { from: parseValue(existing.rows[0].value, dataType), to: updated[key] };
+            }
         }
 
         await client.query('COMMIT');
@@ -322,6 +359,8 @@ export async function updateSettings(settings) {
 
         console.log(`[ConfigService] Bulk updated ${Object.keys(updated).length} settings`);
 
+        await logSettingChanges(actor, changes);
+
         return updated;
     } catch (error) {
         await client.query('ROLLBACK');
@@ -332,6 +371,26 @@ export async function updateSettings(settings) {
     }
 }
 
+/**
+ * Record settings changes in the audit trail (skipped when nothing actually changed)
+ * @param {Object|null} actor
+ * @param {Object} changes - { key: { from, to } }
+ */
+async function logSettingChanges(actor, changes) {
+    const keys = Object.keys(changes);
+    if (keys.length === 0) return;
+
+    await logActivity({
+        userId: actor?.userId ?? null,
+        userRole: actor?.userRole ?? null,
+        ipAddress: actor?.ipAddress ?? null,
+        action: 'settings_updated',
+        entityType: 'app_setting',
+        details: { keys },
+        changes
+    });
+}
+
 /**
  * Invalidate cache for a specific key
  */
@@ -443,6 +502,49 @@ export async function getReminderIntervals() {
     return await getSetting('notification.reminder_intervals_minutes');
 }
 
+/**
+ * Get call recording settings
+ */
+export async function getRecordingSettings() {
+    const enabled = await getSetting('recording.enabled');
+    const retentionDays = await getSetting('recording.retention_days');
+    return { enabled, retentionDays };
+}
+
+/**
+ * Get safeguarding settings
+ */
+export async function getSafeguardingSettings() {
+    const autoSuspendOnStudentReport = await getSetting('safeguarding.auto_suspend_on_student_report');
+    return { autoSuspendOnStudentReport };
+}
+
+/**
+ * Get student login card settings
+ */
+export async function getStudentLoginSettings() {
+    const maxFailedAttempts = await getSetting('student_login.max_failed_attempts');
+    const lockoutMinutes = await getSetting('student_login.lockout_minutes');
+    const requireCard = await getSetting('student_login.require_card');
+    return { maxFailedAttempts, lockoutMinutes, requireCard };
+}
+
+/**
+ * Get admin security settings
+ */
+export async function getAdminSecuritySettings() {
+    const totpEnforceFrom = await getSetting('security.admin_totp_enforce_from');
+    return { totpEnforceFrom };
+}
+
+/**
+ * Get meeting waitlist settings
+ */
+export async function getWaitlistSettings() {
+    const offerWindowMinutes = await getSetting('waitlist.offer_window_minutes');
+    return { offerWindowMinutes };
+}
+
 // Export default object for convenience
 export default {
     getSetting,
@@ -460,5 +562,10 @@ export default {
     getCallTimerWarnings,
     getVolunteerThresholds,
     getReminderIntervals,
+    getRecordingSettings,
+    getSafeguardingSettings,
+    getStudentLoginSettings,
+    getAdminSecuritySettings,
+    getWaitlistSettings,
     DEFAULT_SETTINGS
 };
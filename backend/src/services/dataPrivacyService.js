@@ -0,0 +1,372 @@
+/**
+ * Data Privacy Service
+ * "Download my data" archives for volunteers, and admin-driven erasure of a volunteer's or
+ * student's personal data.
+ *
+ * Erasure anonymises rather than deletes: the users row stays (with erased_at set) so meetings,
+ * ratings and impact counts keep adding up, while names, contact details, photos, messages and
+ * notifications are removed. Safeguarding incidents and recording consents are kept, since we
+ * have to be able to show what was reported and what was agreed to.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import archiver from 'archiver';
+import bcrypt from 'bcrypt';
+import pool from '../config/database.js';
+import { logActivity, withAuditActor } from './activityLogService.js';
+import { revokeUserTokens } from './tokenRevocationService.js';
+import { serviceError } from '../utils/serviceError.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const UPLOADS_ROOT = path.resolve(__dirname, '../../uploads');
+
+// Never included in an export: credentials and one-time tokens, not personal data about the user
+const SECRET_USER_FIELDS = [
+    'password_hash', 'totp_secret', 'totp_last_used_step',
+    'parent_approval_token', 'parent_recording_consent_token',
+    'security_answer_1_hash', 'security_answer_2_hash', 'security_answer_3_hash'
+];
+
+// Cleared on erasure when the column exists (some only exist on databases that ran older migrations)
+const PERSONAL_USER_FIELDS = [
+    'age', 'gender', 'phone', 'school_name', 'parent_email', 'parent_phone',
+    'parent_approval_token', 'parent_recording_consent_token',
+    'totp_secret', 'totp_enabled_at', 'totp_last_used_step', 'profile_image',
+    'security_question_1', 'security_answer_1_hash',
+    'security_question_2', 'security_answer_2_hash',
+    'security_question_3', 'security_answer_3_hash',
+    'bio', 'story', 'location', 'interests',
+    'gallery_image_1', 'gallery_image_2', 'gallery_image_3', 'gallery_image_4', 'gallery_image_5',
+    'gallery_images', 'admission_notes', 'emergency_contact', 'guardian_name', 'guardian_phone',
+    'school_grade', 'learning_goals', 'special_needs', 'preferred_topics'
+];
+
+/**
+ * Resolve an /uploads/... URL to a file on disk, refusing anything outside the uploads folder
+ * @param {string|null} urlPath
+ * @returns {string|null}
+ */
+const resolveUpload = (urlPath) => {
+    if (!urlPath || typeof urlPath !== 'string' || !urlPath.startsWith('/uploads/')) return null;
+    const filePath = path.resolve(UPLOADS_ROOT, urlPath.slice('/uploads/'.length));
+    return filePath.startsWith(UPLOADS_ROOT + path.sep) ? filePath : null;
+};
+
+/**
+ * Everything we hold about a volunteer, grouped by archive file
+ * @param {number} userId
+ * @returns {Promise<{files: Object<string, *>, media: {name: string, filePath: string}[]}>}
+ */
+export const collectVolunteerData = async (userId) => {
+    const userResult = await pool.query(
+        "SELECT * FROM users WHERE id = $1 AND role = 'volunteer' AND erased_at IS NULL",
+        [userId]
+    );
+    const user = userResult.rows[0];
+    if (!user) {
+        throw serviceError('Volunteer not found', 404, 'NOT_FOUND');
+    }
+
+    const profile = { ...user };
+    SECRET_USER_FIELDS.forEach(field => delete profile[field]);
+
+    const [settings, notificationPreferences, meetings, messages, notifications, feedback, consents, activity, credits] = await Promise.all([
+        pool.query('SELECT * FROM volunteer_settings WHERE volunteer_id = $1', [userId]),
+        pool.query(`
+            SELECT channels, quiet_hours_enabled, quiet_hours_start, quiet_hours_end, digest_enabled, digest_hour, updated_at
+            FROM notification_preferences
+            WHERE user_id = $1
+        `, [userId]),
+        pool.query(`
+            SELECT m.id, m.scheduled_time, m.status, m.is_instant, m.reschedule_count, m.notes,
+                   m.created_at, m.updated_at, s.full_name as student_name
+            FROM meetings m
+            LEFT JOIN users s ON m.student_id = s.id
+            WHERE m.volunteer_id = $1
+            ORDER BY m.scheduled_time DESC
+        `, [userId]),
+        pool.query(`
+            SELECT m.id, m.content, m.is_read, m.created_at,
+                   CASE WHEN m.sender_id = $1 THEN 'sent' ELSE 'received' END as direction,
+                   u.full_name as other_party
+            FROM messages m
+            LEFT JOIN users u ON u.id = CASE WHEN m.sender_id = $1 THEN m.recipient_id ELSE m.sender_id END
+            WHERE m.sender_id = $1 OR m.recipient_id = $1
+            ORDER BY m.created_at ASC
+        `, [userId]),
+        pool.query(
+            'SELECT id, type, title, message, data, is_read, created_at FROM notifications WHERE user_id = $1 ORDER BY created_at DESC',
+            [userId]
+        ),
+        pool.query(`
+            SELECT meeting_id, engagement, english_level, comment, created_at
+            FROM session_feedback
+            WHERE reviewer_id = $1
+            ORDER BY created_at DESC
+        `, [userId]),
+        pool.query(
+            'SELECT recording_id, consent_type, granted, responded_at FROM call_recording_consents WHERE user_id = $1 ORDER BY responded_at DESC',
+            [userId]
+        ),
+        pool.query(
+            'SELECT action, entity_type, entity_id, ip_address, created_at FROM activity_log WHERE user_id = $1 ORDER BY created_at DESC',
+            [userId]
+        ),
+        pool.query(
+            "SELECT COUNT(*) as completed_calls FROM meetings WHERE volunteer_id = $1 AND status = 'completed'",
+            [userId]
+        )
+    ]);
+
+    const completedCalls = parseInt(credits.rows[0].completed_calls, 10) || 0;
+    const media = [];
+    const profileImagePath = resolveUpload(user.profile_image);
+    if (profileImagePath && fs.existsSync(profileImagePath)) {
+        media.push({ name: `media/profile-image${path.extname(profileImagePath)}`, filePath: profileImagePath });
+    }
+
+    return {
+        files: {
+            'profile.json': profile,
+            'settings.json': settings.rows[0] || null,
+            'notification-preferences.json': notificationPreferences.rows[0] || null,
+            'meetings.json': meetings.rows,
+            'messages.json': messages.rows,
+            'notifications.json': notifications.rows,
+            'feedback.json': feedback.rows,
+            'recording-consents.json': consents.rows,
+            'account-activity.json': activity.rows,
+            'certificates.json': {
+                certificateId: user.static_certificate_id || null,
+                issuedTo: user.full_name,
+                completedCalls,
+                eligible: completedCalls > 0
+            }
+        },
+        media
+    };
+};
+
+const README = `TalkTime personal data export
+
+Each .json file holds one kind of record we keep about your account:
+
+  profile.json              Your account and profile details
+  settings.json             Your dashboard settings
+  notification-preferences.json
+                            How and when you want to be notified
+  meetings.json             Every meeting you scheduled or joined
+  messages.json             Messages you sent and received
+  notifications.json        Notifications we sent you
+  feedback.json             Post-call feedback you gave
+  recording-consents.json   Call recordings you agreed to
+  account-activity.json     Sign-ins and other actions on your account
+  certificates.json         Your volunteer certificate details
+  media/                    Photos you uploaded
+
+Passwords, security answers and two-factor secrets are not included.
+Your certificate PDF can be downloaded from your dashboard at any time.
+To ask us to erase your data, contact the TalkTime team.
+`;
+
+/**
+ * Stream a zip of the volunteer's data to a writable stream (usually the response)
+ * @param {number} userId
+ * @param {import('stream').Writable} output
+ * @param {Object} [actor] - From getAuditActor, for the audit trail
+ * @returns {Promise<void>} Resolves once the archive is fully written
+ */
+export const writeVolunteerDataArchive = async (userId, output, actor = null) => {
+    const { files, media } = await collectVolunteerData(userId);
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const finished = new Promise((resolve, reject) => {
+        output.on('close', resolve);
+        output.on('finish', resolve);
+        archive.on('error', reject);
+    });
+
+    archive.pipe(output);
+    archive.append(README, { name: 'talktime-data/README.txt' });
+    for (const [name, data] of Object.entries(files)) {
+        archive.append(JSON.stringify(data, null, 2), { name: `talktime-data/${name}` });
+    }
+    for (const { name, filePath } of media) {
+        archive.file(filePath, { name: `talktime-data/${name}` });
+    }
+    await archive.finalize();
+    await finished;
+
+    await logActivity({
+        ...actor,
+        action: 'personal_data_exported',
+        entityType: 'volunteer',
+        entityId: userId,
+        details: { mediaFiles: media.length }
+    });
+};
+
+const getExistingUserColumns = async (client) => {
+    const result = await client.query(`
+        SELECT column_name FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = 'users'
+    `);
+    return new Set(result.rows.map(r => r.column_name));
+};
+
+/**
+ * Erase a volunteer's or student's personal data, keeping their meetings for aggregate stats
+ * @param {Object} options
+ * @param {number} options.userId
+ * @param {Object} options.actor - From getAuditActor (must be an admin)
+ * @returns {Promise<{role: string, removed: Object}>}
+ */
+export const erasePersonalData = async ({ userId, actor }) => {
+    const userResult = await pool.query(
+        'SELECT id, role, email, full_name, profile_image, erased_at FROM users WHERE id = $1',
+        [userId]
+    );
+    const user = userResult.rows[0];
+    if (!user) {
+        throw serviceError('User not found', 404, 'NOT_FOUND');
+    }
+    if (user.role === 'admin') {
+        throw serviceError('Admin accounts cannot be erased here', 400, 'ADMIN_ACCOUNT');
+    }
+    if (user.erased_at) {
+        throw serviceError('This account has already been erased', 409, 'ALREADY_ERASED');
+    }
+
+    const upcoming = await pool.query(`
+        SELECT COUNT(*) as count FROM meetings
+        WHERE (volunteer_id = $1 OR student_id = $1)
+        AND status IN ('scheduled', 'pending', 'confirmed', 'in_progress', 'active')
+        AND scheduled_time > NOW()
+    `, [userId]);
+    if (parseInt(upcoming.rows[0].count, 10) > 0) {
+        throw serviceError(
+            `${user.full_name} has ${upcoming.rows[0].count} upcoming meeting(s). Cancel them before erasing.`,
+            409,
+            'UPCOMING_MEETINGS'
+        );
+    }
+
+    const studentProfile = user.role === 'student'
+        ? (await pool.query('SELECT id, photo_url, gallery FROM students WHERE user_id = $1', [userId])).rows[0]
+        : null;
+
+    // Nobody knows this password, so the account can't be signed into again
+    const unusableHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+    const removed = {};
+
+    await withAuditActor(actor, async (client) => {
+        const columns = await getExistingUserColumns(client);
+        const cleared = PERSONAL_USER_FIELDS.filter(field => columns.has(field));
+
+        const messages = await client.query('DELETE FROM messages WHERE sender_id = $1 OR recipient_id = $1', [userId]);
+        removed.messages = messages.rowCount;
+
+        const notifications = await client.query('DELETE FROM notifications WHERE user_id = $1', [userId]);
+        removed.notifications = notifications.rowCount;
+
+        // Ratings stay for reputation and analytics; the free-text comments go
+        const feedback = await client.query(
+            'UPDATE session_feedback SET comment = NULL WHERE reviewer_id = $1 AND comment IS NOT NULL',
+            [userId]
+        );
+        removed.feedbackComments = feedback.rowCount;
+
+        // Levels stay for the same reason; session notes and goals are free text about the student
+        const sessionNotes = await client.query(
+            'UPDATE meetings SET notes = NULL WHERE (student_id = $1 OR volunteer_id = $1) AND notes IS NOT NULL',
+            [userId]
+        );
+        removed.sessionNotes = sessionNotes.rowCount;
+        await client.query('DELETE FROM student_goals WHERE student_id = $1', [userId]);
+
+        await client.query('DELETE FROM newsletter_subscriptions WHERE LOWER(email) = LOWER($1)', [user.email]);
+        await client.query('DELETE FROM volunteer_settings WHERE volunteer_id = $1', [userId]);
+        await client.query('DELETE FROM student_login_cards WHERE student_id = $1', [userId]);
+        await client.query('DELETE FROM meeting_waitlist WHERE volunteer_id = $1 OR student_id = $1', [userId]);
+        await client.query('DELETE FROM calendar_feeds WHERE user_id = $1', [userId]);
+        await client.query('DELETE FROM notification_digest_items WHERE user_id = $1', [userId]);
+        await client.query('DELETE FROM notification_preferences WHERE user_id = $1', [userId]);
+        // Texts to or about the user carry their phone number and name
+        await client.query(`
+            DELETE FROM sms_messages
+            WHERE user_id = $1 OR contact_id IN (SELECT id FROM sms_contacts WHERE student_id = $1)
+        `, [userId]);
+        await client.query('DELETE FROM sms_contacts WHERE student_id = $1', [userId]);
+        // Emails likewise; parental emails go to the parent but are filed under the child's account
+        await client.query(
+            'DELETE FROM email_outbox WHERE user_id = $1 OR LOWER(to_email) = LOWER($2)',
+            [userId, user.email]
+        );
+        await client.query(
+            'UPDATE security_events SET ip_address = NULL, user_agent = NULL WHERE user_id = $1',
+            [userId]
+        );
+
+        // Keep the audit trail of what happened, but not the copies of profile fields or IPs
+        await client.query('UPDATE activity_log SET ip_address = NULL WHERE user_id = $1', [userId]);
+        await client.query(`
+            UPDATE activity_log SET changes = NULL
+            WHERE changes IS NOT NULL
+            AND ((entity_type IN ('volunteer', 'user') AND entity_id = $1)
+                 OR (entity_type = 'student' AND entity_id = $2))
+        `, [userId, studentProfile?.id ?? null]);
+
+        if (studentProfile) {
+            await client.query(`
+                UPDATE students
+                SET full_name = 'Erased Student', admission_number = $2, age = NULL, gender = NULL,
+                    bio = NULL, story = NULL, photo_url = NULL, gallery = NULL, is_available = false
+                WHERE id = $1
+            `, [studentProfile.id, `erased-${userId}`]);
+        }
+
+        const assignments = [
+            'full_name = $2', 'username = $3', 'email = $4', 'password_hash = $5',
+            ...cleared.map(field => `${field} = NULL`),
+            'is_approved = false', 'erased_at = NOW()', 'erased_by = $6', 'updated_at = NOW()'
+        ];
+        await client.query(`UPDATE users SET ${assignments.join(', ')} WHERE id = $1`, [
+            userId,
+            user.role === 'student' ? 'Erased Student' : 'Erased Volunteer',
+            `erased-${userId}`,
+            `erased-${userId}@erased.talktime.local`,
+            unusableHash,
+            actor?.userId ?? null
+        ]);
+    });
+
+    await revokeUserTokens(userId, 'personal_data_erased');
+
+    // Files go last: once the rows no longer point at them, a failed unlink only leaves an orphan
+    const files = [user.profile_image, studentProfile?.photo_url, ...(studentProfile?.gallery || [])]
+        .map(resolveUpload)
+        .filter(Boolean);
+    await Promise.all(files.map(filePath => fs.promises.unlink(filePath).catch((error) => {
+        if (error.code !== 'ENOENT') console.error('Failed to delete erased user file:', filePath, error.message);
+    })));
+    removed.files = files.length;
+
+    await logActivity({
+        ...actor,
+        action: 'personal_data_erased',
+        entityType: user.role,
+        entityId: userId,
+        details: { removed }
+    });
+
+    return { role: user.role, removed };
+};
+
+export default {
+    collectVolunteerData,
+    writeVolunteerDataArchive,
+    erasePersonalData
+};
@@ -0,0 +1,443 @@
+/**
+ * Email Service
+ * Renders emails from the templates in utils/email and delivers them through a queue. Queuing
+ * stores the rendered email in email_outbox; processEmailQueue sends what is due and retries
+ * failures with backoff until MAX_ATTEMPTS, so an SMTP outage delays email instead of losing it.
+ * The outbox is also the delivery log behind the admin email settings.
+ */
+
+import pool from '../config/database.js';
+import { createEmailTransport } from '../utils/email/transport.js';
+import { EMAIL_TEMPLATES, renderEmailTemplate } from '../utils/email/index.js';
+import { buildMeetingInvite } from './meetingCalendarService.js';
+import { logActivity } from './activityLogService.js';
+import { getUserLocale, normalizeLocale, SUPPORTED_LOCALES, DEFAULT_LOCALE } from '../i18n/index.js';
+import { serviceError } from '../utils/serviceError.js';
+
+export const EMAIL_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60]; // After the 1st, 2nd, 3rd and 4th failed attempt
+const SEND_LEASE_MINUTES = 10; // A send that has not finished by then is assumed lost and retried
+const BATCH_SIZE = 20;
+const RECENT_FAILURE_LIMIT = 20;
+const PREVIEW_TIMEZONE = 'Africa/Nairobi';
+const EMAIL_PATTERN = /^[^\s@<>()",;]+@[^\s@<>()",;]+\.[^\s@<>()",;]+$/;
+
+// Emails about these carry the meeting's calendar invite
+const CALENDAR_INVITE_TYPES = ['meeting_scheduled', 'meeting_rescheduled', 'meeting_canceled'];
+
+// Notification types with their own template; everything else uses 'notification'
+const MEETING_TEMPLATES = ['meeting_scheduled', 'meeting_rescheduled', 'meeting_reminder'];
+
+const baseUrl = () => process.env.BASE_URL || 'http://localhost';
+
+const absoluteUrl = (url) => {
+    if (!url) return null;
+    return url.startsWith('/') ? `${baseUrl()}${url}` : url;
+};
+
+let transport = null;
+const getTransport = () => {
+    if (!transport) {
+        transport = createEmailTransport();
+        console.log(`📧 Email transport: ${transport.name}`);
+    }
+    return transport;
+};
+
+/**
+ * Queue an email rendered from a template
+ * @param {Object} email
+ * @param {string} email.to
+ * @param {string} email.template - Key of EMAIL_TEMPLATES
+ * @param {Object} email.data - The template's data
+ * @param {string} [email.locale]
+ * @param {string} [email.timeZone] - Reader's IANA timezone for dates
+ * @param {number} [email.userId] - The account the email is to or about; erased with it
+ * @param {Object} [email.icalEvent] - { method, filename, content } calendar invite
+ * @param {string} [email.dedupeKey] - An email with the same key is only ever queued once
+ * @param {string} [email.subjectPrefix] - e.g. '[TEST]'
+ * @param {Date} [email.sendAt] - Hold the email until then, e.g. the end of the reader's quiet hours
+ * @returns {Promise<{id: number}|null>} null when dedupeKey was already used
+ */
+export const queueEmail = async ({
+    to,
+    template,
+    data,
+    locale = DEFAULT_LOCALE,
+    timeZone = null,
+    userId = null,
+    icalEvent = null,
+    dedupeKey = null,
+    subjectPrefix = null,
+    sendAt = null
+}) => {
+    const address = String(to || '').trim();
+    if (!EMAIL_PATTERN.test(address)) {
+        throw serviceError(`Invalid email address: ${to}`, 400, 'INVALID_EMAIL');
+    }
+    findTemplate(template);
+
+    const code = normalizeLocale(locale) || DEFAULT_LOCALE;
+    const rendered = renderEmailTemplate(template, code, data, { timeZone });
+    const subject = subjectPrefix ? `${subjectPrefix} ${rendered.subject}` : rendered.subject;
+
+    const { rows } = await pool.query(`
+        INSERT INTO email_outbox (to_email, template, locale, subject, html, text_body, ical_event, user_id, dedupe_key, next_attempt_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10, CURRENT_TIMESTAMP))
+        ON CONFLICT (dedupe_key) DO NOTHING
+        RETURNING id
+    `, [address, template, code, subject, rendered.html, rendered.text,
+        icalEvent ? JSON.stringify(icalEvent) : null, userId, dedupeKey, sendAt]);
+
+    if (!rows.length) return null;
+    if (!sendAt) drainSoon();
+    return { id: rows[0].id };
+};
+
+// Send newly queued email straight away instead of waiting for the scheduler's next run
+let draining = false;
+let drainAgain = false;
+const drainSoon = () => {
+    if (draining) {
+        drainAgain = true;
+        return;
+    }
+    draining = true;
+    setImmediate(async () => {
+        try {
+            do {
+                drainAgain = false;
+                await processEmailQueue();
+            } while (drainAgain);
+        } catch (error) {
+            console.error('Error sending queued emails:', error);
+        } finally {
+            draining = false;
+        }
+    });
+};
+
+/**
+ * Send the queued emails that are due; called every minute by the scheduler
+ * Rows are claimed with SKIP LOCKED, so several backend instances can run this at once.
+ * @returns {Promise<{sent: number, failed: number}>} failed counts emails that ran out of attempts
+ */
+export const processEmailQueue = async () => {
+    // Sends that were claimed but never finished (the process died) and have no attempts left
+    await pool.query(`
+        UPDATE email_outbox
+        SET status = 'failed', last_error = COALESCE(last_error, 'Delivery attempt did not finish'), updated_at = NOW()
+        WHERE status = 'sending' AND next_attempt_at <= NOW() AND attempts >= $1
+    `, [MAX_ATTEMPTS]);
+
+    const { rows } = await pool.query(`
+        UPDATE email_outbox
+        SET status = 'sending',
+            attempts = attempts + 1,
+            next_attempt_at = NOW() + make_interval(mins => $2),
+            updated_at = NOW()
+        WHERE id IN (
+            SELECT id FROM email_outbox
+            WHERE status IN ('pending', 'sending') AND next_attempt_at <= NOW() AND attempts < $3
+            ORDER BY next_attempt_at
+            LIMIT $1
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+    `, [BATCH_SIZE, SEND_LEASE_MINUTES, MAX_ATTEMPTS]);
+
+    let sent = 0;
+    let failed = 0;
+    for (const email of rows) {
+        try {
+            const info = await getTransport().sendMail({
+                from: process.env.SMTP_FROM || 'noreply@talktime.adea.ke',
+                to: email.to_email,
+                subject: email.subject,
+                html: email.html,
+                text: email.text_body,
+                icalEvent: email.ical_event || undefined
+            });
+            await pool.query(`
+                UPDATE email_outbox
+                SET status = 'sent', sent_at = NOW(), provider_message_id = $2, last_error = NULL, updated_at = NOW()
+                WHERE id = $1
+            `, [email.id, info?.messageId || null]);
+            sent++;
+        } catch (error) {
+            const giveUp = email.attempts >= MAX_ATTEMPTS;
+            const delay = RETRY_DELAYS_MINUTES[Math.min(email.attempts, RETRY_DELAYS_MINUTES.length) - 1];
+            await pool.query(`
+                UPDATE email_outbox
+                SET status = $2, last_error = $3, next_attempt_at = NOW() + make_interval(mins => $4), updated_at = NOW()
+                WHERE id = $1
+            `, [email.id, giveUp ? 'failed' : 'pending', String(error.message).slice(0, 500), delay]);
+
+            if (giveUp) {
+                failed++;
+                console.error(`Giving up on email ${email.id} to ${email.to_email} after ${email.attempts} attempts:`, error.message);
+            } else {
+                console.warn(`Email ${email.id} to ${email.to_email} failed (attempt ${email.attempts}), retrying in ${delay} min:`, error.message);
+            }
+        }
+    }
+    return { sent, failed };
+};
+
+/**
+ * The template and data for a notification email
+ * Meeting notifications get their meeting's details from the database; if the meeting is gone
+ * they fall back to the general template.
+ */
+const notificationTemplateData = async (user, { type, title, message, metadata, actionUrl }) => {
+    const templateName = type?.startsWith('meeting_reminder') ? 'meeting_reminder' : type;
+    const fallback = {
+        template: 'notification',
+        data: { title, message, actionUrl: absoluteUrl(actionUrl || metadata.dashboard_link) }
+    };
+    if (!MEETING_TEMPLATES.includes(templateName) || !metadata.meeting_id) return fallback;
+
+    const { rows } = await pool.query(`
+        SELECT m.scheduled_time, m.volunteer_id, v.full_name AS volunteer_name, s.full_name AS student_name
+        FROM meetings m
+        JOIN users v ON v.id = m.volunteer_id
+        JOIN users s ON s.id = m.student_id
+        WHERE m.id = $1
+    `, [metadata.meeting_id]);
+    const meeting = rows[0];
+    if (!meeting) return fallback;
+
+    const forVolunteer = meeting.volunteer_id === user.id;
+    return {
+        template: templateName,
+        data: {
+            recipientName: user.full_name,
+            partnerName: forVolunteer ? meeting.student_name : meeting.volunteer_name,
+            time: meeting.scheduled_time,
+            previousTime: metadata.original_time || null,
+            minutes: parseInt(type.match(/(\d+)min$/)?.[1], 10) || null,
+            message,
+            actionUrl: absoluteUrl(actionUrl) ||
+                (forVolunteer ? `${baseUrl()}/volunteer/dashboard/upcoming.html` : `${baseUrl()}/student/dashboard`)
+        }
+    };
+};
+
+/**
+ * Queue the email for a notification sent with the 'email' channel
+ * Meeting scheduled/rescheduled/canceled emails also carry the meeting's iCalendar invite, so
+ * mail apps add, move or remove the event.
+ * @param {Object} user - Recipient's users row
+ * @param {Object} notification
+ * @param {string} notification.type
+ * @param {string} notification.title - Already localized
+ * @param {string} notification.message - Already localized
+ * @param {Object} [notification.metadata]
+ * @param {string} [notification.actionUrl] - Where the button goes; relative URLs are made absolute
+ * @param {Object} [options]
+ * @param {Date} [options.sendAt] - Hold the email until then
+ * @returns {Promise<{id: number}>}
+ */
+export const queueNotificationEmail = async (user, { type, title, message, metadata = {}, actionUrl = null }, { sendAt = null } = {}) => {
+    const locale = getUserLocale(user);
+    const { template, data } = await notificationTemplateData(user, { type, title, message, metadata, actionUrl });
+
+    let icalEvent = null;
+    if (metadata.meeting_id && CALENDAR_INVITE_TYPES.includes(type)) {
+        try {
+            const invite = await buildMeetingInvite(metadata.meeting_id, { email: user.email, locale });
+            if (invite) {
+                icalEvent = { method: invite.method, filename: invite.filename, content: invite.content };
+            }
+        } catch (error) {
+            // Still send the email without the invite
+            console.error(`Failed to build calendar invite for meeting ${metadata.meeting_id}:`, error);
+        }
+    }
+
+    return queueEmail({
+        to: user.email,
+        template,
+        data,
+        locale,
+        timeZone: user.timezone,
+        userId: user.id,
+        icalEvent,
+        sendAt
+    });
+};
+
+// Where the digest's button goes, by the reader's role
+const DASHBOARD_PATHS = {
+    volunteer: '/volunteer/dashboard',
+    student: '/student/dashboard',
+    admin: '/admin/dashboard'
+};
+
+/**
+ * Queue a user's daily digest of the notifications held for it (see notificationPreferenceService)
+ * @param {Object} user - Recipient's users row
+ * @param {Array<{title: string, message: string, created_at: Date}>} items
+ * @param {Object} options
+ * @param {number} [options.moreCount] - Held notifications left out of the list
+ * @param {string} options.date - YYYY-MM-DD in the reader's timezone; one digest per day
+ * @returns {Promise<{id: number}|null>}
+ */
+export const queueDailyDigestEmail = async (user, items, { moreCount = 0, date }) => queueEmail({
+    to: user.email,
+    template: 'daily_digest',
+    data: {
+        name: user.full_name,
+        items: items.map(item => ({ title: item.title, message: item.message, time: item.created_at })),
+        moreCount,
+        actionUrl: `${baseUrl()}${DASHBOARD_PATHS[user.role] || '/'}`
+    },
+    locale: getUserLocale(user),
+    timeZone: user.timezone,
+    userId: user.id,
+    dedupeKey: `digest:${user.id}:${date}`
+});
+
+/**
+ * Tell a volunteer their certificate is ready, once, after their first completed call
+ * @param {number} volunteerId
+ * @returns {Promise<boolean>} Whether an email was queued
+ */
+export const queueCertificateReadyEmail = async (volunteerId) => {
+    const { rows } = await pool.query(`
+        SELECT u.id, u.full_name, u.email, u.locale, u.timezone, u.static_certificate_id,
+               (SELECT COUNT(*) FROM meetings WHERE volunteer_id = u.id AND status = 'completed')::int AS completed_calls
+        FROM users u
+        WHERE u.id = $1 AND u.role = 'volunteer'
+    `, [volunteerId]);
+    const volunteer = rows[0];
+    // Only on the first call; volunteers who already had calls found their certificate before this email existed
+    if (!volunteer?.email || !volunteer.static_certificate_id || volunteer.completed_calls !== 1) return false;
+
+    const queued = await queueEmail({
+        to: volunteer.email,
+        template: 'certificate_ready',
+        data: {
+            name: volunteer.full_name,
+            certificateId: volunteer.static_certificate_id,
+            certificateUrl: `${baseUrl()}/volunteer/profile.html`,
+            verifyUrl: `${baseUrl()}/volunteer/verify?cert=${encodeURIComponent(volunteer.static_certificate_id)}`
+        },
+        locale: getUserLocale(volunteer),
+        timeZone: volunteer.timezone,
+        userId: volunteer.id,
+        dedupeKey: `certificate_ready:${volunteer.id}`
+    });
+    return Boolean(queued);
+};
+
+const findTemplate = (name) => {
+    const template = Object.hasOwn(EMAIL_TEMPLATES, name) ? EMAIL_TEMPLATES[name] : null;
+    if (!template) {
+        throw serviceError('Email template not found', 404, 'TEMPLATE_NOT_FOUND');
+    }
+    return template;
+};
+
+const checkLocale = (locale) => {
+    const code = normalizeLocale(locale || DEFAULT_LOCALE);
+    if (!code) {
+        throw serviceError(`Language must be one of: ${SUPPORTED_LOCALES.join(', ')}`, 400, 'INVALID_LOCALE');
+    }
+    return code;
+};
+
+/**
+ * The templates for the admin preview
+ * @returns {{templates: Array<{name: string, label: string, description: string}>, locales: string[]}}
+ */
+export const listEmailTemplates = () => ({
+    templates: Object.entries(EMAIL_TEMPLATES).map(([name, template]) => ({
+        name,
+        label: template.label,
+        description: template.description
+    })),
+    locales: SUPPORTED_LOCALES
+});
+
+/**
+ * Render a template with its sample data
+ * @param {string} name
+ * @param {string} [locale]
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export const previewEmailTemplate = (name, locale) => {
+    const template = findTemplate(name);
+    return renderEmailTemplate(name, checkLocale(locale), template.sample(), { timeZone: PREVIEW_TIMEZONE });
+};
+
+/**
+ * Queue a template with its sample data to an admin's address
+ * @param {string} name
+ * @param {Object} options
+ * @param {string} options.to
+ * @param {string} [options.locale]
+ * @param {Object} [actor] - From getAuditActor(req)
+ * @returns {Promise<{id: number}>}
+ */
+export const sendTestEmail = async (name, { to, locale }, actor = {}) => {
+    const template = findTemplate(name);
+    const code = checkLocale(locale);
+    const queued = await queueEmail({
+        to,
+        template: name,
+        data: template.sample(),
+        locale: code,
+        timeZone: PREVIEW_TIMEZONE,
+        subjectPrefix: '[TEST]'
+    });
+
+    await logActivity({
+        ...actor,
+        action: 'email_test_sent',
+        entityType: 'email_outbox',
+        entityId: queued.id,
+        details: { template: name, locale: code, to }
+    });
+    return queued;
+};
+
+/**
+ * Outbox counts for the last 7 days, the current backlog and the latest failures
+ */
+export const getEmailQueueStats = async () => {
+    const { rows: counts } = await pool.query(`
+        SELECT status, COUNT(*)::int AS count
+        FROM email_outbox
+        WHERE created_at > NOW() - INTERVAL '7 days' OR status IN ('pending', 'sending')
+        GROUP BY status
+    `);
+    const { rows: failures } = await pool.query(`
+        SELECT id, to_email, template, subject, attempts, last_error, updated_at
+        FROM email_outbox
+        WHERE status = 'failed'
+        ORDER BY updated_at DESC
+        LIMIT ${RECENT_FAILURE_LIMIT}
+    `);
+
+    return {
+        transport: getTransport().name,
+        counts: Object.fromEntries(EMAIL_STATUSES.map(s => [s, counts.find(c => c.status === s)?.count || 0])),
+        recentFailures: failures
+    };
+};
+
+export default {
+    EMAIL_STATUSES,
+    queueEmail,
+    processEmailQueue,
+    queueNotificationEmail,
+    queueCertificateReadyEmail,
+    queueDailyDigestEmail,
+    listEmailTemplates,
+    previewEmailTemplate,
+    sendTestEmail,
+    getEmailQueueStats
+};
@@ -0,0 +1,448 @@
+/**
+ * Job Queue Service
+ * Redis-backed delayed jobs: each job runs once, at or after its time, on whichever backend
+ * instance claims it first, and survives restarts because it lives in Redis rather than in a timer.
+ *
+ * Keys (all under talktime:jobs:):
+ *   - job:<id>      hash with the job (type, JSON payload, attempts, last error...)
+ *   - delayed       sorted set of job ids waiting to run, scored by run time (ms)
+ *   - active        sorted set of claimed job ids, scored by when their lease runs out; a worker that
+ *                   dies mid-job leaves its jobs here and the next tick puts them back
+ *   - dead          sorted set of job ids that ran out of attempts, scored by when they failed;
+ *                   kept for DEAD_JOB_TTL_DAYS so an admin can retry or discard them
+ *   - key:<key>     idempotency key -> job id; a second enqueue with the same key is a no-op until
+ *                   the job is cancelled or the key expires, a week after the job was due
+ *   - group:<group> set of job ids, so everything for one meeting can be cancelled together
+ *
+ * Handlers are registered per job type and should be idempotent: a job can run again if its
+ * worker dies after doing the work but before recording it.
+ */
+import crypto from 'crypto';
+import { redisClient } from '../config/cache.js';
+import { serviceError } from '../utils/serviceError.js';
+
+const PREFIX = 'talktime:jobs:';
+const DELAYED_KEY = `${PREFIX}delayed`;
+const ACTIVE_KEY = `${PREFIX}active`;
+const DEAD_KEY = `${PREFIX}dead`;
+const jobKey = (id) => `${PREFIX}job:${id}`;
+const idempotencyKey = (key) => `${PREFIX}key:${key}`;
+const groupKey = (group) => `${PREFIX}group:${group}`;
+
+export const JOB_STATES = ['pending', 'active', 'dead'];
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+// Retry n waits BASE * 4^(n-1): 15s, 1m, 4m, 16m
+const BACKOFF_BASE_MS = 15 * 1000;
+const LEASE_MS = 5 * 60 * 1000;
+const CLAIM_BATCH = 50;
+// The worker wakes for the next due job, but at least this often to pick up other instances' jobs
+const MAX_IDLE_MS = 30 * 1000;
+const IDEMPOTENCY_TTL_SECONDS = 7 * 24 * 60 * 60;
+const DEAD_JOB_TTL_DAYS = 30;
+const LIST_LIMIT = 100;
+
+// Create the job and its idempotency key together, or return the job already holding the key
+const ENQUEUE_SCRIPT = `
+local existing = redis.call('GET', KEYS[1])
+if existing then
+    return {0, existing}
+end
+redis.call('SET', KEYS[1], ARGV[1], 'EX', ARGV[3])
+redis.call('HSET', KEYS[2], unpack(ARGV, 5))
+redis.call('ZADD', KEYS[3], ARGV[2], ARGV[1])
+if ARGV[4] ~= '' then
+    redis.call('SADD', ARGV[4], ARGV[1])
+end
+return {1, ARGV[1]}
+`;
+
+// Move due jobs from delayed to active in one step, so two workers never claim the same job
+const CLAIM_SCRIPT = `
+local ids = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, ARGV[3])
+for _, id in ipairs(ids) do
+    redis.call('ZREM', KEYS[1], id)
+    redis.call('ZADD', KEYS[2], ARGV[2], id)
+    redis.call('HINCRBY', ARGV[4] .. id, 'attempts', 1)
+end
+return ids
+`;
+
+const handlers = new Map();
+
+let workerRunning = false;
+let workerTimer = null;
+let nextTickAt = null;
+let ticking = false;
+let redisWarningLogged = false;
+
+async function isRedisConnected() {
+    try {
+        if (!redisClient.isOpen) {
+            await redisClient.connect();
+        }
+        return redisClient.isOpen;
+    } catch {
+        return false;
+    }
+}
+
+const requireRedis = async () => {
+    if (!(await isRedisConnected())) {
+        throw serviceError('Job queue unavailable: Redis is not connected', 503, 'QUEUE_UNAVAILABLE');
+    }
+};
+
+/**
+ * Register the function that runs jobs of one type
+ * @param {string} type - e.g. 'notification.deliver'
+ * @param {(payload: Object, job: Object) => Promise<*>} handler - Throw to retry the job
+ */
+export const registerJobHandler = (type, handler) => {
+    handlers.set(type, handler);
+};
+
+/**
+ * Queue a job
+ * @param {Object} job
+ * @param {string} job.type - A registered handler
+ * @param {Object} [job.payload]
+ * @param {Date|string|number} [job.runAt] - Defaults to now
+ * @param {string} [job.idempotencyKey] - Queueing the same key again returns the existing job
+ * @param {string} [job.group] - e.g. 'meeting:42', for cancelJobGroup
+ * @param {number} [job.maxAttempts]
+ * @returns {Promise<{id: string, created: boolean}>}
+ */
+export const enqueueJob = async ({ type, payload = {}, runAt = Date.now(), idempotencyKey: key, group, maxAttempts = DEFAULT_MAX_ATTEMPTS }) => {
+    await requireRedis();
+
+    const id = crypto.randomUUID();
+    const runAtMs = new Date(runAt).getTime();
+    const ttl = IDEMPOTENCY_TTL_SECONDS + Math.max(0, Math.ceil((runAtMs - Date.now()) / 1000));
+    const fields = {
+        id,
+        type,
+        payload: JSON.stringify(payload),
+        key: key || '',
+        group: group || '',
+        attempts: '0',
+        maxAttempts: String(maxAttempts),
+        runAt: new Date(runAtMs).toISOString(),
+        createdAt: new Date().toISOString()
+    };
+
+    const [created, jobId] = await redisClient.eval(ENQUEUE_SCRIPT, {
+        keys: [idempotencyKey(key || id), jobKey(id), DELAYED_KEY],
+        arguments: [id, String(runAtMs), String(ttl), group ? groupKey(group) : '', ...Object.entries(fields).flat()]
+    });
+
+    if (created && workerRunning && (nextTickAt === null || runAtMs < nextTickAt)) {
+        scheduleNextTick(Math.max(0, runAtMs - Date.now()));
+    }
+    return { id: jobId, created: created === 1 };
+};
+
+// Remove a job from every set and, unless it completed, release its idempotency key
+const removeJob = async (id, { releaseKey = true } = {}) => {
+    const job = await redisClient.hGetAll(jobKey(id));
+    const multi = redisClient.multi()
+        .zRem(DELAYED_KEY, id)
+        .zRem(ACTIVE_KEY, id)
+        .zRem(DEAD_KEY, id)
+        .del(jobKey(id));
+    if (job.group) multi.sRem(groupKey(job.group), id);
+    if (releaseKey) multi.del(idempotencyKey(job.key || id));
+    await multi.exec();
+    return job;
+};
+
+/**
+ * Cancel every job in a group that has not run yet
+ * A job already running finishes; its handler should notice the work is no longer wanted.
+ * @param {string} group
+ * @returns {Promise<number>} Jobs removed
+ */
+export const cancelJobGroup = async (group) => {
+    await requireRedis();
+
+    const ids = await redisClient.sMembers(groupKey(group));
+    let removed = 0;
+    for (const id of ids) {
+        const claimed = await redisClient.zRem(DELAYED_KEY, id) || await redisClient.zRem(DEAD_KEY, id);
+        if (claimed) {
+            await removeJob(id);
+            removed++;
+        }
+    }
+    // Running jobs drop out of the group when they finish
+    if (removed === ids.length) {
+        await redisClient.del(groupKey(group));
+    }
+    return removed;
+};
+
+const deadLetter = async (job, error) => {
+    await redisClient.multi()
+        .zAdd(DEAD_KEY, { score: Date.now(), value: job.id })
+        .hSet(jobKey(job.id), { lastError: error, failedAt: new Date().toISOString() })
+        .expire(jobKey(job.id), DEAD_JOB_TTL_DAYS * 24 * 60 * 60)
+        .exec();
+    console.error(`❌ [JOBS] ${job.type} job ${job.id} moved to the dead-letter set after ${job.attempts} attempts: ${error}`);
+};
+
+// Put back jobs whose worker stopped before finishing them
+const recoverStalledJobs = async () => {
+    const ids = await redisClient.zRangeByScore(ACTIVE_KEY, '-inf', Date.now());
+    for (const id of ids) {
+        // Only one worker wins the ZREM
+        if (!(await redisClient.zRem(ACTIVE_KEY, id))) continue;
+        const job = await redisClient.hGetAll(jobKey(id));
+        if (!job.id) continue;
+        if (parseInt(job.attempts, 10) >= parseInt(job.maxAttempts, 10)) {
+            await deadLetter(job, job.lastError || 'Worker stopped before the job finished');
+        } else {
+            await redisClient.zAdd(DELAYED_KEY, { score: Date.now(), value: id });
+        }
+    }
+};
+
+const runJob = async (id) => {
+    const job = await redisClient.hGetAll(jobKey(id));
+    if (!job.id) {
+        await redisClient.zRem(ACTIVE_KEY, id);
+        return 'missing';
+    }
+
+    try {
+        const handler = handlers.get(job.type);
+        if (!handler) {
+            throw new Error(`No handler registered for job type ${job.type}`);
+        }
+        await handler(JSON.parse(job.payload || '{}'), job);
+        await removeJob(id, { releaseKey: false });
+        return 'completed';
+    } catch (error) {
+        const attempts = parseInt(job.attempts, 10);
+        const message = error.message || String(error);
+        // Cancelled while running: nothing to retry
+        if (!(await redisClient.zRem(ACTIVE_KEY, id))) {
+            return 'cancelled';
+        }
+        if (attempts >= parseInt(job.maxAttempts, 10)) {
+            await deadLetter(job, message);
+            return 'dead';
+        }
+        const delay = BACKOFF_BASE_MS * 4 ** (attempts - 1);
+        await redisClient.multi()
+            .hSet(jobKey(id), { lastError: message })
+            .zAdd(DELAYED_KEY, { score: Date.now() + delay, value: id })
+            .exec();
+        console.warn(`⚠️ [JOBS] ${job.type} job ${id} failed (attempt ${attempts}), retrying in ${Math.round(delay / 1000)}s: ${message}`);
+        return 'retried';
+    }
+};
+
+/**
+ * Run every job that is due
+ * Safe on several instances at once: each job is claimed by exactly one of them.
+ * @returns {Promise<{completed: number, retried: number, dead: number}>}
+ */
+export const runDueJobs = async () => {
+    const result = { completed: 0, retried: 0, dead: 0 };
+    if (!(await isRedisConnected())) {
+        if (!redisWarningLogged) {
+            console.error('❌ [JOBS] Redis unavailable, jobs will run once it is back');
+            redisWarningLogged = true;
+        }
+        return result;
+    }
+    redisWarningLogged = false;
+
+    await recoverStalledJobs();
+    await redisClient.zRemRangeByScore(DEAD_KEY, '-inf', Date.now() - DEAD_JOB_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    let ids;
+    do {
+        const now = Date.now();
+        ids = await redisClient.eval(CLAIM_SCRIPT, {
+            keys: [DELAYED_KEY, ACTIVE_KEY],
+            arguments: [String(now), String(now + LEASE_MS), String(CLAIM_BATCH), `${PREFIX}job:`]
+        });
+        for (const id of ids) {
+            const outcome = await runJob(id);
+            if (outcome in result) result[outcome]++;
+        }
+    } while (ids.length === CLAIM_BATCH);
+
+    return result;
+};
+
+const tick = async () => {
+    workerTimer = null;
+    nextTickAt = null;
+    if (ticking) return;
+    ticking = true;
+    try {
+        const { completed, retried, dead } = await runDueJobs();
+        if (completed > 0 || retried > 0 || dead > 0) {
+            console.log(`📅 [JOBS] ${completed} completed, ${retried} retrying, ${dead} dead-lettered`);
+        }
+    } catch (error) {
+        console.error('❌ [JOBS] Error running due jobs:', error.message);
+    } finally {
+        ticking = false;
+    }
+
+    let delay = MAX_IDLE_MS;
+    try {
+        if (redisClient.isOpen) {
+            const [next] = await redisClient.zRangeWithScores(DELAYED_KEY, 0, 0);
+            if (next) delay = Math.min(MAX_IDLE_MS, Math.max(0, next.score - Date.now()));
+        }
+    } catch (error) {
+        console.error('❌ [JOBS] Error reading the next due job:', error.message);
+    }
+    scheduleNextTick(delay);
+};
+
+function scheduleNextTick(delay) {
+    if (!workerRunning) return;
+    clearTimeout(workerTimer);
+    nextTickAt = Date.now() + delay;
+    workerTimer = setTimeout(tick, delay);
+}
+
+/**
+ * Start running jobs in this process
+ */
+export const startJobWorker = () => {
+    if (workerRunning) return;
+    workerRunning = true;
+    scheduleNextTick(0);
+    console.log('📅 Job worker started');
+};
+
+/**
+ * Stop running jobs in this process; a job already running finishes
+ */
+export const stopJobWorker = () => {
+    workerRunning = false;
+    clearTimeout(workerTimer);
+    workerTimer = null;
+    nextTickAt = null;
+};
+
+export const isJobWorkerRunning = () => workerRunning;
+
+const toJobView = (job, score, state) => ({
+    id: job.id,
+    type: job.type,
+    state,
+    payload: JSON.parse(job.payload || '{}'),
+    idempotencyKey: job.key || null,
+    group: job.group || null,
+    attempts: parseInt(job.attempts, 10),
+    maxAttempts: parseInt(job.maxAttempts, 10),
+    runAt: state === 'pending' ? new Date(score).toISOString() : job.runAt,
+    createdAt: job.createdAt,
+    lastError: job.lastError || null,
+    failedAt: job.failedAt || null
+});
+
+/**
+ * Jobs in one state, soonest (pending) or newest (active, dead) first
+ * @param {Object} [options]
+ * @param {string} [options.state] - One of JOB_STATES
+ * @param {number} [options.limit]
+ * @returns {Promise<Object[]>}
+ */
+export const listJobs = async ({ state = 'pending', limit = LIST_LIMIT } = {}) => {
+    if (!JOB_STATES.includes(state)) {
+        throw serviceError(`State must be one of: ${JOB_STATES.join(', ')}`, 400, 'INVALID_STATE');
+    }
+    await requireRedis();
+
+    const key = { pending: DELAYED_KEY, active: ACTIVE_KEY, dead: DEAD_KEY }[state];
+    const count = Math.min(Math.max(parseInt(limit, 10) || LIST_LIMIT, 1), LIST_LIMIT);
+    const entries = await redisClient.zRangeWithScores(key, 0, count - 1, state === 'pending' ? {} : { REV: true });
+
+    const jobs = [];
+    for (const { value: id, score } of entries) {
+        const job = await redisClient.hGetAll(jobKey(id));
+        if (job.id) {
+            jobs.push(toJobView(job, score, state));
+        } else if (state === 'dead') {
+            // The job's hash expired before its entry was trimmed
+            await redisClient.zRem(DEAD_KEY, id);
+        }
+    }
+    return jobs;
+};
+
+/**
+ * How many jobs are in each state, by type for pending ones
+ */
+export const getJobQueueStats = async () => {
+    await requireRedis();
+
+    const [pending, active, dead, due] = await Promise.all([
+        redisClient.zCard(DELAYED_KEY),
+        redisClient.zCard(ACTIVE_KEY),
+        redisClient.zCard(DEAD_KEY),
+        redisClient.zCount(DELAYED_KEY, '-inf', Date.now())
+    ]);
+    return { pending, active, dead, due, workerRunning };
+};
+
+/**
+ * Give a dead-lettered job a fresh set of attempts, now
+ * @param {string} id
+ * @returns {Promise<Object>} The job
+ */
+export const retryDeadJob = async (id) => {
+    await requireRedis();
+
+    if (!(await redisClient.zRem(DEAD_KEY, id))) {
+        throw serviceError('Failed job not found', 404, 'JOB_NOT_FOUND');
+    }
+    const now = Date.now();
+    await redisClient.multi()
+        .persist(jobKey(id))
+        .hSet(jobKey(id), { attempts: '0', runAt: new Date(now).toISOString(), failedAt: '' })
+        .zAdd(DELAYED_KEY, { score: now, value: id })
+        .exec();
+    scheduleNextTick(0);
+
+    const job = await redisClient.hGetAll(jobKey(id));
+    return toJobView(job, now, 'pending');
+};
+
+/**
+ * Delete a dead-lettered job
+ * @param {string} id
+ * @returns {Promise<Object>} The removed job
+ */
+export const discardDeadJob = async (id) => {
+    await requireRedis();
+
+    if (!(await redisClient.zScore(DEAD_KEY, id))) {
+        throw serviceError('Failed job not found', 404, 'JOB_NOT_FOUND');
+    }
+    const job = await removeJob(id, { releaseKey: false });
+    return toJobView(job, null, 'dead');
+};
+
+export default {
+    JOB_STATES,
+    registerJobHandler,
+    enqueueJob,
+    cancelJobGroup,
+    runDueJobs,
+    startJobWorker,
+    stopJobWorker,
+    isJobWorkerRunning,
+    listJobs,
+    getJobQueueStats,
+    retryDeadJob,
+    discardDeadJob
+};
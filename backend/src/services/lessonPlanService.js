@@ -0,0 +1,549 @@
+/**
+ * Lesson Plan Service
+ * Admin-managed library of conversation prompts and lesson plans, tagged by English level and topic.
+ *
+ * When a meeting is booked the best plan for the student is attached to it: plans at the student's
+ * level (from the latest volunteer assessment, else their profile) that match their preferred topics
+ * and interests, skipping plans they have already covered or that are lined up for another upcoming
+ * call. During the call the volunteer sees the plan and marks it (or another one) as used, which adds
+ * it to the student's covered history for the next volunteer.
+ */
+
+import pool from '../config/database.js';
+import { logActivity, diffChanges } from './activityLogService.js';
+import { ENGLISH_LEVELS } from './sessionFeedbackService.js';
+import { serviceError } from '../utils/serviceError.js';
+
+export const LESSON_PLAN_KINDS = ['prompt', 'lesson_plan'];
+
+const MAX_TITLE_LENGTH = 150;
+const MAX_TOPICS = 10;
+const MAX_LIST_ITEMS = 30;
+const MAX_NOTES_LENGTH = 500;
+const COVERED_HISTORY_LIMIT = 10;
+const ALTERNATIVES_LIMIT = 3;
+
+// Meetings whose plan can still be changed or marked as used
+const PLANNABLE_STATUSES = ['scheduled', 'pending', 'confirmed', 'in_progress', 'active', 'completed'];
+
+const PLAN_COLUMNS = `
+    p.id, p.title, p.kind, p.english_level, p.topics, p.summary, p.objectives, p.prompts,
+    p.vocabulary, p.duration_minutes, p.is_active, p.created_at, p.updated_at
+`;
+
+const PLAN_AUDIT_FIELDS = [
+    'title', 'kind', 'english_level', 'topics', 'summary', 'objectives', 'prompts', 'vocabulary', 'duration_minutes', 'is_active'
+];
+
+/**
+ * Reduce a free-text level (e.g. 'Beginner', 'Upper Intermediate') to one of ENGLISH_LEVELS
+ * @param {string} value
+ * @returns {string|null}
+ */
+export const normalizeEnglishLevel = (value) => {
+    if (!value || typeof value !== 'string') return null;
+    const level = value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return ENGLISH_LEVELS.includes(level) ? level : null;
+};
+
+/**
+ * Split comma/semicolon/newline separated text (or an array) into lowercase topic tags
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+export const parseTopics = (value) => {
+    const parts = Array.isArray(value) ? value : String(value || '').split(/[,;\n]/);
+    const tags = parts
+        .map(part => String(part).trim().toLowerCase().replace(/\s+/g, ' '))
+        .filter(Boolean);
+    return [...new Set(tags)];
+};
+
+const parseList = (value) => {
+    const items = Array.isArray(value) ? value : String(value || '').split('\n');
+    return items.map(item => String(item).trim()).filter(Boolean);
+};
+
+const topicsOverlap = (a, b) => a === b || a.includes(b) || b.includes(a);
+
+/**
+ * Validate and normalize admin input for a plan
+ * @param {Object} input - camelCase fields from the request body
+ * @returns {Object} Column values
+ * @throws {Error} 400 INVALID_LESSON_PLAN
+ */
+const validatePlan = (input) => {
+    const title = typeof input.title === 'string' ? input.title.trim() : '';
+    if (!title) {
+        throw serviceError('Title is required', 400, 'INVALID_LESSON_PLAN');
+    }
+    if (title.length > MAX_TITLE_LENGTH) {
+        throw serviceError(`Title must be ${MAX_TITLE_LENGTH} characters or fewer`, 400, 'INVALID_LESSON_PLAN');
+    }
+
+    const kind = input.kind || 'lesson_plan';
+    if (!LESSON_PLAN_KINDS.includes(kind)) {
+        throw serviceError('Type must be a conversation prompt or a lesson plan', 400, 'INVALID_LESSON_PLAN');
+    }
+
+    const englishLevel = input.englishLevel || null;
+    if (englishLevel && !ENGLISH_LEVELS.includes(englishLevel)) {
+        throw serviceError(`Level must be one of: ${ENGLISH_LEVELS.join(', ')}`, 400, 'INVALID_LESSON_PLAN');
+    }
+
+    const topics = parseTopics(input.topics);
+    if (topics.length > MAX_TOPICS) {
+        throw serviceError(`Use at most ${MAX_TOPICS} topics`, 400, 'INVALID_LESSON_PLAN');
+    }
+
+    const prompts = parseList(input.prompts);
+    const vocabulary = parseList(input.vocabulary);
+    if (prompts.length === 0) {
+        throw serviceError('Add at least one prompt or activity', 400, 'INVALID_LESSON_PLAN');
+    }
+    if (prompts.length > MAX_LIST_ITEMS || vocabulary.length > MAX_LIST_ITEMS) {
+        throw serviceError(`Prompts and vocabulary are limited to ${MAX_LIST_ITEMS} items each`, 400, 'INVALID_LESSON_PLAN');
+    }
+
+    let durationMinutes = null;
+    if (input.durationMinutes !== undefined && input.durationMinutes !== null && input.durationMinutes !== '') {
+        durationMinutes = parseInt(input.durationMinutes, 10);
+        if (!Number.isInteger(durationMinutes) || durationMinutes < 5 || durationMinutes > 120) {
+            throw serviceError('Duration must be between 5 and 120 minutes', 400, 'INVALID_LESSON_PLAN');
+        }
+    }
+
+    return {
+        title,
+        kind,
+        english_level: englishLevel,
+        topics,
+        summary: typeof input.summary === 'string' && input.summary.trim() ? input.summary.trim() : null,
+        objectives: typeof input.objectives === 'string' && input.objectives.trim() ? input.objectives.trim() : null,
+        prompts,
+        vocabulary,
+        duration_minutes: durationMinutes,
+        is_active: input.isActive === undefined ? true : input.isActive === true || input.isActive === 'true'
+    };
+};
+
+const findPlan = async (id, db = pool) => {
+    const result = await db.query(`SELECT ${PLAN_COLUMNS} FROM lesson_plans p WHERE p.id = $1`, [id]);
+    if (!result.rows[0]) {
+        throw serviceError('Lesson plan not found', 404, 'LESSON_PLAN_NOT_FOUND');
+    }
+    return result.rows[0];
+};
+
+/**
+ * List the library for the admin page
+ * @param {Object} [filters]
+ * @param {string} [filters.level] - One of ENGLISH_LEVELS; plans for any level are included
+ * @param {string} [filters.topic]
+ * @param {string} [filters.search] - Matches title and summary
+ * @param {boolean} [filters.includeArchived]
+ * @returns {Promise<Object[]>} Plans with how many sessions have used each
+ */
+export const listLessonPlans = async ({ level, topic, search, includeArchived = false } = {}) => {
+    const result = await pool.query(`
+        SELECT ${PLAN_COLUMNS},
+               (SELECT COUNT(*)::int FROM meetings m WHERE m.lesson_plan_id = p.id AND m.lesson_plan_used_at IS NOT NULL) as times_used
+        FROM lesson_plans p
+        WHERE ($1::boolean OR p.is_active = TRUE)
+        AND ($2::text IS NULL OR p.english_level = $2 OR p.english_level IS NULL)
+        AND ($3::text IS NULL OR $3 = ANY(p.topics))
+        AND ($4::text IS NULL OR p.title ILIKE '%' || $4 || '%' OR p.summary ILIKE '%' || $4 || '%')
+        ORDER BY p.is_active DESC, p.english_level NULLS LAST, p.title
+    `, [
+        includeArchived,
+        ENGLISH_LEVELS.includes(level) ? level : null,
+        topic ? String(topic).trim().toLowerCase() : null,
+        search ? String(search).trim() : null
+    ]);
+    return result.rows;
+};
+
+/**
+ * Topic tags in use across the library, for filters and autocomplete
+ * @returns {Promise<string[]>}
+ */
+export const getLessonPlanTopics = async () => {
+    const result = await pool.query(`
+        SELECT DISTINCT unnest(topics) as topic FROM lesson_plans WHERE is_active = TRUE ORDER BY topic
+    `);
+    return result.rows.map(row => row.topic);
+};
+
+/**
+ * @param {Object} input - { title, kind, englishLevel, topics, summary, objectives, prompts, vocabulary, durationMinutes, isActive }
+ * @param {Object} actor - From getAuditActor(req)
+ * @returns {Promise<Object>} The new plan
+ */
+export const createLessonPlan = async (input, actor) => {
+    const plan = validatePlan(input);
+
+    const result = await pool.query(`
+        INSERT INTO lesson_plans (
+            title, kind, english_level, topics, summary, objectives, prompts, vocabulary,
+            duration_minutes, is_active, created_by, updated_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $11)
+        RETURNING id
+    `, [
+        plan.title, plan.kind, plan.english_level, plan.topics, plan.summary, plan.objectives,
+        plan.prompts, plan.vocabulary, plan.duration_minutes, plan.is_active, actor.userId
+    ]);
+
+    const created = await findPlan(result.rows[0].id);
+    await logActivity({
+        ...actor,
+        action: 'lesson_plan_created',
+        entityType: 'lesson_plan',
+        entityId: created.id,
+        changes: diffChanges(null, created, PLAN_AUDIT_FIELDS)
+    });
+    return created;
+};
+
+/**
+ * Update a plan; fields left out of the input keep their current values
+ * @param {number} id
+ * @param {Object} input - Same shape as createLessonPlan
+ * @param {Object} actor
+ * @returns {Promise<Object>}
+ */
+export const updateLessonPlan = async (id, input, actor) => {
+    const current = await findPlan(id);
+    const plan = validatePlan({
+        title: input.title ?? current.title,
+        kind: input.kind ?? current.kind,
+        englishLevel: input.englishLevel !== undefined ? input.englishLevel : current.english_level,
+        topics: input.topics ?? current.topics,
+        summary: input.summary !== undefined ? input.summary : current.summary,
+        objectives: input.objectives !== undefined ? input.objectives : current.objectives,
+        prompts: input.prompts ?? current.prompts,
+        vocabulary: input.vocabulary ?? current.vocabulary,
+        durationMinutes: input.durationMinutes !== undefined ? input.durationMinutes : current.duration_minutes,
+        isActive: input.isActive ?? current.is_active
+    });
+
+    await pool.query(`
+        UPDATE lesson_plans
+        SET title = $2, kind = $3, english_level = $4, topics = $5, summary = $6, objectives = $7,
+            prompts = $8, vocabulary = $9, duration_minutes = $10, is_active = $11,
+            updated_by = $12, updated_at = NOW()
+        WHERE id = $1
+    `, [
+        id, plan.title, plan.kind, plan.english_level, plan.topics, plan.summary, plan.objectives,
+        plan.prompts, plan.vocabulary, plan.duration_minutes, plan.is_active, actor.userId
+    ]);
+
+    const updated = await findPlan(id);
+    await logActivity({
+        ...actor,
+        action: 'lesson_plan_updated',
+        entityType: 'lesson_plan',
+        entityId: updated.id,
+        changes: diffChanges(current, updated, PLAN_AUDIT_FIELDS)
+    });
+    return updated;
+};
+
+/**
+ * Delete a plan, or archive it if sessions have used it so students' covered history survives
+ * @param {number} id
+ * @param {Object} actor
+ * @returns {Promise<{archived: boolean}>}
+ */
+export const deleteLessonPlan = async (id, actor) => {
+    const plan = await findPlan(id);
+    const usage = await pool.query(
+        'SELECT 1 FROM meetings WHERE lesson_plan_id = $1 AND lesson_plan_used_at IS NOT NULL LIMIT 1',
+        [id]
+    );
+    const archived = usage.rows.length > 0;
+
+    if (archived) {
+        await pool.query(
+            'UPDATE lesson_plans SET is_active = FALSE, updated_by = $2, updated_at = NOW() WHERE id = $1',
+            [id, actor.userId]
+        );
+    } else {
+        // Upcoming meetings it was suggested for get a fresh suggestion when the volunteer opens them
+        await pool.query('DELETE FROM lesson_plans WHERE id = $1', [id]);
+    }
+
+    await logActivity({
+        ...actor,
+        action: archived ? 'lesson_plan_archived' : 'lesson_plan_deleted',
+        entityType: 'lesson_plan',
+        entityId: plan.id,
+        details: { title: plan.title }
+    });
+    return { archived };
+};
+
+/**
+ * What the library knows about a student's learning needs
+ * The level from the latest volunteer assessment wins over the one entered at enrolment.
+ * @param {number} studentId - users.id of the student
+ * @returns {Promise<Object|null>}
+ */
+export const getStudentLearningProfile = async (studentId) => {
+    const result = await pool.query(`
+        SELECT u.id, u.full_name, u.english_level, u.learning_goals, u.preferred_topics, u.interests,
+               (SELECT sf.english_level FROM session_feedback sf
+                WHERE sf.subject_id = u.id AND sf.reviewer_role = 'volunteer'
+                ORDER BY sf.created_at DESC LIMIT 1) as assessed_level
+        FROM users u
+        WHERE u.id = $1 AND u.role = 'student'
+    `, [studentId]);
+
+    const row = result.rows[0];
+    if (!row) return null;
+
+    const profileLevel = normalizeEnglishLevel(row.english_level);
+    return {
+        studentId: row.id,
+        englishLevel: row.assessed_level || profileLevel,
+        levelSource: row.assessed_level ? 'assessment' : (profileLevel ? 'profile' : null),
+        learningGoals: row.learning_goals || null,
+        preferredTopics: row.preferred_topics || null,
+        interests: row.interests || null,
+        topics: parseTopics([...parseTopics(row.preferred_topics), ...parseTopics(row.interests)])
+    };
+};
+
+/**
+ * Plans the student has covered, most recent first
+ * @param {number} studentId
+ * @param {number} [limit]
+ * @returns {Promise<Object[]>}
+ */
+export const getCoveredLessonPlans = async (studentId, limit = COVERED_HISTORY_LIMIT) => {
+    const result = await pool.query(`
+        SELECT m.id as meeting_id, m.lesson_plan_used_at as used_at, m.lesson_plan_notes as notes,
+               p.id as lesson_plan_id, p.title, p.kind, p.topics, v.full_name as volunteer_name
+        FROM meetings m
+        JOIN lesson_plans p ON p.id = m.lesson_plan_id
+        LEFT JOIN users v ON v.id = m.volunteer_id
+        WHERE m.student_id = $1 AND m.lesson_plan_used_at IS NOT NULL
+        ORDER BY m.lesson_plan_used_at DESC
+        LIMIT $2
+    `, [studentId, limit]);
+    return result.rows;
+};
+
+/**
+ * Rank active plans for a student
+ * Plans far from the student's level are left out. Plans already covered, or lined up for another
+ * upcoming call, go to the back of the list rather than out of it, so a student who has done the
+ * whole library still gets a suggestion.
+ * @param {number} studentId
+ * @param {Object} [options]
+ * @param {number} [options.excludeMeetingId] - The meeting being planned (its own plan isn't "lined up")
+ * @param {number} [options.limit]
+ * @returns {Promise<Object[]>} Plans, best first
+ */
+export const suggestLessonPlans = async (studentId, { excludeMeetingId = null, limit = ALTERNATIVES_LIMIT } = {}) => {
+    const profile = await getStudentLearningProfile(studentId);
+    if (!profile) return [];
+
+    const [plansResult, seenResult] = await Promise.all([
+        pool.query(`SELECT ${PLAN_COLUMNS} FROM lesson_plans p WHERE p.is_active = TRUE`),
+        pool.query(`
+            SELECT lesson_plan_id, MAX(COALESCE(lesson_plan_used_at, scheduled_time)) as last_seen
+            FROM meetings
+            WHERE student_id = $1
+            AND lesson_plan_id IS NOT NULL
+            AND ($2::int IS NULL OR id <> $2)
+            AND (lesson_plan_used_at IS NOT NULL OR status IN ('scheduled', 'pending', 'confirmed', 'in_progress'))
+            GROUP BY lesson_plan_id
+        `, [studentId, excludeMeetingId])
+    ]);
+
+    const lastSeen = new Map(seenResult.rows.map(row => [row.lesson_plan_id, new Date(row.last_seen).getTime()]));
+    const studentLevelIndex = ENGLISH_LEVELS.indexOf(profile.englishLevel);
+
+    const ranked = [];
+    for (const plan of plansResult.rows) {
+        let score = plan.kind === 'lesson_plan' ? 1 : 0;
+
+        if (plan.english_level && studentLevelIndex >= 0) {
+            const distance = Math.abs(ENGLISH_LEVELS.indexOf(plan.english_level) - studentLevelIndex);
+            if (distance > 1) continue;
+            score += distance === 0 ? 4 : 0;
+        } else if (!plan.english_level) {
+            score += 2;
+        }
+
+        const matchedTopics = plan.topics.filter(tag => profile.topics.some(topic => topicsOverlap(tag, topic)));
+        score += matchedTopics.length * 3;
+
+        ranked.push({ ...plan, matched_topics: matchedTopics, score, last_seen: lastSeen.get(plan.id) ?? null });
+    }
+
+    ranked.sort((a, b) => {
+        if ((a.last_seen === null) !== (b.last_seen === null)) return a.last_seen === null ? -1 : 1;
+        if (a.last_seen !== null && a.last_seen !== b.last_seen) return a.last_seen - b.last_seen;
+        return b.score - a.score || a.id - b.id;
+    });
+
+    return ranked.slice(0, limit).map(({ score, last_seen, ...plan }) => ({
+        ...plan,
+        previously_covered: last_seen !== null
+    }));
+};
+
+/**
+ * Attach the best plan to a newly booked meeting (no-op if it already has one)
+ * @param {Object} meeting - meetings row (id, student_id)
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Object|null>} The suggested plan
+ */
+export const assignLessonPlan = async (meeting, db = pool) => {
+    if (!meeting?.id || !meeting.student_id) return null;
+
+    const [plan] = await suggestLessonPlans(meeting.student_id, { excludeMeetingId: meeting.id, limit: 1 });
+    if (!plan) return null;
+
+    const result = await db.query(`
+        UPDATE meetings SET lesson_plan_id = $2
+        WHERE id = $1 AND lesson_plan_id IS NULL
+        RETURNING id
+    `, [meeting.id, plan.id]);
+    return result.rows.length > 0 ? plan : null;
+};
+
+/**
+ * Find a meeting by numeric id or room_id (the call page only knows the room)
+ */
+const findMeeting = async (meetingRef) => {
+    const ref = String(meetingRef);
+    const meetingId = /^[0-9]+$/.test(ref) ? parseInt(ref, 10) : null;
+    const result = await pool.query(`
+        SELECT id, room_id, volunteer_id, student_id, status, lesson_plan_id, lesson_plan_used_at, lesson_plan_notes
+        FROM meetings
+        WHERE room_id = $1 OR ($2::int IS NOT NULL AND id = $2)
+        ORDER BY scheduled_time DESC
+        LIMIT 1
+    `, [ref, meetingId]);
+    return result.rows[0] || null;
+};
+
+/**
+ * Attach the best plan to a meeting another service booked (the meeting-service asks after each booking)
+ * @param {string|number} meetingRef - Meeting id or room_id
+ * @returns {Promise<Object|null>} The suggested plan, or null when the meeting already has one or none fits
+ */
+export const assignLessonPlanToMeeting = async (meetingRef) => {
+    const meeting = await findMeeting(meetingRef);
+    if (!meeting) {
+        throw serviceError('Meeting not found', 404, 'MEETING_NOT_FOUND');
+    }
+    if (meeting.lesson_plan_id || !PLANNABLE_STATUSES.includes(meeting.status)) {
+        return null;
+    }
+    return assignLessonPlan(meeting);
+};
+
+const findMeetingForVolunteer = async (meetingRef, user) => {
+    const meeting = await findMeeting(meetingRef);
+    if (!meeting) {
+        throw serviceError('Meeting not found', 404, 'MEETING_NOT_FOUND');
+    }
+    if (user.role !== 'admin' && !(user.role === 'volunteer' && meeting.volunteer_id === user.id)) {
+        throw serviceError('Only the meeting\'s volunteer can see its lesson plan', 403, 'NOT_PARTICIPANT');
+    }
+    return meeting;
+};
+
+/**
+ * Everything the volunteer's side panel needs for a meeting
+ * Meetings booked before the library existed (or whose booking service couldn't reach us) get a plan on first view.
+ * @param {string|number} meetingRef - Meeting id or room_id
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} { meetingId, plan, used, notes, profile, covered, alternatives }
+ */
+export const getMeetingLessonPlan = async (meetingRef, user) => {
+    const meeting = await findMeetingForVolunteer(meetingRef, user);
+
+    let planId = meeting.lesson_plan_id;
+    if (!planId && PLANNABLE_STATUSES.includes(meeting.status)) {
+        planId = (await assignLessonPlan(meeting))?.id ?? null;
+    }
+
+    const [plan, profile, covered, suggestions] = await Promise.all([
+        planId ? findPlan(planId).catch(() => null) : null,
+        getStudentLearningProfile(meeting.student_id),
+        getCoveredLessonPlans(meeting.student_id),
+        suggestLessonPlans(meeting.student_id, { excludeMeetingId: meeting.id, limit: ALTERNATIVES_LIMIT + 1 })
+    ]);
+
+    return {
+        meetingId: meeting.id,
+        plan,
+        used: !!meeting.lesson_plan_used_at,
+        usedAt: meeting.lesson_plan_used_at,
+        notes: meeting.lesson_plan_notes,
+        profile,
+        covered: covered.filter(entry => entry.meeting_id !== meeting.id),
+        alternatives: suggestions.filter(alternative => alternative.id !== planId).slice(0, ALTERNATIVES_LIMIT)
+    };
+};
+
+/**
+ * Record which plan the volunteer used in a meeting
+ * @param {Object} params
+ * @param {string|number} params.meetingRef - Meeting id or room_id
+ * @param {Object} params.user - req.user
+ * @param {number} params.lessonPlanId
+ * @param {string} [params.notes] - What was covered, for the next volunteer
+ * @param {string} [params.ipAddress]
+ * @returns {Promise<Object>} Same shape as getMeetingLessonPlan
+ */
+export const recordLessonPlanUsed = async ({ meetingRef, user, lessonPlanId, notes, ipAddress }) => {
+    const meeting = await findMeetingForVolunteer(meetingRef, user);
+    if (!PLANNABLE_STATUSES.includes(meeting.status)) {
+        throw serviceError('This meeting didn\'t take place', 409, 'MEETING_NOT_HELD');
+    }
+
+    const plan = await findPlan(parseInt(lessonPlanId, 10) || 0);
+    const trimmedNotes = typeof notes === 'string' ? notes.trim().slice(0, MAX_NOTES_LENGTH) : '';
+
+    await pool.query(`
+        UPDATE meetings
+        SET lesson_plan_id = $2, lesson_plan_used_at = COALESCE(lesson_plan_used_at, NOW()),
+            lesson_plan_notes = $3, updated_at = NOW()
+        WHERE id = $1
+    `, [meeting.id, plan.id, trimmedNotes || null]);
+
+    await logActivity({
+        userId: user.id,
+        userRole: user.role,
+        action: 'lesson_plan_used',
+        entityType: 'meeting',
+        entityId: meeting.id,
+        details: { lessonPlanId: plan.id, title: plan.title, previousLessonPlanId: meeting.lesson_plan_id },
+        ipAddress
+    });
+
+    return getMeetingLessonPlan(meeting.id, user);
+};
+
+export default {
+    LESSON_PLAN_KINDS,
+    normalizeEnglishLevel,
+    parseTopics,
+    listLessonPlans,
+    getLessonPlanTopics,
+    createLessonPlan,
+    updateLessonPlan,
+    deleteLessonPlan,
+    getStudentLearningProfile,
+    getCoveredLessonPlans,
+    suggestLessonPlans,
+    assignLessonPlan,
+    assignLessonPlanToMeeting,
+    getMeetingLessonPlan,
+    recordLessonPlanUsed
+};
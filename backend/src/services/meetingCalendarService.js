@@ -0,0 +1,208 @@
+/**
+ * Meeting Calendar Service
+ * iCalendar invites for meeting emails and private, subscribable ICS feeds for volunteers.
+ *
+ * Every meeting has one UID for its whole life and meetings.ics_sequence (bumped by a database
+ * trigger when it moves or is canceled) as its SEQUENCE, so the invite in a reschedule or
+ * cancellation email updates the event already in the reader's calendar. A volunteer's feed URL
+ * carries a random token instead of a login; rotating the token revokes the old URL.
+ */
+
+import crypto from 'crypto';
+import pool from '../config/database.js';
+import { getMeetingDuration } from './configService.js';
+import { logActivity } from './activityLogService.js';
+import { buildCalendar, buildMeetingEvent } from '../utils/calendar.js';
+import { getUserLocale, translate } from '../i18n/index.js';
+import { serviceError } from '../utils/serviceError.js';
+
+const FEED_TOKEN_BYTES = 24;
+const FEED_MEETING_LIMIT = 500;
+const REMINDER_MINUTES = 10;
+
+// Meetings that still belong in a volunteer's calendar
+const FEED_STATUSES = ['scheduled', 'pending', 'confirmed', 'in_progress', 'active'];
+const CANCELED_STATUSES = ['canceled', 'cancelled', 'declined'];
+
+const MEETING_COLUMNS = `
+    m.id, m.scheduled_time, m.status, m.ics_sequence, m.updated_at, m.volunteer_id, m.student_id,
+    v.full_name AS volunteer_name, v.email AS volunteer_email,
+    s.full_name AS student_name, s.email AS student_email
+`;
+
+const baseUrl = () => process.env.BASE_URL || 'http://localhost';
+
+const feedUrls = (token) => {
+    const url = `${baseUrl()}/api/v1/calendar/feeds/${token}.ics`;
+    return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+};
+
+const formatFeed = (row) => ({
+    ...feedUrls(row.token),
+    createdAt: row.created_at,
+    lastAccessedAt: row.last_accessed_at
+});
+
+/**
+ * VEVENT lines for one meeting as seen by one participant
+ * @param {Object} meeting - Row selected with MEETING_COLUMNS
+ * @param {Object} options
+ * @param {boolean} options.forVolunteer - Names the student in the summary, else the volunteer
+ * @param {string} options.locale
+ * @param {number} options.durationMinutes
+ * @param {Object} [options.attendee] - { name, email } of the reader, for emailed invites
+ */
+const meetingEvent = (meeting, { forVolunteer, locale, durationMinutes, attendee }) => {
+    const url = forVolunteer
+        ? `${baseUrl()}/volunteer/dashboard/upcoming.html`
+        : `${baseUrl()}/student/dashboard`;
+
+    return buildMeetingEvent({
+        meetingId: meeting.id,
+        start: meeting.scheduled_time,
+        durationMinutes,
+        sequence: meeting.ics_sequence || 0,
+        summary: forVolunteer
+            ? translate(locale, 'calendar.summary_volunteer', { studentName: meeting.student_name })
+            : translate(locale, 'calendar.summary_student', { volunteerName: meeting.volunteer_name }),
+        description: translate(locale, 'calendar.description', { url }),
+        url,
+        canceled: CANCELED_STATUSES.includes(meeting.status),
+        updatedAt: meeting.updated_at,
+        organizer: attendee ? { name: 'TalkTime', email: process.env.SMTP_FROM || 'noreply@talktime.adea.ke' } : null,
+        attendees: attendee ? [attendee] : [],
+        alarmMinutes: REMINDER_MINUTES
+    });
+};
+
+/**
+ * Calendar invite to attach to an email about a meeting
+ * The invite is a REQUEST for a live meeting and a CANCEL once it is canceled; either way it has
+ * the meeting's UID and current SEQUENCE.
+ * @param {number} meetingId
+ * @param {Object} recipient
+ * @param {string} recipient.email - Identifies which participant the invite is for
+ * @param {string} [recipient.locale]
+ * @returns {Promise<{filename: string, method: string, content: string}|null>} null if the meeting is gone
+ */
+export const buildMeetingInvite = async (meetingId, { email, locale = 'en' }) => {
+    const { rows } = await pool.query(`
+        SELECT ${MEETING_COLUMNS}
+        FROM meetings m
+        JOIN users v ON v.id = m.volunteer_id
+        JOIN users s ON s.id = m.student_id
+        WHERE m.id = $1
+    `, [meetingId]);
+    const meeting = rows[0];
+    if (!meeting) return null;
+
+    const forVolunteer = Boolean(email) &&
+        String(meeting.volunteer_email || '').toLowerCase() === String(email).toLowerCase();
+    const method = CANCELED_STATUSES.includes(meeting.status) ? 'CANCEL' : 'REQUEST';
+    const event = meetingEvent(meeting, {
+        forVolunteer,
+        locale,
+        durationMinutes: await getMeetingDuration(),
+        attendee: {
+            name: forVolunteer ? meeting.volunteer_name : meeting.student_name,
+            email
+        }
+    });
+
+    return {
+        filename: `talktime-meeting-${meeting.id}.ics`,
+        method,
+        content: buildCalendar([event], { method })
+    };
+};
+
+/**
+ * The volunteer's feed URL, creating their token on first use
+ * @param {number} userId
+ * @returns {Promise<{url: string, webcalUrl: string, createdAt: string, lastAccessedAt: string|null}>}
+ */
+export const getCalendarFeed = async (userId) => {
+    await pool.query(`
+        INSERT INTO calendar_feeds (user_id, token)
+        VALUES ($1, $2)
+        ON CONFLICT (user_id) DO NOTHING
+    `, [userId, crypto.randomBytes(FEED_TOKEN_BYTES).toString('hex')]);
+
+    const { rows } = await pool.query('SELECT * FROM calendar_feeds WHERE user_id = $1', [userId]);
+    return formatFeed(rows[0]);
+};
+
+/**
+ * Replace the volunteer's feed token; calendar apps using the old URL stop receiving updates
+ * @param {number} userId
+ * @param {Object} [actor] - From getAuditActor(req)
+ */
+export const rotateCalendarFeed = async (userId, actor = {}) => {
+    const { rows } = await pool.query(`
+        INSERT INTO calendar_feeds (user_id, token)
+        VALUES ($1, $2)
+        ON CONFLICT (user_id) DO UPDATE
+        SET token = EXCLUDED.token, created_at = CURRENT_TIMESTAMP, last_accessed_at = NULL
+        RETURNING *
+    `, [userId, crypto.randomBytes(FEED_TOKEN_BYTES).toString('hex')]);
+
+    await logActivity({
+        userId: actor.userId ?? userId,
+        userRole: actor.userRole ?? 'volunteer',
+        action: 'calendar_feed_rotated',
+        entityType: 'user',
+        entityId: userId,
+        ipAddress: actor.ipAddress
+    });
+
+    return formatFeed(rows[0]);
+};
+
+/**
+ * Render the ICS feed behind a token: all of the volunteer's upcoming meetings
+ * @param {string} token
+ * @returns {Promise<string>} The .ics body
+ */
+export const renderCalendarFeed = async (token) => {
+    if (!token || !/^[a-f0-9]+$/i.test(token)) {
+        throw serviceError('Calendar feed not found', 404, 'FEED_NOT_FOUND');
+    }
+
+    const { rows: feeds } = await pool.query(`
+        UPDATE calendar_feeds f
+        SET last_accessed_at = CURRENT_TIMESTAMP
+        FROM users u
+        WHERE f.token = $1 AND u.id = f.user_id AND u.role = 'volunteer'
+        RETURNING f.user_id, u.locale
+    `, [token]);
+    const feed = feeds[0];
+    if (!feed) {
+        throw serviceError('Calendar feed not found', 404, 'FEED_NOT_FOUND');
+    }
+
+    const durationMinutes = await getMeetingDuration();
+    const { rows: meetings } = await pool.query(`
+        SELECT ${MEETING_COLUMNS}
+        FROM meetings m
+        JOIN users v ON v.id = m.volunteer_id
+        JOIN users s ON s.id = m.student_id
+        WHERE m.volunteer_id = $1
+          AND m.status = ANY($2)
+          AND m.scheduled_time > NOW() - make_interval(mins => $3)
+        ORDER BY m.scheduled_time
+        LIMIT ${FEED_MEETING_LIMIT}
+    `, [feed.user_id, FEED_STATUSES, durationMinutes]);
+
+    const locale = getUserLocale(feed);
+    return buildCalendar(
+        meetings.map(meeting => meetingEvent(meeting, { forVolunteer: true, locale, durationMinutes })),
+        { name: translate(locale, 'calendar.feed_name') }
+    );
+};
+
+export default {
+    buildMeetingInvite,
+    getCalendarFeed,
+    rotateCalendarFeed,
+    renderCalendarFeed
+};
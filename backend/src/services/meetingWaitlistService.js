@@ -0,0 +1,534 @@
+/**
+ * Meeting Waitlist Service
+ * Volunteers queue for a student's day (in the student's timezone) when the student is already
+ * booked. When a meeting that day is canceled or marked missed, the first eligible volunteer in
+ * the queue is offered the slot for waitlist.offer_window_minutes. Offers that aren't accepted in
+ * time, or are declined, pass to the next volunteer.
+ *
+ * Accepting books the meeting through the same checks as the schedule endpoints (businessRules.js).
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import pool from '../config/database.js';
+import Meeting from '../models/Meeting.js';
+import { getIO } from '../socket.js';
+import { getUserTimezone, getDayBoundariesInTimezone, getCurrentDateInTimezone } from '../utils/timezoneUtils.js';
+import { getWaitlistSettings } from './configService.js';
+import { withAuditActor } from './activityLogService.js';
+import { sendNotification, scheduleMeetingNotifications } from './notificationService.js';
+import { assignLessonPlan } from './lessonPlanService.js';
+import {
+    checkBookingRules,
+    checkVolunteerEligibility,
+    findStudentMeetingOnDay,
+    markOverdueMeetingsMissed
+} from './businessRules.js';
+import { serviceError } from '../utils/serviceError.js';
+
+const MAX_ADVANCE_MONTHS = 3;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Rule failures that make a volunteer ineligible whatever time they pick
+const VOLUNTEER_RULE_CODES = ['SCHEDULING_SUSPENDED', 'ACCOUNT_RESTRICTED', 'PAIR_LIMIT_REACHED'];
+
+const ENTRY_COLUMNS = `
+    w.id, w.student_id, w.volunteer_id, to_char(w.waitlist_date, 'YYYY-MM-DD') as waitlist_date,
+    w.status, w.freed_meeting_id, w.offered_time, w.offered_at, w.offer_expires_at,
+    w.responded_at, w.booked_meeting_id, w.created_at
+`;
+
+/**
+ * Any moment on a student-local day, for day-boundary lookups (noon UTC stays on the same
+ * calendar day for every offset within ±12h)
+ */
+const dayAnchor = (date) => new Date(`${date}T12:00:00Z`);
+
+const getStudent = async (studentId) => {
+    const { rows } = await pool.query(
+        "SELECT id, full_name FROM users WHERE id = $1 AND role = 'student'",
+        [studentId]
+    );
+    return rows[0] || null;
+};
+
+const findVolunteerEntry = async (volunteerId, entryId) => {
+    const { rows } = await pool.query(`
+        SELECT ${ENTRY_COLUMNS}, s.full_name as student_name
+        FROM meeting_waitlist w
+        JOIN users s ON s.id = w.student_id
+        WHERE w.id = $1 AND w.volunteer_id = $2
+    `, [entryId, volunteerId]);
+    if (!rows[0]) {
+        throw serviceError('Waitlist entry not found', 404, 'WAITLIST_ENTRY_NOT_FOUND');
+    }
+    return rows[0];
+};
+
+/**
+ * Close an entry that is waiting or holding an offer
+ * @returns {Promise<boolean>} Whether this call closed it (false if it had already moved on)
+ */
+const closeEntry = async (entryId, status) => {
+    const { rowCount } = await pool.query(`
+        UPDATE meeting_waitlist
+        SET status = $2, responded_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND status IN ('waiting', 'offered')
+    `, [entryId, status]);
+    return rowCount > 0;
+};
+
+/**
+ * Offer a student's free day to the first eligible volunteer in the queue
+ * Volunteers who can't book right now (suspended, restricted, at the pair limit) keep their place
+ * and are skipped for this offer.
+ * @param {Object} slot
+ * @param {number} slot.studentId
+ * @param {string} slot.waitlistDate - YYYY-MM-DD in the student's timezone
+ * @param {number|null} [slot.freedMeetingId]
+ * @param {Date|null} [slot.freedTime] - Offered as-is if it is still far enough ahead
+ * @returns {Promise<Object|null>} The offered entry, or null when nobody could take it
+ */
+const offerNextInQueue = async ({ studentId, waitlistDate, freedMeetingId = null, freedTime = null }) => {
+    const { offerWindowMinutes } = await getWaitlistSettings();
+
+    // One open offer per day at a time
+    const { rows: openOffers } = await pool.query(`
+        SELECT id FROM meeting_waitlist
+        WHERE student_id = $1 AND waitlist_date = $2 AND status = 'offered'
+        LIMIT 1
+    `, [studentId, waitlistDate]);
+    if (openOffers.length > 0) return null;
+
+    const { rows: queue } = await pool.query(`
+        SELECT ${ENTRY_COLUMNS}
+        FROM meeting_waitlist w
+        WHERE w.student_id = $1 AND w.waitlist_date = $2 AND w.status = 'waiting'
+        ORDER BY w.created_at, w.id
+    `, [studentId, waitlistDate]);
+    if (queue.length === 0) return null;
+
+    // Someone may have booked the day directly, or it may be over
+    const { existingMeeting, endOfDay } = await findStudentMeetingOnDay(studentId, dayAnchor(waitlistDate));
+    if (existingMeeting || endOfDay <= new Date()) return null;
+
+    // The volunteer needs the whole window to decide, so a time inside it isn't offered
+    const offerExpiresAt = new Date(Date.now() + offerWindowMinutes * 60 * 1000);
+    const offeredTime = freedTime && new Date(freedTime) > offerExpiresAt ? new Date(freedTime) : null;
+
+    for (const entry of queue) {
+        try {
+            await checkVolunteerEligibility({ volunteerId: entry.volunteer_id, studentId });
+        } catch (error) {
+            if (!VOLUNTEER_RULE_CODES.includes(error.code)) throw error;
+            console.log(`⏭️ Waitlist entry ${entry.id} skipped for this offer: ${error.code}`);
+            continue;
+        }
+
+        // Conditional update so two processors can't offer the same entry
+        const { rows } = await pool.query(`
+            UPDATE meeting_waitlist
+            SET status = 'offered', freed_meeting_id = $2, offered_time = $3,
+                offered_at = NOW(), offer_expires_at = $4, updated_at = NOW()
+            WHERE id = $1 AND status = 'waiting'
+            RETURNING id
+        `, [entry.id, freedMeetingId, offeredTime, offerExpiresAt]);
+        if (rows.length === 0) continue;
+
+        const student = await getStudent(studentId);
+        try {
+            await sendNotification({
+                recipient_id: entry.volunteer_id,
+                recipient_role: 'volunteer',
+                template: {
+                    key: offeredTime ? 'waitlist_offer' : 'waitlist_offer_day',
+                    params: {
+                        studentName: student?.full_name,
+                        time: offeredTime,
+                        date: waitlistDate,
+                        expiresAt: offerExpiresAt
+                    }
+                },
+                type: 'waitlist_offer',
+                priority: 'high',
+                metadata: {
+                    waitlist_id: entry.id,
+                    student_id: studentId,
+                    waitlist_date: waitlistDate,
+                    offered_time: offeredTime,
+                    offer_expires_at: offerExpiresAt
+                }
+            }, ['in-app', 'push', 'email'], {
+                persistent: true,
+                auto_delete_after: offerWindowMinutes,
+                require_interaction: true,
+                action_url: '/volunteer/dashboard/upcoming.html',
+                tag: `waitlist-offer-${entry.id}`
+            });
+        } catch (notificationError) {
+            console.error('Error sending waitlist offer notification:', notificationError);
+        }
+
+        console.log(`📋 Offered ${studentId}'s ${waitlistDate} slot to volunteer ${entry.volunteer_id} (waitlist ${entry.id})`);
+        return { ...entry, status: 'offered', offered_time: offeredTime, offer_expires_at: offerExpiresAt };
+    }
+
+    return null;
+};
+
+/**
+ * Offer the day of a canceled or missed meeting to the student's waitlist
+ * Nothing is offered when the day is over or the student is booked again that day.
+ * @param {Object} meeting - meetings row
+ * @returns {Promise<Object|null>} The offered entry, if any
+ */
+export const offerFreedSlot = async (meeting) => {
+    const studentId = meeting.student_id;
+    const freedTime = new Date(meeting.scheduled_time);
+    if (!studentId || isNaN(freedTime.getTime())) return null;
+
+    const studentTimezone = await getUserTimezone(studentId);
+    return offerNextInQueue({
+        studentId,
+        waitlistDate: getDayBoundariesInTimezone(freedTime, studentTimezone).localDateString,
+        freedMeetingId: meeting.id,
+        freedTime
+    });
+};
+
+/**
+ * The overdue processor: mark meetings that never started as missed and backfill their days
+ * @param {Object} [filter] - See markOverdueMeetingsMissed
+ * @returns {Promise<number>} Meetings marked missed
+ */
+export const processOverdueMeetings = async (filter = {}) => {
+    const missed = await markOverdueMeetingsMissed(filter);
+    for (const meeting of missed) {
+        try {
+            await offerFreedSlot(meeting);
+        } catch (error) {
+            console.error(`Error offering missed meeting ${meeting.id} to waitlist:`, error);
+        }
+    }
+    return missed.length;
+};
+
+/**
+ * Expire unanswered offers and pass each slot to the next volunteer
+ * @returns {Promise<number>} Offers expired
+ */
+export const expireWaitlistOffers = async () => {
+    const { rows: expired } = await pool.query(`
+        UPDATE meeting_waitlist w
+        SET status = 'expired', responded_at = NOW(), updated_at = NOW()
+        FROM users s
+        WHERE s.id = w.student_id
+        AND w.status = 'offered' AND w.offer_expires_at <= NOW()
+        RETURNING ${ENTRY_COLUMNS}, s.full_name as student_name
+    `);
+
+    for (const entry of expired) {
+        try {
+            await sendNotification({
+                recipient_id: entry.volunteer_id,
+                recipient_role: 'volunteer',
+                template: {
+                    key: 'waitlist_offer_expired',
+                    params: { studentName: entry.student_name }
+                },
+                type: 'waitlist_offer_expired',
+                priority: 'low',
+                metadata: { waitlist_id: entry.id, student_id: entry.student_id, waitlist_date: entry.waitlist_date }
+            }, ['in-app'], {
+                persistent: false,
+                auto_delete_after: 1440, // 24 hours
+                tag: `waitlist-offer-${entry.id}`
+            });
+
+            await offerNextInQueue({
+                studentId: entry.student_id,
+                waitlistDate: entry.waitlist_date,
+                freedMeetingId: entry.freed_meeting_id,
+                freedTime: entry.offered_time
+            });
+        } catch (error) {
+            console.error(`Error passing on expired waitlist offer ${entry.id}:`, error);
+        }
+    }
+
+    return expired.length;
+};
+
+/**
+ * Join the waitlist for a student's day
+ * Only days the student is already booked can be waitlisted; a free day can be booked directly.
+ * @param {Object} request
+ * @param {number} request.volunteerId
+ * @param {number} request.studentId - users.id of the student
+ * @param {string} [request.date] - YYYY-MM-DD in the student's timezone
+ * @param {string} [request.scheduledTime] - Alternatively, the time the volunteer tried to book
+ * @returns {Promise<Object>} The waitlist entry with its place in the queue
+ */
+export const joinWaitlist = async ({ volunteerId, studentId, date, scheduledTime }) => {
+    if (!studentId || (!date && !scheduledTime)) {
+        throw serviceError('Student ID and date are required', 400, 'MISSING_FIELDS');
+    }
+
+    const student = await getStudent(studentId);
+    if (!student) {
+        throw serviceError('Student not found', 404, 'STUDENT_NOT_FOUND');
+    }
+    const studentTimezone = await getUserTimezone(student.id);
+
+    if (!date) {
+        if (isNaN(new Date(scheduledTime).getTime())) {
+            throw serviceError('Invalid scheduled time', 400, 'INVALID_DATE');
+        }
+        date = getDayBoundariesInTimezone(scheduledTime, studentTimezone).localDateString;
+    }
+    if (!DATE_PATTERN.test(date) || isNaN(dayAnchor(date).getTime())) {
+        throw serviceError('Invalid date format. Use YYYY-MM-DD', 400, 'INVALID_DATE');
+    }
+
+    const latest = new Date();
+    latest.setMonth(latest.getMonth() + MAX_ADVANCE_MONTHS);
+    if (date < getCurrentDateInTimezone(studentTimezone)) {
+        throw serviceError('That day has already passed for this student', 400, 'DATE_IN_PAST');
+    }
+    if (dayAnchor(date) > latest) {
+        throw serviceError('You can only join the waitlist up to 3 months ahead', 400, 'DATE_TOO_FAR');
+    }
+
+    const { existingMeeting } = await findStudentMeetingOnDay(student.id, dayAnchor(date));
+    if (!existingMeeting) {
+        throw serviceError('This student has no call booked that day, so you can schedule it directly', 409, 'DAY_AVAILABLE');
+    }
+    if (String(existingMeeting.volunteer_id) === String(volunteerId)) {
+        throw serviceError('You already have a call with this student that day', 409, 'ALREADY_BOOKED');
+    }
+
+    // Fail early rather than queue a volunteer who could never be offered the slot
+    await checkVolunteerEligibility({ volunteerId, studentId: student.id });
+
+    try {
+        const { rows } = await pool.query(`
+            INSERT INTO meeting_waitlist (student_id, volunteer_id, waitlist_date)
+            VALUES ($1, $2, $3)
+            RETURNING id
+        `, [student.id, volunteerId, date]);
+        return getWaitlistEntry(volunteerId, rows[0].id);
+    } catch (error) {
+        if (error.code === '23505') {
+            throw serviceError('You are already on the waitlist for this day', 409, 'ALREADY_WAITLISTED');
+        }
+        throw error;
+    }
+};
+
+/**
+ * One of the volunteer's waitlist entries, with its place in the queue while waiting
+ * @param {number} volunteerId
+ * @param {number} entryId
+ * @returns {Promise<Object>}
+ */
+export const getWaitlistEntry = async (volunteerId, entryId) => {
+    const entry = await findVolunteerEntry(volunteerId, entryId);
+    if (entry.status === 'waiting') {
+        const { rows } = await pool.query(`
+            SELECT COUNT(*) as ahead
+            FROM meeting_waitlist
+            WHERE student_id = $1 AND waitlist_date = $2 AND status = 'waiting'
+            AND (created_at, id) < ($3, $4)
+        `, [entry.student_id, entry.waitlist_date, entry.created_at, entry.id]);
+        entry.position = parseInt(rows[0].ahead) + 1;
+    }
+    return entry;
+};
+
+/**
+ * The volunteer's open waitlist entries and recent outcomes, soonest day first
+ * @param {number} volunteerId
+ * @returns {Promise<Object[]>}
+ */
+export const getVolunteerWaitlist = async (volunteerId) => {
+    const { rows } = await pool.query(`
+        SELECT ${ENTRY_COLUMNS}, s.full_name as student_name,
+               CASE WHEN w.status = 'waiting' THEN (
+                   SELECT COUNT(*) + 1 FROM meeting_waitlist q
+                   WHERE q.student_id = w.student_id AND q.waitlist_date = w.waitlist_date
+                   AND q.status = 'waiting' AND (q.created_at, q.id) < (w.created_at, w.id)
+               ) END as position
+        FROM meeting_waitlist w
+        JOIN users s ON s.id = w.student_id
+        WHERE w.volunteer_id = $1
+        AND (w.status IN ('waiting', 'offered') OR w.updated_at > NOW() - INTERVAL '7 days')
+        ORDER BY w.waitlist_date, w.created_at
+    `, [volunteerId]);
+    return rows.map(row => ({ ...row, position: row.position != null ? parseInt(row.position) : null }));
+};
+
+/**
+ * Leave the waitlist; a held offer passes straight to the next volunteer
+ * @param {number} volunteerId
+ * @param {number} entryId
+ */
+export const leaveWaitlist = async (volunteerId, entryId) => {
+    const entry = await findVolunteerEntry(volunteerId, entryId);
+    if (!await closeEntry(entry.id, entry.status === 'offered' ? 'declined' : 'left')) {
+        throw serviceError('This waitlist entry is already closed', 409, 'WAITLIST_ENTRY_CLOSED');
+    }
+
+    if (entry.status === 'offered') {
+        await offerNextInQueue({
+            studentId: entry.student_id,
+            waitlistDate: entry.waitlist_date,
+            freedMeetingId: entry.freed_meeting_id,
+            freedTime: entry.offered_time
+        });
+    }
+};
+
+/**
+ * Accept an offered slot and book the meeting
+ * @param {Object} request
+ * @param {number} request.volunteerId
+ * @param {number} request.entryId
+ * @param {string} [request.scheduledTime] - Required when the offer has no fixed time; must be on the offered day
+ * @param {Object} request.actor - Audit actor (activityLogService.getAuditActor)
+ * @returns {Promise<Object>} The booked meeting
+ */
+export const acceptWaitlistOffer = async ({ volunteerId, entryId, scheduledTime, actor }) => {
+    const entry = await findVolunteerEntry(volunteerId, entryId);
+    if (entry.status !== 'offered') {
+        throw serviceError('There is no open offer on this waitlist entry', 409, 'NO_OPEN_OFFER');
+    }
+    if (new Date(entry.offer_expires_at) <= new Date()) {
+        throw serviceError('This offer has expired and has been passed to the next volunteer', 410, 'OFFER_EXPIRED');
+    }
+
+    const requested = scheduledTime || entry.offered_time;
+    const when = requested ? new Date(requested) : null;
+    if (!when || isNaN(when.getTime())) {
+        throw serviceError('Pick a time for the call', 400, 'TIME_REQUIRED');
+    }
+    if (when <= new Date()) {
+        throw serviceError('Cannot schedule meetings in the past. Please select a future time.', 400, 'TIME_IN_PAST');
+    }
+    const studentTimezone = await getUserTimezone(entry.student_id);
+    if (getDayBoundariesInTimezone(when, studentTimezone).localDateString !== entry.waitlist_date) {
+        throw serviceError(`The call has to be on ${entry.waitlist_date} in the student's timezone`, 400, 'WRONG_DAY');
+    }
+
+    // A volunteer who can no longer book at all gives the slot up to the next in line
+    try {
+        await checkVolunteerEligibility({ volunteerId, studentId: entry.student_id });
+    } catch (error) {
+        if (VOLUNTEER_RULE_CODES.includes(error.code) && await closeEntry(entry.id, 'declined')) {
+            await offerNextInQueue({
+                studentId: entry.student_id,
+                waitlistDate: entry.waitlist_date,
+                freedMeetingId: entry.freed_meeting_id,
+                freedTime: entry.offered_time
+            });
+        }
+        throw error;
+    }
+
+    const meeting = await withAuditActor(actor, async (client) => {
+        // Lock the offer so a double submit can't book twice
+        const { rows } = await client.query(
+            "SELECT id FROM meeting_waitlist WHERE id = $1 AND status = 'offered' AND offer_expires_at > NOW() FOR UPDATE",
+            [entry.id]
+        );
+        if (rows.length === 0) {
+            throw serviceError('This offer has expired and has been passed to the next volunteer', 410, 'OFFER_EXPIRED');
+        }
+
+        await checkBookingRules({ volunteerId, studentId: entry.student_id, scheduledTime: when }, client);
+
+        const created = await Meeting.create({
+            volunteerId,
+            studentId: entry.student_id,
+            scheduledTime: when,
+            roomId: uuidv4()
+        }, client);
+
+        await client.query(`
+            UPDATE meeting_waitlist
+            SET status = 'accepted', booked_meeting_id = $2, responded_at = NOW(), updated_at = NOW()
+            WHERE id = $1
+        `, [entry.id, created.id]);
+
+        return created;
+    });
+
+    try {
+        await assignLessonPlan(meeting);
+    } catch (planError) {
+        console.error('Error suggesting lesson plan:', planError);
+    }
+
+    // Notifications don't undo the booking if they fail
+    try {
+        await scheduleMeetingNotifications(meeting);
+
+        const { rows } = await pool.query('SELECT full_name FROM users WHERE id = $1', [volunteerId]);
+        const volunteerName = rows[0]?.full_name;
+        const meetingTime = new Date(meeting.scheduled_time);
+
+        await sendNotification({
+            recipient_id: volunteerId,
+            recipient_role: 'volunteer',
+            template: {
+                key: 'meeting_booked_volunteer',
+                params: { studentName: entry.student_name, time: meetingTime }
+            },
+            type: 'meeting_scheduled',
+            priority: 'low',
+            metadata: { meeting_id: meeting.id, student_name: entry.student_name, scheduled_time: meeting.scheduled_time }
+        }, ['in-app', 'email'], {
+            persistent: true,
+            action_url: '/volunteer/dashboard/upcoming',
+            tag: `waitlist-offer-${entry.id}`
+        });
+
+        const studentNotification = await sendNotification({
+            recipient_id: entry.student_id,
+            recipient_role: 'student',
+            template: {
+                key: 'meeting_booked_student',
+                params: { volunteerName, time: meetingTime }
+            },
+            type: 'meeting_scheduled',
+            priority: 'high',
+            metadata: { meeting_id: meeting.id, volunteer_name: volunteerName, scheduled_time: meeting.scheduled_time }
+        }, ['in-app', 'push', 'email'], {
+            persistent: true,
+            action_url: '/student/dashboard'
+        });
+
+        const io = getIO();
+        if (io) {
+            io.to(`user_${entry.student_id}`).emit('meeting-scheduled', {
+                meeting_id: meeting.id,
+                message: studentNotification.message,
+                scheduledTime: meeting.scheduled_time,
+                volunteerName
+            });
+        }
+    } catch (notificationError) {
+        console.error('Error sending waitlist booking notifications:', notificationError);
+    }
+
+    return meeting;
+};
+
+export default {
+    joinWaitlist,
+    leaveWaitlist,
+    getWaitlistEntry,
+    getVolunteerWaitlist,
+    acceptWaitlistOffer,
+    offerFreedSlot,
+    processOverdueMeetings,
+    expireWaitlistOffers
+};
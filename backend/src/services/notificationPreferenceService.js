@@ -0,0 +1,398 @@
+/**
+ * Notification Preference Service
+ * Each user chooses, per category of notification, which channels reach them (in-app, push,
+ * email, SMS), can set quiet hours in their own timezone, and can have their emails collected
+ * into one daily digest. sendNotification asks planNotificationDelivery which of the channels a
+ * sender offers to use; critical notifications, such as the reminder that auto-launches a meeting,
+ * go through during quiet hours and are never held for the digest.
+ */
+
+import pool from '../config/database.js';
+import { getLocalTimeParts, timeToMinutes } from '../utils/timezoneUtils.js';
+import { queueDailyDigestEmail } from './emailService.js';
+import { serviceError } from '../utils/serviceError.js';
+
+export const NOTIFICATION_CHANNELS = ['in_app', 'push', 'email', 'sms'];
+
+/**
+ * Categories users set channels for, with the notification types in each and the default channels
+ * Types not listed here belong to 'account'. SMS costs money, so it is opt-in everywhere.
+ */
+export const NOTIFICATION_CATEGORIES = {
+    meeting_reminders: {
+        types: ['meeting_reminder', 'meeting_reminder_30min', 'meeting_reminder_10min', 'meeting_reminder_5min', 'meeting_auto_launch', 'reminder'],
+        defaults: { in_app: true, push: true, email: true, sms: false }
+    },
+    meeting_updates: {
+        types: ['meeting', 'meeting_scheduled', 'meeting_rescheduled', 'meeting_canceled', 'meeting_canceled_confirmation', 'meeting_completed', 'meeting_ended'],
+        defaults: { in_app: true, push: true, email: true, sms: false }
+    },
+    calls: {
+        types: ['instant_call', 'instant_call_request', 'missed_call'],
+        defaults: { in_app: true, push: true, email: false, sms: false }
+    },
+    messages: {
+        types: ['new_message', 'chat', 'direct'],
+        defaults: { in_app: true, push: true, email: false, sms: false }
+    },
+    waitlist: {
+        types: ['waitlist_offer', 'waitlist_offer_expired'],
+        defaults: { in_app: true, push: true, email: true, sms: false }
+    },
+    account: {
+        types: [],
+        defaults: { in_app: true, push: true, email: true, sms: false }
+    }
+};
+
+// Time-critical notifications that ignore quiet hours and the digest
+export const CRITICAL_NOTIFICATION_TYPES = ['meeting_reminder_5min', 'meeting_auto_launch', 'instant_call', 'instant_call_request'];
+
+// sendNotification's channel names, and the key each has in the preferences
+const CHANNEL_KEYS = { 'in-app': 'in_app', push: 'push', email: 'email', sms: 'sms' };
+// Quiet hours silence the channels that interrupt; email waits until they end
+const INTERRUPTING_CHANNELS = ['push', 'sms'];
+
+const DEFAULT_QUIET_HOURS = { enabled: false, start: '21:00', end: '07:00' };
+const DEFAULT_DIGEST = { enabled: false, hour: 18 };
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+// A digest already sent this recently is not sent again, whatever the hour says
+const DIGEST_MIN_INTERVAL_HOURS = 20;
+const DIGEST_ITEM_LIMIT = 25;
+
+const CATEGORY_BY_TYPE = Object.fromEntries(
+    Object.entries(NOTIFICATION_CATEGORIES).flatMap(([category, { types }]) => types.map(type => [type, category]))
+);
+
+const preferencesCache = new Map();
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+const defaultChannels = () => Object.fromEntries(
+    Object.entries(NOTIFICATION_CATEGORIES).map(([category, { defaults }]) => [category, { ...defaults }])
+);
+
+// TIME columns come back as HH:MM:SS
+const formatTime = (time) => String(time).slice(0, 5);
+
+/**
+ * The category a notification type belongs to
+ * @param {string} type
+ * @returns {string} Key of NOTIFICATION_CATEGORIES
+ */
+export const getNotificationCategory = (type) => CATEGORY_BY_TYPE[type] || 'account';
+
+/**
+ * @param {string} type
+ * @returns {boolean}
+ */
+export const isCriticalNotification = (type) => CRITICAL_NOTIFICATION_TYPES.includes(type);
+
+const toPreferences = (row) => {
+    const channels = defaultChannels();
+    for (const [category, overrides] of Object.entries(row?.channels || {})) {
+        if (!channels[category]) continue;
+        for (const channel of NOTIFICATION_CHANNELS) {
+            if (typeof overrides[channel] === 'boolean') {
+                channels[category][channel] = overrides[channel];
+            }
+        }
+    }
+
+    return {
+        channels,
+        quietHours: row ? {
+            enabled: row.quiet_hours_enabled,
+            start: formatTime(row.quiet_hours_start),
+            end: formatTime(row.quiet_hours_end)
+        } : { ...DEFAULT_QUIET_HOURS },
+        digest: row ? {
+            enabled: row.digest_enabled,
+            hour: row.digest_hour
+        } : { ...DEFAULT_DIGEST }
+    };
+};
+
+/**
+ * A user's notification preferences, with defaults for anything they haven't set
+ * Cached for a few minutes; falls back to the defaults if the database can't be read.
+ * @param {number} userId
+ * @returns {Promise<{channels: Object<string, Object<string, boolean>>, quietHours: {enabled: boolean, start: string, end: string}, digest: {enabled: boolean, hour: number}}>}
+ */
+export const getNotificationPreferences = async (userId) => {
+    userId = Number(userId);
+    const cached = preferencesCache.get(userId);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+        return cached.preferences;
+    }
+
+    try {
+        const { rows } = await pool.query('SELECT * FROM notification_preferences WHERE user_id = $1', [userId]);
+        const preferences = toPreferences(rows[0]);
+        preferencesCache.set(userId, { preferences, timestamp: Date.now() });
+        return preferences;
+    } catch (error) {
+        console.error('Error fetching notification preferences:', error);
+        return toPreferences(null);
+    }
+};
+
+/**
+ * Forget the cached preferences of a user
+ * @param {number} userId
+ */
+export const clearNotificationPreferencesCache = (userId) => {
+    preferencesCache.delete(Number(userId));
+};
+
+const checkBoolean = (value, field) => {
+    if (typeof value !== 'boolean') {
+        throw serviceError(`${field} must be true or false`, 400, 'INVALID_PREFERENCE');
+    }
+    return value;
+};
+
+const checkTime = (value, field) => {
+    if (typeof value !== 'string' || !TIME_PATTERN.test(value)) {
+        throw serviceError(`${field} must be a time like 21:00`, 400, 'INVALID_PREFERENCE');
+    }
+    return value;
+};
+
+/**
+ * Change some of a user's notification preferences
+ * @param {number} userId
+ * @param {Object} changes - Any of the fields returned by getNotificationPreferences
+ * @param {Object<string, Object<string, boolean>>} [changes.channels] - e.g. { messages: { email: true } }
+ * @param {{enabled?: boolean, start?: string, end?: string}} [changes.quietHours] - Times as HH:MM, local to the user
+ * @param {{enabled?: boolean, hour?: number}} [changes.digest] - hour is the local hour (0-23) the digest is sent
+ * @returns {Promise<Object>} The updated preferences
+ */
+export const updateNotificationPreferences = async (userId, { channels, quietHours, digest } = {}) => {
+    clearNotificationPreferencesCache(userId);
+    const current = structuredClone(await getNotificationPreferences(userId));
+
+    if (channels !== undefined) {
+        if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+            throw serviceError('channels must be an object of categories', 400, 'INVALID_PREFERENCE');
+        }
+        for (const [category, values] of Object.entries(channels)) {
+            if (!NOTIFICATION_CATEGORIES[category]) {
+                throw serviceError(`Unknown notification category: ${category}`, 400, 'INVALID_CATEGORY');
+            }
+            for (const [channel, enabled] of Object.entries(values || {})) {
+                if (!NOTIFICATION_CHANNELS.includes(channel)) {
+                    throw serviceError(`Channel must be one of: ${NOTIFICATION_CHANNELS.join(', ')}`, 400, 'INVALID_CHANNEL');
+                }
+                current.channels[category][channel] = checkBoolean(enabled, `channels.${category}.${channel}`);
+            }
+        }
+    }
+
+    if (quietHours !== undefined) {
+        const { enabled, start, end } = quietHours || {};
+        if (enabled !== undefined) current.quietHours.enabled = checkBoolean(enabled, 'quietHours.enabled');
+        if (start !== undefined) current.quietHours.start = checkTime(start, 'quietHours.start');
+        if (end !== undefined) current.quietHours.end = checkTime(end, 'quietHours.end');
+        if (current.quietHours.start === current.quietHours.end) {
+            throw serviceError('Quiet hours must start and end at different times', 400, 'INVALID_QUIET_HOURS');
+        }
+    }
+
+    if (digest !== undefined) {
+        const { enabled, hour } = digest || {};
+        if (enabled !== undefined) current.digest.enabled = checkBoolean(enabled, 'digest.enabled');
+        if (hour !== undefined) {
+            if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+                throw serviceError('digest.hour must be a whole hour from 0 to 23', 400, 'INVALID_PREFERENCE');
+            }
+            current.digest.hour = hour;
+        }
+    }
+
+    // Only what differs from the defaults is stored, so untouched categories follow future defaults
+    const defaults = defaultChannels();
+    const overrides = {};
+    for (const [category, values] of Object.entries(current.channels)) {
+        for (const channel of NOTIFICATION_CHANNELS) {
+            if (values[channel] !== defaults[category][channel]) {
+                overrides[category] = { ...overrides[category], [channel]: values[channel] };
+            }
+        }
+    }
+
+    await pool.query(`
+        INSERT INTO notification_preferences (
+            user_id, channels, quiet_hours_enabled, quiet_hours_start, quiet_hours_end, digest_enabled, digest_hour
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (user_id) DO UPDATE SET
+            channels = EXCLUDED.channels,
+            quiet_hours_enabled = EXCLUDED.quiet_hours_enabled,
+            quiet_hours_start = EXCLUDED.quiet_hours_start,
+            quiet_hours_end = EXCLUDED.quiet_hours_end,
+            digest_enabled = EXCLUDED.digest_enabled,
+            digest_hour = EXCLUDED.digest_hour,
+            updated_at = NOW()
+    `, [
+        userId,
+        JSON.stringify(overrides),
+        current.quietHours.enabled,
+        current.quietHours.start,
+        current.quietHours.end,
+        current.digest.enabled,
+        current.digest.hour
+    ]);
+
+    clearNotificationPreferencesCache(userId);
+    return getNotificationPreferences(userId);
+};
+
+/**
+ * Minutes from now until quiet hours end, or 0 when they are not on right now
+ * Quiet hours may cross midnight (21:00-07:00).
+ * @param {Object} preferences - From getNotificationPreferences
+ * @param {string} timezone - The user's IANA timezone
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export const getQuietMinutesLeft = (preferences, timezone, now = new Date()) => {
+    const { enabled, start, end } = preferences.quietHours;
+    if (!enabled) return 0;
+
+    const current = timeToMinutes(getLocalTimeParts(now, timezone).time);
+    const startMinutes = timeToMinutes(start);
+    const endMinutes = timeToMinutes(end);
+    const inQuietHours = startMinutes < endMinutes
+        ? current >= startMinutes && current < endMinutes
+        : current >= startMinutes || current < endMinutes;
+
+    return inQuietHours ? (endMinutes - current + 24 * 60) % (24 * 60) : 0;
+};
+
+/**
+ * Decide how a notification reaches its recipient
+ * The sender offers channels; the recipient's preferences for the notification's category pick
+ * from them. During quiet hours push and SMS are dropped (the in-app notification stays, without
+ * a sound) and email is held until they end. With the digest on, email waits for the digest.
+ * Critical notifications skip both.
+ * @param {Object} preferences - From getNotificationPreferences
+ * @param {Object} notification
+ * @param {string} notification.type
+ * @param {string[]} notification.channels - Channels the sender offers, e.g. ['in-app', 'push', 'email']
+ * @param {string} [notification.timezone] - The recipient's IANA timezone
+ * @param {boolean} [notification.critical] - Treat as critical whatever the type
+ * @param {Date} [now]
+ * @returns {{channels: string[], quiet: boolean, digest: boolean, emailSendAt: Date|null}}
+ */
+export const planNotificationDelivery = (preferences, { type, channels, timezone, critical = false }, now = new Date()) => {
+    const enabled = preferences.channels[getNotificationCategory(type)];
+    let selected = [...new Set(channels)].filter(channel => enabled[CHANNEL_KEYS[channel]] !== false);
+
+    if (critical || isCriticalNotification(type)) {
+        return { channels: selected, quiet: false, digest: false, emailSendAt: null };
+    }
+
+    const quietMinutesLeft = getQuietMinutesLeft(preferences, timezone, now);
+    if (quietMinutesLeft > 0) {
+        selected = selected.filter(channel => !INTERRUPTING_CHANNELS.includes(channel));
+    }
+
+    const digest = preferences.digest.enabled && selected.includes('email');
+    if (digest) {
+        selected = selected.filter(channel => channel !== 'email');
+    }
+
+    return {
+        channels: selected,
+        quiet: quietMinutesLeft > 0,
+        digest,
+        emailSendAt: quietMinutesLeft > 0 ? new Date(now.getTime() + quietMinutesLeft * 60 * 1000) : null
+    };
+};
+
+/**
+ * Hold a notification's email for the recipient's next digest
+ * @param {number} notificationId
+ * @param {number} userId
+ */
+export const addToDigest = async (notificationId, userId) => {
+    await pool.query(
+        'INSERT INTO notification_digest_items (notification_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+        [notificationId, userId]
+    );
+};
+
+/**
+ * Email each user whose digest hour it is now (in their timezone) the notifications held for them
+ * Called hourly by the scheduler. Each user's digest is claimed through last_digest_at first, so
+ * it goes out once a day even with several backend instances.
+ * @param {Date} [now]
+ * @returns {Promise<number>} Digests queued
+ */
+export const sendNotificationDigests = async (now = new Date()) => {
+    const { rows: users } = await pool.query(`
+        SELECT u.id, u.full_name, u.email, u.role, u.locale, u.timezone, p.digest_hour, p.last_digest_at
+        FROM notification_preferences p
+        JOIN users u ON u.id = p.user_id
+        WHERE EXISTS (SELECT 1 FROM notification_digest_items d WHERE d.user_id = p.user_id)
+    `);
+
+    let sent = 0;
+    for (const user of users) {
+        const local = getLocalTimeParts(now, user.timezone);
+        if (parseInt(local.time, 10) !== user.digest_hour) continue;
+
+        const claimed = await pool.query(`
+            UPDATE notification_preferences SET last_digest_at = NOW()
+            WHERE user_id = $1
+            AND (last_digest_at IS NULL OR last_digest_at < NOW() - make_interval(hours => $2))
+            RETURNING user_id
+        `, [user.id, DIGEST_MIN_INTERVAL_HOURS]);
+        if (!claimed.rows.length) continue;
+
+        try {
+            const { rows: items } = await pool.query(`
+                SELECT n.id, n.title, n.message, n.created_at
+                FROM notification_digest_items d
+                JOIN notifications n ON n.id = d.notification_id
+                WHERE d.user_id = $1
+                ORDER BY n.created_at
+            `, [user.id]);
+
+            if (user.email && items.length) {
+                await queueDailyDigestEmail(user, items.slice(0, DIGEST_ITEM_LIMIT), {
+                    moreCount: Math.max(0, items.length - DIGEST_ITEM_LIMIT),
+                    date: local.date
+                });
+                sent++;
+            }
+
+            await pool.query(
+                'DELETE FROM notification_digest_items WHERE user_id = $1 AND notification_id = ANY($2::int[])',
+                [user.id, items.map(item => item.id)]
+            );
+        } catch (error) {
+            // Release the claim; the held notifications go in the next day's digest
+            await pool.query(
+                'UPDATE notification_preferences SET last_digest_at = $2 WHERE user_id = $1',
+                [user.id, user.last_digest_at]
+            );
+            console.error(`Failed to send the notification digest for user ${user.id}:`, error);
+        }
+    }
+    return sent;
+};
+
+export default {
+    NOTIFICATION_CHANNELS,
+    NOTIFICATION_CATEGORIES,
+    CRITICAL_NOTIFICATION_TYPES,
+    getNotificationCategory,
+    isCriticalNotification,
+    getNotificationPreferences,
+    clearNotificationPreferencesCache,
+    updateNotificationPreferences,
+    getQuietMinutesLeft,
+    planNotificationDelivery,
+    addToDigest,
+    sendNotificationDigests
+};
@@ -3,9 +3,19 @@
  * Handles sending notifications through various channels
  */
 import { Pool } from 'pg';
-import nodemailer from 'nodemailer';
-import twilio from 'twilio';
 import { getIO } from '../socket.js';
+import { sendEmail } from '../utils/emailSender.js';
+import { sendSMS } from '../utils/smsSender.js';
+import { getUserLocale, localizeNotification, translate } from '../i18n/index.js';
+import { queueNotificationEmail } from './emailService.js';
+import { sendSms, sendMeetingReminderToContacts } from './smsService.js';
+import { registerJobHandler, enqueueJob, cancelJobGroup, runDueJobs } from './jobQueueService.js';
+import {
+    getNotificationPreferences,
+    clearNotificationPreferencesCache,
+    planNotificationDelivery,
+    addToDigest
+} from './notificationPreferenceService.js';
 
 // Database connection
 const pool = new Pool({
@@ -16,95 +26,30 @@ const pool = new Pool({
     port: process.env.DB_PORT || 5432,
 });
 
-// Cache for user notification preferences to reduce database hits
-const notificationPrefsCache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
-
-// Email transporter setup
-let emailTransporter = null;
-if (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
-    emailTransporter = nodemailer.createTransporter({
-        host: process.env.SMTP_HOST,
-        port: process.env.SMTP_PORT || 587,
-        secure: false,
-        auth: {
-            user: process.env.SMTP_USER,
-            pass: process.env.SMTP_PASS
-        }
-    });
-}
-
-// SMS client setup
-let smsClient = null;
-if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
-    smsClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
-}
-
-/**
- * Get user notification preferences with caching
- * @param {number} userId - User ID
- * @returns {Object} Notification preferences
- */
-const getUserNotificationPreferences = async (userId) => {
-    const cacheKey = `prefs_${userId}`;
-    const cached = notificationPrefsCache.get(cacheKey);
-    
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-        return cached.preferences;
-    }
-    
-    try {
-        const prefsQuery = `SELECT email_notifications, sms_notifications, 
-                           COALESCE(push_notifications, '{}'::jsonb) as push_notifications 
-                           FROM volunteer_settings WHERE volunteer_id = $1`;
-        const prefsResult = await pool.query(prefsQuery, [userId]);
-        
-        let preferences = {
-            email_notifications: {},
-            sms_notifications: {},
-            push_notifications: {}
-        };
-        
-        if (prefsResult.rows.length > 0) {
-            const settings = prefsResult.rows[0];
-            preferences = {
-                email_notifications: settings.email_notifications || {},
-                sms_notifications: settings.sms_notifications || {},
-                push_notifications: settings.push_notifications || {}
-            };
-        }
-        
-        // Cache the result
-        notificationPrefsCache.set(cacheKey, {
-            preferences,
-            timestamp: Date.now()
-        });
-        
-        return preferences;
-    } catch (error) {
-        console.error('Error fetching notification preferences:', error);
-        return {
-            email_notifications: {},
-            sms_notifications: {},
-            push_notifications: {}
-        };
-    }
-};
+// Job that delivers one stored scheduled notification (see deliverScheduledNotification)
+const NOTIFICATION_JOB = 'notification.deliver';
+// Scheduled notifications found this late without a job are stale and left undelivered
+const RECONCILE_GRACE_MINUTES = 30;
 
 /**
  * Clear notification preferences cache for a user
  * @param {number} userId - User ID
  */
 export const clearNotificationPrefsCache = (userId) => {
-    const cacheKey = `prefs_${userId}`;
-    notificationPrefsCache.delete(cacheKey);
+    clearNotificationPreferencesCache(userId);
 };
 
 /**
  * Send notification through multiple channels with persistent storage
+ * Pass notificationData.template ({ key, params }) instead of title/message to render the
+ * text in the recipient's language and timezone (see src/i18n).
+ * The channels are the ones this notification may use, plus push; the recipient's notification
+ * preferences decide which of them it actually goes out on, and hold it back during their quiet
+ * hours or for their daily digest (see notificationPreferenceService).
  * @param {Object} notificationData - Notification content and metadata
  * @param {Array} channels - Delivery channels ['in-app', 'email', 'sms', 'push']
  * @param {Object} options - Additional options like persistence, auto-delete, etc.
+ * @param {boolean} [options.critical] - Deliver during quiet hours and skip the digest
  * @returns {Object} Created notification record
  */
 export const sendNotification = async (notificationData, channels = ['in-app', 'push'], options = {}) => {
@@ -112,8 +57,7 @@ export const sendNotification = async (notificationData, channels = ['in-app', '
         const {
             recipient_id,
             recipient_role,
-            title,
-            message,
+            template = null,
             type = 'general',
             priority = 'medium',
             metadata = {},
@@ -127,9 +71,31 @@ export const sendNotification = async (notificationData, channels = ['in-app', '
             action_url = null,          // URL to navigate when clicked
             icon_url = '/favicon.ico',  // Notification icon
             badge_url = '/favicon.ico', // Badge icon
-            tag = null                  // Notification tag for grouping
+            tag = null,                 // Notification tag for grouping
+            critical = false            // Ignore quiet hours and the digest
         } = options;
 
+        // Get user details for localization and external notifications
+        const userQuery = `SELECT * FROM users WHERE id = $1 AND role = $2`;
+        const userResult = await pool.query(userQuery, [recipient_id, recipient_role]);
+        const user = userResult.rows[0] || null;
+        const locale = getUserLocale(user);
+
+        let { title, message } = notificationData;
+        if (template) {
+            ({ title, message } = localizeNotification(locale, template.key, template.params, user?.timezone));
+        }
+
+        // Push is offered for every notification; the recipient's preferences choose among the channels
+        const preferences = await getNotificationPreferences(recipient_id);
+        const delivery = planNotificationDelivery(preferences, {
+            type,
+            channels: [...channels, 'push'],
+            timezone: user?.timezone,
+            critical
+        });
+        const showInApp = delivery.channels.includes('in-app');
+
         // Create notification record in database with persistence settings
         const insertQuery = `
             INSERT INTO notifications (
@@ -147,8 +113,9 @@ export const sendNotification = async (notificationData, channels = ['in-app', '
                 icon_url,
                 badge_url,
                 tag,
+                is_read,
                 created_at
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW())
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW())
             RETURNING *
         `;
 
@@ -166,108 +133,102 @@ export const sendNotification = async (notificationData, channels = ['in-app', '
             action_url,
             icon_url,
             badge_url,
-            tag
+            tag,
+            !showInApp // Kept for the history and the digest, but not shown as new
         ]);
 
         const createdNotification = result.rows[0];
 
         // Send real-time notification via Socket.IO with enhanced data
-        try {
-            const io = getIO();
-            const notificationRoom = `notifications_${recipient_role}_${recipient_id}`;
+        // Not shown when the recipient turned in-app off for this kind of notification
+        if (showInApp) {
+            try {
+                const io = getIO();
+                const notificationRoom = `notifications_${recipient_role}_${recipient_id}`;
             
-            const socketData = {
-                notification: {
-                    ...createdNotification,
-                    action_url,
-                    icon_url,
-                    badge_url,
-                    require_interaction
-                },
-                timestamp: new Date().toISOString(),
-                channels_used: channels,
-                priority_level: priority,
-                // Add sound metadata for frontend
-                sound_enabled: true,
-                sound_type: type,
-                sound_priority: priority
-            };
+                const socketData = {
+                    notification: {
+                        ...createdNotification,
+                        action_url,
+                        icon_url,
+                        badge_url,
+                        require_interaction
+                    },
+                    timestamp: new Date().toISOString(),
+                    channels_used: delivery.channels,
+                    priority_level: priority,
+                    // Add sound metadata for frontend; silent during quiet hours
+                    sound_enabled: !delivery.quiet,
+                    sound_type: type,
+                    sound_priority: priority,
+                    quiet_hours: delivery.quiet
+                };
             
-            io.to(notificationRoom).emit('new-notification', socketData);
+                io.to(notificationRoom).emit('new-notification', socketData);
             
-            // Also emit to general user room for cross-tab notifications
-            io.to(`user_${recipient_id}`).emit('notification-update', socketData);
+                // Also emit to general user room for cross-tab notifications
+                io.to(`user_${recipient_id}`).emit('notification-update', socketData);
             
-            // Emit sound event for frontend sound manager
-            io.to(`user_${recipient_id}`).emit('notification-sound-trigger', {
-                type,
-                priority,
-                metadata,
-                notification_id: createdNotification.id,
-                channels,
-                timestamp: new Date().toISOString()
-            });
+                // Emit sound event for frontend sound manager
+                if (!delivery.quiet) {
+                    io.to(`user_${recipient_id}`).emit('notification-sound-trigger', {
+                        type,
+                        priority,
+                        metadata,
+                        notification_id: createdNotification.id,
+                        channels: delivery.channels,
+                        timestamp: new Date().toISOString()
+                    });
+                }
             
-            console.log(`📡 Real-time notification sent to room: ${notificationRoom}`);
-        } catch (error) {
-            console.error('❌ Error emitting real-time notification:', error);
-            // Don't fail the entire notification if Socket.IO fails
+                console.log(`📡 Real-time notification sent to room: ${notificationRoom}`);
+            } catch (error) {
+                console.error('❌ Error emitting real-time notification:', error);
+                // Don't fail the entire notification if Socket.IO fails
+            }
         }
 
-        // Get user details for external notifications
-        const userQuery = `SELECT * FROM users WHERE id = $1 AND role = $2`;
-        const userResult = await pool.query(userQuery, [recipient_id, recipient_role]);
-        
-        if (userResult.rows.length === 0) {
+        if (!user) {
             console.error(`User not found for notification: ${recipient_id} with role ${recipient_role}`);
             return createdNotification;
         }
-
-        const user = userResult.rows[0];
         
-        // Get user's notification preferences with caching
-        let notificationPrefs = {};
-        if (recipient_role === 'volunteer') {
-            notificationPrefs = await getUserNotificationPreferences(recipient_id);
+        // The email waits for the daily digest instead
+        if (delivery.digest && user.email) {
+            await addToDigest(createdNotification.id, user.id);
         }
         
-        // Always include push notifications as default channel
-        if (!channels.includes('push')) {
-            channels.push('push');
-        }
-        
-        // Send through each requested channel with parallel processing
-        const channelPromises = channels.map(async (channel) => {
+        // Send through each chosen channel with parallel processing
+        const channelPromises = delivery.channels.map(async (channel) => {
             try {
                 switch (channel) {
                     case 'email':
-                        if (user.email && shouldSendEmail(notificationPrefs, type)) {
-                            await sendEmailNotification(user.email, title, message, metadata);
-                            console.log(`📧 Email notification sent to ${user.email}`);
+                        if (user.email) {
+                            await sendEmailNotification(user, { type, title, message, metadata, actionUrl: action_url }, {
+                                sendAt: delivery.emailSendAt
+                            });
                         }
                         break;
                         
                     case 'sms':
-                        if (user.phone && shouldSendSMS(notificationPrefs, type)) {
-                            await sendSMSNotification(user.phone, title, message);
+                        if (user.phone) {
+                            await sendSMSNotification(user.phone, title, message, locale, user.id);
                             console.log(`📱 SMS notification sent to ${user.phone}`);
                         }
                         break;
                         
                     case 'push':
-                        if (shouldSendPush(notificationPrefs, type)) {
-                            await sendPushNotification(user, title, message, {
-                                ...metadata,
-                                action_url,
-                                icon_url,
-                                badge_url,
-                                tag,
-                                require_interaction,
-                                priority,
-                                type
-                            });
-                            console.log(`🔔 Push notification sent to user ${user.id}`);
-                        }
+                        await sendPushNotification(user, title, message, {
+                            ...metadata,
+                            action_url,
+                            icon_url,
+                            badge_url,
+                            tag,
+                            require_interaction,
+                            priority,
+                            type
+                        });
+                        console.log(`🔔 Push notification sent to user ${user.id}`);
                         break;
                         
                     case 'in-app':
@@ -296,7 +257,7 @@ export const sendNotification = async (notificationData, channels = ['in-app', '
              updated_at = NOW()
              WHERE id = $2`,
             [
-                channels,
+                delivery.digest ? [...delivery.channels, 'digest'] : delivery.channels,
                 createdNotification.id
             ]
         );
@@ -308,77 +269,6 @@ export const sendNotification = async (notificationData, channels = ['in-app', '
     }
 };
 
-/**
- * Check if email notification should be sent based on user preferences
- */
-const shouldSendEmail = (preferences, notificationType) => {
-    if (!preferences.email_notifications) return true; // Default to true if no preferences
-    
-    const emailPrefs = preferences.email_notifications;
-    
-    // Check specific notification type preferences
-    switch (notificationType) {
-        case 'meeting':
-            return emailPrefs.meeting_notifications !== false;
-        case 'reminder':
-            return emailPrefs.meeting_reminders !== false;
-        case 'system':
-            return emailPrefs.system_notifications !== false;
-        default:
-            return true;
-    }
-};
-
-/**
- * Check if SMS notification should be sent based on user preferences
- */
-const shouldSendSMS = (preferences, notificationType) => {
-    if (!preferences.sms_notifications) return false; // Default to false for SMS
-    
-    const smsPrefs = preferences.sms_notifications;
-    
-    // Check specific notification type preferences
-    switch (notificationType) {
-        case 'meeting':
-            return smsPrefs.meeting_changes === true;
-        case 'reminder':
-            return smsPrefs.urgent_reminder === true;
-        case 'urgent':
-            return smsPrefs.urgent_reminder === true;
-        case 'system':
-            return smsPrefs.system_alerts === true;
-        default:
-            return false;
-    }
-};
-
-/**
- * Check if push notification should be sent based on user preferences
- */
-const shouldSendPush = (preferences, notificationType) => {
-    // Always send push notifications unless explicitly disabled
-    if (!preferences.push_notifications) return true; // Default to true for maximum engagement
-    
-    const pushPrefs = preferences.push_notifications;
-    
-    // Check specific notification type preferences
-    switch (notificationType) {
-        case 'meeting':
-        case 'meeting_scheduled':
-        case 'meeting_reminder':
-        case 'meeting_canceled':
-        case 'meeting_rescheduled':
-            return pushPrefs.meeting_reminder !== false;
-        case 'instant_call':
-            return pushPrefs.new_meeting_requests !== false;
-        case 'system':
-        case 'urgent':
-            return pushPrefs.system_alerts !== false;
-        default:
-            return true; // Send push for all other types by default
-    }
-};
-
 /**
  * Enhanced Push Notification with rich content and actions
  * @param {Object} user - User object
@@ -403,6 +293,9 @@ const sendPushNotification = async (user, title, message, metadata = {}) => {
             volunteer_name = null
         } = metadata;
 
+        const locale = getUserLocale(user);
+        const label = (key) => translate(locale, `push.${key}`);
+
         // Create rich notification data
         const notificationData = {
             title,
@@ -426,12 +319,12 @@ const sendPushNotification = async (user, title, message, metadata = {}) => {
             actions: actions.length > 0 ? actions : [
                 {
                     action: 'view',
-                    title: '👀 View',
+                    title: label('view'),
                     icon: '/favicon.ico'
                 },
                 {
                     action: 'dismiss',
-                    title: '✕ Dismiss',
+                    title: label('dismiss'),
                     icon: '/favicon.ico'
                 }
             ],
@@ -444,17 +337,17 @@ const sendPushNotification = async (user, title, message, metadata = {}) => {
             notificationData.actions = [
                 {
                     action: 'join',
-                    title: '🎥 Join Meeting',
+                    title: label('join_meeting'),
                     icon: '/favicon.ico'
                 },
                 {
                     action: 'remind_later',
-                    title: '⏰ Remind Later',
+                    title: label('remind_later'),
                     icon: '/favicon.ico'
                 },
                 {
                     action: 'dismiss',
-                    title: '✕ Dismiss',
+                    title: label('dismiss'),
                     icon: '/favicon.ico'
                 }
             ];
@@ -466,12 +359,12 @@ const sendPushNotification = async (user, title, message, metadata = {}) => {
             notificationData.actions = [
                 {
                     action: 'accept',
-                    title: '✅ Accept Call',
+                    title: label('accept_call'),
                     icon: '/favicon.ico'
                 },
                 {
                     action: 'decline',
-                    title: '❌ Decline',
+                    title: label('decline'),
                     icon: '/favicon.ico'
                 }
             ];
@@ -483,17 +376,17 @@ const sendPushNotification = async (user, title, message, metadata = {}) => {
             notificationData.actions = [
                 {
                     action: 'view_details',
-                    title: '📅 View Details',
+                    title: label('view_details'),
                     icon: '/favicon.ico'
                 },
                 {
                     action: 'add_calendar',
-                    title: '📆 Add to Calendar',
+                    title: label('add_to_calendar'),
                     icon: '/favicon.ico'
                 },
                 {
                     action: 'dismiss',
-                    title: '✕ Dismiss',
+                    title: label('dismiss'),
                     icon: '/favicon.ico'
                 }
             ];
@@ -503,17 +396,17 @@ const sendPushNotification = async (user, title, message, metadata = {}) => {
             notificationData.actions = [
                 {
                     action: 'view_details',
-                    title: '📅 View Schedule',
+                    title: label('view_schedule'),
                     icon: '/favicon.ico'
                 },
                 {
                     action: 'add_calendar',
-                    title: '📆 Update Calendar',
+                    title: label('update_calendar'),
                     icon: '/favicon.ico'
                 },
                 {
                     action: 'dismiss',
-                    title: '✕ Dismiss',
+                    title: label('dismiss'),
                     icon: '/favicon.ico'
                 }
             ];
@@ -572,46 +465,27 @@ const sendPushNotification = async (user, title, message, metadata = {}) => {
 };
 
 /**
- * Send email notification
+ * Queue a notification email; the outbox retries it if SMTP is unavailable (see emailService)
  */
-const sendEmailNotification = async (email, title, message, metadata = {}) => {
-    if (!emailTransporter) {
-        console.warn('Email transporter not configured, skipping email notification');
-        return;
-    }
-
+const sendEmailNotification = async (user, notification, options = {}) => {
     try {
-        const htmlContent = generateEmailHTML(title, message, metadata);
-        
-        await emailTransporter.sendMail({
-            from: process.env.SMTP_FROM || 'noreply@talktime.adea.ke',
-            to: email,
-            subject: `TalkTime - ${title}`,
-            html: htmlContent
-        });
-        
-        console.log(`Email sent successfully to ${email}`);
+        await queueNotificationEmail(user, notification, options);
+        console.log(`📧 Email notification queued for ${user.email}`);
     } catch (error) {
-        console.error(`Failed to send email to ${email}:`, error);
+        console.error(`Failed to queue email to ${user.email}:`, error);
     }
 };
 
 /**
- * Send SMS notification
+ * Send SMS notification through the configured SMS transport
  */
-const sendSMSNotification = async (phoneNumber, title, message) => {
-    if (!smsClient) {
-        console.warn('SMS client not configured, skipping SMS notification');
-        return;
-    }
-
+const sendSMSNotification = async (phoneNumber, title, message, locale = 'en', userId = null) => {
     try {
-        const smsBody = `TalkTime: ${title}\n${message}`;
-        
-        await smsClient.messages.create({
-            body: smsBody,
-            from: process.env.TWILIO_PHONE_NUMBER,
-            to: phoneNumber
+        await sendSms({
+            to: phoneNumber,
+            body: translate(locale, 'sms.body', { title, message }),
+            purpose: 'notification',
+            userId
         });
         
         console.log(`SMS sent successfully to ${phoneNumber}`);
@@ -620,45 +494,6 @@ const sendSMSNotification = async (phoneNumber, title, message) => {
     }
 };
 
-/**
- * Generate HTML content for email notifications
- */
-const generateEmailHTML = (title, message, metadata) => {
-    return `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <meta charset="utf-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>TalkTime Notification</title>
-            <style>
-                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
-                .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; border-radius: 8px; text-align: center; }
-                .content { background: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0; }
-                .footer { text-align: center; color: #666; font-size: 14px; padding: 20px 0; }
-                .button { display: inline-block; background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 10px 0; }
-            </style>
-        </head>
-        <body>
-            <div class="header">
-                <h1>TalkTime</h1>
-                <p>Connecting Maasai Students with Global Volunteers</p>
-            </div>
-            <div class="content">
-                <h2>${title}</h2>
-                <p>${message}</p>
-                ${metadata.meeting_link ? `<a href="${metadata.meeting_link}" class="button">Join Meeting</a>` : ''}
-                ${metadata.dashboard_link ? `<a href="${metadata.dashboard_link}" class="button">View Dashboard</a>` : ''}
-            </div>
-            <div class="footer">
-                <p> 2024 ADEA Foundation - TalkTime Platform</p>
-                <p>Empowering Maasai youth through English conversation practice</p>
-            </div>
-        </body>
-        </html>
-    `;
-};
-
 /**
  * Schedule meeting notifications for both volunteer and student
  * @param {Object} meeting - Meeting data
@@ -667,8 +502,6 @@ const generateEmailHTML = (title, message, metadata) => {
 export const scheduleMeetingNotifications = async (meeting) => {
     try {
         const meetingTime = new Date(meeting.scheduled_time);
-        const meetingDate = meetingTime.toLocaleDateString();
-        const meetingTimeStr = meetingTime.toLocaleTimeString();
         
         console.log('🔍 Debug: scheduleMeetingNotifications called with meeting:', {
             id: meeting.id,
@@ -708,7 +541,7 @@ export const scheduleMeetingNotifications = async (meeting) => {
         const intervals = [
             { 
                 minutes: 30, 
-                title: '⏰ 30-Minute Meeting Reminder', 
+                icon: '⏰', 
                 priority: 'normal',
                 requireInteraction: false,
                 autoDeleteAfter: 60, // Auto-delete after 1 hour
@@ -716,7 +549,7 @@ export const scheduleMeetingNotifications = async (meeting) => {
             },
             { 
                 minutes: 10, 
-                title: '⏰ 10-Minute Meeting Reminder', 
+                icon: '⏰', 
                 priority: 'normal',
                 requireInteraction: false,
                 autoDeleteAfter: 30, // Auto-delete after 30 minutes
@@ -724,7 +557,7 @@ export const scheduleMeetingNotifications = async (meeting) => {
             },
             { 
                 minutes: 5, 
-                title: '🚨 5-Minute Meeting Reminder', 
+                icon: '🚨', 
                 priority: 'high',
                 requireInteraction: true,
                 autoDeleteAfter: 30, // Auto-delete after 30 minutes
@@ -753,19 +586,29 @@ export const scheduleMeetingNotifications = async (meeting) => {
             RETURNING *
         `;
         
+        // Reminders are stored pre-rendered, so localize each one for its reader now
+        const reminderText = (recipient, other, interval, role) => localizeNotification(
+            getUserLocale(recipient),
+            `meeting_reminder_${role}`,
+            { icon: interval.icon, minutes: interval.minutes, name: other.full_name || other.name, time: meetingTime },
+            recipient.timezone
+        );
+        
         for (const interval of intervals) {
             const scheduledTime = new Date(meetingTime.getTime() - (interval.minutes * 60 * 1000));
             
             // Only schedule if the notification time is in the future
             if (scheduledTime > new Date()) {
                 const meetingUrl = `${process.env.BASE_URL || 'http://localhost'}/volunteer/dashboard/upcoming.html`;
+                const volunteerText = reminderText(volunteer, student, interval, 'volunteer');
+                const studentText = reminderText(student, volunteer, interval, 'student');
                 
                 // Create volunteer notification
                 const volunteerNotification = await pool.query(insertQuery, [
                     volunteer.id,                                              // $1: user_id
                     'volunteer',                                               // $2: recipient_role
-                    interval.title,                                            // $3: title
-                    `Your meeting with ${student.full_name || student.name} is starting in ${interval.minutes} minutes on ${meetingDate} at ${meetingTimeStr}. Click to join!`, // $4: message
+                    volunteerText.title,                                       // $3: title
+                    volunteerText.message,                                     // $4: message
                     interval.type,                                             // $5: type (now using correct DB-allowed type)
                     interval.priority,                                         // $6: priority
                     JSON.stringify({ 
@@ -792,8 +635,8 @@ export const scheduleMeetingNotifications = async (meeting) => {
                 const studentNotification = await pool.query(insertQuery, [
                     student.id,                                                // $1: user_id
                     'student',                                                 // $2: recipient_role
-                    interval.title,                                            // $3: title
-                    `Your meeting with ${volunteer.full_name || volunteer.name} is starting in ${interval.minutes} minutes on ${meetingDate} at ${meetingTimeStr}. Get ready!`, // $4: message
+                    studentText.title,                                         // $3: title
+                    studentText.message,                                       // $4: message
                     interval.type,                                             // $5: type (now using correct DB-allowed type)
                     interval.priority,                                         // $6: priority
                     JSON.stringify({ 
@@ -818,6 +661,15 @@ export const scheduleMeetingNotifications = async (meeting) => {
             }
         }
         
+        // The rows are the record; if Redis is down, enqueueScheduledNotifications queues them later
+        try {
+            for (const notification of notifications) {
+                await queueScheduledNotification(notification);
+            }
+        } catch (error) {
+            console.error(`Failed to queue reminders for meeting ${meeting.id}:`, error.message);
+        }
+        
         return notifications;
     } catch (error) {
         console.error('Error scheduling meeting notifications:', error);
@@ -826,77 +678,129 @@ export const scheduleMeetingNotifications = async (meeting) => {
 };
 
 /**
- * Process scheduled notifications that are due
- * This should be called by a cron job or scheduler
- * @returns {number} Number of notifications processed
+ * Queue delivery of a stored scheduled notification at its scheduled_for time
+ * The notification id is the idempotency key, so queueing one twice is harmless.
+ * @param {Object} notification - Row from the notifications table
+ * @returns {Promise<{id: string, created: boolean}>}
  */
-export const processScheduledNotifications = async () => {
+const queueScheduledNotification = (notification) => enqueueJob({
+    type: NOTIFICATION_JOB,
+    payload: { notificationId: notification.id },
+    runAt: notification.scheduled_for,
+    idempotencyKey: `notification:${notification.id}`,
+    group: notification.metadata?.meeting_id ? `meeting:${notification.metadata.meeting_id}` : undefined
+});
+
+/**
+ * Deliver one scheduled notification; the handler for NOTIFICATION_JOB
+ * Claims the row first, so it is delivered once even if two jobs reach it.
+ * @param {Object} payload
+ * @param {number} payload.notificationId
+ * @returns {Promise<boolean>} False when it was cancelled or already delivered
+ */
+const deliverScheduledNotification = async ({ notificationId }) => {
+    const claimed = await pool.query(
+        `UPDATE notifications
+        SET is_sent = true, sent_at = NOW()
+        WHERE id = $1 AND is_sent = false
+        RETURNING *`,
+        [notificationId]
+    );
+    const notification = claimed.rows[0];
+    if (!notification) {
+        return false;
+    }
+    
     try {
-        const now = new Date();
+        // Determine channels based on notification priority and type
+        const channels = ['in-app'];
         
-        // Find notifications scheduled for now or earlier that haven't been sent
-        const result = await pool.query(
-            `SELECT * FROM notifications 
-            WHERE scheduled_for <= $1 
-            AND scheduled_for IS NOT NULL
-            AND is_sent = false`,
-            [now.toISOString()]
-        );
-        
-        let count = 0;
+        // Always add push notifications for meeting reminders
+        if (notification.type.includes('meeting_reminder') || notification.type.includes('meeting_')) {
+            channels.push('push');
+        }
         
-        for (const notification of result.rows) {
-            // Determine channels based on notification priority and type
-            let channels = ['in-app'];
-            
-            // Always add push notifications for meeting reminders
-            if (notification.type.includes('meeting_reminder') || notification.type.includes('meeting_')) {
+        if (notification.priority === 'high' || notification.priority === 'urgent') {
+            channels.push('email');
+            if (!channels.includes('push')) {
                 channels.push('push');
             }
-            
-            if (notification.priority === 'high' || notification.priority === 'urgent') {
-                channels.push('email');
-                if (!channels.includes('push')) {
-                    channels.push('push');
-                }
-            }
-            
-            if (notification.priority === 'urgent') {
-                channels.push('sms');
-            }
-            
-            // 🚀 AUTO-LAUNCH LOGIC: Trigger meeting auto-launch for 5-minute reminders
-            if (notification.type === 'meeting_reminder_5min') {
-                await triggerMeetingAutoLaunch(notification);
+        }
+        
+        if (notification.priority === 'urgent') {
+            channels.push('sms');
+        }
+        
+        // 🚀 AUTO-LAUNCH LOGIC: Trigger meeting auto-launch for 5-minute reminders
+        if (notification.type === 'meeting_reminder_5min') {
+            await triggerMeetingAutoLaunch(notification);
+        }
+        
+        // Parents and school coordinators without an account get the student's reminder by SMS
+        if (notification.type.startsWith('meeting_reminder_') && notification.recipient_role === 'student'
+            && notification.metadata?.meeting_id) {
+            try {
+                await sendMeetingReminderToContacts(notification.metadata.meeting_id);
+            } catch (error) {
+                console.error(`Failed to text meeting reminder contacts for meeting ${notification.metadata.meeting_id}:`, error);
             }
-            
-            // Send the notification through appropriate channels
-            await sendNotification({
-                recipient_id: notification.recipient_id,
-                recipient_role: notification.recipient_role,
-                title: notification.title,
-                message: notification.message,
-                type: notification.type,
-                priority: notification.priority,
-                metadata: notification.metadata
-            }, channels);
-            
-            // Mark as processed
-            await pool.query(
-                `UPDATE notifications 
-                SET is_sent = true, sent_at = NOW() 
-                WHERE id = $1`,
-                [notification.id]
-            );
-            
-            count++;
         }
         
-        return count;
+        // Send the notification through appropriate channels
+        await sendNotification({
+            recipient_id: notification.recipient_id,
+            recipient_role: notification.recipient_role,
+            title: notification.title,
+            message: notification.message,
+            type: notification.type,
+            priority: notification.priority,
+            metadata: notification.metadata
+        }, channels);
     } catch (error) {
-        console.error('Error processing scheduled notifications:', error);
+        // Release the row so the job's retry can deliver it
+        await pool.query(
+            'UPDATE notifications SET is_sent = false, sent_at = NULL WHERE id = $1',
+            [notificationId]
+        );
         throw error;
     }
+    
+    return true;
+};
+
+registerJobHandler(NOTIFICATION_JOB, deliverScheduledNotification);
+
+/**
+ * Deliver scheduled notifications that are due now
+ * Runs due jobs without waiting for the job worker. Safe to call from anywhere: each job and
+ * each notification is claimed once, so this can't double-send.
+ * @returns {number} Number of jobs completed
+ */
+export const processScheduledNotifications = async () => {
+    const { completed } = await runDueJobs();
+    return completed;
+};
+
+/**
+ * Queue every pending scheduled notification that has no job: rows written while Redis was
+ * unreachable, by the notification service, or before the job queue existed
+ * @returns {number} Number of jobs created
+ */
+export const enqueueScheduledNotifications = async () => {
+    const result = await pool.query(
+        `SELECT id, scheduled_for, metadata FROM notifications
+        WHERE scheduled_for IS NOT NULL
+        AND is_sent = false
+        AND scheduled_for > NOW() - make_interval(mins => $1)`,
+        [RECONCILE_GRACE_MINUTES]
+    );
+    
+    let created = 0;
+    for (const notification of result.rows) {
+        const job = await queueScheduledNotification(notification);
+        if (job.created) created++;
+    }
+    return created;
 };
 
 /**
@@ -1000,6 +904,14 @@ export const cancelMeetingNotifications = async (meetingId) => {
         
         const result = await pool.query(deleteQuery, [meetingId.toString()]);
         console.log(`🗑️ Cancelled ${result.rowCount} scheduled notifications for meeting ${meetingId}`);
+        
+        // Without its row a queued job would do nothing, but drop it rather than leave it waiting
+        try {
+            const jobs = await cancelJobGroup(`meeting:${meetingId}`);
+            console.log(`🗑️ Removed ${jobs} queued notification jobs for meeting ${meetingId}`);
+        } catch (error) {
+            console.error(`Failed to remove queued notification jobs for meeting ${meetingId}:`, error.message);
+        }
         return result.rowCount > 0;
     } catch (error) {
         console.error('Error cancelling meeting notifications:', error);
@@ -1017,73 +929,21 @@ export const sendParentalApprovalRequest = async (userData, approvalToken) => {
     try {
         const approvalLink = `${process.env.BASE_URL || 'http://localhost:3000'}/api/v1/auth/approve-parent/${approvalToken}`;
         
-        const emailSubject = 'TalkTime: Parental Approval Required for Your Child\'s Volunteer Account';
-        const emailContent = `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-                <div style="text-align: center; margin-bottom: 30px;">
-                    <h1 style="color: #4f46e5; font-size: 28px; margin: 0;">TALKTIME</h1>
-                    <p style="color: #6b7280; margin: 5px 0;">Connecting Hearts, Building Futures</p>
-                </div>
-                
-                <h2 style="color: #374151; margin-bottom: 20px;">Parental Approval Required</h2>
-                
-                <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
-                    Dear Parent/Guardian,
-                </p>
-                
-                <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
-                    Your ${userData.is_under_18 ? 'child' : 'student'}, <strong>${userData.full_name}</strong> (${userData.email}), has signed up to become a volunteer with TalkTime${userData.volunteer_type === 'student_volunteer' ? ' as a student volunteer' : ''}, 
-                    a platform that connects Maasai students in Kenya with global volunteers for English language practice.
-                </p>
-                
-                <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
-                    Since ${userData.volunteer_type === 'student_volunteer' ? 'they are participating as a student volunteer' : userData.is_under_18 ? 'your child is under 18' : 'they are participating in our program'}, we require your explicit approval before they can participate.
-                </p>
-                
-                <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
-                    <h3 style="color: #374151; margin-top: 0;">What TalkTime Offers:</h3>
-                    <ul style="color: #4b5563; line-height: 1.6;">
-                        <li>Safe, supervised video conversations with Maasai students</li>
-                        <li>Flexible scheduling that works with your schedule</li>
-                        ${userData.volunteer_type === 'student_volunteer' ? '<li>Community service hours and official documentation for volunteering</li>' : ''}
-                        <li>Cultural exchange and language learning opportunities</li>
-                        <li>Professional oversight and safety measures</li>
-                    </ul>
-                </div>
-                
-                <div style="text-align: center; margin: 30px 0;">
-                    <a href="${approvalLink}" 
-                       style="background-color: #10b981; color: white; padding: 12px 30px; 
-                              text-decoration: none; border-radius: 6px; font-weight: bold; 
-                              display: inline-block;">APPROVE PARTICIPATION</a>
-                </div>
-                
-                <p style="color: #6b7280; font-size: 14px; line-height: 1.5; margin-top: 30px;">
-                    <strong>Important:</strong> This approval link will expire in 7 days. If you have any questions 
-                    about TalkTime or need more information, please contact us at support@talktime.org
-                </p>
-                
-                <p style="color: #6b7280; font-size: 14px; line-height: 1.5;">
-                    If you did not expect this email or believe this is an error, please ignore this message.
-                </p>
-                
-                <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-                
-                <div style="text-align: center; color: #9ca3af; font-size: 12px;">
-                    <p>TalkTime by ADEA Foundation</p>
-                    <p>Empowering Maasai Youth Through English Conversation</p>
-                </div>
-            </div>
-        `;
-        
         const smsMessage = `TalkTime: Your ${userData.is_under_18 ? 'child' : 'student'} ${userData.full_name} needs parental approval to volunteer${userData.volunteer_type === 'student_volunteer' ? ' as a student volunteer' : ''}. Click: ${approvalLink} (Expires in 7 days)`;
         
         // Send email notification
         if (userData.parent_email) {
             await sendEmail({
                 to: userData.parent_email,
-                subject: emailSubject,
-                html: emailContent
+                template: 'parental_approval',
+                data: {
+                    volunteerName: userData.full_name,
+                    volunteerEmail: userData.email,
+                    studentVolunteer: userData.volunteer_type === 'student_volunteer',
+                    approvalUrl: approvalLink
+                },
+                locale: getUserLocale(userData),
+                userId: userData.id
             });
         }
         
@@ -1091,7 +951,9 @@ export const sendParentalApprovalRequest = async (userData, approvalToken) => {
         if (userData.parent_phone) {
             await sendSMS({
                 to: userData.parent_phone,
-                body: smsMessage
+                body: smsMessage,
+                purpose: 'parental_approval',
+                userId: userData.id
             });
         }
         
@@ -1102,6 +964,45 @@ export const sendParentalApprovalRequest = async (userData, approvalToken) => {
     }
 };
 
+/**
+ * Ask the parent of an under-18 volunteer to allow their child's calls to be recorded
+ * @param {Object} userData - Volunteer (full_name, parent_email, parent_phone)
+ * @param {string} consentToken - Token for the consent link
+ * @returns {boolean} Success status
+ */
+export const sendParentalRecordingConsentRequest = async (userData, consentToken) => {
+    try {
+        const consentLink = `${process.env.BASE_URL || 'http://localhost:3000'}/api/v1/parental-approval/recording-consent/${consentToken}`;
+
+        if (userData.parent_email) {
+            await sendEmail({
+                to: userData.parent_email,
+                template: 'parental_recording_consent',
+                data: {
+                    volunteerName: userData.full_name,
+                    consentUrl: consentLink
+                },
+                locale: getUserLocale(userData),
+                userId: userData.id
+            });
+        }
+
+        if (userData.parent_phone) {
+            await sendSMS({
+                to: userData.parent_phone,
+                body: `TalkTime: ${userData.full_name} would like their conversation sessions to be recorded for safeguarding. To allow this, click: ${consentLink} (Expires in 7 days)`,
+                purpose: 'parental_approval',
+                userId: userData.id
+            });
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Error sending parental recording consent request:', error);
+        throw error;
+    }
+};
+
 /**
  * Send parental approval confirmation notification
  * @param {Object} userData - User data that was approved
@@ -1109,69 +1010,26 @@ export const sendParentalApprovalRequest = async (userData, approvalToken) => {
  */
 export const sendParentalApprovalConfirmation = async (userData) => {
     try {
-        const emailSubject = 'TalkTime: Parental Approval Confirmed - Welcome to Our Community!';
-        const emailContent = `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-                <div style="text-align: center; margin-bottom: 30px;">
-                    <h1 style="color: #4f46e5; font-size: 28px; margin: 0;">TALKTIME</h1>
-                    <p style="color: #6b7280; margin: 5px 0;">Connecting Hearts, Building Futures</p>
-                </div>
-                
-                <div style="background-color: #10b981; color: white; padding: 20px; border-radius: 8px; text-align: center; margin-bottom: 30px;">
-                    <h2 style="margin: 0; font-size: 24px;">🎉 Approval Confirmed!</h2>
-                </div>
-                
-                <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
-                    Dear ${userData.full_name},
-                </p>
-                
-                <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
-                    Great news! Your parent/guardian has approved your participation in TalkTime${userData.volunteer_type === 'student_volunteer' ? ' as a student volunteer' : ''}. 
-                    You can now start scheduling conversations with Maasai students and making a real difference in their lives.
-                </p>
-                
-                <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
-                    <h3 style="color: #374151; margin-top: 0;">Next Steps:</h3>
-                    <ol style="color: #4b5563; line-height: 1.6;">
-                        <li>Log in to your TalkTime dashboard</li>
-                        <li>Browse available students and their stories</li>
-                        <li>Schedule your first conversation</li>
-                        <li>Start making a difference!</li>
-                    </ol>
-                </div>
-                
-                <div style="text-align: center; margin: 30px 0;">
-                    <a href="${process.env.BASE_URL || 'http://localhost:3000'}/volunteer/dashboard" 
-                       style="background-color: #4f46e5; color: white; padding: 12px 30px; 
-                              text-decoration: none; border-radius: 6px; font-weight: bold; 
-                              display: inline-block;">GO TO DASHBOARD</a>
-                </div>
-                
-                <p style="color: #6b7280; font-size: 14px; line-height: 1.5; margin-top: 30px;">
-                    If you have any questions or need help getting started, please contact us at support@talktime.org
-                </p>
-                
-                <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-                
-                <div style="text-align: center; color: #9ca3af; font-size: 12px;">
-                    <p>TalkTime by ADEA Foundation</p>
-                    <p>Empowering Maasai Youth Through English Conversation</p>
-                </div>
-            </div>
-        `;
-        
         // Send email to the user
         await sendEmail({
             to: userData.email,
-            subject: emailSubject,
-            html: emailContent
+            template: 'parental_approval_confirmed',
+            data: {
+                name: userData.full_name,
+                studentVolunteer: userData.volunteer_type === 'student_volunteer',
+                dashboardUrl: `${process.env.BASE_URL || 'http://localhost:3000'}/volunteer/dashboard`
+            },
+            locale: getUserLocale(userData),
+            userId: userData.id
         });
         
         // Send confirmation SMS to user if they have a phone number
         if (userData.phone) {
             await sendSMS({
                 to: userData.phone,
-                body: `TalkTime: Your parent approved your volunteer account${userData.volunteer_type === 'student_volunteer' ? ' as a student volunteer' : ''}! You can now start scheduling conversations. Login at ${process.env.BASE_URL || 'http://localhost:3000'}`
+                body: `TalkTime: Your parent approved your volunteer account${userData.volunteer_type === 'student_volunteer' ? ' as a student volunteer' : ''}! You can now start scheduling conversations. Login at ${process.env.BASE_URL || 'http://localhost:3000'}`,
+                purpose: 'parental_approval',
+                userId: userData.id
             });
         }
         
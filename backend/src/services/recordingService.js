@@ -0,0 +1,494 @@
+/**
+ * Call Recording Service
+ * Opt-in, consented server-side recordings of calls, stored against the meeting.
+ *
+ * Workflow: a participant requests a recording → the other participant is asked over the socket →
+ * once every consent row is granted the requester's browser starts a MediaRecorder and uploads
+ * chunks in order → the recording is closed on stop (or when anyone withdraws consent).
+ * Under-18 volunteers additionally need standing parental consent, given through an emailed link.
+ * Every request/consent/start/stop/delete is written to activity_log.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pool from '../config/database.js';
+import { getRecordingSettings } from './configService.js';
+import { logActivity } from './activityLogService.js';
+import ParentalApprovalService from '../utils/parentalApproval.js';
+import { sendParentalRecordingConsentRequest } from './notificationService.js';
+import { serviceError } from '../utils/serviceError.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Recordings directory — relative to backend root, next to uploads/students
+export const RECORDINGS_DIR = path.join(__dirname, '../../uploads/recordings');
+
+fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+
+const ACTIVE_STATUSES = ['pending_consent', 'consented', 'recording'];
+const ALLOWED_MIME_TYPES = /^(video|audio)\/webm(;.*)?$/;
+const PARENT_REQUEST_COOLDOWN_HOURS = 24;
+const ABANDONED_AFTER_HOURS = 6; // Longest a browser may keep a recording open
+
+const getRecordingPath = (recording) => path.join(RECORDINGS_DIR, path.basename(recording.storage_path));
+
+/**
+ * Find the meeting behind a call room, if the user takes part in it
+ */
+const findMeetingForParticipant = async (roomId, userId) => {
+    const result = await pool.query(`
+        SELECT m.id, m.room_id, m.volunteer_id, m.student_id,
+               v.is_under_18 as volunteer_is_under_18,
+               v.parent_recording_consent_at as volunteer_parent_recording_consent_at,
+               v.parent_recording_consent_sent_at as volunteer_parent_recording_consent_sent_at,
+               v.parent_email as volunteer_parent_email,
+               v.parent_phone as volunteer_parent_phone
+        FROM meetings m
+        JOIN users v ON m.volunteer_id = v.id
+        WHERE m.room_id = $1 AND (m.volunteer_id = $2 OR m.student_id = $2)
+        ORDER BY m.scheduled_time DESC
+        LIMIT 1
+    `, [String(roomId), userId]);
+    return result.rows[0] || null;
+};
+
+/**
+ * Load a recording the user takes part in (404 otherwise)
+ */
+const getParticipantRecording = async (recordingId, userId) => {
+    const result = await pool.query(`
+        SELECT r.*, m.volunteer_id, m.student_id
+        FROM call_recordings r
+        JOIN meetings m ON r.meeting_id = m.id
+        WHERE r.id = $1 AND (m.volunteer_id = $2 OR m.student_id = $2)
+    `, [recordingId, userId]);
+
+    if (result.rows.length === 0) {
+        throw serviceError('Recording not found', 404, 'NOT_FOUND');
+    }
+    return result.rows[0];
+};
+
+const getConsents = async (recordingId) => {
+    const result = await pool.query(`
+        SELECT c.user_id, c.consent_type, c.granted, c.responded_at, u.full_name, u.role
+        FROM call_recording_consents c
+        LEFT JOIN users u ON c.user_id = u.id
+        WHERE c.recording_id = $1
+        ORDER BY c.id
+    `, [recordingId]);
+    return result.rows;
+};
+
+/**
+ * Ask the parent of an under-18 volunteer for standing consent, at most once a day
+ */
+const requestParentConsent = async (meeting) => {
+    const lastSent = meeting.volunteer_parent_recording_consent_sent_at;
+    if (lastSent && Date.now() - new Date(lastSent).getTime() < PARENT_REQUEST_COOLDOWN_HOURS * 3600000) {
+        return false;
+    }
+    if (!meeting.volunteer_parent_email && !meeting.volunteer_parent_phone) {
+        return false;
+    }
+
+    const { token, user } = await ParentalApprovalService.createRecordingConsentRequest(meeting.volunteer_id);
+    await sendParentalRecordingConsentRequest(user, token);
+    return true;
+};
+
+/**
+ * Request a recording of the call in a room
+ * @param {Object} params
+ * @param {string} params.roomId
+ * @param {Object} params.user - req.user (id, role)
+ * @param {string|null} [params.ipAddress]
+ * @returns {Promise<{recording: Object, consents: Object[], created: boolean}>}
+ */
+export const requestRecording = async ({ roomId, user, ipAddress = null }) => {
+    const { enabled } = await getRecordingSettings();
+    if (!enabled) {
+        throw serviceError('Call recording is disabled', 403, 'RECORDING_DISABLED');
+    }
+
+    const meeting = await findMeetingForParticipant(roomId, user.id);
+    if (!meeting) {
+        throw serviceError('You are not a participant in this call', 403, 'NOT_PARTICIPANT');
+    }
+
+    // One active recording per meeting; a second request just returns it
+    const existing = await pool.query(
+        'SELECT * FROM call_recordings WHERE meeting_id = $1 AND status = ANY($2) ORDER BY id DESC LIMIT 1',
+        [meeting.id, ACTIVE_STATUSES]
+    );
+    if (existing.rows.length > 0) {
+        return { recording: existing.rows[0], consents: await getConsents(existing.rows[0].id), created: false };
+    }
+
+    if (!ParentalApprovalService.hasRecordingConsent({
+        is_under_18: meeting.volunteer_is_under_18,
+        parent_recording_consent_at: meeting.volunteer_parent_recording_consent_at
+    })) {
+        const parentNotified = await requestParentConsent(meeting);
+        throw serviceError(
+            'The volunteer is under 18 and a parent has not yet allowed sessions to be recorded',
+            409,
+            'PARENT_CONSENT_REQUIRED',
+            { parentNotified }
+        );
+    }
+
+    const client = await pool.connect();
+    let recording;
+    try {
+        await client.query('BEGIN');
+
+        const recordingResult = await client.query(`
+            INSERT INTO call_recordings (meeting_id, room_id, requested_by, status)
+            VALUES ($1, $2, $3, 'pending_consent')
+            RETURNING *
+        `, [meeting.id, meeting.room_id, user.id]);
+        recording = recordingResult.rows[0];
+
+        // The requester consents by asking; the other participant still has to answer
+        for (const participantId of [meeting.volunteer_id, meeting.student_id]) {
+            const isRequester = participantId === user.id;
+            await client.query(`
+                INSERT INTO call_recording_consents (recording_id, user_id, consent_type, granted, responded_at, ip_address)
+                VALUES ($1, $2, 'participant', $3, $4, $5)
+            `, [recording.id, participantId, isRequester ? true : null, isRequester ? new Date() : null, isRequester ? ipAddress : null]);
+        }
+
+        if (meeting.volunteer_is_under_18) {
+            await client.query(`
+                INSERT INTO call_recording_consents (recording_id, user_id, consent_type, granted, responded_at)
+                VALUES ($1, $2, 'parent', true, $3)
+            `, [recording.id, meeting.volunteer_id, meeting.volunteer_parent_recording_consent_at]);
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    await logActivity({
+        userId: user.id,
+        userRole: user.role,
+        action: 'recording_requested',
+        entityType: 'call_recording',
+        entityId: recording.id,
+        details: { meetingId: meeting.id, roomId: meeting.room_id },
+        ipAddress
+    });
+
+    return { recording, consents: await getConsents(recording.id), created: true };
+};
+
+/**
+ * Record a participant's answer to a recording request. Declining before the recording starts
+ * cancels it; withdrawing consent while recording stops it.
+ * @returns {Promise<{recording: Object, consents: Object[]}>}
+ */
+export const respondToConsent = async ({ recordingId, user, granted, ipAddress = null }) => {
+    const recording = await getParticipantRecording(recordingId, user.id);
+    if (!ACTIVE_STATUSES.includes(recording.status)) {
+        throw serviceError('This recording is no longer active', 409, 'NOT_ACTIVE');
+    }
+
+    await pool.query(`
+        UPDATE call_recording_consents
+        SET granted = $1, responded_at = CURRENT_TIMESTAMP, ip_address = $2
+        WHERE recording_id = $3 AND user_id = $4 AND consent_type = 'participant'
+    `, [!!granted, ipAddress, recordingId, user.id]);
+
+    await logActivity({
+        userId: user.id,
+        userRole: user.role,
+        action: granted ? 'recording_consent_granted' : 'recording_consent_declined',
+        entityType: 'call_recording',
+        entityId: recording.id,
+        details: { meetingId: recording.meeting_id, status: recording.status },
+        ipAddress
+    });
+
+    if (!granted) {
+        if (recording.status === 'recording') {
+            return stopRecording({ recordingId, user, reason: 'consent_withdrawn', ipAddress });
+        }
+        const declined = await pool.query(`
+            UPDATE call_recordings SET status = 'declined', updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 RETURNING *
+        `, [recordingId]);
+        return { recording: declined.rows[0], consents: await getConsents(recordingId) };
+    }
+
+    // Move to 'consented' once nobody is still pending or has declined
+    const updated = await pool.query(`
+        UPDATE call_recordings SET status = 'consented', updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'pending_consent'
+        AND NOT EXISTS (
+            SELECT 1 FROM call_recording_consents
+            WHERE recording_id = $1 AND granted IS NOT TRUE
+        )
+        RETURNING *
+    `, [recordingId]);
+
+    return {
+        recording: updated.rows[0] || recording,
+        consents: await getConsents(recordingId)
+    };
+};
+
+/**
+ * Open the recording file; only the requester's browser uploads media
+ */
+export const startRecording = async ({ recordingId, user, mimeType, ipAddress = null }) => {
+    const recording = await getParticipantRecording(recordingId, user.id);
+    if (recording.requested_by !== user.id) {
+        throw serviceError('Only the participant who requested the recording can upload it', 403, 'NOT_REQUESTER');
+    }
+    if (recording.status !== 'consented') {
+        throw serviceError('Recording has not been consented to by every participant', 409, 'CONSENT_PENDING');
+    }
+
+    const type = ALLOWED_MIME_TYPES.test(mimeType || '') ? mimeType : 'video/webm';
+    const { retentionDays } = await getRecordingSettings();
+
+    const result = await pool.query(`
+        UPDATE call_recordings
+        SET status = 'recording',
+            started_at = CURRENT_TIMESTAMP,
+            mime_type = $2,
+            storage_path = $3,
+            retention_until = CURRENT_TIMESTAMP + make_interval(days => $4),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'consented'
+        RETURNING *
+    `, [recordingId, type, `recording-${recordingId}.webm`, Number(retentionDays) || 90]);
+
+    if (result.rows.length === 0) {
+        throw serviceError('Recording was already started', 409, 'ALREADY_STARTED');
+    }
+
+    await logActivity({
+        userId: user.id,
+        userRole: user.role,
+        action: 'recording_started',
+        entityType: 'call_recording',
+        entityId: recording.id,
+        details: { meetingId: recording.meeting_id, mimeType: type, retentionDays },
+        ipAddress
+    });
+
+    return result.rows[0];
+};
+
+/**
+ * Append one MediaRecorder chunk. Chunks must arrive in order; a repeated index (client retry
+ * after a lost response) is acknowledged without being written twice.
+ * @returns {Promise<{chunkCount: number, sizeBytes: number, duplicate: boolean}>}
+ */
+export const appendChunk = async ({ recordingId, user, index, data }) => {
+    const recording = await getParticipantRecording(recordingId, user.id);
+    if (recording.requested_by !== user.id) {
+        throw serviceError('Only the participant who requested the recording can upload it', 403, 'NOT_REQUESTER');
+    }
+    if (recording.status !== 'recording') {
+        throw serviceError('Recording is not in progress', 409, 'NOT_RECORDING');
+    }
+    if (!Buffer.isBuffer(data) || data.length === 0) {
+        throw serviceError('Empty chunk', 400, 'EMPTY_CHUNK');
+    }
+    if (!Number.isInteger(index) || index < 0) {
+        throw serviceError('Invalid chunk index', 400, 'INVALID_INDEX');
+    }
+    if (index < recording.chunk_count) {
+        return { chunkCount: recording.chunk_count, sizeBytes: Number(recording.size_bytes), duplicate: true };
+    }
+    if (index > recording.chunk_count) {
+        throw serviceError(`Expected chunk ${recording.chunk_count}, got ${index}`, 409, 'OUT_OF_ORDER');
+    }
+
+    // Claim the index first so two concurrent uploads can't both append it
+    const claim = await pool.query(`
+        UPDATE call_recordings
+        SET chunk_count = chunk_count + 1, size_bytes = size_bytes + $3, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND chunk_count = $2 AND status = 'recording'
+        RETURNING chunk_count, size_bytes
+    `, [recordingId, index, data.length]);
+
+    if (claim.rows.length === 0) {
+        throw serviceError('Chunk was uploaded concurrently', 409, 'OUT_OF_ORDER');
+    }
+
+    try {
+        await fs.promises.appendFile(getRecordingPath(recording), data);
+    } catch (error) {
+        await pool.query(
+            'UPDATE call_recordings SET chunk_count = $2, size_bytes = size_bytes - $3 WHERE id = $1',
+            [recordingId, index, data.length]
+        );
+        throw error;
+    }
+
+    return { chunkCount: claim.rows[0].chunk_count, sizeBytes: Number(claim.rows[0].size_bytes), duplicate: false };
+};
+
+/**
+ * Close a recording. Either participant may stop it.
+ * @param {string} [params.reason] - 'stopped' | 'call_ended' | 'consent_withdrawn'
+ */
+export const stopRecording = async ({ recordingId, user, reason = 'stopped', ipAddress = null }) => {
+    const recording = await getParticipantRecording(recordingId, user.id);
+
+    let result;
+    if (recording.status === 'recording') {
+        result = await pool.query(`
+            UPDATE call_recordings
+            SET status = 'completed', stopped_at = CURRENT_TIMESTAMP, stop_reason = $2, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'recording'
+            RETURNING *
+        `, [recordingId, reason]);
+    } else if (recording.status === 'pending_consent' || recording.status === 'consented') {
+        // Stopped before any media was captured
+        result = await pool.query(`
+            UPDATE call_recordings
+            SET status = 'declined', stopped_at = CURRENT_TIMESTAMP, stop_reason = $2, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status IN ('pending_consent', 'consented')
+            RETURNING *
+        `, [recordingId, reason]);
+    }
+
+    if (!result || result.rows.length === 0) {
+        return { recording, consents: await getConsents(recordingId) };
+    }
+
+    const stopped = result.rows[0];
+    await logActivity({
+        userId: user.id,
+        userRole: user.role,
+        action: recording.status === 'recording' ? 'recording_stopped' : 'recording_cancelled',
+        entityType: 'call_recording',
+        entityId: recording.id,
+        details: {
+            meetingId: recording.meeting_id,
+            reason,
+            chunkCount: stopped.chunk_count,
+            sizeBytes: Number(stopped.size_bytes),
+            durationSeconds: stopped.started_at
+                ? Math.round((new Date(stopped.stopped_at) - new Date(stopped.started_at)) / 1000)
+                : 0
+        },
+        ipAddress
+    });
+
+    return { recording: stopped, consents: await getConsents(recordingId) };
+};
+
+/**
+ * Delete a recording's media and mark it deleted (retention expiry or admin action)
+ * @param {Object} recording - call_recordings row
+ * @param {Object} [actor] - { userId, userRole, ipAddress, reason }
+ */
+export const deleteRecordingMedia = async (recording, { userId = null, userRole = 'system', ipAddress = null, reason = 'retention_expired' } = {}) => {
+    if (recording.storage_path) {
+        try {
+            await fs.promises.unlink(getRecordingPath(recording));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    await pool.query(`
+        UPDATE call_recordings
+        SET status = 'deleted', deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+    `, [recording.id]);
+
+    await logActivity({
+        userId,
+        userRole,
+        action: 'recording_deleted',
+        entityType: 'call_recording',
+        entityId: recording.id,
+        details: { meetingId: recording.meeting_id, reason, sizeBytes: Number(recording.size_bytes) },
+        ipAddress
+    });
+};
+
+/**
+ * Scheduled housekeeping: close recordings whose browser went away mid-call, and delete
+ * recordings past their retention date
+ * @returns {Promise<{abandoned: number, deleted: number}>}
+ */
+export const purgeExpiredRecordings = async () => {
+    const abandoned = await pool.query(`
+        UPDATE call_recordings
+        SET status = 'completed', stopped_at = updated_at, stop_reason = 'abandoned', updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'recording' AND updated_at < CURRENT_TIMESTAMP - make_interval(hours => $1)
+        RETURNING id, meeting_id, chunk_count
+    `, [ABANDONED_AFTER_HOURS]);
+
+    for (const recording of abandoned.rows) {
+        await logActivity({
+            userRole: 'system',
+            action: 'recording_stopped',
+            entityType: 'call_recording',
+            entityId: recording.id,
+            details: { meetingId: recording.meeting_id, reason: 'abandoned', chunkCount: recording.chunk_count }
+        });
+    }
+
+    const expired = await pool.query(`
+        SELECT * FROM call_recordings
+        WHERE deleted_at IS NULL AND retention_until IS NOT NULL AND retention_until < CURRENT_TIMESTAMP
+    `);
+
+    let deleted = 0;
+    for (const recording of expired.rows) {
+        try {
+            await deleteRecordingMedia(recording);
+            deleted++;
+        } catch (error) {
+            console.error(`❌ Failed to delete expired recording ${recording.id}:`, error.message);
+        }
+    }
+
+    return { abandoned: abandoned.rows.length, deleted };
+};
+
+/**
+ * Resolve the file for playback (admin only)
+ * @returns {Promise<{recording: Object, filePath: string}>}
+ */
+export const getRecordingFile = async (recordingId) => {
+    const result = await pool.query('SELECT * FROM call_recordings WHERE id = $1', [recordingId]);
+    const recording = result.rows[0];
+
+    if (!recording) {
+        throw serviceError('Recording not found', 404, 'NOT_FOUND');
+    }
+    if (recording.deleted_at || !recording.storage_path || recording.chunk_count === 0) {
+        throw serviceError('Recording media is not available', 410, 'MEDIA_UNAVAILABLE');
+    }
+    return { recording, filePath: getRecordingPath(recording) };
+};
+
+export { getConsents };
+
+export default {
+    requestRecording,
+    respondToConsent,
+    startRecording,
+    appendChunk,
+    stopRecording,
+    deleteRecordingMedia,
+    purgeExpiredRecordings,
+    getRecordingFile,
+    getConsents
+};
@@ -0,0 +1,140 @@
+/**
+ * Refresh Token Service
+ * Records every refresh token we issue and rotates it on each /refresh.
+ *
+ * A login starts a token "family". Refreshing marks the presented token as used and issues its
+ * successor in the same family, so each refresh token works exactly once. If a used token is
+ * presented again, someone is holding a copy: the whole family is revoked and both the thief and
+ * the real user have to log in again.
+ */
+
+import jwt from 'jsonwebtoken';
+import pool from '../config/database.js';
+import { generateTokens, verifyToken } from '../utils/jwt.js';
+import { revokeTokenFamily } from './tokenRevocationService.js';
+import { logActivity, getRequestIp } from './activityLogService.js';
+import { serviceError } from '../utils/serviceError.js';
+
+// Two tabs refreshing at the same moment both present the same token; the slower one is told to
+// pick up the new tokens instead of being treated as a stolen-token replay
+const CONCURRENT_REFRESH_GRACE_SECONDS = 10;
+
+const storeRefreshToken = async (db, refreshToken, userId, { ipAddress, userAgent } = {}) => {
+    const { jti, fid, exp } = jwt.decode(refreshToken);
+    await db.query(`
+        INSERT INTO refresh_tokens (jti, family_id, user_id, expires_at, ip_address, user_agent)
+        VALUES ($1, $2, $3, to_timestamp($4), $5, $6)
+    `, [jti, fid, userId, exp, ipAddress || null, userAgent ? String(userAgent).slice(0, 255) : null]);
+    return jti;
+};
+
+/**
+ * Request metadata stored alongside a refresh token
+ * @param {Object} req - Express request
+ */
+export const getTokenRequestMeta = (req) => ({
+    ipAddress: getRequestIp(req),
+    userAgent: req.headers['user-agent'] || null
+});
+
+/**
+ * Generate tokens for a new login session and record its refresh token
+ * @param {Object} user - User row (or token user object)
+ * @param {Object} [meta] - { ipAddress, userAgent }
+ * @returns {Promise<Object>} Same shape as generateTokens
+ */
+export const issueTokens = async (user, meta = {}) => {
+    const tokens = generateTokens(user);
+    await storeRefreshToken(pool, tokens.refreshToken, user.id, meta);
+    return tokens;
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh pair in the same family
+ * @param {string} refreshToken
+ * @param {Object} [meta] - { ipAddress, userAgent }
+ * @returns {Promise<{tokens: Object, user: Object}>}
+ */
+export const rotateRefreshToken = async (refreshToken, meta = {}) => {
+    let decoded;
+    try {
+        decoded = verifyToken(refreshToken);
+    } catch {
+        throw serviceError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+    }
+    if (decoded.type !== 'refresh' || !decoded.jti) {
+        throw serviceError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+    }
+
+    const client = await pool.connect();
+    let reusedFamily = null;
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query(`
+            SELECT id, family_id, user_id, used_at, revoked_at,
+                   used_at > NOW() - make_interval(secs => $2) as recently_used
+            FROM refresh_tokens
+            WHERE jti = $1
+            FOR UPDATE
+        `, [decoded.jti, CONCURRENT_REFRESH_GRACE_SECONDS]);
+        const stored = result.rows[0];
+
+        if (!stored) {
+            throw serviceError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+        }
+        if (stored.revoked_at) {
+            throw serviceError('This session has ended. Please log in again.', 401, 'REFRESH_TOKEN_REVOKED');
+        }
+        if (stored.used_at) {
+            if (stored.recently_used) {
+                throw serviceError('Token was already refreshed', 401, 'REFRESH_TOKEN_ROTATED');
+            }
+            reusedFamily = stored;
+            throw serviceError('This session has ended. Please log in again.', 401, 'REFRESH_TOKEN_REUSED');
+        }
+
+        const userResult = await client.query('SELECT * FROM users WHERE id = $1', [stored.user_id]);
+        const user = userResult.rows[0];
+        if (!user) {
+            throw serviceError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+        }
+
+        const tokens = generateTokens(user, { familyId: stored.family_id });
+        const nextJti = await storeRefreshToken(client, tokens.refreshToken, user.id, meta);
+        await client.query(
+            'UPDATE refresh_tokens SET used_at = NOW(), replaced_by = $2 WHERE id = $1',
+            [stored.id, nextJti]
+        );
+
+        await client.query('COMMIT');
+        return { tokens, user };
+    } catch (error) {
+        await client.query('ROLLBACK');
+
+        if (reusedFamily) {
+            await revokeTokenFamily(reusedFamily.family_id, 'reuse_detected');
+            console.warn('🚨 Refresh token reuse detected, session revoked:', {
+                userId: reusedFamily.user_id,
+                familyId: reusedFamily.family_id
+            });
+            await logActivity({
+                userId: reusedFamily.user_id,
+                action: 'refresh_token_reuse_detected',
+                entityType: 'user',
+                entityId: reusedFamily.user_id,
+                details: { familyId: reusedFamily.family_id },
+                ipAddress: meta.ipAddress
+            });
+        }
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+export default {
+    getTokenRequestMeta,
+    issueTokens,
+    rotateRefreshToken
+};
@@ -0,0 +1,411 @@
+/**
+ * Safeguarding Service
+ * "Report a concern" incidents raised by a student or volunteer about the other participant
+ * of a session, and the admin case workflow around them.
+ *
+ * A report is tied to the meeting and both participants, and keeps a copy of their chat messages
+ * as evidence. Admins are alerted in real time, can suspend the reported volunteer's ability to
+ * schedule, and work the case through open → investigating/escalated → resolved/dismissed.
+ * Every report, status change and suspension is written to activity_log.
+ */
+
+import pool from '../config/database.js';
+import { getSafeguardingSettings } from './configService.js';
+import { logActivity } from './activityLogService.js';
+import { sendNotification } from './notificationService.js';
+import { serviceError } from '../utils/serviceError.js';
+
+export const INCIDENT_CATEGORIES = [
+    'inappropriate_language',
+    'inappropriate_content',
+    'harassment',
+    'personal_information',
+    'contact_outside_platform',
+    'other'
+];
+
+export const INCIDENT_STATUSES = ['open', 'investigating', 'escalated', 'resolved', 'dismissed'];
+
+const CLOSED_STATUSES = ['resolved', 'dismissed'];
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_EVIDENCE_MESSAGES = 50; // Attached automatically when the reporter doesn't pick any
+
+const CATEGORY_LABELS = {
+    inappropriate_language: 'Inappropriate language',
+    inappropriate_content: 'Inappropriate content',
+    harassment: 'Harassment or bullying',
+    personal_information: 'Asked for personal information',
+    contact_outside_platform: 'Contact outside TalkTime',
+    other: 'Other concern'
+};
+
+/**
+ * Find the meeting a report is about, if the user took part in it
+ */
+const findParticipantMeeting = async ({ meetingId, roomId, userId }) => {
+    const result = await pool.query(`
+        SELECT m.id, m.room_id, m.volunteer_id, m.student_id, m.scheduled_time,
+               v.full_name as volunteer_name, s.full_name as student_name
+        FROM meetings m
+        JOIN users v ON m.volunteer_id = v.id
+        JOIN users s ON m.student_id = s.id
+        WHERE (m.volunteer_id = $3 OR m.student_id = $3)
+        AND (($1::int IS NOT NULL AND m.id = $1) OR ($1::int IS NULL AND m.room_id = $2))
+        ORDER BY m.scheduled_time DESC
+        LIMIT 1
+    `, [meetingId || null, roomId ? String(roomId) : null, userId]);
+    return result.rows[0] || null;
+};
+
+/**
+ * Copy the chat messages between the two participants onto the incident
+ * @param {Object} client - pg client inside the report transaction
+ * @param {number[]|null} messageIds - Messages picked by the reporter (others are ignored)
+ */
+const attachMessageEvidence = async (client, incidentId, userA, userB, messageIds) => {
+    const picked = Array.isArray(messageIds)
+        ? messageIds.map(id => parseInt(id, 10)).filter(Number.isInteger)
+        : [];
+
+    const result = await client.query(`
+        INSERT INTO safeguarding_incident_messages (incident_id, message_id, sender_id, recipient_id, content, sent_at)
+        SELECT $1, id, sender_id, recipient_id, content, created_at
+        FROM (
+            SELECT id, sender_id, recipient_id, content, created_at
+            FROM messages
+            WHERE ((sender_id = $2 AND recipient_id = $3) OR (sender_id = $3 AND recipient_id = $2))
+            AND (cardinality($4::int[]) = 0 OR id = ANY($4::int[]))
+            ORDER BY created_at DESC
+            LIMIT $5
+        ) evidence
+        ON CONFLICT (incident_id, message_id) DO NOTHING
+    `, [incidentId, userA, userB, picked, picked.length > 0 ? picked.length : MAX_EVIDENCE_MESSAGES]);
+
+    return result.rowCount;
+};
+
+/**
+ * Whether a volunteer is currently barred from scheduling by a safeguarding suspension
+ * @param {number} userId
+ * @returns {Promise<{suspended: boolean, since?: Date, reason?: string}>}
+ */
+export const getSchedulingSuspension = async (userId) => {
+    const result = await pool.query(
+        'SELECT scheduling_suspended_at, scheduling_suspension_reason FROM users WHERE id = $1',
+        [userId]
+    );
+    const user = result.rows[0];
+    if (!user || !user.scheduling_suspended_at) {
+        return { suspended: false };
+    }
+    return {
+        suspended: true,
+        since: user.scheduling_suspended_at,
+        reason: user.scheduling_suspension_reason
+    };
+};
+
+/**
+ * Alert every admin; a failed alert is logged but never loses the report
+ */
+const notifyAdmins = async (incident, meeting, reporterName) => {
+    const admins = await pool.query(`SELECT id FROM users WHERE role = 'admin'`);
+    const reportedName = incident.reporter_role === 'student' ? meeting.volunteer_name : meeting.student_name;
+    const reportedRole = incident.reporter_role === 'student' ? 'volunteer' : 'student';
+
+    for (const admin of admins.rows) {
+        try {
+            await sendNotification({
+                recipient_id: admin.id,
+                recipient_role: 'admin',
+                title: '🛡️ Safeguarding concern reported',
+                message: `${reporterName} (${incident.reporter_role}) reported a concern about ${reportedRole} ${reportedName}: ${CATEGORY_LABELS[incident.category]}${incident.during_call ? ' during a call' : ''}.`,
+                type: 'safeguarding_incident',
+                priority: 'urgent',
+                metadata: {
+                    incident_id: incident.id,
+                    meeting_id: incident.meeting_id,
+                    category: incident.category,
+                    reporter_role: incident.reporter_role
+                }
+            }, ['in-app', 'email', 'push'], {
+                persistent: true,
+                require_interaction: true,
+                action_url: `/admin/safeguarding?incident=${incident.id}`,
+                tag: `safeguarding-incident-${incident.id}`
+            });
+        } catch (error) {
+            console.error(`❌ Failed to alert admin ${admin.id} about safeguarding incident ${incident.id}:`, error.message);
+        }
+    }
+};
+
+/**
+ * Suspend or reinstate a volunteer's ability to schedule meetings
+ * @param {Object} params
+ * @param {number} params.userId - The volunteer
+ * @param {boolean} params.suspended
+ * @param {string|null} [params.reason]
+ * @param {number|null} [params.incidentId] - Case the decision belongs to (for the audit trail)
+ * @param {Object} params.actor - { userId, userRole, ipAddress }
+ */
+export const setSchedulingSuspension = async ({ userId, suspended, reason = null, incidentId = null, actor }) => {
+    const result = await pool.query(`
+        UPDATE users
+        SET scheduling_suspended_at = CASE WHEN $2 THEN COALESCE(scheduling_suspended_at, NOW()) ELSE NULL END,
+            scheduling_suspension_reason = CASE WHEN $2 THEN $3 ELSE NULL END,
+            updated_at = NOW()
+        WHERE id = $1 AND role = 'volunteer'
+        RETURNING id, full_name, scheduling_suspended_at, scheduling_suspension_reason
+    `, [userId, suspended, reason]);
+
+    if (result.rows.length === 0) {
+        throw serviceError('Only volunteers can have scheduling suspended', 400, 'NOT_VOLUNTEER');
+    }
+
+    await logActivity({
+        userId: actor.userId,
+        userRole: actor.userRole,
+        action: suspended ? 'volunteer_scheduling_suspended' : 'volunteer_scheduling_reinstated',
+        entityType: incidentId ? 'safeguarding_incident' : 'user',
+        entityId: incidentId || userId,
+        details: { volunteerId: userId, reason },
+        ipAddress: actor.ipAddress
+    });
+
+    return result.rows[0];
+};
+
+/**
+ * Report a concern about the other participant of a meeting
+ * @param {Object} params
+ * @param {Object} params.user - req.user of the reporter (id, role)
+ * @param {number} [params.meetingId] - From the dashboards
+ * @param {string} [params.roomId] - From inside a call
+ * @param {string} params.category - One of INCIDENT_CATEGORIES
+ * @param {string} params.description
+ * @param {number[]} [params.messageIds] - Chat messages the reporter picked as evidence
+ * @param {boolean} [params.duringCall]
+ * @param {string|null} [params.ipAddress]
+ * @returns {Promise<{incident: Object, evidenceCount: number, schedulingSuspended: boolean}>}
+ */
+export const createIncident = async ({
+    user,
+    meetingId,
+    roomId,
+    category,
+    description,
+    messageIds = null,
+    duringCall = false,
+    ipAddress = null
+}) => {
+    if (!INCIDENT_CATEGORIES.includes(category)) {
+        throw serviceError('Please choose what the concern is about', 400, 'INVALID_CATEGORY');
+    }
+    const text = typeof description === 'string' ? description.trim() : '';
+    if (!text) {
+        throw serviceError('Please describe what happened', 400, 'DESCRIPTION_REQUIRED');
+    }
+    if (text.length > MAX_DESCRIPTION_LENGTH) {
+        throw serviceError(`Description is too long (max ${MAX_DESCRIPTION_LENGTH} characters)`, 400, 'DESCRIPTION_TOO_LONG');
+    }
+    if (!meetingId && !roomId) {
+        throw serviceError('meetingId or roomId is required', 400, 'MEETING_REQUIRED');
+    }
+
+    const meeting = await findParticipantMeeting({ meetingId, roomId, userId: user.id });
+    if (!meeting) {
+        throw serviceError('You can only report a concern about a session you took part in', 403, 'NOT_PARTICIPANT');
+    }
+
+    const reportedUserId = meeting.volunteer_id === user.id ? meeting.student_id : meeting.volunteer_id;
+
+    const client = await pool.connect();
+    let incident;
+    let evidenceCount;
+    try {
+        await client.query('BEGIN');
+
+        const incidentResult = await client.query(`
+            INSERT INTO safeguarding_incidents (
+                meeting_id, room_id, reported_by, reporter_role, reported_user_id, category, description, during_call
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *
+        `, [meeting.id, meeting.room_id, user.id, user.role, reportedUserId, category, text, !!duringCall]);
+        incident = incidentResult.rows[0];
+
+        evidenceCount = await attachMessageEvidence(client, incident.id, user.id, reportedUserId, messageIds);
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    await logActivity({
+        userId: user.id,
+        userRole: user.role,
+        action: 'safeguarding_incident_reported',
+        entityType: 'safeguarding_incident',
+        entityId: incident.id,
+        details: { meetingId: meeting.id, category, duringCall: !!duringCall, evidenceCount },
+        ipAddress
+    });
+
+    // Optionally take the volunteer off the schedule straight away, pending review
+    let schedulingSuspended = false;
+    if (user.role === 'student') {
+        const { autoSuspendOnStudentReport } = await getSafeguardingSettings();
+        if (autoSuspendOnStudentReport) {
+            await setSchedulingSuspension({
+                userId: reportedUserId,
+                suspended: true,
+                reason: `Safeguarding incident #${incident.id} (pending review)`,
+                incidentId: incident.id,
+                actor: { userId: null, userRole: 'system', ipAddress: null }
+            });
+            schedulingSuspended = true;
+        }
+    }
+
+    const reporterName = user.id === meeting.volunteer_id ? meeting.volunteer_name : meeting.student_name;
+    await notifyAdmins(incident, meeting, reporterName);
+
+    return { incident, evidenceCount, schedulingSuspended };
+};
+
+/**
+ * Move a case along its workflow, (re)assign it or record the resolution
+ * @param {Object} params
+ * @param {number} params.incidentId
+ * @param {Object} params.admin - req.user
+ * @param {string} [params.status]
+ * @param {number|null} [params.assignedTo] - Admin user id, or null to unassign
+ * @param {string} [params.resolution] - Required when closing the case
+ * @param {string|null} [params.ipAddress]
+ */
+export const updateIncident = async ({ incidentId, admin, status, assignedTo, resolution, ipAddress = null }) => {
+    const existing = await pool.query('SELECT * FROM safeguarding_incidents WHERE id = $1', [incidentId]);
+    const incident = existing.rows[0];
+    if (!incident) {
+        throw serviceError('Incident not found', 404, 'NOT_FOUND');
+    }
+
+    if (status !== undefined && !INCIDENT_STATUSES.includes(status)) {
+        throw serviceError(`status must be one of: ${INCIDENT_STATUSES.join(', ')}`, 400, 'INVALID_STATUS');
+    }
+
+    const nextStatus = status ?? incident.status;
+    const nextResolution = resolution !== undefined ? (resolution || '').trim() || null : incident.resolution;
+    const closing = CLOSED_STATUSES.includes(nextStatus) && !CLOSED_STATUSES.includes(incident.status);
+    if (CLOSED_STATUSES.includes(nextStatus) && !nextResolution) {
+        throw serviceError('A resolution is required to close a case', 400, 'RESOLUTION_REQUIRED');
+    }
+
+    if (assignedTo !== undefined && assignedTo !== null) {
+        const assignee = await pool.query(`SELECT id FROM users WHERE id = $1 AND role = 'admin'`, [assignedTo]);
+        if (assignee.rows.length === 0) {
+            throw serviceError('Cases can only be assigned to admins', 400, 'INVALID_ASSIGNEE');
+        }
+    }
+
+    const reopening = !CLOSED_STATUSES.includes(nextStatus) && CLOSED_STATUSES.includes(incident.status);
+    const result = await pool.query(`
+        UPDATE safeguarding_incidents
+        SET status = $2,
+            assigned_to = $3,
+            resolution = $4,
+            resolved_by = CASE WHEN $5 THEN $6 WHEN $7 THEN NULL ELSE resolved_by END,
+            resolved_at = CASE WHEN $5 THEN NOW() WHEN $7 THEN NULL ELSE resolved_at END,
+            updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+    `, [
+        incidentId,
+        nextStatus,
+        assignedTo !== undefined ? assignedTo : incident.assigned_to,
+        nextResolution,
+        closing,
+        admin.id,
+        reopening
+    ]);
+    const updated = result.rows[0];
+
+    const changes = {};
+    if (updated.status !== incident.status) changes.status = { from: incident.status, to: updated.status };
+    if (updated.assigned_to !== incident.assigned_to) changes.assignedTo = { from: incident.assigned_to, to: updated.assigned_to };
+    if (updated.resolution !== incident.resolution) changes.resolution = updated.resolution;
+
+    if (Object.keys(changes).length > 0) {
+        await logActivity({
+            userId: admin.id,
+            userRole: admin.role,
+            action: 'safeguarding_incident_updated',
+            entityType: 'safeguarding_incident',
+            entityId: updated.id,
+            details: changes,
+            ipAddress
+        });
+    }
+
+    return updated;
+};
+
+/**
+ * Add a case note
+ */
+export const addIncidentNote = async ({ incidentId, admin, note }) => {
+    const text = typeof note === 'string' ? note.trim() : '';
+    if (!text) {
+        throw serviceError('Note cannot be empty', 400, 'NOTE_REQUIRED');
+    }
+
+    const result = await pool.query(`
+        INSERT INTO safeguarding_incident_notes (incident_id, author_id, note)
+        SELECT id, $2, $3 FROM safeguarding_incidents WHERE id = $1
+        RETURNING *
+    `, [incidentId, admin.id, text]);
+
+    if (result.rows.length === 0) {
+        throw serviceError('Incident not found', 404, 'NOT_FOUND');
+    }
+
+    await pool.query('UPDATE safeguarding_incidents SET updated_at = NOW() WHERE id = $1', [incidentId]);
+    return { ...result.rows[0], author_name: admin.full_name || admin.fullName || null };
+};
+
+export const getIncidentMessages = async (incidentId) => {
+    const result = await pool.query(`
+        SELECT e.message_id, e.sender_id, e.recipient_id, e.content, e.sent_at, u.full_name as sender_name
+        FROM safeguarding_incident_messages e
+        LEFT JOIN users u ON e.sender_id = u.id
+        WHERE e.incident_id = $1
+        ORDER BY e.sent_at
+    `, [incidentId]);
+    return result.rows;
+};
+
+export const getIncidentNotes = async (incidentId) => {
+    const result = await pool.query(`
+        SELECT n.id, n.note, n.created_at, n.author_id, u.full_name as author_name
+        FROM safeguarding_incident_notes n
+        LEFT JOIN users u ON n.author_id = u.id
+        WHERE n.incident_id = $1
+        ORDER BY n.created_at
+    `, [incidentId]);
+    return result.rows;
+};
+
+export default {
+    INCIDENT_CATEGORIES,
+    INCIDENT_STATUSES,
+    createIncident,
+    updateIncident,
+    addIncidentNote,
+    getIncidentMessages,
+    getIncidentNotes,
+    getSchedulingSuspension,
+    setSchedulingSuspension
+};
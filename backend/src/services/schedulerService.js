@@ -1,13 +1,23 @@
 import cron from 'node-cron';
-import { processScheduledNotifications } from './notificationService.js';
+import { processScheduledNotifications, enqueueScheduledNotifications } from './notificationService.js';
+import { startJobWorker, stopJobWorker, isJobWorkerRunning } from './jobQueueService.js';
+import { purgeExpiredRecordings } from './recordingService.js';
+import { processOverdueMeetings, expireWaitlistOffers } from './meetingWaitlistService.js';
+import { processEmailQueue } from './emailService.js';
+import { sendNotificationDigests } from './notificationPreferenceService.js';
 
 /**
  * Docker-compatible scheduler service for meeting notifications and auto-launch
- * Uses node-cron which works reliably in containerized environments
+ * Scheduled notifications are delivered by the Redis job queue (jobQueueService); node-cron runs
+ * the periodic sweeps, which works reliably in containerized environments
  */
 
 let schedulerInitialized = false;
-let notificationCronJob = null;
+let notificationReconcileCronJob = null;
+let recordingRetentionCronJob = null;
+let waitlistCronJob = null;
+let emailQueueCronJob = null;
+let notificationDigestCronJob = null;
 
 /**
  * Initialize the scheduler service
@@ -22,47 +32,106 @@ export const initializeScheduler = () => {
     try {
         console.log('🚀 Initializing Docker-compatible scheduler service...');
 
-        // Schedule notification processing every minute
-        // Cron expression: "*/1 * * * *" = every minute
-        notificationCronJob = cron.schedule('*/1 * * * *', async () => {
+        // Deliver scheduled notifications (meeting reminders, auto-launch) from the job queue
+        startJobWorker();
+
+        // Queue scheduled notifications that have no job yet: written while Redis was down or by
+        // another service. Idempotent, so it runs on startup and every 10 minutes
+        const reconcileNotifications = async (label) => {
             try {
-                const count = await processScheduledNotifications();
+                const count = await enqueueScheduledNotifications();
                 if (count > 0) {
-                    console.log(`📅 [CRON] Processed ${count} scheduled notifications`);
+                    console.log(`📅 [${label}] Queued ${count} scheduled notifications that had no job`);
                 }
             } catch (error) {
-                // Log error but don't crash - scheduler will retry next minute
-                console.error('❌ [CRON] Error processing scheduled notifications:', error.message);
+                // Log error but don't crash - the next sweep will retry
+                console.error(`❌ [${label}] Error queueing scheduled notifications:`, error.message);
                 if (error.code === 'EAI_AGAIN') {
                     console.log('⚠️ DNS resolution issue detected - will retry next cycle');
                 }
             }
-        }, {
+        };
+        notificationReconcileCronJob = cron.schedule('*/10 * * * *', () => reconcileNotifications('CRON'), {
             scheduled: true,
             timezone: "UTC" // Use UTC for global timezone support - user timezones handled at display layer
         });
+        reconcileNotifications('STARTUP').then(() => console.log('✅ Scheduler initialized successfully'));
 
-        // Process notifications immediately on startup
-        processScheduledNotifications()
-            .then(count => {
-                if (count > 0) {
-                    console.log(`📅 [STARTUP] Processed ${count} scheduled notifications`);
+        // Close abandoned call recordings and delete those past their retention date (hourly)
+        recordingRetentionCronJob = cron.schedule('15 * * * *', async () => {
+            try {
+                const { abandoned, deleted } = await purgeExpiredRecordings();
+                if (abandoned > 0 || deleted > 0) {
+                    console.log(`📅 [CRON] Recordings: closed ${abandoned} abandoned, deleted ${deleted} expired`);
                 }
-                console.log('✅ Scheduler initialized successfully');
-            })
-            .catch(error => {
-                console.error('❌ [STARTUP] Error processing notifications:', error.message);
-            });
+            } catch (error) {
+                console.error('❌ [CRON] Error purging expired recordings:', error.message);
+            }
+        }, {
+            scheduled: true,
+            timezone: "UTC"
+        });
+
+        // Mark meetings that never started as missed and keep waitlist offers moving (every minute)
+        waitlistCronJob = cron.schedule('*/1 * * * *', async () => {
+            try {
+                const missed = await processOverdueMeetings();
+                const expired = await expireWaitlistOffers();
+                if (missed > 0 || expired > 0) {
+                    console.log(`📅 [CRON] Waitlist: ${missed} meetings marked missed, ${expired} offers expired`);
+                }
+            } catch (error) {
+                console.error('❌ [CRON] Error processing overdue meetings and waitlist offers:', error.message);
+            }
+        }, {
+            scheduled: true,
+            timezone: "UTC"
+        });
+
+        // Send queued emails that are due, including retries of earlier failures (every minute)
+        emailQueueCronJob = cron.schedule('*/1 * * * *', async () => {
+            try {
+                const { sent, failed } = await processEmailQueue();
+                if (sent > 0 || failed > 0) {
+                    console.log(`📅 [CRON] Email outbox: ${sent} sent, ${failed} gave up`);
+                }
+            } catch (error) {
+                console.error('❌ [CRON] Error processing the email outbox:', error.message);
+            }
+        }, {
+            scheduled: true,
+            timezone: "UTC"
+        });
+
+        // Send daily notification digests to users whose chosen local hour it is (hourly, on the hour)
+        notificationDigestCronJob = cron.schedule('0 * * * *', async () => {
+            try {
+                const sent = await sendNotificationDigests();
+                if (sent > 0) {
+                    console.log(`📅 [CRON] Notification digests: ${sent} queued`);
+                }
+            } catch (error) {
+                console.error('❌ [CRON] Error sending notification digests:', error.message);
+            }
+        }, {
+            scheduled: true,
+            timezone: "UTC"
+        });
 
         schedulerInitialized = true;
 
         // Log scheduler status
         console.log('📅 Notification scheduler started:');
-        console.log('   - Frequency: Every minute');
+        console.log('   - Delivery: Redis job queue, at each notification\'s time, retried with backoff');
+        console.log('   - Reconcile: Unqueued scheduled notifications picked up every 10 minutes');
         console.log('   - Timezone: UTC (user timezones applied at display)');
         console.log('   - Auto-launch: Enabled for 5-minute reminders');
         console.log('   - Docker Compatible: Yes');
         console.log('   - Error Handling: Retry on DNS failures');
+        console.log('   - Recording retention: Hourly purge of expired recordings');
+        console.log('   - Waitlist: Overdue meetings and expired offers backfilled every minute');
+        console.log('   - Email outbox: Due emails sent and failures retried every minute');
+        console.log('   - Notification digests: Checked hourly against each user\'s local digest hour');
 
     } catch (error) {
         console.error('❌ Failed to initialize scheduler service:', error);
@@ -75,10 +144,26 @@ export const initializeScheduler = () => {
  * Useful for graceful shutdown
  */
 export const stopScheduler = () => {
-    if (notificationCronJob) {
-        notificationCronJob.stop();
-        notificationCronJob.destroy();
-        notificationCronJob = null;
+    if (recordingRetentionCronJob) {
+        recordingRetentionCronJob.stop();
+        recordingRetentionCronJob = null;
+    }
+    if (waitlistCronJob) {
+        waitlistCronJob.stop();
+        waitlistCronJob = null;
+    }
+    if (emailQueueCronJob) {
+        emailQueueCronJob.stop();
+        emailQueueCronJob = null;
+    }
+    if (notificationDigestCronJob) {
+        notificationDigestCronJob.stop();
+        notificationDigestCronJob = null;
+    }
+    stopJobWorker();
+    if (notificationReconcileCronJob) {
+        notificationReconcileCronJob.stop();
+        notificationReconcileCronJob = null;
         schedulerInitialized = false;
         console.log('📅 Scheduler service stopped');
     }
@@ -91,15 +176,20 @@ export const stopScheduler = () => {
 export const getSchedulerStatus = () => {
     return {
         initialized: schedulerInitialized,
-        running: notificationCronJob ? true : false,
+        running: isJobWorkerRunning(),
         timezone: 'UTC',
-        frequency: 'Every minute',
+        frequency: 'Job queue (reconciled every 10 minutes)',
         features: [
             'Scheduled notifications',
             'Meeting auto-launch',
             'Docker compatible',
             'Global timezone support',
-            'DNS failure retry'
+            'DNS failure retry',
+            'Durable notification job queue',
+            'Recording retention purge',
+            'Waitlist backfill',
+            'Email outbox retries',
+            'Daily notification digests'
         ]
     };
 };
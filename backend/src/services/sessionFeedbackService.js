@@ -0,0 +1,184 @@
+/**
+ * Session Feedback Service
+ * Post-call survey answers from both participants of a meeting.
+ *
+ * Students rate the volunteer on a 1-5 (emoji) scale; volunteers rate the student's engagement
+ * (1-5) and estimate their English level. A participant answers once per meeting and can change
+ * their answer later. Recent student ratings nudge the volunteer reputation score up or down.
+ */
+
+import pool from '../config/database.js';
+import { logActivity } from './activityLogService.js';
+import { serviceError } from '../utils/serviceError.js';
+
+export const ENGLISH_LEVELS = ['beginner', 'elementary', 'intermediate', 'upper_intermediate', 'advanced'];
+
+// Meetings that took place, or are still open because a participant dropped without ending them.
+// Calls can be joined a little early, so 'scheduled' meetings count once they are within this window.
+const REVIEWABLE_STATUSES = ['completed', 'ended', 'in_progress', 'active', 'scheduled'];
+const EARLY_JOIN_MINUTES = 15;
+const MAX_COMMENT_LENGTH = 1000;
+
+// Reputation adjustment from student ratings: a 4/5 average is neutral, each point above or below
+// moves the score by 10, capped at -20/+10 so ratings never outweigh attendance
+export const RATING_SAMPLE_SIZE = 20;
+export const MIN_RATINGS_FOR_ADJUSTMENT = 3;
+const NEUTRAL_RATING = 4;
+const RATING_POINTS_PER_STAR = 10;
+const MAX_RATING_PENALTY = 20;
+const MAX_RATING_BONUS = 10;
+
+const parseScore = (value) => {
+    const score = parseInt(value, 10);
+    return Number.isInteger(score) && score >= 1 && score <= 5 ? score : null;
+};
+
+/**
+ * Find a meeting by numeric id or room_id (the call page only knows the room)
+ */
+const findMeeting = async (meetingRef) => {
+    const ref = String(meetingRef);
+    const meetingId = /^[0-9]+$/.test(ref) ? parseInt(ref, 10) : null;
+    const result = await pool.query(`
+        SELECT id, room_id, volunteer_id, student_id, status,
+               scheduled_time <= NOW() + make_interval(mins => $3) as has_started
+        FROM meetings
+        WHERE room_id = $1 OR ($2::int IS NOT NULL AND id = $2)
+        ORDER BY scheduled_time DESC
+        LIMIT 1
+    `, [ref, meetingId, EARLY_JOIN_MINUTES]);
+    return result.rows[0] || null;
+};
+
+/**
+ * Save a participant's survey answers for a meeting
+ * @param {Object} params
+ * @param {string|number} params.meetingRef - Meeting id or room_id
+ * @param {Object} params.user - req.user of the reviewer
+ * @param {number} [params.rating] - Student's rating of the volunteer (1-5)
+ * @param {number} [params.engagement] - Volunteer's rating of the student's engagement (1-5)
+ * @param {string} [params.englishLevel] - Volunteer's estimate of the student's level
+ * @param {string} [params.comment]
+ * @param {string} [params.ipAddress]
+ * @returns {Promise<{feedback: Object, updated: boolean}>}
+ */
+export const submitFeedback = async ({ meetingRef, user, rating, engagement, englishLevel, comment, ipAddress }) => {
+    if (!['volunteer', 'student'].includes(user.role)) {
+        throw serviceError('Only session participants can leave feedback', 403, 'NOT_PARTICIPANT');
+    }
+
+    const meeting = await findMeeting(meetingRef);
+    if (!meeting) {
+        throw serviceError('Meeting not found', 404, 'MEETING_NOT_FOUND');
+    }
+
+    const isVolunteer = user.role === 'volunteer';
+    const participantId = isVolunteer ? meeting.volunteer_id : meeting.student_id;
+    if (participantId !== user.id) {
+        throw serviceError('You did not take part in this meeting', 403, 'NOT_PARTICIPANT');
+    }
+    if (!REVIEWABLE_STATUSES.includes(meeting.status) || !meeting.has_started) {
+        throw serviceError('Feedback can only be left for a session that took place', 409, 'MEETING_NOT_HELD');
+    }
+
+    const fields = { rating: null, engagement: null, englishLevel: null };
+    if (isVolunteer) {
+        fields.engagement = parseScore(engagement);
+        if (!fields.engagement) {
+            throw serviceError('Please rate the student\'s engagement from 1 to 5', 400, 'INVALID_ENGAGEMENT');
+        }
+        if (!ENGLISH_LEVELS.includes(englishLevel)) {
+            throw serviceError('Please choose the student\'s English level', 400, 'INVALID_ENGLISH_LEVEL');
+        }
+        fields.englishLevel = englishLevel;
+    } else {
+        fields.rating = parseScore(rating);
+        if (!fields.rating) {
+            throw serviceError('Please choose a rating from 1 to 5', 400, 'INVALID_RATING');
+        }
+    }
+
+    const trimmedComment = typeof comment === 'string' ? comment.trim().slice(0, MAX_COMMENT_LENGTH) : '';
+
+    const result = await pool.query(`
+        INSERT INTO session_feedback
+            (meeting_id, reviewer_id, reviewer_role, subject_id, rating, engagement, english_level, comment)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (meeting_id, reviewer_id) DO UPDATE SET
+            rating = EXCLUDED.rating,
+            engagement = EXCLUDED.engagement,
+            english_level = EXCLUDED.english_level,
+            comment = EXCLUDED.comment,
+            created_at = CURRENT_TIMESTAMP
+        RETURNING *, (xmax <> 0) as updated
+    `, [
+        meeting.id,
+        user.id,
+        user.role,
+        isVolunteer ? meeting.student_id : meeting.volunteer_id,
+        fields.rating,
+        fields.engagement,
+        fields.englishLevel,
+        trimmedComment || null
+    ]);
+
+    const { updated, ...feedback } = result.rows[0];
+
+    await logActivity({
+        userId: user.id,
+        userRole: user.role,
+        action: updated ? 'session_feedback_updated' : 'session_feedback_submitted',
+        entityType: 'meeting',
+        entityId: meeting.id,
+        details: isVolunteer
+            ? { engagement: fields.engagement, englishLevel: fields.englishLevel }
+            : { rating: fields.rating },
+        ipAddress
+    });
+
+    return { feedback, updated };
+};
+
+/**
+ * Reputation points to add for a volunteer's recent student ratings
+ * @param {number|null} averageRating
+ * @param {number} ratingCount
+ * @returns {number}
+ */
+export const calculateRatingAdjustment = (averageRating, ratingCount) => {
+    if (averageRating === null || ratingCount < MIN_RATINGS_FOR_ADJUSTMENT) return 0;
+    const adjustment = Math.round((averageRating - NEUTRAL_RATING) * RATING_POINTS_PER_STAR);
+    return Math.min(MAX_RATING_BONUS, Math.max(-MAX_RATING_PENALTY, adjustment));
+};
+
+/**
+ * Average of a volunteer's most recent student ratings and the resulting reputation adjustment
+ * @param {number} volunteerId
+ * @returns {Promise<{averageRating: number|null, ratingCount: number, adjustment: number}>}
+ */
+export const getVolunteerRatingSummary = async (volunteerId) => {
+    const result = await pool.query(`
+        SELECT AVG(rating)::float as average_rating, COUNT(*)::int as rating_count
+        FROM (
+            SELECT rating FROM session_feedback
+            WHERE subject_id = $1 AND reviewer_role = 'student'
+            ORDER BY created_at DESC
+            LIMIT $2
+        ) recent
+    `, [volunteerId, RATING_SAMPLE_SIZE]);
+
+    const { average_rating, rating_count } = result.rows[0];
+    const averageRating = average_rating === null ? null : Math.round(average_rating * 10) / 10;
+    return {
+        averageRating,
+        ratingCount: rating_count,
+        adjustment: calculateRatingAdjustment(average_rating, rating_count)
+    };
+};
+
+export default {
+    ENGLISH_LEVELS,
+    submitFeedback,
+    calculateRatingAdjustment,
+    getVolunteerRatingSummary
+};
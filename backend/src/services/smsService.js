@@ -0,0 +1,437 @@
+/**
+ * SMS Service
+ * Sends every SMS through the configured transport (see utils/sms), logs it in sms_messages and
+ * applies the provider's delivery receipts. Also manages SMS-only contacts: parents and school
+ * coordinators without a TalkTime account (or a smartphone) who get meeting reminders by text.
+ */
+
+import crypto from 'crypto';
+import pool from '../config/database.js';
+import { createSmsTransport, parseDeliveryReport, SMS_PROVIDERS } from '../utils/sms/index.js';
+import { logActivity, diffChanges } from './activityLogService.js';
+import { normalizeLocale, translate, DEFAULT_LOCALE } from '../i18n/index.js';
+import { serviceError } from '../utils/serviceError.js';
+
+export const SMS_CONTACT_TYPES = ['parent', 'school_coordinator'];
+export const SMS_STATUSES = ['queued', 'sent', 'delivered', 'failed'];
+
+const DEFAULT_COUNTRY_CODE = process.env.SMS_DEFAULT_COUNTRY_CODE || '254'; // Kenya
+const CONTACT_TIMEZONE = 'Africa/Nairobi'; // Contacts are parents and staff at the school
+const MAX_NAME_LENGTH = 100;
+const MAX_GRADE_LENGTH = 20;
+const MESSAGE_LIST_LIMIT = 200;
+
+// Meetings that still need the reminder
+const REMINDABLE_STATUSES = ['scheduled', 'pending', 'confirmed'];
+
+const CONTACT_AUDIT_FIELDS = ['contact_type', 'student_id', 'school_grade', 'full_name', 'phone', 'locale', 'meeting_reminders'];
+
+const CONTACT_COLUMNS = `
+    c.id, c.contact_type, c.student_id, c.school_grade, c.full_name, c.phone, c.locale,
+    c.meeting_reminders, c.created_at, c.updated_at, s.full_name AS student_name
+`;
+
+let transport = null;
+const getTransport = () => {
+    if (!transport) {
+        transport = createSmsTransport();
+        console.log(`📱 SMS transport: ${transport.name}`);
+    }
+    return transport;
+};
+
+/**
+ * Put a phone number in E.164 form; local numbers (0712 345 678) get the default country code
+ * @param {string} phone
+ * @returns {string|null} e.g. '+254712345678', or null when it is not a usable number
+ */
+export const normalizePhoneNumber = (phone) => {
+    if (!phone || typeof phone !== 'string') return null;
+    let digits = phone.trim().replace(/[\s().-]/g, '');
+
+    if (digits.startsWith('+')) digits = digits.slice(1);
+    else if (digits.startsWith('00')) digits = digits.slice(2);
+    else if (digits.startsWith('0')) digits = DEFAULT_COUNTRY_CODE + digits.slice(1);
+
+    return /^\d{8,15}$/.test(digits) ? `+${digits}` : null;
+};
+
+/**
+ * Status callback URL handed to providers that take one per message (Twilio)
+ */
+const deliveryReportUrl = (provider) => {
+    const url = `${process.env.BASE_URL || 'http://localhost'}/api/v1/sms/delivery-reports/${provider}`;
+    return process.env.SMS_CALLBACK_TOKEN
+        ? `${url}?token=${encodeURIComponent(process.env.SMS_CALLBACK_TOKEN)}`
+        : url;
+};
+
+/**
+ * Send and log one SMS
+ * @param {Object} message
+ * @param {string} message.to - Phone number in any common format
+ * @param {string} message.body
+ * @param {string} [message.purpose] - What it is for, e.g. 'notification', 'parental_approval', 'meeting_reminder'
+ * @param {number} [message.userId] - Recipient's account, if they have one
+ * @param {number} [message.contactId] - Recipient's sms_contacts row, if they are a contact
+ * @param {number} [message.meetingId]
+ * @returns {Promise<{id: number, provider: string, providerMessageId: string, status: string}>}
+ */
+export const sendSms = async ({ to, body, purpose = 'notification', userId = null, contactId = null, meetingId = null }) => {
+    const phone = normalizePhoneNumber(to);
+    if (!phone) {
+        throw serviceError(`Invalid phone number: ${to}`, 400, 'INVALID_PHONE');
+    }
+
+    const sms = getTransport();
+    const { rows } = await pool.query(`
+        INSERT INTO sms_messages (provider, to_phone, body, purpose, user_id, contact_id, meeting_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id
+    `, [sms.name, phone, body, purpose, userId, contactId, meetingId]);
+    const id = rows[0].id;
+
+    try {
+        const result = await sms.send({ to: phone, body, statusCallbackUrl: deliveryReportUrl(sms.name) });
+        await pool.query(`
+            UPDATE sms_messages
+            SET provider_message_id = $2, status = $3, cost = $4, sent_at = NOW(),
+                delivered_at = CASE WHEN $3 = 'delivered' THEN NOW() END, updated_at = NOW()
+            WHERE id = $1
+        `, [id, result.providerMessageId, result.status, result.cost]);
+
+        return { id, provider: sms.name, providerMessageId: result.providerMessageId, status: result.status };
+    } catch (error) {
+        await pool.query(
+            `UPDATE sms_messages SET status = 'failed', error = $2, updated_at = NOW() WHERE id = $1`,
+            [id, String(error.message).slice(0, 500)]
+        );
+        throw error;
+    }
+};
+
+/**
+ * Apply a provider's delivery receipt to the logged message
+ * Receipts can arrive out of order, so a delivered or failed message is never moved back.
+ * @param {string} provider
+ * @param {Object} payload - The callback's request body
+ * @returns {Promise<{matched: boolean, status?: string}>}
+ */
+export const recordDeliveryReport = async (provider, payload) => {
+    if (!SMS_PROVIDERS.includes(provider)) {
+        throw serviceError('Unknown SMS provider', 404, 'UNKNOWN_PROVIDER');
+    }
+    const report = parseDeliveryReport(provider, payload);
+    if (!report) {
+        throw serviceError('Unreadable delivery report', 400, 'INVALID_DELIVERY_REPORT');
+    }
+
+    const { rows } = await pool.query(`
+        UPDATE sms_messages
+        SET status = $3,
+            error = COALESCE($4, error),
+            delivered_at = CASE WHEN $3 = 'delivered' THEN NOW() ELSE delivered_at END,
+            updated_at = NOW()
+        WHERE provider = $1 AND provider_message_id = $2 AND status IN ('queued', 'sent')
+        RETURNING id
+    `, [provider, report.providerMessageId, report.status, report.error]);
+
+    return rows.length ? { matched: true, status: report.status } : { matched: false };
+};
+
+/**
+ * Check the shared secret on a delivery report callback (?token=), when SMS_CALLBACK_TOKEN is set
+ * @param {string} token
+ * @returns {boolean}
+ */
+export const isValidCallbackToken = (token) => {
+    const expected = process.env.SMS_CALLBACK_TOKEN;
+    if (!expected) return true;
+    if (typeof token !== 'string' || token.length !== expected.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+};
+
+/**
+ * Recent messages for the admin SMS log
+ * @param {Object} [filters]
+ * @param {string} [filters.status]
+ * @param {string} [filters.purpose]
+ */
+export const listSmsMessages = async ({ status, purpose } = {}) => {
+    const conditions = [];
+    const params = [];
+    if (SMS_STATUSES.includes(status)) {
+        params.push(status);
+        conditions.push(`m.status = $${params.length}`);
+    }
+    if (purpose) {
+        params.push(purpose);
+        conditions.push(`m.purpose = $${params.length}`);
+    }
+
+    const { rows } = await pool.query(`
+        SELECT m.id, m.provider, m.to_phone, m.body, m.purpose, m.status, m.error, m.cost,
+               m.meeting_id, m.sent_at, m.delivered_at, m.created_at,
+               COALESCE(u.full_name, c.full_name) AS recipient_name
+        FROM sms_messages m
+        LEFT JOIN users u ON u.id = m.user_id
+        LEFT JOIN sms_contacts c ON c.id = m.contact_id
+        ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY m.created_at DESC
+        LIMIT ${MESSAGE_LIST_LIMIT}
+    `, params);
+
+    const { rows: counts } = await pool.query(`
+        SELECT status, COUNT(*)::int AS count
+        FROM sms_messages
+        WHERE created_at > NOW() - INTERVAL '7 days'
+        GROUP BY status
+    `);
+
+    return {
+        provider: getTransport().name,
+        messages: rows,
+        lastWeek: Object.fromEntries(SMS_STATUSES.map(s => [s, counts.find(c => c.status === s)?.count || 0]))
+    };
+};
+
+/**
+ * @param {Object} [filters]
+ * @param {number} [filters.studentId] - A student's parents plus the coordinators covering their class
+ */
+export const listSmsContacts = async ({ studentId } = {}) => {
+    const params = [];
+    let where = '';
+    if (studentId) {
+        params.push(studentId);
+        where = `
+            WHERE c.student_id = $1
+               OR (c.contact_type = 'school_coordinator'
+                   AND (c.school_grade IS NULL OR c.school_grade = (SELECT school_grade FROM users WHERE id = $1)))
+        `;
+    }
+
+    const { rows } = await pool.query(`
+        SELECT ${CONTACT_COLUMNS}
+        FROM sms_contacts c
+        LEFT JOIN users s ON s.id = c.student_id
+        ${where}
+        ORDER BY c.contact_type DESC, c.school_grade NULLS FIRST, c.full_name
+    `, params);
+    return rows;
+};
+
+/**
+ * Validate contact input, merged over the existing row on update
+ */
+const parseContactInput = async (data, existing = null) => {
+    const pick = (camel, snake) => (data[camel] !== undefined ? data[camel] : existing?.[snake]);
+
+    const contactType = pick('contactType', 'contact_type');
+    if (!SMS_CONTACT_TYPES.includes(contactType)) {
+        throw serviceError(`Contact type must be one of: ${SMS_CONTACT_TYPES.join(', ')}`, 400, 'INVALID_CONTACT');
+    }
+
+    const fullName = String(pick('fullName', 'full_name') || '').trim();
+    if (!fullName || fullName.length > MAX_NAME_LENGTH) {
+        throw serviceError(`Name is required (up to ${MAX_NAME_LENGTH} characters)`, 400, 'INVALID_CONTACT');
+    }
+
+    const phone = normalizePhoneNumber(pick('phone', 'phone'));
+    if (!phone) {
+        throw serviceError('A valid phone number is required, e.g. 0712 345 678 or +254712345678', 400, 'INVALID_PHONE');
+    }
+
+    const rawLocale = pick('locale', 'locale');
+    const locale = rawLocale ? normalizeLocale(rawLocale) : DEFAULT_LOCALE;
+    if (!locale) {
+        throw serviceError('Unsupported language', 400, 'INVALID_CONTACT');
+    }
+
+    let studentId = null;
+    let schoolGrade = null;
+    if (contactType === 'parent') {
+        studentId = parseInt(pick('studentId', 'student_id'), 10) || null;
+        const { rows } = studentId
+            ? await pool.query(`SELECT id FROM users WHERE id = $1 AND role = 'student'`, [studentId])
+            : { rows: [] };
+        if (!rows.length) {
+            throw serviceError('A parent contact needs a valid student', 400, 'INVALID_CONTACT');
+        }
+    } else {
+        schoolGrade = String(pick('schoolGrade', 'school_grade') || '').trim() || null;
+        if (schoolGrade && schoolGrade.length > MAX_GRADE_LENGTH) {
+            throw serviceError(`Class must be at most ${MAX_GRADE_LENGTH} characters`, 400, 'INVALID_CONTACT');
+        }
+    }
+
+    const meetingReminders = pick('meetingReminders', 'meeting_reminders');
+
+    return {
+        contact_type: contactType,
+        student_id: studentId,
+        school_grade: schoolGrade,
+        full_name: fullName,
+        phone,
+        locale,
+        meeting_reminders: meetingReminders === undefined || meetingReminders === null ? true : Boolean(meetingReminders)
+    };
+};
+
+const findContact = async (id) => {
+    const { rows } = await pool.query(`
+        SELECT ${CONTACT_COLUMNS}
+        FROM sms_contacts c
+        LEFT JOIN users s ON s.id = c.student_id
+        WHERE c.id = $1
+    `, [id]);
+    if (!rows.length) {
+        throw serviceError('SMS contact not found', 404, 'CONTACT_NOT_FOUND');
+    }
+    return rows[0];
+};
+
+/**
+ * @param {Object} data - { contactType, fullName, phone, studentId?, schoolGrade?, locale?, meetingReminders? }
+ * @param {Object} actor - From getAuditActor(req)
+ */
+export const createSmsContact = async (data, actor = {}) => {
+    const contact = await parseContactInput(data);
+    const { rows } = await pool.query(`
+        INSERT INTO sms_contacts (contact_type, student_id, school_grade, full_name, phone, locale, meeting_reminders, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING id
+    `, [contact.contact_type, contact.student_id, contact.school_grade, contact.full_name, contact.phone,
+        contact.locale, contact.meeting_reminders, actor.userId ?? null]);
+
+    const created = await findContact(rows[0].id);
+    await logActivity({
+        ...actor,
+        action: 'sms_contact_created',
+        entityType: 'sms_contact',
+        entityId: created.id,
+        details: { contactType: created.contact_type, studentId: created.student_id },
+        changes: diffChanges(null, created, CONTACT_AUDIT_FIELDS)
+    });
+    return created;
+};
+
+/**
+ * @param {number} id
+ * @param {Object} data - Any of the createSmsContact fields
+ * @param {Object} actor - From getAuditActor(req)
+ */
+export const updateSmsContact = async (id, data, actor = {}) => {
+    const existing = await findContact(id);
+    const contact = await parseContactInput(data, existing);
+
+    await pool.query(`
+        UPDATE sms_contacts
+        SET contact_type = $2, student_id = $3, school_grade = $4, full_name = $5, phone = $6,
+            locale = $7, meeting_reminders = $8, updated_at = NOW()
+        WHERE id = $1
+    `, [id, contact.contact_type, contact.student_id, contact.school_grade, contact.full_name, contact.phone,
+        contact.locale, contact.meeting_reminders]);
+
+    const updated = await findContact(id);
+    await logActivity({
+        ...actor,
+        action: 'sms_contact_updated',
+        entityType: 'sms_contact',
+        entityId: id,
+        changes: diffChanges(existing, updated, CONTACT_AUDIT_FIELDS)
+    });
+    return updated;
+};
+
+/**
+ * @param {number} id
+ * @param {Object} actor - From getAuditActor(req)
+ */
+export const deleteSmsContact = async (id, actor = {}) => {
+    const existing = await findContact(id);
+    await pool.query('DELETE FROM sms_contacts WHERE id = $1', [id]);
+    await logActivity({
+        ...actor,
+        action: 'sms_contact_deleted',
+        entityType: 'sms_contact',
+        entityId: id,
+        changes: diffChanges(existing, null, CONTACT_AUDIT_FIELDS)
+    });
+};
+
+/**
+ * Text a meeting reminder to the student's parents and their class's school coordinators
+ * Called with each of the student's scheduled reminders; numbers already texted about this
+ * meeting are skipped, so whichever reminder comes first (30 minutes before, or later for a
+ * short-notice booking) is the one they get, and a failed text is retried with the next one.
+ * @param {number} meetingId
+ * @returns {Promise<number>} Messages sent
+ */
+export const sendMeetingReminderToContacts = async (meetingId) => {
+    const { rows } = await pool.query(`
+        SELECT m.id, m.scheduled_time, m.status, m.student_id,
+               s.full_name AS student_name, s.school_grade, v.full_name AS volunteer_name
+        FROM meetings m
+        JOIN users s ON s.id = m.student_id
+        JOIN users v ON v.id = m.volunteer_id
+        WHERE m.id = $1
+    `, [meetingId]);
+    const meeting = rows[0];
+    if (!meeting || !REMINDABLE_STATUSES.includes(meeting.status)) return 0;
+
+    const { rows: contacts } = await pool.query(`
+        SELECT c.id, c.phone, c.locale
+        FROM sms_contacts c
+        WHERE c.meeting_reminders
+          AND ((c.contact_type = 'parent' AND c.student_id = $2)
+               OR (c.contact_type = 'school_coordinator'
+                   AND (c.school_grade IS NULL OR c.school_grade = $3)))
+          AND NOT EXISTS (
+              SELECT 1 FROM sms_messages sm
+              WHERE sm.meeting_id = $1 AND sm.purpose = 'meeting_reminder' AND sm.status <> 'failed'
+                AND (sm.contact_id = c.id OR sm.to_phone = c.phone)
+          )
+    `, [meeting.id, meeting.student_id, meeting.school_grade]);
+
+    let sent = 0;
+    const phonesDone = new Set();
+    for (const contact of contacts) {
+        // A number listed as both parent and coordinator only gets one text
+        if (phonesDone.has(contact.phone)) continue;
+        phonesDone.add(contact.phone);
+
+        try {
+            await sendSms({
+                to: contact.phone,
+                body: translate(contact.locale, 'sms.meeting_reminder_contact', {
+                    studentName: meeting.student_name,
+                    volunteerName: meeting.volunteer_name,
+                    time: new Date(meeting.scheduled_time)
+                }, { timeZone: CONTACT_TIMEZONE }),
+                purpose: 'meeting_reminder',
+                contactId: contact.id,
+                meetingId: meeting.id
+            });
+            sent++;
+        } catch (error) {
+            console.error(`Failed to text meeting reminder to SMS contact ${contact.id}:`, error);
+        }
+    }
+    return sent;
+};
+
+export default {
+    SMS_CONTACT_TYPES,
+    SMS_STATUSES,
+    normalizePhoneNumber,
+    sendSms,
+    recordDeliveryReport,
+    isValidCallbackToken,
+    listSmsMessages,
+    listSmsContacts,
+    createSmsContact,
+    updateSmsContact,
+    deleteSmsContact,
+    sendMeetingReminderToContacts
+};
@@ -0,0 +1,156 @@
+/**
+ * Student Availability Service
+ * The one place these rules live: the meeting-service checks its bookings, series and slot
+ * suggestions through POST /internal/students/:studentId/availability, so both scheduling paths
+ * refuse the same bookings.
+ * - Weekly windows per student, falling back to the student's class (users.school_grade)
+ * - Holidays and exam periods block whole days
+ * - When terms are defined for the student, bookings must fall inside a term
+ */
+
+import pool from '../config/database.js';
+import { getLocalTimeParts, timeToMinutes } from '../utils/timezoneUtils.js';
+import { getMeetingDuration } from './configService.js';
+
+/**
+ * Reasons a student cannot be booked at a given time
+ */
+export const AvailabilityReasons = {
+    OUTSIDE_AVAILABILITY: 'outside_availability',
+    HOLIDAY: 'holiday',
+    EXAM: 'exam',
+    OUT_OF_TERM: 'out_of_term'
+};
+
+/**
+ * Load a student's availability windows and applicable calendar entries
+ * @param {number} studentId - users.id of the student
+ * @returns {Promise<{studentId: number, timezone: string, schoolGrade: string|null, windows: Array, calendar: Array}>}
+ */
+export const loadStudentSchedulingRules = async (studentId) => {
+    const studentResult = await pool.query(
+        'SELECT school_grade, timezone FROM users WHERE id = $1',
+        [studentId]
+    );
+    const schoolGrade = studentResult.rows[0]?.school_grade || null;
+    const timezone = studentResult.rows[0]?.timezone || 'UTC';
+
+    const windowsResult = await pool.query(`
+        SELECT student_id, school_grade, day_of_week, start_time, end_time, timezone
+        FROM student_availability
+        WHERE is_active = true
+        AND (student_id = $1 OR ($2::varchar IS NOT NULL AND school_grade = $2))
+    `, [studentId, schoolGrade]);
+
+    // A student's own windows override their class windows
+    const ownWindows = windowsResult.rows.filter(w => w.student_id !== null);
+    const windows = ownWindows.length > 0
+        ? ownWindows
+        : windowsResult.rows.filter(w => w.school_grade !== null);
+
+    const calendarResult = await pool.query(`
+        SELECT id, name, event_type,
+               to_char(start_date, 'YYYY-MM-DD') as start_date,
+               to_char(end_date, 'YYYY-MM-DD') as end_date
+        FROM school_calendar
+        WHERE school_grade IS NULL OR school_grade = $1
+    `, [schoolGrade]);
+
+    return {
+        studentId,
+        timezone,
+        schoolGrade,
+        windows,
+        calendar: calendarResult.rows
+    };
+};
+
+/**
+ * Evaluate whether a student can be booked at a given time
+ * @param {Object} rules - Output of loadStudentSchedulingRules
+ * @param {Date|string} scheduledTime
+ * @param {number} durationMinutes - Meeting length; the whole meeting must fit inside a window
+ * @returns {{available: boolean, reason?: string, error?: string, event?: Object}}
+ */
+export const evaluateStudentAvailability = (rules, scheduledTime, durationMinutes) => {
+    const { date: localDate } = getLocalTimeParts(scheduledTime, rules.timezone);
+    const covers = (event) => event.start_date <= localDate && event.end_date >= localDate;
+
+    const blockingEvent = rules.calendar.find(event => event.event_type !== 'term' && covers(event));
+    if (blockingEvent) {
+        const isExam = blockingEvent.event_type === 'exam';
+        return {
+            available: false,
+            reason: isExam ? AvailabilityReasons.EXAM : AvailabilityReasons.HOLIDAY,
+            error: isExam
+                ? `Student has exams (${blockingEvent.name}) on this date. Please choose another date.`
+                : `Student is on a school holiday (${blockingEvent.name}) on this date. Please choose another date.`,
+            event: blockingEvent
+        };
+    }
+
+    const terms = rules.calendar.filter(event => event.event_type === 'term');
+    if (terms.length > 0 && !terms.some(covers)) {
+        return {
+            available: false,
+            reason: AvailabilityReasons.OUT_OF_TERM,
+            error: 'This date falls outside the school term. Students cannot be booked during school breaks.'
+        };
+    }
+
+    // No windows recorded means the student can be booked at any time
+    if (rules.windows.length === 0) {
+        return { available: true };
+    }
+
+    const fitsWindow = rules.windows.some(window => {
+        const local = getLocalTimeParts(scheduledTime, window.timezone);
+        const start = timeToMinutes(local.time);
+        return local.dayOfWeek === window.day_of_week &&
+            start >= timeToMinutes(window.start_time) &&
+            start + durationMinutes <= timeToMinutes(window.end_time);
+    });
+
+    if (!fitsWindow) {
+        return {
+            available: false,
+            reason: AvailabilityReasons.OUTSIDE_AVAILABILITY,
+            error: 'Student is not available at this time. Please choose a time within the student\'s availability.'
+        };
+    }
+
+    return { available: true };
+};
+
+/**
+ * Check the student's availability windows and school calendar
+ * @param {number} studentId - users.id of the student
+ * @param {Date|string} scheduledTime
+ * @returns {Promise<{available: boolean, reason?: string, error?: string, event?: Object}>}
+ */
+export const checkStudentAvailability = async (studentId, scheduledTime) => {
+    const rules = await loadStudentSchedulingRules(studentId);
+    const durationMinutes = await getMeetingDuration();
+    return evaluateStudentAvailability(rules, scheduledTime, durationMinutes);
+};
+
+/**
+ * Check several candidate times for one student, loading their rules once
+ * @param {number} studentId - users.id of the student
+ * @param {Array<Date|string>} times
+ * @param {number} [durationMinutes] - Defaults to the configured meeting duration
+ * @returns {Promise<Array<{available: boolean, reason?: string, error?: string, event?: Object}>>} One result per time, in order
+ */
+export const checkStudentAvailabilityAt = async (studentId, times, durationMinutes) => {
+    const rules = await loadStudentSchedulingRules(studentId);
+    const duration = durationMinutes ?? await getMeetingDuration();
+    return times.map(time => evaluateStudentAvailability(rules, time, duration));
+};
+
+export default {
+    AvailabilityReasons,
+    loadStudentSchedulingRules,
+    evaluateStudentAvailability,
+    checkStudentAvailability,
+    checkStudentAvailabilityAt
+};
@@ -0,0 +1,310 @@
+/**
+ * Student Login Card Service
+ * Printed QR login cards plus a short PIN, so students sign in on a shared school laptop with
+ * something they hold and something they know instead of their name and admission number.
+ *
+ * Admins issue a card (which replaces any earlier one), rotate it, revoke it or clear a lockout.
+ * The PIN is generated here and only returned once, when the card is issued. Too many wrong PINs
+ * in a row lock that student's card login for a configurable number of minutes.
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import pool from '../config/database.js';
+import { getStudentLoginSettings } from './configService.js';
+import { logActivity } from './activityLogService.js';
+import { serviceError } from '../utils/serviceError.js';
+
+// No 0/O, 1/I/L so codes can be typed from the card when the camera can't read it
+const CARD_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CARD_CODE_LENGTH = 12;
+const PIN_LENGTH = 6;
+const SALT_ROUNDS = 10;
+
+const generateCardCode = () => {
+    let code = '';
+    for (let i = 0; i < CARD_CODE_LENGTH; i++) {
+        code += CARD_CODE_ALPHABET[crypto.randomInt(CARD_CODE_ALPHABET.length)];
+    }
+    return code;
+};
+
+const generatePin = () => String(crypto.randomInt(10 ** PIN_LENGTH)).padStart(PIN_LENGTH, '0');
+
+/**
+ * Card code from whatever the login page received: the bare code, the code with separators as
+ * printed ("ABCD-EFGH-JKMN"), or the login URL encoded in the QR code
+ * @param {string} input
+ * @returns {string|null}
+ */
+export const normalizeCardCode = (input) => {
+    if (typeof input !== 'string') return null;
+    const match = input.match(/[?&]card=([^&#\s]+)/);
+    const raw = match ? decodeURIComponent(match[1]) : input;
+    const code = raw.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return code.length === CARD_CODE_LENGTH ? code : null;
+};
+
+const getStudent = async (studentId) => {
+    const result = await pool.query(
+        `SELECT id, full_name, username, login_failed_attempts, login_locked_until
+         FROM users WHERE id = $1 AND role = 'student'`,
+        [studentId]
+    );
+    if (!result.rows[0]) {
+        throw serviceError('Student not found', 404, 'STUDENT_NOT_FOUND');
+    }
+    return result.rows[0];
+};
+
+/**
+ * Login card status for the admin dashboard (never includes the PIN)
+ * @param {number} studentId
+ */
+export const getLoginCardStatus = async (studentId) => {
+    const student = await getStudent(studentId);
+    const result = await pool.query(`
+        SELECT c.id, c.card_code, c.status, c.issued_at, c.last_used_at, c.revoked_at, c.revoke_reason,
+               issuer.full_name as issued_by_name
+        FROM student_login_cards c
+        LEFT JOIN users issuer ON c.issued_by = issuer.id
+        WHERE c.student_id = $1
+        ORDER BY c.issued_at DESC
+        LIMIT 1
+    `, [studentId]);
+
+    const lockedUntil = student.login_locked_until && new Date(student.login_locked_until) > new Date()
+        ? student.login_locked_until
+        : null;
+
+    return {
+        student: { id: student.id, fullName: student.full_name, admissionNumber: student.username },
+        card: result.rows[0] || null,
+        failedAttempts: student.login_failed_attempts,
+        lockedUntil
+    };
+};
+
+/**
+ * Issue a new card and PIN, replacing the student's current card if they have one
+ * @param {Object} params
+ * @param {number} params.studentId
+ * @param {Object} params.admin - req.user of the issuing admin
+ * @param {string} [params.ipAddress]
+ * @returns {Promise<{card: Object, pin: string, replacedCardId: number|null}>}
+ */
+export const issueLoginCard = async ({ studentId, admin, ipAddress }) => {
+    const student = await getStudent(studentId);
+    const pin = generatePin();
+    const pinHash = await bcrypt.hash(pin, SALT_ROUNDS);
+
+    const client = await pool.connect();
+    let card;
+    let replacedCardId = null;
+    try {
+        await client.query('BEGIN');
+
+        const replaced = await client.query(`
+            UPDATE student_login_cards
+            SET status = 'replaced', revoked_by = $2, revoked_at = NOW(), revoke_reason = 'Replaced by a new card'
+            WHERE student_id = $1 AND status = 'active'
+            RETURNING id
+        `, [student.id, admin.id]);
+        replacedCardId = replaced.rows[0]?.id || null;
+
+        // Retry on the (very unlikely) chance of a code collision
+        for (let attempt = 0; !card && attempt < 5; attempt++) {
+            const inserted = await client.query(`
+                INSERT INTO student_login_cards (student_id, card_code, pin_hash, issued_by)
+                VALUES ($1, $2, $3, $4)
+                ON CONFLICT (card_code) DO NOTHING
+                RETURNING id, card_code, status, issued_at
+            `, [student.id, generateCardCode(), pinHash, admin.id]);
+            card = inserted.rows[0];
+        }
+        if (!card) {
+            throw new Error('Could not generate a unique card code');
+        }
+
+        // A fresh card starts with a clean slate
+        await client.query(
+            'UPDATE users SET login_failed_attempts = 0, login_locked_until = NULL WHERE id = $1',
+            [student.id]
+        );
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    await logActivity({
+        userId: admin.id,
+        userRole: admin.role,
+        action: replacedCardId ? 'student_login_card_rotated' : 'student_login_card_issued',
+        entityType: 'student',
+        entityId: student.id,
+        details: { cardId: card.id, replacedCardId },
+        ipAddress
+    });
+
+    return { card, pin, replacedCardId };
+};
+
+/**
+ * Revoke the student's active card; they can't sign in with it until a new one is issued
+ */
+export const revokeLoginCard = async ({ studentId, admin, reason, ipAddress }) => {
+    const student = await getStudent(studentId);
+    const result = await pool.query(`
+        UPDATE student_login_cards
+        SET status = 'revoked', revoked_by = $2, revoked_at = NOW(), revoke_reason = $3
+        WHERE student_id = $1 AND status = 'active'
+        RETURNING id, card_code, status, revoked_at, revoke_reason
+    `, [student.id, admin.id, typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, 255) : null]);
+
+    if (!result.rows[0]) {
+        throw serviceError('This student has no active login card', 409, 'NO_ACTIVE_CARD');
+    }
+
+    await logActivity({
+        userId: admin.id,
+        userRole: admin.role,
+        action: 'student_login_card_revoked',
+        entityType: 'student',
+        entityId: student.id,
+        details: { cardId: result.rows[0].id, reason: result.rows[0].revoke_reason },
+        ipAddress
+    });
+
+    return result.rows[0];
+};
+
+/**
+ * Clear a lockout before it expires
+ */
+export const unlockStudentLogin = async ({ studentId, admin, ipAddress }) => {
+    const student = await getStudent(studentId);
+    await pool.query(
+        'UPDATE users SET login_failed_attempts = 0, login_locked_until = NULL WHERE id = $1',
+        [student.id]
+    );
+
+    await logActivity({
+        userId: admin.id,
+        userRole: admin.role,
+        action: 'student_login_unlocked',
+        entityType: 'student',
+        entityId: student.id,
+        ipAddress
+    });
+};
+
+/**
+ * Check a card code and PIN, applying the per-student lockout
+ * @param {Object} params
+ * @param {string} params.card - Card code or scanned QR content
+ * @param {string} params.pin
+ * @param {string} [params.ipAddress]
+ * @returns {Promise<Object>} The student's users row
+ */
+export const authenticateWithLoginCard = async ({ card, pin, ipAddress }) => {
+    const cardCode = normalizeCardCode(card);
+    if (!cardCode || typeof pin !== 'string' || !/^[0-9]{4,8}$/.test(pin.trim())) {
+        throw serviceError('Invalid login card or PIN.', 401, 'INVALID_CARD_OR_PIN');
+    }
+
+    const result = await pool.query(`
+        SELECT c.id as card_id, c.status as card_status, c.pin_hash, u.*
+        FROM student_login_cards c
+        JOIN users u ON c.student_id = u.id AND u.role = 'student'
+        WHERE c.card_code = $1
+    `, [cardCode]);
+    const row = result.rows[0];
+
+    if (!row) {
+        throw serviceError('Invalid login card or PIN.', 401, 'INVALID_CARD_OR_PIN');
+    }
+
+    const { card_id: cardId, card_status: cardStatus, pin_hash: pinHash, ...student } = row;
+
+    if (cardStatus !== 'active') {
+        throw serviceError('This login card is no longer valid. Please ask your teacher for a new card.', 401, 'CARD_REVOKED');
+    }
+    if (student.login_locked_until && new Date(student.login_locked_until) > new Date()) {
+        throw serviceError(
+            'Too many wrong PINs. Please wait a few minutes or ask your teacher to unlock your card.',
+            423,
+            'LOGIN_LOCKED',
+            { lockedUntil: student.login_locked_until }
+        );
+    }
+
+    if (!(await bcrypt.compare(pin.trim(), pinHash))) {
+        const { maxFailedAttempts, lockoutMinutes } = await getStudentLoginSettings();
+        const updated = await pool.query(`
+            UPDATE users SET
+                login_failed_attempts = CASE WHEN login_failed_attempts + 1 >= $2 THEN 0 ELSE login_failed_attempts + 1 END,
+                login_locked_until = CASE WHEN login_failed_attempts + 1 >= $2
+                    THEN NOW() + make_interval(mins => $3) ELSE login_locked_until END
+            WHERE id = $1
+            RETURNING login_failed_attempts, login_locked_until
+        `, [student.id, maxFailedAttempts, lockoutMinutes]);
+        const { login_failed_attempts: failedAttempts, login_locked_until: lockedUntil } = updated.rows[0];
+
+        if (failedAttempts === 0 && lockedUntil) {
+            await logActivity({
+                userId: student.id,
+                userRole: 'student',
+                action: 'student_login_locked',
+                entityType: 'student',
+                entityId: student.id,
+                details: { cardId, lockedUntil, attempts: maxFailedAttempts },
+                ipAddress
+            });
+            throw serviceError(
+                `Too many wrong PINs. Your card is locked for ${lockoutMinutes} minutes.`,
+                423,
+                'LOGIN_LOCKED',
+                { lockedUntil }
+            );
+        }
+
+        const attemptsRemaining = maxFailedAttempts - failedAttempts;
+        throw serviceError(
+            `Invalid login card or PIN. ${attemptsRemaining} ${attemptsRemaining === 1 ? 'try' : 'tries'} left before your card is locked.`,
+            401,
+            'INVALID_CARD_OR_PIN',
+            { attemptsRemaining }
+        );
+    }
+
+    await pool.query(
+        'UPDATE users SET login_failed_attempts = 0, login_locked_until = NULL WHERE id = $1',
+        [student.id]
+    );
+    await pool.query('UPDATE student_login_cards SET last_used_at = NOW() WHERE id = $1', [cardId]);
+
+    await logActivity({
+        userId: student.id,
+        userRole: 'student',
+        action: 'student_card_login',
+        entityType: 'student',
+        entityId: student.id,
+        details: { cardId },
+        ipAddress
+    });
+
+    return student;
+};
+
+export default {
+    normalizeCardCode,
+    getLoginCardStatus,
+    issueLoginCard,
+    revokeLoginCard,
+    unlockStudentLogin,
+    authenticateWithLoginCard
+};
@@ -0,0 +1,454 @@
+/**
+ * Student Progress Service
+ * A longitudinal record of each student's English across sessions with different volunteers.
+ *
+ * In the post-call survey the volunteer rates individual skills on a CEFR-style scale and leaves
+ * session notes (saved to meetings.notes). After each assessed session the student's current level
+ * for every skill is recalculated from their most recent assessments, the overall level follows from
+ * those, and goals with a target level are marked as achieved once it is reached. Students see their
+ * own progress on their dashboard; admins see every student's and manage their goals.
+ */
+
+import pool from '../config/database.js';
+import { logActivity, diffChanges } from './activityLogService.js';
+import { normalizeEnglishLevel } from './lessonPlanService.js';
+import { serviceError } from '../utils/serviceError.js';
+
+export const CEFR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+export const SKILLS = ['speaking', 'listening', 'vocabulary', 'grammar', 'pronunciation'];
+export const GOAL_STATUSES = ['active', 'achieved', 'dropped'];
+
+// The overall level volunteers pick in the survey, on the same scale
+const ENGLISH_LEVEL_CEFR = {
+    beginner: 'A1',
+    elementary: 'A2',
+    intermediate: 'B1',
+    upper_intermediate: 'B2',
+    advanced: 'C1'
+};
+
+// A skill's current level is the median of its latest assessments, so one unusual call doesn't swing it
+const RECENT_ASSESSMENTS = 3;
+const HISTORY_LIMIT = 30;
+const NOTES_LIMIT = 20;
+const MAX_NOTES_LENGTH = 1000;
+const MAX_GOAL_TITLE_LENGTH = 200;
+
+const GOAL_COLUMNS = `
+    g.id, g.student_id, g.title, g.skill, g.target_level, g.status, g.achieved_at,
+    g.created_at, g.updated_at, c.full_name as created_by_name
+`;
+
+const GOAL_AUDIT_FIELDS = ['title', 'skill', 'target_level', 'status'];
+
+const levelRank = (level) => CEFR_LEVELS.indexOf(level);
+
+/**
+ * Overall level from rated skills (their average), else from the volunteer's overall estimate
+ * @param {string[]} skillLevels - CEFR levels
+ * @param {string|null} englishLevel - One of the survey's English levels
+ * @returns {string|null}
+ */
+const overallLevelFrom = (skillLevels, englishLevel) => {
+    if (skillLevels.length > 0) {
+        const average = skillLevels.reduce((sum, level) => sum + levelRank(level), 0) / skillLevels.length;
+        return CEFR_LEVELS[Math.round(average)];
+    }
+    return ENGLISH_LEVEL_CEFR[englishLevel] || null;
+};
+
+/**
+ * Validate the per-skill levels a volunteer sent with the survey
+ * Every skill is optional; unknown skills or levels are rejected.
+ * @param {Object} [skills] - e.g. { speaking: 'B1', grammar: 'A2' }
+ * @returns {Object} Skill -> CEFR level, only the skills that were rated
+ */
+export const parseSkillLevels = (skills) => {
+    if (skills === undefined || skills === null) return {};
+    if (typeof skills !== 'object' || Array.isArray(skills)) {
+        throw serviceError('Skill levels must be an object of skill to level', 400, 'INVALID_SKILL_LEVELS');
+    }
+
+    const levels = {};
+    for (const [skill, value] of Object.entries(skills)) {
+        if (value === '' || value === null || value === undefined) continue;
+        const level = String(value).trim().toUpperCase();
+        if (!SKILLS.includes(skill) || !CEFR_LEVELS.includes(level)) {
+            throw serviceError(
+                `Skills must be one of ${SKILLS.join(', ')} and levels one of ${CEFR_LEVELS.join(', ')}`,
+                400,
+                'INVALID_SKILL_LEVELS'
+            );
+        }
+        levels[skill] = level;
+    }
+    return levels;
+};
+
+const findStudent = async (studentId) => {
+    const result = await pool.query(
+        'SELECT id, full_name, english_level FROM users WHERE id = $1 AND role = \'student\'',
+        [parseInt(studentId, 10) || 0]
+    );
+    if (!result.rows[0]) {
+        throw serviceError('Student not found', 404, 'STUDENT_NOT_FOUND');
+    }
+    return result.rows[0];
+};
+
+/**
+ * Recalculate a student's current levels and mark goals they have now reached
+ * @param {number} studentId
+ * @returns {Promise<Object>} The student_progress row
+ */
+export const refreshStudentProgress = async (studentId) => {
+    const recent = await pool.query(`
+        SELECT skill, array_agg(level ORDER BY created_at DESC) as levels
+        FROM (
+            SELECT skill, level, created_at,
+                   ROW_NUMBER() OVER (PARTITION BY skill ORDER BY created_at DESC) as recency
+            FROM student_skill_assessments
+            WHERE student_id = $1
+        ) ranked
+        WHERE recency <= $2
+        GROUP BY skill
+    `, [studentId, RECENT_ASSESSMENTS]);
+
+    const skillLevels = {};
+    for (const row of recent.rows) {
+        const ranks = row.levels.map(levelRank).sort((a, b) => a - b);
+        skillLevels[row.skill] = CEFR_LEVELS[ranks[Math.floor((ranks.length - 1) / 2)]];
+    }
+
+    let latestEstimate = null;
+    if (Object.keys(skillLevels).length === 0) {
+        const latest = await pool.query(`
+            SELECT english_level FROM session_feedback
+            WHERE subject_id = $1 AND reviewer_role = 'volunteer'
+            ORDER BY created_at DESC
+            LIMIT 1
+        `, [studentId]);
+        latestEstimate = latest.rows[0]?.english_level || null;
+    }
+    const overallLevel = overallLevelFrom(Object.values(skillLevels), latestEstimate);
+
+    const result = await pool.query(`
+        INSERT INTO student_progress (
+            student_id, overall_level, speaking_level, listening_level, vocabulary_level,
+            grammar_level, pronunciation_level, sessions_assessed, last_assessed_at, updated_at
+        )
+        SELECT $1, $2, $3, $4, $5, $6, $7, COUNT(DISTINCT meeting_id)::int, MAX(created_at), NOW()
+        FROM student_skill_assessments
+        WHERE student_id = $1
+        ON CONFLICT (student_id) DO UPDATE SET
+            overall_level = EXCLUDED.overall_level,
+            speaking_level = EXCLUDED.speaking_level,
+            listening_level = EXCLUDED.listening_level,
+            vocabulary_level = EXCLUDED.vocabulary_level,
+            grammar_level = EXCLUDED.grammar_level,
+            pronunciation_level = EXCLUDED.pronunciation_level,
+            sessions_assessed = EXCLUDED.sessions_assessed,
+            last_assessed_at = EXCLUDED.last_assessed_at,
+            updated_at = NOW()
+        RETURNING *
+    `, [
+        studentId,
+        overallLevel,
+        ...SKILLS.map(skill => skillLevels[skill] || null)
+    ]);
+    const progress = result.rows[0];
+
+    // Goals with a target are achieved once the skill (or overall level) reaches it
+    const goals = await pool.query(`
+        SELECT id, skill, target_level FROM student_goals
+        WHERE student_id = $1 AND status = 'active' AND target_level IS NOT NULL
+    `, [studentId]);
+    for (const goal of goals.rows) {
+        const current = goal.skill ? progress[`${goal.skill}_level`] : progress.overall_level;
+        if (current && levelRank(current) >= levelRank(goal.target_level)) {
+            await pool.query(`
+                UPDATE student_goals
+                SET status = 'achieved', achieved_at = NOW(), updated_at = NOW()
+                WHERE id = $1 AND status = 'active'
+            `, [goal.id]);
+            await logActivity({
+                action: 'student_goal_achieved',
+                entityType: 'student_goal',
+                entityId: goal.id,
+                details: { studentId, skill: goal.skill, targetLevel: goal.target_level, currentLevel: current }
+            });
+        }
+    }
+
+    return progress;
+};
+
+/**
+ * Save a volunteer's skill ratings and session notes for a meeting, then update the student's progress
+ * Called after the volunteer's post-call survey has been saved.
+ * @param {Object} params
+ * @param {number} params.meetingId
+ * @param {number} params.studentId
+ * @param {number} params.volunteerId
+ * @param {Object} [params.skills] - Output of parseSkillLevels
+ * @param {string} [params.notes]
+ * @returns {Promise<Object>} The student_progress row
+ */
+export const recordSessionProgress = async ({ meetingId, studentId, volunteerId, skills = {}, notes }) => {
+    for (const [skill, level] of Object.entries(skills)) {
+        await pool.query(`
+            INSERT INTO student_skill_assessments (meeting_id, student_id, assessed_by, skill, level)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (meeting_id, skill) DO UPDATE SET
+                level = EXCLUDED.level,
+                assessed_by = EXCLUDED.assessed_by,
+                created_at = CURRENT_TIMESTAMP
+        `, [meetingId, studentId, volunteerId, skill, level]);
+    }
+
+    const trimmedNotes = typeof notes === 'string' ? notes.trim().slice(0, MAX_NOTES_LENGTH) : '';
+    if (trimmedNotes) {
+        await pool.query(
+            'UPDATE meetings SET notes = $2, updated_at = NOW() WHERE id = $1',
+            [meetingId, trimmedNotes]
+        );
+    }
+
+    return refreshStudentProgress(studentId);
+};
+
+/**
+ * A student's goals, active first
+ * @param {number} studentId
+ * @returns {Promise<Object[]>}
+ */
+export const listStudentGoals = async (studentId) => {
+    const result = await pool.query(`
+        SELECT ${GOAL_COLUMNS}
+        FROM student_goals g
+        LEFT JOIN users c ON c.id = g.created_by
+        WHERE g.student_id = $1
+        ORDER BY CASE g.status WHEN 'active' THEN 0 WHEN 'achieved' THEN 1 ELSE 2 END,
+                 COALESCE(g.achieved_at, g.created_at) DESC
+    `, [studentId]);
+    return result.rows;
+};
+
+/**
+ * Everything the progress views chart: current levels, a per-session timeline, notes and goals
+ * @param {number} studentId - users.id of the student
+ * @returns {Promise<Object>}
+ */
+export const getStudentProgress = async (studentId) => {
+    const student = await findStudent(studentId);
+
+    const [progress, sessions, history, notes, goals] = await Promise.all([
+        pool.query('SELECT * FROM student_progress WHERE student_id = $1', [student.id]),
+        pool.query(`
+            SELECT COUNT(*)::int as completed, COUNT(DISTINCT volunteer_id)::int as volunteers,
+                   MIN(scheduled_time) as first_session_at, MAX(scheduled_time) as last_session_at
+            FROM meetings
+            WHERE student_id = $1 AND status = 'completed'
+        `, [student.id]),
+        // One point per assessed session, oldest first
+        pool.query(`
+            SELECT * FROM (
+                SELECT m.id as meeting_id, m.scheduled_time,
+                       COALESCE(json_object_agg(a.skill, a.level) FILTER (WHERE a.skill IS NOT NULL), '{}') as skills,
+                       MAX(sf.english_level) as english_level
+                FROM meetings m
+                LEFT JOIN student_skill_assessments a ON a.meeting_id = m.id AND a.student_id = m.student_id
+                LEFT JOIN session_feedback sf ON sf.meeting_id = m.id AND sf.reviewer_role = 'volunteer'
+                WHERE m.student_id = $1 AND (a.id IS NOT NULL OR sf.id IS NOT NULL)
+                GROUP BY m.id
+                ORDER BY m.scheduled_time DESC
+                LIMIT $2
+            ) recent
+            ORDER BY scheduled_time
+        `, [student.id, HISTORY_LIMIT]),
+        // Older sessions only have the survey comment
+        pool.query(`
+            SELECT m.id as meeting_id, m.scheduled_time, v.full_name as volunteer_name,
+                   COALESCE(m.notes, sf.comment) as notes
+            FROM meetings m
+            LEFT JOIN users v ON v.id = m.volunteer_id
+            LEFT JOIN session_feedback sf ON sf.meeting_id = m.id AND sf.reviewer_role = 'volunteer'
+            WHERE m.student_id = $1 AND COALESCE(m.notes, sf.comment) IS NOT NULL
+            ORDER BY m.scheduled_time DESC
+            LIMIT $2
+        `, [student.id, NOTES_LIMIT]),
+        listStudentGoals(student.id)
+    ]);
+
+    const current = progress.rows[0];
+    return {
+        studentId: student.id,
+        studentName: student.full_name,
+        levels: {
+            overall: current?.overall_level
+                || ENGLISH_LEVEL_CEFR[normalizeEnglishLevel(student.english_level)]
+                || null,
+            skills: Object.fromEntries(SKILLS.map(skill => [skill, current?.[`${skill}_level`] || null]))
+        },
+        sessionsCompleted: sessions.rows[0].completed,
+        volunteersMet: sessions.rows[0].volunteers,
+        sessionsAssessed: current?.sessions_assessed || 0,
+        firstSessionAt: sessions.rows[0].first_session_at,
+        lastSessionAt: sessions.rows[0].last_session_at,
+        lastAssessedAt: current?.last_assessed_at || null,
+        history: history.rows.map(row => ({
+            meetingId: row.meeting_id,
+            date: row.scheduled_time,
+            overall: overallLevelFrom(Object.values(row.skills), row.english_level),
+            skills: row.skills
+        })),
+        notes: notes.rows.map(row => ({
+            meetingId: row.meeting_id,
+            date: row.scheduled_time,
+            volunteerName: row.volunteer_name,
+            notes: row.notes
+        })),
+        goals,
+        scale: { levels: CEFR_LEVELS, skills: SKILLS }
+    };
+};
+
+const validateGoal = (input) => {
+    const title = typeof input.title === 'string' ? input.title.trim() : '';
+    if (!title || title.length > MAX_GOAL_TITLE_LENGTH) {
+        throw serviceError(`Goal must be 1-${MAX_GOAL_TITLE_LENGTH} characters`, 400, 'INVALID_GOAL');
+    }
+
+    const skill = input.skill || null;
+    if (skill && !SKILLS.includes(skill)) {
+        throw serviceError(`Skill must be one of: ${SKILLS.join(', ')}`, 400, 'INVALID_GOAL');
+    }
+
+    const targetLevel = input.targetLevel ? String(input.targetLevel).toUpperCase() : null;
+    if (targetLevel && !CEFR_LEVELS.includes(targetLevel)) {
+        throw serviceError(`Target level must be one of: ${CEFR_LEVELS.join(', ')}`, 400, 'INVALID_GOAL');
+    }
+
+    const status = input.status || 'active';
+    if (!GOAL_STATUSES.includes(status)) {
+        throw serviceError(`Status must be one of: ${GOAL_STATUSES.join(', ')}`, 400, 'INVALID_GOAL');
+    }
+
+    return { title, skill, target_level: targetLevel, status };
+};
+
+const findGoal = async (studentId, goalId) => {
+    const result = await pool.query(`
+        SELECT ${GOAL_COLUMNS}
+        FROM student_goals g
+        LEFT JOIN users c ON c.id = g.created_by
+        WHERE g.id = $1 AND g.student_id = $2
+    `, [parseInt(goalId, 10) || 0, studentId]);
+    if (!result.rows[0]) {
+        throw serviceError('Goal not found', 404, 'GOAL_NOT_FOUND');
+    }
+    return result.rows[0];
+};
+
+/**
+ * Add a goal for a student
+ * @param {number} studentId
+ * @param {Object} input - { title, skill?, targetLevel? }
+ * @param {Object} actor - getAuditActor(req)
+ * @returns {Promise<Object>} The goal, possibly already achieved
+ */
+export const createStudentGoal = async (studentId, input, actor) => {
+    const student = await findStudent(studentId);
+    const goal = validateGoal({ ...input, status: 'active' });
+
+    const result = await pool.query(`
+        INSERT INTO student_goals (student_id, title, skill, target_level, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id
+    `, [student.id, goal.title, goal.skill, goal.target_level, actor.userId]);
+
+    await logActivity({
+        ...actor,
+        action: 'student_goal_created',
+        entityType: 'student_goal',
+        entityId: result.rows[0].id,
+        details: { studentId: student.id, title: goal.title, skill: goal.skill, targetLevel: goal.target_level }
+    });
+
+    // The student may already be at the target
+    if (goal.target_level) await refreshStudentProgress(student.id);
+    return findGoal(student.id, result.rows[0].id);
+};
+
+/**
+ * Edit a goal, or mark it achieved or dropped
+ * @param {number} studentId
+ * @param {number} goalId
+ * @param {Object} input - { title?, skill?, targetLevel?, status? }
+ * @param {Object} actor
+ * @returns {Promise<Object>}
+ */
+export const updateStudentGoal = async (studentId, goalId, input, actor) => {
+    const student = await findStudent(studentId);
+    const current = await findGoal(student.id, goalId);
+    const goal = validateGoal({
+        title: input.title ?? current.title,
+        skill: input.skill !== undefined ? input.skill : current.skill,
+        targetLevel: input.targetLevel !== undefined ? input.targetLevel : current.target_level,
+        status: input.status ?? current.status
+    });
+
+    await pool.query(`
+        UPDATE student_goals
+        SET title = $2, skill = $3, target_level = $4, status = $5,
+            achieved_at = CASE WHEN $5 = 'achieved' THEN COALESCE(achieved_at, NOW()) ELSE NULL END,
+            updated_at = NOW()
+        WHERE id = $1
+    `, [current.id, goal.title, goal.skill, goal.target_level, goal.status]);
+
+    const updated = await findGoal(student.id, current.id);
+    await logActivity({
+        ...actor,
+        action: 'student_goal_updated',
+        entityType: 'student_goal',
+        entityId: updated.id,
+        changes: diffChanges(current, updated, GOAL_AUDIT_FIELDS)
+    });
+
+    if (goal.status === 'active' && goal.target_level) await refreshStudentProgress(student.id);
+    return findGoal(student.id, current.id);
+};
+
+/**
+ * Delete a goal
+ * @param {number} studentId
+ * @param {number} goalId
+ * @param {Object} actor
+ */
+export const deleteStudentGoal = async (studentId, goalId, actor) => {
+    const student = await findStudent(studentId);
+    const goal = await findGoal(student.id, goalId);
+
+    await pool.query('DELETE FROM student_goals WHERE id = $1', [goal.id]);
+    await logActivity({
+        ...actor,
+        action: 'student_goal_deleted',
+        entityType: 'student_goal',
+        entityId: goal.id,
+        details: { studentId: student.id, title: goal.title }
+    });
+};
+
+export default {
+    CEFR_LEVELS,
+    SKILLS,
+    GOAL_STATUSES,
+    parseSkillLevels,
+    refreshStudentProgress,
+    recordSessionProgress,
+    listStudentGoals,
+    getStudentProgress,
+    createStudentGoal,
+    updateStudentGoal,
+    deleteStudentGoal
+};
@@ -0,0 +1,496 @@
+/**
+ * Student Roster Service
+ * Creating student accounts, bulk importing a school intake from a CSV/XLSX file and exporting
+ * the full roster.
+ *
+ * Imports are two-step: the admin uploads the file for a dry run, which validates every row with
+ * the same rules as the single-student form and returns a per-row preview, then uploads it again
+ * to commit. A commit only goes ahead when every row is valid, and all rows are created in one
+ * transaction so a failed import leaves nothing behind.
+ */
+
+import ExcelJS from 'exceljs';
+import pool from '../config/database.js';
+import { capitalizeName } from '../utils/nameUtils.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import { logActivity } from './activityLogService.js';
+import { serviceError } from '../utils/serviceError.js';
+
+export const MAX_IMPORT_ROWS = 1000;
+
+const GENDERS = { male: 'Male', m: 'Male', female: 'Female', f: 'Female', other: 'Other' };
+
+// Header spellings we accept, after lowercasing and dropping spaces, underscores and punctuation
+const HEADER_ALIASES = {
+    admissionnumber: 'admissionNumber',
+    admissionno: 'admissionNumber',
+    admission: 'admissionNumber',
+    adm: 'admissionNumber',
+    firstname: 'firstName',
+    lastname: 'lastName',
+    surname: 'lastName',
+    fullname: 'fullName',
+    name: 'fullName',
+    age: 'age',
+    gender: 'gender',
+    bio: 'bio',
+    story: 'story',
+    studentstory: 'story',
+    photourl: 'photoUrl',
+    photo: 'photoUrl',
+    profilepictureurl: 'photoUrl',
+    gallery: 'gallery',
+    galleryurls: 'gallery'
+};
+
+const EXPORT_COLUMNS = [
+    { key: 'id', header: 'id', width: 8 },
+    { key: 'admission_number', header: 'admission_number', width: 18 },
+    { key: 'first_name', header: 'first_name', width: 18 },
+    { key: 'last_name', header: 'last_name', width: 18 },
+    { key: 'full_name', header: 'full_name', width: 26 },
+    { key: 'age', header: 'age', width: 6 },
+    { key: 'gender', header: 'gender', width: 10 },
+    { key: 'bio', header: 'bio', width: 40 },
+    { key: 'story', header: 'story', width: 60 },
+    { key: 'photo_url', header: 'photo_url', width: 40 },
+    { key: 'gallery', header: 'gallery', width: 60 },
+    { key: 'is_available', header: 'is_available', width: 12 },
+    { key: 'username', header: 'username', width: 30 },
+    { key: 'created_at', header: 'created_at', width: 22 }
+];
+
+/**
+ * Gallery URLs arrive as an array (JSON body) or as text with one URL per line.
+ * Import files may also separate them with "|" or ";" to keep a cell on one line.
+ */
+export const parseGallery = (value) => {
+    if (Array.isArray(value)) return value.map(url => String(url).trim()).filter(Boolean);
+    if (typeof value === 'string') return value.split(/[\r\n|;]+/).map(url => url.trim()).filter(Boolean);
+    return [];
+};
+
+/**
+ * The username and placeholder email a new student account gets
+ * @param {string} admissionNumber
+ * @param {string} fullName - Already capitalized
+ */
+export const buildStudentIdentity = (admissionNumber, fullName) => ({
+    username: `${admissionNumber}-${fullName.toLowerCase().replace(/\s+/g, '-')}`,
+    email: `${fullName.toLowerCase().replace(/\s+/g, '.')}@talktime.local`
+});
+
+/**
+ * Whether an admission number is already taken, by prefix like the single-student form checks
+ * @param {string} admissionNumber
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<boolean>}
+ */
+export const admissionNumberExists = async (admissionNumber, db = pool) => {
+    const result = await db.query(`
+        SELECT 1 FROM users WHERE LOWER(username) LIKE LOWER($1) AND role = 'student'
+        UNION ALL
+        SELECT 1 FROM students WHERE LOWER(admission_number) LIKE LOWER($1)
+        LIMIT 1
+    `, [`${admissionNumber}%`]);
+    return result.rows.length > 0;
+};
+
+/**
+ * Create the login account and student profile for one student
+ * @param {Object} student
+ * @param {string} student.fullName - Already capitalized
+ * @param {string} student.admissionNumber
+ * @param {number|null} [student.age]
+ * @param {string|null} [student.gender]
+ * @param {string|null} [student.bio]
+ * @param {string|null} [student.story]
+ * @param {string|null} [student.photoUrl]
+ * @param {string[]} [student.gallery]
+ * @param {string|null} [student.englishLevel] - One of ENGLISH_LEVELS
+ * @param {string|null} [student.learningGoals]
+ * @param {string|null} [student.preferredTopics] - Comma separated; used to suggest lesson plans
+ * @param {string|null} [student.interests]
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Object>} The new student profile (camelCase)
+ */
+export const insertStudent = async ({
+    fullName,
+    admissionNumber,
+    age = null,
+    gender = null,
+    bio = null,
+    story = null,
+    photoUrl = null,
+    gallery = [],
+    englishLevel = null,
+    learningGoals = null,
+    preferredTopics = null,
+    interests = null
+}, db = pool) => {
+    const { username, email } = buildStudentIdentity(admissionNumber, fullName);
+
+    // Students sign in by name and admission number (or a login card), never a password
+    const userResult = await db.query(`
+        INSERT INTO users (
+            username, full_name, email, password_hash, role, age, gender,
+            english_level, learning_goals, preferred_topics, interests, is_approved, created_at, updated_at
+        ) VALUES ($1, $2, $3, 'student-no-password', 'student', $4, $5, $6, $7, $8, $9, true, NOW(), NOW())
+        RETURNING id
+    `, [
+        username, fullName, email, age || null, gender || null,
+        englishLevel || null, learningGoals || null, preferredTopics || null, interests || null
+    ]);
+
+    const userId = userResult.rows[0].id;
+
+    // admission_number holds the full username so either can be used to look the student up
+    const result = await db.query(`
+        INSERT INTO students (
+            full_name, admission_number, age, gender, bio, story, photo_url, gallery, is_available, user_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, true, $9)
+        RETURNING
+            id,
+            full_name as "fullName",
+            admission_number as "admissionNumber",
+            age,
+            gender,
+            photo_url as "profilePictureUrl",
+            bio,
+            story,
+            gallery,
+            is_available as "isAvailable",
+            created_at as "createdAt",
+            user_id as "userId"
+    `, [
+        fullName,
+        username,
+        age || null,
+        gender || null,
+        bio || null,
+        story || null,
+        photoUrl || null,
+        gallery.length > 0 ? gallery : null,
+        userId
+    ]);
+
+    return {
+        ...result.rows[0],
+        englishLevel: englishLevel || null,
+        learningGoals: learningGoals || null,
+        preferredTopics: preferredTopics || null,
+        interests: interests || null
+    };
+};
+
+const cellText = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'object') {
+        if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+        if (value.text !== undefined) return cellText(value.text);
+        if (value.result !== undefined) return cellText(value.result);
+        if (value.error) return '';
+    }
+    return String(value);
+};
+
+const readXlsxRows = async (buffer) => {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch {
+        throw serviceError('The spreadsheet could not be read. Save it as .xlsx or .csv and try again.', 400, 'UNREADABLE_FILE');
+    }
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: false }, (row) => {
+        const cells = [];
+        for (let col = 1; col <= row.cellCount; col++) {
+            cells.push(cellText(row.getCell(col).value));
+        }
+        if (cells.some(cell => cell.trim() !== '')) rows.push(cells);
+    });
+    return rows;
+};
+
+/**
+ * Read an uploaded roster file into row objects keyed by field name
+ * @param {Object} file - Multer file ({ originalname, mimetype, buffer })
+ * @returns {Promise<Object[]>} Rows with a 1-based spreadsheet row number in `row`
+ */
+export const parseRosterFile = async (file) => {
+    if (!file || !file.buffer || file.buffer.length === 0) {
+        throw serviceError('Please choose a CSV or Excel (.xlsx) file', 400, 'FILE_REQUIRED');
+    }
+
+    const name = (file.originalname || '').toLowerCase();
+    // .xlsx files are zip archives
+    const isXlsx = name.endsWith('.xlsx') || (file.buffer[0] === 0x50 && file.buffer[1] === 0x4b);
+    if (!isXlsx && !name.endsWith('.csv') && !/csv|text\/plain/.test(file.mimetype || '')) {
+        throw serviceError('Only .csv and .xlsx files can be imported', 400, 'UNSUPPORTED_FILE');
+    }
+
+    const rawRows = isXlsx ? await readXlsxRows(file.buffer) : parseCsv(file.buffer.toString('utf8'));
+    if (rawRows.length < 2) {
+        throw serviceError('The file needs a header row and at least one student', 400, 'EMPTY_FILE');
+    }
+    if (rawRows.length - 1 > MAX_IMPORT_ROWS) {
+        throw serviceError(`A single import is limited to ${MAX_IMPORT_ROWS} students`, 400, 'TOO_MANY_ROWS');
+    }
+
+    const fields = rawRows[0].map(header => HEADER_ALIASES[String(header).toLowerCase().replace(/[^a-z]/g, '')] || null);
+    const hasName = fields.includes('fullName') || (fields.includes('firstName') && fields.includes('lastName'));
+    if (!fields.includes('admissionNumber') || !hasName) {
+        throw serviceError(
+            'The header row must include admission_number and either first_name and last_name or full_name',
+            400,
+            'MISSING_COLUMNS'
+        );
+    }
+
+    return rawRows.slice(1).map((cells, index) => {
+        const row = { row: index + 2 };
+        fields.forEach((field, col) => {
+            if (field && row[field] === undefined) row[field] = (cells[col] ?? '').trim();
+        });
+        return row;
+    });
+};
+
+/**
+ * Accepts 0002, ADM0002 or an exported admission number such as ADM0002-jane-doe
+ */
+const normalizeAdmissionNumber = (value) => {
+    const match = String(value || '').trim().match(/^(?:ADM)?(\d{4})(?:$|-)/i);
+    return match ? `ADM${match[1]}` : null;
+};
+
+const splitFullName = (fullName) => {
+    const parts = String(fullName || '').trim().split(/\s+/);
+    return { firstName: parts[0] || '', lastName: parts.slice(1).join(' ') };
+};
+
+/**
+ * Validate parsed rows against the single-student rules, existing students and each other
+ * @param {Object[]} rows - From parseRosterFile
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Object[]>} One entry per row: { row, student, errors }
+ */
+export const validateRosterRows = async (rows, db = pool) => {
+    const existing = await db.query(`
+        SELECT LOWER(username) as key FROM users WHERE role = 'student'
+        UNION ALL
+        SELECT LOWER(admission_number) as key FROM students
+    `);
+    const emails = await db.query('SELECT LOWER(email) as email FROM users');
+    const existingKeys = existing.rows.map(r => r.key).filter(Boolean);
+    const takenEmails = new Set(emails.rows.map(r => r.email));
+
+    const seenAdmission = new Map();
+    const seenEmail = new Map();
+
+    return rows.map((raw) => {
+        const errors = [];
+        const names = raw.firstName || raw.lastName
+            ? { firstName: raw.firstName || '', lastName: raw.lastName || '' }
+            : splitFullName(raw.fullName);
+
+        if (!names.firstName || !names.lastName) {
+            errors.push('First name and last name are required');
+        }
+        const fullName = capitalizeName(`${names.firstName} ${names.lastName}`);
+
+        const admissionNumber = normalizeAdmissionNumber(raw.admissionNumber);
+        if (!raw.admissionNumber) {
+            errors.push('Admission number is required');
+        } else if (!admissionNumber) {
+            errors.push('Admission number must be exactly 4 digits (e.g. 0002 or ADM0002)');
+        } else {
+            const key = admissionNumber.toLowerCase();
+            if (existingKeys.some(existingKey => existingKey.startsWith(key))) {
+                errors.push('A student with this admission number already exists');
+            } else if (seenAdmission.has(key)) {
+                errors.push(`Admission number is repeated from row ${seenAdmission.get(key)}`);
+            } else {
+                seenAdmission.set(key, raw.row);
+            }
+        }
+
+        let age = null;
+        if (raw.age) {
+            age = Number(raw.age);
+            if (!Number.isInteger(age) || age < 1 || age > 100) {
+                errors.push('Age must be a whole number between 1 and 100');
+                age = null;
+            }
+        }
+
+        let gender = null;
+        if (raw.gender) {
+            gender = GENDERS[raw.gender.toLowerCase()] || null;
+            if (!gender) errors.push('Gender must be Male, Female or Other');
+        }
+
+        // Student emails are generated from the name and must be unique across all users
+        if (names.firstName && names.lastName) {
+            const { email } = buildStudentIdentity(admissionNumber || '', fullName);
+            if (takenEmails.has(email)) {
+                errors.push(`A user named ${fullName} already exists`);
+            } else if (seenEmail.has(email)) {
+                errors.push(`${fullName} is repeated from row ${seenEmail.get(email)}`);
+            } else {
+                seenEmail.set(email, raw.row);
+            }
+        }
+
+        return {
+            row: raw.row,
+            student: {
+                fullName,
+                admissionNumber,
+                age,
+                gender,
+                bio: raw.bio || null,
+                story: raw.story || null,
+                photoUrl: raw.photoUrl || null,
+                gallery: parseGallery(raw.gallery)
+            },
+            errors
+        };
+    });
+};
+
+const summarize = (results) => ({
+    totalRows: results.length,
+    validRows: results.filter(r => r.errors.length === 0).length,
+    invalidRows: results.filter(r => r.errors.length > 0).length,
+    rows: results.map(({ row, student, errors }) => ({
+        row,
+        admissionNumber: student.admissionNumber,
+        fullName: student.fullName,
+        age: student.age,
+        gender: student.gender,
+        galleryCount: student.gallery.length,
+        errors
+    }))
+});
+
+/**
+ * Validate an uploaded roster and, unless it's a dry run, create every student in one transaction
+ * @param {Object} options
+ * @param {Object} options.file - Multer file
+ * @param {boolean} [options.dryRun=true]
+ * @param {Object} options.actor - From getAuditActor
+ * @returns {Promise<Object>} Preview summary, plus `created` when committed
+ */
+export const importRoster = async ({ file, dryRun = true, actor }) => {
+    const rows = await parseRosterFile(file);
+
+    if (dryRun) {
+        return { dryRun: true, ...summarize(await validateRosterRows(rows)) };
+    }
+
+    const client = await pool.connect();
+    let created;
+    try {
+        await client.query('BEGIN');
+        // One import at a time, so two admins can't both pass validation with the same numbers
+        await client.query("SELECT pg_advisory_xact_lock(hashtext('talktime.student_import'))");
+
+        const results = await validateRosterRows(rows, client);
+        const summary = summarize(results);
+        if (summary.invalidRows > 0) {
+            throw serviceError('Fix the rows with errors before importing', 422, 'INVALID_ROWS', { preview: summary });
+        }
+
+        created = [];
+        for (const { student } of results) {
+            created.push(await insertStudent(student, client));
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    await logActivity({
+        ...actor,
+        action: 'students_imported',
+        entityType: 'student',
+        details: {
+            fileName: file.originalname || null,
+            count: created.length,
+            studentIds: created.map(s => s.id)
+        }
+    });
+
+    return {
+        dryRun: false,
+        totalRows: created.length,
+        created: created.length,
+        students: created
+    };
+};
+
+/**
+ * The full student roster for export
+ * @param {'csv'|'xlsx'} format
+ * @returns {Promise<{body: string|Buffer, contentType: string, extension: string}>}
+ */
+export const exportRoster = async (format = 'csv') => {
+    const result = await pool.query(`
+        SELECT s.id, s.admission_number as username, s.full_name, s.age, s.gender, s.bio, s.story,
+               s.photo_url, s.gallery, s.is_available, s.created_at
+        FROM students s
+        ORDER BY s.admission_number ASC, s.id ASC
+    `);
+
+    const rows = result.rows.map(student => {
+        const { firstName, lastName } = splitFullName(student.full_name);
+        return {
+            ...student,
+            admission_number: normalizeAdmissionNumber(student.username) || student.username,
+            first_name: firstName,
+            last_name: lastName,
+            gallery: (student.gallery || []).join('\n')
+        };
+    });
+
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet('Students');
+        sheet.columns = EXPORT_COLUMNS;
+        sheet.getRow(1).font = { bold: true };
+        sheet.addRows(rows);
+        return {
+            body: Buffer.from(await workbook.xlsx.writeBuffer()),
+            contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            extension: 'xlsx'
+        };
+    }
+
+    return {
+        body: toCsv(EXPORT_COLUMNS.map(col => col.key), rows),
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv'
+    };
+};
+
+export default {
+    MAX_IMPORT_ROWS,
+    parseGallery,
+    buildStudentIdentity,
+    admissionNumberExists,
+    insertStudent,
+    parseRosterFile,
+    validateRosterRows,
+    importRoster,
+    exportRoster
+};
@@ -0,0 +1,130 @@
+/**
+ * Token Revocation Service
+ * Redis-backed revocation list for JWTs, checked on every authenticated request.
+ *
+ * Access tokens are stateless, so revoking one means remembering it until it would have expired
+ * anyway. Three kinds of entry:
+ *   - a single token (logout)             auth:revoked:jti:<jti>
+ *   - a login-session family (token reuse) auth:revoked:family:<familyId>
+ *   - everything a user was issued before a moment (account deleted or banned)
+ *                                         auth:revoked:user:<userId> = cutoff (unix seconds)
+ *     Tokens issued in an earlier second are rejected; ones from the cutoff's own second are
+ *     kept, so signing in again or rotating right after the revocation still works.
+ *
+ * The refresh-token side of a revocation is stored in Postgres by refreshTokenService; this list
+ * only needs to outlive the access tokens. If Redis is unreachable the check fails open (and
+ * says so in the log) rather than signing every user out.
+ */
+
+import pool from '../config/database.js';
+import { redisClient } from '../config/cache.js';
+
+const KEY_PREFIX = 'auth:revoked:';
+
+// Longer than any access or refresh token we issue (24h / 7d by default)
+const REVOCATION_TTL_SECONDS = 8 * 24 * 60 * 60;
+
+async function isRedisConnected() {
+    try {
+        if (!redisClient.isOpen) {
+            await redisClient.connect();
+        }
+        return redisClient.isOpen;
+    } catch {
+        return false;
+    }
+}
+
+const ttlUntil = (exp) => {
+    const remaining = exp ? exp - Math.floor(Date.now() / 1000) : REVOCATION_TTL_SECONDS;
+    return Math.max(1, Math.min(remaining, REVOCATION_TTL_SECONDS));
+};
+
+/**
+ * Whether a verified token has been revoked
+ * @param {Object} decoded - Verified JWT payload
+ * @returns {Promise<boolean>}
+ */
+export const isTokenRevoked = async (decoded) => {
+    if (!(await isRedisConnected())) {
+        console.error('[TokenRevocation] Redis unavailable, revocation list not checked');
+        return false;
+    }
+
+    try {
+        const [jtiRevoked, familyRevoked, userCutoff] = await redisClient.mGet([
+            `${KEY_PREFIX}jti:${decoded.jti || '-'}`,
+            `${KEY_PREFIX}family:${decoded.fid || '-'}`,
+            `${KEY_PREFIX}user:${decoded.id}`
+        ]);
+
+        if ((decoded.jti && jtiRevoked) || (decoded.fid && familyRevoked)) {
+            return true;
+        }
+        return !!userCutoff && (decoded.iat || 0) < parseInt(userCutoff, 10);
+    } catch (error) {
+        console.error('[TokenRevocation] Error checking revocation list:', error.message);
+        return false;
+    }
+};
+
+/**
+ * Revoke a single access token until it expires
+ * @param {Object} decoded - JWT payload with jti and exp
+ */
+export const revokeAccessToken = async (decoded) => {
+    if (!decoded?.jti || !(await isRedisConnected())) return;
+    await redisClient.setEx(`${KEY_PREFIX}jti:${decoded.jti}`, ttlUntil(decoded.exp), '1');
+};
+
+/**
+ * Revoke a login session: its refresh tokens in Postgres and its access tokens in Redis
+ * @param {string} familyId
+ * @param {string} reason - e.g. 'logout', 'reuse_detected'
+ * @returns {Promise<number>} Refresh tokens revoked
+ */
+export const revokeTokenFamily = async (familyId, reason) => {
+    const result = await pool.query(`
+        UPDATE refresh_tokens
+        SET revoked_at = NOW(), revoke_reason = $2
+        WHERE family_id = $1 AND revoked_at IS NULL
+    `, [familyId, reason]);
+
+    if (await isRedisConnected()) {
+        await redisClient.setEx(`${KEY_PREFIX}family:${familyId}`, REVOCATION_TTL_SECONDS, reason);
+    }
+    return result.rowCount;
+};
+
+/**
+ * Revoke every token a user currently holds, e.g. when the account is deleted or banned.
+ * Tokens issued after this call (a fresh login) are not affected.
+ * @param {number} userId
+ * @param {string} reason
+ * @returns {Promise<number>} Refresh tokens revoked
+ */
+export const revokeUserTokens = async (userId, reason) => {
+    const result = await pool.query(`
+        UPDATE refresh_tokens
+        SET revoked_at = NOW(), revoke_reason = $2
+        WHERE user_id = $1 AND revoked_at IS NULL
+    `, [userId, reason]);
+
+    if (await isRedisConnected()) {
+        await redisClient.setEx(
+            `${KEY_PREFIX}user:${userId}`,
+            REVOCATION_TTL_SECONDS,
+            String(Math.floor(Date.now() / 1000))
+        );
+    } else {
+        console.error(`[TokenRevocation] Redis unavailable, access tokens for user ${userId} stay valid until they expire`);
+    }
+    return result.rowCount;
+};
+
+export default {
+    isTokenRevoked,
+    revokeAccessToken,
+    revokeTokenFamily,
+    revokeUserTokens
+};
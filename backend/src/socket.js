@@ -2,6 +2,8 @@ import { Server } from 'socket.io';
 import http from 'http';
 import pool from './config/database.js';
 import Redis from 'ioredis';
+import { createAdapter } from '@socket.io/redis-adapter';
+import { recordQualitySample } from './services/callQualityService.js';
 
 // Socket.IO instance
 let io;
@@ -9,6 +11,40 @@ let io;
 // Redis subscriber for real-time notifications
 let notificationSubscriber = null;
 
+/**
+ * Attach the Redis adapter so room broadcasts reach sockets connected to any backend process
+ */
+const initializeAdapter = () => {
+    const redisUrl = process.env.REDIS_URL || 'redis://redis:6379';
+
+    try {
+        const pubClient = new Redis(redisUrl);
+        const subClient = pubClient.duplicate();
+
+        pubClient.on('error', (err) => {
+            console.error('❌ Redis adapter publisher error:', err.message);
+        });
+        subClient.on('error', (err) => {
+            console.error('❌ Redis adapter subscriber error:', err.message);
+        });
+
+        io.adapter(createAdapter(pubClient, subClient));
+        console.log('✅ Socket.IO Redis adapter initialized');
+    } catch (error) {
+        console.error('❌ Failed to initialize Socket.IO Redis adapter, broadcasts stay local to this process:', error);
+    }
+};
+
+/**
+ * Count sockets in a room across all backend processes
+ * @param {string} room - Room name
+ * @returns {Promise<number>}
+ */
+const countSocketsInRoom = async (room) => {
+    const sockets = await io.in(room).fetchSockets();
+    return sockets.length;
+};
+
 /**
  * Initialize Redis subscriber for real-time notifications from notification-service
  */
@@ -191,6 +227,8 @@ export const initializeSocket = (server) => {
     });
     console.log('✅ Socket.IO initialized successfully');
 
+    initializeAdapter();
+
     // Initialize Redis subscriber for real-time notifications
     initializeNotificationSubscriber();
 
@@ -250,15 +288,14 @@ export const initializeSocket = (server) => {
         // ===== WebRTC Signaling Implementation =====
         
         // Handle room join for WebRTC
-        socket.on('join', (roomId) => {
+        socket.on('join', async (roomId) => {
             console.log(`Socket ${socket.id} joining WebRTC room: ${roomId}`);
             
             // Store the room this socket is joining
             socketRooms.set(socket.id, roomId);
             
-            // Get all sockets in the room
-            const roomClients = io.sockets.adapter.rooms.get(roomId);
-            const numClients = roomClients ? roomClients.size : 0;
+            // Get all sockets in the room (on every node)
+            const numClients = await countSocketsInRoom(roomId);
             
             if (numClients === 0) {
                 // First client joining the room
@@ -692,9 +729,8 @@ export const initializeSocket = (server) => {
                 socket.participantId = userId;
                 socket.participantType = userType;
 
-                // Get number of participants in the call room
-                const callRoom = io.sockets.adapter.rooms.get(`call-${roomId}`);
-                const participantCount = callRoom ? callRoom.size : 1;
+                // Get number of participants in the call room (on every node)
+                const participantCount = (await countSocketsInRoom(`call-${roomId}`)) || 1;
 
                 console.log(`📊 Call room call-${roomId} now has ${participantCount} participants`);
 
@@ -799,6 +835,41 @@ export const initializeSocket = (server) => {
             }
         });
 
+        // Handle periodic WebRTC quality summaries from the call page
+        socket.on('call-quality-stats', async (data) => {
+            // Only participants report on a call, as themselves
+            if (!data?.roomId || !socket.rooms.has(data.roomId)) return;
+
+            // Clients sample every 10s; drop anything faster so a misbehaving page can't flood the table
+            const now = Date.now();
+            if (socket.lastQualitySampleAt && now - socket.lastQualitySampleAt < 5000) {
+                return;
+            }
+            socket.lastQualitySampleAt = now;
+
+            try {
+                await recordQualitySample({
+                    roomId: data.roomId,
+                    userId: socket.userId,
+                    role: socket.userRole,
+                    sample: data.sample
+                });
+            } catch (error) {
+                console.error('❌ Error recording call quality sample:', error.message);
+            }
+        });
+
+        // Relay audio-only changes (manual pin or adaptive fallback) to the other participant
+        socket.on('call-media-mode', (data) => {
+            if (!data?.roomId || !socket.rooms.has(data.roomId)) return;
+
+            socket.to(data.roomId).emit('call-media-mode', {
+                from: socket.id,
+                audioOnly: !!data.audioOnly,
+                pinned: typeof data.pinned === 'boolean' ? data.pinned : undefined
+            });
+        });
+
         // Handle notification room join
         socket.on('join-notification-room', (data) => {
             const { userId, role } = data;
@@ -870,21 +941,13 @@ export const initializeSocket = (server) => {
                 
                 // Force disconnect all participants from the call room after a delay
                 setTimeout(() => {
-                    const callRoom = io.sockets.adapter.rooms.get(`call-${roomId}`);
-                    if (callRoom) {
-                        callRoom.forEach(socketId => {
-                            const participantSocket = io.sockets.sockets.get(socketId);
-                            if (participantSocket) {
-                                participantSocket.leave(`call-${roomId}`);
-                                participantSocket.emit('meeting-force-end', {
-                                    meetingId,
-                                    reason: 'session_timeout',
-                                    message: 'Session has ended automatically',
-                                    forceRedirect: true
-                                });
-                            }
-                        });
-                    }
+                    io.to(`call-${roomId}`).emit('meeting-force-end', {
+                        meetingId,
+                        reason: 'session_timeout',
+                        message: 'Session has ended automatically',
+                        forceRedirect: true
+                    });
+                    io.in(`call-${roomId}`).socketsLeave(`call-${roomId}`);
                 }, 5000); // 5 second delay to allow UI updates
             }
         });
@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../config/database.js';
+import {
+    logActivity,
+    diffChanges,
+    getAuditActor,
+    withAuditActor,
+    searchActivity,
+    exportActivityCsv
+} from '../services/activityLogService.js';
+import { routeQueries } from './helpers.js';
+
+/**
+ * pool.connect() stand-in recording what the transaction ran
+ */
+const stubTransaction = (t) => {
+    const statements = [];
+    t.mock.method(pool, 'connect', async () => ({
+        query: async (sql, params = []) => {
+            statements.push({ sql: sql.trim(), params });
+            return { rows: [] };
+        },
+        release: () => {}
+    }));
+    return statements;
+};
+
+describe('diffChanges', () => {
+    it('lists only the fields that changed, comparing dates by value', () => {
+        const before = { status: 'scheduled', scheduled_time: new Date('2026-05-01T10:00:00Z'), notes: null };
+        const after = { status: 'scheduled', scheduled_time: new Date('2026-05-01T10:00:00Z'), notes: 'Bring a book' };
+
+        assert.deepEqual(diffChanges(before, after), { notes: { from: null, to: 'Bring a book' } });
+        assert.deepEqual(diffChanges(before, { ...before }), {});
+    });
+
+    it('records that a secret changed without its value', () => {
+        assert.deepEqual(
+            diffChanges({ password_hash: 'old', pin_hash: null }, { password_hash: 'new', pin_hash: 'set' }),
+            {
+                password_hash: { from: '[redacted]', to: '[redacted]' },
+                pin_hash: { from: null, to: '[redacted]' }
+            }
+        );
+    });
+
+    it('compares only the requested fields, and handles creates and deletes', () => {
+        assert.deepEqual(diffChanges({ a: 1, b: 1 }, { a: 2, b: 2 }, ['a']), { a: { from: 1, to: 2 } });
+        assert.deepEqual(diffChanges(null, { a: 1 }), { a: { from: null, to: 1 } });
+        assert.deepEqual(diffChanges({ a: 1 }, null), { a: { from: 1, to: null } });
+    });
+});
+
+describe('logActivity', () => {
+    it('stores details and a non-empty diff as JSON', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([[/INSERT INTO activity_log/, (params) => [{ params }]]]));
+
+        const { params } = await logActivity({ userId: 1, userRole: 'admin', action: 'user_updated', entityType: 'user', entityId: 5, details: { via: 'admin' }, changes: {} });
+
+        assert.deepEqual(params, [1, 'admin', 'user_updated', 'user', 5, '{"via":"admin"}', null, null]);
+    });
+
+    it('never fails the action it is recording', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        t.mock.method(pool, 'query', async () => { throw new Error('relation "activity_log" does not exist'); });
+
+        assert.equal(await logActivity({ action: 'user_updated', entityType: 'user' }), null);
+    });
+});
+
+describe('withAuditActor', () => {
+    it('tags the transaction with the acting user for the meeting audit trigger', async (t) => {
+        const statements = stubTransaction(t);
+        const actor = getAuditActor({ user: { id: 7, role: 'volunteer' }, ip: '10.0.0.7' });
+
+        const result = await withAuditActor(actor, async (client) => {
+            await client.query('UPDATE meetings SET status = $1', ['canceled']);
+            return 'done';
+        });
+
+        assert.equal(result, 'done');
+        assert.deepEqual(statements.map(s => s.sql.split(/\s/)[0]), ['BEGIN', 'SELECT', 'UPDATE', 'COMMIT']);
+        assert.deepEqual(statements[1].params, ['7', 'volunteer', '10.0.0.7']);
+    });
+
+    it('leaves the actor blank for system changes and rolls back on failure', async (t) => {
+        const statements = stubTransaction(t);
+
+        await assert.rejects(withAuditActor(null, async () => { throw new Error('boom'); }), /boom/);
+
+        assert.deepEqual(statements[1].params, ['', '', '']);
+        assert.equal(statements.at(-1).sql, 'ROLLBACK');
+    });
+});
+
+describe('searchActivity', () => {
+    it('numbers the filter parameters and clamps paging', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([
+            [/SELECT COUNT\(\*\) FROM activity_log/, [{ count: '450' }]],
+            [/FROM activity_log a/, (params, sql) => [{ params, sql }]]
+        ]));
+
+        const { entries, pagination } = await searchActivity(
+            { q: 'recording', action: 'recording_started', userId: '3' },
+            { page: '2', limit: 1000 }
+        );
+
+        const [{ params, sql }] = entries;
+        assert.deepEqual(params, ['recording_started', 3, '%recording%', 200, 200]);
+        assert.match(sql, /a\.action = \$1 AND a\.user_id = \$2 AND \(a\.action ILIKE \$3/);
+        assert.match(sql, /LIMIT \$4 OFFSET \$5/);
+        assert.deepEqual(pagination, { page: 2, limit: 200, total: 450, totalPages: 3 });
+    });
+
+    it('exports the matching entries as CSV', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([
+            [/FROM activity_log a/, [{ id: 1, action: 'user_updated', entity_type: 'user', details: { note: 'Said "hi", left' } }]]
+        ]));
+
+        const lines = (await exportActivityCsv({ entityType: 'user' })).split(/\r?\n/);
+
+        assert.equal(lines[0], 'id,created_at,user_id,user_name,user_email,user_role,action,entity_type,entity_id,ip_address,changes,details');
+        assert.ok(lines[1].startsWith('1,,,,,,user_updated,user,'));
+        assert.ok(lines[1].endsWith('"{""note"":""Said \\""hi\\"", left""}"'));
+    });
+});
@@ -0,0 +1,171 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+// The ladder ships to browsers as a plain script; run it in a context with the globals it uses
+const source = readFileSync(new URL('../../../frontends/shared/js/adaptive-quality.js', import.meta.url), 'utf8');
+
+const loadController = (connection) => {
+    const context = {
+        window: {},
+        navigator: { connection },
+        EventTarget,
+        CustomEvent,
+        console: { log: () => {}, warn: () => {} },
+        setInterval,
+        clearInterval
+    };
+    vm.runInNewContext(source, context);
+    return context.window.AdaptiveQualityController;
+};
+
+const AdaptiveQualityController = loadController(undefined);
+
+const createSender = (kind) => ({
+    track: { kind },
+    params: { encodings: [{}] },
+    getParameters() { return structuredClone(this.params); },
+    async setParameters(params) { this.params = params; }
+});
+
+/**
+ * Peer connection stand-in whose getStats() reports the given uplink; packet counters
+ * accumulate across calls like the real ones
+ */
+const createPeerConnection = () => {
+    const link = { availableKbps: 1000, rttMs: 50, lossPct: 0 };
+    const counters = { packetsSent: 0, packetsLost: 0 };
+    const senders = [createSender('audio'), createSender('video')];
+
+    return {
+        link,
+        senders,
+        connectionState: 'connected',
+        getSenders: () => senders,
+        async getStats() {
+            counters.packetsSent += 1000;
+            counters.packetsLost += Math.round(link.lossPct * 10);
+            return [
+                { id: 'transport', type: 'transport', selectedCandidatePairId: 'pair' },
+                { id: 'pair', type: 'candidate-pair', availableOutgoingBitrate: link.availableKbps * 1000, currentRoundTripTime: link.rttMs / 1000 },
+                { id: 'out', type: 'outbound-rtp', packetsSent: counters.packetsSent },
+                { id: 'in', type: 'remote-inbound-rtp', localId: 'out', packetsLost: counters.packetsLost }
+            ];
+        }
+    };
+};
+
+const createController = () => {
+    const controller = new AdaptiveQualityController({ degradeAfter: 2, recoverAfter: 3 });
+    const pc = createPeerConnection();
+    controller.pc = pc;
+    return { controller, pc };
+};
+
+// pinAudioOnly applies the level without waiting; let it reach the senders
+const applied = () => new Promise(resolve => setImmediate(resolve));
+
+const evaluateTimes = async (controller, times) => {
+    for (let i = 0; i < times; i++) {
+        await controller.evaluate();
+    }
+};
+
+describe('AdaptiveQualityController', () => {
+    it('starts lower on slow connections', () => {
+        assert.equal(loadController({ effectiveType: '2g' }).initialLevelIndex(), 3);
+        assert.equal(loadController({ effectiveType: '3g' }).initialLevelIndex(), 2);
+        assert.equal(loadController({ effectiveType: '4g' }).initialLevelIndex(), 0);
+        assert.equal(AdaptiveQualityController.getCaptureConstraints(), true);
+    });
+
+    it('measures loss over the interval since the previous sample', async () => {
+        const { controller, pc } = createController();
+        assert.equal((await controller.evaluate()).lossPct, null);
+
+        pc.link.lossPct = 12;
+        const metrics = await controller.evaluate();
+        assert.equal(Math.round(metrics.lossPct), 12);
+        assert.equal(metrics.availableKbps, 1000);
+        assert.equal(metrics.rttMs, 50);
+    });
+
+    it('steps down only after consecutive congested samples', async () => {
+        const { controller, pc } = createController();
+        await controller.evaluate();
+
+        pc.link.availableKbps = 250;
+        await controller.evaluate();
+        assert.equal(controller.level.name, 'high');
+
+        await controller.evaluate();
+        assert.equal(controller.level.name, 'medium');
+
+        await evaluateTimes(controller, 2);
+        assert.equal(controller.level.name, 'low');
+    });
+
+    it('falls back to audio-only and turns the video sender off', async () => {
+        const { controller, pc } = createController();
+        await controller.evaluate();
+
+        pc.link.rttMs = 1200;
+        await evaluateTimes(controller, 8);
+
+        assert.equal(controller.level.name, 'audio-only');
+        const [audio, video] = pc.senders;
+        assert.equal(video.params.encodings[0].active, false);
+        assert.equal(audio.params.encodings[0].maxBitrate, AdaptiveQualityController.AUDIO_ONLY_BITRATE);
+    });
+
+    it('steps up only with headroom after enough healthy samples', async () => {
+        const { controller, pc } = createController();
+        controller.levelIndex = 2;
+        await controller.evaluate();
+
+        // Enough for "low" but not 1.3x what "medium" needs
+        pc.link.availableKbps = 350;
+        await evaluateTimes(controller, 4);
+        assert.equal(controller.level.name, 'low');
+
+        pc.link.availableKbps = 400;
+        await evaluateTimes(controller, 2);
+        assert.equal(controller.level.name, 'low');
+        await controller.evaluate();
+        assert.equal(controller.level.name, 'medium');
+        assert.equal(pc.senders[1].params.encodings[0].scaleResolutionDownBy, 2);
+    });
+
+    it('holds audio-only while either side pins it', async () => {
+        const { controller, pc } = createController();
+        const changes = [];
+        controller.addEventListener('levelchange', (event) => changes.push(event.detail));
+
+        controller.pinAudioOnly(true, 'local');
+        await applied();
+        controller.pinAudioOnly(true, 'remote');
+        controller.pinAudioOnly(false, 'local');
+        await evaluateTimes(controller, 5);
+        assert.equal(controller.audioOnly, true);
+
+        controller.pinAudioOnly(false, 'remote');
+        await applied();
+        assert.equal(controller.audioOnly, false);
+        assert.deepEqual(changes.map(c => [c.audioOnly, c.pinned, c.reason]), [
+            [true, 'local', 'pinned-local'],
+            [false, null, 'unpinned-remote']
+        ]);
+        assert.equal(pc.senders[1].params.encodings[0].active, true);
+    });
+
+    it('resumes from the lowest video level when a pin is released at audio-only', () => {
+        const { controller } = createController();
+        controller.levelIndex = AdaptiveQualityController.LEVELS.length - 1;
+
+        controller.pinAudioOnly(true);
+        controller.pinAudioOnly(false);
+
+        assert.equal(controller.level.name, 'minimal');
+    });
+});
@@ -0,0 +1,127 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import pool from '../config/database.js';
+import {
+    startTotpEnrollment,
+    activateTotp,
+    verifySecondFactor,
+    getLoginSecondFactor
+} from '../services/adminTotpService.js';
+import { generateTotpCode } from '../utils/totp.js';
+import { routeQueries, settingsRoute } from './helpers.js';
+
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+const hashBackupCode = (code) => crypto.createHash('sha256').update(code.replace(/-/g, '')).digest('hex');
+
+describe('admin two-factor authentication', () => {
+    let admin;
+    let backupCodes;
+
+    /**
+     * The admin's users row and backup codes in memory, updated the way the SQL would
+     */
+    const stubAdmin = (t, settings = {}) => {
+        admin = { id: 3, email: 'admin@example.com', role: 'admin', totp_secret: null, totp_enabled_at: null, totp_last_used_step: null, login_failed_attempts: 0, login_locked_until: null };
+        backupCodes = new Map();
+        const query = routeQueries([
+            settingsRoute(t, settings),
+            [/FROM users WHERE id = \$1 AND role = 'admin'/, () => [{ ...admin }]],
+            [/SET totp_secret = \$2/, ([, secret]) => { admin.totp_secret = secret; return []; }],
+            [/SET totp_enabled_at = NOW\(\)/, ([, step]) => { Object.assign(admin, { totp_enabled_at: new Date(), totp_last_used_step: step }); return []; }],
+            [/SET totp_last_used_step = \$2/, ([, step]) => { admin.totp_last_used_step = step; return []; }],
+            [/DELETE FROM admin_backup_codes/, () => { backupCodes.clear(); return []; }],
+            [/INSERT INTO admin_backup_codes/, ([, hashes]) => { hashes.forEach(hash => backupCodes.set(hash, null)); return []; }],
+            [/UPDATE admin_backup_codes SET used_at/, ([, hash]) => {
+                if (!backupCodes.has(hash) || backupCodes.get(hash)) return [];
+                backupCodes.set(hash, new Date());
+                return [{ id: 1 }];
+            }],
+            [/SELECT COUNT\(\*\) FROM admin_backup_codes/, () => [{ count: String([...backupCodes.values()].filter(usedAt => !usedAt).length) }]],
+            [/login_failed_attempts \+ 1 >= \$2/, ([, maxAttempts, lockoutMinutes]) => {
+                if (admin.login_failed_attempts + 1 >= maxAttempts) {
+                    Object.assign(admin, { login_failed_attempts: 0, login_locked_until: new Date(Date.now() + lockoutMinutes * 60000) });
+                } else {
+                    admin.login_failed_attempts += 1;
+                }
+                return [{ login_failed_attempts: admin.login_failed_attempts, login_locked_until: admin.login_locked_until }];
+            }],
+            [/SET login_failed_attempts = 0, login_locked_until = NULL/, () => { Object.assign(admin, { login_failed_attempts: 0, login_locked_until: null }); return []; }]
+        ]);
+        t.mock.method(pool, 'query', query);
+        t.mock.method(pool, 'connect', async () => ({ query, release: () => {} }));
+    };
+
+    const enroll = async () => {
+        const { secret } = await startTotpEnrollment(admin.id);
+        const { backupCodes: codes } = await activateTotp({ userId: admin.id, code: generateTotpCode(secret, currentStep() - 1) });
+        return { secret, codes };
+    };
+
+    beforeEach((t) => stubAdmin(t));
+
+    it('turns on only after the admin proves their app matches, and stores the secret encrypted', async () => {
+        const { secret, otpauthUri } = await startTotpEnrollment(admin.id);
+        assert.ok(otpauthUri.includes(`secret=${secret}`));
+        assert.ok(!admin.totp_secret.includes(secret));
+
+        await assert.rejects(activateTotp({ userId: admin.id, code: '000000' }), { status: 401, code: 'INVALID_TOTP_CODE' });
+        assert.equal(admin.totp_enabled_at, null);
+
+        const { backupCodes: codes } = await activateTotp({ userId: admin.id, code: generateTotpCode(secret) });
+        assert.equal(codes.length, 10);
+        assert.ok(codes.every(code => /^[0-9a-f]{4}-[0-9a-f]{4}$/.test(code)));
+        assert.ok(admin.totp_enabled_at);
+        await assert.rejects(startTotpEnrollment(admin.id), { status: 409, code: 'TOTP_ALREADY_ENABLED' });
+    });
+
+    it('does not accept the same app code twice', async () => {
+        const { secret } = await enroll();
+        const code = generateTotpCode(secret);
+
+        assert.deepEqual(await verifySecondFactor({ userId: admin.id, code }), { method: 'totp' });
+        await assert.rejects(verifySecondFactor({ userId: admin.id, code }), { status: 401, code: 'INVALID_TOTP_CODE' });
+    });
+
+    it('uses up backup codes one at a time', async () => {
+        const { codes } = await enroll();
+        assert.ok(backupCodes.has(hashBackupCode(codes[0])));
+
+        assert.deepEqual(
+            await verifySecondFactor({ userId: admin.id, code: codes[0].toUpperCase() }),
+            { method: 'backup_code', backupCodesRemaining: 9 }
+        );
+        await assert.rejects(verifySecondFactor({ userId: admin.id, code: codes[0] }), { code: 'INVALID_TOTP_CODE' });
+    });
+
+    it('locks two-factor sign-in after five wrong codes', async () => {
+        const { secret } = await enroll();
+
+        for (let i = 0; i < 4; i++) {
+            await assert.rejects(verifySecondFactor({ userId: admin.id, code: '000000' }), { status: 401 });
+        }
+        await assert.rejects(verifySecondFactor({ userId: admin.id, code: '000000' }), { status: 423, code: 'LOGIN_LOCKED' });
+        await assert.rejects(verifySecondFactor({ userId: admin.id, code: generateTotpCode(secret) }), { status: 423 });
+    });
+});
+
+describe('getLoginSecondFactor', () => {
+    const withEnforceFrom = (t, value) => t.mock.method(pool, 'query', routeQueries([
+        settingsRoute(t, { 'security.admin_totp_enforce_from': value })
+    ]));
+
+    it('asks enrolled admins for a code whatever the enforcement date', async (t) => {
+        withEnforceFrom(t, '');
+        assert.equal(await getLoginSecondFactor({ totp_enabled_at: new Date() }), 'verify');
+        assert.equal(await getLoginSecondFactor({ totp_enabled_at: null }), null);
+    });
+
+    it('sends everyone else through enrollment once the date has passed', async (t) => {
+        withEnforceFrom(t, '2020-01-01');
+        assert.equal(await getLoginSecondFactor({ totp_enabled_at: null }), 'enroll');
+
+        t.mock.restoreAll();
+        withEnforceFrom(t, '2999-01-01');
+        assert.equal(await getLoginSecondFactor({ totp_enabled_at: null }), null);
+    });
+});
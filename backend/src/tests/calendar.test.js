@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCalendar, buildMeetingEvent, meetingEventUid } from '../utils/calendar.js';
+
+const EVENT = {
+    meetingId: 42,
+    start: '2026-03-01T14:00:00Z',
+    durationMinutes: 40,
+    summary: 'TalkTime conversation with Sam',
+    alarmMinutes: 10
+};
+
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+const contentLines = (ics) => unfold(ics).split('\r\n');
+
+describe('buildMeetingEvent', () => {
+    it('gives the meeting one UID and times in UTC', () => {
+        const lines = buildMeetingEvent({ ...EVENT, sequence: 2 });
+
+        assert.equal(meetingEventUid(42), 'meeting-42@talktime.adea.ke');
+        assert.ok(lines.includes('UID:meeting-42@talktime.adea.ke'));
+        assert.ok(lines.includes('SEQUENCE:2'));
+        assert.ok(lines.includes('DTSTART:20260301T140000Z'));
+        assert.ok(lines.includes('DTEND:20260301T144000Z'));
+        assert.ok(lines.includes('STATUS:CONFIRMED'));
+        assert.ok(lines.includes('TRIGGER:-PT10M'));
+    });
+
+    it('marks a canceled meeting free and drops its reminder', () => {
+        const lines = buildMeetingEvent({ ...EVENT, canceled: true });
+
+        assert.ok(lines.includes('STATUS:CANCELLED'));
+        assert.ok(lines.includes('TRANSP:TRANSPARENT'));
+        assert.ok(!lines.includes('BEGIN:VALARM'));
+    });
+
+    it('escapes text values and quotes names that contain separators', () => {
+        const lines = buildMeetingEvent({
+            ...EVENT,
+            summary: 'Talk; with, Sam\\Ann',
+            description: 'Line one\r\nLine two',
+            attendees: [{ name: 'Otieno, "Sam": B', email: 'sam@example.com' }, { name: 'No email' }]
+        });
+
+        assert.ok(lines.includes('SUMMARY:Talk\\; with\\, Sam\\\\Ann'));
+        assert.ok(lines.includes('DESCRIPTION:Line one\\nLine two'));
+        const attendees = lines.filter(line => line.startsWith('ATTENDEE'));
+        assert.deepEqual(attendees, [
+            'ATTENDEE;CN="Otieno, Sam: B";ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED;RSVP=FALSE:mailto:sam@example.com'
+        ]);
+    });
+});
+
+describe('buildCalendar', () => {
+    it('wraps the events with CRLF line endings and the iTIP method', () => {
+        const ics = buildCalendar([buildMeetingEvent(EVENT)], { method: 'REQUEST' });
+
+        assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+        assert.ok(ics.endsWith('END:VEVENT\r\nEND:VCALENDAR\r\n'));
+        assert.ok(contentLines(ics).includes('METHOD:REQUEST'));
+        assert.doesNotMatch(ics.replace(/\r\n/g, ''), /[\r\n]/);
+    });
+
+    it('names a feed and asks subscribers to refresh hourly', () => {
+        const lines = contentLines(buildCalendar([], { name: 'TalkTime; meetings' }));
+
+        assert.ok(lines.includes('X-WR-CALNAME:TalkTime\\; meetings'));
+        assert.ok(lines.includes('REFRESH-INTERVAL;VALUE=DURATION:PT1H'));
+        assert.ok(!lines.some(line => line.startsWith('METHOD')));
+    });
+
+    it('folds long lines at 75 octets without splitting multi-byte characters', () => {
+        const summary = `Mazungumzo na Wanjirũ ${'🌍'.repeat(30)} ${'a'.repeat(100)}`;
+        const ics = buildCalendar([buildMeetingEvent({ ...EVENT, summary })]);
+
+        for (const line of ics.split('\r\n')) {
+            assert.ok(Buffer.byteLength(line, 'utf8') <= 75, line);
+            assert.doesNotMatch(line, /�/);
+        }
+        assert.ok(contentLines(ics).includes(`SUMMARY:${summary}`));
+        assert.ok(ics.split('\r\n').filter(line => line.startsWith(' ')).length >= 3);
+    });
+});
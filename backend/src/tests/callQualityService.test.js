@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../config/database.js';
+import { rateQuality, recordQualitySample } from '../services/callQualityService.js';
+import { routeQueries } from './helpers.js';
+
+describe('rateQuality', () => {
+    it('rates by the worse of round-trip time and packet loss', () => {
+        assert.equal(rateQuality({ rttMs: 80, packetLossPct: 0.5 }), 'good');
+        assert.equal(rateQuality({ rttMs: 200, packetLossPct: 0 }), 'fair');
+        assert.equal(rateQuality({ rttMs: 80, packetLossPct: 2 }), 'fair');
+        assert.equal(rateQuality({ rttMs: 400, packetLossPct: 0 }), 'poor');
+        assert.equal(rateQuality({ rttMs: 150, packetLossPct: 7 }), 'poor');
+    });
+
+    it('rates on whichever metric was reported', () => {
+        assert.equal(rateQuality({ rttMs: 450 }), 'poor');
+        assert.equal(rateQuality({ packetLossPct: 1 }), 'good');
+        assert.equal(rateQuality({ rttMs: null, packetLossPct: undefined }), 'unknown');
+    });
+});
+
+describe('recordQualitySample', () => {
+    const stubDatabase = (t) => t.mock.method(pool, 'query', routeQueries([
+        [/FROM meetings WHERE room_id/, [{ id: 42 }]],
+        [/INSERT INTO call_quality_samples/, (params) => [{ params }]]
+    ]));
+
+    it('ignores reports without a room or a sample', async (t) => {
+        stubDatabase(t);
+        assert.equal(await recordQualitySample({ roomId: 'room-1' }), null);
+        assert.equal(await recordQualitySample({ sample: { rttMs: 100 } }), null);
+        assert.equal(pool.query.mock.callCount(), 0);
+    });
+
+    it('links the sample to the room\'s meeting and bounds what the client reported', async (t) => {
+        stubDatabase(t);
+
+        const { params } = await recordQualitySample({
+            roomId: 'room-1',
+            userId: '5',
+            role: 'student',
+            sample: {
+                rttMs: 123.6,
+                packetLossPct: 250,
+                outboundBitrateKbps: -3,
+                framesPerSecond: 'fast',
+                relayed: true,
+                localCandidateType: 'relay',
+                remoteCandidateType: 'carrier-pigeon',
+                connectionState: 'connected'
+            }
+        });
+
+        assert.deepEqual(params, [
+            42, 'room-1', 5, 'student',
+            124, 100, null, null,
+            null, null, null,
+            true, 'relay', null, 'connected'
+        ]);
+    });
+
+    it('drops identities it cannot trust', async (t) => {
+        stubDatabase(t);
+        const { params } = await recordQualitySample({ roomId: 'room-1', userId: 'abc', role: 'superuser', sample: {} });
+        assert.equal(params[2], null);
+        assert.equal(params[3], null);
+    });
+});
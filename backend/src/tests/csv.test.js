@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, formatCsvCell, toCsv } from '../utils/csv.js';
+
+describe('parseCsv', () => {
+    it('reads quoted cells with commas, doubled quotes and line breaks', () => {
+        const text = 'name,story\r\n"Doe, Jane","She said ""hello""\nand left"\r\nSam,\r\n';
+        assert.deepEqual(parseCsv(text), [
+            ['name', 'story'],
+            ['Doe, Jane', 'She said "hello"\nand left'],
+            ['Sam', '']
+        ]);
+    });
+
+    it('drops Excel\'s byte order mark and skips blank lines', () => {
+        assert.deepEqual(parseCsv('\uFEFFa,b\n\n,\nc,d'), [['a', 'b'], ['c', 'd']]);
+    });
+
+    it('keeps a final row without a line break', () => {
+        assert.deepEqual(parseCsv('a\nb'), [['a'], ['b']]);
+        assert.deepEqual(parseCsv(''), []);
+    });
+});
+
+describe('formatCsvCell', () => {
+    it('quotes cells that need it', () => {
+        assert.equal(formatCsvCell('plain'), 'plain');
+        assert.equal(formatCsvCell('a,b'), '"a,b"');
+        assert.equal(formatCsvCell('say "hi"'), '"say ""hi"""');
+        assert.equal(formatCsvCell('two\nlines'), '"two\nlines"');
+    });
+
+    it('writes dates, objects and empty values', () => {
+        assert.equal(formatCsvCell(new Date('2026-05-01T10:00:00Z')), '2026-05-01T10:00:00.000Z');
+        assert.equal(formatCsvCell({ a: 1 }), '"{""a"":1}"');
+        assert.equal(formatCsvCell(null), '');
+        assert.equal(formatCsvCell(undefined), '');
+        assert.equal(formatCsvCell(0), '0');
+    });
+
+    it('stops spreadsheets from evaluating formulas', () => {
+        assert.equal(formatCsvCell('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+        assert.equal(formatCsvCell('+254700000000'), '\'+254700000000');
+        assert.equal(formatCsvCell('-1'), '\'-1');
+        assert.equal(formatCsvCell('@cmd'), '\'@cmd');
+    });
+});
+
+describe('toCsv', () => {
+    it('writes a header row and CRLF lines that parseCsv reads back', () => {
+        const csv = toCsv(['id', 'note'], [{ id: 1, note: 'a, b' }, { id: 2 }]);
+
+        assert.equal(csv, 'id,note\r\n1,"a, b"\r\n2,\r\n');
+        assert.deepEqual(parseCsv(csv), [['id', 'note'], ['1', 'a, b'], ['2', '']]);
+    });
+});
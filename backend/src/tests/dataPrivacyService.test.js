@@ -0,0 +1,142 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+import pool from '../config/database.js';
+import {
+    collectVolunteerData,
+    writeVolunteerDataArchive,
+    erasePersonalData
+} from '../services/dataPrivacyService.js';
+import { routeQueries, useFakeRedis } from './helpers.js';
+
+const ADMIN_ACTOR = { userId: 3, userRole: 'admin', ipAddress: '10.0.0.3' };
+
+const VOLUNTEER_ROW = {
+    id: 1,
+    role: 'volunteer',
+    full_name: 'Vera Volunteer',
+    email: 'vera@example.com',
+    password_hash: '$2b$10$secret',
+    totp_secret: 'encrypted',
+    security_answer_1_hash: 'hash',
+    static_certificate_id: 'CERT-1',
+    profile_image: null
+};
+
+describe('collectVolunteerData', () => {
+    const stubVolunteer = (t, completedCalls) => t.mock.method(pool, 'query', routeQueries([
+        [/SELECT \* FROM users WHERE id = \$1 AND role = 'volunteer'/, ([id]) => (id === 1 ? [VOLUNTEER_ROW] : [])],
+        [/SELECT COUNT\(\*\) as completed_calls/, [{ completed_calls: String(completedCalls) }]],
+        [/FROM messages m/, [{ id: 5, content: 'Hello', direction: 'sent' }]]
+    ]));
+
+    it('exports the profile without credentials', async (t) => {
+        stubVolunteer(t, 4);
+
+        const { files, media } = await collectVolunteerData(1);
+
+        assert.equal(files['profile.json'].full_name, 'Vera Volunteer');
+        for (const secret of ['password_hash', 'totp_secret', 'security_answer_1_hash']) {
+            assert.equal(secret in files['profile.json'], false, secret);
+        }
+        assert.deepEqual(files['messages.json'], [{ id: 5, content: 'Hello', direction: 'sent' }]);
+        assert.deepEqual(files['certificates.json'], { certificateId: 'CERT-1', issuedTo: 'Vera Volunteer', completedCalls: 4, eligible: true });
+        assert.deepEqual(media, []);
+    });
+
+    it('only exports volunteers that have not been erased', async (t) => {
+        stubVolunteer(t, 0);
+        await assert.rejects(collectVolunteerData(2), { status: 404, code: 'NOT_FOUND' });
+    });
+
+    it('streams a zip with a README and one file per kind of record', async (t) => {
+        stubVolunteer(t, 0);
+        const output = new PassThrough();
+        const chunks = [];
+        output.on('data', chunk => chunks.push(chunk));
+
+        await writeVolunteerDataArchive(1, output, ADMIN_ACTOR);
+
+        const zip = Buffer.concat(chunks);
+        assert.equal(zip.readUInt32LE(0), 0x04034b50);
+        for (const name of ['README.txt', 'profile.json', 'meetings.json', 'certificates.json']) {
+            assert.ok(zip.includes(`talktime-data/${name}`), name);
+        }
+        const logged = pool.query.mock.calls.find(c => /INSERT INTO activity_log/.test(c.arguments[0]));
+        assert.equal(logged.arguments[1][2], 'personal_data_exported');
+    });
+});
+
+describe('erasePersonalData', () => {
+    let redis;
+    let statements;
+
+    beforeEach(async (t) => {
+        redis = await useFakeRedis(t);
+    });
+
+    /**
+     * @param {Object} user - users row to erase
+     * @param {number} upcoming - Upcoming meetings
+     * @param {string[]} columns - Columns the users table has
+     */
+    const stubErasure = (t, user, { upcoming = 0, columns = ['phone', 'bio', 'profile_image'] } = {}) => {
+        statements = [];
+        t.mock.method(pool, 'query', routeQueries([
+            [/SELECT id, role, email, full_name, profile_image, erased_at FROM users/, [user]],
+            [/SELECT COUNT\(\*\) as count FROM meetings/, [{ count: String(upcoming) }]],
+            [/FROM students WHERE user_id/, [{ id: 20, photo_url: '/uploads/students/../../../etc/passwd', gallery: [] }]]
+        ]));
+        t.mock.method(pool, 'connect', async () => ({
+            query: routeQueries([
+                [/information_schema\.columns/, columns.map(column_name => ({ column_name }))],
+                [/.*/, (params, sql) => { statements.push({ sql, params }); return []; }]
+            ]),
+            release: () => {}
+        }));
+    };
+
+    it('anonymises the account, clears the columns that exist and signs the user out', async (t) => {
+        stubErasure(t, { id: 1, role: 'volunteer', email: 'vera@example.com', full_name: 'Vera', profile_image: null });
+
+        const { role, removed } = await erasePersonalData({ userId: 1, actor: ADMIN_ACTOR });
+
+        assert.equal(role, 'volunteer');
+        assert.equal(removed.files, 0);
+        const update = statements.find(s => /^UPDATE users SET/.test(s.sql));
+        assert.match(update.sql, /phone = NULL, profile_image = NULL, bio = NULL, is_approved = false/);
+        assert.doesNotMatch(update.sql, /gallery_images|story/);
+        assert.deepEqual(update.params.slice(1, 4), ['Erased Volunteer', 'erased-1', 'erased-1@erased.talktime.local']);
+        assert.notEqual(update.params[4], '$2b$10$secret');
+        assert.equal(update.params[5], ADMIN_ACTOR.userId);
+        assert.ok(await redis.get('auth:revoked:user:1'));
+        assert.ok(statements.some(s => /DELETE FROM messages/.test(s.sql)));
+        assert.ok(!statements.some(s => /safeguarding_incidents|call_recording_consents/.test(s.sql)));
+    });
+
+    it('blanks the student profile and never touches files outside uploads', async (t) => {
+        stubErasure(t, { id: 2, role: 'student', email: 'sam@talktime.local', full_name: 'Sam', profile_image: '/uploads/../package.json' });
+
+        const { removed } = await erasePersonalData({ userId: 2, actor: ADMIN_ACTOR });
+
+        assert.equal(removed.files, 0);
+        const student = statements.find(s => /UPDATE students/.test(s.sql));
+        assert.deepEqual(student.params, [20, 'erased-2']);
+    });
+
+    it('refuses admins, erased accounts and users with meetings still to come', async (t) => {
+        stubErasure(t, { id: 3, role: 'admin' });
+        await assert.rejects(erasePersonalData({ userId: 3, actor: ADMIN_ACTOR }), { status: 400, code: 'ADMIN_ACCOUNT' });
+
+        t.mock.restoreAll();
+        redis = await useFakeRedis(t);
+        stubErasure(t, { id: 1, role: 'volunteer', erased_at: new Date() });
+        await assert.rejects(erasePersonalData({ userId: 1, actor: ADMIN_ACTOR }), { status: 409, code: 'ALREADY_ERASED' });
+
+        t.mock.restoreAll();
+        redis = await useFakeRedis(t);
+        stubErasure(t, { id: 1, role: 'volunteer', full_name: 'Vera' }, { upcoming: 2 });
+        await assert.rejects(erasePersonalData({ userId: 1, actor: ADMIN_ACTOR }), { status: 409, code: 'UPCOMING_MEETINGS' });
+        assert.deepEqual(statements, []);
+    });
+});
@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderEmail, escapeHtml } from '../utils/email/layout.js';
+import { EMAIL_TEMPLATES, EMAIL_TEMPLATE_NAMES, renderEmailTemplate } from '../utils/email/index.js';
+import { SUPPORTED_LOCALES } from '../i18n/index.js';
+
+const CHROME = { locale: 'en', tagline: 'Tagline', footer: 'Footer', mission: 'Mission', linkFallback: 'Or open this link:' };
+
+describe('renderEmail', () => {
+    it('escapes everything a template hands over', () => {
+        const { html, text } = renderEmail({
+            subject: 'Hi <Amina>',
+            heading: 'Booked',
+            greeting: 'Hi <b>Amina</b>,',
+            paragraphs: ['Tom & "Jerry"'],
+            details: [{ label: 'With', value: '<script>alert(1)</script>' }],
+            action: { label: 'Open', url: 'https://talktime.example/?a=1&b="2"' }
+        }, CHROME);
+
+        assert.equal(escapeHtml(`<a href='x'>&</a>`), '&lt;a href=&#39;x&#39;&gt;&amp;&lt;/a&gt;');
+        assert.ok(html.includes('Hi &lt;b&gt;Amina&lt;/b&gt;,'));
+        assert.ok(html.includes('Tom &amp; &quot;Jerry&quot;'));
+        assert.ok(!html.includes('<script>'));
+        assert.ok(html.includes('href="https://talktime.example/?a=1&amp;b=&quot;2&quot;"'));
+        // The text alternative is the same content, unescaped
+        assert.ok(text.includes('Hi <b>Amina</b>,'));
+        assert.ok(text.includes('With: <script>alert(1)</script>'));
+        assert.ok(text.includes('Open: https://talktime.example/?a=1&b="2"'));
+    });
+
+    it('drops buttons that are not http(s) links', () => {
+        const { html, text } = renderEmail({ subject: 'S', heading: 'H', action: { label: 'Open', url: 'javascript:alert(1)' } }, CHROME);
+
+        assert.ok(!html.includes('javascript:'));
+        assert.ok(!text.includes('Open:'));
+    });
+
+    it('keeps the subject on one line', () => {
+        assert.equal(renderEmail({ subject: 'Hello\r\nBcc: victim@example.com ', heading: 'H' }, CHROME).subject, 'Hello Bcc: victim@example.com');
+    });
+});
+
+describe('renderEmailTemplate', () => {
+    it('renders every template\'s sample in every language without leftover placeholders', () => {
+        for (const name of EMAIL_TEMPLATE_NAMES) {
+            for (const locale of SUPPORTED_LOCALES) {
+                const { subject, html, text } = renderEmailTemplate(name, locale, EMAIL_TEMPLATES[name].sample(), { timeZone: 'Africa/Nairobi' });
+
+                assert.ok(subject.length > 0, `${name} ${locale}`);
+                assert.doesNotMatch(`${subject}\n${text}`, /\{\w+\}|email\.\w/, `${name} ${locale}`);
+                assert.ok(html.startsWith(`<!DOCTYPE html>\n<html lang="${locale}">`), `${name} ${locale}`);
+            }
+        }
+    });
+
+    it('formats meeting times in the reader\'s timezone', () => {
+        const data = { ...EMAIL_TEMPLATES.meeting_scheduled.sample(), partnerName: 'Amina', time: '2026-03-02T12:00:00Z' };
+
+        assert.match(renderEmailTemplate('meeting_scheduled', 'en', data, { timeZone: 'Africa/Nairobi' }).subject, /3:00\sPM$/);
+        assert.match(renderEmailTemplate('meeting_scheduled', 'en', data, { timeZone: 'America/New_York' }).subject, /7:00\sAM$/);
+    });
+
+    it('falls back to English for an unsupported language and rejects unknown templates', () => {
+        const sample = EMAIL_TEMPLATES.notification.sample();
+
+        assert.deepEqual(renderEmailTemplate('notification', 'fr', sample), renderEmailTemplate('notification', 'en', sample));
+        assert.throws(() => renderEmailTemplate('newsletter', 'en', {}), /Unknown email template/);
+    });
+});
@@ -0,0 +1,152 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import nodemailer from 'nodemailer';
+import pool from '../config/database.js';
+import {
+    queueEmail,
+    processEmailQueue,
+    previewEmailTemplate,
+    sendTestEmail
+} from '../services/emailService.js';
+import { routeQueries } from './helpers.js';
+
+// The service builds its transport once; this one records what it sends or fails on demand
+const mailer = { sent: [], error: null };
+mock.method(nodemailer, 'createTransport', () => ({
+    sendMail: async (message) => {
+        if (mailer.error) throw new Error(mailer.error);
+        mailer.sent.push(message);
+        return { messageId: `<${mailer.sent.length}@test>` };
+    }
+}));
+mock.method(console, 'log', () => {});
+
+const outboxRow = (attempts, overrides = {}) => ({
+    id: 7, to_email: 'jane@example.com', subject: 'Hello', html: '<p>Hello</p>', text_body: 'Hello', ical_event: null, attempts, ...overrides
+});
+
+/**
+ * Answer the claim query with `rows` and collect the status updates that follow
+ */
+const stubClaim = (t, rows) => {
+    t.mock.method(pool, 'query', routeQueries([
+        [/SET status = 'sending'/, rows]
+    ]));
+    return () => pool.query.mock.calls
+        .filter(c => /UPDATE email_outbox\s+SET status = (\$2|'sent')/.test(c.arguments[0]))
+        .map(c => c.arguments[1]);
+};
+
+describe('queueEmail', () => {
+    it('stores the rendered email and holds it until sendAt', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([
+            [/INSERT INTO email_outbox/, [{ id: 7 }]]
+        ]));
+        const sendAt = new Date('2026-03-02T05:00:00Z');
+
+        const queued = await queueEmail({
+            to: ' jane@example.com ', template: 'notification', locale: 'sw-KE', userId: 4, dedupeKey: 'digest:4', sendAt,
+            data: { title: 'Hi', message: 'There' }
+        });
+
+        assert.deepEqual(queued, { id: 7 });
+        const params = pool.query.mock.calls[0].arguments[1];
+        assert.deepEqual([params[0], params[1], params[2], params[7], params[8], params[9]], ['jane@example.com', 'notification', 'sw', 4, 'digest:4', sendAt]);
+        assert.match(params[5], /There/);
+        assert.equal(pool.query.mock.callCount(), 1);
+    });
+
+    it('queues an email with a dedupe key only once', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([]));
+        assert.equal(await queueEmail({
+            to: 'jane@example.com', template: 'notification', data: { title: 'Hi', message: 'There' }, dedupeKey: 'x', sendAt: new Date()
+        }), null);
+    });
+
+    it('rejects bad addresses and unknown templates before storing anything', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([]));
+
+        await assert.rejects(queueEmail({ to: 'jane@example', template: 'notification', data: {} }), { status: 400, code: 'INVALID_EMAIL' });
+        await assert.rejects(queueEmail({ to: 'a@b.co\r\nBcc: c@d.co', template: 'notification', data: {} }), { code: 'INVALID_EMAIL' });
+        await assert.rejects(queueEmail({ to: 'jane@example.com', template: 'toString', data: {} }), { status: 404, code: 'TEMPLATE_NOT_FOUND' });
+        assert.equal(pool.query.mock.callCount(), 0);
+    });
+});
+
+describe('processEmailQueue', () => {
+    it('sends what is due and records the message id', async (t) => {
+        mailer.error = null;
+        const updates = stubClaim(t, [outboxRow(1, { ical_event: { method: 'REQUEST', content: 'BEGIN:VCALENDAR' } })]);
+
+        assert.deepEqual(await processEmailQueue(), { sent: 1, failed: 0 });
+
+        const message = mailer.sent.at(-1);
+        assert.equal(message.to, 'jane@example.com');
+        assert.equal(message.icalEvent.method, 'REQUEST');
+        assert.deepEqual(updates(), [[7, `<${mailer.sent.length}@test>`]]);
+    });
+
+    it('retries a failed send with growing delays', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        mailer.error = 'Connection timeout';
+        t.after(() => { mailer.error = null; });
+
+        const delays = [];
+        for (const attempts of [1, 2, 3, 4]) {
+            t.mock.restoreAll();
+            t.mock.method(console, 'warn', () => {});
+            const updates = stubClaim(t, [outboxRow(attempts)]);
+
+            assert.deepEqual(await processEmailQueue(), { sent: 0, failed: 0 });
+            const [[, status, error, delay]] = updates();
+            assert.equal(status, 'pending');
+            assert.equal(error, 'Connection timeout');
+            delays.push(delay);
+        }
+        assert.deepEqual(delays, [1, 5, 15, 60]);
+    });
+
+    it('gives up after the last attempt', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        mailer.error = 'Mailbox unavailable';
+        t.after(() => { mailer.error = null; });
+        const updates = stubClaim(t, [outboxRow(5)]);
+
+        assert.deepEqual(await processEmailQueue(), { sent: 0, failed: 1 });
+        assert.equal(updates()[0][1], 'failed');
+    });
+
+    it('fails sends that never finished once they are out of attempts, before claiming more', async (t) => {
+        stubClaim(t, []);
+
+        await processEmailQueue();
+
+        const [expire, claim] = pool.query.mock.calls.map(c => c.arguments);
+        assert.match(expire[0], /WHERE status = 'sending' AND next_attempt_at <= NOW\(\) AND attempts >= \$1/);
+        assert.deepEqual(expire[1], [5]);
+        assert.match(claim[0], /FOR UPDATE SKIP LOCKED/);
+    });
+});
+
+describe('admin previews', () => {
+    it('renders a template\'s sample in the chosen language', () => {
+        const preview = previewEmailTemplate('meeting_reminder', 'sw');
+
+        assert.match(preview.html, /<html lang="sw">/);
+        assert.throws(() => previewEmailTemplate('meeting_reminder', 'fr'), { status: 400, code: 'INVALID_LOCALE' });
+        assert.throws(() => previewEmailTemplate('nope'), { status: 404, code: 'TEMPLATE_NOT_FOUND' });
+    });
+
+    it('marks test sends in the subject', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([
+            [/INSERT INTO email_outbox/, [{ id: 9 }]]
+        ]));
+
+        assert.deepEqual(await sendTestEmail('certificate_ready', { to: 'admin@example.com' }, { userId: 3, userRole: 'admin' }), { id: 9 });
+        assert.match(pool.query.mock.calls[0].arguments[1][3], /^\[TEST\] /);
+
+        // Sending straight away runs on the next turn of the event loop
+        await new Promise(resolve => setImmediate(resolve));
+        await new Promise(resolve => setImmediate(resolve));
+    });
+});
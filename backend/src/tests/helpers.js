@@ -0,0 +1,129 @@
+/**
+ * Test helpers
+ * The services talk to Postgres through the shared pool; tests swap pool.query for
+ * routeQueries(...) with t.mock.method so no database is needed. Redis commands go to an
+ * in-memory ioredis-mock through useFakeRedis(t).
+ */
+import RedisMock from 'ioredis-mock';
+import { redisClient } from '../config/cache.js';
+
+/**
+ * Build a pool.query stand-in that answers each statement from the first route whose pattern
+ * matches its SQL. Unmatched statements return no rows.
+ * @param {Array<[RegExp, Array|Function]>} routes - Rows, or (params, sql) => rows
+ * @returns {Function}
+ */
+export const routeQueries = (routes) => async (sql, params = []) => {
+    const text = typeof sql === 'string' ? sql : sql.text;
+    const route = routes.find(([pattern]) => pattern.test(text));
+    if (!route) {
+        return { rows: [], rowCount: 0 };
+    }
+    const rows = typeof route[1] === 'function' ? await route[1](params, text) : route[1];
+    return { rows, rowCount: rows.length };
+};
+
+/**
+ * YYYY-MM-DD of the day `days` from today (UTC)
+ * @param {number} days
+ * @returns {string}
+ */
+export const dateFromToday = (days) => {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+};
+
+/**
+ * Keep configService off Redis so settings are read through pool.query, and answer
+ * app_settings lookups from `values` (anything else falls back to the defaults)
+ * @param {import('node:test').TestContext} t
+ * @param {Object} [values] - Setting key → value
+ * @returns {[RegExp, Function]} Route to pass to routeQueries
+ */
+export const settingsRoute = (t, values = {}) => {
+    t.mock.method(redisClient, 'connect', async () => {
+        throw new Error('Redis is not available in tests');
+    });
+    return [/FROM app_settings WHERE key/, ([key]) => {
+        if (!(key in values)) {
+            return [];
+        }
+        const value = values[key];
+        const dataType = typeof value === 'object' ? 'json' : typeof value;
+        return [{ value: dataType === 'json' ? JSON.stringify(value) : String(value), data_type: dataType }];
+    }];
+};
+
+const withScores = (flat) => {
+    const entries = [];
+    for (let i = 0; i < flat.length; i += 2) {
+        entries.push({ value: flat[i], score: Number(flat[i + 1]) });
+    }
+    return entries;
+};
+
+// The node-redis (v4) commands the services use, in terms of an ioredis-style client
+const nodeRedisCommands = (fake) => ({
+    get: (key) => fake.get(key),
+    keys: (pattern) => fake.keys(pattern),
+    mGet: (keys) => fake.mget(...keys),
+    setEx: (key, seconds, value) => fake.setex(key, seconds, value),
+    del: (keys) => fake.del(...[keys].flat()),
+    expire: (key, seconds) => fake.expire(key, seconds),
+    persist: (key) => fake.persist(key),
+    hGetAll: (key) => fake.hgetall(key),
+    hSet: (key, fields) => fake.hset(key, fields),
+    sMembers: (key) => fake.smembers(key),
+    sRem: (key, member) => fake.srem(key, member),
+    zAdd: (key, { score, value }) => fake.zadd(key, score, value),
+    zRem: (key, member) => fake.zrem(key, member),
+    zCard: (key) => fake.zcard(key),
+    zCount: (key, min, max) => fake.zcount(key, min, max),
+    zScore: async (key, member) => {
+        const score = await fake.zscore(key, member);
+        return score === null ? null : Number(score);
+    },
+    zRangeByScore: (key, min, max) => fake.zrangebyscore(key, min, max),
+    zRemRangeByScore: (key, min, max) => fake.zremrangebyscore(key, min, max),
+    zRangeWithScores: async (key, start, stop, { REV } = {}) => withScores(
+        await (REV ? fake.zrevrange(key, start, stop, 'WITHSCORES') : fake.zrange(key, start, stop, 'WITHSCORES'))
+    ),
+    eval: (script, { keys = [], arguments: args = [] } = {}) => fake.eval(script, keys.length, ...keys, ...args)
+});
+
+/**
+ * Point the shared node-redis client at a fresh in-memory Redis for the duration of a test
+ * multi() queues the same commands and runs them in order on exec().
+ * @param {import('node:test').TestContext} t
+ * @returns {Promise<RedisMock>} The fake, for arranging and inspecting state
+ */
+export const useFakeRedis = async (t) => {
+    const fake = new RedisMock();
+    await fake.flushall();
+    const commands = nodeRedisCommands(fake);
+
+    t.mock.getter(redisClient, 'isOpen', () => true);
+    t.mock.method(redisClient, 'connect', async () => {});
+    for (const [name, command] of Object.entries(commands)) {
+        t.mock.method(redisClient, name, command);
+    }
+    t.mock.method(redisClient, 'multi', () => {
+        const queued = [];
+        const chain = {
+            exec: async () => {
+                const results = [];
+                for (const run of queued) results.push(await run());
+                return results;
+            }
+        };
+        for (const [name, command] of Object.entries(commands)) {
+            chain[name] = (...args) => {
+                queued.push(() => command(...args));
+                return chain;
+            };
+        }
+        return chain;
+    });
+    return fake;
+};
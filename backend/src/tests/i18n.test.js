@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+import {
+    normalizeLocale,
+    negotiateLocale,
+    getUserLocale,
+    translate,
+    formatDateTime,
+    localizeNotification
+} from '../i18n/index.js';
+import en from '../i18n/locales/en.js';
+import sw from '../i18n/locales/sw.js';
+
+const MEETING_TIME = new Date('2026-05-01T07:00:00Z');
+
+// Every leaf key with the {placeholders} its text uses
+const catalogShape = (catalog, prefix = '') => Object.entries(catalog).flatMap(([key, value]) => (
+    typeof value === 'object'
+        ? catalogShape(value, `${prefix}${key}.`)
+        : [[`${prefix}${key}`, [...value.matchAll(/\{(\w+)\}/g)].map(m => m[1]).sort().join(',')]]
+));
+
+describe('locale selection', () => {
+    it('reduces tags to a supported locale', () => {
+        assert.equal(normalizeLocale('sw-KE'), 'sw');
+        assert.equal(normalizeLocale('EN_us'), 'en');
+        assert.equal(normalizeLocale('fr'), null);
+        assert.equal(getUserLocale({ locale: 'fr' }), 'en');
+        assert.equal(getUserLocale({}), 'en');
+    });
+
+    it('takes the highest-ranked supported language from Accept-Language', () => {
+        assert.equal(negotiateLocale('fr-FR,sw;q=0.8,en;q=0.9'), 'en');
+        assert.equal(negotiateLocale('fr-FR,sw-KE;q=0.9,en;q=0.5'), 'sw');
+        assert.equal(negotiateLocale('sw;q=0,de'), 'en');
+        assert.equal(negotiateLocale(undefined), 'en');
+    });
+});
+
+describe('translate', () => {
+    it('fills placeholders and formats dates in the reader\'s language and timezone', () => {
+        const { title, message } = localizeNotification('sw', 'meeting_scheduled_volunteer', { studentName: 'Amina', time: MEETING_TIME }, 'Africa/Nairobi');
+
+        assert.equal(title, sw.notifications.meeting_scheduled_volunteer.title);
+        assert.ok(message.startsWith('Mkutano wako na Amina umepangwa '));
+        assert.ok(message.includes(formatDateTime('sw', MEETING_TIME, 'Africa/Nairobi')));
+        assert.match(formatDateTime('en', MEETING_TIME, 'Africa/Nairobi'), /10:00/);
+    });
+
+    it('uses the catalog\'s stand-in for a missing name and leaves unknown placeholders alone', () => {
+        assert.equal(
+            translate('en', 'notifications.meeting_scheduled_volunteer.message', { studentName: null, time: 'soon' }),
+            'Your meeting with your student has been scheduled for soon. You\'ll receive reminders before the meeting starts.'
+        );
+        assert.match(translate('en', 'notifications.meeting_scheduled_volunteer.message', {}), /\{studentName\}/);
+    });
+
+    it('falls back to English, then to the key', () => {
+        assert.equal(translate('fr', 'common.unknown_time'), en.common.unknown_time);
+        assert.equal(translate('sw', 'no.such.key'), 'no.such.key');
+        assert.equal(translate('en', 'notifications'), 'notifications');
+        assert.equal(formatDateTime('sw', 'not a date'), sw.common.unknown_time);
+    });
+
+    it('survives a bad timezone on the user row', () => {
+        assert.doesNotThrow(() => formatDateTime('en', MEETING_TIME, 'Mars/Olympus_Mons'));
+    });
+});
+
+describe('catalogs', () => {
+    it('translates every English notification and email string into Swahili with the same placeholders', () => {
+        assert.deepEqual(catalogShape(sw), catalogShape(en));
+    });
+
+    it('keeps the browser catalogs in step too', () => {
+        const context = {
+            location: { search: '?lang=fr' },
+            document: { documentElement: {}, readyState: 'loading', addEventListener: () => {} },
+            localStorage: { getItem: () => null, setItem: () => {} },
+            navigator: { languages: ['sw-KE', 'en'] },
+            URLSearchParams
+        };
+        context.window = context;
+        vm.runInNewContext(readFileSync(new URL('../../../frontends/shared/js/i18n.js', import.meta.url), 'utf8'), context);
+        const i18n = context.window.TalkTimeI18n;
+
+        // An unsupported ?lang falls through to the browser's languages
+        assert.equal(i18n.locale, 'sw');
+        assert.equal(i18n.t('no.such.key'), 'no.such.key');
+        assert.deepEqual(catalogShape(i18n.messages.sw), catalogShape(i18n.messages.en));
+    });
+});
@@ -0,0 +1,150 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { redisClient } from '../config/cache.js';
+import {
+    registerJobHandler,
+    enqueueJob,
+    cancelJobGroup,
+    runDueJobs,
+    listJobs,
+    getJobQueueStats,
+    retryDeadJob,
+    discardDeadJob
+} from '../services/jobQueueService.js';
+import { useFakeRedis } from './helpers.js';
+
+const NOW = new Date('2026-03-02T09:00:00Z').getTime();
+
+// Handlers stay registered for the whole file, so each test uses its own job type
+const handlerRuns = new Map();
+const registerTestHandler = (type, handler = async () => {}) => {
+    handlerRuns.set(type, []);
+    registerJobHandler(type, async (payload, job) => {
+        handlerRuns.get(type).push({ payload, attempts: job.attempts });
+        return handler(payload, job);
+    });
+};
+
+describe('job queue', () => {
+    let redis;
+
+    beforeEach(async (t) => {
+        t.mock.timers.enable({ apis: ['Date'], now: NOW });
+        t.mock.method(console, 'warn', () => {});
+        t.mock.method(console, 'error', () => {});
+        redis = await useFakeRedis(t);
+    });
+
+    it('queues a job once per idempotency key', async () => {
+        const first = await enqueueJob({ type: 'test.once', payload: { meetingId: 42 }, runAt: NOW + 60000, idempotencyKey: 'reminder:42', group: 'meeting:42' });
+        const second = await enqueueJob({ type: 'test.once', payload: { meetingId: 42 }, idempotencyKey: 'reminder:42' });
+
+        assert.equal(first.created, true);
+        assert.deepEqual(second, { id: first.id, created: false });
+        assert.equal(await redis.zscore('talktime:jobs:delayed', first.id), String(NOW + 60000));
+        assert.deepEqual(await redis.smembers('talktime:jobs:group:meeting:42'), [first.id]);
+
+        const [job] = await listJobs();
+        assert.equal(job.id, first.id);
+        assert.deepEqual(job.payload, { meetingId: 42 });
+        assert.equal(job.runAt, new Date(NOW + 60000).toISOString());
+        assert.deepEqual(await getJobQueueStats(), { pending: 1, active: 0, dead: 0, due: 0, workerRunning: false });
+    });
+
+    it('runs only the jobs that are due and keeps a completed job\'s key', async (t) => {
+        registerTestHandler('test.due');
+        await enqueueJob({ type: 'test.due', payload: { n: 1 }, idempotencyKey: 'due:1' });
+        await enqueueJob({ type: 'test.due', payload: { n: 2 }, runAt: NOW + 60000 });
+
+        assert.deepEqual(await runDueJobs(), { completed: 1, retried: 0, dead: 0 });
+        assert.deepEqual(handlerRuns.get('test.due'), [{ payload: { n: 1 }, attempts: '1' }]);
+
+        // Done is done: the same key doesn't queue the work again
+        assert.equal((await enqueueJob({ type: 'test.due', payload: { n: 1 }, idempotencyKey: 'due:1' })).created, false);
+
+        t.mock.timers.tick(60000);
+        assert.deepEqual(await runDueJobs(), { completed: 1, retried: 0, dead: 0 });
+        assert.equal(await redis.zcard('talktime:jobs:delayed'), 0);
+    });
+
+    it('retries a failing job with growing delays, then dead-letters it', async (t) => {
+        registerTestHandler('test.flaky', async () => { throw new Error('SMTP timeout'); });
+        const { id } = await enqueueJob({ type: 'test.flaky', maxAttempts: 3 });
+
+        assert.deepEqual(await runDueJobs(), { completed: 0, retried: 1, dead: 0 });
+        assert.equal(Number(await redis.zscore('talktime:jobs:delayed', id)), NOW + 15000);
+
+        t.mock.timers.tick(14999);
+        assert.deepEqual(await runDueJobs(), { completed: 0, retried: 0, dead: 0 });
+        t.mock.timers.tick(1);
+        assert.deepEqual(await runDueJobs(), { completed: 0, retried: 1, dead: 0 });
+        assert.equal(Number(await redis.zscore('talktime:jobs:delayed', id)), NOW + 15000 + 60000);
+
+        t.mock.timers.tick(60000);
+        assert.deepEqual(await runDueJobs(), { completed: 0, retried: 0, dead: 1 });
+
+        const [dead] = await listJobs({ state: 'dead' });
+        assert.equal(dead.id, id);
+        assert.equal(dead.attempts, 3);
+        assert.equal(dead.lastError, 'SMTP timeout');
+        assert.equal(handlerRuns.get('test.flaky').length, 3);
+    });
+
+    it('gives a dead job a fresh set of attempts, or discards it', async () => {
+        registerTestHandler('test.dead', async () => { throw new Error('No such user'); });
+        const retried = await enqueueJob({ type: 'test.dead', maxAttempts: 1, idempotencyKey: 'dead:1' });
+        const discarded = await enqueueJob({ type: 'test.dead', maxAttempts: 1 });
+        assert.deepEqual(await runDueJobs(), { completed: 0, retried: 0, dead: 2 });
+
+        const job = await retryDeadJob(retried.id);
+        assert.equal(job.state, 'pending');
+        assert.equal(job.attempts, 0);
+        assert.equal(await redis.ttl(`talktime:jobs:job:${retried.id}`), -1);
+
+        assert.equal((await discardDeadJob(discarded.id)).id, discarded.id);
+        assert.equal(await redis.exists(`talktime:jobs:job:${discarded.id}`), 0);
+
+        await assert.rejects(retryDeadJob(discarded.id), { status: 404, code: 'JOB_NOT_FOUND' });
+        await assert.rejects(discardDeadJob(retried.id), { status: 404, code: 'JOB_NOT_FOUND' });
+        assert.deepEqual(await getJobQueueStats(), { pending: 1, active: 0, dead: 0, due: 1, workerRunning: false });
+    });
+
+    it('cancels a group\'s pending jobs and frees their keys', async () => {
+        registerTestHandler('test.group');
+        await enqueueJob({ type: 'test.group', runAt: NOW + 60000, idempotencyKey: 'reminder:42:30', group: 'meeting:42' });
+        await enqueueJob({ type: 'test.group', runAt: NOW + 120000, idempotencyKey: 'reminder:42:5', group: 'meeting:42' });
+        const other = await enqueueJob({ type: 'test.group', runAt: NOW + 60000, group: 'meeting:43' });
+
+        assert.equal(await cancelJobGroup('meeting:42'), 2);
+
+        assert.deepEqual((await listJobs()).map(job => job.id), [other.id]);
+        assert.equal(await redis.exists('talktime:jobs:group:meeting:42'), 0);
+        assert.equal((await enqueueJob({ type: 'test.group', idempotencyKey: 'reminder:42:30' })).created, true);
+    });
+
+    it('puts back a job whose worker died before finishing it', async (t) => {
+        registerTestHandler('test.stalled');
+        const { id } = await enqueueJob({ type: 'test.stalled' });
+        // Another instance claimed it and never came back
+        await redis.zrem('talktime:jobs:delayed', id);
+        await redis.zadd('talktime:jobs:active', NOW + 5 * 60000, id);
+        await redis.hset(`talktime:jobs:job:${id}`, 'attempts', '1');
+
+        assert.deepEqual(await runDueJobs(), { completed: 0, retried: 0, dead: 0 });
+        assert.equal((await listJobs({ state: 'active' }))[0].id, id);
+
+        t.mock.timers.tick(5 * 60000);
+        assert.deepEqual(await runDueJobs(), { completed: 1, retried: 0, dead: 0 });
+        assert.deepEqual(handlerRuns.get('test.stalled'), [{ payload: {}, attempts: '2' }]);
+    });
+
+    it('rejects unknown states and waits quietly while Redis is down', async (t) => {
+        await assert.rejects(listJobs({ state: 'done' }), { status: 400, code: 'INVALID_STATE' });
+
+        t.mock.getter(redisClient, 'isOpen', () => false);
+        t.mock.method(redisClient, 'connect', async () => { throw new Error('ECONNREFUSED'); });
+
+        assert.deepEqual(await runDueJobs(), { completed: 0, retried: 0, dead: 0 });
+        await assert.rejects(enqueueJob({ type: 'test.down' }), { status: 503, code: 'QUEUE_UNAVAILABLE' });
+    });
+});
@@ -0,0 +1,176 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../config/database.js';
+import {
+    normalizeEnglishLevel,
+    parseTopics,
+    createLessonPlan,
+    suggestLessonPlans,
+    assignLessonPlan,
+    assignLessonPlanToMeeting,
+    recordLessonPlanUsed
+} from '../services/lessonPlanService.js';
+import { routeQueries } from './helpers.js';
+
+const ADMIN_ACTOR = { userId: 3, userRole: 'admin' };
+const VOLUNTEER = { id: 1, role: 'volunteer' };
+
+const plan = (id, overrides = {}) => ({
+    id, title: `Plan ${id}`, kind: 'lesson_plan', english_level: 'intermediate', topics: [], is_active: true, ...overrides
+});
+
+/**
+ * Student profile, active plans and the plans already seen in the student's meetings
+ */
+const stubLibrary = (t, { student = {}, plans = [], seen = [], meeting = null } = {}) => t.mock.method(pool, 'query', routeQueries([
+    [/FROM users u\s+WHERE u.id = \$1 AND u.role = 'student'/, [{
+        id: 2, full_name: 'Sam', english_level: 'Intermediate', assessed_level: null,
+        preferred_topics: 'Football; music', interests: null, ...student
+    }]],
+    [/FROM lesson_plans p WHERE p.is_active = TRUE/, plans],
+    [/GROUP BY lesson_plan_id/, seen],
+    [/FROM lesson_plans p WHERE p.id = \$1/, ([id]) => plans.filter(p => p.id === id)],
+    [/FROM meetings\s+WHERE room_id = \$1/, meeting ? [meeting] : []],
+    [/UPDATE meetings SET lesson_plan_id = \$2/, ([id]) => [{ id }]]
+]));
+
+describe('lesson plan input', () => {
+    it('reduces free-text levels and topic lists to tags', () => {
+        assert.equal(normalizeEnglishLevel(' Upper-Intermediate '), 'upper_intermediate');
+        assert.equal(normalizeEnglishLevel('fluent'), null);
+        assert.deepEqual(parseTopics('Football, MUSIC;\n  school  life,football'), ['football', 'music', 'school life']);
+        assert.deepEqual(parseTopics(null), []);
+    });
+
+    it('validates a new plan before saving it', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([]));
+        const valid = { title: 'Market day', prompts: 'What do you buy?' };
+
+        for (const [input, field] of [
+            [{ ...valid, title: '  ' }, 'title'],
+            [{ ...valid, kind: 'quiz' }, 'kind'],
+            [{ ...valid, englishLevel: 'fluent' }, 'level'],
+            [{ ...valid, prompts: '\n\n' }, 'prompts'],
+            [{ ...valid, topics: Array.from({ length: 11 }, (_, i) => `topic ${i}`) }, 'topics'],
+            [{ ...valid, durationMinutes: 3 }, 'duration']
+        ]) {
+            await assert.rejects(createLessonPlan(input, ADMIN_ACTOR), { status: 400, code: 'INVALID_LESSON_PLAN' }, field);
+        }
+        assert.equal(pool.query.mock.callCount(), 0);
+    });
+
+    it('stores prompts and vocabulary one per line', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([
+            [/INSERT INTO lesson_plans/, [{ id: 8 }]],
+            [/FROM lesson_plans p WHERE p.id = \$1/, [plan(8)]]
+        ]));
+
+        await createLessonPlan({
+            title: ' Market day ', prompts: 'What do you buy?\n\n Who sells it? ', vocabulary: ['price', ' '], durationMinutes: '20'
+        }, ADMIN_ACTOR);
+
+        const insert = pool.query.mock.calls[0].arguments[1];
+        assert.deepEqual(insert, ['Market day', 'lesson_plan', null, [], null, null, ['What do you buy?', 'Who sells it?'], ['price'], 20, true, 3]);
+    });
+});
+
+describe('suggestLessonPlans', () => {
+    it('prefers plans at the student\'s level that match their topics and leaves out distant levels', async (t) => {
+        stubLibrary(t, {
+            plans: [
+                plan(1),
+                plan(2, { topics: ['football'] }),
+                plan(3, { english_level: 'advanced', topics: ['football'] }),
+                plan(4, { english_level: null, kind: 'prompt', topics: ['music'] }),
+                plan(5, { english_level: 'elementary', topics: ['football'] })
+            ]
+        });
+
+        const suggestions = await suggestLessonPlans(2, { limit: 5 });
+
+        assert.deepEqual(suggestions.map(p => p.id), [2, 1, 4, 5]);
+        assert.deepEqual(suggestions[0].matched_topics, ['football']);
+    });
+
+    it('uses the latest volunteer assessment over the enrolment level', async (t) => {
+        stubLibrary(t, {
+            student: { assessed_level: 'beginner' },
+            plans: [plan(1), plan(2, { english_level: 'beginner' })]
+        });
+
+        assert.deepEqual((await suggestLessonPlans(2)).map(p => p.id), [2]);
+    });
+
+    it('moves plans the student has covered or has lined up to the back, oldest first', async (t) => {
+        stubLibrary(t, {
+            plans: [plan(1, { topics: ['football'] }), plan(2, { topics: ['music'] }), plan(3)],
+            seen: [
+                { lesson_plan_id: 1, last_seen: '2026-03-01T10:00:00Z' },
+                { lesson_plan_id: 2, last_seen: '2026-02-01T10:00:00Z' }
+            ]
+        });
+
+        const suggestions = await suggestLessonPlans(2);
+
+        assert.deepEqual(suggestions.map(p => [p.id, p.previously_covered]), [[3, false], [2, true], [1, true]]);
+    });
+});
+
+describe('meeting lesson plans', () => {
+    it('attaches the top suggestion only to a meeting without a plan', async (t) => {
+        stubLibrary(t, { plans: [plan(1)] });
+
+        assert.equal((await assignLessonPlan({ id: 42, student_id: 2 })).id, 1);
+        const update = pool.query.mock.calls.find(c => /UPDATE meetings SET lesson_plan_id/.test(c.arguments[0]));
+        assert.deepEqual(update.arguments[1], [42, 1]);
+        assert.equal(await assignLessonPlan({ id: 42 }), null);
+    });
+
+    it('attaches a plan to a meeting another service booked, unless it has one or was canceled', async (t) => {
+        const meeting = { id: 42, room_id: 'room-1', volunteer_id: VOLUNTEER.id, student_id: 2, status: 'scheduled', lesson_plan_id: null };
+        stubLibrary(t, { plans: [plan(1)], meeting });
+
+        assert.equal((await assignLessonPlanToMeeting('42')).id, 1);
+        meeting.lesson_plan_id = 1;
+        assert.equal(await assignLessonPlanToMeeting('42'), null);
+        meeting.lesson_plan_id = null;
+        meeting.status = 'canceled';
+        assert.equal(await assignLessonPlanToMeeting('42'), null);
+        assert.equal(pool.query.mock.calls.filter(c => /UPDATE meetings SET lesson_plan_id/.test(c.arguments[0])).length, 1);
+    });
+
+    it('reports a meeting it cannot find', async (t) => {
+        stubLibrary(t);
+        await assert.rejects(assignLessonPlanToMeeting('404'), { status: 404, code: 'MEETING_NOT_FOUND' });
+    });
+
+    it('lets only the meeting\'s volunteer record a plan for a session that took place', async (t) => {
+        const meeting = { id: 42, room_id: 'room-1', volunteer_id: VOLUNTEER.id, student_id: 2, status: 'canceled' };
+        stubLibrary(t, { plans: [plan(1)], meeting });
+
+        await assert.rejects(
+            recordLessonPlanUsed({ meetingRef: 'room-1', user: { id: 9, role: 'volunteer' }, lessonPlanId: 1 }),
+            { status: 403, code: 'NOT_PARTICIPANT' }
+        );
+        await assert.rejects(
+            recordLessonPlanUsed({ meetingRef: 'room-1', user: VOLUNTEER, lessonPlanId: 1 }),
+            { status: 409, code: 'MEETING_NOT_HELD' }
+        );
+    });
+
+    it('keeps the first time a plan was used and trims the notes', async (t) => {
+        const meeting = { id: 42, room_id: 'room-1', volunteer_id: VOLUNTEER.id, student_id: 2, status: 'completed', lesson_plan_id: 1 };
+        stubLibrary(t, { plans: [plan(1), plan(2)], meeting });
+
+        await assert.rejects(
+            recordLessonPlanUsed({ meetingRef: 'room-1', user: VOLUNTEER, lessonPlanId: 'x' }),
+            { status: 404, code: 'LESSON_PLAN_NOT_FOUND' }
+        );
+        const result = await recordLessonPlanUsed({ meetingRef: 'room-1', user: VOLUNTEER, lessonPlanId: '2', notes: `  ${'n'.repeat(600)}` });
+
+        const update = pool.query.mock.calls.find(c => /lesson_plan_used_at = COALESCE/.test(c.arguments[0]));
+        assert.equal(update.arguments[1][1], 2);
+        assert.equal(update.arguments[1][2].length, 500);
+        assert.equal(result.meetingId, 42);
+    });
+});
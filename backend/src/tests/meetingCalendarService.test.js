@@ -0,0 +1,109 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../config/database.js';
+import {
+    buildMeetingInvite,
+    rotateCalendarFeed,
+    renderCalendarFeed
+} from '../services/meetingCalendarService.js';
+import { routeQueries, settingsRoute } from './helpers.js';
+
+const TOKEN = 'a1b2c3d4';
+
+const meetingRow = (overrides = {}) => ({
+    id: 42,
+    scheduled_time: new Date('2026-03-01T14:00:00Z'),
+    status: 'scheduled',
+    ics_sequence: 3,
+    updated_at: new Date('2026-02-20T09:00:00Z'),
+    volunteer_id: 1,
+    student_id: 2,
+    volunteer_name: 'Vera',
+    volunteer_email: 'Vera@example.com',
+    student_name: 'Sam',
+    student_email: 'sam@example.com',
+    ...overrides
+});
+
+const contentLines = (ics) => ics.replace(/\r\n /g, '').split('\r\n');
+
+describe('buildMeetingInvite', () => {
+    const stubMeeting = (t, meeting) => t.mock.method(pool, 'query', routeQueries([
+        settingsRoute(t, { 'meeting.duration_minutes': 30 }),
+        [/FROM meetings m\s+JOIN users v/, meeting ? [meeting] : []]
+    ]));
+
+    it('sends each participant a REQUEST naming the other one, at the meeting\'s current sequence', async (t) => {
+        stubMeeting(t, meetingRow());
+
+        const invite = await buildMeetingInvite(42, { email: 'vera@EXAMPLE.com' });
+        const lines = contentLines(invite.content);
+
+        assert.equal(invite.filename, 'talktime-meeting-42.ics');
+        assert.equal(invite.method, 'REQUEST');
+        assert.ok(lines.includes('SUMMARY:TalkTime conversation with Sam'));
+        assert.ok(lines.includes('SEQUENCE:3'));
+        assert.ok(lines.includes('DTEND:20260301T143000Z'));
+        assert.ok(lines.some(line => line.startsWith('ATTENDEE;CN=Vera;') && line.endsWith(':mailto:vera@EXAMPLE.com')));
+
+        const studentInvite = await buildMeetingInvite(42, { email: 'sam@example.com', locale: 'sw' });
+        assert.ok(!contentLines(studentInvite.content).includes('SUMMARY:TalkTime conversation with Vera'));
+        assert.ok(contentLines(studentInvite.content).some(line => line.startsWith('SUMMARY:') && line.includes('Vera')));
+    });
+
+    it('cancels the invite for either spelling of a canceled meeting', async (t) => {
+        for (const status of ['canceled', 'cancelled', 'declined']) {
+            t.mock.restoreAll();
+            stubMeeting(t, meetingRow({ status }));
+
+            const invite = await buildMeetingInvite(42, { email: 'sam@example.com' });
+
+            assert.equal(invite.method, 'CANCEL', status);
+            assert.ok(contentLines(invite.content).includes('STATUS:CANCELLED'), status);
+        }
+    });
+
+    it('returns nothing for a meeting that is gone', async (t) => {
+        stubMeeting(t, null);
+        assert.equal(await buildMeetingInvite(42, { email: 'sam@example.com' }), null);
+    });
+});
+
+describe('calendar feeds', () => {
+    it('serves a volunteer\'s upcoming meetings behind their token', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([
+            settingsRoute(t),
+            [/UPDATE calendar_feeds f/, ([token]) => (token === TOKEN ? [{ user_id: 1, locale: 'en' }] : [])],
+            [/WHERE m.volunteer_id = \$1/, [meetingRow({ id: 42 }), meetingRow({ id: 43, ics_sequence: 0 })]]
+        ]));
+
+        const lines = contentLines(await renderCalendarFeed(TOKEN));
+
+        assert.ok(lines.includes('X-WR-CALNAME:TalkTime meetings'));
+        assert.ok(!lines.some(line => line.startsWith('METHOD') || line.startsWith('ATTENDEE')));
+        assert.deepEqual(lines.filter(line => line.startsWith('UID:')), ['UID:meeting-42@talktime.adea.ke', 'UID:meeting-43@talktime.adea.ke']);
+        const query = pool.query.mock.calls.find(c => /WHERE m.volunteer_id = \$1/.test(c.arguments[0]));
+        assert.ok(!query.arguments[1][1].includes('canceled'));
+    });
+
+    it('turns away malformed and unknown tokens', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([]));
+
+        await assert.rejects(renderCalendarFeed('../etc'), { status: 404, code: 'FEED_NOT_FOUND' });
+        assert.equal(pool.query.mock.callCount(), 0);
+        await assert.rejects(renderCalendarFeed('ffff'), { status: 404, code: 'FEED_NOT_FOUND' });
+    });
+
+    it('replaces the token when the volunteer rotates the feed', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([
+            [/INSERT INTO calendar_feeds/, ([userId, token]) => [{ user_id: userId, token, created_at: new Date(), last_accessed_at: null }]]
+        ]));
+
+        const first = await rotateCalendarFeed(1);
+        const second = await rotateCalendarFeed(1);
+
+        assert.notEqual(first.url, second.url);
+        assert.match(second.url, /\/api\/v1\/calendar\/feeds\/[a-f0-9]{48}\.ics$/);
+        assert.ok(second.webcalUrl.startsWith('webcal:'));
+    });
+});
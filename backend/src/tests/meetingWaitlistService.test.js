@@ -0,0 +1,189 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import pg from 'pg';
+import {
+    joinWaitlist,
+    leaveWaitlist,
+    offerFreedSlot,
+    acceptWaitlistOffer
+} from '../services/meetingWaitlistService.js';
+import { routeQueries, settingsRoute, dateFromToday } from './helpers.js';
+
+const STUDENT_ID = 2;
+const DAY = dateFromToday(2);
+const BOOKED = { id: 40, scheduled_time: new Date(`${DAY}T10:00:00Z`), volunteer_id: 7, status: 'scheduled' };
+
+const entry = (id, volunteerId, overrides = {}) => ({
+    id, student_id: STUDENT_ID, volunteer_id: volunteerId, waitlist_date: DAY, status: 'waiting',
+    freed_meeting_id: null, offered_time: null, offer_expires_at: null, created_at: new Date(Date.now() - id * 1000),
+    student_name: 'Sam', ...overrides
+});
+
+/**
+ * Route the booking rules, the waitlist table and the notification insert
+ * notificationService has its own pg Pool, so the prototype is stubbed rather than the shared
+ * pool; every statement from either pool lands here. Students are in UTC.
+ */
+const stubWaitlist = (t, { queue = [], dayMeeting = null, suspended = [], openOffer = false, pairCount = 0 } = {}) => {
+    const offers = [];
+    const notifications = [];
+    t.mock.method(pg.Pool.prototype, 'query', routeQueries([
+        settingsRoute(t),
+        [/FROM users WHERE id = \$1 AND role = 'student'/, ([id]) => (id === STUDENT_ID ? [{ id, full_name: 'Sam' }] : [])],
+        [/SELECT id, scheduled_time, volunteer_id, status\s+FROM meetings/, dayMeeting ? [dayMeeting] : []],
+        [/scheduling_suspension_reason FROM users/, ([id]) => (
+            suspended.includes(id) ? [{ scheduling_suspended_at: new Date(), scheduling_suspension_reason: 'Report' }] : [{ scheduling_suspended_at: null }]
+        )],
+        [/COUNT\(\*\) FILTER/, [{ cancelled_calls: '0', missed_calls: '0', total_scheduled: '0' }]],
+        [/as meeting_count/, [{ meeting_count: String(pairCount) }]],
+        [/WHERE student_id = \$1 AND waitlist_date = \$2 AND status = 'offered'/, openOffer ? [{ id: 99 }] : []],
+        [/WHERE w.student_id = \$1 AND w.waitlist_date = \$2 AND w.status = 'waiting'/, () => queue.filter(e => e.status === 'waiting')],
+        [/SET status = 'offered'/, (params) => {
+            offers.push(params);
+            return [{ id: params[0] }];
+        }],
+        [/WHERE w.id = \$1 AND w.volunteer_id = \$2/, ([id, volunteerId]) => queue.filter(e => e.id === id && e.volunteer_id === volunteerId)],
+        [/SELECT COUNT\(\*\) as ahead/, [{ ahead: '1' }]],
+        [/INSERT INTO notifications/, (params) => {
+            notifications.push({ recipientId: params[0], type: params[4] });
+            return [{ id: notifications.length }];
+        }]
+    ]));
+    return { offers, notifications };
+};
+
+describe('joinWaitlist', () => {
+    beforeEach((t) => {
+        t.mock.method(console, 'log', () => {});
+    });
+
+    it('only queues for days the student is already booked by someone else', async (t) => {
+        stubWaitlist(t);
+        await assert.rejects(joinWaitlist({ volunteerId: 5, studentId: STUDENT_ID, date: DAY }), { status: 409, code: 'DAY_AVAILABLE' });
+
+        t.mock.restoreAll();
+        stubWaitlist(t, { dayMeeting: { ...BOOKED, volunteer_id: 5 } });
+        await assert.rejects(joinWaitlist({ volunteerId: 5, studentId: STUDENT_ID, date: DAY }), { status: 409, code: 'ALREADY_BOOKED' });
+    });
+
+    it('rejects past, far-off and malformed days', async (t) => {
+        stubWaitlist(t, { dayMeeting: BOOKED });
+
+        await assert.rejects(joinWaitlist({ volunteerId: 5, studentId: STUDENT_ID, date: dateFromToday(-1) }), { code: 'DATE_IN_PAST' });
+        await assert.rejects(joinWaitlist({ volunteerId: 5, studentId: STUDENT_ID, date: dateFromToday(120) }), { code: 'DATE_TOO_FAR' });
+        await assert.rejects(joinWaitlist({ volunteerId: 5, studentId: STUDENT_ID, date: '2026-13-40' }), { code: 'INVALID_DATE' });
+        await assert.rejects(joinWaitlist({ volunteerId: 5, studentId: 9, date: DAY }), { status: 404, code: 'STUDENT_NOT_FOUND' });
+    });
+
+    it('takes the day from the time the volunteer tried to book and reports the queue position', async (t) => {
+        const queue = [entry(12, 5)];
+        stubWaitlist(t, { dayMeeting: BOOKED, queue });
+        const insert = t.mock.fn(async (sql, params) => {
+            assert.deepEqual(params, [STUDENT_ID, 5, DAY]);
+            return { rows: [{ id: 12 }], rowCount: 1 };
+        });
+        const route = pg.Pool.prototype.query;
+        t.mock.method(pg.Pool.prototype, 'query', (sql, params) => (/INSERT INTO meeting_waitlist/.test(sql) ? insert(sql, params) : route(sql, params)));
+
+        const joined = await joinWaitlist({ volunteerId: 5, studentId: STUDENT_ID, scheduledTime: `${DAY}T15:30:00Z` });
+
+        assert.equal(insert.mock.callCount(), 1);
+        assert.equal(joined.id, 12);
+        assert.equal(joined.position, 2);
+    });
+
+    it('refuses volunteers who could never be offered the slot, and duplicates', async (t) => {
+        stubWaitlist(t, { dayMeeting: BOOKED, pairCount: 3 });
+        await assert.rejects(joinWaitlist({ volunteerId: 5, studentId: STUDENT_ID, date: DAY }), { code: 'PAIR_LIMIT_REACHED' });
+
+        t.mock.restoreAll();
+        stubWaitlist(t, { dayMeeting: BOOKED });
+        const route = pg.Pool.prototype.query;
+        t.mock.method(pg.Pool.prototype, 'query', async (sql, params) => {
+            if (/INSERT INTO meeting_waitlist/.test(sql)) throw Object.assign(new Error('duplicate key'), { code: '23505' });
+            return route(sql, params);
+        });
+        await assert.rejects(joinWaitlist({ volunteerId: 5, studentId: STUDENT_ID, date: DAY }), { status: 409, code: 'ALREADY_WAITLISTED' });
+    });
+});
+
+describe('offering a freed slot', () => {
+    beforeEach((t) => {
+        t.mock.method(console, 'log', () => {});
+        t.mock.method(console, 'error', () => {});
+    });
+
+    const canceled = (scheduledTime) => ({ id: 40, student_id: STUDENT_ID, scheduled_time: scheduledTime });
+
+    it('skips volunteers who can\'t book right now and offers the freed time to the next in line', async (t) => {
+        const freedTime = new Date(`${DAY}T10:00:00Z`);
+        const { offers, notifications } = stubWaitlist(t, { queue: [entry(1, 5), entry(2, 6)], suspended: [5] });
+
+        const offered = await offerFreedSlot(canceled(freedTime));
+
+        assert.equal(offered.volunteer_id, 6);
+        assert.equal(offers.length, 1);
+        assert.deepEqual(offers[0].slice(0, 3), [2, 40, freedTime]);
+        const windowMs = offers[0][3] - Date.now();
+        assert.ok(windowMs > 29 * 60000 && windowMs <= 30 * 60000);
+        assert.deepEqual(notifications, [{ recipientId: 6, type: 'waitlist_offer' }]);
+    });
+
+    it('offers just the day when the freed time falls inside the decision window', async (t) => {
+        const { offers } = stubWaitlist(t, { queue: [entry(1, 5)] });
+
+        const offered = await offerFreedSlot(canceled(new Date(Date.now() + 10 * 60000)));
+
+        assert.equal(offered.offered_time, null);
+        assert.equal(offers[0][2], null);
+    });
+
+    it('holds back while an offer is open or the student has been booked again', async (t) => {
+        const { offers } = stubWaitlist(t, { queue: [entry(1, 5)], openOffer: true });
+        assert.equal(await offerFreedSlot(canceled(new Date(`${DAY}T10:00:00Z`))), null);
+
+        t.mock.restoreAll();
+        t.mock.method(console, 'log', () => {});
+        const rebooked = stubWaitlist(t, { queue: [entry(1, 5)], dayMeeting: BOOKED });
+        assert.equal(await offerFreedSlot(canceled(new Date(`${DAY}T10:00:00Z`))), null);
+
+        assert.equal(offers.length + rebooked.offers.length, 0);
+    });
+
+    it('passes a declined offer straight to the next volunteer', async (t) => {
+        const held = entry(1, 5, { status: 'offered', freed_meeting_id: 40, offered_time: new Date(`${DAY}T10:00:00Z`) });
+        const { offers } = stubWaitlist(t, { queue: [held, entry(2, 6)] });
+        const route = pg.Pool.prototype.query;
+        t.mock.method(pg.Pool.prototype, 'query', async (sql, params) => (
+            /SET status = \$2, responded_at/.test(sql) ? { rows: [], rowCount: params[1] === 'declined' ? 1 : 0 } : route(sql, params)
+        ));
+
+        await leaveWaitlist(5, 1);
+
+        assert.deepEqual(offers.map(params => params[0]), [2]);
+    });
+});
+
+describe('acceptWaitlistOffer', () => {
+    const offered = (overrides) => entry(1, 5, {
+        status: 'offered', offer_expires_at: new Date(Date.now() + 10 * 60000), ...overrides
+    });
+
+    it('needs an open, unexpired offer', async (t) => {
+        stubWaitlist(t, { queue: [entry(1, 5), offered({ id: 2, offer_expires_at: new Date(Date.now() - 1000) })] });
+
+        await assert.rejects(acceptWaitlistOffer({ volunteerId: 5, entryId: 1 }), { status: 409, code: 'NO_OPEN_OFFER' });
+        await assert.rejects(acceptWaitlistOffer({ volunteerId: 5, entryId: 2 }), { status: 410, code: 'OFFER_EXPIRED' });
+        await assert.rejects(acceptWaitlistOffer({ volunteerId: 6, entryId: 1 }), { status: 404, code: 'WAITLIST_ENTRY_NOT_FOUND' });
+    });
+
+    it('needs a future time on the offered day when the offer is for the whole day', async (t) => {
+        stubWaitlist(t, { queue: [offered()] });
+
+        await assert.rejects(acceptWaitlistOffer({ volunteerId: 5, entryId: 1 }), { status: 400, code: 'TIME_REQUIRED' });
+        await assert.rejects(
+            acceptWaitlistOffer({ volunteerId: 5, entryId: 1, scheduledTime: `${dateFromToday(3)}T10:00:00Z` }),
+            { status: 400, code: 'WRONG_DAY' }
+        );
+    });
+});
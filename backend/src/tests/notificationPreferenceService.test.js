@@ -0,0 +1,162 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../config/database.js';
+import {
+    getQuietMinutesLeft,
+    planNotificationDelivery,
+    updateNotificationPreferences,
+    sendNotificationDigests
+} from '../services/notificationPreferenceService.js';
+import { routeQueries } from './helpers.js';
+
+// Nairobi is UTC+3 all year
+const TIMEZONE = 'Africa/Nairobi';
+const at = (localTime) => new Date(`2026-03-02T${localTime}:00+03:00`);
+
+const preferences = ({ quietHours = {}, digest = {}, channels = {} } = {}) => ({
+    channels: {
+        meeting_reminders: { in_app: true, push: true, email: true, sms: true },
+        meeting_updates: { in_app: true, push: true, email: true, sms: false },
+        messages: { in_app: true, push: true, email: false, sms: false },
+        calls: { in_app: true, push: true, email: false, sms: false },
+        waitlist: { in_app: true, push: true, email: true, sms: false },
+        account: { in_app: true, push: true, email: true, sms: false },
+        ...channels
+    },
+    quietHours: { enabled: true, start: '21:00', end: '07:00', ...quietHours },
+    digest: { enabled: false, hour: 18, ...digest }
+});
+
+describe('getQuietMinutesLeft', () => {
+    it('counts down to the end of quiet hours that cross midnight', () => {
+        assert.equal(getQuietMinutesLeft(preferences(), TIMEZONE, at('21:00')), 600);
+        assert.equal(getQuietMinutesLeft(preferences(), TIMEZONE, at('23:30')), 450);
+        assert.equal(getQuietMinutesLeft(preferences(), TIMEZONE, at('00:00')), 420);
+        assert.equal(getQuietMinutesLeft(preferences(), TIMEZONE, at('06:59')), 1);
+        assert.equal(getQuietMinutesLeft(preferences(), TIMEZONE, at('07:00')), 0);
+        assert.equal(getQuietMinutesLeft(preferences(), TIMEZONE, at('20:59')), 0);
+    });
+
+    it('handles quiet hours within one day and reads the clock in the user\'s timezone', () => {
+        const afternoon = preferences({ quietHours: { start: '13:00', end: '15:00' } });
+        assert.equal(getQuietMinutesLeft(afternoon, TIMEZONE, at('14:00')), 60);
+        assert.equal(getQuietMinutesLeft(afternoon, TIMEZONE, at('15:00')), 0);
+        assert.equal(getQuietMinutesLeft(afternoon, TIMEZONE, at('12:59')), 0);
+
+        // 14:00 in Nairobi is 11:00 in London
+        assert.equal(getQuietMinutesLeft(afternoon, 'Europe/London', at('14:00')), 0);
+    });
+
+    it('is zero while quiet hours are off', () => {
+        assert.equal(getQuietMinutesLeft(preferences({ quietHours: { enabled: false } }), TIMEZONE, at('23:30')), 0);
+    });
+});
+
+describe('planNotificationDelivery', () => {
+    const ALL_CHANNELS = ['in-app', 'push', 'email', 'sms'];
+
+    it('sends on the offered channels the user keeps on for the category', () => {
+        const plan = planNotificationDelivery(preferences(), { type: 'new_message', channels: ALL_CHANNELS, timezone: TIMEZONE }, at('12:00'));
+        assert.deepEqual(plan, { channels: ['in-app', 'push'], quiet: false, digest: false, emailSendAt: null });
+
+        // Unknown types fall under account, which the user hasn't changed
+        assert.deepEqual(
+            planNotificationDelivery(preferences(), { type: 'password_changed', channels: ['in-app', 'email', 'email'], timezone: TIMEZONE }, at('12:00')).channels,
+            ['in-app', 'email']
+        );
+    });
+
+    it('drops push and SMS during quiet hours and holds email until they end', () => {
+        const now = at('23:30');
+        const plan = planNotificationDelivery(preferences(), { type: 'meeting_reminder_30min', channels: ALL_CHANNELS, timezone: TIMEZONE }, now);
+
+        assert.deepEqual(plan.channels, ['in-app', 'email']);
+        assert.equal(plan.quiet, true);
+        assert.equal(plan.emailSendAt.getTime(), at('07:00').getTime() + 24 * 3600000);
+    });
+
+    it('lets critical notifications through quiet hours and past the digest', () => {
+        const prefs = preferences({ digest: { enabled: true } });
+        const expected = { channels: ['in-app', 'push', 'email', 'sms'], quiet: false, digest: false, emailSendAt: null };
+
+        assert.deepEqual(planNotificationDelivery(prefs, { type: 'meeting_auto_launch', channels: ALL_CHANNELS, timezone: TIMEZONE }, at('23:30')), expected);
+        assert.deepEqual(planNotificationDelivery(prefs, { type: 'meeting_reminder', channels: ALL_CHANNELS, timezone: TIMEZONE, critical: true }, at('23:30')), expected);
+    });
+
+    it('collects email for the digest instead of sending it', () => {
+        const plan = planNotificationDelivery(preferences({ digest: { enabled: true } }), { type: 'meeting_scheduled', channels: ALL_CHANNELS, timezone: TIMEZONE }, at('12:00'));
+        assert.deepEqual(plan, { channels: ['in-app', 'push'], quiet: false, digest: true, emailSendAt: null });
+
+        // Nothing to collect when the user has email off for the category
+        assert.equal(planNotificationDelivery(preferences({ digest: { enabled: true } }), { type: 'new_message', channels: ALL_CHANNELS, timezone: TIMEZONE }, at('12:00')).digest, false);
+    });
+});
+
+describe('updateNotificationPreferences', () => {
+    const stubPreferences = (t, row) => t.mock.method(pool, 'query', routeQueries([
+        [/SELECT \* FROM notification_preferences/, () => (row ? [row] : [])],
+        [/INSERT INTO notification_preferences/, (params) => {
+            row = {
+                channels: JSON.parse(params[1]),
+                quiet_hours_enabled: params[2],
+                quiet_hours_start: `${params[3]}:00`,
+                quiet_hours_end: `${params[4]}:00`,
+                digest_enabled: params[5],
+                digest_hour: params[6]
+            };
+            return [];
+        }]
+    ]));
+
+    it('stores only the channels that differ from the defaults', async (t) => {
+        stubPreferences(t, null);
+
+        const updated = await updateNotificationPreferences(101, {
+            channels: { messages: { email: true }, calls: { push: true } },
+            quietHours: { enabled: true, start: '22:30' },
+            digest: { enabled: true, hour: 7 }
+        });
+
+        const insert = pool.query.mock.calls.find(c => /INSERT INTO notification_preferences/.test(c.arguments[0]));
+        assert.deepEqual(JSON.parse(insert.arguments[1][1]), { messages: { email: true } });
+        assert.deepEqual(updated.channels.messages, { in_app: true, push: true, email: true, sms: false });
+        assert.deepEqual(updated.quietHours, { enabled: true, start: '22:30', end: '07:00' });
+        assert.deepEqual(updated.digest, { enabled: true, hour: 7 });
+    });
+
+    it('rejects unknown categories and channels and malformed times', async (t) => {
+        stubPreferences(t, null);
+
+        await assert.rejects(updateNotificationPreferences(102, { channels: { marketing: { email: false } } }), { status: 400, code: 'INVALID_CATEGORY' });
+        await assert.rejects(updateNotificationPreferences(102, { channels: { messages: { fax: true } } }), { status: 400, code: 'INVALID_CHANNEL' });
+        await assert.rejects(updateNotificationPreferences(102, { channels: { messages: { email: 'yes' } } }), { status: 400, code: 'INVALID_PREFERENCE' });
+        await assert.rejects(updateNotificationPreferences(102, { quietHours: { start: '9pm' } }), { status: 400, code: 'INVALID_PREFERENCE' });
+        await assert.rejects(updateNotificationPreferences(102, { quietHours: { start: '07:00' } }), { status: 400, code: 'INVALID_QUIET_HOURS' });
+        await assert.rejects(updateNotificationPreferences(102, { digest: { hour: 24 } }), { status: 400, code: 'INVALID_PREFERENCE' });
+        assert.ok(!pool.query.mock.calls.some(c => /INSERT INTO notification_preferences/.test(c.arguments[0])));
+    });
+});
+
+describe('sendNotificationDigests', () => {
+    it('only sends at the user\'s local digest hour and once another instance hasn\'t', async (t) => {
+        const users = [
+            { id: 1, email: 'a@example.com', timezone: TIMEZONE, digest_hour: 18 },
+            { id: 2, email: 'b@example.com', timezone: TIMEZONE, digest_hour: 18 }
+        ];
+        t.mock.method(pool, 'query', routeQueries([
+            [/FROM notification_preferences p\s+JOIN users u/, users],
+            // User 2's digest was claimed by another instance
+            [/SET last_digest_at = NOW\(\)/, ([id]) => (id === 1 ? [{ user_id: id }] : [])],
+            [/FROM notification_digest_items d\s+JOIN notifications n/, []]
+        ]));
+
+        assert.equal(await sendNotificationDigests(at('17:00')), 0);
+        assert.ok(!pool.query.mock.calls.some(c => /SET last_digest_at = NOW\(\)/.test(c.arguments[0])));
+
+        await sendNotificationDigests(at('18:15'));
+        const claims = pool.query.mock.calls.filter(c => /SET last_digest_at = NOW\(\)/.test(c.arguments[0]));
+        assert.deepEqual(claims.map(c => c.arguments[1][0]), [1, 2]);
+        const cleared = pool.query.mock.calls.filter(c => /DELETE FROM notification_digest_items/.test(c.arguments[0]));
+        assert.deepEqual(cleared.map(c => c.arguments[1][0]), [1]);
+    });
+});
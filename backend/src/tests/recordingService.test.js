@@ -0,0 +1,238 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import pool from '../config/database.js';
+import {
+    RECORDINGS_DIR,
+    requestRecording,
+    respondToConsent,
+    appendChunk,
+    purgeExpiredRecordings,
+    getRecordingFile
+} from '../services/recordingService.js';
+import { serviceError } from '../utils/serviceError.js';
+import { routeQueries, settingsRoute } from './helpers.js';
+
+const VOLUNTEER = { id: 1, role: 'volunteer' };
+const STUDENT = { id: 2, role: 'student' };
+
+const meetingRow = (overrides = {}) => ({
+    id: 42,
+    room_id: 'room-1',
+    volunteer_id: VOLUNTEER.id,
+    student_id: STUDENT.id,
+    volunteer_is_under_18: false,
+    volunteer_parent_recording_consent_at: null,
+    volunteer_parent_recording_consent_sent_at: null,
+    volunteer_parent_email: 'parent@example.com',
+    volunteer_parent_phone: null,
+    ...overrides
+});
+
+/**
+ * pool.connect() stand-in recording what the transaction ran
+ */
+const stubTransaction = (t, route) => {
+    const statements = [];
+    const client = {
+        query: async (sql, params = []) => {
+            statements.push({ sql, params });
+            return route(sql, params);
+        },
+        release: () => {}
+    };
+    t.mock.method(pool, 'connect', async () => client);
+    return statements;
+};
+
+describe('serviceError', () => {
+    it('carries the HTTP status, code and any extra fields', () => {
+        const error = serviceError('Too many attempts', 429, 'LOCKED', { retryAfterSeconds: 60 });
+        assert.ok(error instanceof Error);
+        assert.equal(error.message, 'Too many attempts');
+        assert.equal(error.status, 429);
+        assert.equal(error.code, 'LOCKED');
+        assert.equal(error.retryAfterSeconds, 60);
+    });
+});
+
+describe('requestRecording', () => {
+    it('refuses while recording is switched off', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([settingsRoute(t, { 'recording.enabled': false })]));
+
+        await assert.rejects(
+            requestRecording({ roomId: 'room-1', user: VOLUNTEER }),
+            { status: 403, code: 'RECORDING_DISABLED' }
+        );
+    });
+
+    it('refuses callers who are not in the meeting', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([settingsRoute(t)]));
+
+        await assert.rejects(
+            requestRecording({ roomId: 'room-1', user: { id: 9, role: 'student' } }),
+            { status: 403, code: 'NOT_PARTICIPANT' }
+        );
+    });
+
+    it('needs a parent\'s standing consent for an under-18 volunteer and asks at most once a day', async (t) => {
+        const meeting = meetingRow({
+            volunteer_is_under_18: true,
+            volunteer_parent_recording_consent_sent_at: new Date(Date.now() - 3600000)
+        });
+        t.mock.method(pool, 'query', routeQueries([
+            settingsRoute(t),
+            [/FROM meetings m\s+JOIN users v/, [meeting]]
+        ]));
+
+        await assert.rejects(
+            requestRecording({ roomId: 'room-1', user: STUDENT }),
+            { status: 409, code: 'PARENT_CONSENT_REQUIRED', parentNotified: false }
+        );
+    });
+
+    it('counts the requester as consenting and leaves the other participant to answer', async (t) => {
+        const consentAt = new Date('2026-01-05T10:00:00Z');
+        t.mock.method(pool, 'query', routeQueries([
+            settingsRoute(t),
+            [/FROM meetings m\s+JOIN users v/, [meetingRow({ volunteer_is_under_18: true, volunteer_parent_recording_consent_at: consentAt })]]
+        ]));
+        const statements = stubTransaction(t, (sql) => (
+            /INSERT INTO call_recordings/.test(sql) ? { rows: [{ id: 7, status: 'pending_consent' }] } : { rows: [] }
+        ));
+
+        const { recording, created } = await requestRecording({ roomId: 'room-1', user: STUDENT, ipAddress: '10.0.0.1' });
+
+        assert.equal(created, true);
+        assert.equal(recording.id, 7);
+        const consents = statements
+            .filter(s => /INSERT INTO call_recording_consents/.test(s.sql))
+            .map(s => [s.params[1], /'parent'/.test(s.sql) ? 'parent' : 'participant', s.params[2]]);
+        assert.deepEqual(consents, [
+            [VOLUNTEER.id, 'participant', null],
+            [STUDENT.id, 'participant', true],
+            [VOLUNTEER.id, 'parent', consentAt]
+        ]);
+        assert.equal(statements.at(-1).sql, 'COMMIT');
+    });
+
+    it('returns the meeting\'s active recording instead of starting another', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([
+            settingsRoute(t),
+            [/FROM meetings m\s+JOIN users v/, [meetingRow()]],
+            [/FROM call_recordings WHERE meeting_id/, [{ id: 7, status: 'consented' }]]
+        ]));
+        const statements = stubTransaction(t, () => ({ rows: [] }));
+
+        const { recording, created } = await requestRecording({ roomId: 'room-1', user: VOLUNTEER });
+
+        assert.equal(created, false);
+        assert.equal(recording.id, 7);
+        assert.equal(statements.length, 0);
+    });
+});
+
+describe('respondToConsent', () => {
+    it('declines a recording that has not started yet', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([
+            [/FROM call_recordings r\s+JOIN meetings m/, [{ id: 7, meeting_id: 42, status: 'pending_consent' }]],
+            [/SET status = 'declined'/, [{ id: 7, status: 'declined' }]]
+        ]));
+
+        const { recording } = await respondToConsent({ recordingId: 7, user: VOLUNTEER, granted: false });
+
+        assert.equal(recording.status, 'declined');
+        const actions = pool.query.mock.calls
+            .filter(c => /INSERT INTO activity_log/.test(c.arguments[0]))
+            .map(c => c.arguments[1][2]);
+        assert.deepEqual(actions, ['recording_consent_declined']);
+    });
+
+    it('rejects answers once the recording is closed', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([
+            [/FROM call_recordings r\s+JOIN meetings m/, [{ id: 7, status: 'completed' }]]
+        ]));
+
+        await assert.rejects(
+            respondToConsent({ recordingId: 7, user: VOLUNTEER, granted: true }),
+            { status: 409, code: 'NOT_ACTIVE' }
+        );
+    });
+});
+
+describe('appendChunk', () => {
+    const storagePath = `recording-test-${process.pid}.webm`;
+    after(() => fs.rmSync(path.join(RECORDINGS_DIR, storagePath), { force: true }));
+
+    const stubRecording = (t, chunkCount) => {
+        const recording = { id: 7, requested_by: VOLUNTEER.id, status: 'recording', chunk_count: chunkCount, size_bytes: '3', storage_path: storagePath };
+        t.mock.method(pool, 'query', routeQueries([
+            [/FROM call_recordings r\s+JOIN meetings m/, [recording]],
+            [/SET chunk_count = chunk_count \+ 1/, ([, index, size]) => [{ chunk_count: index + 1, size_bytes: String(3 + size) }]]
+        ]));
+    };
+
+    it('appends the next chunk in order', async (t) => {
+        stubRecording(t, 0);
+        const result = await appendChunk({ recordingId: 7, user: VOLUNTEER, index: 0, data: Buffer.from('abc') });
+
+        assert.deepEqual(result, { chunkCount: 1, sizeBytes: 6, duplicate: false });
+        assert.equal(fs.readFileSync(path.join(RECORDINGS_DIR, storagePath), 'utf8'), 'abc');
+    });
+
+    it('acknowledges a retried chunk without writing it twice', async (t) => {
+        stubRecording(t, 1);
+        const result = await appendChunk({ recordingId: 7, user: VOLUNTEER, index: 0, data: Buffer.from('abc') });
+
+        assert.equal(result.duplicate, true);
+        assert.equal(fs.readFileSync(path.join(RECORDINGS_DIR, storagePath), 'utf8'), 'abc');
+    });
+
+    it('rejects gaps and uploads from the other participant', async (t) => {
+        stubRecording(t, 1);
+        await assert.rejects(
+            appendChunk({ recordingId: 7, user: VOLUNTEER, index: 3, data: Buffer.from('x') }),
+            { status: 409, code: 'OUT_OF_ORDER' }
+        );
+        await assert.rejects(
+            appendChunk({ recordingId: 7, user: STUDENT, index: 1, data: Buffer.from('x') }),
+            { status: 403, code: 'NOT_REQUESTER' }
+        );
+    });
+});
+
+describe('retention', () => {
+    it('closes abandoned recordings and deletes expired media even when the file is already gone', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([
+            [/stop_reason = 'abandoned'/, [{ id: 5, meeting_id: 40, chunk_count: 3 }]],
+            [/retention_until < CURRENT_TIMESTAMP/, [
+                { id: 6, meeting_id: 41, storage_path: 'recording-missing-6.webm', size_bytes: '10' },
+                { id: 8, meeting_id: 43, storage_path: null, size_bytes: '0' }
+            ]]
+        ]));
+
+        assert.deepEqual(await purgeExpiredRecordings(), { abandoned: 1, deleted: 2 });
+
+        const deletedIds = pool.query.mock.calls
+            .filter(c => /SET status = 'deleted'/.test(c.arguments[0]))
+            .map(c => c.arguments[1][0]);
+        assert.deepEqual(deletedIds, [6, 8]);
+    });
+
+    it('reports deleted or empty recordings as gone', async (t) => {
+        const rows = {
+            1: { id: 1, deleted_at: new Date(), storage_path: 'recording-1.webm', chunk_count: 4 },
+            2: { id: 2, deleted_at: null, storage_path: 'recording-2.webm', chunk_count: 0 },
+            3: { id: 3, deleted_at: null, storage_path: '../../etc/recording-3.webm', chunk_count: 2 }
+        };
+        t.mock.method(pool, 'query', routeQueries([
+            [/FROM call_recordings WHERE id/, ([id]) => (rows[id] ? [rows[id]] : [])]
+        ]));
+
+        await assert.rejects(getRecordingFile(1), { status: 410, code: 'MEDIA_UNAVAILABLE' });
+        await assert.rejects(getRecordingFile(2), { status: 410, code: 'MEDIA_UNAVAILABLE' });
+        await assert.rejects(getRecordingFile(4), { status: 404, code: 'NOT_FOUND' });
+        assert.equal((await getRecordingFile(3)).filePath, path.join(RECORDINGS_DIR, 'recording-3.webm'));
+    });
+});
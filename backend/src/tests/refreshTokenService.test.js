@@ -0,0 +1,92 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import pool from '../config/database.js';
+import { issueTokens, rotateRefreshToken } from '../services/refreshTokenService.js';
+import { routeQueries, useFakeRedis } from './helpers.js';
+
+const USER = { id: 1, role: 'volunteer', email: 'vera@example.com', full_name: 'Vera' };
+const GRACE_MS = 10 * 1000;
+
+describe('refresh token rotation', () => {
+    let tokens;
+    let redis;
+
+    /**
+     * refresh_tokens as a table in memory, shared by the pool and the rotation transaction
+     */
+    const stubTokenTable = (t) => {
+        tokens = new Map();
+        const query = routeQueries([
+            [/INSERT INTO refresh_tokens/, ([jti, familyId, userId]) => {
+                tokens.set(jti, { id: tokens.size + 1, jti, family_id: familyId, user_id: userId, used_at: null, revoked_at: null });
+                return [];
+            }],
+            [/FROM refresh_tokens\s+WHERE jti/, ([jti]) => {
+                const row = tokens.get(jti);
+                return row ? [{ ...row, recently_used: !!row.used_at && row.used_at > Date.now() - GRACE_MS }] : [];
+            }],
+            [/SET used_at = NOW\(\), replaced_by/, ([id, nextJti]) => {
+                const row = [...tokens.values()].find(r => r.id === id);
+                Object.assign(row, { used_at: Date.now(), replaced_by: nextJti });
+                return [];
+            }],
+            [/WHERE family_id = \$1 AND revoked_at IS NULL/, ([familyId]) => [...tokens.values()]
+                .filter(r => r.family_id === familyId && !r.revoked_at)
+                .map(r => Object.assign(r, { revoked_at: Date.now() }))],
+            [/SELECT \* FROM users WHERE id/, [USER]]
+        ]);
+        t.mock.method(pool, 'query', query);
+        t.mock.method(pool, 'connect', async () => ({ query, release: () => {} }));
+    };
+
+    beforeEach(async (t) => {
+        redis = await useFakeRedis(t);
+        stubTokenTable(t);
+    });
+
+    it('issues a successor in the same session and spends the presented token', async () => {
+        const first = await issueTokens(USER, { userAgent: 'x'.repeat(300) });
+        const { tokens: next, user } = await rotateRefreshToken(first.refreshToken);
+
+        const before = jwt.decode(first.refreshToken);
+        const after = jwt.decode(next.refreshToken);
+        assert.equal(user.id, USER.id);
+        assert.notEqual(after.jti, before.jti);
+        assert.equal(after.fid, before.fid);
+        assert.equal(tokens.get(before.jti).replaced_by, after.jti);
+        assert.equal(tokens.get(after.jti).used_at, null);
+    });
+
+    it('tells a second tab that raced the refresh to pick up the new tokens', async () => {
+        const first = await issueTokens(USER);
+        await rotateRefreshToken(first.refreshToken);
+
+        await assert.rejects(rotateRefreshToken(first.refreshToken), { status: 401, code: 'REFRESH_TOKEN_ROTATED' });
+        assert.ok([...tokens.values()].every(r => !r.revoked_at));
+    });
+
+    it('revokes the whole session when a spent token is replayed later', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const first = await issueTokens(USER);
+        const { tokens: next } = await rotateRefreshToken(first.refreshToken);
+        tokens.get(jwt.decode(first.refreshToken).jti).used_at = Date.now() - GRACE_MS - 1000;
+
+        await assert.rejects(rotateRefreshToken(first.refreshToken), { status: 401, code: 'REFRESH_TOKEN_REUSED' });
+
+        const { fid } = jwt.decode(first.refreshToken);
+        assert.equal(await redis.get(`auth:revoked:family:${fid}`), 'reuse_detected');
+        await assert.rejects(rotateRefreshToken(next.refreshToken), { status: 401, code: 'REFRESH_TOKEN_REVOKED' });
+    });
+
+    it('only accepts refresh tokens it issued', async () => {
+        const { accessToken } = await issueTokens(USER);
+        await assert.rejects(rotateRefreshToken(accessToken), { code: 'INVALID_REFRESH_TOKEN' });
+        await assert.rejects(rotateRefreshToken('not-a-token'), { code: 'INVALID_REFRESH_TOKEN' });
+
+        tokens.clear();
+        const unknown = await issueTokens(USER);
+        tokens.clear();
+        await assert.rejects(rotateRefreshToken(unknown.refreshToken), { code: 'INVALID_REFRESH_TOKEN' });
+    });
+});
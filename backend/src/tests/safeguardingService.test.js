@@ -0,0 +1,167 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../config/database.js';
+import {
+    createIncident,
+    updateIncident,
+    getSchedulingSuspension
+} from '../services/safeguardingService.js';
+import { routeQueries, settingsRoute } from './helpers.js';
+
+const VOLUNTEER = { id: 1, role: 'volunteer' };
+const STUDENT = { id: 2, role: 'student' };
+const ADMIN = { id: 3, role: 'admin' };
+
+const MEETING = {
+    id: 42,
+    room_id: 'room-1',
+    volunteer_id: VOLUNTEER.id,
+    student_id: STUDENT.id,
+    volunteer_name: 'Vera',
+    student_name: 'Sam'
+};
+
+/**
+ * pool.connect() stand-in for the report transaction
+ */
+const stubTransaction = (t) => {
+    const statements = [];
+    t.mock.method(pool, 'connect', async () => ({
+        query: async (sql, params = []) => {
+            statements.push({ sql, params });
+            if (/INSERT INTO safeguarding_incidents/.test(sql)) {
+                return { rows: [{ id: 9, meeting_id: MEETING.id, reporter_role: params[3], category: params[5] }] };
+            }
+            return { rows: [], rowCount: /safeguarding_incident_messages/.test(sql) ? 2 : 0 };
+        },
+        release: () => {}
+    }));
+    return statements;
+};
+
+const report = (overrides = {}) => ({
+    user: STUDENT,
+    meetingId: MEETING.id,
+    category: 'harassment',
+    description: 'They kept asking for my phone number',
+    ...overrides
+});
+
+describe('createIncident', () => {
+    it('validates the report before looking anything up', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([]));
+
+        await assert.rejects(createIncident(report({ category: 'rude' })), { status: 400, code: 'INVALID_CATEGORY' });
+        await assert.rejects(createIncident(report({ description: '   ' })), { status: 400, code: 'DESCRIPTION_REQUIRED' });
+        await assert.rejects(createIncident(report({ description: 'x'.repeat(5001) })), { status: 400, code: 'DESCRIPTION_TOO_LONG' });
+        await assert.rejects(createIncident(report({ meetingId: undefined })), { status: 400, code: 'MEETING_REQUIRED' });
+        assert.equal(pool.query.mock.callCount(), 0);
+    });
+
+    it('only accepts reports about a session the reporter took part in', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([]));
+        await assert.rejects(createIncident(report()), { status: 403, code: 'NOT_PARTICIPANT' });
+    });
+
+    it('reports the other participant and attaches only the messages the reporter picked', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([
+            settingsRoute(t),
+            [/FROM meetings m\s+JOIN users v/, [MEETING]]
+        ]));
+        const statements = stubTransaction(t);
+
+        const result = await createIncident(report({ user: VOLUNTEER, messageIds: ['5', 'abc', 8], duringCall: true }));
+
+        const insert = statements.find(s => /INSERT INTO safeguarding_incidents/.test(s.sql));
+        assert.deepEqual(insert.params.slice(2, 5), [VOLUNTEER.id, 'volunteer', STUDENT.id]);
+        assert.equal(insert.params[7], true);
+
+        const evidence = statements.find(s => /safeguarding_incident_messages/.test(s.sql));
+        assert.deepEqual(evidence.params.slice(3), [[5, 8], 2]);
+        assert.equal(result.incident.id, 9);
+        assert.equal(result.evidenceCount, 2);
+        assert.equal(result.schedulingSuspended, false);
+    });
+
+    it('suspends the volunteer\'s scheduling on a student report when configured to', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([
+            settingsRoute(t, { 'safeguarding.auto_suspend_on_student_report': true }),
+            [/FROM meetings m\s+JOIN users v/, [MEETING]],
+            [/SET scheduling_suspended_at/, (params) => [{ id: params[0] }]]
+        ]));
+        stubTransaction(t);
+
+        const { schedulingSuspended } = await createIncident(report());
+
+        assert.equal(schedulingSuspended, true);
+        const suspension = pool.query.mock.calls.find(c => /SET scheduling_suspended_at/.test(c.arguments[0]));
+        assert.deepEqual(suspension.arguments[1], [VOLUNTEER.id, true, 'Safeguarding incident #9 (pending review)']);
+    });
+
+    it('leaves scheduling alone when the setting is off', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([
+            settingsRoute(t),
+            [/FROM meetings m\s+JOIN users v/, [MEETING]]
+        ]));
+        stubTransaction(t);
+
+        const { schedulingSuspended } = await createIncident(report());
+
+        assert.equal(schedulingSuspended, false);
+        assert.ok(!pool.query.mock.calls.some(c => /SET scheduling_suspended_at/.test(c.arguments[0])));
+    });
+});
+
+describe('updateIncident', () => {
+    const stubIncident = (t, incident, admins = [ADMIN.id]) => t.mock.method(pool, 'query', routeQueries([
+        [/SELECT \* FROM safeguarding_incidents/, [incident]],
+        [/FROM users WHERE id = \$1 AND role = 'admin'/, ([id]) => (admins.includes(id) ? [{ id }] : [])],
+        [/UPDATE safeguarding_incidents/, (params) => [{
+            id: params[0], status: params[1], assigned_to: params[2], resolution: params[3], closing: params[4], reopening: params[6]
+        }]]
+    ]));
+
+    it('requires a resolution to close a case', async (t) => {
+        stubIncident(t, { id: 9, status: 'investigating', resolution: null });
+
+        await assert.rejects(
+            updateIncident({ incidentId: 9, admin: ADMIN, status: 'resolved', resolution: '  ' }),
+            { status: 400, code: 'RESOLUTION_REQUIRED' }
+        );
+
+        const closed = await updateIncident({ incidentId: 9, admin: ADMIN, status: 'resolved', resolution: 'Spoke to the school' });
+        assert.equal(closed.closing, true);
+        assert.equal(closed.resolution, 'Spoke to the school');
+    });
+
+    it('clears the resolver when a closed case is reopened', async (t) => {
+        stubIncident(t, { id: 9, status: 'dismissed', resolution: 'No concern' });
+
+        const reopened = await updateIncident({ incidentId: 9, admin: ADMIN, status: 'investigating' });
+
+        assert.equal(reopened.closing, false);
+        assert.equal(reopened.reopening, true);
+    });
+
+    it('rejects unknown statuses and non-admin assignees', async (t) => {
+        stubIncident(t, { id: 9, status: 'open', assigned_to: null });
+
+        await assert.rejects(updateIncident({ incidentId: 9, admin: ADMIN, status: 'closed' }), { code: 'INVALID_STATUS' });
+        await assert.rejects(updateIncident({ incidentId: 9, admin: ADMIN, assignedTo: VOLUNTEER.id }), { code: 'INVALID_ASSIGNEE' });
+        assert.equal((await updateIncident({ incidentId: 9, admin: ADMIN, assignedTo: ADMIN.id })).assigned_to, ADMIN.id);
+    });
+});
+
+describe('getSchedulingSuspension', () => {
+    it('reports when and why a volunteer was suspended', async (t) => {
+        const since = new Date('2026-03-01T09:00:00Z');
+        t.mock.method(pool, 'query', routeQueries([
+            [/scheduling_suspended_at, scheduling_suspension_reason FROM users/, ([id]) => (
+                id === VOLUNTEER.id ? [{ scheduling_suspended_at: since, scheduling_suspension_reason: 'Incident #9' }] : [{ scheduling_suspended_at: null }]
+            )]
+        ]));
+
+        assert.deepEqual(await getSchedulingSuspension(VOLUNTEER.id), { suspended: true, since, reason: 'Incident #9' });
+        assert.deepEqual(await getSchedulingSuspension(4), { suspended: false });
+    });
+});
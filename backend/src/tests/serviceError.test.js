@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { serviceError, sendServiceError } from '../utils/serviceError.js';
+
+const fakeResponse = () => {
+    const res = { statusCode: null, body: null };
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    return res;
+};
+
+describe('sendServiceError', () => {
+    it('answers a service error with its status, message and code', () => {
+        const res = fakeResponse();
+        sendServiceError(res, serviceError('Goal not found', 404, 'NOT_FOUND', { goalId: 3 }), 'Failed to update goal');
+
+        assert.equal(res.statusCode, 404);
+        assert.deepEqual(res.body, { success: false, error: 'Goal not found', code: 'NOT_FOUND' });
+    });
+
+    it('passes on only the listed fields the error has', () => {
+        const lockedUntil = new Date('2026-10-19T12:00:00Z');
+        const res = fakeResponse();
+        sendServiceError(res, serviceError('Too many wrong codes', 429, 'LOCKED', { lockedUntil, failedAttempts: 5 }),
+            'Failed TOTP verification', ['lockedUntil', 'parentNotified']);
+
+        assert.deepEqual(res.body, { success: false, error: 'Too many wrong codes', code: 'LOCKED', lockedUntil });
+    });
+
+    it('logs anything else and answers with a 500 and the fallback message', (t) => {
+        t.mock.method(console, 'error', () => {});
+        const res = fakeResponse();
+        sendServiceError(res, new Error('connection refused'), 'Failed to update goal');
+
+        assert.equal(res.statusCode, 500);
+        assert.deepEqual(res.body, { success: false, error: 'Failed to update goal', details: 'connection refused' });
+        assert.equal(console.error.mock.callCount(), 1);
+    });
+});
@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../config/database.js';
+import {
+    submitFeedback,
+    calculateRatingAdjustment,
+    getVolunteerRatingSummary,
+    RATING_SAMPLE_SIZE
+} from '../services/sessionFeedbackService.js';
+import { routeQueries } from './helpers.js';
+
+const VOLUNTEER = { id: 1, role: 'volunteer' };
+const STUDENT = { id: 2, role: 'student' };
+
+const MEETING = { id: 42, room_id: 'room-1', volunteer_id: VOLUNTEER.id, student_id: STUDENT.id, status: 'completed', has_started: true };
+
+describe('calculateRatingAdjustment', () => {
+    it('adds ten points per star above or below a neutral 4, within the bonus and penalty caps', () => {
+        assert.equal(calculateRatingAdjustment(4, 10), 0);
+        assert.equal(calculateRatingAdjustment(4.6, 10), 6);
+        assert.equal(calculateRatingAdjustment(5, 10), 10);
+        assert.equal(calculateRatingAdjustment(3.2, 10), -8);
+        assert.equal(calculateRatingAdjustment(1, 10), -20);
+    });
+
+    it('ignores volunteers with too few ratings to judge', () => {
+        assert.equal(calculateRatingAdjustment(1, 2), 0);
+        assert.equal(calculateRatingAdjustment(null, 0), 0);
+    });
+});
+
+describe('getVolunteerRatingSummary', () => {
+    it('averages the most recent student ratings', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([
+            [/FROM session_feedback/, [{ average_rating: 2.4666, rating_count: 15 }]]
+        ]));
+
+        assert.deepEqual(await getVolunteerRatingSummary(VOLUNTEER.id), { averageRating: 2.5, ratingCount: 15, adjustment: -15 });
+        assert.deepEqual(pool.query.mock.calls[0].arguments[1], [VOLUNTEER.id, RATING_SAMPLE_SIZE]);
+    });
+
+    it('reports no average for a volunteer nobody has rated', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([
+            [/FROM session_feedback/, [{ average_rating: null, rating_count: 0 }]]
+        ]));
+
+        assert.deepEqual(await getVolunteerRatingSummary(VOLUNTEER.id), { averageRating: null, ratingCount: 0, adjustment: 0 });
+    });
+});
+
+describe('submitFeedback', () => {
+    const stubDatabase = (t, meeting = MEETING, updated = false) => t.mock.method(pool, 'query', routeQueries([
+        [/FROM meetings/, meeting ? [meeting] : []],
+        [/INSERT INTO session_feedback/, (params) => [{ params, updated }]]
+    ]));
+
+    it('stores a student\'s rating of the volunteer', async (t) => {
+        stubDatabase(t);
+
+        const { feedback, updated } = await submitFeedback({ meetingRef: 'room-1', user: STUDENT, rating: '5', comment: '  Lovely  ' });
+
+        assert.equal(updated, false);
+        assert.deepEqual(feedback.params, [42, STUDENT.id, 'student', VOLUNTEER.id, 5, null, null, 'Lovely']);
+    });
+
+    it('asks the volunteer for engagement and level instead of a rating', async (t) => {
+        stubDatabase(t, MEETING, true);
+
+        await assert.rejects(
+            submitFeedback({ meetingRef: 42, user: VOLUNTEER, engagement: 4, englishLevel: 'fluent' }),
+            { status: 400, code: 'INVALID_ENGLISH_LEVEL' }
+        );
+        const { feedback, updated } = await submitFeedback({ meetingRef: 42, user: VOLUNTEER, rating: 1, engagement: 4, englishLevel: 'intermediate' });
+
+        assert.equal(updated, true);
+        assert.deepEqual(feedback.params.slice(3, 7), [STUDENT.id, null, 4, 'intermediate']);
+    });
+
+    it('rejects out-of-range scores', async (t) => {
+        stubDatabase(t);
+        for (const rating of [0, 6, 'great', undefined]) {
+            await assert.rejects(
+                submitFeedback({ meetingRef: 'room-1', user: STUDENT, rating }),
+                { status: 400, code: 'INVALID_RATING' },
+                `rating ${rating}`
+            );
+        }
+    });
+
+    it('only takes feedback from the meeting\'s participants once it has taken place', async (t) => {
+        stubDatabase(t, { ...MEETING, student_id: 9 });
+        await assert.rejects(submitFeedback({ meetingRef: 'room-1', user: STUDENT, rating: 5 }), { status: 403, code: 'NOT_PARTICIPANT' });
+
+        t.mock.restoreAll();
+        stubDatabase(t, { ...MEETING, status: 'scheduled', has_started: false });
+        await assert.rejects(submitFeedback({ meetingRef: 'room-1', user: STUDENT, rating: 5 }), { status: 409, code: 'MEETING_NOT_HELD' });
+
+        await assert.rejects(submitFeedback({ meetingRef: 'room-1', user: { id: 3, role: 'admin' }, rating: 5 }), { status: 403 });
+    });
+});
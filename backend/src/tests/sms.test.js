@@ -0,0 +1,109 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSmsTransport, parseDeliveryReport } from '../utils/sms/index.js';
+import { createAfricasTalkingTransport } from '../utils/sms/africasTalkingTransport.js';
+import { createLocalTransport } from '../utils/sms/localTransport.js';
+
+const TWILIO_ENV = {
+    TWILIO_ACCOUNT_SID: `AC${'0'.repeat(32)}`,
+    TWILIO_AUTH_TOKEN: 'token',
+    TWILIO_PHONE_NUMBER: '+15005550006'
+};
+
+const jsonResponse = (status, body) => ({ ok: status < 400, status, json: async () => body });
+
+describe('createSmsTransport', () => {
+    beforeEach((t) => {
+        t.mock.method(console, 'warn', () => {});
+    });
+
+    it('uses Twilio when its credentials are set and the local stub otherwise', () => {
+        assert.equal(createSmsTransport(TWILIO_ENV).name, 'twilio');
+        assert.equal(createSmsTransport({}).name, 'local');
+        assert.equal(console.warn.mock.callCount(), 0);
+    });
+
+    it('honours SMS_PROVIDER', () => {
+        assert.equal(createSmsTransport({ SMS_PROVIDER: 'AfricasTalking', AFRICASTALKING_USERNAME: 'sandbox', AFRICASTALKING_API_KEY: 'key' }).name, 'africastalking');
+        assert.equal(createSmsTransport({ ...TWILIO_ENV, SMS_PROVIDER: 'local' }).name, 'local');
+    });
+
+    it('falls back to the local stub with a warning when the provider is not configured', () => {
+        assert.equal(createSmsTransport({ ...TWILIO_ENV, TWILIO_PHONE_NUMBER: '' }).name, 'local');
+        assert.equal(createSmsTransport({ SMS_PROVIDER: 'africastalking' }).name, 'local');
+        assert.equal(createSmsTransport({ SMS_PROVIDER: 'carrier-pigeon' }).name, 'local');
+        assert.equal(console.warn.mock.callCount(), 4);
+    });
+});
+
+describe('parseDeliveryReport', () => {
+    it('reduces each provider\'s receipt to one status scale', () => {
+        assert.deepEqual(
+            parseDeliveryReport('twilio', { MessageSid: 'SM1', MessageStatus: 'undelivered', ErrorCode: '30003' }),
+            { providerMessageId: 'SM1', status: 'failed', error: 'Twilio error 30003' }
+        );
+        assert.deepEqual(
+            parseDeliveryReport('africastalking', { id: 'ATX1', status: 'Success' }),
+            { providerMessageId: 'ATX1', status: 'delivered', error: null }
+        );
+        assert.deepEqual(
+            parseDeliveryReport('africastalking', { id: 'ATX2', status: 'AbsentSubscriber', failureReason: 'AbsentSubscriber' }),
+            { providerMessageId: 'ATX2', status: 'failed', error: 'AbsentSubscriber' }
+        );
+        assert.deepEqual(parseDeliveryReport('local', { id: 'local-1', status: 'delivered' }), { providerMessageId: 'local-1', status: 'delivered', error: null });
+    });
+
+    it('rejects unreadable receipts and unknown providers', () => {
+        assert.equal(parseDeliveryReport('twilio', { MessageSid: 'SM1' }), null);
+        assert.equal(parseDeliveryReport('local', { id: 'local-1', status: 'read' }), null);
+        assert.equal(parseDeliveryReport('nexmo', { id: 'x', status: 'delivered' }), null);
+    });
+});
+
+describe('Africa\'s Talking transport', () => {
+    const transport = createAfricasTalkingTransport({ username: 'sandbox', apiKey: 'key', senderId: 'TALKTIME' });
+
+    it('posts the message as a form to the sandbox and returns the message id', async (t) => {
+        t.mock.method(globalThis, 'fetch', async () => jsonResponse(201, {
+            SMSMessageData: { Recipients: [{ statusCode: 101, status: 'Success', messageId: 'ATX1', cost: 'KES 0.8000' }] }
+        }));
+
+        const result = await transport.send({ to: '+254712345678', body: 'Hello' });
+
+        assert.deepEqual(result, { providerMessageId: 'ATX1', status: 'sent', cost: 'KES 0.8000' });
+        const [url, options] = fetch.mock.calls[0].arguments;
+        assert.equal(url, 'https://api.sandbox.africastalking.com/version1/messaging');
+        assert.equal(options.headers.apiKey, 'key');
+        assert.equal(options.body.get('from'), 'TALKTIME');
+        assert.equal(options.body.get('to'), '+254712345678');
+    });
+
+    it('fails when the recipient is rejected or the API errors', async (t) => {
+        t.mock.method(globalThis, 'fetch', async () => jsonResponse(201, {
+            SMSMessageData: { Recipients: [{ statusCode: 403, status: 'InvalidPhoneNumber' }] }
+        }));
+        await assert.rejects(transport.send({ to: '+254', body: 'Hello' }), /InvalidPhoneNumber/);
+
+        t.mock.restoreAll();
+        t.mock.method(globalThis, 'fetch', async () => jsonResponse(401, { error: 'bad key' }));
+        await assert.rejects(transport.send({ to: '+254712345678', body: 'Hello' }), /returned 401/);
+    });
+});
+
+describe('local SMS stub', () => {
+    it('posts each message to the stub URL and counts it delivered', async (t) => {
+        t.mock.method(console, 'log', () => {});
+        t.mock.method(globalThis, 'fetch', async () => jsonResponse(204, null));
+        const transport = createLocalTransport({ url: 'http://localhost:9999/sms' });
+
+        const result = await transport.send({ to: '+254712345678', body: 'Hello' });
+
+        assert.equal(result.status, 'delivered');
+        const sent = JSON.parse(fetch.mock.calls[0].arguments[1].body);
+        assert.equal(sent.id, result.providerMessageId);
+        assert.equal(sent.body, 'Hello');
+
+        t.mock.method(globalThis, 'fetch', async () => jsonResponse(500, null));
+        await assert.rejects(transport.send({ to: '+254712345678', body: 'Hello' }), /returned 500/);
+    });
+});
@@ -0,0 +1,164 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../config/database.js';
+import {
+    normalizePhoneNumber,
+    sendSms,
+    recordDeliveryReport,
+    isValidCallbackToken,
+    createSmsContact,
+    sendMeetingReminderToContacts
+} from '../services/smsService.js';
+import { routeQueries } from './helpers.js';
+
+// The service picks its transport on first send; the local stub posts to a URL we answer with fetch
+process.env.SMS_PROVIDER = 'local';
+process.env.SMS_STUB_URL = 'http://localhost:9999/sms';
+
+const stubOutbox = (t, { status = 204 } = {}) => t.mock.method(globalThis, 'fetch', async (url, options) => ({
+    ok: status < 400,
+    status,
+    json: async () => JSON.parse(options.body)
+}));
+
+const sentMessages = () => fetch.mock.calls.map(c => JSON.parse(c.arguments[1].body));
+
+describe('normalizePhoneNumber', () => {
+    it('puts local and international numbers in E.164 form', () => {
+        assert.equal(normalizePhoneNumber('0712 345 678'), '+254712345678');
+        assert.equal(normalizePhoneNumber('+254 (712) 345-678'), '+254712345678');
+        assert.equal(normalizePhoneNumber('0044 20 7946 0958'), '+442079460958');
+    });
+
+    it('rejects anything that is not a phone number', () => {
+        assert.equal(normalizePhoneNumber('12345'), null);
+        assert.equal(normalizePhoneNumber('call me'), null);
+        assert.equal(normalizePhoneNumber(712345678), null);
+    });
+});
+
+describe('sendSms', () => {
+    beforeEach((t) => {
+        t.mock.method(console, 'log', () => {});
+    });
+
+    it('logs the message before sending and records the provider\'s answer', async (t) => {
+        stubOutbox(t);
+        t.mock.method(pool, 'query', routeQueries([
+            [/INSERT INTO sms_messages/, [{ id: 5 }]]
+        ]));
+
+        const result = await sendSms({ to: '0712345678', body: 'Hello', purpose: 'meeting_reminder', contactId: 3, meetingId: 42 });
+
+        assert.equal(result.id, 5);
+        assert.equal(result.provider, 'local');
+        assert.equal(result.status, 'delivered');
+        const [insert, update] = pool.query.mock.calls.map(c => c.arguments[1]);
+        assert.deepEqual(insert, ['local', '+254712345678', 'Hello', 'meeting_reminder', null, 3, 42]);
+        assert.deepEqual(update.slice(0, 3), [5, result.providerMessageId, 'delivered']);
+        assert.equal(sentMessages()[0].to, '+254712345678');
+    });
+
+    it('marks the message failed when the provider refuses it', async (t) => {
+        stubOutbox(t, { status: 503 });
+        t.mock.method(pool, 'query', routeQueries([
+            [/INSERT INTO sms_messages/, [{ id: 6 }]]
+        ]));
+
+        await assert.rejects(sendSms({ to: '+254712345678', body: 'Hello' }), /returned 503/);
+
+        const failed = pool.query.mock.calls.find(c => /SET status = 'failed'/.test(c.arguments[0]));
+        assert.deepEqual(failed.arguments[1], [6, 'SMS stub returned 503']);
+    });
+
+    it('refuses unusable numbers without logging anything', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([]));
+        await assert.rejects(sendSms({ to: '123', body: 'Hello' }), { status: 400, code: 'INVALID_PHONE' });
+        assert.equal(pool.query.mock.callCount(), 0);
+    });
+});
+
+describe('delivery reports', () => {
+    it('applies a receipt only to a message that is still in flight', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([
+            [/UPDATE sms_messages/, ([, id]) => (id === 'ATX1' ? [{ id: 5 }] : [])]
+        ]));
+
+        assert.deepEqual(await recordDeliveryReport('africastalking', { id: 'ATX1', status: 'Success' }), { matched: true, status: 'delivered' });
+        assert.deepEqual(await recordDeliveryReport('africastalking', { id: 'ATX9', status: 'Failed' }), { matched: false });
+        assert.match(pool.query.mock.calls[0].arguments[0], /status IN \('queued', 'sent'\)/);
+    });
+
+    it('rejects unknown providers and unreadable receipts', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([]));
+        await assert.rejects(recordDeliveryReport('nexmo', {}), { status: 404, code: 'UNKNOWN_PROVIDER' });
+        await assert.rejects(recordDeliveryReport('twilio', { MessageSid: 'SM1' }), { status: 400, code: 'INVALID_DELIVERY_REPORT' });
+    });
+
+    it('checks the callback token only when one is configured', (t) => {
+        t.after(() => delete process.env.SMS_CALLBACK_TOKEN);
+
+        assert.equal(isValidCallbackToken(undefined), true);
+        process.env.SMS_CALLBACK_TOKEN = 'secret-token';
+        assert.equal(isValidCallbackToken('secret-token'), true);
+        assert.equal(isValidCallbackToken('secret-tokeN'), false);
+        assert.equal(isValidCallbackToken('secret'), false);
+        assert.equal(isValidCallbackToken(undefined), false);
+    });
+});
+
+describe('SMS contacts', () => {
+    it('validates contacts before saving them', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([
+            [/FROM users WHERE id = \$1 AND role = 'student'/, ([id]) => (id === 2 ? [{ id }] : [])]
+        ]));
+        const parent = { contactType: 'parent', fullName: 'Mary', phone: '0712345678', studentId: 2 };
+
+        await assert.rejects(createSmsContact({ ...parent, contactType: 'teacher' }), { status: 400, code: 'INVALID_CONTACT' });
+        await assert.rejects(createSmsContact({ ...parent, fullName: ' ' }), { code: 'INVALID_CONTACT' });
+        await assert.rejects(createSmsContact({ ...parent, phone: '12' }), { code: 'INVALID_PHONE' });
+        await assert.rejects(createSmsContact({ ...parent, locale: 'fr' }), { code: 'INVALID_CONTACT' });
+        await assert.rejects(createSmsContact({ ...parent, studentId: 9 }), { code: 'INVALID_CONTACT' });
+        assert.ok(!pool.query.mock.calls.some(c => /INSERT INTO sms_contacts/.test(c.arguments[0])));
+    });
+
+    it('texts each number once per meeting and carries on past a failed send', async (t) => {
+        t.mock.method(console, 'log', () => {});
+        t.mock.method(console, 'error', () => {});
+        stubOutbox(t);
+        let messageId = 0;
+        t.mock.method(pool, 'query', routeQueries([
+            [/FROM meetings m\s+JOIN users s/, [{
+                id: 42, scheduled_time: new Date('2026-03-02T12:00:00Z'), status: 'scheduled', student_id: 2,
+                student_name: 'Sam', school_grade: 'Form 2', volunteer_name: 'Vera'
+            }]],
+            [/FROM sms_contacts c\s+WHERE c.meeting_reminders/, [
+                { id: 1, phone: '+254712345678', locale: 'en' },
+                { id: 2, phone: '+254712345678', locale: 'en' },
+                { id: 3, phone: '+254799', locale: 'sw' },
+                { id: 4, phone: '+254722000111', locale: 'sw' }
+            ]],
+            [/INSERT INTO sms_messages/, () => [{ id: ++messageId }]]
+        ]));
+
+        assert.equal(await sendMeetingReminderToContacts(42), 2);
+
+        const [english, swahili] = sentMessages();
+        // Contacts are in Kenya (UTC+3)
+        assert.match(english.body, /^TalkTime: Sam has an English conversation session with Vera at Monday, March 2, 2026 at 3:00\sPM\./);
+        assert.equal(swahili.to, '+254722000111');
+        const contactIds = pool.query.mock.calls
+            .filter(c => /INSERT INTO sms_messages/.test(c.arguments[0]))
+            .map(c => c.arguments[1][5]);
+        assert.deepEqual(contactIds, [1, 4]);
+    });
+
+    it('sends no reminder for a canceled meeting', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([
+            [/FROM meetings m\s+JOIN users s/, [{ id: 42, status: 'cancelled' }]]
+        ]));
+
+        assert.equal(await sendMeetingReminderToContacts(42), 0);
+        assert.equal(pool.query.mock.callCount(), 1);
+    });
+});
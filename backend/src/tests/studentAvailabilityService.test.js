@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../config/database.js';
+import {
+    AvailabilityReasons,
+    loadStudentSchedulingRules,
+    evaluateStudentAvailability,
+    checkStudentAvailabilityAt
+} from '../services/studentAvailabilityService.js';
+import { routeQueries, settingsRoute } from './helpers.js';
+
+const rules = (overrides = {}) => ({
+    studentId: 2,
+    timezone: 'Africa/Nairobi',
+    schoolGrade: 'Form 2',
+    windows: [],
+    calendar: [],
+    ...overrides
+});
+
+// Tuesday 3 November 2026 in Nairobi (UTC+3)
+const tuesdayAt = (time) => new Date(`2026-11-03T${time}:00+03:00`);
+
+describe('evaluateStudentAvailability', () => {
+    it('allows any time when no windows or calendar entries are recorded', () => {
+        assert.deepEqual(evaluateStudentAvailability(rules(), tuesdayAt('10:00'), 40), { available: true });
+    });
+
+    it('blocks holidays and exams, including their last day', () => {
+        const calendar = [
+            { name: 'Half term', event_type: 'holiday', start_date: '2026-11-02', end_date: '2026-11-03' },
+            { name: 'Mocks', event_type: 'exam', start_date: '2026-11-10', end_date: '2026-11-12' }
+        ];
+
+        const holiday = evaluateStudentAvailability(rules({ calendar }), tuesdayAt('10:00'), 40);
+        assert.equal(holiday.available, false);
+        assert.equal(holiday.reason, AvailabilityReasons.HOLIDAY);
+
+        const exam = evaluateStudentAvailability(rules({ calendar }), new Date('2026-11-12T10:00:00+03:00'), 40);
+        assert.equal(exam.reason, AvailabilityReasons.EXAM);
+    });
+
+    it('reads the calendar date in the student\'s timezone', () => {
+        const calendar = [{ name: 'Founders day', event_type: 'holiday', start_date: '2026-11-07', end_date: '2026-11-07' }];
+        // 22:00 UTC on the 6th is already the 7th in Nairobi
+        const result = evaluateStudentAvailability(rules({ calendar }), new Date('2026-11-06T22:00:00Z'), 40);
+        assert.equal(result.reason, AvailabilityReasons.HOLIDAY);
+    });
+
+    it('requires a term date once terms are defined', () => {
+        const calendar = [{ name: 'Term 3', event_type: 'term', start_date: '2026-09-01', end_date: '2026-10-30' }];
+        assert.equal(evaluateStudentAvailability(rules({ calendar }), tuesdayAt('10:00'), 40).reason, AvailabilityReasons.OUT_OF_TERM);
+
+        calendar.push({ name: 'Holiday tuition', event_type: 'term', start_date: '2026-11-02', end_date: '2026-11-20' });
+        assert.equal(evaluateStudentAvailability(rules({ calendar }), tuesdayAt('10:00'), 40).available, true);
+    });
+
+    it('requires the whole meeting to fit inside a window on the right weekday', () => {
+        const windows = [{ day_of_week: 2, start_time: '16:00:00', end_time: '17:00:00', timezone: 'Africa/Nairobi' }];
+
+        assert.equal(evaluateStudentAvailability(rules({ windows }), tuesdayAt('16:20'), 40).available, true);
+        assert.equal(evaluateStudentAvailability(rules({ windows }), tuesdayAt('16:30'), 40).reason, AvailabilityReasons.OUTSIDE_AVAILABILITY);
+        assert.equal(evaluateStudentAvailability(rules({ windows }), tuesdayAt('15:50'), 40).available, false);
+        assert.equal(evaluateStudentAvailability(rules({ windows }), new Date('2026-11-04T16:00:00+03:00'), 40).available, false);
+    });
+});
+
+describe('loadStudentSchedulingRules', () => {
+    const classWindow = { student_id: null, school_grade: 'Form 2', day_of_week: 1, start_time: '16:00', end_time: '18:00', timezone: 'UTC' };
+    const ownWindow = { student_id: 2, school_grade: null, day_of_week: 3, start_time: '15:00', end_time: '17:00', timezone: 'UTC' };
+
+    const stubDatabase = (t, windows) => t.mock.method(pool, 'query', routeQueries([
+        [/SELECT school_grade, timezone FROM users/, [{ school_grade: 'Form 2', timezone: 'Africa/Nairobi' }]],
+        [/FROM student_availability/, windows],
+        [/FROM school_calendar/, [{ id: 1, name: 'Term 3', event_type: 'term', start_date: '2026-09-01', end_date: '2026-11-27' }]]
+    ]));
+
+    it('prefers the student\'s own windows over their class windows', async (t) => {
+        stubDatabase(t, [classWindow, ownWindow]);
+        const loaded = await loadStudentSchedulingRules(2);
+        assert.deepEqual(loaded.windows, [ownWindow]);
+        assert.equal(loaded.timezone, 'Africa/Nairobi');
+        assert.equal(loaded.calendar.length, 1);
+    });
+
+    it('falls back to the class windows', async (t) => {
+        stubDatabase(t, [classWindow]);
+        assert.deepEqual((await loadStudentSchedulingRules(2)).windows, [classWindow]);
+    });
+});
+
+describe('checkStudentAvailabilityAt', () => {
+    it('checks each time against rules loaded once, for the configured meeting length', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([
+            settingsRoute(t, { 'meeting.duration_minutes': 40 }),
+            [/SELECT school_grade, timezone FROM users/, [{ school_grade: null, timezone: 'Africa/Nairobi' }]],
+            [/FROM student_availability/, [{ student_id: 2, school_grade: null, day_of_week: 2, start_time: '16:00:00', end_time: '17:00:00', timezone: 'Africa/Nairobi' }]],
+            [/FROM school_calendar/, []]
+        ]));
+
+        const results = await checkStudentAvailabilityAt(2, [tuesdayAt('16:00').toISOString(), tuesdayAt('16:30').toISOString()]);
+        assert.deepEqual(results.map(r => r.available), [true, false]);
+        assert.deepEqual((await checkStudentAvailabilityAt(2, [tuesdayAt('16:30')], 30)).map(r => r.available), [true]);
+        assert.equal(pool.query.mock.calls.filter(c => /FROM student_availability/.test(c.arguments[0])).length, 2);
+    });
+});
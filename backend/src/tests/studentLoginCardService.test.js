@@ -0,0 +1,125 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcrypt';
+import pool from '../config/database.js';
+import {
+    normalizeCardCode,
+    issueLoginCard,
+    authenticateWithLoginCard
+} from '../services/studentLoginCardService.js';
+import { routeQueries, settingsRoute } from './helpers.js';
+
+const CARD_CODE = 'ABCDEFGHJKMN';
+const ADMIN = { id: 3, role: 'admin' };
+
+describe('normalizeCardCode', () => {
+    it('accepts the code as printed, typed or scanned', () => {
+        assert.equal(normalizeCardCode('ABCD-EFGH-JKMN'), CARD_CODE);
+        assert.equal(normalizeCardCode(' abcd efgh jkmn '), CARD_CODE);
+        assert.equal(normalizeCardCode('https://talktime.example/student-login?card=ABCD-EFGH-JKMN#pin'), CARD_CODE);
+        assert.equal(normalizeCardCode('https://talktime.example/student-login?lang=sw&card=abcdefghjkmn'), CARD_CODE);
+    });
+
+    it('rejects anything that is not a whole card code', () => {
+        assert.equal(normalizeCardCode('ABCD-EFGH'), null);
+        assert.equal(normalizeCardCode('ABCD-EFGH-JKMN-P'), null);
+        assert.equal(normalizeCardCode(''), null);
+        assert.equal(normalizeCardCode(null), null);
+    });
+});
+
+describe('authenticateWithLoginCard', () => {
+    let pinHash;
+
+    before(async () => {
+        pinHash = await bcrypt.hash('482913', 4);
+    });
+
+    /**
+     * Card and student rows, with the lockout UPDATE applied to the student like Postgres would
+     */
+    const stubCard = (t, { cardStatus = 'active', student = {}, settings = {} } = {}) => {
+        const row = { card_id: 11, card_status: cardStatus, pin_hash: pinHash, id: 2, role: 'student', login_failed_attempts: 0, login_locked_until: null, ...student };
+        t.mock.method(pool, 'query', routeQueries([
+            settingsRoute(t, settings),
+            [/FROM student_login_cards c\s+JOIN users u/, ([code]) => (code === CARD_CODE ? [{ ...row }] : [])],
+            [/login_failed_attempts \+ 1 >= \$2/, ([, maxAttempts, lockoutMinutes]) => {
+                if (row.login_failed_attempts + 1 >= maxAttempts) {
+                    row.login_failed_attempts = 0;
+                    row.login_locked_until = new Date(Date.now() + lockoutMinutes * 60000);
+                } else {
+                    row.login_failed_attempts += 1;
+                }
+                return [{ login_failed_attempts: row.login_failed_attempts, login_locked_until: row.login_locked_until }];
+            }],
+            [/SET login_failed_attempts = 0, login_locked_until = NULL/, () => {
+                row.login_failed_attempts = 0;
+                row.login_locked_until = null;
+                return [];
+            }]
+        ]));
+        return row;
+    };
+
+    it('signs the student in with the right PIN and clears earlier failures', async (t) => {
+        const row = stubCard(t, { student: { login_failed_attempts: 2 } });
+
+        const student = await authenticateWithLoginCard({ card: 'abcd-efgh-jkmn', pin: ' 482913 ' });
+
+        assert.equal(student.id, 2);
+        assert.equal(student.pin_hash, undefined);
+        assert.equal(row.login_failed_attempts, 0);
+    });
+
+    it('counts down the tries left and then locks the card', async (t) => {
+        const row = stubCard(t, { settings: { 'student_login.max_failed_attempts': 3, 'student_login.lockout_minutes': 10 } });
+
+        await assert.rejects(authenticateWithLoginCard({ card: CARD_CODE, pin: '000000' }), { status: 401, attemptsRemaining: 2 });
+        await assert.rejects(authenticateWithLoginCard({ card: CARD_CODE, pin: '000000' }), { status: 401, attemptsRemaining: 1 });
+        await assert.rejects(authenticateWithLoginCard({ card: CARD_CODE, pin: '000000' }), { status: 423, code: 'LOGIN_LOCKED' });
+
+        // Even the right PIN waits out the lockout
+        await assert.rejects(authenticateWithLoginCard({ card: CARD_CODE, pin: '482913' }), { status: 423, code: 'LOGIN_LOCKED' });
+        assert.ok(row.login_locked_until > new Date(Date.now() + 9 * 60000));
+    });
+
+    it('lets the student back in once the lockout has passed', async (t) => {
+        stubCard(t, { student: { login_locked_until: new Date(Date.now() - 1000) } });
+        assert.equal((await authenticateWithLoginCard({ card: CARD_CODE, pin: '482913' })).id, 2);
+    });
+
+    it('turns away revoked cards and unknown or malformed credentials alike', async (t) => {
+        stubCard(t, { cardStatus: 'replaced' });
+
+        await assert.rejects(authenticateWithLoginCard({ card: CARD_CODE, pin: '482913' }), { status: 401, code: 'CARD_REVOKED' });
+        await assert.rejects(authenticateWithLoginCard({ card: 'ZZZZ-ZZZZ-ZZZZ', pin: '482913' }), { status: 401, code: 'INVALID_CARD_OR_PIN' });
+        await assert.rejects(authenticateWithLoginCard({ card: CARD_CODE, pin: '12' }), { status: 401, code: 'INVALID_CARD_OR_PIN' });
+    });
+});
+
+describe('issueLoginCard', () => {
+    it('replaces the active card and returns a six-digit PIN that matches the stored hash', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([
+            [/FROM users WHERE id = \$1 AND role = 'student'/, [{ id: 2, full_name: 'Sam' }]]
+        ]));
+        const statements = [];
+        t.mock.method(pool, 'connect', async () => ({
+            query: async (sql, params = []) => {
+                statements.push({ sql, params });
+                if (/SET status = 'replaced'/.test(sql)) return { rows: [{ id: 10 }] };
+                if (/INSERT INTO student_login_cards/.test(sql)) return { rows: [{ id: 11, card_code: params[1], status: 'active' }] };
+                return { rows: [] };
+            },
+            release: () => {}
+        }));
+
+        const { card, pin, replacedCardId } = await issueLoginCard({ studentId: 2, admin: ADMIN });
+
+        assert.equal(replacedCardId, 10);
+        assert.match(pin, /^[0-9]{6}$/);
+        assert.match(card.card_code, /^[A-HJKMNP-Z2-9]{12}$/);
+        const insert = statements.find(s => /INSERT INTO student_login_cards/.test(s.sql));
+        assert.equal(await bcrypt.compare(pin, insert.params[2]), true);
+        assert.equal(statements.at(-1).sql, 'COMMIT');
+    });
+});
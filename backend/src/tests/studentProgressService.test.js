@@ -0,0 +1,164 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../config/database.js';
+import {
+    SKILLS,
+    parseSkillLevels,
+    refreshStudentProgress,
+    recordSessionProgress,
+    getStudentProgress,
+    createStudentGoal,
+    updateStudentGoal
+} from '../services/studentProgressService.js';
+import { routeQueries } from './helpers.js';
+
+const STUDENT_ID = 2;
+const ADMIN_ACTOR = { userId: 3, userRole: 'admin' };
+
+/**
+ * Latest assessments per skill (newest first), the volunteer's overall estimate and active goals;
+ * the student_progress upsert echoes the levels it was given
+ */
+const stubAssessments = (t, { recent = {}, estimate = null, goals = [] } = {}) => t.mock.method(pool, 'query', routeQueries([
+    [/FROM student_skill_assessments\s+WHERE student_id = \$1\s+\) ranked/, Object.entries(recent).map(([skill, levels]) => ({ skill, levels }))],
+    [/SELECT english_level FROM session_feedback/, estimate ? [{ english_level: estimate }] : []],
+    [/INSERT INTO student_progress/, ([studentId, overall, ...skills]) => [{
+        student_id: studentId,
+        overall_level: overall,
+        ...Object.fromEntries(SKILLS.map((skill, i) => [`${skill}_level`, skills[i]]))
+    }]],
+    [/FROM student_goals\s+WHERE student_id = \$1 AND status = 'active'/, goals]
+]));
+
+const achievedGoalIds = () => pool.query.mock.calls
+    .filter(c => /SET status = 'achieved'/.test(c.arguments[0]))
+    .map(c => c.arguments[1][0]);
+
+describe('parseSkillLevels', () => {
+    it('keeps the rated skills and normalizes the level', () => {
+        assert.deepEqual(parseSkillLevels({ speaking: ' b1 ', grammar: 'A2', listening: '' }), { speaking: 'B1', grammar: 'A2' });
+        assert.deepEqual(parseSkillLevels(undefined), {});
+    });
+
+    it('rejects unknown skills and levels', () => {
+        assert.throws(() => parseSkillLevels({ spelling: 'B1' }), { status: 400, code: 'INVALID_SKILL_LEVELS' });
+        assert.throws(() => parseSkillLevels({ speaking: 'B3' }), { status: 400, code: 'INVALID_SKILL_LEVELS' });
+        assert.throws(() => parseSkillLevels(['B1']), { status: 400, code: 'INVALID_SKILL_LEVELS' });
+    });
+});
+
+describe('refreshStudentProgress', () => {
+    it('takes each skill\'s median recent level and averages the skills for the overall level', async (t) => {
+        stubAssessments(t, { recent: { speaking: ['B2', 'A2', 'B1'], grammar: ['B1', 'A2'], vocabulary: ['C1'] } });
+
+        const progress = await refreshStudentProgress(STUDENT_ID);
+
+        assert.equal(progress.speaking_level, 'B1');
+        assert.equal(progress.grammar_level, 'A2');
+        assert.equal(progress.vocabulary_level, 'C1');
+        assert.equal(progress.listening_level, null);
+        // (B1 + A2 + C1) / 3 = rank 2.33
+        assert.equal(progress.overall_level, 'B1');
+    });
+
+    it('falls back to the volunteer\'s overall estimate before any skill is rated', async (t) => {
+        stubAssessments(t, { estimate: 'upper_intermediate' });
+        assert.equal((await refreshStudentProgress(STUDENT_ID)).overall_level, 'B2');
+    });
+
+    it('marks goals achieved once the skill or overall level reaches the target', async (t) => {
+        stubAssessments(t, {
+            recent: { speaking: ['B2'], grammar: ['A2'] },
+            goals: [
+                { id: 1, skill: 'speaking', target_level: 'B2' },
+                { id: 2, skill: 'grammar', target_level: 'B1' },
+                { id: 3, skill: null, target_level: 'A2' },
+                { id: 4, skill: 'listening', target_level: 'A1' }
+            ]
+        });
+
+        await refreshStudentProgress(STUDENT_ID);
+
+        assert.deepEqual(achievedGoalIds(), [1, 3]);
+    });
+
+    it('stores the session\'s ratings and notes before recalculating', async (t) => {
+        stubAssessments(t, { recent: { speaking: ['B1'] } });
+
+        await recordSessionProgress({ meetingId: 42, studentId: STUDENT_ID, volunteerId: 1, skills: { speaking: 'B1' }, notes: '  Practised greetings  ' });
+
+        const statements = pool.query.mock.calls.map(c => c.arguments);
+        assert.deepEqual(statements[0][1], [42, STUDENT_ID, 1, 'speaking', 'B1']);
+        assert.deepEqual(statements[1][1], [42, 'Practised greetings']);
+        assert.match(statements[2][0], /FROM student_skill_assessments/);
+    });
+});
+
+describe('getStudentProgress', () => {
+    const stubProgress = (t, { progress = [], history = [], student = {} } = {}) => t.mock.method(pool, 'query', routeQueries([
+        [/FROM users WHERE id = \$1 AND role = 'student'/, ([id]) => (id === STUDENT_ID ? [{ id, full_name: 'Sam', english_level: 'Elementary', ...student }] : [])],
+        [/FROM student_progress WHERE student_id/, progress],
+        [/COUNT\(DISTINCT volunteer_id\)/, [{ completed: 4, volunteers: 2, first_session_at: null, last_session_at: null }]],
+        [/json_object_agg/, history]
+    ]));
+
+    it('uses the enrolment level until the student has been assessed', async (t) => {
+        stubProgress(t);
+
+        const result = await getStudentProgress(STUDENT_ID);
+
+        assert.equal(result.levels.overall, 'A2');
+        assert.equal(result.sessionsCompleted, 4);
+        assert.equal(result.sessionsAssessed, 0);
+        await assert.rejects(getStudentProgress('abc'), { status: 404, code: 'STUDENT_NOT_FOUND' });
+    });
+
+    it('charts each session from its skill ratings, or the overall estimate for older surveys', async (t) => {
+        stubProgress(t, {
+            progress: [{ overall_level: 'B1', speaking_level: 'B1', sessions_assessed: 2 }],
+            history: [
+                { meeting_id: 40, scheduled_time: new Date('2026-03-01'), skills: {}, english_level: 'beginner' },
+                { meeting_id: 41, scheduled_time: new Date('2026-03-08'), skills: { speaking: 'B1', grammar: 'A2' }, english_level: null }
+            ]
+        });
+
+        const result = await getStudentProgress(STUDENT_ID);
+
+        assert.equal(result.levels.overall, 'B1');
+        assert.equal(result.levels.skills.speaking, 'B1');
+        assert.equal(result.levels.skills.grammar, null);
+        assert.deepEqual(result.history.map(point => point.overall), ['A1', 'B1']);
+    });
+});
+
+describe('student goals', () => {
+    it('validates goals before saving them', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([
+            [/FROM users WHERE id = \$1 AND role = 'student'/, [{ id: STUDENT_ID }]]
+        ]));
+
+        await assert.rejects(createStudentGoal(STUDENT_ID, { title: ' ' }, ADMIN_ACTOR), { status: 400, code: 'INVALID_GOAL' });
+        await assert.rejects(createStudentGoal(STUDENT_ID, { title: 'Talk about school', skill: 'reading' }, ADMIN_ACTOR), { code: 'INVALID_GOAL' });
+        await assert.rejects(createStudentGoal(STUDENT_ID, { title: 'Talk about school', targetLevel: 'D1' }, ADMIN_ACTOR), { code: 'INVALID_GOAL' });
+        await assert.rejects(updateStudentGoal(STUDENT_ID, 9, { status: 'achieved' }, ADMIN_ACTOR), { status: 404, code: 'GOAL_NOT_FOUND' });
+    });
+
+    it('checks a new goal with a target against the student\'s current level', async (t) => {
+        const goal = { id: 5, student_id: STUDENT_ID, title: 'Speak confidently', skill: 'speaking', target_level: 'B1', status: 'active' };
+        t.mock.method(pool, 'query', routeQueries([
+            [/FROM users WHERE id = \$1 AND role = 'student'/, [{ id: STUDENT_ID }]],
+            [/INSERT INTO student_goals/, [{ id: 5 }]],
+            [/FROM student_skill_assessments\s+WHERE student_id = \$1\s+\) ranked/, [{ skill: 'speaking', levels: ['B2'] }]],
+            [/INSERT INTO student_progress/, ([, overall, speaking]) => [{ overall_level: overall, speaking_level: speaking }]],
+            [/FROM student_goals\s+WHERE student_id = \$1 AND status = 'active'/, [goal]],
+            [/WHERE g.id = \$1 AND g.student_id = \$2/, [{ ...goal, status: 'achieved' }]]
+        ]));
+
+        const created = await createStudentGoal(STUDENT_ID, { title: ' Speak confidently ', skill: 'speaking', targetLevel: 'b1' }, ADMIN_ACTOR);
+
+        const insert = pool.query.mock.calls.find(c => /INSERT INTO student_goals/.test(c.arguments[0]));
+        assert.deepEqual(insert.arguments[1], [STUDENT_ID, 'Speak confidently', 'speaking', 'B1', ADMIN_ACTOR.userId]);
+        assert.deepEqual(achievedGoalIds(), [5]);
+        assert.equal(created.status, 'achieved');
+    });
+});
@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../config/database.js';
+import {
+    parseRosterFile,
+    validateRosterRows,
+    importRoster,
+    parseGallery,
+    MAX_IMPORT_ROWS
+} from '../services/studentRosterService.js';
+import { routeQueries } from './helpers.js';
+
+const csvFile = (text, originalname = 'roster.csv') => ({ originalname, mimetype: 'text/csv', buffer: Buffer.from(text) });
+
+const stubExisting = (t, { keys = [], emails = [] } = {}) => t.mock.method(pool, 'query', routeQueries([
+    [/SELECT LOWER\(username\) as key/, keys.map(key => ({ key }))],
+    [/SELECT LOWER\(email\) as email FROM users/, emails.map(email => ({ email }))]
+]));
+
+describe('parseRosterFile', () => {
+    it('maps the header spellings schools use onto fields', async () => {
+        const rows = await parseRosterFile(csvFile('Admission No,First Name,Surname,AGE,Notes\r\n0002, Jane ,Doe,14,ignored\r\n'));
+        assert.deepEqual(rows, [{ row: 2, admissionNumber: '0002', firstName: 'Jane', lastName: 'Doe', age: '14' }]);
+    });
+
+    it('rejects files it cannot import', async () => {
+        await assert.rejects(parseRosterFile(null), { code: 'FILE_REQUIRED' });
+        await assert.rejects(parseRosterFile({ originalname: 'roster.pdf', mimetype: 'application/pdf', buffer: Buffer.from('%PDF') }), { code: 'UNSUPPORTED_FILE' });
+        await assert.rejects(parseRosterFile(csvFile('admission_number,full_name\n')), { code: 'EMPTY_FILE' });
+        await assert.rejects(parseRosterFile(csvFile('admission_number,first_name\n0002,Jane\n')), { code: 'MISSING_COLUMNS' });
+
+        const tooMany = ['admission_number,full_name', ...Array.from({ length: MAX_IMPORT_ROWS + 1 }, (_, i) => `${i},Name ${i}`)].join('\n');
+        await assert.rejects(parseRosterFile(csvFile(tooMany)), { status: 400, code: 'TOO_MANY_ROWS' });
+    });
+});
+
+describe('validateRosterRows', () => {
+    it('normalizes valid rows the way the single-student form does', async (t) => {
+        stubExisting(t);
+
+        const [result] = await validateRosterRows([
+            { row: 2, admissionNumber: 'adm0002-jane-doe', fullName: 'jane mary doe', age: '14', gender: 'f', gallery: 'a.jpg | b.jpg' }
+        ]);
+
+        assert.deepEqual(result.errors, []);
+        assert.equal(result.student.admissionNumber, 'ADM0002');
+        assert.equal(result.student.fullName, 'Jane Mary Doe');
+        assert.equal(result.student.age, 14);
+        assert.equal(result.student.gender, 'Female');
+        assert.deepEqual(result.student.gallery, ['a.jpg', 'b.jpg']);
+    });
+
+    it('reports every problem on a row', async (t) => {
+        stubExisting(t);
+
+        const [result] = await validateRosterRows([{ row: 2, admissionNumber: '12', firstName: 'Jane', age: '200', gender: 'x' }]);
+
+        assert.deepEqual(result.errors, [
+            'First name and last name are required',
+            'Admission number must be exactly 4 digits (e.g. 0002 or ADM0002)',
+            'Age must be a whole number between 1 and 100',
+            'Gender must be Male, Female or Other'
+        ]);
+    });
+
+    it('catches clashes with existing students and within the file', async (t) => {
+        stubExisting(t, { keys: ['adm0001-sam-otieno'], emails: ['amina.hassan@talktime.local'] });
+
+        const results = await validateRosterRows([
+            { row: 2, admissionNumber: '0001', fullName: 'Sam Otieno' },
+            { row: 3, admissionNumber: '0003', fullName: 'Amina Hassan' },
+            { row: 4, admissionNumber: '0004', fullName: 'Peter Kamau' },
+            { row: 5, admissionNumber: 'ADM0004', fullName: 'peter kamau' }
+        ]);
+
+        assert.deepEqual(results.map(r => r.errors), [
+            ['A student with this admission number already exists'],
+            ['A user named Amina Hassan already exists'],
+            [],
+            ['Admission number is repeated from row 4', 'Peter Kamau is repeated from row 4']
+        ]);
+    });
+});
+
+describe('importRoster', () => {
+    it('previews without writing anything on a dry run', async (t) => {
+        stubExisting(t);
+        t.mock.method(pool, 'connect', async () => assert.fail('dry run opened a transaction'));
+
+        const preview = await importRoster({ file: csvFile('admission_number,full_name\n0002,Jane Doe\n0002,John Doe\n') });
+
+        assert.equal(preview.dryRun, true);
+        assert.equal(preview.validRows, 1);
+        assert.equal(preview.invalidRows, 1);
+    });
+
+    it('refuses to import a file that still has errors', async (t) => {
+        const statements = [];
+        t.mock.method(pool, 'connect', async () => ({
+            query: routeQueries([[/.*/, (params, sql) => { statements.push(sql); return []; }]]),
+            release: () => {}
+        }));
+
+        await assert.rejects(
+            importRoster({ file: csvFile('admission_number,full_name\n0002,Jane\n'), dryRun: false, actor: {} }),
+            (error) => error.status === 422 && error.code === 'INVALID_ROWS' && error.preview.invalidRows === 1
+        );
+        assert.equal(statements.at(-1), 'ROLLBACK');
+    });
+});
+
+describe('parseGallery', () => {
+    it('accepts arrays and one-per-line or separated text', () => {
+        assert.deepEqual(parseGallery([' a.jpg ', '']), ['a.jpg']);
+        assert.deepEqual(parseGallery('a.jpg\r\nb.jpg;c.jpg'), ['a.jpg', 'b.jpg', 'c.jpg']);
+        assert.deepEqual(parseGallery(null), []);
+    });
+});
@@ -0,0 +1,62 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../config/database.js';
+import { redisClient } from '../config/cache.js';
+import {
+    isTokenRevoked,
+    revokeAccessToken,
+    revokeTokenFamily,
+    revokeUserTokens
+} from '../services/tokenRevocationService.js';
+import { routeQueries, useFakeRedis } from './helpers.js';
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+describe('token revocation', () => {
+    let redis;
+
+    beforeEach(async (t) => {
+        redis = await useFakeRedis(t);
+        t.mock.method(pool, 'query', routeQueries([
+            [/UPDATE refresh_tokens/, [{}, {}]]
+        ]));
+    });
+
+    it('revokes a single access token until it would have expired', async () => {
+        const exp = nowSeconds() + 600;
+        await revokeAccessToken({ id: 1, jti: 'token-a', exp });
+
+        assert.equal(await isTokenRevoked({ id: 1, jti: 'token-a', iat: nowSeconds() }), true);
+        assert.equal(await isTokenRevoked({ id: 1, jti: 'token-b', iat: nowSeconds() }), false);
+        const ttl = await redis.ttl('auth:revoked:jti:token-a');
+        assert.ok(ttl > 590 && ttl <= 600);
+    });
+
+    it('revokes every token of a login session', async () => {
+        assert.equal(await revokeTokenFamily('family-1', 'reuse_detected'), 2);
+
+        assert.equal(await isTokenRevoked({ id: 1, jti: 'token-a', fid: 'family-1' }), true);
+        assert.equal(await isTokenRevoked({ id: 1, jti: 'token-b', fid: 'family-2' }), false);
+    });
+
+    it('rejects tokens from before a user-wide revocation but not from its own second', async () => {
+        await revokeUserTokens(1, 'account_banned');
+        const cutoff = Number(await redis.get('auth:revoked:user:1'));
+
+        assert.equal(await isTokenRevoked({ id: 1, jti: 'old', iat: cutoff - 1 }), true);
+        assert.equal(await isTokenRevoked({ id: 1, jti: 'new', iat: cutoff }), false);
+        assert.equal(await isTokenRevoked({ id: 2, jti: 'other', iat: cutoff - 1 }), false);
+    });
+});
+
+describe('token revocation without Redis', () => {
+    it('lets tokens through rather than signing everyone out', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        t.mock.getter(redisClient, 'isOpen', () => false);
+        t.mock.method(redisClient, 'connect', async () => {
+            throw new Error('connect ECONNREFUSED');
+        });
+
+        assert.equal(await isTokenRevoked({ id: 1, jti: 'token-a', iat: 0 }), false);
+    });
+});
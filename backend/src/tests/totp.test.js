@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    generateTotpSecret,
+    generateTotpCode,
+    verifyTotpCode,
+    buildOtpAuthUri,
+    encryptTotpSecret,
+    decryptTotpSecret
+} from '../utils/totp.js';
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890", SHA-1, last six of the eight digits
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+];
+
+const stepAt = (unixSeconds) => Math.floor(unixSeconds / 30);
+
+describe('generateTotpCode', () => {
+    it('matches the RFC 6238 test vectors', () => {
+        for (const [time, code] of RFC_VECTORS) {
+            assert.equal(generateTotpCode(RFC_SECRET, stepAt(time)), code, `T=${time}`);
+        }
+    });
+
+    it('reads secrets typed in lower case or with spaces', () => {
+        assert.equal(generateTotpCode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq', stepAt(59)), '287082');
+    });
+});
+
+describe('verifyTotpCode', () => {
+    it('accepts the current step and one step of drift either way', (t) => {
+        t.mock.timers.enable({ apis: ['Date'], now: 1111111111 * 1000 });
+        const current = stepAt(1111111111);
+
+        assert.equal(verifyTotpCode(RFC_SECRET, '050471'), current);
+        assert.equal(verifyTotpCode(RFC_SECRET, generateTotpCode(RFC_SECRET, current - 1)), current - 1);
+        assert.equal(verifyTotpCode(RFC_SECRET, generateTotpCode(RFC_SECRET, current + 1)), current + 1);
+        assert.equal(verifyTotpCode(RFC_SECRET, generateTotpCode(RFC_SECRET, current + 2)), null);
+        assert.equal(verifyTotpCode(RFC_SECRET, '050 471'), current);
+    });
+
+    it('refuses a code from a step that was already used', (t) => {
+        t.mock.timers.enable({ apis: ['Date'], now: 1111111111 * 1000 });
+        const current = stepAt(1111111111);
+
+        assert.equal(verifyTotpCode(RFC_SECRET, '050471', current), null);
+        assert.equal(verifyTotpCode(RFC_SECRET, generateTotpCode(RFC_SECRET, current + 1), current), current + 1);
+    });
+
+    it('rejects anything that is not six digits', () => {
+        for (const code of ['', '12345', '1234567', 'abcdef', null]) {
+            assert.equal(verifyTotpCode(RFC_SECRET, code), null);
+        }
+    });
+});
+
+describe('secrets', () => {
+    it('generates 160-bit base32 secrets', () => {
+        const secret = generateTotpSecret();
+        assert.match(secret, /^[A-Z2-7]{32}$/);
+        assert.notEqual(generateTotpSecret(), secret);
+    });
+
+    it('round-trips through encryption and detects tampering', () => {
+        const stored = encryptTotpSecret(RFC_SECRET);
+        assert.notEqual(encryptTotpSecret(RFC_SECRET), stored);
+        assert.equal(decryptTotpSecret(stored), RFC_SECRET);
+
+        const [iv, tag, ciphertext] = stored.split(':');
+        const flipped = Buffer.from(ciphertext, 'base64');
+        flipped[0] ^= 1;
+        assert.throws(() => decryptTotpSecret([iv, tag, flipped.toString('base64')].join(':')));
+    });
+
+    it('builds the otpauth URI authenticator apps scan', () => {
+        const uri = new URL(buildOtpAuthUri({ secret: RFC_SECRET, accountName: 'admin@example.com' }));
+        assert.equal(uri.protocol, 'otpauth:');
+        assert.equal(uri.host, 'totp');
+        assert.equal(decodeURIComponent(uri.pathname), '/TalkTime Admin:admin@example.com');
+        assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+        assert.equal(uri.searchParams.get('digits'), '6');
+        assert.equal(uri.searchParams.get('period'), '30');
+    });
+});
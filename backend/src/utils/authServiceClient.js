@@ -1,6 +1,6 @@
 import dotenv from 'dotenv';
 import {
-    verifyToken,
+    verifyActiveToken,
     extractTokenFromHeader,
     generateTokens,
     createJWTMiddleware
@@ -81,7 +81,7 @@ export const createAuthServiceMiddleware = (allowedRoles = []) => {
                 useLocalFallback = true;
 
                 try {
-                    decoded = verifyToken(token);
+                    decoded = await verifyActiveToken(token);
                 } catch (localError) {
                     return res.status(401).json({
                         success: false,
@@ -158,7 +158,7 @@ export const createAdminSuperuserAuthServiceMiddleware = (allowedRoles = []) =>
                 decoded = result.user;
             } catch (authServiceError) {
                 console.warn('[Auth Client] Auth service unavailable, using local fallback');
-                decoded = verifyToken(token);
+                decoded = await verifyActiveToken(token);
             }
 
             // Admin has superuser access
@@ -80,4 +80,174 @@ async function generateCalendarHtml(year, month, studentId) {
     return html;
 }
 
-export { generateCalendarHtml };
+// ---------------------------------------------------------------------------
+// iCalendar (RFC 5545)
+// ---------------------------------------------------------------------------
+
+const ICS_PRODID = '-//ADEA Foundation//TalkTime//EN';
+const ICS_UID_DOMAIN = 'talktime.adea.ke';
+const ICS_LINE_LIMIT = 75; // octets, excluding the CRLF
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11)
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeIcsText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Quote a parameter value such as CN when it contains separators (RFC 5545 3.2)
+ * @param {string} value
+ * @returns {string}
+ */
+const quoteIcsParam = (value) => {
+    const clean = String(value ?? '').replace(/["\r\n]/g, '');
+    return /[;:,]/.test(clean) ? `"${clean}"` : clean;
+};
+
+/**
+ * Format a date as a UTC DATE-TIME, e.g. 20250301T140000Z
+ * @param {Date|string} value
+ * @returns {string}
+ */
+const formatIcsDate = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Fold a content line at 75 octets without splitting a UTF-8 character (RFC 5545 3.1)
+ * @param {string} line
+ * @returns {string}
+ */
+const foldIcsLine = (line) => {
+    if (Buffer.byteLength(line, 'utf8') <= ICS_LINE_LIMIT) return line;
+
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const charSize = Buffer.byteLength(char, 'utf8');
+        // Continuation lines start with a space, which counts towards the limit
+        const limit = parts.length ? ICS_LINE_LIMIT - 1 : ICS_LINE_LIMIT;
+        if (size + charSize > limit) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+/**
+ * The UID a meeting's invite keeps for its whole life, so updates and cancellations replace it
+ * @param {number} meetingId
+ * @returns {string}
+ */
+const meetingEventUid = (meetingId) => `meeting-${meetingId}@${ICS_UID_DOMAIN}`;
+
+/**
+ * Build the VEVENT lines for a meeting
+ * @param {Object} event
+ * @param {number} event.meetingId
+ * @param {Date|string} event.start
+ * @param {number} event.durationMinutes
+ * @param {number} [event.sequence] - Bumped each time the meeting moves or is canceled
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.url]
+ * @param {boolean} [event.canceled]
+ * @param {Date|string} [event.updatedAt]
+ * @param {{name: string, email: string}} [event.organizer]
+ * @param {Array<{name: string, email: string}>} [event.attendees]
+ * @param {number} [event.alarmMinutes] - Reminder before the start; omitted for canceled events
+ * @returns {string[]} Unfolded content lines
+ */
+const buildMeetingEvent = ({
+    meetingId,
+    start,
+    durationMinutes,
+    sequence = 0,
+    summary,
+    description,
+    url,
+    canceled = false,
+    updatedAt,
+    organizer,
+    attendees = [],
+    alarmMinutes
+}) => {
+    const startDate = new Date(start);
+    const endDate = new Date(startDate.getTime() + durationMinutes * 60000);
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${meetingEventUid(meetingId)}`,
+        `SEQUENCE:${sequence}`,
+        `DTSTAMP:${formatIcsDate(new Date())}`,
+        `DTSTART:${formatIcsDate(startDate)}`,
+        `DTEND:${formatIcsDate(endDate)}`,
+        `SUMMARY:${escapeIcsText(summary)}`
+    ];
+    if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+    if (url) lines.push(`URL:${url}`);
+    lines.push('LOCATION:TalkTime');
+    if (updatedAt) lines.push(`LAST-MODIFIED:${formatIcsDate(updatedAt)}`);
+    lines.push(`STATUS:${canceled ? 'CANCELLED' : 'CONFIRMED'}`);
+    lines.push(`TRANSP:${canceled ? 'TRANSPARENT' : 'OPAQUE'}`);
+    if (organizer?.email) {
+        lines.push(`ORGANIZER;CN=${quoteIcsParam(organizer.name || organizer.email)}:mailto:${organizer.email}`);
+    }
+    for (const attendee of attendees) {
+        if (!attendee?.email) continue;
+        lines.push(
+            // Bookings are already agreed, so there is nothing for the attendee to RSVP to
+            `ATTENDEE;CN=${quoteIcsParam(attendee.name || attendee.email)};ROLE=REQ-PARTICIPANT;` +
+            `PARTSTAT=ACCEPTED;RSVP=FALSE:mailto:${attendee.email}`
+        );
+    }
+    if (alarmMinutes && !canceled) {
+        lines.push(
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${escapeIcsText(summary)}`,
+            `TRIGGER:-PT${alarmMinutes}M`,
+            'END:VALARM'
+        );
+    }
+    lines.push('END:VEVENT');
+    return lines;
+};
+
+/**
+ * Wrap VEVENTs in a VCALENDAR object
+ * @param {string[][]} events - Results of buildMeetingEvent
+ * @param {Object} [options]
+ * @param {string} [options.method] - iTIP method for email invites: 'REQUEST' or 'CANCEL'; omit for feeds
+ * @param {string} [options.name] - Calendar name shown by apps that subscribe to a feed
+ * @returns {string} The .ics body, CRLF line endings, folded
+ */
+const buildCalendar = (events, { method, name } = {}) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_PRODID}`,
+        'CALSCALE:GREGORIAN'
+    ];
+    if (method) lines.push(`METHOD:${method}`);
+    if (name) {
+        lines.push(`X-WR-CALNAME:${escapeIcsText(name)}`);
+        // Ask subscribed apps to refresh hourly
+        lines.push('REFRESH-INTERVAL;VALUE=DURATION:PT1H', 'X-PUBLISHED-TTL:PT1H');
+    }
+    for (const event of events) lines.push(...event);
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+};
+
+export { generateCalendarHtml, meetingEventUid, buildMeetingEvent, buildCalendar };
@@ -0,0 +1,99 @@
+/**
+ * CSV Utilities - Reading and writing RFC 4180 CSV for admin imports and exports
+ */
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted fields (with embedded commas, quotes and newlines), CRLF or LF line endings
+ * and a leading UTF-8 byte order mark, which Excel adds when saving as "CSV UTF-8".
+ * Blank lines are skipped.
+ *
+ * @param {string} text - Raw CSV text
+ * @returns {string[][]} - Rows of cell values
+ */
+export function parseCsv(text) {
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.some(value => value.trim() !== '')) {
+            rows.push(row);
+        }
+        row = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        endRow();
+    }
+
+    return rows;
+}
+
+/**
+ * Format a single value as a CSV cell
+ * Dates become ISO strings and objects become JSON. Values that start with =, +, - or @ are
+ * prefixed with a quote so spreadsheet apps don't evaluate them as formulas.
+ *
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+export function formatCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text;
+    if (value instanceof Date) text = value.toISOString();
+    else if (typeof value === 'object') text = JSON.stringify(value);
+    else text = String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document with a header row
+ *
+ * @param {string[]} columns - Column names, also used as keys into each row
+ * @param {Object[]} rows - Row objects
+ * @returns {string} - CSV text with CRLF line endings
+ */
+export function toCsv(columns, rows) {
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(col => formatCsvCell(row[col])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+export default {
+    parseCsv,
+    formatCsvCell,
+    toCsv
+};
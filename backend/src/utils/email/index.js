@@ -0,0 +1,277 @@
+/**
+ * Email templates
+ * One template per kind of email. A template turns its data into layout blocks (see layout.js)
+ * using strings from the email section of the i18n catalogs, so each one has a localized HTML
+ * version and a plain-text alternative. Each template also carries sample data for the admin
+ * preview and test send.
+ */
+import { renderEmail } from './layout.js';
+import { translate, formatDateTime, normalizeLocale, DEFAULT_LOCALE } from '../../i18n/index.js';
+
+const baseUrl = () => process.env.BASE_URL || 'http://localhost';
+
+const inOneDay = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+/**
+ * Shared body of the three meeting emails
+ */
+const meetingContent = (name, data, { t, formatTime }, extraDetails = []) => ({
+    subject: t(`templates.${name}.subject`, { name: data.partnerName, time: formatTime(data.time) }),
+    heading: t(`templates.${name}.heading`),
+    greeting: data.recipientName ? t('greeting', { name: data.recipientName }) : null,
+    paragraphs: data.message ? [data.message] : [],
+    details: [
+        { label: t('details.with'), value: data.partnerName },
+        { label: t('details.when'), value: formatTime(data.time) },
+        ...extraDetails
+    ]
+});
+
+/**
+ * @typedef {Object} EmailTemplate
+ * @property {string} label - Shown in the admin preview
+ * @property {string} description
+ * @property {() => Object} sample - Data for previews and test sends
+ * @property {(data: Object, helpers: {t: Function, formatTime: Function}) => import('./layout.js').EmailContent} build
+ */
+
+/** @type {Object<string, EmailTemplate>} */
+export const EMAIL_TEMPLATES = {
+    notification: {
+        label: 'General notification',
+        description: 'Any notification without its own template; shows its title and message',
+        sample: () => ({
+            title: 'Meeting Completed Successfully!',
+            message: 'Your meeting with Amina has ended. Thank you for participating in this conversation practice session.',
+            actionUrl: `${baseUrl()}/volunteer/dashboard`
+        }),
+        build: (data, { t }) => ({
+            subject: t('templates.notification.subject', { title: data.title }),
+            heading: data.title,
+            paragraphs: [data.message],
+            action: data.actionUrl ? { label: t('view_dashboard'), url: data.actionUrl } : null
+        })
+    },
+
+    meeting_scheduled: {
+        label: 'Meeting scheduled',
+        description: 'To both participants when a meeting is booked; carries the calendar invite',
+        sample: () => ({
+            recipientName: 'Jane',
+            partnerName: 'Amina',
+            time: inOneDay(),
+            message: 'Your meeting with Amina has been scheduled. You\'ll receive reminders before the meeting starts.',
+            actionUrl: `${baseUrl()}/volunteer/dashboard/upcoming.html`
+        }),
+        build: (data, helpers) => ({
+            ...meetingContent('meeting_scheduled', data, helpers),
+            action: { label: helpers.t('view_dashboard'), url: data.actionUrl },
+            notes: [helpers.t('calendar_attached')]
+        })
+    },
+
+    meeting_rescheduled: {
+        label: 'Meeting rescheduled',
+        description: 'To both participants when a meeting moves; updates the calendar invite',
+        sample: () => ({
+            recipientName: 'Jane',
+            partnerName: 'Amina',
+            time: inOneDay(),
+            previousTime: new Date(Date.now() + 2 * 60 * 60 * 1000),
+            message: 'Your meeting with Amina has been rescheduled by Jane.',
+            actionUrl: `${baseUrl()}/volunteer/dashboard/upcoming.html`
+        }),
+        build: (data, helpers) => ({
+            ...meetingContent('meeting_rescheduled', data, helpers, data.previousTime
+                ? [{ label: helpers.t('details.previous_time'), value: helpers.formatTime(data.previousTime) }]
+                : []),
+            action: { label: helpers.t('view_dashboard'), url: data.actionUrl },
+            notes: [helpers.t('calendar_attached')]
+        })
+    },
+
+    meeting_reminder: {
+        label: 'Meeting reminder',
+        description: 'The last reminder before a meeting starts',
+        sample: () => ({
+            recipientName: 'Jane',
+            partnerName: 'Amina',
+            time: new Date(Date.now() + 5 * 60 * 1000),
+            minutes: 5,
+            actionUrl: `${baseUrl()}/volunteer/dashboard/upcoming.html`
+        }),
+        build: (data, helpers) => {
+            const { t, formatTime } = helpers;
+            return {
+                ...meetingContent('meeting_reminder', data, helpers),
+                subject: t('templates.meeting_reminder.subject', { name: data.partnerName, minutes: data.minutes }),
+                paragraphs: [t('templates.meeting_reminder.body', { name: data.partnerName, minutes: data.minutes, time: formatTime(data.time) })],
+                action: { label: t('join_meeting'), url: data.actionUrl }
+            };
+        }
+    },
+
+    parental_approval: {
+        label: 'Parental approval request',
+        description: 'To the parent of an under-18 or student volunteer, with the approval link',
+        sample: () => ({
+            volunteerName: 'Sam Student',
+            volunteerEmail: 'sam@example.com',
+            studentVolunteer: true,
+            approvalUrl: `${baseUrl()}/api/v1/auth/approve-parent/sample-token`
+        }),
+        build: (data, { t }) => {
+            const variant = data.studentVolunteer ? 'student_volunteer' : 'child';
+            return {
+                subject: t('templates.parental_approval.subject', { name: data.volunteerName }),
+                heading: t('templates.parental_approval.heading'),
+                greeting: t('greeting_parent'),
+                paragraphs: [
+                    t(`templates.parental_approval.intro_${variant}`, { name: data.volunteerName, email: data.volunteerEmail }),
+                    t(`templates.parental_approval.reason_${variant}`)
+                ],
+                list: {
+                    title: t('templates.parental_approval.offers_title'),
+                    items: [
+                        t('templates.parental_approval.offer_safe'),
+                        t('templates.parental_approval.offer_flexible'),
+                        ...(data.studentVolunteer ? [t('templates.parental_approval.offer_service_hours')] : []),
+                        t('templates.parental_approval.offer_exchange'),
+                        t('templates.parental_approval.offer_oversight')
+                    ]
+                },
+                action: { label: t('templates.parental_approval.action'), url: data.approvalUrl },
+                notes: [t('templates.parental_approval.expiry'), t('support'), t('not_expected')]
+            };
+        }
+    },
+
+    parental_recording_consent: {
+        label: 'Recording consent request',
+        description: 'To the parent of an under-18 volunteer who wants their sessions recorded',
+        sample: () => ({
+            volunteerName: 'Sam Student',
+            consentUrl: `${baseUrl()}/api/v1/parental-approval/recording-consent/sample-token`
+        }),
+        build: (data, { t }) => ({
+            subject: t('templates.parental_recording_consent.subject', { name: data.volunteerName }),
+            heading: t('templates.parental_recording_consent.heading'),
+            greeting: t('greeting_parent'),
+            paragraphs: [
+                t('templates.parental_recording_consent.body', { name: data.volunteerName }),
+                t('templates.parental_recording_consent.reason')
+            ],
+            action: { label: t('templates.parental_recording_consent.action'), url: data.consentUrl },
+            notes: [t('templates.parental_recording_consent.expiry'), t('support')]
+        })
+    },
+
+    parental_approval_confirmed: {
+        label: 'Parental approval confirmed',
+        description: 'To the volunteer once their parent has approved',
+        sample: () => ({
+            name: 'Sam Student',
+            studentVolunteer: true,
+            dashboardUrl: `${baseUrl()}/volunteer/dashboard`
+        }),
+        build: (data, { t }) => ({
+            subject: t('templates.parental_approval_confirmed.subject'),
+            heading: t('templates.parental_approval_confirmed.heading'),
+            greeting: t('greeting', { name: data.name }),
+            paragraphs: [
+                t(data.studentVolunteer
+                    ? 'templates.parental_approval_confirmed.body_student_volunteer'
+                    : 'templates.parental_approval_confirmed.body')
+            ],
+            list: {
+                title: t('templates.parental_approval_confirmed.steps_title'),
+                items: [
+                    t('templates.parental_approval_confirmed.step_login'),
+                    t('templates.parental_approval_confirmed.step_browse'),
+                    t('templates.parental_approval_confirmed.step_schedule')
+                ]
+            },
+            action: { label: t('templates.parental_approval_confirmed.action'), url: data.dashboardUrl },
+            notes: [t('support')]
+        })
+    },
+
+    certificate_ready: {
+        label: 'Certificate ready',
+        description: 'To a volunteer after their first completed call',
+        sample: () => ({
+            name: 'Jane',
+            certificateId: 'TT-42-2026-A1B2C3',
+            certificateUrl: `${baseUrl()}/volunteer/profile.html`,
+            verifyUrl: `${baseUrl()}/volunteer/verify?cert=TT-42-2026-A1B2C3`
+        }),
+        build: (data, { t }) => ({
+            subject: t('templates.certificate_ready.subject'),
+            heading: t('templates.certificate_ready.heading'),
+            greeting: t('greeting', { name: data.name }),
+            paragraphs: [t('templates.certificate_ready.body')],
+            details: [{ label: t('details.certificate_id'), value: data.certificateId }],
+            action: { label: t('templates.certificate_ready.action'), url: data.certificateUrl },
+            notes: [t('templates.certificate_ready.verify', { url: data.verifyUrl })]
+        })
+    },
+
+    daily_digest: {
+        label: 'Daily digest',
+        description: 'Once a day to users who chose the digest; lists the notifications they were not emailed about',
+        sample: () => ({
+            name: 'Jane',
+            items: [
+                { title: 'New message from Amina', message: 'Thank you for today! See you next week.', time: new Date(Date.now() - 3 * 60 * 60 * 1000) },
+                { title: 'Meeting Scheduled', message: 'Your meeting with Amina is booked for tomorrow.', time: new Date(Date.now() - 60 * 60 * 1000) }
+            ],
+            moreCount: 0,
+            actionUrl: `${baseUrl()}/volunteer/dashboard`
+        }),
+        build: (data, { t, formatTime }) => ({
+            subject: t('templates.daily_digest.subject', { count: data.items.length + (data.moreCount || 0) }),
+            heading: t('templates.daily_digest.heading'),
+            greeting: data.name ? t('greeting', { name: data.name }) : null,
+            paragraphs: [t('templates.daily_digest.body')],
+            list: {
+                title: t('templates.daily_digest.list_title'),
+                items: data.items.map(item => `${formatTime(item.time)} - ${item.title}: ${item.message}`)
+            },
+            action: { label: t('view_dashboard'), url: data.actionUrl },
+            notes: [
+                ...(data.moreCount ? [t('templates.daily_digest.more', { count: data.moreCount })] : []),
+                t('templates.daily_digest.settings')
+            ]
+        })
+    }
+};
+
+export const EMAIL_TEMPLATE_NAMES = Object.keys(EMAIL_TEMPLATES);
+
+/**
+ * Render a template for one reader
+ * @param {string} name - Key of EMAIL_TEMPLATES
+ * @param {string} locale
+ * @param {Object} data - The template's data (dates as Date objects or ISO strings)
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Reader's IANA timezone for dates
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export const renderEmailTemplate = (name, locale, data, { timeZone } = {}) => {
+    const template = EMAIL_TEMPLATES[name];
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+
+    const code = normalizeLocale(locale) || DEFAULT_LOCALE;
+    const t = (key, params) => translate(code, `email.${key}`, params);
+    const formatTime = (date) => formatDateTime(code, date, timeZone);
+
+    return renderEmail(template.build(data, { t, formatTime }), {
+        locale: code,
+        tagline: t('tagline'),
+        footer: t('footer'),
+        mission: t('mission'),
+        linkFallback: t('link_fallback')
+    });
+};
@@ -0,0 +1,146 @@
+/**
+ * Email layout
+ * Every email is built from the same blocks and rendered twice: as HTML and as its plain-text
+ * alternative. Templates hand over plain strings only; this is the one place they are escaped,
+ * so a name like "<b>Amina</b>" arrives in the inbox exactly as typed.
+ */
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for HTML element content and double-quoted attributes
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+// Links go into href attributes, so anything but http(s) (javascript:, data:) is dropped
+const safeUrl = (url) => (typeof url === 'string' && /^https?:\/\//i.test(url) ? url : null);
+
+/**
+ * @typedef {Object} EmailContent
+ * @property {string} subject
+ * @property {string} heading
+ * @property {string} [greeting]
+ * @property {string[]} [paragraphs]
+ * @property {Array<{label: string, value: string}>} [details] - Label/value rows, e.g. With / When
+ * @property {{title: string, items: string[]}} [list]
+ * @property {{label: string, url: string}} [action] - The one button
+ * @property {string[]} [notes] - Small print under the button
+ */
+
+/**
+ * @typedef {Object} EmailChrome - Localized text around every email
+ * @property {string} locale
+ * @property {string} tagline
+ * @property {string} footer
+ * @property {string} mission
+ * @property {string} linkFallback - Shown above the raw link under the button
+ */
+
+const STYLES = {
+    body: 'margin: 0; padding: 0; background-color: #f3f4f6;',
+    container: 'font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #ffffff;',
+    paragraph: 'color: #4b5563; line-height: 1.6; margin: 0 0 16px;',
+    note: 'color: #6b7280; font-size: 14px; line-height: 1.5; margin: 0 0 8px;',
+    button: 'background-color: #D10100; color: #ffffff; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;'
+};
+
+const renderHtml = (content, chrome, action) => {
+    const paragraphs = (content.paragraphs || [])
+        .map(text => `<p style="${STYLES.paragraph}">${escapeHtml(text)}</p>`)
+        .join('\n');
+
+    const details = content.details?.length ? `
+                <table role="presentation" style="width: 100%; border-collapse: collapse; background-color: #f9fafb; border-radius: 8px; margin: 0 0 16px;">
+                    ${content.details.map(row => `
+                    <tr>
+                        <td style="padding: 8px 16px; color: #6b7280; font-size: 14px; white-space: nowrap; vertical-align: top;">${escapeHtml(row.label)}</td>
+                        <td style="padding: 8px 16px; color: #111827; font-weight: bold;">${escapeHtml(row.value)}</td>
+                    </tr>`).join('')}
+                </table>` : '';
+
+    const list = content.list?.items.length ? `
+                <div style="background-color: #f3f4f6; padding: 16px 20px; border-radius: 8px; margin: 0 0 16px;">
+                    <h3 style="color: #374151; margin: 0 0 8px; font-size: 16px;">${escapeHtml(content.list.title)}</h3>
+                    <ul style="color: #4b5563; line-height: 1.6; margin: 0; padding-left: 20px;">
+                        ${content.list.items.map(item => `<li>${escapeHtml(item)}</li>`).join('\n                        ')}
+                    </ul>
+                </div>` : '';
+
+    const button = action ? `
+                <div style="text-align: center; margin: 30px 0 12px;">
+                    <a href="${escapeHtml(action.url)}" style="${STYLES.button}">${escapeHtml(action.label)}</a>
+                </div>
+                <p style="color: #9ca3af; font-size: 12px; line-height: 1.5; text-align: center; word-break: break-all; margin: 0 0 24px;">
+                    ${escapeHtml(chrome.linkFallback)}<br>${escapeHtml(action.url)}
+                </p>` : '';
+
+    const notes = (content.notes || [])
+        .map(text => `<p style="${STYLES.note}">${escapeHtml(text)}</p>`)
+        .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(chrome.locale)}">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(content.subject)}</title>
+</head>
+<body style="${STYLES.body}">
+    <div style="${STYLES.container}">
+        <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #111827; font-size: 28px; margin: 0; letter-spacing: 1px;">TALKTIME</h1>
+            <p style="color: #6b7280; margin: 5px 0;">${escapeHtml(chrome.tagline)}</p>
+        </div>
+
+        <h2 style="color: #374151; margin: 0 0 20px;">${escapeHtml(content.heading)}</h2>
+        ${content.greeting ? `<p style="${STYLES.paragraph}">${escapeHtml(content.greeting)}</p>` : ''}
+        ${paragraphs}
+        ${details}
+        ${list}
+        ${button}
+        ${notes}
+
+        <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+        <div style="text-align: center; color: #9ca3af; font-size: 12px;">
+            <p style="margin: 0 0 4px;">${escapeHtml(chrome.footer)}</p>
+            <p style="margin: 0;">${escapeHtml(chrome.mission)}</p>
+        </div>
+    </div>
+</body>
+</html>
+`;
+};
+
+const renderText = (content, chrome, action) => {
+    const sections = [
+        content.heading,
+        content.greeting,
+        ...(content.paragraphs || []),
+        content.details?.length ? content.details.map(row => `${row.label}: ${row.value}`).join('\n') : null,
+        content.list?.items.length ? [content.list.title, ...content.list.items.map(item => `- ${item}`)].join('\n') : null,
+        action ? `${action.label}: ${action.url}` : null,
+        ...(content.notes || []),
+        `--\n${chrome.footer}\n${chrome.mission}`
+    ];
+    return `${sections.filter(Boolean).join('\n\n')}\n`;
+};
+
+/**
+ * Render an email's content in the shared layout
+ * @param {EmailContent} content
+ * @param {EmailChrome} chrome
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export const renderEmail = (content, chrome) => {
+    const url = safeUrl(content.action?.url);
+    const action = url ? { label: content.action.label, url } : null;
+
+    return {
+        // Header injection guard: a subject is one line
+        subject: String(content.subject).replace(/[\r\n]+/g, ' ').trim(),
+        html: renderHtml(content, chrome, action),
+        text: renderText(content, chrome, action)
+    };
+};
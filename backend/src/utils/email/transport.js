@@ -0,0 +1,43 @@
+/**
+ * Email transport
+ * SMTP when SMTP_HOST, SMTP_USER and SMTP_PASS are set (SMTP_PORT defaults to 587, SMTP_SECURE=true
+ * for implicit TLS). Otherwise nodemailer's JSON transport: messages are built and logged but not
+ * sent, so development and tests never reach a real inbox.
+ */
+import nodemailer from 'nodemailer';
+
+/**
+ * @typedef {Object} EmailTransport
+ * @property {string} name - 'smtp' or 'log'
+ * @property {(message: Object) => Promise<{messageId: string}>} sendMail - nodemailer message fields
+ */
+
+/**
+ * Build the transport configured in the environment
+ * @param {Object} [env]
+ * @returns {EmailTransport}
+ */
+export const createEmailTransport = (env = process.env) => {
+    if (env.SMTP_HOST && env.SMTP_USER && env.SMTP_PASS) {
+        const transporter = nodemailer.createTransport({
+            host: env.SMTP_HOST,
+            port: parseInt(env.SMTP_PORT, 10) || 587,
+            secure: env.SMTP_SECURE === 'true',
+            auth: {
+                user: env.SMTP_USER,
+                pass: env.SMTP_PASS
+            }
+        });
+        return { name: 'smtp', sendMail: message => transporter.sendMail(message) };
+    }
+
+    const transporter = nodemailer.createTransport({ jsonTransport: true });
+    return {
+        name: 'log',
+        sendMail: async (message) => {
+            const info = await transporter.sendMail(message);
+            console.log(`📧 [email not sent - SMTP not configured] To: ${message.to} Subject: ${message.subject}`);
+            return info;
+        }
+    };
+};
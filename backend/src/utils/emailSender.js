@@ -1,43 +1,23 @@
 /**
  * Email Sender Utility
- * Handles sending emails using a configurable email service
+ * Queues templated emails for delivery (see services/emailService.js and utils/email)
  */
+import { queueEmail } from '../services/emailService.js';
 
 /**
  * Send an email
  * @param {Object} options - Email options
  * @param {string} options.to - Recipient email
- * @param {string} options.subject - Email subject
- * @param {string} options.html - Email HTML content
- * @param {string} [options.text] - Email plain text content
+ * @param {string} options.template - Template name, e.g. 'parental_approval'
+ * @param {Object} options.data - The template's data; every value is escaped when rendered
+ * @param {string} [options.locale] - Language of the email
+ * @param {number} [options.userId] - Recipient's account, or the account the email is about
  * @returns {Promise<Object>} Send result
  */
 export const sendEmail = async (options) => {
   try {
-    // For now, just log the email (development mode)
-    console.log('SENDING EMAIL:');
-    console.log('To:', options.to);
-    console.log('Subject:', options.subject);
-    console.log('Content:', options.html || options.text);
-    
-    // In production, this would use a real email service like SendGrid, Mailgun, etc.
-    // Example with SendGrid (commented out):
-    /*
-    const sgMail = require('@sendgrid/mail');
-    sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-    
-    const msg = {
-      to: options.to,
-      from: process.env.EMAIL_FROM || 'noreply@talktime.org',
-      subject: options.subject,
-      text: options.text,
-      html: options.html,
-    };
-    
-    return await sgMail.send(msg);
-    */
-    
-    return { success: true, id: `email-${Date.now()}` };
+    const queued = await queueEmail(options);
+    return { success: true, id: queued?.id ?? null };
   } catch (error) {
     console.error('Error sending email:', error);
     throw error;
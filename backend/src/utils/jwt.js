@@ -1,5 +1,7 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
+import { isTokenRevoked } from '../services/tokenRevocationService.js';
 
 dotenv.config();
 
@@ -49,13 +51,70 @@ export const verifyToken = (token) => {
     }
 };
 
+/**
+ * Verify an access token and check it has not been revoked
+ * @param {string} token - JWT access token
+ * @returns {Promise<Object>} Decoded token payload
+ */
+export const verifyActiveToken = async (token) => {
+    const decoded = verifyToken(token);
+
+    if (decoded.type === 'refresh') {
+        throw new Error('Invalid token: refresh tokens cannot be used for API access');
+    }
+    if (decoded.purpose) {
+        throw new Error(`Invalid token: ${decoded.purpose} tokens cannot be used for API access`);
+    }
+    if (await isTokenRevoked(decoded)) {
+        throw new Error('Invalid token: token has been revoked');
+    }
+
+    return decoded;
+};
+
+/**
+ * Generate a short-lived single-purpose token (e.g. the admin login second step, a step-up
+ * confirmation). These are rejected by verifyActiveToken so they never grant API access.
+ * @param {Object} payload - Data to include in token
+ * @param {string} purpose - e.g. 'admin_mfa', 'admin_step_up'
+ * @param {string} [expiresIn]
+ * @returns {string} JWT token
+ */
+export const generatePurposeToken = (payload, purpose, expiresIn = '5m') => {
+    return jwt.sign({ ...payload, purpose }, JWT_SECRET, {
+        expiresIn,
+        issuer: 'talktime-api',
+        audience: 'talktime-clients'
+    });
+};
+
+/**
+ * Verify a token created by generatePurposeToken
+ * @param {string} token
+ * @param {string} purpose - Expected purpose
+ * @returns {Object} Decoded token payload
+ */
+export const verifyPurposeToken = (token, purpose) => {
+    const decoded = verifyToken(token);
+    if (decoded.purpose !== purpose) {
+        throw new Error('Invalid token: wrong token purpose');
+    }
+    return decoded;
+};
+
 /**
  * Generate tokens for user authentication
+ * Every token gets its own id (jti); both tokens carry the login-session family id (fid) so a
+ * whole session can be revoked. Use refreshTokenService.issueTokens to also record the refresh token.
  * @param {Object} user - User object
+ * @param {Object} [options]
+ * @param {string} [options.familyId] - Keep an existing session's family when rotating
  * @returns {Object} Access and refresh tokens
  */
-export const generateTokens = (user) => {
+export const generateTokens = (user, { familyId = crypto.randomUUID() } = {}) => {
     const payload = {
+        jti: crypto.randomUUID(),
+        fid: familyId,
         id: user.id,
         email: user.email || null,
         role: user.role,
@@ -80,7 +139,13 @@ export const generateTokens = (user) => {
     };
 
     const accessToken = generateAccessToken(payload);
-    const refreshToken = generateRefreshToken({ id: user.id, role: user.role });
+    const refreshToken = generateRefreshToken({
+        id: user.id,
+        role: user.role,
+        type: 'refresh',
+        jti: crypto.randomUUID(),
+        fid: familyId
+    });
 
     return {
         accessToken,
@@ -112,7 +177,7 @@ export const extractTokenFromHeader = (authHeader) => {
  * @returns {Function} Express middleware function
  */
 export const createJWTMiddleware = (allowedRoles = []) => {
-    return (req, res, next) => {
+    return async (req, res, next) => {
         try {
             const authHeader = req.headers.authorization;
             const token = extractTokenFromHeader(authHeader);
@@ -125,7 +190,7 @@ export const createJWTMiddleware = (allowedRoles = []) => {
                 });
             }
 
-            const decoded = verifyToken(token);
+            const decoded = await verifyActiveToken(token);
             
             // Check if user role is allowed
             if (allowedRoles.length > 0 && !allowedRoles.includes(decoded.role)) {
@@ -158,7 +223,7 @@ export const createJWTMiddleware = (allowedRoles = []) => {
  * @returns {Function} Express middleware function
  */
 export const createAdminSuperuserMiddleware = (allowedRoles = []) => {
-    return (req, res, next) => {
+    return async (req, res, next) => {
         try {
             const authHeader = req.headers.authorization;
             const token = extractTokenFromHeader(authHeader);
@@ -171,7 +236,7 @@ export const createAdminSuperuserMiddleware = (allowedRoles = []) => {
                 });
             }
 
-            const decoded = verifyToken(token);
+            const decoded = await verifyActiveToken(token);
             
             // Admin has superuser access to everything
             if (decoded.role === 'admin') {
@@ -211,6 +276,9 @@ export default {
     generateRefreshToken,
     generateTokens,
     verifyToken,
+    verifyActiveToken,
+    generatePurposeToken,
+    verifyPurposeToken,
     extractTokenFromHeader,
     createJWTMiddleware,
     createAdminSuperuserMiddleware
@@ -160,6 +160,63 @@ export class ParentalApprovalService {
             userData.parent_phone
         );
     }
+
+    /**
+     * Check whether a user's calls may be recorded as far as parental consent goes
+     * @param {Object} user - User row (is_under_18, parent_recording_consent_at)
+     * @returns {boolean} True when no parental consent is needed or it has been given
+     */
+    static hasRecordingConsent(user) {
+        return !user.is_under_18 || !!user.parent_recording_consent_at;
+    }
+
+    /**
+     * Create (or refresh) a parental recording consent request
+     * @param {number} userId - Under-18 user ID
+     * @returns {Promise<Object>} { token, user }
+     */
+    static async createRecordingConsentRequest(userId) {
+        const token = this.generateApprovalToken();
+
+        const result = await pool.query(`
+            UPDATE users
+            SET parent_recording_consent_token = $1,
+                parent_recording_consent_sent_at = CURRENT_TIMESTAMP
+            WHERE id = $2 AND is_under_18 = true
+            RETURNING id, full_name, email, parent_email, parent_phone
+        `, [token, userId]);
+
+        if (result.rows.length === 0) {
+            throw new Error('User not found or does not need parental consent');
+        }
+
+        return {
+            token,
+            user: result.rows[0]
+        };
+    }
+
+    /**
+     * Record a parent's standing consent for their child's calls to be recorded
+     * @param {string} token - Consent token from email/SMS link
+     * @returns {Promise<Object>} The consenting user's child record
+     */
+    static async approveRecordingConsent(token) {
+        const result = await pool.query(`
+            UPDATE users
+            SET parent_recording_consent_at = CURRENT_TIMESTAMP,
+                parent_recording_consent_token = NULL
+            WHERE parent_recording_consent_token = $1
+                AND parent_recording_consent_sent_at > CURRENT_TIMESTAMP - INTERVAL '7 days'
+            RETURNING id, full_name, email
+        `, [token]);
+
+        if (result.rows.length === 0) {
+            throw new Error('Invalid or expired consent token');
+        }
+
+        return result.rows[0];
+    }
 }
 
 export default ParentalApprovalService;
@@ -0,0 +1,45 @@
+/**
+ * Service Errors - Errors a service throws, and the response a controller answers them with
+ */
+
+/**
+ * Create an error carrying an HTTP status and a machine-readable code for the caller
+ * Controllers answer with { error: message, code } and the status when one is set.
+ *
+ * @param {string} message - Human-readable reason
+ * @param {number} status - HTTP status to respond with
+ * @param {string} code - Machine-readable code, e.g. 'NOT_FOUND'
+ * @param {Object} [extra] - More fields to copy onto the error, e.g. { retryAfterSeconds }
+ * @returns {Error}
+ */
+export function serviceError(message, status, code, extra = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    Object.assign(error, extra);
+    return error;
+}
+
+/**
+ * Answer a request whose service call failed
+ * Errors made with serviceError are answered with their status, message and code; anything else
+ * is unexpected, so it is logged and answered with a 500 and the fallback message.
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - What the service threw
+ * @param {string} fallback - Message for unexpected errors, e.g. 'Failed to add goal'
+ * @param {string[]} [fields] - Error properties to pass on when set, e.g. ['lockedUntil']
+ */
+export function sendServiceError(res, error, fallback, fields = []) {
+    if (error.status) {
+        const body = { success: false, error: error.message, code: error.code };
+        for (const field of fields) {
+            if (error[field] !== undefined) {
+                body[field] = error[field];
+            }
+        }
+        return res.status(error.status).json(body);
+    }
+    console.error(`${fallback}:`, error);
+    res.status(500).json({ success: false, error: fallback, details: error.message });
+}
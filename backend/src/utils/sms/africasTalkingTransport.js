@@ -0,0 +1,77 @@
+/**
+ * Africa's Talking SMS transport
+ * Cheaper and more reliable than international gateways for Kenyan numbers. The 'sandbox' username
+ * talks to the sandbox API. Delivery reports are posted to the callback URL set in the Africa's
+ * Talking dashboard (SMS > Callback URLs > Delivery Reports), not per message.
+ */
+
+const LIVE_URL = 'https://api.africastalking.com/version1/messaging';
+const SANDBOX_URL = 'https://api.sandbox.africastalking.com/version1/messaging';
+
+// Send response status codes that mean the message was accepted
+const ACCEPTED_CODES = [100, 101, 102]; // Processed, Sent, Queued
+
+// Delivery report statuses, reduced to sms_messages.status
+const STATUSES = {
+    Success: 'delivered',
+    Sent: 'sent',
+    Submitted: 'sent',
+    Buffered: 'sent',
+    Rejected: 'failed',
+    Failed: 'failed',
+    AbsentSubscriber: 'failed',
+    Expired: 'failed'
+};
+
+/**
+ * @param {Object} config
+ * @param {string} config.username - Application username ('sandbox' for the sandbox)
+ * @param {string} config.apiKey
+ * @param {string} [config.senderId] - Registered alphanumeric sender ID or shortcode
+ * @returns {import('./index.js').SmsTransport}
+ */
+export const createAfricasTalkingTransport = ({ username, apiKey, senderId }) => ({
+    name: 'africastalking',
+
+    async send({ to, body }) {
+        const form = new URLSearchParams({ username, to, message: body });
+        if (senderId) form.set('from', senderId);
+
+        const response = await fetch(username === 'sandbox' ? SANDBOX_URL : LIVE_URL, {
+            method: 'POST',
+            headers: {
+                apiKey,
+                Accept: 'application/json',
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: form
+        });
+        const data = await response.json().catch(() => null);
+        if (!response.ok || !data) {
+            throw new Error(`Africa's Talking returned ${response.status}`);
+        }
+
+        const recipient = data.SMSMessageData?.Recipients?.[0];
+        if (!recipient || !ACCEPTED_CODES.includes(recipient.statusCode)) {
+            throw new Error(recipient?.status || data.SMSMessageData?.Message || 'Message rejected');
+        }
+        return {
+            providerMessageId: recipient.messageId,
+            status: 'sent',
+            cost: recipient.cost || null
+        };
+    }
+});
+
+/**
+ * @param {Object} payload - Delivery report form body (id, status, phoneNumber, failureReason)
+ * @returns {{providerMessageId: string, status: string, error: string|null}|null}
+ */
+export const parseAfricasTalkingDeliveryReport = (payload) => {
+    if (!payload?.id || !payload.status) return null;
+    return {
+        providerMessageId: payload.id,
+        status: STATUSES[payload.status] || 'sent',
+        error: payload.failureReason || null
+    };
+};
@@ -0,0 +1,82 @@
+/**
+ * SMS transports
+ * Every SMS provider implements the same small interface, so the rest of the backend only calls
+ * smsService.sendSms. SMS_PROVIDER picks the transport:
+ *   twilio          TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER
+ *   africastalking  AFRICASTALKING_USERNAME, AFRICASTALKING_API_KEY, AFRICASTALKING_SENDER_ID (optional)
+ *   local           SMS_STUB_URL, or SMS_STUB_FILE (default logs/sms-outbox.jsonl)
+ * Without SMS_PROVIDER, Twilio is used when its credentials are set and the local stub otherwise.
+ */
+import { createTwilioTransport, parseTwilioDeliveryReport } from './twilioTransport.js';
+import { createAfricasTalkingTransport, parseAfricasTalkingDeliveryReport } from './africasTalkingTransport.js';
+import { createLocalTransport, parseLocalDeliveryReport } from './localTransport.js';
+
+/**
+ * @typedef {Object} SmsTransport
+ * @property {string} name - Provider key, stored in sms_messages.provider
+ * @property {(message: {to: string, body: string, statusCallbackUrl?: string}) =>
+ *     Promise<{providerMessageId: string, status: string, cost: string|null}>} send
+ *     Resolves once the provider accepted the message; rejects if it did not
+ */
+
+export const SMS_PROVIDERS = ['twilio', 'africastalking', 'local'];
+
+// Delivery report parsers by provider, so receipts for messages sent before a provider switch still land
+const DELIVERY_REPORT_PARSERS = {
+    twilio: parseTwilioDeliveryReport,
+    africastalking: parseAfricasTalkingDeliveryReport,
+    local: parseLocalDeliveryReport
+};
+
+const localStub = (env) => createLocalTransport({
+    url: env.SMS_STUB_URL,
+    file: env.SMS_STUB_FILE || 'logs/sms-outbox.jsonl'
+});
+
+/**
+ * Build the transport configured in the environment
+ * A provider missing its credentials falls back to the local stub with a warning, so nothing
+ * crashes in development; check the startup log in production.
+ * @param {Object} [env]
+ * @returns {SmsTransport}
+ */
+export const createSmsTransport = (env = process.env) => {
+    const provider = (env.SMS_PROVIDER ||
+        (env.TWILIO_ACCOUNT_SID && env.TWILIO_AUTH_TOKEN ? 'twilio' : 'local')).toLowerCase();
+
+    switch (provider) {
+        case 'twilio':
+            if (env.TWILIO_ACCOUNT_SID && env.TWILIO_AUTH_TOKEN && env.TWILIO_PHONE_NUMBER) {
+                return createTwilioTransport({
+                    accountSid: env.TWILIO_ACCOUNT_SID,
+                    authToken: env.TWILIO_AUTH_TOKEN,
+                    from: env.TWILIO_PHONE_NUMBER
+                });
+            }
+            break;
+        case 'africastalking':
+            if (env.AFRICASTALKING_USERNAME && env.AFRICASTALKING_API_KEY) {
+                return createAfricasTalkingTransport({
+                    username: env.AFRICASTALKING_USERNAME,
+                    apiKey: env.AFRICASTALKING_API_KEY,
+                    senderId: env.AFRICASTALKING_SENDER_ID
+                });
+            }
+            break;
+        case 'local':
+            return localStub(env);
+        default:
+            console.warn(`⚠️ Unknown SMS_PROVIDER "${provider}"`);
+    }
+
+    console.warn(`⚠️ SMS provider "${provider}" is not configured; using the local SMS stub`);
+    return localStub(env);
+};
+
+/**
+ * Read a provider's delivery receipt
+ * @param {string} provider
+ * @param {Object} payload - Request body of the provider's callback
+ * @returns {{providerMessageId: string, status: string, error: string|null}|null} null if unreadable
+ */
+export const parseDeliveryReport = (provider, payload) => DELIVERY_REPORT_PARSERS[provider]?.(payload) ?? null;
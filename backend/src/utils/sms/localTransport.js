@@ -0,0 +1,51 @@
+/**
+ * Local SMS stub for development and testing
+ * Writes each message as a JSON line to a file, or POSTs it to a local HTTP endpoint (e.g. a mock
+ * server in an end-to-end test), instead of sending anything. Messages count as delivered straight
+ * away; post { id, status } to /api/v1/sms/delivery-reports/local to simulate a receipt.
+ */
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const STATUSES = ['queued', 'sent', 'delivered', 'failed'];
+
+/**
+ * @param {Object} config
+ * @param {string} [config.file] - JSON-lines outbox file
+ * @param {string} [config.url] - HTTP endpoint to POST messages to (takes precedence over file)
+ * @returns {import('./index.js').SmsTransport}
+ */
+export const createLocalTransport = ({ file, url }) => ({
+    name: 'local',
+
+    async send({ to, body }) {
+        const record = { id: `local-${crypto.randomUUID()}`, to, body, sentAt: new Date().toISOString() };
+
+        if (url) {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(record)
+            });
+            if (!response.ok) {
+                throw new Error(`SMS stub returned ${response.status}`);
+            }
+        } else {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.appendFile(file, `${JSON.stringify(record)}\n`);
+        }
+
+        console.log(`📱 [SMS stub] To ${to}: ${body}`);
+        return { providerMessageId: record.id, status: 'delivered', cost: null };
+    }
+});
+
+/**
+ * @param {Object} payload - { id, status, error? }
+ * @returns {{providerMessageId: string, status: string, error: string|null}|null}
+ */
+export const parseLocalDeliveryReport = (payload) => {
+    if (!payload?.id || !STATUSES.includes(payload.status)) return null;
+    return { providerMessageId: payload.id, status: payload.status, error: payload.error || null };
+};
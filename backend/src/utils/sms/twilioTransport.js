@@ -0,0 +1,59 @@
+/**
+ * Twilio SMS transport
+ * Delivery receipts arrive as Twilio status callbacks (form posts with MessageSid/MessageStatus).
+ */
+import twilio from 'twilio';
+
+// Twilio message statuses, reduced to sms_messages.status
+const STATUSES = {
+    accepted: 'queued',
+    queued: 'queued',
+    sending: 'queued',
+    sent: 'sent',
+    delivered: 'delivered',
+    undelivered: 'failed',
+    failed: 'failed',
+    canceled: 'failed'
+};
+
+/**
+ * @param {Object} config
+ * @param {string} config.accountSid
+ * @param {string} config.authToken
+ * @param {string} config.from - Twilio number or messaging service sender
+ * @returns {import('./index.js').SmsTransport}
+ */
+export const createTwilioTransport = ({ accountSid, authToken, from }) => {
+    const client = twilio(accountSid, authToken);
+
+    return {
+        name: 'twilio',
+
+        async send({ to, body, statusCallbackUrl }) {
+            const message = await client.messages.create({
+                body,
+                from,
+                to,
+                ...(statusCallbackUrl ? { statusCallback: statusCallbackUrl } : {})
+            });
+            return {
+                providerMessageId: message.sid,
+                status: STATUSES[message.status] || 'sent',
+                cost: message.price ? `${message.price} ${message.priceUnit || ''}`.trim() : null
+            };
+        }
+    };
+};
+
+/**
+ * @param {Object} payload - Status callback form body
+ * @returns {{providerMessageId: string, status: string, error: string|null}|null}
+ */
+export const parseTwilioDeliveryReport = (payload) => {
+    if (!payload?.MessageSid || !payload.MessageStatus) return null;
+    return {
+        providerMessageId: payload.MessageSid,
+        status: STATUSES[payload.MessageStatus] || 'sent',
+        error: payload.ErrorCode ? `Twilio error ${payload.ErrorCode}` : null
+    };
+};
@@ -1,36 +1,22 @@
 /**
  * SMS Sender Utility
- * Handles sending SMS messages using a configurable SMS service
+ * Sends SMS messages through the configured SMS transport (see services/smsService.js)
  */
+import { sendSms } from '../services/smsService.js';
 
 /**
  * Send an SMS message
  * @param {Object} options - SMS options
  * @param {string} options.to - Recipient phone number
  * @param {string} options.body - SMS message body
+ * @param {string} [options.purpose] - Logged with the message, e.g. 'parental_approval'
+ * @param {number} [options.userId] - Recipient's account, or the account the message is about
  * @returns {Promise<Object>} Send result
  */
 export const sendSMS = async (options) => {
   try {
-    // For now, just log the SMS (development mode)
-    console.log('SENDING SMS:');
-    console.log('To:', options.to);
-    console.log('Body:', options.body);
-    
-    // In production, this would use a real SMS service like Twilio, Nexmo, etc.
-    // Example with Twilio (commented out):
-    /*
-    const twilio = require('twilio');
-    const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
-    
-    return await client.messages.create({
-      body: options.body,
-      from: process.env.TWILIO_PHONE_NUMBER,
-      to: options.to
-    });
-    */
-    
-    return { success: true, id: `sms-${Date.now()}` };
+    const result = await sendSms(options);
+    return { success: true, id: result.providerMessageId, status: result.status };
   } catch (error) {
     console.error('Error sending SMS:', error);
     throw error;
@@ -289,6 +289,44 @@ export const getTimezoneOffset = (date, timezone) => {
     return Math.round((tzDate - utcDate) / (1000 * 60));
 };
 
+/**
+ * Get the wall-clock date, time and weekday of an instant in a timezone
+ * @param {Date|string} date - The instant to convert
+ * @param {string} timezone - The IANA timezone identifier
+ * @returns {{date: string, time: string, dayOfWeek: number}} YYYY-MM-DD, HH:MM and 0 (Sunday) to 6 (Saturday)
+ */
+export const getLocalTimeParts = (date, timezone) => {
+    const tz = getSafeTimezone(timezone);
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-CA', {
+            timeZone: tz,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(new Date(date)).map(({ type, value }) => [type, value])
+    );
+
+    const localDate = `${parts.year}-${parts.month}-${parts.day}`;
+    return {
+        date: localDate,
+        time: `${parts.hour}:${parts.minute}`,
+        dayOfWeek: new Date(`${localDate}T00:00:00Z`).getUTCDay()
+    };
+};
+
+/**
+ * Convert a HH:MM (or HH:MM:SS) wall-clock time to minutes after midnight
+ * @param {string} time - Time string, e.g. a TIME column value
+ * @returns {number} Minutes after midnight
+ */
+export const timeToMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
 export default {
     getUserTimezone,
     isValidTimezone,
@@ -300,5 +338,7 @@ export default {
     getCurrentDateInTimezone,
     hasMeetingTimedOut,
     localToUTC,
-    getTimezoneOffset
+    getTimezoneOffset,
+    getLocalTimeParts,
+    timeToMinutes
 };
@@ -23,6 +23,16 @@ CREATE TABLE IF NOT EXISTS users (
     parent_approval_token VARCHAR(255),
     parent_approval_sent_at TIMESTAMPTZ,
     parent_approved_at TIMESTAMPTZ,
+    parent_recording_consent_token VARCHAR(255),
+    parent_recording_consent_sent_at TIMESTAMPTZ,
+    parent_recording_consent_at TIMESTAMPTZ,
+    scheduling_suspended_at TIMESTAMPTZ,
+    scheduling_suspension_reason VARCHAR(255),
+    login_failed_attempts INTEGER NOT NULL DEFAULT 0,
+    login_locked_until TIMESTAMPTZ,
+    totp_secret TEXT,
+    totp_enabled_at TIMESTAMPTZ,
+    totp_last_used_step BIGINT,
     profile_image VARCHAR(500),
     security_question_1 VARCHAR(255),
     security_answer_1_hash VARCHAR(255),
@@ -30,6 +40,13 @@ CREATE TABLE IF NOT EXISTS users (
     security_answer_2_hash VARCHAR(255),
     security_question_3 VARCHAR(255),
     security_answer_3_hash VARCHAR(255),
+    erased_at TIMESTAMPTZ,
+    erased_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    locale VARCHAR(10) NOT NULL DEFAULT 'en',
+    english_level VARCHAR(50),
+    learning_goals TEXT,
+    preferred_topics TEXT,
+    interests TEXT,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
 );
@@ -51,6 +68,110 @@ CREATE TABLE IF NOT EXISTS meetings (
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Recurring meeting series (expanded into meetings rows by the meeting-service)
+CREATE TABLE IF NOT EXISTS meeting_series (
+    id SERIAL PRIMARY KEY,
+    volunteer_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    day_of_week INTEGER NOT NULL CHECK (day_of_week >= 0 AND day_of_week <= 6),
+    start_time TIME NOT NULL,
+    timezone VARCHAR(100) NOT NULL DEFAULT 'Africa/Nairobi',
+    interval_weeks INTEGER NOT NULL DEFAULT 1 CHECK (interval_weeks >= 1 AND interval_weeks <= 4),
+    occurrence_count INTEGER NOT NULL CHECK (occurrence_count >= 1 AND occurrence_count <= 26),
+    start_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'canceled')),
+    canceled_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES meeting_series(id) ON DELETE SET NULL;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS series_index INTEGER;
+
+-- Student availability (per student or per class) and school calendar
+CREATE TABLE IF NOT EXISTS student_availability (
+    id SERIAL PRIMARY KEY,
+    student_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    school_grade VARCHAR(20),
+    day_of_week INTEGER NOT NULL CHECK (day_of_week >= 0 AND day_of_week <= 6),
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    timezone VARCHAR(100) NOT NULL DEFAULT 'Africa/Nairobi',
+    is_active BOOLEAN DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT student_availability_valid_window CHECK (end_time > start_time),
+    CONSTRAINT student_availability_single_target CHECK ((student_id IS NULL) <> (school_grade IS NULL))
+);
+
+CREATE TABLE IF NOT EXISTS school_calendar (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(150) NOT NULL,
+    event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('term', 'holiday', 'exam')),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    school_grade VARCHAR(20),
+    notes TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT school_calendar_valid_range CHECK (end_date >= start_date)
+);
+
+-- Call quality telemetry (WebRTC getStats summaries per participant)
+CREATE TABLE IF NOT EXISTS call_quality_samples (
+    id BIGSERIAL PRIMARY KEY,
+    meeting_id INTEGER REFERENCES meetings(id) ON DELETE CASCADE,
+    room_id VARCHAR(255) NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    role VARCHAR(20),
+    rtt_ms INTEGER,
+    packet_loss_pct NUMERIC(5, 2),
+    outbound_bitrate_kbps INTEGER,
+    inbound_bitrate_kbps INTEGER,
+    frame_width INTEGER,
+    frame_height INTEGER,
+    frames_per_second NUMERIC(5, 1),
+    relayed BOOLEAN,
+    local_candidate_type VARCHAR(20),
+    remote_candidate_type VARCHAR(20),
+    connection_state VARCHAR(20),
+    sampled_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Consented call recordings and the consent answers behind them
+CREATE TABLE IF NOT EXISTS call_recordings (
+    id SERIAL PRIMARY KEY,
+    meeting_id INTEGER NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+    room_id VARCHAR(255) NOT NULL,
+    requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    status VARCHAR(30) NOT NULL DEFAULT 'pending_consent'
+        CHECK (status IN ('pending_consent', 'declined', 'consented', 'recording', 'completed', 'deleted')),
+    mime_type VARCHAR(100),
+    storage_path VARCHAR(500),
+    size_bytes BIGINT NOT NULL DEFAULT 0,
+    chunk_count INTEGER NOT NULL DEFAULT 0,
+    started_at TIMESTAMPTZ,
+    stopped_at TIMESTAMPTZ,
+    stop_reason VARCHAR(50),
+    retention_until TIMESTAMPTZ,
+    deleted_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS call_recording_consents (
+    id SERIAL PRIMARY KEY,
+    recording_id INTEGER NOT NULL REFERENCES call_recordings(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    consent_type VARCHAR(20) NOT NULL CHECK (consent_type IN ('participant', 'parent')),
+    granted BOOLEAN,
+    responded_at TIMESTAMPTZ,
+    ip_address VARCHAR(45),
+    UNIQUE (recording_id, user_id, consent_type)
+);
+
 -- Notifications table
 CREATE TABLE IF NOT EXISTS notifications (
     id SERIAL PRIMARY KEY,
@@ -118,12 +239,323 @@ CREATE TABLE IF NOT EXISTS messages (
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Safeguarding incidents reported by participants, with chat evidence and admin case notes
+CREATE TABLE IF NOT EXISTS safeguarding_incidents (
+    id SERIAL PRIMARY KEY,
+    meeting_id INTEGER REFERENCES meetings(id) ON DELETE SET NULL,
+    room_id VARCHAR(255),
+    reported_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reporter_role VARCHAR(20) NOT NULL,
+    reported_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    category VARCHAR(40) NOT NULL
+        CHECK (category IN ('inappropriate_language', 'inappropriate_content', 'harassment', 'personal_information', 'contact_outside_platform', 'other')),
+    description TEXT NOT NULL,
+    during_call BOOLEAN NOT NULL DEFAULT FALSE,
+    status VARCHAR(20) NOT NULL DEFAULT 'open'
+        CHECK (status IN ('open', 'investigating', 'escalated', 'resolved', 'dismissed')),
+    assigned_to INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    resolution TEXT,
+    resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS safeguarding_incident_messages (
+    id SERIAL PRIMARY KEY,
+    incident_id INTEGER NOT NULL REFERENCES safeguarding_incidents(id) ON DELETE CASCADE,
+    message_id INTEGER REFERENCES messages(id) ON DELETE SET NULL,
+    sender_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    recipient_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    content TEXT NOT NULL,
+    sent_at TIMESTAMPTZ,
+    UNIQUE (incident_id, message_id)
+);
+
+CREATE TABLE IF NOT EXISTS safeguarding_incident_notes (
+    id SERIAL PRIMARY KEY,
+    incident_id INTEGER NOT NULL REFERENCES safeguarding_incidents(id) ON DELETE CASCADE,
+    author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    note TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Post-call feedback from both participants of a meeting
+CREATE TABLE IF NOT EXISTS session_feedback (
+    id SERIAL PRIMARY KEY,
+    meeting_id INTEGER NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+    reviewer_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reviewer_role VARCHAR(20) NOT NULL CHECK (reviewer_role IN ('volunteer', 'student')),
+    subject_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    rating SMALLINT CHECK (rating BETWEEN 1 AND 5),
+    engagement SMALLINT CHECK (engagement BETWEEN 1 AND 5),
+    english_level VARCHAR(20)
+        CHECK (english_level IN ('beginner', 'elementary', 'intermediate', 'upper_intermediate', 'advanced')),
+    comment TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (meeting_id, reviewer_id),
+    CHECK (
+        (reviewer_role = 'student' AND rating IS NOT NULL) OR
+        (reviewer_role = 'volunteer' AND engagement IS NOT NULL AND english_level IS NOT NULL)
+    )
+);
+
+-- Printed QR login cards (card + PIN sign-in for students)
+CREATE TABLE IF NOT EXISTS student_login_cards (
+    id SERIAL PRIMARY KEY,
+    student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    card_code VARCHAR(32) NOT NULL UNIQUE,
+    pin_hash VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'replaced', 'revoked')),
+    issued_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    issued_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMPTZ,
+    revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    revoked_at TIMESTAMPTZ,
+    revoke_reason VARCHAR(255)
+);
+
+-- Refresh tokens (rotated on every refresh, grouped into login-session families)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    jti VARCHAR(64) NOT NULL UNIQUE,
+    family_id VARCHAR(64) NOT NULL,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    replaced_by VARCHAR(64),
+    revoked_at TIMESTAMPTZ,
+    revoke_reason VARCHAR(50),
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Admin two-factor authentication backup codes (single use, stored hashed)
+CREATE TABLE IF NOT EXISTS admin_backup_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Volunteers waiting for a student's day to free up (backfilled on cancel/missed)
+CREATE TABLE IF NOT EXISTS meeting_waitlist (
+    id SERIAL PRIMARY KEY,
+    student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    volunteer_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    waitlist_date DATE NOT NULL, -- Day in the student's timezone
+    status VARCHAR(20) NOT NULL DEFAULT 'waiting'
+        CHECK (status IN ('waiting', 'offered', 'accepted', 'declined', 'expired', 'left')),
+    freed_meeting_id INTEGER REFERENCES meetings(id) ON DELETE SET NULL,
+    offered_time TIMESTAMPTZ, -- NULL when the freed time has passed and the volunteer picks one
+    offered_at TIMESTAMPTZ,
+    offer_expires_at TIMESTAMPTZ,
+    responded_at TIMESTAMPTZ,
+    booked_meeting_id INTEGER REFERENCES meetings(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Conversation prompts and lesson plans (suggested per meeting from the student's learning profile)
+CREATE TABLE IF NOT EXISTS lesson_plans (
+    id SERIAL PRIMARY KEY,
+    title VARCHAR(150) NOT NULL,
+    kind VARCHAR(20) NOT NULL DEFAULT 'lesson_plan' CHECK (kind IN ('prompt', 'lesson_plan')),
+    english_level VARCHAR(20) -- NULL suits any level
+        CHECK (english_level IN ('beginner', 'elementary', 'intermediate', 'upper_intermediate', 'advanced')),
+    topics TEXT[] NOT NULL DEFAULT '{}',
+    summary TEXT,
+    objectives TEXT,
+    prompts TEXT[] NOT NULL DEFAULT '{}',
+    vocabulary TEXT[] NOT NULL DEFAULT '{}',
+    duration_minutes INTEGER CHECK (duration_minutes BETWEEN 5 AND 120),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS lesson_plan_id INTEGER REFERENCES lesson_plans(id) ON DELETE SET NULL;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS lesson_plan_used_at TIMESTAMPTZ;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS lesson_plan_notes TEXT;
+
+-- Student progress: per-skill CEFR assessments from the post-call survey, current levels and goals
+CREATE TABLE IF NOT EXISTS student_skill_assessments (
+    id SERIAL PRIMARY KEY,
+    meeting_id INTEGER NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+    student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    assessed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    skill VARCHAR(20) NOT NULL
+        CHECK (skill IN ('speaking', 'listening', 'vocabulary', 'grammar', 'pronunciation')),
+    level VARCHAR(2) NOT NULL CHECK (level IN ('A1', 'A2', 'B1', 'B2', 'C1', 'C2')),
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (meeting_id, skill)
+);
+
+-- Current levels, recalculated from recent assessments after each session
+CREATE TABLE IF NOT EXISTS student_progress (
+    student_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    overall_level VARCHAR(2),
+    speaking_level VARCHAR(2),
+    listening_level VARCHAR(2),
+    vocabulary_level VARCHAR(2),
+    grammar_level VARCHAR(2),
+    pronunciation_level VARCHAR(2),
+    sessions_assessed INTEGER NOT NULL DEFAULT 0,
+    last_assessed_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS student_goals (
+    id SERIAL PRIMARY KEY,
+    student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title VARCHAR(200) NOT NULL,
+    skill VARCHAR(20) -- NULL with a target level means the overall level
+        CHECK (skill IN ('speaking', 'listening', 'vocabulary', 'grammar', 'pronunciation')),
+    target_level VARCHAR(2) CHECK (target_level IN ('A1', 'A2', 'B1', 'B2', 'C1', 'C2')),
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'achieved', 'dropped')),
+    achieved_at TIMESTAMPTZ,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Private ICS feed tokens; meeting invites use meetings.ics_sequence as their SEQUENCE
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS ics_sequence INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    token VARCHAR(64) NOT NULL UNIQUE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    last_accessed_at TIMESTAMPTZ
+);
+
+-- SMS-only contacts (parents, school coordinators) and the log of every SMS sent
+CREATE TABLE IF NOT EXISTS sms_contacts (
+    id SERIAL PRIMARY KEY,
+    contact_type VARCHAR(20) NOT NULL CHECK (contact_type IN ('parent', 'school_coordinator')),
+    student_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    school_grade VARCHAR(20), -- coordinators only; NULL covers every class
+    full_name VARCHAR(100) NOT NULL,
+    phone VARCHAR(30) NOT NULL,
+    locale VARCHAR(10) NOT NULL DEFAULT 'en',
+    meeting_reminders BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    -- A parent belongs to one student; a coordinator to a class, not a student
+    CONSTRAINT sms_contacts_target CHECK (
+        (contact_type = 'parent' AND student_id IS NOT NULL AND school_grade IS NULL)
+        OR (contact_type = 'school_coordinator' AND student_id IS NULL)
+    )
+);
+
+CREATE TABLE IF NOT EXISTS sms_messages (
+    id SERIAL PRIMARY KEY,
+    provider VARCHAR(20) NOT NULL,
+    provider_message_id VARCHAR(100),
+    to_phone VARCHAR(30) NOT NULL,
+    body TEXT NOT NULL,
+    purpose VARCHAR(50) NOT NULL DEFAULT 'notification',
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    contact_id INTEGER REFERENCES sms_contacts(id) ON DELETE SET NULL,
+    meeting_id INTEGER REFERENCES meetings(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sent', 'delivered', 'failed')),
+    error TEXT,
+    cost VARCHAR(30),
+    sent_at TIMESTAMPTZ,
+    delivered_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Email outbox: templated emails waiting to be sent, retried with backoff
+CREATE TABLE IF NOT EXISTS email_outbox (
+    id SERIAL PRIMARY KEY,
+    to_email VARCHAR(255) NOT NULL,
+    template VARCHAR(50) NOT NULL,
+    locale VARCHAR(10) NOT NULL DEFAULT 'en',
+    subject TEXT NOT NULL,
+    html TEXT NOT NULL,
+    text_body TEXT NOT NULL,
+    ical_event JSONB, -- nodemailer icalEvent ({method, filename, content}) for meeting invites
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    dedupe_key VARCHAR(100) UNIQUE, -- emails that must only go out once, e.g. certificate_ready:<volunteer id>
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP, -- next retry, or the lease on a send in progress
+    last_error TEXT,
+    provider_message_id VARCHAR(255),
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Notification preferences: channels per category, quiet hours and daily digest for each user
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    channels JSONB NOT NULL DEFAULT '{}', -- {"<category>": {"in_app": true, "push": false, ...}}
+    quiet_hours_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    quiet_hours_start TIME NOT NULL DEFAULT '21:00',
+    quiet_hours_end TIME NOT NULL DEFAULT '07:00',
+    digest_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    digest_hour SMALLINT NOT NULL DEFAULT 18 CHECK (digest_hour BETWEEN 0 AND 23), -- local hour the digest is sent
+    last_digest_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Notifications whose email is held for the recipient's next daily digest
+CREATE TABLE IF NOT EXISTS notification_digest_items (
+    notification_id INTEGER PRIMARY KEY REFERENCES notifications(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_meetings_volunteer_id ON meetings(volunteer_id);
 CREATE INDEX IF NOT EXISTS idx_meetings_student_id ON meetings(student_id);
 CREATE INDEX IF NOT EXISTS idx_meetings_scheduled_time ON meetings(scheduled_time);
 CREATE INDEX IF NOT EXISTS idx_meetings_status ON meetings(status);
 CREATE INDEX IF NOT EXISTS idx_meetings_cleared_by_admin ON meetings(cleared_by_admin) WHERE cleared_by_admin = TRUE;
+CREATE INDEX IF NOT EXISTS idx_meetings_series_id ON meetings(series_id) WHERE series_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_meeting_series_volunteer_id ON meeting_series(volunteer_id);
+CREATE INDEX IF NOT EXISTS idx_student_availability_student_id ON student_availability(student_id) WHERE student_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_student_availability_grade ON student_availability(school_grade) WHERE school_grade IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_school_calendar_dates ON school_calendar(start_date, end_date);
+CREATE INDEX IF NOT EXISTS idx_call_quality_samples_meeting_id ON call_quality_samples(meeting_id, sampled_at);
+CREATE INDEX IF NOT EXISTS idx_call_quality_samples_room_id ON call_quality_samples(room_id);
+CREATE INDEX IF NOT EXISTS idx_call_recordings_meeting_id ON call_recordings(meeting_id);
+CREATE INDEX IF NOT EXISTS idx_call_recordings_retention ON call_recordings(retention_until) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_safeguarding_incidents_status ON safeguarding_incidents(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_safeguarding_incidents_reported_user ON safeguarding_incidents(reported_user_id);
+CREATE INDEX IF NOT EXISTS idx_safeguarding_incidents_meeting_id ON safeguarding_incidents(meeting_id);
+CREATE INDEX IF NOT EXISTS idx_safeguarding_incident_notes_incident ON safeguarding_incident_notes(incident_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_session_feedback_subject ON session_feedback(subject_id, reviewer_role, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_student_login_cards_active ON student_login_cards(student_id) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_admin_backup_codes_user_id ON admin_backup_codes(user_id) WHERE used_at IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_meeting_waitlist_open ON meeting_waitlist(student_id, volunteer_id, waitlist_date) WHERE status IN ('waiting', 'offered');
+CREATE INDEX IF NOT EXISTS idx_meeting_waitlist_queue ON meeting_waitlist(student_id, waitlist_date, created_at) WHERE status = 'waiting';
+CREATE INDEX IF NOT EXISTS idx_meeting_waitlist_offers ON meeting_waitlist(offer_expires_at) WHERE status = 'offered';
+CREATE INDEX IF NOT EXISTS idx_meeting_waitlist_volunteer_id ON meeting_waitlist(volunteer_id);
+CREATE INDEX IF NOT EXISTS idx_lesson_plans_level ON lesson_plans(english_level) WHERE is_active = TRUE;
+CREATE INDEX IF NOT EXISTS idx_meetings_lesson_plan_used ON meetings(student_id, lesson_plan_used_at DESC) WHERE lesson_plan_used_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_student_skill_assessments_student ON student_skill_assessments(student_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_student_goals_student ON student_goals(student_id, status);
+CREATE INDEX IF NOT EXISTS idx_sms_contacts_student ON sms_contacts(student_id) WHERE student_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_sms_messages_provider_id ON sms_messages(provider, provider_message_id);
+CREATE INDEX IF NOT EXISTS idx_sms_messages_created ON sms_messages(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sms_messages_meeting ON sms_messages(meeting_id, contact_id) WHERE meeting_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(next_attempt_at) WHERE status IN ('pending', 'sending');
+CREATE INDEX IF NOT EXISTS idx_email_outbox_created ON email_outbox(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_user ON email_outbox(user_id) WHERE user_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_notification_digest_items_user ON notification_digest_items(user_id, created_at);
 CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id);
 CREATE INDEX IF NOT EXISTS idx_notifications_is_read ON notifications(is_read);
 CREATE INDEX IF NOT EXISTS idx_messages_sender_id ON messages(sender_id);
@@ -131,7 +563,7 @@ CREATE INDEX IF NOT EXISTS idx_messages_recipient_id ON messages(recipient_id);
 CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 
--- Activity log table (for future real-time audit logging)
+-- Activity log table: the audit trail (actor, entity, IP and a before/after diff in changes)
 CREATE TABLE IF NOT EXISTS activity_log (
     id SERIAL PRIMARY KEY,
     user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
@@ -140,11 +572,99 @@ CREATE TABLE IF NOT EXISTS activity_log (
     entity_type VARCHAR(50) NOT NULL,
     entity_id INTEGER,
     details JSONB,
+    changes JSONB,
     ip_address VARCHAR(45),
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE INDEX IF NOT EXISTS idx_activity_log_user_created ON activity_log(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_activity_log_entity ON activity_log(entity_type, entity_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_activity_log_created ON activity_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_activity_log_action_created ON activity_log(action, created_at DESC);
+
+-- Meeting lifecycle changes are audited in the database so every writer is covered.
+-- The acting user comes from the talktime.actor_* settings (activityLogService.withAuditActor).
+CREATE OR REPLACE FUNCTION audit_meeting_changes()
+RETURNS TRIGGER AS $$
+DECLARE
+    tracked TEXT[] := ARRAY['status', 'scheduled_time', 'volunteer_id', 'student_id', 'room_id',
+                            'is_instant', 'reschedule_count', 'cleared_by_admin', 'notes'];
+    old_row JSONB := CASE WHEN TG_OP = 'INSERT' THEN '{}'::jsonb ELSE to_jsonb(OLD) END;
+    new_row JSONB := CASE WHEN TG_OP = 'DELETE' THEN '{}'::jsonb ELSE to_jsonb(NEW) END;
+    diff JSONB := '{}'::jsonb;
+    col TEXT;
+    action_name TEXT;
+BEGIN
+    FOREACH col IN ARRAY tracked LOOP
+        IF (old_row -> col) IS DISTINCT FROM (new_row -> col) THEN
+            diff := diff || jsonb_build_object(col, jsonb_build_object('from', old_row -> col, 'to', new_row -> col));
+        END IF;
+    END LOOP;
+
+    IF TG_OP = 'INSERT' THEN
+        action_name := 'meeting_created';
+    ELSIF TG_OP = 'DELETE' THEN
+        action_name := 'meeting_deleted';
+    ELSIF diff = '{}'::jsonb THEN
+        RETURN NULL;
+    ELSIF diff ? 'status' THEN
+        action_name := 'meeting_status_changed';
+    ELSIF diff ? 'scheduled_time' THEN
+        action_name := 'meeting_rescheduled';
+    ELSE
+        action_name := 'meeting_updated';
+    END IF;
+
+    -- An audit write must never block the meeting change itself
+    BEGIN
+        INSERT INTO activity_log (user_id, user_role, action, entity_type, entity_id, details, changes, ip_address)
+        VALUES (
+            NULLIF(current_setting('talktime.actor_id', true), '')::INTEGER,
+            NULLIF(current_setting('talktime.actor_role', true), ''),
+            action_name,
+            'meeting',
+            ((CASE WHEN TG_OP = 'DELETE' THEN old_row ELSE new_row END) ->> 'id')::INTEGER,
+            jsonb_build_object(
+                'volunteerId', COALESCE(new_row -> 'volunteer_id', old_row -> 'volunteer_id'),
+                'studentId', COALESCE(new_row -> 'student_id', old_row -> 'student_id'),
+                'source', CASE WHEN current_setting('talktime.actor_id', true) IS NULL
+                                    OR current_setting('talktime.actor_id', true) = '' THEN 'system' ELSE 'user' END
+            ),
+            diff,
+            NULLIF(current_setting('talktime.actor_ip', true), '')
+        );
+    EXCEPTION WHEN OTHERS THEN
+        RAISE WARNING 'audit_meeting_changes: could not write activity_log: %', SQLERRM;
+    END;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_meeting_changes ON meetings;
+CREATE TRIGGER audit_meeting_changes
+    AFTER INSERT OR UPDATE OR DELETE ON meetings
+    FOR EACH ROW EXECUTE FUNCTION audit_meeting_changes();
+
+-- Calendar apps only replace an invite whose SEQUENCE went up, so bump it whenever a meeting
+-- moves or is canceled, whichever service made the change
+CREATE OR REPLACE FUNCTION bump_meeting_ics_sequence()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.scheduled_time IS DISTINCT FROM OLD.scheduled_time
+       OR NEW.volunteer_id IS DISTINCT FROM OLD.volunteer_id
+       OR NEW.student_id IS DISTINCT FROM OLD.student_id
+       OR (NEW.status IN ('canceled', 'declined') AND NEW.status IS DISTINCT FROM OLD.status) THEN
+        NEW.ics_sequence := COALESCE(OLD.ics_sequence, 0) + 1;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS bump_meeting_ics_sequence ON meetings;
+CREATE TRIGGER bump_meeting_ics_sequence
+    BEFORE UPDATE ON meetings
+    FOR EACH ROW EXECUTE FUNCTION bump_meeting_ics_sequence();
 
 -- Insert default admin secret code
 INSERT INTO admin_secret_codes (code) VALUES ('123456') ON CONFLICT (code) DO NOTHING;
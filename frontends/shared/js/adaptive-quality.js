@@ -0,0 +1,299 @@
+/**
+ * TalkTime Adaptive Call Quality
+ * Steps outgoing video down a ladder (lower resolution → lower frame rate → audio-only)
+ * when the measured uplink can't carry it, and back up once the link recovers.
+ * Levels are applied with RTCRtpSender.setParameters(), so no renegotiation is needed.
+ *
+ * Audio-only can also be pinned manually, by this side or (via signaling) the other side;
+ * while any pin is held the ladder stays at audio-only.
+ */
+
+class AdaptiveQualityController extends EventTarget {
+    /**
+     * Quality ladder, best first: resolution drops before frame rate, then video stops.
+     * minKbps is the available outgoing bandwidth a level needs to stay on (or step up to) it.
+     */
+    static LEVELS = [
+        { name: 'high', minKbps: 600, maxBitrate: 800000, scaleResolutionDownBy: 1, maxFramerate: 30 },
+        { name: 'medium', minKbps: 300, maxBitrate: 400000, scaleResolutionDownBy: 2, maxFramerate: 30 },
+        { name: 'low', minKbps: 150, maxBitrate: 200000, scaleResolutionDownBy: 4, maxFramerate: 30 },
+        { name: 'minimal', minKbps: 80, maxBitrate: 120000, scaleResolutionDownBy: 4, maxFramerate: 10 },
+        { name: 'audio-only', minKbps: 0, maxBitrate: 0, audioOnly: true }
+    ];
+
+    // Link is treated as congested above these, and healthy below the recovery values
+    static LOSS_DEGRADE_PCT = 10;
+    static RTT_DEGRADE_MS = 800;
+    static LOSS_RECOVER_PCT = 3;
+    static RTT_RECOVER_MS = 400;
+    static HEADROOM = 1.3;
+    static AUDIO_ONLY_BITRATE = 32000;
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.intervalMs] - How often to measure the link (default 5s)
+     * @param {number} [options.degradeAfter] - Consecutive bad samples before stepping down
+     * @param {number} [options.recoverAfter] - Consecutive good samples before stepping up
+     */
+    constructor({ intervalMs = 5000, degradeAfter = 2, recoverAfter = 4 } = {}) {
+        super();
+        this.intervalMs = intervalMs;
+        this.degradeAfter = degradeAfter;
+        this.recoverAfter = recoverAfter;
+
+        this.pc = null;
+        this.intervalId = null;
+        this.levelIndex = AdaptiveQualityController.initialLevelIndex();
+        this.badSamples = 0;
+        this.goodSamples = 0;
+        this.localPin = false;
+        this.remotePin = false;
+        this.previous = null; // Last loss counters from remote-inbound-rtp
+    }
+
+    get level() {
+        return this.audioOnly
+            ? AdaptiveQualityController.LEVELS[AdaptiveQualityController.LEVELS.length - 1]
+            : AdaptiveQualityController.LEVELS[this.levelIndex];
+    }
+
+    get audioOnly() {
+        return this.localPin || this.remotePin || !!AdaptiveQualityController.LEVELS[this.levelIndex].audioOnly;
+    }
+
+    get pinned() {
+        return this.localPin || this.remotePin;
+    }
+
+    /**
+     * Pick a starting level from the Network Information API (where supported)
+     * so 2G/3G users don't start by sending HD video
+     * @returns {number}
+     */
+    static initialLevelIndex() {
+        const effectiveType = navigator.connection?.effectiveType;
+        if (effectiveType === 'slow-2g' || effectiveType === '2g') return 3;
+        if (effectiveType === '3g') return 2;
+        return 0;
+    }
+
+    /**
+     * getUserMedia video constraints suited to the current connection
+     * @returns {MediaTrackConstraints|boolean}
+     */
+    static getCaptureConstraints() {
+        const index = AdaptiveQualityController.initialLevelIndex();
+        if (index >= 3) return { width: { ideal: 320 }, height: { ideal: 240 }, frameRate: { ideal: 10, max: 15 } };
+        if (index === 2) return { width: { ideal: 640 }, height: { ideal: 360 }, frameRate: { ideal: 15, max: 24 } };
+        return true;
+    }
+
+    /**
+     * Start adapting the senders of a peer connection (replaces any connection already attached)
+     * @param {RTCPeerConnection} pc
+     */
+    attach(pc) {
+        this.detach();
+        if (!pc || typeof pc.getStats !== 'function') return;
+
+        this.pc = pc;
+        this.previous = null;
+        this.badSamples = 0;
+        this.goodSamples = 0;
+        this.intervalId = setInterval(() => this.evaluate(), this.intervalMs);
+        this.apply('initial');
+    }
+
+    detach() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        this.pc = null;
+    }
+
+    /**
+     * Pin (or release) audio-only mode
+     * @param {boolean} pinned
+     * @param {'local'|'remote'} [source] - Which participant asked for it
+     */
+    pinAudioOnly(pinned, source = 'local') {
+        const wasAudioOnly = this.audioOnly;
+        if (source === 'remote') {
+            this.remotePin = !!pinned;
+        } else {
+            this.localPin = !!pinned;
+        }
+
+        // Releasing a pin resumes from the lowest video level and climbs from there
+        if (!this.pinned && AdaptiveQualityController.LEVELS[this.levelIndex].audioOnly) {
+            this.levelIndex = AdaptiveQualityController.LEVELS.length - 2;
+        }
+        if (wasAudioOnly !== this.audioOnly) {
+            this.apply(pinned ? `pinned-${source}` : `unpinned-${source}`);
+        }
+    }
+
+    /**
+     * Measure the link once and move along the ladder if needed
+     * @returns {Promise<Object|null>} The measurement used
+     */
+    async evaluate() {
+        const pc = this.pc;
+        if (!pc || pc.connectionState !== 'connected') return null;
+
+        let metrics;
+        try {
+            metrics = this.measure(await pc.getStats());
+        } catch (error) {
+            console.warn('📶 Adaptive quality measurement failed:', error.message);
+            return null;
+        }
+
+        // Manual pins override the ladder; keep counters clear so we don't jump on release
+        if (this.pinned) {
+            this.badSamples = 0;
+            this.goodSamples = 0;
+            return metrics;
+        }
+
+        const LEVELS = AdaptiveQualityController.LEVELS;
+        const current = LEVELS[this.levelIndex];
+        const congested = (metrics.lossPct !== null && metrics.lossPct > AdaptiveQualityController.LOSS_DEGRADE_PCT)
+            || (metrics.rttMs !== null && metrics.rttMs > AdaptiveQualityController.RTT_DEGRADE_MS)
+            || (metrics.availableKbps !== null && metrics.availableKbps < current.minKbps);
+
+        const healthy = (metrics.lossPct === null || metrics.lossPct < AdaptiveQualityController.LOSS_RECOVER_PCT)
+            && (metrics.rttMs === null || metrics.rttMs < AdaptiveQualityController.RTT_RECOVER_MS);
+        const next = LEVELS[this.levelIndex - 1];
+        // Bandwidth estimates collapse while video is paused, so audio-only recovers on loss/RTT alone
+        const hasHeadroom = !next || current.audioOnly || metrics.availableKbps === null
+            || metrics.availableKbps >= next.minKbps * AdaptiveQualityController.HEADROOM;
+
+        if (congested) {
+            this.goodSamples = 0;
+            this.badSamples++;
+            if (this.badSamples >= this.degradeAfter && this.levelIndex < LEVELS.length - 1) {
+                this.levelIndex++;
+                this.badSamples = 0;
+                await this.apply('congestion', metrics);
+            }
+        } else if (healthy && hasHeadroom && this.levelIndex > 0) {
+            this.badSamples = 0;
+            this.goodSamples++;
+            if (this.goodSamples >= this.recoverAfter) {
+                this.levelIndex--;
+                this.goodSamples = 0;
+                await this.apply('recovered', metrics);
+            }
+        } else {
+            this.badSamples = 0;
+            this.goodSamples = 0;
+        }
+
+        return metrics;
+    }
+
+    /**
+     * Extract the uplink signals the ladder uses from a getStats() report
+     * @param {RTCStatsReport} report
+     * @returns {{availableKbps: number|null, lossPct: number|null, rttMs: number|null}}
+     */
+    measure(report) {
+        const stats = new Map();
+        report.forEach(stat => stats.set(stat.id, stat));
+
+        let candidatePair = null;
+        let packetsLost = 0;
+        let packetsSent = 0;
+        let remoteRtt = null;
+
+        stats.forEach(stat => {
+            if (stat.type === 'transport' && stat.selectedCandidatePairId) {
+                candidatePair = stats.get(stat.selectedCandidatePairId) || candidatePair;
+            } else if (stat.type === 'candidate-pair' && !candidatePair && (stat.selected || stat.nominated) && stat.state === 'succeeded') {
+                candidatePair = stat;
+            } else if (stat.type === 'remote-inbound-rtp') {
+                // What the other side received from us
+                packetsLost += stat.packetsLost || 0;
+                const outbound = stats.get(stat.localId);
+                packetsSent += outbound?.packetsSent || 0;
+                if (stat.roundTripTime !== undefined) {
+                    remoteRtt = Math.max(remoteRtt ?? 0, stat.roundTripTime);
+                }
+            }
+        });
+
+        // Loss over the interval since the previous measurement
+        let lossPct = null;
+        if (this.previous) {
+            const sent = packetsSent - this.previous.packetsSent;
+            const lost = packetsLost - this.previous.packetsLost;
+            if (sent > 0) {
+                lossPct = Math.min(100, Math.max(0, (lost / sent) * 100));
+            }
+        }
+        this.previous = { packetsSent, packetsLost };
+
+        const rttSeconds = candidatePair?.currentRoundTripTime ?? remoteRtt;
+        return {
+            availableKbps: candidatePair?.availableOutgoingBitrate !== undefined
+                ? Math.round(candidatePair.availableOutgoingBitrate / 1000)
+                : null,
+            lossPct,
+            rttMs: rttSeconds === null || rttSeconds === undefined ? null : Math.round(rttSeconds * 1000)
+        };
+    }
+
+    /**
+     * Push the current level to the peer connection's senders and announce it
+     * @param {string} reason
+     * @param {Object} [metrics]
+     */
+    async apply(reason, metrics = null) {
+        const level = this.level;
+        const pc = this.pc;
+
+        if (pc) {
+            for (const sender of pc.getSenders()) {
+                if (!sender.track) continue;
+                try {
+                    const params = sender.getParameters();
+                    if (!params.encodings || params.encodings.length === 0) {
+                        params.encodings = [{}];
+                    }
+                    params.encodings.forEach(encoding => {
+                        if (sender.track.kind === 'video') {
+                            encoding.active = !level.audioOnly;
+                            if (!level.audioOnly) {
+                                encoding.maxBitrate = level.maxBitrate;
+                                encoding.scaleResolutionDownBy = level.scaleResolutionDownBy;
+                                encoding.maxFramerate = level.maxFramerate;
+                            }
+                        } else if (level.audioOnly) {
+                            encoding.maxBitrate = AdaptiveQualityController.AUDIO_ONLY_BITRATE;
+                        } else {
+                            delete encoding.maxBitrate;
+                        }
+                    });
+                    await sender.setParameters(params);
+                } catch (error) {
+                    console.warn(`📶 Could not apply ${level.name} to ${sender.track.kind} sender:`, error.message);
+                }
+            }
+        }
+
+        console.log(`📶 Call quality level: ${level.name} (${reason})`, metrics || '');
+        this.dispatchEvent(new CustomEvent('levelchange', {
+            detail: {
+                level: level.name,
+                audioOnly: this.audioOnly,
+                pinned: this.localPin ? 'local' : (this.remotePin ? 'remote' : null),
+                reason,
+                metrics
+            }
+        }));
+    }
+}
+
+window.AdaptiveQualityController = AdaptiveQualityController;
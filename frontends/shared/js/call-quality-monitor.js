@@ -0,0 +1,162 @@
+/**
+ * TalkTime Call Quality Monitor
+ * Periodically samples RTCPeerConnection.getStats() and reports a compact summary
+ * (RTT, packet loss, bitrate, resolution, TURN relay) over the signaling socket.
+ * The backend stores these per meeting for the admin call quality view.
+ */
+
+class CallQualityMonitor {
+    /**
+     * @param {Object} socket - Connected Socket.IO client
+     * @param {Object} options
+     * @param {string} options.roomId - Call room ID (resolved to a meeting on the server, which
+     *   files the samples under the socket's own user)
+     * @param {number} [options.intervalMs] - Sampling interval (default 10s)
+     */
+    constructor(socket, { roomId, intervalMs = 10000 } = {}) {
+        this.socket = socket;
+        this.roomId = roomId;
+        this.intervalMs = intervalMs;
+
+        this.pc = null;
+        this.intervalId = null;
+        this.previous = null; // Last raw byte counters, for bitrate deltas
+        this.lastSample = null;
+    }
+
+    /**
+     * Start sampling a peer connection (replaces any connection already monitored)
+     * @param {RTCPeerConnection} pc
+     */
+    start(pc) {
+        this.stop();
+        if (!pc || typeof pc.getStats !== 'function') return;
+
+        this.pc = pc;
+        this.previous = null;
+        this.intervalId = setInterval(() => this.sample(), this.intervalMs);
+    }
+
+    /**
+     * Stop sampling; sends one final sample so the server sees how the call ended
+     */
+    stop() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+            if (this.pc && this.pc.connectionState !== 'closed') {
+                this.sample();
+            }
+        }
+        this.pc = null;
+    }
+
+    /**
+     * Take one sample and report it
+     * @returns {Promise<Object|null>} The summary that was sent
+     */
+    async sample() {
+        const pc = this.pc;
+        if (!pc) return null;
+
+        try {
+            const report = await pc.getStats();
+            const summary = this.summarize(report, pc);
+            this.lastSample = summary;
+
+            if (this.socket && this.socket.connected && this.roomId) {
+                this.socket.emit('call-quality-stats', {
+                    roomId: this.roomId,
+                    sample: summary
+                });
+            }
+            return summary;
+        } catch (error) {
+            console.warn('📶 Call quality sample failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Reduce a getStats() report to the fields the server stores
+     * @param {RTCStatsReport} report
+     * @param {RTCPeerConnection} pc
+     * @returns {Object}
+     */
+    summarize(report, pc) {
+        const stats = new Map();
+        report.forEach(stat => stats.set(stat.id, stat));
+
+        let candidatePair = null;
+        let bytesSent = 0;
+        let bytesReceived = 0;
+        let packetsReceived = 0;
+        let packetsLost = 0;
+        let inboundVideo = null;
+
+        stats.forEach(stat => {
+            if (stat.type === 'transport' && stat.selectedCandidatePairId) {
+                candidatePair = stats.get(stat.selectedCandidatePairId) || candidatePair;
+            } else if (stat.type === 'candidate-pair' && !candidatePair && (stat.selected || stat.nominated) && stat.state === 'succeeded') {
+                candidatePair = stat;
+            } else if (stat.type === 'outbound-rtp') {
+                bytesSent += stat.bytesSent || 0;
+            } else if (stat.type === 'inbound-rtp') {
+                bytesReceived += stat.bytesReceived || 0;
+                packetsReceived += stat.packetsReceived || 0;
+                packetsLost += stat.packetsLost || 0;
+                if ((stat.kind || stat.mediaType) === 'video') {
+                    inboundVideo = stat;
+                }
+            }
+        });
+
+        const localCandidate = candidatePair ? stats.get(candidatePair.localCandidateId) : null;
+        const remoteCandidate = candidatePair ? stats.get(candidatePair.remoteCandidateId) : null;
+
+        // Bitrate and loss are measured over the interval since the previous sample
+        const now = Date.now();
+        let outboundBitrateKbps = null;
+        let inboundBitrateKbps = null;
+        let packetLossPct = null;
+        if (this.previous) {
+            const seconds = (now - this.previous.timestamp) / 1000;
+            if (seconds > 0) {
+                outboundBitrateKbps = Math.max(0, ((bytesSent - this.previous.bytesSent) * 8) / 1000 / seconds);
+                inboundBitrateKbps = Math.max(0, ((bytesReceived - this.previous.bytesReceived) * 8) / 1000 / seconds);
+            }
+            const received = packetsReceived - this.previous.packetsReceived;
+            const lost = packetsLost - this.previous.packetsLost;
+            if (received + lost > 0) {
+                packetLossPct = Math.max(0, (lost / (received + lost)) * 100);
+            }
+        } else if (packetsReceived + packetsLost > 0) {
+            packetLossPct = (packetsLost / (packetsReceived + packetsLost)) * 100;
+        }
+        this.previous = { timestamp: now, bytesSent, bytesReceived, packetsReceived, packetsLost };
+
+        const round = (value, digits = 0) => value === null || value === undefined
+            ? null
+            : Number(value.toFixed(digits));
+
+        return {
+            rttMs: candidatePair && candidatePair.currentRoundTripTime !== undefined
+                ? Math.round(candidatePair.currentRoundTripTime * 1000)
+                : null,
+            packetLossPct: round(packetLossPct, 2),
+            outboundBitrateKbps: round(outboundBitrateKbps),
+            inboundBitrateKbps: round(inboundBitrateKbps),
+            frameWidth: inboundVideo?.frameWidth ?? null,
+            frameHeight: inboundVideo?.frameHeight ?? null,
+            framesPerSecond: round(inboundVideo?.framesPerSecond ?? null, 1),
+            relayed: localCandidate || remoteCandidate
+                ? localCandidate?.candidateType === 'relay' || remoteCandidate?.candidateType === 'relay'
+                : null,
+            localCandidateType: localCandidate?.candidateType ?? null,
+            remoteCandidateType: remoteCandidate?.candidateType ?? null,
+            connectionState: pc.connectionState || pc.iceConnectionState || null
+        };
+    }
+}
+
+window.CallQualityMonitor = CallQualityMonitor;
@@ -0,0 +1,455 @@
+/**
+ * TalkTime Localization
+ * =====================
+ * Shared UI message catalogs and locale detection for all frontends.
+ * Works alongside brand-config.js; the backend renders notifications from its own catalogs
+ * in backend/src/i18n, using the locale saved here for the signed-in user.
+ *
+ * Usage:
+ *   TalkTimeI18n.t('call.ended_title')
+ *   TalkTimeI18n.t('dashboard.available_in_minutes', { minutes: 5 })
+ *   <span data-i18n="dashboard.join_meeting">Join Meeting</span>
+ *   <textarea data-i18n-attr="placeholder:call.feedback_comment_placeholder"></textarea>
+ *
+ * Keys missing from a catalog fall back to English. Values passed to t() are not escaped;
+ * escape names before putting the result into innerHTML.
+ */
+
+window.TalkTimeI18n = {
+  defaultLocale: 'en',
+  storageKey: 'talktime_locale',
+  locale: 'en',
+
+  // Languages offered in the switcher, in their own names
+  supportedLocales: {
+    en: 'English',
+    sw: 'Kiswahili'
+  },
+
+  messages: {
+    en: {
+      common: {
+        language: 'Language'
+      },
+      dashboard: {
+        status_scheduled: 'Scheduled',
+        volunteer: 'Volunteer',
+        meeting_starts_in: 'Meeting starts in:',
+        calculating: 'Calculating...',
+        session_length: '{minutes}-minute session',
+        join_meeting: 'Join Meeting',
+        available_before: 'Available {minutes} min before',
+        available_in_days: 'Available in {days}d {hours}h',
+        available_in_hours: 'Available in {hours}h {minutes}m',
+        available_in_minutes: 'Available in {minutes} min',
+        meeting_in_progress: 'Meeting in progress!',
+        meeting_time_passed: 'Meeting time passed',
+        session_expired: 'Session expired',
+        starting_soon_title: 'Meeting Starting Soon',
+        starting_soon_message: 'Your meeting is about to start! Click to join.',
+        ready_title: 'Meeting Ready',
+        ready_message: 'Your meeting is ready. Join now!',
+        auto_launch_title: 'Meeting Starting',
+        auto_launch_message: 'Your meeting with {name} is ready to begin!',
+        your_volunteer: 'your volunteer',
+        later: 'Later',
+        join_now: 'Join Now',
+        incoming_call: 'Incoming Call',
+        your_volunteer_title: 'Your Volunteer',
+        waiting_to_join: 'is waiting for you to join the meeting',
+        scheduled_meeting: 'Scheduled Meeting',
+        call_declined_title: 'Call Declined',
+        call_declined_message: 'You can join from the Upcoming Meetings tab later.'
+      },
+      instant_call: {
+        incoming_from: 'Incoming call from {name}',
+        tap_to_answer: 'Tap to answer the call',
+        incoming_call: 'Incoming Call',
+        caller_role: 'TalkTime Volunteer',
+        expires_in: 'Call expires in',
+        decline: 'Decline',
+        accept: 'Accept',
+        message: 'Message',
+        quick_reply: 'Quick Reply',
+        reply_busy: 'I\'m busy right now, can we talk later?',
+        reply_five_minutes: 'Give me 5 minutes please',
+        reply_later_today: 'Let\'s schedule for later today',
+        send_message: 'Send Message',
+        message_placeholder: 'Type your message to the volunteer...',
+        cancel: 'Cancel'
+      },
+      call: {
+        end_call_title: 'End Call?',
+        end_call_message: 'Are you sure you want to end the call?',
+        cancel: 'Cancel',
+        end_call: 'End Call',
+        ended_title: 'Call Ended',
+        ended_by_volunteer: 'The volunteer has ended the call. Thank you for your session!',
+        volunteer_disconnected_title: 'Volunteer Disconnected',
+        volunteer_disconnected_message: 'The volunteer has left the call. You will be redirected to your dashboard.',
+        redirecting: 'Redirecting in {seconds} seconds...',
+        your_volunteer: 'your volunteer',
+        feedback_question: 'How was your session with {name}?',
+        rating_bad: 'Bad',
+        rating_not_great: 'Not great',
+        rating_okay: 'Okay',
+        rating_good: 'Good',
+        rating_great: 'Great',
+        feedback_comment_placeholder: 'Anything else you want to tell us? (optional)',
+        skip: 'Skip',
+        send: 'Send',
+        sending: 'Sending...',
+        feedback_thanks: 'Thank you for your feedback!',
+        feedback_failed: 'Could not send your feedback.'
+      },
+      progress: {
+        tab: 'Progress',
+        title: 'My Progress',
+        loading: 'Loading progress...',
+        load_failed: 'Could not load your progress.',
+        empty: 'Your progress will appear here after your first sessions.',
+        overall_level: 'Overall level',
+        not_assessed: 'Not assessed yet',
+        sessions_completed: 'Sessions completed',
+        volunteers_met: 'Volunteers met',
+        skills: 'Skills',
+        chart_title: 'Your level over time',
+        overall: 'Overall',
+        skill_speaking: 'Speaking',
+        skill_listening: 'Listening',
+        skill_vocabulary: 'Vocabulary',
+        skill_grammar: 'Grammar',
+        skill_pronunciation: 'Pronunciation',
+        goals: 'My goals',
+        no_goals: 'No goals yet.',
+        goal_target: 'Target: {level}',
+        goal_active: 'In progress',
+        goal_achieved: 'Achieved',
+        goal_dropped: 'Stopped',
+        notes: 'Notes from your volunteers',
+        no_notes: 'Notes from your volunteers will appear here after your sessions.'
+      },
+      notification_prefs: {
+        settings: 'Notification settings',
+        loading: 'Loading notification settings...',
+        load_failed: 'Could not load your notification settings.',
+        save_failed: 'Could not save that change. Please try again.',
+        saved: 'Saved',
+        intro: 'Choose how each kind of notification reaches you. Not every notification is sent on every channel; text messages are only used for urgent reminders.',
+        kind: 'Notification',
+        channel_in_app: 'In-app',
+        channel_push: 'Push',
+        channel_email: 'Email',
+        channel_sms: 'SMS',
+        category_meeting_reminders: 'Meeting reminders',
+        category_meeting_reminders_hint: 'Before your scheduled conversations',
+        category_meeting_updates: 'Meeting changes',
+        category_meeting_updates_hint: 'Booked, moved, cancelled or finished',
+        category_calls: 'Calls',
+        category_calls_hint: 'Instant calls and missed calls',
+        category_messages: 'Messages',
+        category_messages_hint: 'New messages in your inbox',
+        category_waitlist: 'Waitlist',
+        category_waitlist_hint: 'When a waitlisted slot opens up',
+        category_account: 'Account and announcements',
+        category_account_hint: 'Everything else from TalkTime',
+        quiet_hours: 'Quiet hours',
+        quiet_hours_hint: 'No push or text notifications during these hours, in your own timezone; emails wait until they end. Reminders just before a conversation and incoming calls still come through.',
+        quiet_from: 'From',
+        quiet_to: 'To',
+        digest: 'Daily email digest',
+        digest_hint: 'Get one email a day listing your notifications instead of a separate email for each. Urgent reminders are still emailed straight away.',
+        digest_time: 'Send at'
+      }
+    },
+
+    sw: {
+      common: {
+        language: 'Lugha'
+      },
+      dashboard: {
+        status_scheduled: 'Umepangwa',
+        volunteer: 'Mjitolea',
+        meeting_starts_in: 'Mkutano unaanza baada ya:',
+        calculating: 'Inahesabu...',
+        session_length: 'Kipindi cha dakika {minutes}',
+        join_meeting: 'Jiunge na Mkutano',
+        available_before: 'Itafunguka dakika {minutes} kabla',
+        available_in_days: 'Itafunguka baada ya siku {days} saa {hours}',
+        available_in_hours: 'Itafunguka baada ya saa {hours} dakika {minutes}',
+        available_in_minutes: 'Itafunguka baada ya dakika {minutes}',
+        meeting_in_progress: 'Mkutano unaendelea!',
+        meeting_time_passed: 'Muda wa mkutano umepita',
+        session_expired: 'Kipindi kimekwisha',
+        starting_soon_title: 'Mkutano Unaanza Hivi Karibuni',
+        starting_soon_message: 'Mkutano wako unakaribia kuanza! Bofya ili ujiunge.',
+        ready_title: 'Mkutano Uko Tayari',
+        ready_message: 'Mkutano wako uko tayari. Jiunge sasa!',
+        auto_launch_title: 'Mkutano Unaanza',
+        auto_launch_message: 'Mkutano wako na {name} uko tayari kuanza!',
+        your_volunteer: 'mjitolea wako',
+        later: 'Baadaye',
+        join_now: 'Jiunge Sasa',
+        incoming_call: 'Simu Inaingia',
+        your_volunteer_title: 'Mjitolea Wako',
+        waiting_to_join: 'anakusubiri ujiunge na mkutano',
+        scheduled_meeting: 'Mkutano Uliopangwa',
+        call_declined_title: 'Umekataa Simu',
+        call_declined_message: 'Unaweza kujiunga baadaye kutoka kichupo cha Mikutano Ijayo.'
+      },
+      instant_call: {
+        incoming_from: 'Simu kutoka kwa {name}',
+        tap_to_answer: 'Gusa ili kupokea simu',
+        incoming_call: 'Simu Inaingia',
+        caller_role: 'Mjitolea wa TalkTime',
+        expires_in: 'Simu itakatika baada ya',
+        decline: 'Kataa',
+        accept: 'Pokea',
+        message: 'Ujumbe',
+        quick_reply: 'Jibu la Haraka',
+        reply_busy: 'Nina shughuli sasa, tunaweza kuongea baadaye?',
+        reply_five_minutes: 'Nipe dakika 5 tafadhali',
+        reply_later_today: 'Tupange baadaye leo',
+        send_message: 'Tuma Ujumbe',
+        message_placeholder: 'Andika ujumbe wako kwa mjitolea...',
+        cancel: 'Ghairi'
+      },
+      call: {
+        end_call_title: 'Kata Simu?',
+        end_call_message: 'Una uhakika unataka kukata simu?',
+        cancel: 'Ghairi',
+        end_call: 'Kata Simu',
+        ended_title: 'Simu Imekwisha',
+        ended_by_volunteer: 'Mjitolea amemaliza simu. Asante kwa kipindi chako!',
+        volunteer_disconnected_title: 'Mjitolea Ameondoka',
+        volunteer_disconnected_message: 'Mjitolea ameondoka kwenye simu. Utarudishwa kwenye dashibodi yako.',
+        redirecting: 'Tunakurudisha baada ya sekunde {seconds}...',
+        your_volunteer: 'mjitolea wako',
+        feedback_question: 'Kipindi chako na {name} kilikuwaje?',
+        rating_bad: 'Kibaya',
+        rating_not_great: 'Si kizuri sana',
+        rating_okay: 'Sawa',
+        rating_good: 'Kizuri',
+        rating_great: 'Kizuri sana',
+        feedback_comment_placeholder: 'Kuna jambo lingine ungependa kutuambia? (si lazima)',
+        skip: 'Ruka',
+        send: 'Tuma',
+        sending: 'Inatuma...',
+        feedback_thanks: 'Asante kwa maoni yako!',
+        feedback_failed: 'Imeshindikana kutuma maoni yako.'
+      },
+      progress: {
+        tab: 'Maendeleo',
+        title: 'Maendeleo Yangu',
+        loading: 'Inapakia maendeleo...',
+        load_failed: 'Imeshindikana kupakia maendeleo yako.',
+        empty: 'Maendeleo yako yataonekana hapa baada ya vipindi vyako vya kwanza.',
+        overall_level: 'Kiwango cha jumla',
+        not_assessed: 'Bado hakijapimwa',
+        sessions_completed: 'Vipindi vilivyokamilika',
+        volunteers_met: 'Wajitolea uliokutana nao',
+        skills: 'Ujuzi',
+        chart_title: 'Kiwango chako kwa muda',
+        overall: 'Jumla',
+        skill_speaking: 'Kuzungumza',
+        skill_listening: 'Kusikiliza',
+        skill_vocabulary: 'Msamiati',
+        skill_grammar: 'Sarufi',
+        skill_pronunciation: 'Matamshi',
+        goals: 'Malengo yangu',
+        no_goals: 'Bado hakuna malengo.',
+        goal_target: 'Lengo: {level}',
+        goal_active: 'Linaendelea',
+        goal_achieved: 'Limefikiwa',
+        goal_dropped: 'Limesitishwa',
+        notes: 'Maelezo kutoka kwa wajitolea wako',
+        no_notes: 'Maelezo ya wajitolea wako yataonekana hapa baada ya vipindi vyako.'
+      },
+      notification_prefs: {
+        settings: 'Mipangilio ya arifa',
+        loading: 'Inapakia mipangilio ya arifa...',
+        load_failed: 'Imeshindwa kupakia mipangilio yako ya arifa.',
+        save_failed: 'Imeshindwa kuhifadhi badiliko hilo. Tafadhali jaribu tena.',
+        saved: 'Imehifadhiwa',
+        intro: 'Chagua jinsi kila aina ya arifa inavyokufikia. Si kila arifa hutumwa kwa kila njia; ujumbe mfupi hutumika tu kwa vikumbusho vya dharura.',
+        kind: 'Arifa',
+        channel_in_app: 'Ndani ya programu',
+        channel_push: 'Push',
+        channel_email: 'Barua pepe',
+        channel_sms: 'SMS',
+        category_meeting_reminders: 'Vikumbusho vya mikutano',
+        category_meeting_reminders_hint: 'Kabla ya mazungumzo yako yaliyopangwa',
+        category_meeting_updates: 'Mabadiliko ya mikutano',
+        category_meeting_updates_hint: 'Imepangwa, imehamishwa, imeghairiwa au imekamilika',
+        category_calls: 'Simu',
+        category_calls_hint: 'Simu za papo hapo na simu ambazo hukupokea',
+        category_messages: 'Ujumbe',
+        category_messages_hint: 'Ujumbe mpya kwenye kikasha chako',
+        category_waitlist: 'Orodha ya kusubiri',
+        category_waitlist_hint: 'Nafasi ya orodha ya kusubiri inapopatikana',
+        category_account: 'Akaunti na matangazo',
+        category_account_hint: 'Mengine yote kutoka TalkTime',
+        quiet_hours: 'Saa za utulivu',
+        quiet_hours_hint: 'Hakuna arifa za push wala ujumbe mfupi katika saa hizi, kwa saa za eneo lako; barua pepe zinasubiri hadi ziishe. Vikumbusho vya kabla ya mazungumzo na simu zinazoingia bado zinakufikia.',
+        quiet_from: 'Kuanzia',
+        quiet_to: 'Hadi',
+        digest: 'Muhtasari wa barua pepe wa kila siku',
+        digest_hint: 'Pokea barua pepe moja kwa siku yenye orodha ya arifa zako badala ya barua pepe tofauti kwa kila moja. Vikumbusho vya dharura bado vinatumwa mara moja.',
+        digest_time: 'Tuma saa'
+      }
+    }
+  },
+
+  /**
+   * Pick the locale (straight away, so scripts rendering during page load can call t())
+   */
+  init() {
+    this.locale = this.detectLocale();
+    document.documentElement.lang = this.locale;
+  },
+
+  /**
+   * Reduce a locale tag ('sw-KE', 'SW') to a supported locale code, or null
+   */
+  normalize(tag) {
+    if (!tag || typeof tag !== 'string') return null;
+    const code = tag.trim().toLowerCase().split(/[-_]/)[0];
+    return this.supportedLocales[code] ? code : null;
+  },
+
+  /**
+   * Detection order: ?lang= in the URL, the saved choice (login adopts the account's locale
+   * into it, see syncWithUser), then the browser's languages
+   */
+  detectLocale() {
+    const fromUrl = this.normalize(new URLSearchParams(window.location.search).get('lang'));
+    if (fromUrl) {
+      localStorage.setItem(this.storageKey, fromUrl);
+      return fromUrl;
+    }
+
+    const saved = this.normalize(localStorage.getItem(this.storageKey));
+    if (saved) return saved;
+
+    const browserLocales = navigator.languages || [navigator.language];
+    for (const tag of browserLocales) {
+      const locale = this.normalize(tag);
+      if (locale) return locale;
+    }
+
+    return this.defaultLocale;
+  },
+
+  /**
+   * Translate a key, filling {placeholders} from params
+   */
+  t(key, params = {}) {
+    const lookup = (locale) => key.split('.').reduce((node, part) => (node ? node[part] : undefined), this.messages[locale]);
+    const template = lookup(this.locale) ?? lookup(this.defaultLocale);
+    if (typeof template !== 'string') return key;
+
+    return template.replace(/\{(\w+)\}/g, (match, name) => (
+      params[name] === undefined || params[name] === null ? match : String(params[name])
+    ));
+  },
+
+  /**
+   * Translate elements marked with data-i18n (text) and data-i18n-attr ("attr:key;attr:key")
+   */
+  apply(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = this.t(el.dataset.i18n);
+    });
+
+    root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+      el.dataset.i18nAttr.split(';').forEach(pair => {
+        const [attr, key] = pair.split(':').map(part => part.trim());
+        if (attr && key) el.setAttribute(attr, this.t(key));
+      });
+    });
+  },
+
+  /**
+   * Switch language, save the choice and (when signed in) store it on the account so
+   * notifications arrive in the same language
+   */
+  async setLocale(locale, { persist = true } = {}) {
+    const code = this.normalize(locale);
+    if (!code) return false;
+
+    this.locale = code;
+    document.documentElement.lang = code;
+    localStorage.setItem(this.storageKey, code);
+    this.apply();
+
+    window.dispatchEvent(new CustomEvent('localeChanged', { detail: { locale: code } }));
+
+    if (persist) {
+      await this.saveToAccount(code);
+    }
+    return true;
+  },
+
+  /**
+   * Store the locale on the signed-in user (ignored when signed out)
+   */
+  async saveToAccount(locale = this.locale) {
+    const auth = window.TalkTimeAuth;
+    if (!auth || typeof auth.isAuthenticated !== 'function' || !auth.isAuthenticated()) return;
+
+    try {
+      await auth.makeAuthenticatedRequest('/api/v1/jwt-auth/me/locale', {
+        method: 'PUT',
+        body: JSON.stringify({ locale })
+      });
+    } catch (error) {
+      console.warn('Could not save language preference:', error);
+    }
+  },
+
+  /**
+   * Reconcile with the user returned by a login response: a language picked on this device
+   * wins and is saved to the account, otherwise the account's language is adopted
+   */
+  async syncWithUser(user) {
+    const saved = this.normalize(localStorage.getItem(this.storageKey));
+    const fromUser = this.normalize(user && user.locale);
+
+    if (saved && saved !== fromUser) {
+      await this.saveToAccount(saved);
+    } else if (!saved && fromUser && fromUser !== this.locale) {
+      await this.setLocale(fromUser, { persist: false });
+    }
+  },
+
+  /**
+   * Render a language <select> into a container
+   */
+  mountSwitcher(container) {
+    if (!container) return null;
+
+    const select = document.createElement('select');
+    select.className = 'language-switcher';
+    select.setAttribute('aria-label', this.t('common.language'));
+    select.dataset.i18nAttr = 'aria-label:common.language';
+    Object.entries(this.supportedLocales).forEach(([code, name]) => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.textContent = name;
+      option.selected = code === this.locale;
+      select.appendChild(option);
+    });
+    select.addEventListener('change', () => this.setLocale(select.value));
+
+    container.appendChild(select);
+    return select;
+  }
+};
+
+// Pick the locale now, translate marked-up elements on DOM ready
+TalkTimeI18n.init();
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => TalkTimeI18n.apply());
+} else {
+  TalkTimeI18n.apply();
+}
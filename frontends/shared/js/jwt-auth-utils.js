@@ -90,6 +90,7 @@ class TalkTimeJWTAuth {
         localStorage.removeItem(this.accessTokenKey);
         localStorage.removeItem(this.refreshTokenKey);
         localStorage.removeItem(this.userKey);
+        sessionStorage.removeItem(`${this.rolePrefix}_talktime_step_up`);
     }
 
     /**
@@ -117,8 +118,9 @@ class TalkTimeJWTAuth {
 
     /**
      * Make authenticated API request with JWT token (internal method)
+     * An expired access token is refreshed once and the request retried
      */
-    async authenticatedRequest(url, options = {}) {
+    async authenticatedRequest(url, options = {}, isRetry = false) {
         const token = this.getAccessToken();
         
         if (!token) {
@@ -139,6 +141,9 @@ class TalkTimeJWTAuth {
 
             // If token expired, try to refresh or redirect to login
             if (response.status === 401) {
+                if (!isRetry && await this.refreshAccessToken()) {
+                    return this.authenticatedRequest(url, options, true);
+                }
                 console.log('JWT token expired or invalid');
                 this.handleAuthenticationFailure();
                 throw new Error('Authentication failed');
@@ -151,6 +156,144 @@ class TalkTimeJWTAuth {
         }
     }
 
+    /**
+     * Authenticated request to an admin route that needs a fresh confirmation (step-up).
+     * On STEP_UP_REQUIRED the admin is asked for their authenticator code, or their password if
+     * they haven't set one up, and the request is sent once more with the X-Step-Up-Token header.
+     * If they cancel, the original 403 response is returned.
+     */
+    async makeStepUpRequest(url, options = {}) {
+        const send = () => {
+            const stepUpToken = this.getStepUpToken();
+            return this.authenticatedRequest(url, {
+                ...options,
+                headers: {
+                    ...options.headers,
+                    ...(stepUpToken && { 'X-Step-Up-Token': stepUpToken })
+                }
+            });
+        };
+
+        const response = await send();
+        if (response.status !== 403) {
+            return response;
+        }
+
+        const data = await response.clone().json().catch(() => ({}));
+        if (data.code !== 'STEP_UP_REQUIRED' || !(await this.confirmStepUp(data.method))) {
+            return response;
+        }
+        return send();
+    }
+
+    /**
+     * Step-up token from an earlier confirmation in this tab, if it is still fresh
+     */
+    getStepUpToken() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(`${this.rolePrefix}_talktime_step_up`));
+            return stored && stored.expiresAt > Date.now() ? stored.token : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Ask the admin to confirm it's them and store the resulting step-up token
+     * @param {string} method - 'totp' or 'password'
+     * @returns {Promise<boolean>} Whether a step-up token is now stored
+     */
+    async confirmStepUp(method) {
+        const usesCode = method === 'totp';
+        const message = usesCode
+            ? 'Enter the 6-digit code from your authenticator app (or a backup code) to continue.'
+            : 'Enter your password to continue.';
+
+        const value = window.showInput
+            ? await window.showInput(message, {
+                title: 'Confirm It\'s You',
+                placeholder: usesCode ? '123456' : 'Password',
+                inputType: usesCode ? 'text' : 'password',
+                confirmText: 'Confirm',
+                type: 'warning'
+            })
+            : window.prompt(message);
+        if (!value) {
+            return false;
+        }
+
+        const response = await this.authenticatedRequest('/api/v1/admin/security/step-up', {
+            method: 'POST',
+            body: JSON.stringify(usesCode ? { code: value } : { password: value })
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok || !data.stepUpToken) {
+            const error = data.error || 'Could not confirm it\'s you';
+            if (window.showNotification) {
+                window.showNotification(error, 'error', { title: 'Not Confirmed' });
+            } else {
+                alert(error);
+            }
+            return false;
+        }
+
+        // Keep it a little shorter than the server does so it doesn't expire mid-request
+        sessionStorage.setItem(`${this.rolePrefix}_talktime_step_up`, JSON.stringify({
+            token: data.stepUpToken,
+            expiresAt: Date.now() + 4 * 60 * 1000
+        }));
+        return true;
+    }
+
+    /**
+     * Exchange the refresh token for a new token pair. Refresh tokens are single-use, so
+     * concurrent callers share one request.
+     * @returns {Promise<boolean>} Whether a fresh access token is now stored
+     */
+    refreshAccessToken() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.performTokenRefresh().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+        return this.refreshPromise;
+    }
+
+    async performTokenRefresh() {
+        const refreshToken = this.getRefreshToken();
+        if (!refreshToken) {
+            return false;
+        }
+
+        try {
+            const response = await fetch('/api/v1/jwt-auth/refresh', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ refreshToken })
+            });
+            const data = await response.json().catch(() => ({}));
+
+            if (response.ok && data.accessToken) {
+                localStorage.setItem(this.accessTokenKey, data.accessToken);
+                localStorage.setItem(this.refreshTokenKey, data.refreshToken);
+                return true;
+            }
+
+            // Another tab refreshed with the same token a moment ago; use the tokens it stores
+            if (data.code === 'REFRESH_TOKEN_ROTATED') {
+                await new Promise(resolve => setTimeout(resolve, 1000));
+                return this.getRefreshToken() !== refreshToken;
+            }
+            return false;
+        } catch (error) {
+            console.error('Token refresh failed:', error);
+            return false;
+        }
+    }
+
     /**
      * Handle authentication failure (token expired, invalid, etc.)
      */
@@ -206,12 +349,13 @@ class TalkTimeJWTAuth {
     /**
      * Logout and clear authentication data
      */
-    async logout(logoutEndpoint = null) {
+    async logout(logoutEndpoint = '/api/v1/jwt-auth/logout') {
         try {
-            // Optionally call server logout endpoint
+            // Let the server revoke this session's tokens (no refresh/redirect if they already expired)
             if (logoutEndpoint && this.isAuthenticated()) {
-                await this.authenticatedRequest(logoutEndpoint, {
-                    method: 'POST'
+                await fetch(logoutEndpoint, {
+                    method: 'POST',
+                    headers: this.getAuthHeaders()
                 });
             }
         } catch (error) {
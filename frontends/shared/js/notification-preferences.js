@@ -0,0 +1,201 @@
+/**
+ * TalkTime notification preferences
+ * Self-contained panel where a volunteer or student chooses which channels each kind of
+ * notification reaches them on, sets quiet hours and turns the daily email digest on or off.
+ * Every change is saved straight away. Text comes from the notification_prefs section of
+ * TalkTimeI18n.
+ *
+ * Usage:
+ *   NotificationPreferences.mount(document.getElementById('notification-preferences'), {
+ *       endpoint: '/api/v1/students/me/notification-preferences'
+ *   });
+ */
+
+// Prevent redeclaration if already loaded
+if (typeof NotificationPreferencesPanel === 'undefined') {
+
+class NotificationPreferencesPanel {
+    constructor() {
+        this.container = null;
+        this.options = {};
+        this.preferences = null;
+        this.categories = [];
+        this.channels = [];
+        this.statusTimer = null;
+    }
+
+    /**
+     * @param {HTMLElement} container
+     * @param {Object} options
+     * @param {string} options.endpoint - GET/PUT URL of the signed-in user's preferences
+     * @param {Function} [options.getToken] - Defaults to TalkTimeAuth's access token
+     */
+    async mount(container, options) {
+        if (!container) return;
+        this.container = container;
+        this.options = options || {};
+        this.ensureStyles();
+        this.container.innerHTML = `<p class="notification-prefs-hint">${this.t('loading')}</p>`;
+
+        try {
+            this.apply(await this.request('GET'));
+            this.render();
+        } catch (error) {
+            console.error('Error loading notification preferences:', error);
+            this.container.innerHTML = `<p class="notification-prefs-error">${this.t('load_failed')}</p>`;
+        }
+    }
+
+    ensureStyles() {
+        if (document.getElementById('notification-prefs-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'notification-prefs-styles';
+        style.textContent = `
+            .notification-prefs { font-size: 14px; color: #111827; }
+            .notification-prefs-hint { font-size: 13px; color: #6b7280; line-height: 1.5; margin: 4px 0 12px; }
+            .notification-prefs-error { font-size: 13px; color: #b91c1c; margin: 0 0 12px; }
+            .notification-prefs-table-wrap { overflow-x: auto; margin: 0 0 20px; }
+            .notification-prefs-table { width: 100%; border-collapse: collapse; }
+            .notification-prefs-table th { font-size: 12px; font-weight: 600; color: #6b7280; text-align: center; padding: 8px 6px; border-bottom: 1px solid #e5e7eb; white-space: nowrap; }
+            .notification-prefs-table th:first-child { text-align: left; }
+            .notification-prefs-table td { padding: 10px 6px; border-bottom: 1px solid #f3f4f6; text-align: center; vertical-align: top; }
+            .notification-prefs-table td:first-child { text-align: left; }
+            .notification-prefs-table input { width: 16px; height: 16px; cursor: pointer; }
+            .notification-prefs-label { font-weight: 500; color: #374151; }
+            .notification-prefs-category-hint { margin: 2px 0 0; }
+            .notification-prefs-section { margin: 0 0 20px; }
+            .notification-prefs-section h4 { font-size: 15px; font-weight: 600; margin: 0; display: flex; align-items: center; gap: 8px; }
+            .notification-prefs-row { display: flex; flex-wrap: wrap; align-items: center; gap: 8px 16px; }
+            .notification-prefs-row label { display: flex; align-items: center; gap: 6px; color: #374151; }
+            .notification-prefs-row input[type="time"], .notification-prefs-row select { border: 1px solid #d1d5db; border-radius: 8px; padding: 6px 8px; font-size: 14px; font-family: inherit; background: #fff; color: #111827; }
+            .notification-prefs-status { font-size: 13px; min-height: 18px; color: #047857; }
+            .notification-prefs-status.is-error { color: #b91c1c; }
+        `;
+        document.head.appendChild(style);
+    }
+
+    apply(data) {
+        this.preferences = data.preferences;
+        this.categories = data.categories;
+        this.channels = data.channels;
+    }
+
+    render() {
+        const { quietHours, digest } = this.preferences;
+        const header = this.channels.map(channel => `<th scope="col">${this.t(`channel_${channel}`)}</th>`).join('');
+        const rows = this.categories.map(category => `
+            <tr>
+                <td>
+                    <div class="notification-prefs-label">${this.t(`category_${category}`)}</div>
+                    <div class="notification-prefs-hint notification-prefs-category-hint">${this.t(`category_${category}_hint`)}</div>
+                </td>
+                ${this.channels.map(channel => `
+                    <td>
+                        <input type="checkbox" data-category="${category}" data-channel="${channel}"
+                            aria-label="${this.t(`category_${category}`)}: ${this.t(`channel_${channel}`)}"
+                            ${this.preferences.channels[category]?.[channel] ? 'checked' : ''}>
+                    </td>
+                `).join('')}
+            </tr>
+        `).join('');
+        const hours = Array.from({ length: 24 }, (_, hour) => `
+            <option value="${hour}" ${hour === digest.hour ? 'selected' : ''}>${String(hour).padStart(2, '0')}:00</option>
+        `).join('');
+
+        this.container.innerHTML = `
+            <div class="notification-prefs">
+                <p class="notification-prefs-hint">${this.t('intro')}</p>
+                <div class="notification-prefs-table-wrap">
+                    <table class="notification-prefs-table">
+                        <thead><tr><th scope="col">${this.t('kind')}</th>${header}</tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+
+                <div class="notification-prefs-section">
+                    <h4><input type="checkbox" id="notificationPrefsQuiet" ${quietHours.enabled ? 'checked' : ''}>
+                        <label for="notificationPrefsQuiet">${this.t('quiet_hours')}</label></h4>
+                    <p class="notification-prefs-hint">${this.t('quiet_hours_hint')}</p>
+                    <div class="notification-prefs-row">
+                        <label>${this.t('quiet_from')} <input type="time" id="notificationPrefsQuietStart" value="${quietHours.start}"></label>
+                        <label>${this.t('quiet_to')} <input type="time" id="notificationPrefsQuietEnd" value="${quietHours.end}"></label>
+                    </div>
+                </div>
+
+                <div class="notification-prefs-section">
+                    <h4><input type="checkbox" id="notificationPrefsDigest" ${digest.enabled ? 'checked' : ''}>
+                        <label for="notificationPrefsDigest">${this.t('digest')}</label></h4>
+                    <p class="notification-prefs-hint">${this.t('digest_hint')}</p>
+                    <div class="notification-prefs-row">
+                        <label>${this.t('digest_time')} <select id="notificationPrefsDigestHour">${hours}</select></label>
+                    </div>
+                </div>
+
+                <div class="notification-prefs-status" id="notificationPrefsStatus" role="status"></div>
+            </div>
+        `;
+
+        this.container.querySelectorAll('input[data-channel]').forEach(input => {
+            input.addEventListener('change', () => this.save({
+                channels: { [input.dataset.category]: { [input.dataset.channel]: input.checked } }
+            }));
+        });
+        const byId = (id) => this.container.querySelector(`#${id}`);
+        byId('notificationPrefsQuiet').addEventListener('change', (e) => this.save({ quietHours: { enabled: e.target.checked } }));
+        byId('notificationPrefsQuietStart').addEventListener('change', (e) => this.save({ quietHours: { start: e.target.value } }));
+        byId('notificationPrefsQuietEnd').addEventListener('change', (e) => this.save({ quietHours: { end: e.target.value } }));
+        byId('notificationPrefsDigest').addEventListener('change', (e) => this.save({ digest: { enabled: e.target.checked } }));
+        byId('notificationPrefsDigestHour').addEventListener('change', (e) => this.save({ digest: { hour: parseInt(e.target.value, 10) } }));
+    }
+
+    async save(changes) {
+        try {
+            this.apply(await this.request('PUT', changes));
+            this.showStatus(this.t('saved'));
+        } catch (error) {
+            console.error('Error saving notification preferences:', error);
+            // Put the controls back to what is saved
+            this.render();
+            this.showStatus(error.message || this.t('save_failed'), true);
+        }
+    }
+
+    async request(method, body) {
+        const token = typeof this.options.getToken === 'function'
+            ? this.options.getToken()
+            : window.TalkTimeAuth?.getToken?.();
+
+        const response = await fetch(this.options.endpoint, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || this.t('save_failed'));
+        }
+        return data;
+    }
+
+    showStatus(message, isError = false) {
+        const status = this.container.querySelector('#notificationPrefsStatus');
+        if (!status) return;
+        status.textContent = message;
+        status.classList.toggle('is-error', isError);
+        clearTimeout(this.statusTimer);
+        this.statusTimer = setTimeout(() => { status.textContent = ''; }, 3000);
+    }
+
+    t(key) {
+        return window.TalkTimeI18n ? window.TalkTimeI18n.t(`notification_prefs.${key}`) : key;
+    }
+}
+
+window.NotificationPreferencesPanel = NotificationPreferencesPanel;
+window.NotificationPreferences = new NotificationPreferencesPanel();
+
+}
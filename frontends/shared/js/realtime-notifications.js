@@ -131,8 +131,10 @@ class RealtimeNotifications {
             console.log('New notification received:', data);
             this.triggerCallback('newNotification', data);
             
-            // Trigger sound notification
-            this.playNotificationSound(data);
+            // Trigger sound notification, unless it arrived during the user's quiet hours
+            if (data.sound_enabled !== false) {
+                this.playNotificationSound(data);
+            }
             
             this.showNotificationToast(data.notification);
             this.updateNotificationBadge();
@@ -0,0 +1,203 @@
+/**
+ * TalkTime "Report a concern"
+ * Self-contained modal that lets a student or volunteer report a safeguarding concern about
+ * the other participant of a session, from inside a call or from their dashboard.
+ *
+ * Usage:
+ *   ReportConcern.open({ meetingId, reportedName });                // after a session
+ *   ReportConcern.open({ roomId, reportedName, duringCall: true,    // inside a call
+ *                        getToken: () => getChatToken() });
+ */
+
+// Prevent redeclaration if already loaded
+if (typeof ReportConcernModal === 'undefined') {
+
+class ReportConcernModal {
+    static CATEGORIES = [
+        { value: 'inappropriate_language', label: 'Inappropriate or offensive language' },
+        { value: 'inappropriate_content', label: 'Showed or shared something inappropriate' },
+        { value: 'harassment', label: 'Harassment, bullying or pressure' },
+        { value: 'personal_information', label: 'Asked for personal information' },
+        { value: 'contact_outside_platform', label: 'Asked to talk outside TalkTime' },
+        { value: 'other', label: 'Something else' }
+    ];
+
+    constructor() {
+        this.overlay = null;
+        this.context = null;
+        this.submitting = false;
+    }
+
+    /**
+     * @param {Object} context
+     * @param {number} [context.meetingId]
+     * @param {string} [context.roomId]
+     * @param {string} [context.reportedName] - Shown in the modal heading
+     * @param {boolean} [context.duringCall]
+     * @param {Function} [context.getToken] - Defaults to TalkTimeAuth's access token
+     * @param {Function} [context.onSubmitted] - Called with the API response
+     */
+    open(context) {
+        this.context = context || {};
+        this.ensureModal();
+        this.render();
+        this.overlay.style.display = 'flex';
+        document.body.style.overflow = 'hidden';
+    }
+
+    close() {
+        if (!this.overlay) return;
+        this.overlay.style.display = 'none';
+        document.body.style.overflow = '';
+        this.context = null;
+    }
+
+    ensureModal() {
+        if (this.overlay) return;
+
+        const style = document.createElement('style');
+        style.textContent = `
+            .report-concern-overlay { position: fixed; inset: 0; background: rgba(17, 24, 39, 0.6); z-index: 100000; display: none; align-items: center; justify-content: center; padding: 16px; }
+            .report-concern-dialog { background: #fff; color: #111827; border-radius: 16px; max-width: 480px; width: 100%; max-height: 90vh; overflow-y: auto; padding: 24px; box-shadow: 0 20px 50px rgba(0, 0, 0, 0.3); font-family: inherit; }
+            .report-concern-dialog h2 { font-size: 20px; font-weight: 600; margin: 0 0 8px; }
+            .report-concern-dialog p { font-size: 14px; color: #4b5563; line-height: 1.5; margin: 0 0 16px; }
+            .report-concern-dialog label { display: block; font-size: 14px; font-weight: 500; margin: 0 0 6px; }
+            .report-concern-dialog select, .report-concern-dialog textarea { width: 100%; box-sizing: border-box; border: 1px solid #d1d5db; border-radius: 8px; padding: 10px; font-size: 14px; font-family: inherit; margin: 0 0 16px; color: #111827; background: #fff; }
+            .report-concern-dialog textarea { min-height: 110px; resize: vertical; }
+            .report-concern-note { background: #fef3c7; color: #92400e; border-radius: 8px; padding: 10px 12px; font-size: 13px; margin: 0 0 16px; }
+            .report-concern-error { color: #b91c1c; font-size: 13px; margin: 0 0 12px; display: none; }
+            .report-concern-actions { display: flex; gap: 12px; justify-content: flex-end; }
+            .report-concern-actions button { border: none; border-radius: 8px; padding: 10px 18px; font-size: 14px; font-weight: 500; cursor: pointer; }
+            .report-concern-cancel { background: #f3f4f6; color: #374151; }
+            .report-concern-submit { background: #b91c1c; color: #fff; }
+            .report-concern-submit:disabled { opacity: 0.6; cursor: wait; }
+        `;
+        document.head.appendChild(style);
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'report-concern-overlay';
+        this.overlay.setAttribute('role', 'dialog');
+        this.overlay.setAttribute('aria-modal', 'true');
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay && !this.submitting) this.close();
+        });
+        document.body.appendChild(this.overlay);
+    }
+
+    render() {
+        const name = this.context.reportedName ? this.escape(this.context.reportedName) : 'the other participant';
+        const options = ReportConcernModal.CATEGORIES
+            .map(category => `<option value="${category.value}">${category.label}</option>`)
+            .join('');
+
+        this.overlay.innerHTML = `
+            <div class="report-concern-dialog">
+                <h2>Report a concern</h2>
+                <p>Tell us if something about your session with ${name} made you uncomfortable or didn't feel right. Only the TalkTime safeguarding team will see this report.</p>
+                <div class="report-concern-note">If you or someone else is in danger right now, please tell a trusted adult or contact your local emergency services.</div>
+                <label for="reportConcernCategory">What happened?</label>
+                <select id="reportConcernCategory">
+                    <option value="">Choose one...</option>
+                    ${options}
+                </select>
+                <label for="reportConcernDescription">Tell us more</label>
+                <textarea id="reportConcernDescription" maxlength="5000" placeholder="What was said or done, and when?"></textarea>
+                <p>Your recent chat messages with ${name} will be included so the team can review them.</p>
+                <div class="report-concern-error" id="reportConcernError"></div>
+                <div class="report-concern-actions">
+                    <button type="button" class="report-concern-cancel" id="reportConcernCancel">Cancel</button>
+                    <button type="button" class="report-concern-submit" id="reportConcernSubmit">Send report</button>
+                </div>
+            </div>
+        `;
+
+        this.overlay.querySelector('#reportConcernCancel').addEventListener('click', () => this.close());
+        this.overlay.querySelector('#reportConcernSubmit').addEventListener('click', () => this.submit());
+    }
+
+    renderSubmitted(message) {
+        this.overlay.innerHTML = `
+            <div class="report-concern-dialog">
+                <h2>Report sent</h2>
+                <p>${this.escape(message)}</p>
+                <div class="report-concern-actions">
+                    <button type="button" class="report-concern-cancel" id="reportConcernDone">Close</button>
+                </div>
+            </div>
+        `;
+        this.overlay.querySelector('#reportConcernDone').addEventListener('click', () => this.close());
+    }
+
+    showError(message) {
+        const error = this.overlay.querySelector('#reportConcernError');
+        error.textContent = message;
+        error.style.display = 'block';
+    }
+
+    getToken() {
+        if (typeof this.context.getToken === 'function') return this.context.getToken();
+        return window.TalkTimeAuth?.getToken?.() || null;
+    }
+
+    async submit() {
+        if (this.submitting) return;
+
+        const category = this.overlay.querySelector('#reportConcernCategory').value;
+        const description = this.overlay.querySelector('#reportConcernDescription').value.trim();
+        if (!category) return this.showError('Please choose what happened.');
+        if (!description) return this.showError('Please tell us a little about what happened.');
+
+        const token = this.getToken();
+        if (!token) return this.showError('Please log in again to send a report.');
+
+        const button = this.overlay.querySelector('#reportConcernSubmit');
+        this.submitting = true;
+        button.disabled = true;
+        button.textContent = 'Sending...';
+
+        try {
+            const response = await fetch('/api/v1/safeguarding/incidents', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({
+                    meetingId: this.context.meetingId || undefined,
+                    roomId: this.context.roomId || undefined,
+                    category,
+                    description,
+                    messageIds: this.context.messageIds || undefined,
+                    duringCall: !!this.context.duringCall
+                })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || 'Could not send your report. Please try again.');
+            }
+
+            if (typeof this.context.onSubmitted === 'function') {
+                this.context.onSubmitted(data);
+            }
+            this.renderSubmitted(data.message || 'Thank you for telling us. Our safeguarding team will follow up.');
+        } catch (error) {
+            console.error('Error reporting concern:', error);
+            this.showError(error.message);
+            button.disabled = false;
+            button.textContent = 'Send report';
+        } finally {
+            this.submitting = false;
+        }
+    }
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+window.ReportConcernModal = ReportConcernModal;
+window.ReportConcern = new ReportConcernModal();
+
+}
@@ -18,6 +18,11 @@ class EnhancedInstantCallUI {
         
         this.init();
     }
+
+    // Student-facing text comes from the shared catalogs (/shared/js/i18n.js)
+    t(key, params) {
+        return window.TalkTimeI18n.t(key, params);
+    }
     
     async init() {
         console.log('🚀 Initializing Enhanced Instant Call UI...');
@@ -410,10 +415,10 @@ class EnhancedInstantCallUI {
             // Extract volunteer name from callData
             const volunteerName = data.callData?.volunteerName ||
                                   data.volunteer?.name ||
-                                  'Volunteer';
+                                  this.t('dashboard.volunteer');
             this.showBrowserNotification(
-                `Incoming call from ${volunteerName}`,
-                'Tap to answer the call',
+                this.t('instant_call.incoming_from', { name: volunteerName }),
+                this.t('instant_call.tap_to_answer'),
                 () => {
                     window.focus();
                     this.showIncomingCallUI(data);
@@ -823,17 +828,17 @@ class EnhancedInstantCallUI {
 
                     <div class="call-status">
                         <span class="call-status-dot"></span>
-                        Incoming Call
+                        ${this.t('instant_call.incoming_call')}
                     </div>
 
                     <h2 class="caller-name">${volunteerName}</h2>
-                    <p class="caller-role">TalkTime Volunteer</p>
+                    <p class="caller-role">${this.t('instant_call.caller_role')}</p>
                 </div>
 
                 <!-- Body with timer and actions -->
                 <div class="call-body">
                     <div class="timer-section">
-                        <div class="timer-label">Call expires in</div>
+                        <div class="timer-label">${this.t('instant_call.expires_in')}</div>
                         <div class="timer-value" id="call-timer">01:00</div>
                     </div>
 
@@ -844,35 +849,36 @@ class EnhancedInstantCallUI {
                                 <line x1="18" y1="6" x2="6" y2="18"></line>
                                 <line x1="6" y1="6" x2="18" y2="18"></line>
                             </svg>
-                            <span class="btn-label">Decline</span>
+                            <span class="btn-label">${this.t('instant_call.decline')}</span>
                         </button>
 
                         <button class="action-btn btn-accept-modern" id="accept-call-btn">
                             <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="white" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round">
                                 <path d="M22 16.92v3a2 2 0 0 1-2.18 2 19.79 19.79 0 0 1-8.63-3.07 19.5 19.5 0 0 1-6-6 19.79 19.79 0 0 1-3.07-8.67A2 2 0 0 1 4.11 2h3a2 2 0 0 1 2 1.72 12.84 12.84 0 0 0 .7 2.81 2 2 0 0 1-.45 2.11L8.09 9.91a16 16 0 0 0 6 6l1.27-1.27a2 2 0 0 1 2.11-.45 12.84 12.84 0 0 0 2.81.7A2 2 0 0 1 22 16.92z"></path>
                             </svg>
-                            <span class="btn-label">Accept</span>
+                            <span class="btn-label">${this.t('instant_call.accept')}</span>
                         </button>
 
                         <button class="action-btn btn-message-modern" id="message-call-btn">
                             <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                                 <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
                             </svg>
-                            <span class="btn-label">Message</span>
+                            <span class="btn-label">${this.t('instant_call.message')}</span>
                         </button>
                     </div>
 
                     <!-- Quick Replies -->
                     <div class="quick-replies">
-                        <div class="quick-replies-title">Quick Reply</div>
+                        <div class="quick-replies-title">${this.t('instant_call.quick_reply')}</div>
+                        <!-- The volunteer receives the English text; the button shows the student's language -->
                         <button class="quick-reply-btn" data-message="I'm busy right now, can we talk later?">
-                            I'm busy right now, can we talk later?
+                            ${this.t('instant_call.reply_busy')}
                         </button>
                         <button class="quick-reply-btn" data-message="Give me 5 minutes please">
-                            Give me 5 minutes please
+                            ${this.t('instant_call.reply_five_minutes')}
                         </button>
                         <button class="quick-reply-btn" data-message="Let's schedule for later today">
-                            Let's schedule for later today
+                            ${this.t('instant_call.reply_later_today')}
                         </button>
                     </div>
                 </div>
@@ -1348,7 +1354,7 @@ class EnhancedInstantCallUI {
                         <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                             <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
                         </svg>
-                        Send Message
+                        ${this.t('instant_call.send_message')}
                     </h3>
                     <button class="modal-close-btn" id="modal-close-btn">
                         <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
@@ -1361,15 +1367,15 @@ class EnhancedInstantCallUI {
                     <textarea
                         class="message-textarea"
                         id="message-textarea"
-                        placeholder="Type your message to the volunteer..."
+                        placeholder="${this.t('instant_call.message_placeholder')}"
                         maxlength="500"
                         autofocus
                     ></textarea>
                     <div class="char-counter" id="char-counter">0 / 500</div>
                 </div>
                 <div class="modal-footer">
-                    <button class="modal-btn modal-btn-cancel" id="modal-cancel-btn">Cancel</button>
-                    <button class="modal-btn modal-btn-send" id="modal-send-btn" disabled>Send Message</button>
+                    <button class="modal-btn modal-btn-cancel" id="modal-cancel-btn">${this.t('instant_call.cancel')}</button>
+                    <button class="modal-btn modal-btn-send" id="modal-send-btn" disabled>${this.t('instant_call.send_message')}</button>
                 </div>
             </div>
         `;
@@ -31,6 +31,11 @@ class Webrtc extends EventTarget {
         this.isInitiator = false;
         this._isAdmin = false;
         this.isReady = false;
+        this._qualityOptions = null;
+        this.qualityMonitors = {};
+        this._adaptiveEnabled = false;
+        this.adaptiveControllers = {};
+        this._audioOnlyPinned = false;
 
         this._onSocketListeners();
     }
@@ -67,7 +72,56 @@ class Webrtc extends EventTarget {
         this.room = null;
     }
 
+    /**
+     * Report connection quality (getStats summaries) for every peer connection.
+     * Requires /shared/js/call-quality-monitor.js to be loaded.
+     * @param {{roomId?: string, role?: string, userId?: string|number, intervalMs?: number}} options
+     */
+    enableQualityReporting(options = {}) {
+        if (!window.CallQualityMonitor) {
+            this.warn('CallQualityMonitor not loaded, quality reporting disabled');
+            return;
+        }
+        this._qualityOptions = options;
+    }
+
+    /**
+     * Adapt outgoing video to each peer's link (resolution → frame rate → audio-only).
+     * Requires /shared/js/adaptive-quality.js to be loaded; call before getLocalStream().
+     */
+    enableAdaptiveQuality() {
+        if (!window.AdaptiveQualityController) {
+            this.warn('AdaptiveQualityController not loaded, adaptive quality disabled');
+            return;
+        }
+        this._adaptiveEnabled = true;
+    }
+
+    get audioOnly() { return this._audioOnlyPinned; }
+
+    /**
+     * Pin (or release) audio-only mode for this participant; peers are told so they
+     * stop sending video too.
+     * @param {boolean} pinned
+     */
+    setAudioOnly(pinned) {
+        this._audioOnlyPinned = !!pinned;
+        for (const id in this.adaptiveControllers) {
+            this.adaptiveControllers[id].pinAudioOnly(this._audioOnlyPinned, 'local');
+        }
+        if (this.room) {
+            this.socket.emit('call-media-mode', {
+                roomId: this.room,
+                audioOnly: this._audioOnlyPinned,
+                pinned: this._audioOnlyPinned
+            });
+        }
+    }
+
     getLocalStream(audioConstraints, videoConstraints) {
+        if (videoConstraints === true && this._adaptiveEnabled) {
+            videoConstraints = window.AdaptiveQualityController.getCaptureConstraints();
+        }
         return navigator.mediaDevices.getUserMedia({ audio: audioConstraints, video: videoConstraints })
             .then(stream => {
                 this.log('Got local stream.');
@@ -147,6 +201,15 @@ class Webrtc extends EventTarget {
             this._removeUser(socketId);
         });
 
+        // A peer pinned audio-only or its link dropped to audio-only
+        this.socket.on('call-media-mode', data => {
+            if (!data || !data.from) return;
+            if (typeof data.pinned === 'boolean' && this.adaptiveControllers[data.from]) {
+                this.adaptiveControllers[data.from].pinAudioOnly(data.pinned, 'remote');
+            }
+            this._emit('mediaMode', { socketId: data.from, audioOnly: !!data.audioOnly, pinned: !!data.pinned });
+        });
+
         // Log messages from server
         this.socket.on('log', message => {
             this.log('SERVER LOG:', message);
@@ -181,6 +244,17 @@ class Webrtc extends EventTarget {
             pc.onicecandidate = event => this._handleIceCandidate(socketId, event);
             pc.ontrack = event => this._handleOnTrack(socketId, event);
             this.pcs[socketId] = pc;
+            if (this._adaptiveEnabled) {
+                this._startAdaptiveQuality(socketId, pc);
+            }
+            if (this._qualityOptions) {
+                const monitor = new window.CallQualityMonitor(this.socket, {
+                    ...this._qualityOptions,
+                    roomId: this._qualityOptions.roomId || this.room
+                });
+                monitor.start(pc);
+                this.qualityMonitors[socketId] = monitor;
+            }
             this.log('Created RTCPeerConnection for', socketId);
         } catch (err) {
             this.error('RTCPeerConnection failed:', err);
@@ -244,9 +318,40 @@ class Webrtc extends EventTarget {
         }
     }
 
+    _startAdaptiveQuality(socketId, pc) {
+        const controller = new window.AdaptiveQualityController();
+        controller.pinAudioOnly(this._audioOnlyPinned, 'local');
+        controller.addEventListener('levelchange', event => {
+            this._emit('qualityLevel', { socketId, ...event.detail });
+        });
+        // Senders only exist once tracks are added, so attach when media starts flowing
+        pc.addEventListener('connectionstatechange', () => {
+            if (pc.connectionState === 'connected' && controller.pc !== pc) {
+                controller.attach(pc);
+            }
+        });
+        this.adaptiveControllers[socketId] = controller;
+    }
+
+    _stopAdaptiveQuality(socketId) {
+        if (this.adaptiveControllers[socketId]) {
+            this.adaptiveControllers[socketId].detach();
+            delete this.adaptiveControllers[socketId];
+        }
+    }
+
+    _stopQualityMonitor(socketId) {
+        if (this.qualityMonitors[socketId]) {
+            this.qualityMonitors[socketId].stop();
+            delete this.qualityMonitors[socketId];
+        }
+    }
+
     _removeUser(socketId = null) {
         if (socketId === null) {
             for (const id in this.pcs) {
+                this._stopQualityMonitor(id);
+                this._stopAdaptiveQuality(id);
                 if (this.pcs[id]) {
                     this.pcs[id].close();
                     delete this.pcs[id];
@@ -254,6 +359,8 @@ class Webrtc extends EventTarget {
             }
             this.streams = {};
         } else if (this.pcs[socketId]) {
+            this._stopQualityMonitor(socketId);
+            this._stopAdaptiveQuality(socketId);
             this.pcs[socketId].close();
             delete this.pcs[socketId];
             delete this.streams[socketId];
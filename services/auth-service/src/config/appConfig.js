@@ -0,0 +1,94 @@
+/**
+ * Application Configuration Helper for Auth Service
+ * Fetches settings from app_settings table with in-memory caching
+ */
+
+import pool from './database.js';
+
+// In-memory cache with TTL
+const cache = new Map();
+const CACHE_TTL = 60 * 1000; // 1 minute cache
+
+// Default values (fallback if database is unavailable)
+const DEFAULT_CONFIG = {
+    'student_login.max_failed_attempts': 5,
+    'student_login.lockout_minutes': 15,
+    'student_login.require_card': false,
+    'security.admin_totp_enforce_from': ''
+};
+
+/**
+ * Parse value from database based on data type
+ */
+function parseValue(value, dataType) {
+    switch (dataType) {
+        case 'number':
+            return Number(value);
+        case 'boolean':
+            return value === 'true' || value === true;
+        case 'json':
+            try {
+                return JSON.parse(value);
+            } catch {
+                return value;
+            }
+        default:
+            return value;
+    }
+}
+
+/**
+ * Get a config value by key
+ * @param {string} key - The config key
+ * @returns {Promise<any>} The config value
+ */
+export async function getConfig(key) {
+    // Check cache first
+    const cached = cache.get(key);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+        return cached.value;
+    }
+
+    try {
+        const result = await pool.query(
+            'SELECT value, data_type FROM app_settings WHERE key = $1',
+            [key]
+        );
+
+        if (result.rows.length === 0) {
+            return DEFAULT_CONFIG[key] ?? null;
+        }
+
+        const { value, data_type } = result.rows[0];
+        const parsedValue = parseValue(value, data_type);
+
+        // Cache the result
+        cache.set(key, { value: parsedValue, timestamp: Date.now() });
+
+        return parsedValue;
+    } catch (error) {
+        console.error(`[Auth Service] Config error for ${key}:`, error.message);
+        return DEFAULT_CONFIG[key] ?? null;
+    }
+}
+
+export async function getStudentLoginSettings() {
+    return {
+        maxFailedAttempts: await getConfig('student_login.max_failed_attempts'),
+        lockoutMinutes: await getConfig('student_login.lockout_minutes'),
+        requireCard: await getConfig('student_login.require_card')
+    };
+}
+
+export async function getAdminSecuritySettings() {
+    return {
+        totpEnforceFrom: await getConfig('security.admin_totp_enforce_from')
+    };
+}
+
+export default {
+    getConfig,
+    getStudentLoginSettings,
+    getAdminSecuritySettings,
+    DEFAULT_CONFIG
+};
@@ -0,0 +1,38 @@
+import Redis from 'ioredis';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+
+// Shared with the monolith: holds the JWT revocation list
+const redis = new Redis(REDIS_URL, {
+    retryDelayOnFailover: 1000,
+    maxRetriesPerRequest: 3,
+    lazyConnect: true
+});
+
+redis.on('connect', () => {
+    console.log('[Auth Service] Redis connected');
+});
+
+redis.on('error', (err) => {
+    console.error('[Auth Service] Redis error:', err.message);
+});
+
+/**
+ * Initialize Redis connection
+ */
+export const initializeRedis = async () => {
+    try {
+        await redis.connect();
+        console.log('[Auth Service] Redis connection established');
+        return true;
+    } catch (error) {
+        console.error('[Auth Service] Redis connection failed:', error.message);
+        return false;
+    }
+};
+
+export { redis };
+export default { redis, initializeRedis };
@@ -1,7 +1,90 @@
 import User from '../models/User.js';
-import { generateTokens } from '../services/tokenService.js';
+import { issueTokens, getTokenRequestMeta } from '../services/refreshTokenService.js';
+import { generateMfaToken, verifyMfaToken, MFA_TOKEN_EXPIRES_IN } from '../services/tokenService.js';
+import { getAdminSecuritySettings } from '../config/appConfig.js';
+import { logAuthEvent } from '../services/activityLogService.js';
+import { verifySecondFactor, startTotpEnrollment, activateTotp } from '../services/adminTotpClient.js';
 import bcrypt from 'bcrypt';
 
+/**
+ * What an admin who just entered the right password still has to do: 'verify' a code,
+ * 'enroll' because TOTP is now mandatory, or nothing (null)
+ */
+const getLoginSecondFactor = async (user) => {
+    if (user.totp_enabled_at) return 'verify';
+    const { totpEnforceFrom } = await getAdminSecuritySettings();
+    if (!totpEnforceFrom) return null;
+    const enforceFrom = new Date(totpEnforceFrom);
+    return !Number.isNaN(enforceFrom.getTime()) && enforceFrom <= new Date() ? 'enroll' : null;
+};
+
+/**
+ * Issue tokens and the login response for an authenticated admin
+ */
+const sendAdminLoginResponse = async (req, res, user, extra = {}, method = 'password') => {
+    const tokens = await issueTokens(user, getTokenRequestMeta(req));
+
+    console.log('[Auth Service] Admin login successful:', user.email);
+    await logAuthEvent(req, 'login_succeeded', { user, details: { method } });
+
+    res.json({
+        success: true,
+        message: 'Admin login successful',
+        user: {
+            id: user.id,
+            email: user.email,
+            fullName: user.full_name,
+            role: user.role
+        },
+        ...extra,
+        ...tokens
+    });
+};
+
+/**
+ * Password accepted, but no session until the second step (or TOTP setup) is done
+ */
+const secondFactorResponse = (user, secondFactor) => ({
+    success: true,
+    ...(secondFactor === 'verify'
+        ? { mfaRequired: true, message: 'Enter the code from your authenticator app' }
+        : { mfaEnrollmentRequired: true, message: 'Two-factor authentication is required for admins. Set it up to continue.' }),
+    mfaToken: generateMfaToken(user),
+    mfaExpiresIn: MFA_TOKEN_EXPIRES_IN
+});
+
+/**
+ * Admin user for a second-step request, or null (after sending a 401) if the mfaToken is bad
+ */
+const getAdminFromMfaToken = async (req, res) => {
+    let user = null;
+    try {
+        const decoded = verifyMfaToken(req.body.mfaToken);
+        user = await User.findById(decoded.id);
+    } catch {
+        user = null;
+    }
+
+    if (!user || user.role !== 'admin') {
+        res.status(401).json({
+            success: false,
+            error: 'Your login attempt has expired. Please sign in again.',
+            message: 'Your login attempt has expired. Please sign in again.',
+            code: 'INVALID_MFA_TOKEN'
+        });
+        return null;
+    }
+    return user;
+};
+
+const secondFactorError = (res, status, message, code, extra = {}) => res.status(status).json({
+    success: false,
+    error: message,
+    message,
+    code,
+    ...extra
+});
+
 /**
  * Admin login
  * POST /api/v1/auth/admin/login
@@ -28,6 +111,11 @@ export const login = async (req, res) => {
 
         if (!user) {
             console.log('[Auth Service] Admin login failed: User not found for email:', email);
+            await logAuthEvent(req, 'login_failed', {
+                role: 'admin',
+                authenticated: false,
+                details: { email, reason: 'unknown_account' }
+            });
             return res.status(401).json({
                 success: false,
                 error: 'Invalid credentials'
@@ -36,6 +124,12 @@ export const login = async (req, res) => {
 
         if (user.role !== 'admin') {
             console.log('[Auth Service] Admin login failed: User role is not admin. Role:', user.role);
+            await logAuthEvent(req, 'login_failed', {
+                user,
+                role: 'admin',
+                authenticated: false,
+                details: { email, reason: 'not_admin' }
+            });
             return res.status(401).json({
                 success: false,
                 error: 'Invalid credentials'
@@ -48,29 +142,115 @@ export const login = async (req, res) => {
 
         if (!isValidPassword) {
             console.log('[Auth Service] Admin login failed: Invalid password for user:', user.email);
+            await logAuthEvent(req, 'login_failed', {
+                user,
+                authenticated: false,
+                details: { email, reason: 'invalid_password' }
+            });
             return res.status(401).json({
                 success: false,
                 error: 'Invalid credentials'
             });
         }
 
-        const tokens = generateTokens(user);
+        // Password is right; admins with two-factor on (or who must now set it up) get a second step
+        const secondFactor = await getLoginSecondFactor(user);
+        if (secondFactor) {
+            console.log(`[Auth Service] Admin login - second factor required (${secondFactor}):`, user.email);
+            return res.json(secondFactorResponse(user, secondFactor));
+        }
 
-        console.log('[Auth Service] Admin login successful:', user.email);
+        await sendAdminLoginResponse(req, res, user);
+    } catch (error) {
+        console.error('[Auth Service] Admin login error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error during admin login'
+        });
+    }
+};
 
-        res.json({
-            success: true,
-            message: 'Admin login successful',
-            user: {
-                id: user.id,
-                email: user.email,
-                fullName: user.full_name,
-                role: user.role
-            },
-            ...tokens
+/**
+ * Second login step: authenticator app code or a backup code
+ * POST /api/v1/auth/admin/login/verify-totp
+ */
+export const verifyTotp = async (req, res) => {
+    let user = null;
+    try {
+        user = await getAdminFromMfaToken(req, res);
+        if (!user) return;
+
+        const { method, backupCodesRemaining } = await verifySecondFactor({
+            userId: user.id,
+            code: req.body.code,
+            ipAddress: req.ip || null
         });
+        if (method === 'backup_code') {
+            console.log('[Auth Service] Admin signed in with a backup code:', user.email);
+        }
+
+        await sendAdminLoginResponse(req, res, user, method === 'backup_code' ? { backupCodesRemaining } : {}, method);
     } catch (error) {
-        console.error('[Auth Service] Admin login error:', error);
+        if (error.status) {
+            if (error.status === 401) {
+                await logAuthEvent(req, 'login_failed', {
+                    user,
+                    authenticated: false,
+                    details: { reason: 'invalid_totp' }
+                });
+            }
+            return secondFactorError(res, error.status, error.message, error.code,
+                error.lockedUntil ? { lockedUntil: error.lockedUntil } : {});
+        }
+        console.error('[Auth Service] Admin TOTP verification error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error during admin login'
+        });
+    }
+};
+
+/**
+ * Start the required two-factor setup during login; returns the secret and otpauth:// URI
+ * POST /api/v1/auth/admin/login/totp-setup
+ */
+export const totpSetup = async (req, res) => {
+    try {
+        const user = await getAdminFromMfaToken(req, res);
+        if (!user) return;
+
+        const { secret, otpauthUri } = await startTotpEnrollment(user.id);
+        res.json({ success: true, secret, otpauthUri });
+    } catch (error) {
+        if (error.status) {
+            return secondFactorError(res, error.status, error.message, error.code);
+        }
+        console.error('[Auth Service] Admin TOTP setup error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error during admin login'
+        });
+    }
+};
+
+/**
+ * Finish the required two-factor setup and sign in; backup codes are returned once here
+ * POST /api/v1/auth/admin/login/totp-activate
+ */
+export const totpActivate = async (req, res) => {
+    try {
+        const user = await getAdminFromMfaToken(req, res);
+        if (!user) return;
+
+        const { backupCodes } = await activateTotp({ userId: user.id, code: req.body.code, ipAddress: req.ip || null });
+        console.log('[Auth Service] Admin two-factor enabled:', user.email);
+
+        await sendAdminLoginResponse(req, res, user, { backupCodes }, 'totp');
+    } catch (error) {
+        if (error.status) {
+            return secondFactorError(res, error.status, error.message, error.code);
+        }
+        console.error('[Auth Service] Admin TOTP activation error:', error);
         res.status(500).json({
             success: false,
             error: 'Server error during admin login'
@@ -121,6 +301,11 @@ export const signup = async (req, res) => {
 
         if (!validCodes.includes(secret_code)) {
             console.log('[Auth Service] Invalid secret code attempt:', secret_code);
+            await logAuthEvent(req, 'signup_failed', {
+                role: 'admin',
+                authenticated: false,
+                details: { email, reason: 'invalid_secret_code' }
+            });
             return res.status(401).json({
                 success: false,
                 error: 'Invalid secret code'
@@ -147,8 +332,18 @@ export const signup = async (req, res) => {
             password,
             role: 'admin'
         });
+        await logAuthEvent(req, 'signup', { user: newAdmin });
+
+        // Once two-factor is mandatory, new admins set it up before getting a session
+        if (await getLoginSecondFactor(newAdmin)) {
+            console.log('[Auth Service] Admin signup successful, two-factor setup required:', newAdmin.email);
+            return res.status(201).json({
+                ...secondFactorResponse(newAdmin, 'enroll'),
+                message: 'Admin registration successful. Set up two-factor authentication to continue.'
+            });
+        }
 
-        const tokens = generateTokens(newAdmin);
+        const tokens = await issueTokens(newAdmin, getTokenRequestMeta(req));
 
         console.log('[Auth Service] Admin signup successful:', newAdmin.email);
 
@@ -174,5 +369,8 @@ export const signup = async (req, res) => {
 
 export default {
     login,
+    verifyTotp,
+    totpSetup,
+    totpActivate,
     signup
 };
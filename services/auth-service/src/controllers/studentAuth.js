@@ -1,5 +1,53 @@
 import User from '../models/User.js';
-import { generateTokens } from '../services/tokenService.js';
+import { issueTokens, getTokenRequestMeta } from '../services/refreshTokenService.js';
+import { getStudentLoginSettings } from '../config/appConfig.js';
+import { logActivity, logAuthEvent } from '../services/activityLogService.js';
+
+const CARD_CODE_LENGTH = 12;
+
+/**
+ * Card code from the bare code, the printed "ABCD-EFGH-JKMN" form or the scanned QR login URL
+ */
+const normalizeCardCode = (input) => {
+    if (typeof input !== 'string') return null;
+    const match = input.match(/[?&]card=([^&#\s]+)/);
+    const raw = match ? decodeURIComponent(match[1]) : input;
+    const code = raw.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return code.length === CARD_CODE_LENGTH ? code : null;
+};
+
+/**
+ * Issue tokens and the login response for an authenticated student
+ */
+const sendStudentLoginResponse = async (req, res, student) => {
+    // Create user object for token generation
+    const userForToken = {
+        id: student.id,
+        role: 'student',
+        full_name: student.full_name,
+        admission_number: student.username
+    };
+
+    const tokens = await issueTokens(userForToken, getTokenRequestMeta(req));
+
+    console.log('[Auth Service] Student login successful:', student.full_name);
+
+    res.json({
+        success: true,
+        message: 'Login successful',
+        student: {
+            id: student.id,
+            fullName: student.full_name,
+            admissionNumber: student.username
+        },
+        user: {
+            id: student.id,
+            fullName: student.full_name,
+            role: 'student'
+        },
+        ...tokens
+    });
+};
 
 /**
  * Student login
@@ -11,6 +59,16 @@ export const login = async (req, res) => {
 
         console.log('[Auth Service] Student login attempt:', { name, admission_number });
 
+        const { requireCard } = await getStudentLoginSettings();
+        if (requireCard) {
+            return res.status(403).json({
+                success: false,
+                error: 'Please sign in with your login card and PIN.',
+                message: 'Please sign in with your login card and PIN.',
+                code: 'LOGIN_CARD_REQUIRED'
+            });
+        }
+
         if (!name || !admission_number) {
             return res.status(400).json({
                 success: false,
@@ -21,39 +79,19 @@ export const login = async (req, res) => {
         const student = await User.findStudentByCredentials(name, admission_number);
 
         if (!student) {
+            await logAuthEvent(req, 'login_failed', {
+                role: 'student',
+                authenticated: false,
+                details: { admissionNumber: admission_number, reason: 'unknown_account' }
+            });
             return res.status(401).json({
                 success: false,
                 error: 'Invalid credentials. Please check your name and admission number.'
             });
         }
 
-        // Create user object for token generation
-        const userForToken = {
-            id: student.id,
-            role: 'student',
-            full_name: student.full_name,
-            admission_number: student.username
-        };
-
-        const tokens = generateTokens(userForToken);
-
-        console.log('[Auth Service] Student login successful:', student.full_name);
-
-        res.json({
-            success: true,
-            message: 'Login successful',
-            student: {
-                id: student.id,
-                fullName: student.full_name,
-                admissionNumber: student.username
-            },
-            user: {
-                id: student.id,
-                fullName: student.full_name,
-                role: 'student'
-            },
-            ...tokens
-        });
+        await logAuthEvent(req, 'login_succeeded', { user: { ...student, role: 'student' }, details: { method: 'name' } });
+        await sendStudentLoginResponse(req, res, student);
     } catch (error) {
         console.error('[Auth Service] Student login error:', error);
         res.status(500).json({
@@ -63,6 +101,103 @@ export const login = async (req, res) => {
     }
 };
 
+/**
+ * Student login with a printed QR login card and PIN
+ * POST /api/v1/auth/student/card-login
+ * Repeated wrong PINs lock the student's card login for a while
+ */
+export const cardLogin = async (req, res) => {
+    const sendError = (status, message, code, extra = {}) => res.status(status).json({
+        success: false,
+        error: message,
+        message,
+        code,
+        ...extra
+    });
+
+    try {
+        const { card, pin } = req.body;
+
+        if (!card || !pin) {
+            return sendError(400, 'Login card and PIN are required', 'MISSING_CREDENTIALS');
+        }
+
+        const cardCode = normalizeCardCode(String(card));
+        const pinText = String(pin).trim();
+        if (!cardCode || !/^[0-9]{4,8}$/.test(pinText)) {
+            return sendError(401, 'Invalid login card or PIN.', 'INVALID_CARD_OR_PIN');
+        }
+
+        const row = await User.findStudentByLoginCard(cardCode);
+        if (!row) {
+            return sendError(401, 'Invalid login card or PIN.', 'INVALID_CARD_OR_PIN');
+        }
+
+        const { card_id: cardId, card_status: cardStatus, pin_hash: pinHash, ...student } = row;
+
+        if (cardStatus !== 'active') {
+            return sendError(401, 'This login card is no longer valid. Please ask your teacher for a new card.', 'CARD_REVOKED');
+        }
+        if (student.login_locked_until && new Date(student.login_locked_until) > new Date()) {
+            return sendError(423, 'Too many wrong PINs. Please wait a few minutes or ask your teacher to unlock your card.', 'LOGIN_LOCKED', {
+                lockedUntil: student.login_locked_until
+            });
+        }
+
+        if (!(await User.comparePassword(pinText, pinHash))) {
+            const { maxFailedAttempts, lockoutMinutes } = await getStudentLoginSettings();
+            const updated = await User.recordFailedLogin(student.id, maxFailedAttempts, lockoutMinutes);
+            await logAuthEvent(req, 'login_failed', {
+                user: { id: student.id, role: 'student' },
+                authenticated: false,
+                details: { cardId, reason: 'invalid_pin' }
+            });
+
+            if (updated.login_failed_attempts === 0 && updated.login_locked_until) {
+                console.warn('[Auth Service] Student card login locked:', { studentId: student.id, cardId });
+                await logActivity({
+                    userId: student.id,
+                    userRole: 'student',
+                    action: 'student_login_locked',
+                    entityType: 'student',
+                    entityId: student.id,
+                    details: { cardId, lockedUntil: updated.login_locked_until, attempts: maxFailedAttempts },
+                    ipAddress: req.ip || null
+                });
+                return sendError(423, `Too many wrong PINs. Your card is locked for ${lockoutMinutes} minutes.`, 'LOGIN_LOCKED', {
+                    lockedUntil: updated.login_locked_until
+                });
+            }
+
+            const attemptsRemaining = maxFailedAttempts - updated.login_failed_attempts;
+            return sendError(
+                401,
+                `Invalid login card or PIN. ${attemptsRemaining} ${attemptsRemaining === 1 ? 'try' : 'tries'} left before your card is locked.`,
+                'INVALID_CARD_OR_PIN',
+                { attemptsRemaining }
+            );
+        }
+
+        await User.recordSuccessfulCardLogin(student.id, cardId);
+        await logActivity({
+            userId: student.id,
+            userRole: 'student',
+            action: 'student_card_login',
+            entityType: 'student',
+            entityId: student.id,
+            details: { cardId },
+            ipAddress: req.ip || null
+        });
+        await sendStudentLoginResponse(req, res, student);
+    } catch (error) {
+        console.error('[Auth Service] Student card login error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error during login'
+        });
+    }
+};
+
 /**
  * Student logout (client-side token removal)
  * POST /api/v1/auth/student/logout
@@ -76,5 +211,6 @@ export const logout = async (req, res) => {
 
 export default {
     login,
+    cardLogin,
     logout
 };
@@ -1,5 +1,7 @@
 import User from '../models/User.js';
-import { generateTokens, generateResetToken, verifyResetToken } from '../services/tokenService.js';
+import { generateResetToken, verifyResetToken } from '../services/tokenService.js';
+import { issueTokens, getTokenRequestMeta } from '../services/refreshTokenService.js';
+import { logAuthEvent } from '../services/activityLogService.js';
 
 /**
  * Volunteer login
@@ -21,15 +23,22 @@ export const login = async (req, res) => {
         const user = await User.findByEmailAndRole(email, 'volunteer');
 
         if (!user || !(await User.comparePassword(password, user.password_hash))) {
+            await logAuthEvent(req, 'login_failed', {
+                user,
+                role: 'volunteer',
+                authenticated: false,
+                details: { email, reason: user ? 'invalid_password' : 'unknown_account' }
+            });
             return res.status(401).json({
                 success: false,
                 error: 'Invalid email or password'
             });
         }
 
-        const tokens = generateTokens(user);
+        const tokens = await issueTokens(user, getTokenRequestMeta(req));
 
         console.log('[Auth Service] Volunteer login successful:', user.email);
+        await logAuthEvent(req, 'login_succeeded', { user, details: { method: 'password' } });
 
         res.json({
             success: true,
@@ -172,9 +181,13 @@ export const signup = async (req, res) => {
         });
 
         // Generate tokens
-        const tokens = generateTokens(newUser);
+        const tokens = await issueTokens(newUser, getTokenRequestMeta(req));
 
         console.log('[Auth Service] Volunteer signup successful:', newUser.email);
+        await logAuthEvent(req, 'signup', {
+            user: newUser,
+            details: { volunteerType: newUser.volunteer_type, needsParentalApproval }
+        });
 
         // Return response with parental approval flag
         res.status(201).json({
@@ -274,6 +287,11 @@ export const verifySecurityAnswers = async (req, res) => {
         const user = await User.verifySecurityAnswers(email, 'volunteer', security_answers);
 
         if (!user) {
+            await logAuthEvent(req, 'password_reset_failed', {
+                role: 'volunteer',
+                authenticated: false,
+                details: { email, reason: 'invalid_security_answers' }
+            });
             return res.status(401).json({
                 success: false,
                 error: 'One or more security answers are incorrect'
@@ -283,6 +301,10 @@ export const verifySecurityAnswers = async (req, res) => {
         const resetToken = generateResetToken(user);
 
         console.log('[Auth Service] Security answers verified successfully for:', user.email);
+        await logAuthEvent(req, 'password_reset_verified', {
+            user: { id: user.id, role: 'volunteer' },
+            authenticated: false
+        });
 
         res.json({
             success: true,
@@ -340,6 +362,7 @@ export const resetPassword = async (req, res) => {
         }
 
         console.log('[Auth Service] Password reset successful for:', user.email);
+        await logAuthEvent(req, 'password_reset', { user: { id: user.id, role: 'volunteer' } });
 
         res.json({
             success: true,
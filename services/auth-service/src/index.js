@@ -2,6 +2,7 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { testConnection } from './config/database.js';
+import { initializeRedis } from './config/redis.js';
 import authRoutes from './routes/auth.js';
 import internalRoutes from './routes/internal.js';
 
@@ -94,6 +95,12 @@ const server = app.listen(PORT, async () => {
         console.error('[Auth Service] Warning: Database connection failed');
     }
 
+    // Revocation list; tokens are still verified (without it) if Redis is down
+    const redisConnected = await initializeRedis();
+    if (!redisConnected) {
+        console.error('[Auth Service] Warning: Redis connection failed, token revocation not enforced');
+    }
+
     console.log(`[Auth Service] Ready to accept connections`);
     console.log(`[Auth Service] Health: http://localhost:${PORT}/health`);
     console.log(`[Auth Service] Auth API: http://localhost:${PORT}/api/v1/auth`);
@@ -164,6 +164,63 @@ class User {
         return result.rows[0] || null;
     }
 
+    /**
+     * Find a student and their login card by card code
+     * @param {string} cardCode - Normalized card code
+     * @returns {Promise<Object|null>} users row plus card_id, card_status and pin_hash
+     */
+    static async findStudentByLoginCard(cardCode) {
+        const result = await pool.query(
+            `SELECT c.id as card_id, c.status as card_status, c.pin_hash, u.*
+             FROM student_login_cards c
+             JOIN users u ON c.student_id = u.id AND u.role = 'student'
+             WHERE c.card_code = $1`,
+            [cardCode]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Count a wrong PIN, locking the student's card login once maxAttempts is reached
+     * @param {number} id
+     * @param {number} maxAttempts
+     * @param {number} lockoutMinutes
+     * @returns {Promise<{login_failed_attempts: number, login_locked_until: Date|null}>}
+     */
+    static async recordFailedLogin(id, maxAttempts, lockoutMinutes) {
+        const result = await pool.query(
+            `UPDATE users SET
+                login_failed_attempts = CASE WHEN login_failed_attempts + 1 >= $2 THEN 0 ELSE login_failed_attempts + 1 END,
+                login_locked_until = CASE WHEN login_failed_attempts + 1 >= $2
+                    THEN NOW() + make_interval(mins => $3) ELSE login_locked_until END
+             WHERE id = $1
+             RETURNING login_failed_attempts, login_locked_until`,
+            [id, maxAttempts, lockoutMinutes]
+        );
+        return result.rows[0];
+    }
+
+    /**
+     * Clear failed attempts after a successful card login and mark the card as used
+     * @param {number} id
+     * @param {number} cardId
+     */
+    static async recordSuccessfulCardLogin(id, cardId) {
+        await User.clearFailedLogins(id);
+        await pool.query('UPDATE student_login_cards SET last_used_at = NOW() WHERE id = $1', [cardId]);
+    }
+
+    /**
+     * Clear failed attempts after a successful login step
+     * @param {number} id
+     */
+    static async clearFailedLogins(id) {
+        await pool.query(
+            'UPDATE users SET login_failed_attempts = 0, login_locked_until = NULL WHERE id = $1',
+            [id]
+        );
+    }
+
     /**
      * Compare password with hash
      * @param {string} plainTextPassword
@@ -2,8 +2,10 @@ import express from 'express';
 import volunteerAuth from '../controllers/volunteerAuth.js';
 import studentAuth from '../controllers/studentAuth.js';
 import adminAuth from '../controllers/adminAuth.js';
-import User from '../models/User.js';
-import { generateTokens, verifyToken, extractTokenFromHeader } from '../services/tokenService.js';
+import { verifyActiveToken, extractTokenFromHeader } from '../services/tokenService.js';
+import { rotateRefreshToken, getTokenRequestMeta } from '../services/refreshTokenService.js';
+import { revokeAccessToken, revokeTokenFamily } from '../services/tokenRevocationService.js';
+import { logAuthEvent } from '../services/activityLogService.js';
 
 const router = express.Router();
 
@@ -53,6 +55,13 @@ router.post('/volunteer/reset-password', volunteerAuth.resetPassword);
  */
 router.post('/student/login', studentAuth.login);
 
+/**
+ * @route   POST /api/v1/auth/student/card-login
+ * @desc    Student login (QR login card + PIN, with per-student lockout)
+ * @access  Public
+ */
+router.post('/student/card-login', studentAuth.cardLogin);
+
 /**
  * @route   POST /api/v1/auth/student/logout
  * @desc    Student logout
@@ -69,6 +78,27 @@ router.post('/student/logout', studentAuth.logout);
  */
 router.post('/admin/login', adminAuth.login);
 
+/**
+ * @route   POST /api/v1/auth/admin/login/verify-totp
+ * @desc    Admin login second step (authenticator code or backup code)
+ * @access  Public (with mfaToken from /admin/login)
+ */
+router.post('/admin/login/verify-totp', adminAuth.verifyTotp);
+
+/**
+ * @route   POST /api/v1/auth/admin/login/totp-setup
+ * @desc    Start required two-factor setup during login
+ * @access  Public (with mfaToken from /admin/login)
+ */
+router.post('/admin/login/totp-setup', adminAuth.totpSetup);
+
+/**
+ * @route   POST /api/v1/auth/admin/login/totp-activate
+ * @desc    Finish required two-factor setup and sign in
+ * @access  Public (with mfaToken from /admin/login)
+ */
+router.post('/admin/login/totp-activate', adminAuth.totpActivate);
+
 /**
  * @route   POST /api/v1/auth/admin/signup
  * @desc    Admin signup (requires secret code)
@@ -79,11 +109,11 @@ router.post('/admin/signup', adminAuth.signup);
 // ==================== Universal Token Routes ====================
 
 /**
- * @route   POST /api/v1/auth/token/refresh
- * @desc    Refresh JWT token
+ * @route   POST /api/v1/auth/token/refresh (also /refresh, the monolith's path)
+ * @desc    Rotate a refresh token: returns a new access/refresh pair, the old refresh token stops working
  * @access  Public (with valid refresh token)
  */
-router.post('/token/refresh', async (req, res) => {
+router.post(['/token/refresh', '/refresh'], async (req, res) => {
     try {
         const { refreshToken } = req.body;
 
@@ -94,17 +124,7 @@ router.post('/token/refresh', async (req, res) => {
             });
         }
 
-        const decoded = verifyToken(refreshToken);
-        const user = await User.findById(decoded.id);
-
-        if (!user) {
-            return res.status(401).json({
-                success: false,
-                error: 'Invalid refresh token'
-            });
-        }
-
-        const tokens = generateTokens(user);
+        const { tokens } = await rotateRefreshToken(refreshToken, getTokenRequestMeta(req));
 
         res.json({
             success: true,
@@ -112,10 +132,17 @@ router.post('/token/refresh', async (req, res) => {
             ...tokens
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                code: error.code
+            });
+        }
         console.error('[Auth Service] Refresh token error:', error);
-        res.status(401).json({
+        res.status(500).json({
             success: false,
-            error: 'Invalid refresh token'
+            error: 'Server error during token refresh'
         });
     }
 });
@@ -138,7 +165,7 @@ router.get('/token/verify', async (req, res) => {
             });
         }
 
-        const decoded = verifyToken(token);
+        const decoded = await verifyActiveToken(token);
 
         res.json({
             success: true,
@@ -169,10 +196,26 @@ router.get('/token/verify', async (req, res) => {
 
 /**
  * @route   POST /api/v1/auth/logout
- * @desc    Logout (client-side token removal)
+ * @desc    Logout: revokes the presented access token and its login session's refresh tokens
  * @access  Private
  */
-router.post('/logout', (req, res) => {
+router.post('/logout', async (req, res) => {
+    const token = extractTokenFromHeader(req.headers.authorization);
+
+    if (token) {
+        try {
+            const decoded = await verifyActiveToken(token);
+            await logAuthEvent(req, 'logout', { user: decoded });
+            await revokeAccessToken(decoded);
+            if (decoded.fid) {
+                await revokeTokenFamily(decoded.fid, 'logout');
+            }
+        } catch (error) {
+            // Expired or already revoked: nothing left to revoke, the client drops its tokens anyway
+            console.warn('[Auth Service] Logout revocation skipped:', error.message);
+        }
+    }
+
     res.json({
         success: true,
         message: 'Logged out successfully'
@@ -1,6 +1,6 @@
 import express from 'express';
 import User from '../models/User.js';
-import { verifyToken, extractTokenFromHeader, decodeToken } from '../services/tokenService.js';
+import { verifyActiveToken, extractTokenFromHeader, decodeToken } from '../services/tokenService.js';
 
 const router = express.Router();
 
@@ -26,7 +26,7 @@ const validateInternalApiKey = (req, res, next) => {
 
 /**
  * @route   POST /internal/token/introspect
- * @desc    Validate token and return decoded user (service-to-service)
+ * @desc    Validate token (signature, expiry and revocation list) and return decoded user (service-to-service)
  * @access  Internal (requires API key)
  */
 router.post('/token/introspect', validateInternalApiKey, async (req, res) => {
@@ -45,7 +45,7 @@ router.post('/token/introspect', validateInternalApiKey, async (req, res) => {
         }
 
         try {
-            const decoded = verifyToken(authToken);
+            const decoded = await verifyActiveToken(authToken);
 
             // Optionally fetch fresh user data
             let user = null;
@@ -103,7 +103,7 @@ router.post('/token/introspect', validateInternalApiKey, async (req, res) => {
  * @desc    Quick token validation (returns boolean only)
  * @access  Internal (requires API key)
  */
-router.post('/token/validate', validateInternalApiKey, (req, res) => {
+router.post('/token/validate', validateInternalApiKey, async (req, res) => {
     try {
         const { token } = req.body;
         const authToken = token || extractTokenFromHeader(req.headers.authorization);
@@ -113,7 +113,7 @@ router.post('/token/validate', validateInternalApiKey, (req, res) => {
         }
 
         try {
-            verifyToken(authToken);
+            await verifyActiveToken(authToken);
             res.json({ valid: true });
         } catch {
             res.json({ valid: false });
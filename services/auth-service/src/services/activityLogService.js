@@ -0,0 +1,67 @@
+import pool from '../config/database.js';
+
+/**
+ * Audit trail writes, shared with the monolith through the activity_log table
+ * (same columns and action names). Logging never throws: a failed audit write is
+ * reported but must not break a login.
+ */
+
+/**
+ * Record an action
+ * @param {Object} entry
+ * @param {number|null} [entry.userId] - Acting user
+ * @param {string|null} [entry.userRole]
+ * @param {string} entry.action - e.g. 'login_succeeded'
+ * @param {string} entry.entityType - e.g. 'user'
+ * @param {number|null} [entry.entityId]
+ * @param {Object|null} [entry.details]
+ * @param {string|null} [entry.ipAddress]
+ * @returns {Promise<Object|null>} Stored row, or null when the write failed
+ */
+export const logActivity = async ({
+    userId = null,
+    userRole = null,
+    action,
+    entityType,
+    entityId = null,
+    details = null,
+    ipAddress = null
+}) => {
+    try {
+        const result = await pool.query(`
+            INSERT INTO activity_log (user_id, user_role, action, entity_type, entity_id, details, ip_address)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `, [userId, userRole, action, entityType, entityId, details ? JSON.stringify(details) : null, ipAddress]);
+        return result.rows[0];
+    } catch (error) {
+        console.error(`[Auth Service] Failed to write activity log (${action} ${entityType}:${entityId}):`, error.message);
+        return null;
+    }
+};
+
+/**
+ * Record an auth event. Failed attempts are not attributed to the account they targeted
+ * (the caller isn't authenticated), only linked to it as the entity.
+ * @param {Object} req
+ * @param {string} action - e.g. 'login_succeeded', 'login_failed'
+ * @param {Object} [event]
+ * @param {Object} [event.user] - Account the event is about
+ * @param {string} [event.role] - Role the caller tried to sign in as
+ * @param {boolean} [event.authenticated=true] - Whether the caller proved they own the account
+ * @param {Object} [event.details]
+ */
+export const logAuthEvent = (req, action, { user = null, role = null, authenticated = true, details = null } = {}) => logActivity({
+    userId: authenticated ? user?.id ?? null : null,
+    userRole: authenticated ? user?.role || role : null,
+    action,
+    entityType: 'user',
+    entityId: user?.id ?? null,
+    details: { role: user?.role || role, source: 'auth-service', ...details },
+    ipAddress: req.ip || req.connection?.remoteAddress || null
+});
+
+export default {
+    logActivity,
+    logAuthEvent
+};
@@ -0,0 +1,83 @@
+/**
+ * Admin TOTP Client
+ * The monolith's adminTotpService owns admin two-factor authentication (secrets, codes, backup
+ * codes and the lockout); the admin login here asks it over the internal API instead of keeping
+ * a second copy.
+ */
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const BACKEND_URL = process.env.BACKEND_URL || 'http://backend:3001';
+const INTERNAL_API_KEY = process.env.INTERNAL_API_KEY || '';
+
+/**
+ * POST to the backend's internal admin TOTP endpoints
+ * Errors the backend reports come back with their status, code and lockedUntil, like its
+ * service errors; anything else (backend unreachable) is a plain Error.
+ */
+const callAdminTotp = async (userId, action, body = {}) => {
+    const response = await fetch(`${BACKEND_URL}/internal/admins/${userId}/totp/${action}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Internal-API-Key': INTERNAL_API_KEY
+        },
+        body: JSON.stringify(body)
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        if (!data.code) {
+            throw new Error(`Backend returned ${response.status}`);
+        }
+        const error = new Error(data.error);
+        error.status = response.status;
+        error.code = data.code;
+        if (data.lockedUntil) error.lockedUntil = data.lockedUntil;
+        throw error;
+    }
+    return data;
+};
+
+/**
+ * Check an authenticator app code or a backup code for a login
+ * @param {Object} params
+ * @param {number} params.userId
+ * @param {string} params.code
+ * @param {string} [params.ipAddress]
+ * @returns {Promise<{method: 'totp'|'backup_code', backupCodesRemaining?: number}>}
+ */
+export const verifySecondFactor = async ({ userId, code, ipAddress }) => {
+    const { method, backupCodesRemaining } = await callAdminTotp(userId, 'verify', { code, ipAddress });
+    return { method, backupCodesRemaining };
+};
+
+/**
+ * Start TOTP enrollment
+ * @param {number} userId
+ * @returns {Promise<{secret: string, otpauthUri: string}>}
+ */
+export const startTotpEnrollment = async (userId) => {
+    const { secret, otpauthUri } = await callAdminTotp(userId, 'setup');
+    return { secret, otpauthUri };
+};
+
+/**
+ * Finish TOTP enrollment
+ * @param {Object} params
+ * @param {number} params.userId
+ * @param {string} params.code
+ * @param {string} [params.ipAddress]
+ * @returns {Promise<{backupCodes: string[]}>}
+ */
+export const activateTotp = async ({ userId, code, ipAddress }) => {
+    const { backupCodes } = await callAdminTotp(userId, 'activate', { code, ipAddress });
+    return { backupCodes };
+};
+
+export default {
+    verifySecondFactor,
+    startTotpEnrollment,
+    activateTotp
+};
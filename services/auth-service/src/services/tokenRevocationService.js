@@ -0,0 +1,86 @@
+import pool from '../config/database.js';
+import { redis } from '../config/redis.js';
+
+/**
+ * JWT revocation list, shared with the monolith through Redis (same keys):
+ *   auth:revoked:jti:<jti>          a single token (logout)
+ *   auth:revoked:family:<familyId>  a login session (refresh token reuse)
+ *   auth:revoked:user:<userId>      tokens issued before this unix time (account deleted or banned)
+ *
+ * If Redis is unreachable the check fails open rather than signing every user out.
+ */
+
+const KEY_PREFIX = 'auth:revoked:';
+
+// Longer than any access or refresh token we issue (24h / 7d by default)
+const REVOCATION_TTL_SECONDS = 8 * 24 * 60 * 60;
+
+const isRedisReady = () => redis.status === 'ready';
+
+/**
+ * Whether a verified token has been revoked
+ * @param {Object} decoded - Verified JWT payload
+ * @returns {Promise<boolean>}
+ */
+export const isTokenRevoked = async (decoded) => {
+    if (!isRedisReady()) {
+        console.error('[Auth Service] Redis unavailable, revocation list not checked');
+        return false;
+    }
+
+    try {
+        const [jtiRevoked, familyRevoked, userCutoff] = await redis.mget(
+            `${KEY_PREFIX}jti:${decoded.jti || '-'}`,
+            `${KEY_PREFIX}family:${decoded.fid || '-'}`,
+            `${KEY_PREFIX}user:${decoded.id}`
+        );
+
+        if ((decoded.jti && jtiRevoked) || (decoded.fid && familyRevoked)) {
+            return true;
+        }
+        return !!userCutoff && (decoded.iat || 0) < parseInt(userCutoff, 10);
+    } catch (error) {
+        console.error('[Auth Service] Error checking revocation list:', error.message);
+        return false;
+    }
+};
+
+/**
+ * Revoke a single access token until it expires
+ * @param {Object} decoded - JWT payload with jti and exp
+ */
+export const revokeAccessToken = async (decoded) => {
+    if (!decoded?.jti || !isRedisReady()) return;
+    const remaining = decoded.exp ? decoded.exp - Math.floor(Date.now() / 1000) : REVOCATION_TTL_SECONDS;
+    await redis.set(
+        `${KEY_PREFIX}jti:${decoded.jti}`,
+        '1',
+        'EX',
+        Math.max(1, Math.min(remaining, REVOCATION_TTL_SECONDS))
+    );
+};
+
+/**
+ * Revoke a login session: its refresh tokens in Postgres and its access tokens in Redis
+ * @param {string} familyId
+ * @param {string} reason - e.g. 'logout', 'reuse_detected'
+ * @returns {Promise<number>} Refresh tokens revoked
+ */
+export const revokeTokenFamily = async (familyId, reason) => {
+    const result = await pool.query(`
+        UPDATE refresh_tokens
+        SET revoked_at = NOW(), revoke_reason = $2
+        WHERE family_id = $1 AND revoked_at IS NULL
+    `, [familyId, reason]);
+
+    if (isRedisReady()) {
+        await redis.set(`${KEY_PREFIX}family:${familyId}`, reason, 'EX', REVOCATION_TTL_SECONDS);
+    }
+    return result.rowCount;
+};
+
+export default {
+    isTokenRevoked,
+    revokeAccessToken,
+    revokeTokenFamily
+};
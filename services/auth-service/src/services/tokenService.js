@@ -1,11 +1,14 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
+import { isTokenRevoked } from './tokenRevocationService.js';
 
 dotenv.config();
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
 const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+export const MFA_TOKEN_EXPIRES_IN = '10m';
 
 /**
  * Generate JWT access token
@@ -49,13 +52,40 @@ export const verifyToken = (token) => {
     }
 };
 
+/**
+ * Verify an access token and check it has not been revoked
+ * @param {string} token - JWT access token
+ * @returns {Promise<Object>} Decoded token payload
+ */
+export const verifyActiveToken = async (token) => {
+    const decoded = verifyToken(token);
+
+    if (decoded.type === 'refresh') {
+        throw new Error('Invalid token: refresh tokens cannot be used for API access');
+    }
+    if (decoded.purpose) {
+        throw new Error(`Invalid token: ${decoded.purpose} tokens cannot be used for API access`);
+    }
+    if (await isTokenRevoked(decoded)) {
+        throw new Error('Invalid token: token has been revoked');
+    }
+
+    return decoded;
+};
+
 /**
  * Generate tokens for user authentication
+ * Both tokens carry the login-session family id (fid); use refreshTokenService.issueTokens to
+ * also record the refresh token for rotation.
  * @param {Object} user - User object from database
+ * @param {Object} [options]
+ * @param {string} [options.familyId] - Keep an existing session's family when rotating
  * @returns {Object} Access and refresh tokens with metadata
  */
-export const generateTokens = (user) => {
+export const generateTokens = (user, { familyId = crypto.randomUUID() } = {}) => {
     const payload = {
+        jti: crypto.randomUUID(),
+        fid: familyId,
         id: user.id,
         email: user.email || null,
         role: user.role,
@@ -80,7 +110,13 @@ export const generateTokens = (user) => {
     };
 
     const accessToken = generateAccessToken(payload);
-    const refreshToken = generateRefreshToken({ id: user.id, role: user.role });
+    const refreshToken = generateRefreshToken({
+        id: user.id,
+        role: user.role,
+        type: 'refresh',
+        jti: crypto.randomUUID(),
+        fid: familyId
+    });
 
     return {
         accessToken,
@@ -152,13 +188,53 @@ export const verifyResetToken = (token) => {
     return decoded;
 };
 
+/**
+ * Generate the token that carries an admin from the password step to the two-factor step.
+ * Signed like the monolith's so either service can finish the login.
+ * @param {Object} user - User object
+ * @returns {string} MFA token (10 min expiry)
+ */
+export const generateMfaToken = (user) => {
+    return jwt.sign(
+        {
+            id: user.id,
+            purpose: 'admin_mfa'
+        },
+        JWT_SECRET,
+        {
+            expiresIn: MFA_TOKEN_EXPIRES_IN,
+            issuer: 'talktime-api',
+            audience: 'talktime-clients'
+        }
+    );
+};
+
+/**
+ * Verify an admin two-factor login token
+ * @param {string} token - MFA token
+ * @returns {Object} Decoded token
+ * @throws {Error} If token is invalid or not an MFA token
+ */
+export const verifyMfaToken = (token) => {
+    const decoded = verifyToken(token);
+
+    if (decoded.purpose !== 'admin_mfa') {
+        throw new Error('Invalid token purpose');
+    }
+
+    return decoded;
+};
+
 export default {
     generateAccessToken,
     generateRefreshToken,
     generateTokens,
     verifyToken,
+    verifyActiveToken,
     extractTokenFromHeader,
     decodeToken,
     generateResetToken,
-    verifyResetToken
+    verifyResetToken,
+    generateMfaToken,
+    verifyMfaToken
 };
@@ -0,0 +1,21 @@
+/**
+ * Service Errors - Errors a service throws for its controller to turn into an HTTP response
+ */
+
+/**
+ * Create an error carrying an HTTP status and a machine-readable code for the caller
+ * Controllers answer with { error: message, code } and the status when one is set.
+ *
+ * @param {string} message - Human-readable reason
+ * @param {number} status - HTTP status to respond with
+ * @param {string} code - Machine-readable code, e.g. 'NOT_FOUND'
+ * @param {Object} [extra] - More fields to copy onto the error, e.g. { retryAfterSeconds }
+ * @returns {Error}
+ */
+export function serviceError(message, status, code, extra = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    Object.assign(error, extra);
+    return error;
+}
@@ -8,10 +8,11 @@ import dotenv from 'dotenv';
 import { testConnection } from './config/database.js';
 import { initializeRedis, pubClient, subClient } from './config/redis.js';
 import { setupWebRTCHandlers } from './socket/webrtc.js';
-import { setupPresenceHandlers } from './socket/presence.js';
+import { setupPresenceHandlers, setupPresenceRecovery } from './socket/presence.js';
 import { setupInstantCallHandlers } from './socket/instantCall.js';
+import { startNodeHeartbeat, stopNodeHeartbeat } from './socket/nodeRegistry.js';
 import { initializeSubscriber } from './events/subscriber.js';
-import { recoverTimers } from './timer/meetingTimer.js';
+import { recoverTimers, stopTimerLoop } from './timer/meetingTimer.js';
 import callRoutes from './routes/callRoutes.js';
 
 dotenv.config();
@@ -137,6 +138,10 @@ const startServer = async () => {
         console.error('[Call Service] Warning: Redis connection failed, running without adapter');
     }
 
+    // Register this node so others can clean up after it if it dies
+    setupPresenceRecovery(io);
+    await startNodeHeartbeat();
+
     // Initialize event subscriber
     initializeSubscriber(io);
 
@@ -155,6 +160,10 @@ const startServer = async () => {
 const shutdown = (signal) => {
     console.log(`[Call Service] ${signal} received, shutting down gracefully...`);
 
+    // Hand timer expiry to another replica
+    stopTimerLoop();
+    stopNodeHeartbeat();
+
     // Close all socket connections
     io.close(() => {
         console.log('[Call Service] Socket.IO server closed');
@@ -51,9 +51,9 @@ router.get('/rooms/:roomId', async (req, res) => {
 /**
  * Get all active rooms
  */
-router.get('/rooms', (req, res) => {
+router.get('/rooms', async (req, res) => {
     try {
-        const rooms = roomManager.getAllRooms();
+        const rooms = await roomManager.getAllRooms();
         res.json({
             success: true,
             rooms,
@@ -72,7 +72,7 @@ router.get('/rooms/:roomId/timer', async (req, res) => {
     try {
         const { roomId } = req.params;
         const remaining = await getRemainingTime(roomId);
-        const running = isTimerRunning(roomId);
+        const running = await isTimerRunning(roomId);
 
         res.json({
             success: true,
@@ -0,0 +1,118 @@
+import os from 'os';
+import { randomUUID } from 'crypto';
+import redisClient from '../config/redis.js';
+
+/**
+ * Call-service node registry
+ * Each process keeps a short-lived heartbeat key in Redis. Socket state written by a
+ * node (room participants, presence) records its node ID, so readers can discard
+ * entries left behind by a node that died without running its disconnect handlers.
+ *
+ * Surviving nodes also watch the `call-service:nodes` set: the first to notice a node's
+ * heartbeat has expired removes it from the set and runs the registered failure
+ * handlers for it, so cleanup happens once rather than on every node.
+ */
+
+const NODE_KEY_PREFIX = 'call-service:node:';
+const NODES_SET_KEY = 'call-service:nodes';
+const HEARTBEAT_INTERVAL_MS = 10000;
+const HEARTBEAT_TTL_SECONDS = 30;
+
+// Unique per process so two replicas on the same host are told apart, and per boot: a container
+// restarted in place gets the same hostname and pid, and must not pass for the node it replaced,
+// whose sockets died with it
+export const NODE_ID = `${process.env.HOSTNAME || os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+
+let heartbeatIntervalId = null;
+const failureHandlers = [];
+
+/**
+ * Claim cleanup of any registered node whose heartbeat has expired
+ */
+const detectFailedNodes = async () => {
+    const nodeIds = (await redisClient.smembers(NODES_SET_KEY)).filter(id => id !== NODE_ID);
+    if (nodeIds.length === 0) return;
+
+    const liveNodes = await getLiveNodes(nodeIds);
+    for (const nodeId of nodeIds) {
+        if (liveNodes.has(nodeId)) continue;
+
+        // SREM succeeds on exactly one surviving node
+        const claimed = await redisClient.srem(NODES_SET_KEY, nodeId);
+        if (claimed !== 1) continue;
+
+        console.log(`[Call Service] Node ${nodeId} stopped sending heartbeats, cleaning up its sockets`);
+        for (const handler of failureHandlers) {
+            try {
+                await handler(nodeId);
+            } catch (error) {
+                console.error(`[Call Service] Error cleaning up after node ${nodeId}:`, error);
+            }
+        }
+    }
+};
+
+const beat = async () => {
+    try {
+        await redisClient.set(`${NODE_KEY_PREFIX}${NODE_ID}`, new Date().toISOString(), 'EX', HEARTBEAT_TTL_SECONDS);
+        await redisClient.sadd(NODES_SET_KEY, NODE_ID);
+        await detectFailedNodes();
+    } catch (error) {
+        console.error('[Call Service] Node heartbeat failed:', error);
+    }
+};
+
+/**
+ * Register a cleanup handler to run (on one surviving node) when another node dies
+ * @param {(nodeId: string) => Promise<void>} handler
+ */
+export const onNodeFailure = (handler) => {
+    failureHandlers.push(handler);
+};
+
+/**
+ * Start publishing this node's heartbeat (idempotent)
+ */
+export const startNodeHeartbeat = async () => {
+    if (heartbeatIntervalId) return;
+    await beat();
+    heartbeatIntervalId = setInterval(beat, HEARTBEAT_INTERVAL_MS);
+    console.log(`[Call Service] Node ${NODE_ID} registered`);
+};
+
+/**
+ * Stop the heartbeat and deregister this node (graceful shutdown)
+ */
+export const stopNodeHeartbeat = async () => {
+    if (heartbeatIntervalId) {
+        clearInterval(heartbeatIntervalId);
+        heartbeatIntervalId = null;
+    }
+    try {
+        await redisClient.del(`${NODE_KEY_PREFIX}${NODE_ID}`);
+        await redisClient.srem(NODES_SET_KEY, NODE_ID);
+    } catch (error) {
+        console.error('[Call Service] Error deregistering node:', error);
+    }
+};
+
+/**
+ * Resolve which of the given node IDs are still alive
+ * @param {string[]} nodeIds
+ * @returns {Promise<Set<string>>} Live node IDs
+ */
+export const getLiveNodes = async (nodeIds) => {
+    const unique = [...new Set(nodeIds.filter(Boolean))];
+    if (unique.length === 0) return new Set();
+
+    const values = await redisClient.mget(unique.map(id => `${NODE_KEY_PREFIX}${id}`));
+    return new Set(unique.filter((id, index) => values[index] !== null));
+};
+
+export default {
+    NODE_ID,
+    startNodeHeartbeat,
+    stopNodeHeartbeat,
+    onNodeFailure,
+    getLiveNodes
+};
@@ -1,7 +1,46 @@
 import redisClient from '../config/redis.js';
+import { NODE_ID, getLiveNodes, onNodeFailure } from './nodeRegistry.js';
 
-// User presence tracking
-const userSockets = new Map(); // userId -> Set of socketIds
+/**
+ * User presence tracking
+ * Presence is kept in Redis so every call-service node agrees on who is online:
+ * - `user:<userId>:sockets` set of the user's socket IDs (on any node)
+ * - `socket:<socketId>` hash with userId, role, connectedAt and the owning node
+ * - `call-service:node:<nodeId>:sockets` set of sockets registered on each node
+ * - `user:<userId>:online` flag, kept for readers that only check the flag
+ *
+ * A user is online while at least one of their sockets belongs to a live node.
+ */
+
+const PRESENCE_TTL_SECONDS = 7200; // 2 hours
+
+const nodeSocketsKey = (nodeId) => `call-service:node:${nodeId}:sockets`;
+
+/**
+ * Remove a socket's presence records
+ */
+const removeSocket = async (userId, socketId, nodeId) => {
+    await redisClient
+        .multi()
+        .srem(`user:${userId}:sockets`, socketId)
+        .srem(nodeSocketsKey(nodeId), socketId)
+        .del(`socket:${socketId}`)
+        .exec();
+};
+
+/**
+ * Mark a user offline once their last live socket is gone
+ */
+const markOfflineIfNoSockets = async (io, userId) => {
+    const sockets = await getUserSockets(userId);
+    if (sockets.length === 0) {
+        // User fully offline
+        await redisClient.del(`user:${userId}:online`);
+        io.emit('user-offline', { userId });
+        return true;
+    }
+    return false;
+};
 
 /**
  * Setup presence tracking handlers
@@ -22,23 +61,21 @@ export const setupPresenceHandlers = (io, socket) => {
         // Join user's personal room for direct messages
         socket.join(`user_${userId}`);
 
-        // Track in memory
-        if (!userSockets.has(userId)) {
-            userSockets.set(userId, new Set());
-        }
-        userSockets.get(userId).add(socket.id);
-
         // Store in Redis
-        await redisClient.sadd(`user:${userId}:sockets`, socket.id);
-        await redisClient.hset(`socket:${socket.id}`, {
-            userId: userId.toString(),
-            role: role || 'unknown',
-            connectedAt: new Date().toISOString()
-        });
-        await redisClient.expire(`socket:${socket.id}`, 7200); // 2 hour TTL
-
-        // Set user as online
-        await redisClient.set(`user:${userId}:online`, 'true', 'EX', 7200);
+        await redisClient
+            .multi()
+            .sadd(`user:${userId}:sockets`, socket.id)
+            .hset(`socket:${socket.id}`, {
+                userId: userId.toString(),
+                role: role || 'unknown',
+                connectedAt: new Date().toISOString(),
+                node: NODE_ID
+            })
+            .expire(`socket:${socket.id}`, PRESENCE_TTL_SECONDS)
+            .sadd(nodeSocketsKey(NODE_ID), socket.id)
+            // Set user as online
+            .set(`user:${userId}:online`, 'true', 'EX', PRESENCE_TTL_SECONDS)
+            .exec();
 
         console.log(`[Call Service] User ${userId} (${role}) registered presence, socket: ${socket.id}`);
 
@@ -54,8 +91,7 @@ export const setupPresenceHandlers = (io, socket) => {
         const onlineUsers = [];
 
         for (const userId of userIds) {
-            const isOnline = await redisClient.get(`user:${userId}:online`);
-            if (isOnline === 'true') {
+            if (await isUserOnline(userId)) {
                 onlineUsers.push(userId);
             }
         }
@@ -74,52 +110,75 @@ export const setupPresenceHandlers = (io, socket) => {
         if (socket.userId) {
             const userId = socket.userId;
 
-            // Remove from memory
-            const sockets = userSockets.get(userId);
-            if (sockets) {
-                sockets.delete(socket.id);
-                if (sockets.size === 0) {
-                    userSockets.delete(userId);
-                    // User fully offline
-                    await redisClient.del(`user:${userId}:online`);
-                    io.emit('user-offline', { userId });
-                }
-            }
-
-            // Clean up Redis
-            await redisClient.srem(`user:${userId}:sockets`, socket.id);
-            await redisClient.del(`socket:${socket.id}`);
+            await removeSocket(userId, socket.id, NODE_ID);
+            await markOfflineIfNoSockets(io, userId);
 
             console.log(`[Call Service] User ${userId} disconnected, socket: ${socket.id}`);
         }
     });
 };
 
+/**
+ * Clear presence for sockets owned by a node that died without disconnecting them
+ * Registered once at startup; runs on whichever surviving node claims the cleanup.
+ */
+export const setupPresenceRecovery = (io) => {
+    onNodeFailure(async (nodeId) => {
+        const socketIds = await redisClient.smembers(nodeSocketsKey(nodeId));
+        const affectedUsers = new Set();
+
+        for (const socketId of socketIds) {
+            const userId = await redisClient.hget(`socket:${socketId}`, 'userId');
+            if (userId) {
+                await removeSocket(userId, socketId, nodeId);
+                affectedUsers.add(userId);
+            }
+        }
+        await redisClient.del(nodeSocketsKey(nodeId));
+
+        let offline = 0;
+        for (const userId of affectedUsers) {
+            if (await markOfflineIfNoSockets(io, userId)) offline++;
+        }
+
+        console.log(`[Call Service] Cleared ${socketIds.length} socket(s) from node ${nodeId}, ${offline} user(s) now offline`);
+    });
+};
+
 /**
  * Check if user is online
  */
 export const isUserOnline = async (userId) => {
-    // Check memory first
-    const sockets = userSockets.get(userId);
-    if (sockets && sockets.size > 0) return true;
-
-    // Check Redis
-    const online = await redisClient.get(`user:${userId}:online`);
-    return online === 'true';
+    const sockets = await getUserSockets(userId);
+    return sockets.length > 0;
 };
 
 /**
- * Get all sockets for a user
+ * Get all live sockets for a user (across nodes)
+ * Sockets whose node has stopped heartbeating are pruned.
  */
 export const getUserSockets = async (userId) => {
-    // Check memory first
-    const sockets = userSockets.get(userId);
-    if (sockets && sockets.size > 0) {
-        return Array.from(sockets);
+    const socketIds = await redisClient.smembers(`user:${userId}:sockets`);
+    if (socketIds.length === 0) return [];
+
+    const nodes = await Promise.all(
+        socketIds.map(socketId => redisClient.hget(`socket:${socketId}`, 'node'))
+    );
+    const liveNodes = await getLiveNodes(nodes);
+
+    const live = [];
+    for (let i = 0; i < socketIds.length; i++) {
+        if (liveNodes.has(nodes[i])) {
+            live.push(socketIds[i]);
+        } else {
+            await removeSocket(userId, socketIds[i], nodes[i] || NODE_ID);
+        }
     }
 
-    // Check Redis
-    return await redisClient.smembers(`user:${userId}:sockets`);
+    if (live.length === 0) {
+        await redisClient.del(`user:${userId}:online`);
+    }
+    return live;
 };
 
 /**
@@ -131,6 +190,7 @@ export const sendToUser = (io, userId, event, data) => {
 
 export default {
     setupPresenceHandlers,
+    setupPresenceRecovery,
     isUserOnline,
     getUserSockets,
     sendToUser
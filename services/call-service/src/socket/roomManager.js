@@ -1,12 +1,18 @@
 import { v4 as uuidv4 } from 'uuid';
 import redisClient from '../config/redis.js';
-import pool from '../config/database.js';
-
-// In-memory room state (backed by Redis for persistence)
-const rooms = new Map();
+import { NODE_ID, getLiveNodes } from './nodeRegistry.js';
 
 /**
- * Room data structure:
+ * Room state lives in Redis so every call-service process sees the same rooms:
+ * - `room:<roomId>` hash: id, meetingId, createdAt, timerStarted, timerStartedAt, participantCount
+ * - `room:<roomId>:participants` hash: socketId -> JSON { peerId, role, userId, joinedAt, node }
+ * - `socket:<socketId>:room`: the room a socket is in
+ * - `call-service:rooms` set: index of active room IDs
+ *
+ * Participants record the node their socket is connected to; entries from nodes whose
+ * heartbeat has expired are pruned on read.
+ *
+ * Room data structure returned to callers:
  * {
  *   id: string (UUID),
  *   meetingId: number,
@@ -17,76 +23,105 @@ const rooms = new Map();
  * }
  */
 
+const ROOM_TTL_SECONDS = 7200; // 2 hours
+const ROOMS_INDEX_KEY = 'call-service:rooms';
+
+const roomKey = (roomId) => `room:${roomId}`;
+const participantsKey = (roomId) => `room:${roomId}:participants`;
+
+/**
+ * Load a room's participants, dropping any left behind by a dead node
+ */
+const loadParticipants = async (roomId) => {
+    const raw = await redisClient.hgetall(participantsKey(roomId));
+    const entries = Object.entries(raw || {}).map(([socketId, json]) => [socketId, JSON.parse(json)]);
+
+    const liveNodes = await getLiveNodes(entries.map(([, p]) => p.node));
+    const participants = new Map();
+    const stale = [];
+
+    for (const [socketId, participant] of entries) {
+        if (liveNodes.has(participant.node)) {
+            participants.set(socketId, {
+                ...participant,
+                joinedAt: new Date(participant.joinedAt)
+            });
+        } else {
+            stale.push(socketId);
+        }
+    }
+
+    if (stale.length > 0) {
+        await redisClient.hdel(participantsKey(roomId), ...stale);
+        await redisClient.del(...stale.map(socketId => `socket:${socketId}:room`));
+        await redisClient.hset(roomKey(roomId), 'participantCount', participants.size.toString());
+        console.log(`[Call Service] Pruned ${stale.length} stale participant(s) from room ${roomId}`);
+    }
+
+    return participants;
+};
+
 export const createRoom = async (roomId) => {
     if (!roomId) {
         roomId = uuidv4();
     }
 
-    const room = {
-        id: roomId,
-        meetingId: null,
-        participants: new Map(),
-        createdAt: new Date(),
-        timerStarted: false,
-        timerStartedAt: null
-    };
-
-    rooms.set(roomId, room);
-
-    // Persist to Redis
-    await redisClient.hset(`room:${roomId}`, {
-        id: roomId,
-        createdAt: room.createdAt.toISOString(),
-        timerStarted: 'false',
-        participantCount: '0'
-    });
-    await redisClient.expire(`room:${roomId}`, 7200); // 2 hours TTL
+    // Another node may be creating the same room concurrently
+    const created = await redisClient.hsetnx(roomKey(roomId), 'id', roomId);
+    if (created === 1) {
+        await redisClient
+            .multi()
+            .hset(roomKey(roomId), {
+                createdAt: new Date().toISOString(),
+                timerStarted: 'false',
+                participantCount: '0'
+            })
+            .expire(roomKey(roomId), ROOM_TTL_SECONDS)
+            .sadd(ROOMS_INDEX_KEY, roomId)
+            .exec();
+
+        console.log(`[Call Service] Room created: ${roomId}`);
+    }
 
-    console.log(`[Call Service] Room created: ${roomId}`);
-    return room;
+    return getRoom(roomId);
 };
 
 export const getRoom = async (roomId) => {
-    // Check memory first
-    if (rooms.has(roomId)) {
-        return rooms.get(roomId);
+    const roomData = await redisClient.hgetall(roomKey(roomId));
+    if (!roomData || !roomData.id) {
+        return null;
     }
 
-    // Check Redis
-    const roomData = await redisClient.hgetall(`room:${roomId}`);
-    if (roomData && roomData.id) {
-        const room = {
-            id: roomData.id,
-            meetingId: roomData.meetingId ? parseInt(roomData.meetingId) : null,
-            participants: new Map(),
-            createdAt: new Date(roomData.createdAt),
-            timerStarted: roomData.timerStarted === 'true',
-            timerStartedAt: roomData.timerStartedAt ? new Date(roomData.timerStartedAt) : null
-        };
-        rooms.set(roomId, room);
-        return room;
-    }
-
-    return null;
+    return {
+        id: roomData.id,
+        meetingId: roomData.meetingId ? parseInt(roomData.meetingId) : null,
+        participants: await loadParticipants(roomId),
+        createdAt: roomData.createdAt ? new Date(roomData.createdAt) : new Date(),
+        timerStarted: roomData.timerStarted === 'true',
+        timerStartedAt: roomData.timerStartedAt ? new Date(roomData.timerStartedAt) : null
+    };
 };
 
 export const joinRoom = async (roomId, socketId, participantData) => {
-    let room = await getRoom(roomId);
-
-    if (!room) {
-        room = await createRoom(roomId);
+    const existing = await redisClient.exists(roomKey(roomId));
+    if (!existing) {
+        await createRoom(roomId);
     }
 
-    room.participants.set(socketId, {
-        ...participantData,
-        joinedAt: new Date()
-    });
-
-    // Update Redis
-    await redisClient.hset(`room:${roomId}`, 'participantCount', room.participants.size.toString());
+    await redisClient
+        .multi()
+        .hset(participantsKey(roomId), socketId, JSON.stringify({
+            ...participantData,
+            joinedAt: new Date().toISOString(),
+            node: NODE_ID
+        }))
+        .expire(participantsKey(roomId), ROOM_TTL_SECONDS)
+        // Store participant mapping
+        .set(`socket:${socketId}:room`, roomId, 'EX', ROOM_TTL_SECONDS)
+        .exec();
 
-    // Store participant mapping
-    await redisClient.set(`socket:${socketId}:room`, roomId, 'EX', 7200);
+    const room = await getRoom(roomId);
+    await redisClient.hset(roomKey(roomId), 'participantCount', room.participants.size.toString());
 
     console.log(`[Call Service] User joined room ${roomId}, total participants: ${room.participants.size}`);
     return room;
@@ -99,16 +134,16 @@ export const leaveRoom = async (roomId, socketId) => {
     const participant = room.participants.get(socketId);
     room.participants.delete(socketId);
 
-    // Update Redis
-    await redisClient.hset(`room:${roomId}`, 'participantCount', room.participants.size.toString());
+    await redisClient.hdel(participantsKey(roomId), socketId);
     await redisClient.del(`socket:${socketId}:room`);
+    await redisClient.hset(roomKey(roomId), 'participantCount', room.participants.size.toString());
 
     console.log(`[Call Service] User left room ${roomId}, remaining participants: ${room.participants.size}`);
 
     // Clean up empty rooms
     if (room.participants.size === 0) {
-        rooms.delete(roomId);
-        await redisClient.del(`room:${roomId}`);
+        await redisClient.del(roomKey(roomId), participantsKey(roomId));
+        await redisClient.srem(ROOMS_INDEX_KEY, roomId);
         console.log(`[Call Service] Room ${roomId} deleted (empty)`);
     }
 
@@ -127,28 +162,24 @@ export const getParticipantCount = async (roomId) => {
 };
 
 export const setMeetingId = async (roomId, meetingId) => {
-    const room = await getRoom(roomId);
-    if (room) {
-        room.meetingId = meetingId;
-        await redisClient.hset(`room:${roomId}`, 'meetingId', meetingId.toString());
+    const exists = await redisClient.exists(roomKey(roomId));
+    if (exists) {
+        await redisClient.hset(roomKey(roomId), 'meetingId', meetingId.toString());
     }
 };
 
 export const startTimer = async (roomId) => {
-    const room = await getRoom(roomId);
-    if (room && !room.timerStarted) {
-        room.timerStarted = true;
-        room.timerStartedAt = new Date();
-
-        await redisClient.hset(`room:${roomId}`, {
-            timerStarted: 'true',
-            timerStartedAt: room.timerStartedAt.toISOString()
-        });
-
+    // HSETNX so only the first caller (on any node) marks the timer as started
+    const startedAt = new Date();
+    const claimed = await redisClient.hsetnx(roomKey(roomId), 'timerStartedAt', startedAt.toISOString());
+    if (claimed === 1) {
+        await redisClient.hset(roomKey(roomId), 'timerStarted', 'true');
         console.log(`[Call Service] Timer started for room ${roomId}`);
-        return room.timerStartedAt;
+        return startedAt;
     }
-    return room?.timerStartedAt || null;
+
+    const existing = await redisClient.hget(roomKey(roomId), 'timerStartedAt');
+    return existing ? new Date(existing) : null;
 };
 
 export const getTimerState = async (roomId) => {
@@ -162,13 +193,26 @@ export const getTimerState = async (roomId) => {
     };
 };
 
-export const getAllRooms = () => {
-    return Array.from(rooms.entries()).map(([id, room]) => ({
-        id,
-        participantCount: room.participants.size,
-        timerStarted: room.timerStarted,
-        createdAt: room.createdAt
-    }));
+export const getAllRooms = async () => {
+    const roomIds = await redisClient.smembers(ROOMS_INDEX_KEY);
+    const rooms = [];
+
+    for (const roomId of roomIds) {
+        const room = await getRoom(roomId);
+        if (!room) {
+            // Room hash expired without a clean leave
+            await redisClient.srem(ROOMS_INDEX_KEY, roomId);
+            continue;
+        }
+        rooms.push({
+            id: room.id,
+            participantCount: room.participants.size,
+            timerStarted: room.timerStarted,
+            createdAt: room.createdAt
+        });
+    }
+
+    return rooms;
 };
 
 export default {
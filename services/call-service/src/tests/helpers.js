@@ -0,0 +1,55 @@
+/**
+ * Test helpers
+ * The service's Redis clients connect as soon as they are imported; tests close them and
+ * point the commands the service uses at an in-memory ioredis-mock instead.
+ */
+import RedisMock from 'ioredis-mock';
+import { pubClient, subClient, redisClient } from '../config/redis.js';
+
+for (const client of [pubClient, subClient, redisClient]) {
+    client.disconnect();
+}
+
+const COMMANDS = [
+    'get', 'set', 'mget', 'del', 'exists', 'expire', 'type', 'scan', 'eval',
+    'hget', 'hset', 'hsetnx', 'hgetall', 'hdel',
+    'sadd', 'srem', 'smembers',
+    'multi'
+];
+
+/**
+ * Route the shared client's commands to a fresh in-memory Redis for the duration of a test
+ * @param {import('node:test').TestContext} t
+ * @returns {Promise<RedisMock>} The fake, for arranging and inspecting state
+ */
+export const useFakeRedis = async (t) => {
+    const fake = new RedisMock();
+    await fake.flushall();
+    for (const command of COMMANDS) {
+        t.mock.method(redisClient, command, (...args) => fake[command](...args));
+    }
+    return fake;
+};
+
+/**
+ * Socket.IO server stand-in that records what is emitted to each room
+ * @returns {{to: Function, emit: Function, emitted: Array<{room: string|null, event: string, data: Object}>}}
+ */
+export const createFakeIo = () => {
+    const emitted = [];
+    return {
+        emitted,
+        to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) }),
+        emit: (event, data) => emitted.push({ room: null, event, data })
+    };
+};
+
+/**
+ * Let background work started without an awaitable promise (the timer tick) run to completion
+ * @param {number} [rounds]
+ */
+export const settle = async (rounds = 20) => {
+    for (let i = 0; i < rounds; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+};
@@ -0,0 +1,149 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useFakeRedis, createFakeIo, settle } from './helpers.js';
+import pool from '../config/database.js';
+import redisClient from '../config/redis.js';
+import { NODE_ID } from '../socket/nodeRegistry.js';
+import {
+    startMeetingTimer,
+    endMeetingTimer,
+    getRemainingTime,
+    isTimerRunning,
+    recoverTimers,
+    startTimerLoop,
+    stopTimerLoop
+} from '../timer/meetingTimer.js';
+
+const MINUTE = 60 * 1000;
+
+// A timer as startMeetingTimer writes it, started `elapsedMs` ago with the default 40/5/1 minutes
+const timerHash = (elapsedMs, flags = {}) => {
+    const startTime = Date.now() - elapsedMs;
+    return {
+        startTime: String(startTime),
+        meetingId: '42',
+        endTime: String(startTime + 40 * MINUTE),
+        durationMs: String(40 * MINUTE),
+        warning1Ms: String(35 * MINUTE),
+        warning2Ms: String(39 * MINUTE),
+        warning1Minutes: '5',
+        warning2Minutes: '1',
+        ...flags
+    };
+};
+
+const eventsOf = (io, event) => io.emitted.filter(e => e.event === event);
+
+describe('meeting timer', () => {
+    let redis;
+    let io;
+
+    beforeEach(async (t) => {
+        redis = await useFakeRedis(t);
+        io = createFakeIo();
+        t.mock.method(pool, 'query', async () => ({ rows: [], rowCount: 1 }));
+    });
+
+    afterEach(async () => {
+        await stopTimerLoop();
+    });
+
+    it('starts a timer once, however many participants start it', async () => {
+        const first = await startMeetingTimer(io, 'room-1', 42);
+        const second = await startMeetingTimer(io, 'room-1', 42);
+
+        assert.equal(first.endTime - first.startTime, 40 * MINUTE);
+        assert.deepEqual(second, first);
+        assert.equal(eventsOf(io, 'meeting-timer-start').length, 1);
+        assert.deepEqual(await redis.smembers('call-service:active-timers'), ['room-1']);
+        assert.equal(await isTimerRunning('room-1'), true);
+        assert.ok(await getRemainingTime('room-1') > 39 * MINUTE);
+    });
+
+    it('sends each due warning once across ticks', async () => {
+        await redis.hset('timer:room-1', timerHash(36 * MINUTE));
+        await redis.sadd('call-service:active-timers', 'room-1');
+
+        startTimerLoop(io);
+        await settle();
+        await stopTimerLoop();
+        startTimerLoop(io);
+        await settle();
+
+        const warnings = eventsOf(io, 'meeting-timer-warning');
+        assert.equal(warnings.length, 1);
+        assert.equal(warnings[0].data.remainingMinutes, 5);
+        assert.equal(await redis.hget('timer:room-1', 'warned1'), '1');
+    });
+
+    it('does not bring back a timer that ended while its warning was due', async () => {
+        await redis.hset('timer:room-1', timerHash(36 * MINUTE));
+        await redis.sadd('call-service:active-timers', 'room-1');
+        // The call ends on another instance between reading the timer and claiming the warning
+        redisClient.hgetall.mock.mockImplementation(async (key) => {
+            const data = await redis.hgetall(key);
+            await redis.del(key);
+            return data;
+        });
+
+        startTimerLoop(io);
+        await settle();
+
+        assert.equal(eventsOf(io, 'meeting-timer-warning').length, 0);
+        assert.equal(await redis.exists('timer:room-1'), 0);
+    });
+
+    it('ends an expired timer and marks the meeting completed', async () => {
+        await redis.hset('timer:room-1', timerHash(41 * MINUTE));
+        await redis.sadd('call-service:active-timers', 'room-1');
+
+        startTimerLoop(io);
+        await settle();
+
+        assert.equal(eventsOf(io, 'meeting-auto-end').length, 1);
+        assert.equal(eventsOf(io, 'meeting-auto-end')[0].data.reason, 'timer_expired');
+        assert.equal(await isTimerRunning('room-1'), false);
+        assert.deepEqual(pool.query.mock.calls.at(-1).arguments[1], ['completed', 42]);
+    });
+
+    it('leaves timers alone while another instance holds the lease', async () => {
+        await redis.set('call-service:timer-lease', 'other-node:1', 'PX', 15000);
+        await redis.hset('timer:room-1', timerHash(41 * MINUTE));
+        await redis.sadd('call-service:active-timers', 'room-1');
+
+        startTimerLoop(io);
+        await settle();
+
+        assert.equal(io.emitted.length, 0);
+        assert.equal(await isTimerRunning('room-1'), true);
+    });
+
+    it('hands the lease back on stop', async () => {
+        startTimerLoop(io);
+        await settle();
+        assert.equal(await redis.get('call-service:timer-lease'), NODE_ID);
+
+        await stopTimerLoop();
+        assert.equal(await redis.get('call-service:timer-lease'), null);
+    });
+
+    it('announces an expiry only once when two callers end the same timer', async () => {
+        await redis.hset('timer:room-1', timerHash(41 * MINUTE));
+
+        await endMeetingTimer(io, 'room-1', 42, 'timer_expired');
+        await endMeetingTimer(io, 'room-1', 42, 'timer_expired');
+
+        assert.equal(eventsOf(io, 'meeting-auto-end').length, 1);
+    });
+
+    it('rebuilds the active timer index from persisted timers on startup', async () => {
+        await redis.hset('timer:room-1', timerHash(10 * MINUTE));
+        await redis.hset('timer:room-2', timerHash(41 * MINUTE));
+
+        await recoverTimers(io);
+        await settle();
+
+        assert.deepEqual(await redis.smembers('call-service:active-timers'), ['room-1']);
+        assert.deepEqual(eventsOf(io, 'meeting-auto-end').map(e => e.room), ['room-2']);
+    });
+});
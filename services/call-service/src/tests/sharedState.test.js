@@ -0,0 +1,149 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useFakeRedis, createFakeIo } from './helpers.js';
+import { NODE_ID, startNodeHeartbeat, stopNodeHeartbeat } from '../socket/nodeRegistry.js';
+import {
+    joinRoom,
+    leaveRoom,
+    getRoom,
+    getRoomBySocketId,
+    startTimer,
+    getAllRooms
+} from '../socket/roomManager.js';
+import {
+    setupPresenceHandlers,
+    setupPresenceRecovery,
+    isUserOnline,
+    getUserSockets
+} from '../socket/presence.js';
+
+const DEAD_NODE = 'gone-host:1234';
+
+const createFakeSocket = (id) => {
+    const handlers = {};
+    return {
+        id,
+        on: (event, handler) => { handlers[event] = handler; },
+        join: () => {},
+        emit: () => {},
+        trigger: (event, data) => handlers[event](data)
+    };
+};
+
+let redis;
+
+beforeEach(async (t) => {
+    redis = await useFakeRedis(t);
+    await redis.set(`call-service:node:${NODE_ID}`, 'alive');
+});
+
+describe('room manager', () => {
+    it('shares participants through Redis and prunes those of dead nodes', async () => {
+        await joinRoom('room-1', 'socket-a', { peerId: 'peer-a', role: 'volunteer', userId: 1 });
+        await redis.hset('room:room-1:participants', 'socket-z', JSON.stringify({
+            peerId: 'peer-z', role: 'student', userId: 2, joinedAt: new Date().toISOString(), node: DEAD_NODE
+        }));
+
+        const room = await getRoom('room-1');
+
+        assert.deepEqual([...room.participants.keys()], ['socket-a']);
+        assert.equal(await redis.hexists('room:room-1:participants', 'socket-z'), 0);
+        assert.equal(await redis.hget('room:room-1', 'participantCount'), '1');
+        assert.equal((await getRoomBySocketId('socket-a')).id, 'room-1');
+    });
+
+    it('deletes a room when its last participant leaves', async () => {
+        await joinRoom('room-1', 'socket-a', { userId: 1 });
+        await joinRoom('room-1', 'socket-b', { userId: 2 });
+
+        await leaveRoom('room-1', 'socket-a');
+        assert.equal((await getRoom('room-1')).participants.size, 1);
+
+        await leaveRoom('room-1', 'socket-b');
+        assert.equal(await getRoom('room-1'), null);
+        assert.deepEqual(await getAllRooms(), []);
+    });
+
+    it('marks the room timer started once', async () => {
+        await joinRoom('room-1', 'socket-a', { userId: 1 });
+
+        const first = await startTimer('room-1');
+        const second = await startTimer('room-1');
+
+        assert.equal(second.getTime(), first.getTime());
+        assert.equal((await getRoom('room-1')).timerStarted, true);
+    });
+
+    it('drops index entries for rooms that expired without a clean leave', async () => {
+        await redis.sadd('call-service:rooms', 'expired-room');
+        assert.deepEqual(await getAllRooms(), []);
+        assert.deepEqual(await redis.smembers('call-service:rooms'), []);
+    });
+});
+
+describe('presence', () => {
+    let io;
+
+    beforeEach(() => {
+        io = createFakeIo();
+    });
+
+    afterEach(async () => {
+        await stopNodeHeartbeat();
+    });
+
+    it('keeps a user online until their last socket disconnects', async () => {
+        const phone = createFakeSocket('socket-phone');
+        const laptop = createFakeSocket('socket-laptop');
+        setupPresenceHandlers(io, phone);
+        setupPresenceHandlers(io, laptop);
+
+        await phone.trigger('register-presence', { userId: 7, role: 'student' });
+        await laptop.trigger('register-presence', { userId: 7, role: 'student' });
+        await phone.trigger('disconnect');
+        assert.equal(await isUserOnline(7), true);
+
+        await laptop.trigger('disconnect');
+        assert.equal(await isUserOnline(7), false);
+        assert.deepEqual(io.emitted.filter(e => e.event === 'user-offline').map(e => e.data), [{ userId: 7 }]);
+    });
+
+    it('ignores sockets whose node stopped heartbeating', async () => {
+        await redis.sadd('user:7:sockets', 'socket-dead');
+        await redis.hset('socket:socket-dead', { userId: '7', node: DEAD_NODE });
+        await redis.set('user:7:online', 'true');
+
+        assert.deepEqual(await getUserSockets(7), []);
+        assert.equal(await redis.exists('user:7:online'), 0);
+    });
+
+    it('clears a dead node\'s sockets once, on the node that notices', async () => {
+        setupPresenceRecovery(io);
+        await redis.sadd('call-service:nodes', DEAD_NODE);
+        await redis.sadd(`call-service:node:${DEAD_NODE}:sockets`, 'socket-dead');
+        await redis.sadd('user:7:sockets', 'socket-dead');
+        await redis.hset('socket:socket-dead', { userId: '7', node: DEAD_NODE });
+
+        await startNodeHeartbeat();
+
+        assert.deepEqual(await redis.smembers('call-service:nodes'), [NODE_ID]);
+        assert.equal(await redis.exists(`call-service:node:${DEAD_NODE}:sockets`), 0);
+        assert.deepEqual(io.emitted.filter(e => e.event === 'user-offline').map(e => e.data), [{ userId: '7' }]);
+    });
+
+    it('cleans up after the previous run of a restarted container, which had the same hostname and pid', async () => {
+        const previousBoot = `${NODE_ID.split(':').slice(0, 2).join(':')}:0a1b2c3d`;
+        assert.notEqual(previousBoot, NODE_ID);
+
+        setupPresenceRecovery(io);
+        await redis.sadd('call-service:nodes', previousBoot);
+        await redis.sadd(`call-service:node:${previousBoot}:sockets`, 'socket-before-restart');
+        await redis.sadd('user:7:sockets', 'socket-before-restart');
+        await redis.hset('socket:socket-before-restart', { userId: '7', node: previousBoot });
+
+        await startNodeHeartbeat();
+
+        assert.equal(await redis.exists(`call-service:node:${previousBoot}:sockets`), 0);
+        assert.equal(await isUserOnline(7), false);
+    });
+});
@@ -1,9 +1,55 @@
 import redisClient from '../config/redis.js';
 import pool from '../config/database.js';
 import { getTimerConfig } from '../config/appConfig.js';
+import { NODE_ID as INSTANCE_ID } from '../socket/nodeRegistry.js';
 
-// Active timers map
-const activeTimers = new Map();
+/**
+ * Meeting timer
+ *
+ * Timer state lives entirely in Redis so it survives restarts and is shared by every replica:
+ * - `timer:<roomId>` hash holds the schedule plus one-shot flags (warned1, warned2)
+ * - `call-service:active-timers` set indexes the rooms with a running timer
+ *
+ * Every replica runs the same tick loop, but only the replica holding the
+ * `call-service:timer-lease` key acts on it. The lease is renewed on every tick and
+ * expires on its own if the owner dies, so another replica takes over within one TTL.
+ * Warnings are claimed with HSETNX (only while the hash still exists) and auto-end with DEL,
+ * so each fires exactly once even if ownership changes mid-tick.
+ */
+
+const TIMER_KEY_PREFIX = 'timer:';
+const ACTIVE_TIMERS_KEY = 'call-service:active-timers';
+const LEASE_KEY = 'call-service:timer-lease';
+
+const TICK_INTERVAL_MS = 5000;
+const LEASE_TTL_MS = 15000;
+const TIMER_TTL_BUFFER_SECONDS = 3600; // Keep state an hour past the scheduled end
+
+// Renew/release the lease only if this instance still owns it
+const RENEW_LEASE_SCRIPT = `
+    if redis.call('GET', KEYS[1]) == ARGV[1] then
+        return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+    end
+    return 0
+`;
+// Set a warning flag only on a timer that still exists: a bare HSETNX after endMeetingTimer's
+// DEL would recreate the hash without a TTL or startTime, and nothing would ever remove it
+const CLAIM_WARNING_SCRIPT = `
+    if redis.call('EXISTS', KEYS[1]) == 1 then
+        return redis.call('HSETNX', KEYS[1], ARGV[1], '1')
+    end
+    return 0
+`;
+const RELEASE_LEASE_SCRIPT = `
+    if redis.call('GET', KEYS[1]) == ARGV[1] then
+        return redis.call('DEL', KEYS[1])
+    end
+    return 0
+`;
+
+// Tick loop handle (one per process)
+let tickIntervalId = null;
+let tickInProgress = false;
 
 // Cached config (refreshed periodically)
 let timerConfig = null;
@@ -23,82 +69,152 @@ async function getConfig() {
     return timerConfig;
 }
 
+const timerKey = (roomId) => `${TIMER_KEY_PREFIX}${roomId}`;
+
 /**
- * Start the meeting timer for a room
- * Emits warnings at configured intervals, then auto-ends
+ * Parse a `timer:<roomId>` hash into a timer state object
  */
-export const startMeetingTimer = async (io, roomId, meetingId) => {
-    // Don't start if already running
-    if (activeTimers.has(roomId)) {
-        console.log(`[Call Service] Timer already running for room ${roomId}`);
-        return activeTimers.get(roomId);
-    }
-
-    // Get configurable timer settings
-    const config = await getConfig();
-    const { durationMs, warning1Ms, warning2Ms, warning1Minutes, warning2Minutes, durationMinutes } = config;
-
-    const startTime = Date.now();
-    const timerState = {
+function parseTimerState(roomId, data) {
+    if (!data || !data.endTime) return null;
+    return {
         roomId,
-        meetingId,
-        startTime,
-        endTime: startTime + durationMs,
-        warned5min: false,  // Keeping legacy names for compatibility
-        warned1min: false,
-        config
+        meetingId: data.meetingId ? parseInt(data.meetingId) : null,
+        startTime: parseInt(data.startTime),
+        endTime: parseInt(data.endTime),
+        durationMs: parseInt(data.durationMs),
+        warning1Ms: parseInt(data.warning1Ms),
+        warning2Ms: parseInt(data.warning2Ms),
+        warning1Minutes: parseInt(data.warning1Minutes),
+        warning2Minutes: parseInt(data.warning2Minutes),
+        warned1: data.warned1 === '1',
+        warned2: data.warned2 === '1'
     };
+}
 
-    // Store timer state in Redis for persistence
-    redisClient.hset(`timer:${roomId}`, {
-        meetingId: meetingId?.toString() || '',
-        startTime: startTime.toString(),
-        endTime: timerState.endTime.toString(),
-        durationMs: durationMs.toString(),
-        warning1Ms: warning1Ms.toString(),
-        warning2Ms: warning2Ms.toString()
+/**
+ * Acquire the expiry lease, or renew it if this instance already holds it
+ * @returns {Promise<boolean>} True if this instance owns timer expiry
+ */
+async function acquireLease() {
+    const acquired = await redisClient.set(LEASE_KEY, INSTANCE_ID, 'PX', LEASE_TTL_MS, 'NX');
+    if (acquired === 'OK') {
+        console.log(`[Call Service] Timer lease acquired by ${INSTANCE_ID}`);
+        return true;
+    }
+    const renewed = await redisClient.eval(RENEW_LEASE_SCRIPT, 1, LEASE_KEY, INSTANCE_ID, LEASE_TTL_MS);
+    return renewed === 1;
+}
+
+/**
+ * Emit a timer warning once, claiming it atomically in Redis
+ */
+async function emitWarningOnce(io, timer, flag, remainingMinutes) {
+    const claimed = await redisClient.eval(CLAIM_WARNING_SCRIPT, 1, timerKey(timer.roomId), flag);
+    if (claimed !== 1) return;
+
+    io.to(timer.roomId).emit('meeting-timer-warning', {
+        roomId: timer.roomId,
+        meetingId: timer.meetingId,
+        remainingMs: Math.max(0, timer.endTime - Date.now()),
+        remainingMinutes,
+        message: `${remainingMinutes} minute${remainingMinutes === 1 ? '' : 's'} remaining in the call`
     });
-    redisClient.expire(`timer:${roomId}`, 3600); // 1 hour TTL
-
-    // Main timer loop - check every 10 seconds
-    const intervalId = setInterval(async () => {
-        const elapsed = Date.now() - startTime;
-        const remaining = durationMs - elapsed;
-
-        // First warning (e.g., 5 minutes remaining)
-        if (!timerState.warned5min && elapsed >= warning1Ms) {
-            timerState.warned5min = true;
-            io.to(roomId).emit('meeting-timer-warning', {
-                roomId,
-                meetingId,
-                remainingMs: remaining,
-                remainingMinutes: warning1Minutes,
-                message: `${warning1Minutes} minutes remaining in the call`
-            });
-            console.log(`[Call Service] ${warning1Minutes}-minute warning sent for room ${roomId}`);
-        }
+    console.log(`[Call Service] ${remainingMinutes}-minute warning sent for room ${timer.roomId}`);
+}
 
-        // Second warning (e.g., 1 minute remaining)
-        if (!timerState.warned1min && elapsed >= warning2Ms) {
-            timerState.warned1min = true;
-            io.to(roomId).emit('meeting-timer-warning', {
-                roomId,
-                meetingId,
-                remainingMs: remaining,
-                remainingMinutes: warning2Minutes,
-                message: `${warning2Minutes} minute${warning2Minutes === 1 ? '' : 's'} remaining in the call`
-            });
-            console.log(`[Call Service] ${warning2Minutes}-minute warning sent for room ${roomId}`);
+/**
+ * Process a single timer: send due warnings and auto-end when expired
+ */
+async function processTimer(io, roomId) {
+    const data = await redisClient.hgetall(timerKey(roomId));
+    const timer = parseTimerState(roomId, data);
+    if (!timer) {
+        // State expired or was removed elsewhere; a bare claim older than a minute
+        // means the starting instance died before writing the schedule
+        if (data?.startTime && Date.now() - parseInt(data.startTime) > 60000) {
+            await redisClient.del(timerKey(roomId));
         }
+        await redisClient.srem(ACTIVE_TIMERS_KEY, roomId);
+        return;
+    }
 
-        // Timer expired - auto-end meeting
-        if (elapsed >= durationMs) {
-            await endMeetingTimer(io, roomId, meetingId, 'timer_expired');
+    const elapsed = Date.now() - timer.startTime;
+
+    if (elapsed >= timer.durationMs) {
+        await endMeetingTimer(io, roomId, timer.meetingId, 'timer_expired');
+        return;
+    }
+
+    // First warning (e.g., 5 minutes remaining)
+    if (!timer.warned1 && elapsed >= timer.warning1Ms) {
+        await emitWarningOnce(io, timer, 'warned1', timer.warning1Minutes);
+    }
+
+    // Second warning (e.g., 1 minute remaining)
+    if (!timer.warned2 && elapsed >= timer.warning2Ms) {
+        await emitWarningOnce(io, timer, 'warned2', timer.warning2Minutes);
+    }
+}
+
+/**
+ * One pass of the timer loop; only the lease owner does any work
+ */
+async function tick(io) {
+    if (tickInProgress) return;
+    tickInProgress = true;
+
+    try {
+        if (!(await acquireLease())) return;
+
+        const roomIds = await redisClient.smembers(ACTIVE_TIMERS_KEY);
+        for (const roomId of roomIds) {
+            try {
+                await processTimer(io, roomId);
+            } catch (error) {
+                console.error(`[Call Service] Error processing timer for room ${roomId}:`, error);
+            }
         }
-    }, 10000); // Check every 10 seconds
+    } catch (error) {
+        console.error('[Call Service] Timer tick error:', error);
+    } finally {
+        tickInProgress = false;
+    }
+}
 
-    timerState.intervalId = intervalId;
-    activeTimers.set(roomId, timerState);
+/**
+ * Start the meeting timer for a room
+ * Emits warnings at configured intervals, then auto-ends
+ */
+export const startMeetingTimer = async (io, roomId, meetingId) => {
+    const key = timerKey(roomId);
+
+    // Claim the room atomically - another participant or replica may be starting it too
+    const startTime = Date.now();
+    const created = await redisClient.hsetnx(key, 'startTime', startTime.toString());
+    if (created !== 1) {
+        console.log(`[Call Service] Timer already running for room ${roomId}`);
+        return parseTimerState(roomId, await redisClient.hgetall(key));
+    }
+
+    // Get configurable timer settings
+    const config = await getConfig();
+    const { durationMs, warning1Ms, warning2Ms, warning1Minutes, warning2Minutes, durationMinutes } = config;
+    const endTime = startTime + durationMs;
+
+    await redisClient
+        .multi()
+        .hset(key, {
+            meetingId: meetingId?.toString() || '',
+            endTime: endTime.toString(),
+            durationMs: durationMs.toString(),
+            warning1Ms: warning1Ms.toString(),
+            warning2Ms: warning2Ms.toString(),
+            warning1Minutes: warning1Minutes.toString(),
+            warning2Minutes: warning2Minutes.toString()
+        })
+        .expire(key, Math.ceil(durationMs / 1000) + TIMER_TTL_BUFFER_SECONDS)
+        .sadd(ACTIVE_TIMERS_KEY, roomId)
+        .exec();
 
     // Emit timer started event with config
     io.to(roomId).emit('meeting-timer-start', {
@@ -107,34 +223,34 @@ export const startMeetingTimer = async (io, roomId, meetingId) => {
         durationMs,
         durationMinutes,
         startTime,
-        endTime: timerState.endTime,
+        endTime,
         warnings: {
             first: { ms: warning1Ms, minutes: warning1Minutes },
             second: { ms: warning2Ms, minutes: warning2Minutes }
         }
     });
 
-    console.log(`[Call Service] Meeting timer started for room ${roomId}, ${durationMinutes}min duration, ends at ${new Date(timerState.endTime).toISOString()}`);
-    return timerState;
+    console.log(`[Call Service] Meeting timer started for room ${roomId}, ${durationMinutes}min duration, ends at ${new Date(endTime).toISOString()}`);
+    return parseTimerState(roomId, await redisClient.hgetall(key));
 };
 
 /**
  * End the meeting timer and clean up
+ * Deleting the Redis state is the claim: if another caller already ended this
+ * timer, an expiry is not announced a second time.
  */
 export const endMeetingTimer = async (io, roomId, meetingId, reason = 'manual') => {
-    const timerState = activeTimers.get(roomId);
+    const removed = await redisClient.del(timerKey(roomId));
+    await redisClient.srem(ACTIVE_TIMERS_KEY, roomId);
 
-    if (timerState && timerState.intervalId) {
-        clearInterval(timerState.intervalId);
+    if (removed === 0 && reason === 'timer_expired') {
+        return;
     }
 
-    activeTimers.delete(roomId);
-    await redisClient.del(`timer:${roomId}`);
-
     // Update meeting status in database
     if (meetingId) {
         try {
-            const newStatus = reason === 'timer_expired' ? 'completed' : 'completed';
+            const newStatus = 'completed';
             await pool.query(`
                 UPDATE meetings
                 SET status = $1,
@@ -173,105 +289,68 @@ export const endMeetingTimer = async (io, roomId, meetingId, reason = 'manual')
  * Get remaining time for a room's meeting
  */
 export const getRemainingTime = async (roomId) => {
-    const timerState = activeTimers.get(roomId);
-
-    if (timerState) {
-        const remaining = timerState.endTime - Date.now();
-        return Math.max(0, remaining);
+    const endTime = await redisClient.hget(timerKey(roomId), 'endTime');
+    if (!endTime) {
+        return null;
     }
-
-    // Check Redis for persisted timer
-    const timerData = await redisClient.hgetall(`timer:${roomId}`);
-    if (timerData && timerData.endTime) {
-        const remaining = parseInt(timerData.endTime) - Date.now();
-        return Math.max(0, remaining);
-    }
-
-    return null;
+    return Math.max(0, parseInt(endTime) - Date.now());
 };
 
 /**
  * Check if timer is running for a room
  */
-export const isTimerRunning = (roomId) => {
-    return activeTimers.has(roomId);
+export const isTimerRunning = async (roomId) => {
+    return (await redisClient.exists(timerKey(roomId))) === 1;
 };
 
 /**
- * Recover timers from Redis after service restart
+ * Rebuild the active timer index from persisted `timer:<roomId>` hashes and start the tick loop
+ * Called on startup; timers that expired while the service was down are ended on the first tick.
  */
 export const recoverTimers = async (io) => {
     console.log('[Call Service] Recovering persisted timers...');
 
-    const config = await getConfig();
-
-    const keys = await redisClient.keys('timer:*');
     let recovered = 0;
-
-    for (const key of keys) {
-        const roomId = key.replace('timer:', '');
-        const timerData = await redisClient.hgetall(key);
-
-        if (timerData && timerData.endTime) {
-            const endTime = parseInt(timerData.endTime);
-            const remaining = endTime - Date.now();
-
-            // Use stored config or current config
-            const durationMs = timerData.durationMs ? parseInt(timerData.durationMs) : config.durationMs;
-            const warning1Ms = timerData.warning1Ms ? parseInt(timerData.warning1Ms) : config.warning1Ms;
-            const warning2Ms = timerData.warning2Ms ? parseInt(timerData.warning2Ms) : config.warning2Ms;
-
-            if (remaining > 0) {
-                // Timer still has time - recreate it
-                const startTime = parseInt(timerData.startTime);
-                const meetingId = timerData.meetingId ? parseInt(timerData.meetingId) : null;
-
-                const timerState = {
-                    roomId,
-                    meetingId,
-                    startTime,
-                    endTime,
-                    warned5min: (Date.now() - startTime) >= warning1Ms,
-                    warned1min: (Date.now() - startTime) >= warning2Ms,
-                    config: { durationMs, warning1Ms, warning2Ms }
-                };
-
-                // Set up the interval
-                const intervalId = setInterval(async () => {
-                    const elapsed = Date.now() - startTime;
-                    const rem = durationMs - elapsed;
-
-                    if (!timerState.warned5min && elapsed >= warning1Ms) {
-                        timerState.warned5min = true;
-                        io.to(roomId).emit('meeting-timer-warning', {
-                            roomId, meetingId, remainingMs: rem, remainingMinutes: config.warning1Minutes
-                        });
-                    }
-
-                    if (!timerState.warned1min && elapsed >= warning2Ms) {
-                        timerState.warned1min = true;
-                        io.to(roomId).emit('meeting-timer-warning', {
-                            roomId, meetingId, remainingMs: rem, remainingMinutes: config.warning2Minutes
-                        });
-                    }
-
-                    if (elapsed >= durationMs) {
-                        await endMeetingTimer(io, roomId, meetingId, 'timer_expired');
-                    }
-                }, 10000);
-
-                timerState.intervalId = intervalId;
-                activeTimers.set(roomId, timerState);
-                recovered++;
-            } else {
-                // Timer expired while service was down - end the meeting
-                const meetingId = timerData.meetingId ? parseInt(timerData.meetingId) : null;
-                await endMeetingTimer(io, roomId, meetingId, 'timer_expired');
-            }
+    let cursor = '0';
+    do {
+        const [nextCursor, keys] = await redisClient.scan(cursor, 'MATCH', `${TIMER_KEY_PREFIX}*`, 'COUNT', 100);
+        cursor = nextCursor;
+
+        for (const key of keys) {
+            if ((await redisClient.type(key)) !== 'hash') continue;
+            await redisClient.sadd(ACTIVE_TIMERS_KEY, key.slice(TIMER_KEY_PREFIX.length));
+            recovered++;
         }
-    }
+    } while (cursor !== '0');
 
-    console.log(`[Call Service] Recovered ${recovered} active timers`);
+    console.log(`[Call Service] Recovered ${recovered} persisted timers`);
+
+    startTimerLoop(io);
+};
+
+/**
+ * Start the per-process tick loop (idempotent)
+ */
+export const startTimerLoop = (io) => {
+    if (tickIntervalId) return;
+    tickIntervalId = setInterval(() => tick(io), TICK_INTERVAL_MS);
+    tick(io);
+    console.log(`[Call Service] Meeting timer loop started (instance ${INSTANCE_ID})`);
+};
+
+/**
+ * Stop the tick loop and hand the lease to another replica (graceful shutdown)
+ */
+export const stopTimerLoop = async () => {
+    if (tickIntervalId) {
+        clearInterval(tickIntervalId);
+        tickIntervalId = null;
+    }
+    try {
+        await redisClient.eval(RELEASE_LEASE_SCRIPT, 1, LEASE_KEY, INSTANCE_ID);
+    } catch (error) {
+        console.error('[Call Service] Error releasing timer lease:', error);
+    }
 };
 
 export default {
@@ -279,5 +358,7 @@ export default {
     endMeetingTimer,
     getRemainingTime,
     isTimerRunning,
-    recoverTimers
+    recoverTimers,
+    startTimerLoop,
+    stopTimerLoop
 };
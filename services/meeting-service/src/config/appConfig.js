@@ -23,7 +23,11 @@ const DEFAULT_CONFIG = {
     'call_timer.warning_2_minutes': 1,
     'volunteer.cancellation_rate_threshold': 40,
     'volunteer.missed_rate_threshold': 30,
-    'volunteer.min_reputation_score': 30
+    'volunteer.min_reputation_score': 30,
+    'scheduling.slot_interval_minutes': 30,
+    'scheduling.slot_finder_max_days': 14,
+    'scheduling.school_hours_block': { enabled: true, days: [1, 2, 3, 4, 5], start: '07:30', end: '16:00' },
+    'waitlist.offer_window_minutes': 30
 };
 
 /**
@@ -127,6 +131,18 @@ export async function getVolunteerThresholds() {
     };
 }
 
+export async function getSlotFinderSettings() {
+    return {
+        intervalMinutes: await getConfig('scheduling.slot_interval_minutes'),
+        maxDays: await getConfig('scheduling.slot_finder_max_days'),
+        schoolHoursBlock: await getConfig('scheduling.school_hours_block')
+    };
+}
+
+export async function getWaitlistOfferWindow() {
+    return getConfig('waitlist.offer_window_minutes');
+}
+
 export default {
     getConfig,
     getConfigs,
@@ -136,5 +152,7 @@ export default {
     getMeetingLimitPerPair,
     getMaxFutureMonths,
     getVolunteerThresholds,
+    getSlotFinderSettings,
+    getWaitlistOfferWindow,
     DEFAULT_CONFIG
 };
@@ -3,13 +3,22 @@ import Meeting from '../models/Meeting.js';
 import pool from '../config/database.js';
 import {
     checkOneCallPerDay,
+    lockStudentBookings,
     checkThreeMeetingLimit,
     checkVolunteerPerformance,
+    checkSchedulingSuspension,
     validateSchedulingTime,
+    checkStudentAvailability,
     getRealTimeStatus,
     getRealTimeStatusSync
 } from '../services/businessRules.js';
-import { getAutoTimeoutMinutes, getMeetingDuration } from '../config/appConfig.js';
+import { getAutoTimeoutMinutes, getMeetingDuration, getSlotFinderSettings } from '../config/appConfig.js';
+import { findAvailableSlots } from '../services/slotFinder.js';
+import { offerFreedSlot } from '../services/waitlist.js';
+import { requestLessonPlan } from '../services/lessonPlans.js';
+import { resolveStudent } from '../utils/studentLookup.js';
+import { withAuditActor } from '../utils/auditActor.js';
+import { getUserTimezone, getLocalTimeParts, addDaysToDateString } from '../utils/timezoneUtils.js';
 import {
     publishMeetingCreated,
     publishMeetingRescheduled,
@@ -137,6 +146,16 @@ export const createMeeting = async (req, res) => {
         }
         const volunteer = volunteerResult.rows[0];
 
+        // Volunteers under a safeguarding review can't book new calls
+        const suspension = await checkSchedulingSuspension(volunteerId);
+        if (suspension.suspended) {
+            return res.status(403).json({
+                error: 'Scheduling suspended',
+                message: 'Your ability to schedule new calls is on hold while our team reviews a report. Please contact support.',
+                code: 'SCHEDULING_SUSPENDED'
+            });
+        }
+
         // Check volunteer performance restrictions
         const performance = await checkVolunteerPerformance(volunteerId);
         if (performance.isRestricted) {
@@ -157,6 +176,16 @@ export const createMeeting = async (req, res) => {
             });
         }
 
+        // Check student availability windows, term dates, holidays and exams
+        const studentAvailability = await checkStudentAvailability(studentId, scheduledTime);
+        if (!studentAvailability.available) {
+            return res.status(409).json({
+                error: studentAvailability.error,
+                reason: studentAvailability.reason,
+                event: studentAvailability.event
+            });
+        }
+
         // Check 3-meeting limit per volunteer-student pair
         const meetingLimit = await checkThreeMeetingLimit(volunteerId, studentId);
         if (!meetingLimit.canSchedule) {
@@ -170,19 +199,33 @@ export const createMeeting = async (req, res) => {
         // Generate room ID
         const roomId = uuidv4();
 
-        // Create meeting
-        const meeting = await Meeting.create({
-            studentId,
-            volunteerId,
-            scheduledTime,
-            roomId,
-            status: 'scheduled'
+        // Create meeting, re-checking the day under the student's booking lock so a concurrent
+        // booking or series can't take it in the meantime
+        let conflictingMeeting = null;
+        const meeting = await withAuditActor(req, async (client) => {
+            await lockStudentBookings(client, studentId);
+            conflictingMeeting = await checkOneCallPerDay(studentId, scheduledTime);
+            if (conflictingMeeting) return null;
+            return Meeting.create({
+                studentId,
+                volunteerId,
+                scheduledTime,
+                roomId,
+                status: 'scheduled'
+            }, client);
         });
+        if (!meeting) {
+            return res.status(409).json({
+                error: 'Student already has a meeting scheduled for this date',
+                existingMeeting: conflictingMeeting
+            });
+        }
 
         console.log('[Meeting Service] Meeting created:', meeting.id);
 
         // Publish event for notification service
         await publishMeetingCreated(meeting, volunteer, student);
+        await requestLessonPlan(meeting);
 
         res.status(201).json({
             meeting,
@@ -218,6 +261,17 @@ export const updateMeeting = async (req, res) => {
         const isReschedule = scheduledTime && scheduledTime !== meeting.scheduled_time;
         const oldTime = meeting.scheduled_time;
 
+        if (isReschedule) {
+            const studentAvailability = await checkStudentAvailability(meeting.student_id, scheduledTime);
+            if (!studentAvailability.available) {
+                return res.status(409).json({
+                    error: studentAvailability.error,
+                    reason: studentAvailability.reason,
+                    event: studentAvailability.event
+                });
+            }
+        }
+
         const updateData = {
             scheduledTime: scheduledTime || meeting.scheduled_time,
             duration: duration || meeting.duration,
@@ -232,7 +286,7 @@ export const updateMeeting = async (req, res) => {
             updateData.rescheduled_by = userId;
         }
 
-        const updatedMeeting = await Meeting.update(id, updateData);
+        const updatedMeeting = await withAuditActor(req, client => Meeting.update(id, updateData, client));
 
         if (isReschedule) {
             await publishMeetingRescheduled(updatedMeeting, oldTime, scheduledTime, userId);
@@ -268,11 +322,18 @@ export const cancelMeeting = async (req, res) => {
             return res.status(403).json({ error: 'Not authorized to cancel this meeting' });
         }
 
-        await Meeting.update(id, { status: 'canceled' });
+        await withAuditActor(req, client => Meeting.update(id, { status: 'canceled' }, client));
 
         // Publish event
         await publishMeetingCanceled(meeting, userId);
 
+        // Offer the freed day to the student's waitlist
+        try {
+            await offerFreedSlot(meeting);
+        } catch (waitlistError) {
+            console.error('[Meeting Service] Error offering canceled meeting to waitlist:', waitlistError);
+        }
+
         res.json({ message: 'Meeting cancelled successfully' });
     } catch (error) {
         console.error('[Meeting Service] Error cancelling meeting:', error);
@@ -317,12 +378,12 @@ export const endMeeting = async (req, res) => {
         const isSuccessful = durationMinutes >= 5 || meeting.status === 'in_progress';
         const finalStatus = isSuccessful ? 'completed' : 'ended';
 
-        await Meeting.update(meeting.id, {
+        await withAuditActor(req, client => Meeting.update(meeting.id, {
             status: finalStatus,
             end_time: endTime,
             ended_by: userId,
             end_reason: reason
-        });
+        }, client));
 
         // Publish event
         await publishMeetingEnded(meeting, durationMinutes, finalStatus);
@@ -455,6 +516,69 @@ export const getPastMeetings = async (req, res) => {
     }
 };
 
+/**
+ * Find bookable slots for a student from the volunteer's availability windows
+ * Query: studentId (required), from / to (YYYY-MM-DD in the student's timezone), limit,
+ * excludeMeetingId (the meeting being rescheduled)
+ * Admins may pass volunteerId to search on behalf of a volunteer.
+ */
+export const getAvailableSlots = async (req, res) => {
+    try {
+        const { studentId, from, to } = req.query;
+        const volunteerId = Number(req.user.role === 'admin' && req.query.volunteerId
+            ? req.query.volunteerId
+            : req.user.id);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+        if (!studentId) {
+            return res.status(400).json({ error: 'studentId is required' });
+        }
+
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+            return res.status(400).json({ error: 'from and to must be in YYYY-MM-DD format' });
+        }
+
+        const student = await resolveStudent(studentId);
+        if (!student) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+
+        // Default range: today (in the student's timezone) for a week
+        const { maxDays } = await getSlotFinderSettings();
+        const studentTimezone = await getUserTimezone(student.id);
+        const rangeFrom = from || getLocalTimeParts(new Date(), studentTimezone).date;
+        const rangeTo = to || addDaysToDateString(rangeFrom, Math.min(6, maxDays - 1));
+
+        if (rangeTo < rangeFrom) {
+            return res.status(400).json({ error: 'to must be on or after from' });
+        }
+        if (rangeTo > addDaysToDateString(rangeFrom, maxDays - 1)) {
+            return res.status(400).json({ error: `A slot search can cover at most ${maxDays} days` });
+        }
+
+        const result = await findAvailableSlots({
+            volunteerId,
+            studentId: student.id,
+            from: rangeFrom,
+            to: rangeTo,
+            limit,
+            excludeMeetingId: req.query.excludeMeetingId ? Number(req.query.excludeMeetingId) : null
+        });
+
+        res.json({
+            studentId: student.id,
+            studentName: student.full_name,
+            from: rangeFrom,
+            to: rangeTo,
+            ...result
+        });
+    } catch (error) {
+        console.error('[Meeting Service] Error finding available slots:', error);
+        res.status(500).json({ error: 'Failed to find available slots' });
+    }
+};
+
 export default {
     getAllMeetings,
     getMeetingById,
@@ -465,5 +589,6 @@ export default {
     endMeeting,
     getMeetingsByStudentId,
     getUpcomingMeetings,
-    getPastMeetings
+    getPastMeetings,
+    getAvailableSlots
 };
@@ -0,0 +1,452 @@
+import { v4 as uuidv4 } from 'uuid';
+import Meeting from '../models/Meeting.js';
+import MeetingSeries from '../models/MeetingSeries.js';
+import pool from '../config/database.js';
+import { resolveStudent } from '../utils/studentLookup.js';
+import { setAuditActor, withAuditActor } from '../utils/auditActor.js';
+import { checkVolunteerPerformance, checkSchedulingSuspension, lockStudentBookings } from '../services/businessRules.js';
+import {
+    ConflictReasons,
+    validateSeriesPattern,
+    expandSeriesOccurrences,
+    moveOccurrenceWithinWeek,
+    evaluateSeriesOccurrences,
+    evaluateOccurrenceMove
+} from '../services/seriesPlanner.js';
+import {
+    publishMeetingCreated,
+    publishMeetingRescheduled,
+    publishMeetingCanceled
+} from '../events/publisher.js';
+import { requestLessonPlan } from '../services/lessonPlans.js';
+
+/**
+ * Format a DATE column as YYYY-MM-DD (pg returns DATE values as local-midnight Dates)
+ */
+const toDateString = (value) => {
+    if (!(value instanceof Date)) return String(value).slice(0, 10);
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Load a series and verify the caller owns it (or is an admin)
+ * Sends the error response itself and returns null when access is denied.
+ */
+const loadAuthorizedSeries = async (req, res) => {
+    const series = await MeetingSeries.findByIdWithParticipants(req.params.seriesId);
+    if (!series) {
+        res.status(404).json({ error: 'Meeting series not found' });
+        return null;
+    }
+
+    const isOwner = series.volunteer_id === req.user.id;
+    const isAdmin = req.user.role === 'admin';
+    if (!isOwner && !isAdmin) {
+        res.status(403).json({ error: 'Not authorized to manage this meeting series' });
+        return null;
+    }
+    return series;
+};
+
+/**
+ * Load a single occurrence and verify it belongs to the series
+ */
+const loadSeriesOccurrence = async (series, meetingId, res) => {
+    const meeting = await Meeting.findById(meetingId);
+    if (!meeting || meeting.series_id !== series.id) {
+        res.status(404).json({ error: 'Occurrence not found in this series' });
+        return null;
+    }
+    return meeting;
+};
+
+/**
+ * Serialize an occurrence/conflict for API responses
+ */
+const formatOccurrence = (occurrence) => ({
+    ...(occurrence.meetingId && { meetingId: occurrence.meetingId }),
+    index: occurrence.index,
+    localDate: occurrence.localDate,
+    scheduledTime: occurrence.scheduledTime,
+    ...(occurrence.reason && {
+        reason: occurrence.reason,
+        message: occurrence.message
+    }),
+    ...(occurrence.existingMeeting && {
+        existingMeeting: {
+            id: occurrence.existingMeeting.id,
+            scheduledTime: occurrence.existingMeeting.scheduled_time,
+            volunteerId: occurrence.existingMeeting.volunteer_id
+        }
+    })
+});
+
+/**
+ * Create a recurring meeting series
+ * Body: { studentId, startDate, time, timezone?, dayOfWeek?, occurrences, intervalWeeks?, dryRun? }
+ *
+ * Every occurrence is checked against the scheduling rules. Conflicting occurrences
+ * are skipped and reported; the rest are created. With dryRun=true nothing is written.
+ */
+export const createSeries = async (req, res) => {
+    try {
+        const { studentId, dryRun = false } = req.body;
+        const volunteerId = req.user.id;
+
+        if (!studentId) {
+            return res.status(400).json({ error: 'Student ID is required' });
+        }
+
+        const validation = validateSeriesPattern(req.body);
+        if (!validation.valid) {
+            return res.status(400).json({ error: validation.error });
+        }
+        const { pattern } = validation;
+
+        const student = await resolveStudent(studentId);
+        if (!student) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+
+        const volunteerResult = await pool.query(
+            'SELECT id, full_name FROM users WHERE id = $1 AND role = $2',
+            [volunteerId, 'volunteer']
+        );
+        if (volunteerResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Volunteer not found' });
+        }
+        const volunteer = volunteerResult.rows[0];
+
+        // Volunteers under a safeguarding review can't book new calls
+        const suspension = await checkSchedulingSuspension(volunteerId);
+        if (suspension.suspended) {
+            return res.status(403).json({
+                error: 'Scheduling suspended',
+                message: 'Your ability to schedule new calls is on hold while our team reviews a report. Please contact support.',
+                code: 'SCHEDULING_SUSPENDED'
+            });
+        }
+
+        const performance = await checkVolunteerPerformance(volunteerId);
+        if (performance.isRestricted) {
+            return res.status(403).json({
+                error: 'Account temporarily restricted',
+                message: 'Your account is temporarily restricted due to high cancellation/missed call rates.',
+                performanceData: performance
+            });
+        }
+
+        const occurrences = expandSeriesOccurrences(pattern);
+        if (dryRun) {
+            const { bookable, conflicts, meetingLimit } = await evaluateSeriesOccurrences(volunteerId, student.id, occurrences);
+            return res.json({
+                dryRun: true,
+                pattern,
+                bookable: bookable.map(formatOccurrence),
+                conflicts: conflicts.map(formatOccurrence),
+                meetingLimit
+            });
+        }
+
+        const client = await pool.connect();
+        let series;
+        let conflicts;
+        const createdMeetings = [];
+        try {
+            await client.query('BEGIN');
+            await setAuditActor(client, req);
+
+            // Check under the student's booking lock so a concurrent booking can't take a slot
+            // between the check and the inserts
+            await lockStudentBookings(client, student.id);
+            const plan = await evaluateSeriesOccurrences(volunteerId, student.id, occurrences);
+            conflicts = plan.conflicts;
+            if (plan.bookable.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({
+                    error: 'None of the requested occurrences can be scheduled',
+                    conflicts: conflicts.map(formatOccurrence),
+                    meetingLimit: plan.meetingLimit
+                });
+            }
+
+            series = await MeetingSeries.create({
+                volunteerId,
+                studentId: student.id,
+                ...pattern
+            }, client);
+
+            for (const occurrence of plan.bookable) {
+                const meeting = await Meeting.create({
+                    volunteerId,
+                    studentId: student.id,
+                    scheduledTime: occurrence.scheduledTime,
+                    roomId: uuidv4(),
+                    status: 'scheduled',
+                    seriesId: series.id,
+                    seriesIndex: occurrence.index
+                }, client);
+                createdMeetings.push(meeting);
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        console.log(`[Meeting Service] Series ${series.id} created with ${createdMeetings.length} occurrences`);
+
+        for (const meeting of createdMeetings) {
+            await publishMeetingCreated(meeting, volunteer, student);
+            await requestLessonPlan(meeting);
+        }
+
+        res.status(201).json({
+            series,
+            meetings: createdMeetings,
+            conflicts: conflicts.map(formatOccurrence),
+            message: conflicts.length > 0
+                ? `Scheduled ${createdMeetings.length} of ${occurrences.length} meetings. ${conflicts.length} occurrence(s) could not be booked.`
+                : `Scheduled ${createdMeetings.length} meetings`
+        });
+    } catch (error) {
+        console.error('[Meeting Service] Error creating meeting series:', error);
+        res.status(500).json({ error: 'Failed to schedule meeting series' });
+    }
+};
+
+/**
+ * List the caller's meeting series
+ */
+export const getMySeries = async (req, res) => {
+    try {
+        const series = await MeetingSeries.findByVolunteerId(req.user.id);
+        res.json({ series });
+    } catch (error) {
+        console.error('[Meeting Service] Error fetching meeting series:', error);
+        res.status(500).json({ error: 'Failed to fetch meeting series' });
+    }
+};
+
+/**
+ * Get a series with all of its occurrences
+ */
+export const getSeriesById = async (req, res) => {
+    try {
+        const series = await loadAuthorizedSeries(req, res);
+        if (!series) return;
+
+        const meetings = await Meeting.findBySeriesId(series.id);
+        res.json({ series, meetings });
+    } catch (error) {
+        console.error('[Meeting Service] Error fetching meeting series:', error);
+        res.status(500).json({ error: 'Failed to fetch meeting series' });
+    }
+};
+
+/**
+ * Reschedule the whole series to a new weekday and/or time
+ * Body: { dayOfWeek?, time?, timezone? }
+ *
+ * Only upcoming scheduled occurrences move. Each one keeps its week and is re-checked
+ * against the 1-call-per-day rule; occurrences that would conflict stay where they are
+ * and are reported back.
+ */
+export const rescheduleSeries = async (req, res) => {
+    try {
+        const series = await loadAuthorizedSeries(req, res);
+        if (!series) return;
+
+        if (series.status !== 'active') {
+            return res.status(400).json({ error: 'Cannot reschedule a canceled series' });
+        }
+
+        const validation = validateSeriesPattern({
+            startDate: toDateString(series.start_date),
+            dayOfWeek: req.body.dayOfWeek ?? series.day_of_week,
+            time: req.body.time ?? String(series.start_time).slice(0, 5),
+            timezone: req.body.timezone ?? series.timezone,
+            occurrences: series.occurrence_count,
+            intervalWeeks: series.interval_weeks
+        });
+        if (!validation.valid) {
+            return res.status(400).json({ error: validation.error });
+        }
+        const { pattern } = validation;
+
+        const meetings = await Meeting.findBySeriesId(series.id);
+        const now = new Date();
+
+        const moved = [];
+        const conflicts = [];
+
+        for (const meeting of meetings) {
+            if (meeting.status !== 'scheduled' || new Date(meeting.scheduled_time) < now) continue;
+
+            const target = {
+                index: meeting.series_index,
+                ...moveOccurrenceWithinWeek(meeting.scheduled_time, series.timezone, pattern)
+            };
+            if (new Date(meeting.scheduled_time).getTime() === target.scheduledTime.getTime()) continue;
+
+            const check = await evaluateOccurrenceMove(meeting, target.scheduledTime);
+            if (!check.ok) {
+                conflicts.push(formatOccurrence({ ...target, ...check, meetingId: meeting.id }));
+                continue;
+            }
+
+            const updated = await withAuditActor(req, client => Meeting.update(meeting.id, {
+                scheduledTime: target.scheduledTime,
+                original_scheduled_time: meeting.original_scheduled_time || meeting.scheduled_time,
+                is_rescheduled: true,
+                reschedule_count: (meeting.reschedule_count || 0) + 1,
+                last_rescheduled_at: new Date(),
+                rescheduled_by: req.user.id
+            }, client));
+            await publishMeetingRescheduled(updated, meeting.scheduled_time, target.scheduledTime, req.user.id);
+            moved.push(updated);
+        }
+
+        const updatedSeries = await MeetingSeries.updatePattern(series.id, {
+            dayOfWeek: pattern.dayOfWeek,
+            startTime: pattern.startTime,
+            timezone: pattern.timezone
+        });
+
+        res.json({
+            series: updatedSeries,
+            meetings: moved,
+            conflicts,
+            message: `Rescheduled ${moved.length} upcoming meeting(s)`
+        });
+    } catch (error) {
+        console.error('[Meeting Service] Error rescheduling meeting series:', error);
+        res.status(500).json({ error: 'Failed to reschedule meeting series' });
+    }
+};
+
+/**
+ * Cancel the whole series - all upcoming scheduled occurrences are canceled
+ * Past and completed occurrences are left untouched for history and stats.
+ */
+export const cancelSeries = async (req, res) => {
+    try {
+        const series = await loadAuthorizedSeries(req, res);
+        if (!series) return;
+
+        const result = await withAuditActor(req, client => client.query(`
+            UPDATE meetings
+            SET status = 'canceled', updated_at = NOW()
+            WHERE series_id = $1
+            AND status = 'scheduled'
+            AND scheduled_time >= NOW()
+            RETURNING *
+        `, [series.id]));
+
+        await MeetingSeries.cancel(series.id);
+
+        for (const meeting of result.rows) {
+            await publishMeetingCanceled(meeting, req.user.id);
+        }
+
+        console.log(`[Meeting Service] Series ${series.id} canceled (${result.rows.length} occurrences)`);
+
+        res.json({
+            message: 'Meeting series cancelled successfully',
+            canceledCount: result.rows.length
+        });
+    } catch (error) {
+        console.error('[Meeting Service] Error cancelling meeting series:', error);
+        res.status(500).json({ error: 'Failed to cancel meeting series' });
+    }
+};
+
+/**
+ * Reschedule a single occurrence of a series
+ * Body: { scheduledTime }
+ */
+export const rescheduleOccurrence = async (req, res) => {
+    try {
+        const series = await loadAuthorizedSeries(req, res);
+        if (!series) return;
+
+        const meeting = await loadSeriesOccurrence(series, req.params.meetingId, res);
+        if (!meeting) return;
+
+        const { scheduledTime } = req.body;
+        if (!scheduledTime) {
+            return res.status(400).json({ error: 'Scheduled time is required' });
+        }
+        if (meeting.status !== 'scheduled') {
+            return res.status(400).json({ error: `Cannot reschedule a ${meeting.status} meeting` });
+        }
+
+        const check = await evaluateOccurrenceMove(meeting, scheduledTime);
+        if (!check.ok) {
+            return res.status(check.reason === ConflictReasons.OUT_OF_RANGE ? 400 : 409).json({
+                error: check.message,
+                reason: check.reason,
+                existingMeeting: check.existingMeeting
+            });
+        }
+
+        const updatedMeeting = await withAuditActor(req, client => Meeting.update(meeting.id, {
+            scheduledTime,
+            original_scheduled_time: meeting.original_scheduled_time || meeting.scheduled_time,
+            is_rescheduled: true,
+            reschedule_count: (meeting.reschedule_count || 0) + 1,
+            last_rescheduled_at: new Date(),
+            rescheduled_by: req.user.id
+        }, client));
+
+        await publishMeetingRescheduled(updatedMeeting, meeting.scheduled_time, scheduledTime, req.user.id);
+
+        res.json({
+            meeting: updatedMeeting,
+            message: 'Occurrence rescheduled successfully'
+        });
+    } catch (error) {
+        console.error('[Meeting Service] Error rescheduling occurrence:', error);
+        res.status(500).json({ error: 'Failed to reschedule occurrence' });
+    }
+};
+
+/**
+ * Cancel a single occurrence of a series
+ */
+export const cancelOccurrence = async (req, res) => {
+    try {
+        const series = await loadAuthorizedSeries(req, res);
+        if (!series) return;
+
+        const meeting = await loadSeriesOccurrence(series, req.params.meetingId, res);
+        if (!meeting) return;
+
+        if (meeting.status !== 'scheduled') {
+            return res.status(400).json({ error: `Cannot cancel a ${meeting.status} meeting` });
+        }
+
+        await withAuditActor(req, client => Meeting.update(meeting.id, { status: 'canceled' }, client));
+        await publishMeetingCanceled(meeting, req.user.id);
+
+        res.json({ message: 'Occurrence cancelled successfully' });
+    } catch (error) {
+        console.error('[Meeting Service] Error cancelling occurrence:', error);
+        res.status(500).json({ error: 'Failed to cancel occurrence' });
+    }
+};
+
+export default {
+    createSeries,
+    getMySeries,
+    getSeriesById,
+    rescheduleSeries,
+    cancelSeries,
+    rescheduleOccurrence,
+    cancelOccurrence
+};
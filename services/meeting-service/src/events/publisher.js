@@ -32,7 +32,9 @@ export const MeetingEventTypes = {
     MEETING_CANCELED: 'meeting.canceled',
     MEETING_ENDED: 'meeting.ended',
     MEETING_MISSED: 'meeting.missed',
-    MEETING_STARTED: 'meeting.started'
+    MEETING_STARTED: 'meeting.started',
+    WAITLIST_OFFERED: 'waitlist.offered',
+    WAITLIST_OFFER_EXPIRED: 'waitlist.offer_expired'
 };
 
 /**
@@ -45,6 +47,7 @@ export const publishMeetingCreated = async (meeting, volunteer, student) => {
         studentId: meeting.student_id,
         scheduledTime: meeting.scheduled_time,
         roomId: meeting.room_id,
+        seriesId: meeting.series_id || null,
         volunteerName: volunteer?.full_name,
         studentName: student?.full_name
     });
@@ -107,6 +110,35 @@ export const publishMeetingMissed = async (meeting, reason = 'timeout') => {
     });
 };
 
+/**
+ * Publish waitlist.offered event
+ */
+export const publishWaitlistOffered = async (entry, offerWindowMinutes) => {
+    await publishMeetingEvent(MeetingEventTypes.WAITLIST_OFFERED, {
+        meetingId: entry.freed_meeting_id,
+        waitlistId: entry.id,
+        volunteerId: entry.volunteer_id,
+        studentId: entry.student_id,
+        waitlistDate: entry.waitlist_date,
+        offeredTime: entry.offered_time,
+        offerExpiresAt: entry.offer_expires_at,
+        offerWindowMinutes
+    });
+};
+
+/**
+ * Publish waitlist.offer_expired event
+ */
+export const publishWaitlistOfferExpired = async (entry) => {
+    await publishMeetingEvent(MeetingEventTypes.WAITLIST_OFFER_EXPIRED, {
+        meetingId: entry.freed_meeting_id,
+        waitlistId: entry.id,
+        volunteerId: entry.volunteer_id,
+        studentId: entry.student_id,
+        waitlistDate: entry.waitlist_date
+    });
+};
+
 export default {
     publishMeetingEvent,
     publishMeetingCreated,
@@ -114,5 +146,7 @@ export default {
     publishMeetingCanceled,
     publishMeetingEnded,
     publishMeetingMissed,
+    publishWaitlistOffered,
+    publishWaitlistOfferExpired,
     MeetingEventTypes
 };
@@ -4,6 +4,7 @@ import dotenv from 'dotenv';
 import { testConnection } from './config/database.js';
 import { initializeRedis } from './config/redis.js';
 import meetingRoutes from './routes/meetingRoutes.js';
+import meetingSeriesRoutes from './routes/meetingSeriesRoutes.js';
 import { startScheduler, stopScheduler } from './services/scheduler.js';
 
 dotenv.config();
@@ -49,7 +50,8 @@ app.get('/ready', async (req, res) => {
     }
 });
 
-// Mount routes
+// Mount routes (series first so /series is not captured by /:id)
+app.use('/api/v1/meetings/series', meetingSeriesRoutes);
 app.use('/api/v1/meetings', meetingRoutes);
 
 // 404 handler
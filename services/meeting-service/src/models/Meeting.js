@@ -4,13 +4,13 @@ class Meeting {
     /**
      * Create a new meeting
      */
-    static async create({ volunteerId, studentId, scheduledTime, roomId, status = 'scheduled' }) {
+    static async create({ volunteerId, studentId, scheduledTime, roomId, status = 'scheduled', seriesId = null, seriesIndex = null }, client = pool) {
         const query = `
-            INSERT INTO meetings (volunteer_id, student_id, scheduled_time, room_id, status, created_at, updated_at)
-            VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+            INSERT INTO meetings (volunteer_id, student_id, scheduled_time, room_id, status, series_id, series_index, created_at, updated_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
             RETURNING *;
         `;
-        const result = await pool.query(query, [volunteerId, studentId, scheduledTime, roomId, status]);
+        const result = await client.query(query, [volunteerId, studentId, scheduledTime, roomId, status, seriesId, seriesIndex]);
         return result.rows[0];
     }
 
@@ -35,6 +35,17 @@ class Meeting {
         return result.rows[0] || null;
     }
 
+    /**
+     * Find all occurrences of a recurring series
+     */
+    static async findBySeriesId(seriesId) {
+        const result = await pool.query(
+            'SELECT * FROM meetings WHERE series_id = $1 ORDER BY scheduled_time ASC',
+            [seriesId]
+        );
+        return result.rows;
+    }
+
     /**
      * Find meeting by room ID
      */
@@ -46,7 +57,7 @@ class Meeting {
     /**
      * Update meeting
      */
-    static async update(id, updateData) {
+    static async update(id, updateData, client = pool) {
         const fieldMapping = {
             status: 'status',
             scheduledTime: 'scheduled_time',
@@ -86,7 +97,7 @@ class Meeting {
             RETURNING *;
         `;
 
-        const result = await pool.query(query, values);
+        const result = await client.query(query, values);
         return result.rows[0];
     }
 
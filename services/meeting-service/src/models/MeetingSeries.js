@@ -0,0 +1,101 @@
+import pool from '../config/database.js';
+
+class MeetingSeries {
+    /**
+     * Create a new recurring series definition
+     */
+    static async create({ volunteerId, studentId, dayOfWeek, startTime, timezone, intervalWeeks, occurrenceCount, startDate }, client = pool) {
+        const query = `
+            INSERT INTO meeting_series (
+                volunteer_id, student_id, day_of_week, start_time, timezone,
+                interval_weeks, occurrence_count, start_date, status, created_at, updated_at
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'active', NOW(), NOW())
+            RETURNING *;
+        `;
+        const result = await client.query(query, [
+            volunteerId, studentId, dayOfWeek, startTime, timezone,
+            intervalWeeks, occurrenceCount, startDate
+        ]);
+        return result.rows[0];
+    }
+
+    /**
+     * Find series by ID
+     */
+    static async findById(id) {
+        const result = await pool.query('SELECT * FROM meeting_series WHERE id = $1', [id]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Find series by ID with participant names
+     */
+    static async findByIdWithParticipants(id) {
+        const query = `
+            SELECT
+                ms.*,
+                v.full_name as volunteer_name,
+                s.full_name as student_name
+            FROM meeting_series ms
+            JOIN users v ON ms.volunteer_id = v.id
+            JOIN users s ON ms.student_id = s.id
+            WHERE ms.id = $1
+        `;
+        const result = await pool.query(query, [id]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Find all series created by a volunteer
+     */
+    static async findByVolunteerId(volunteerId) {
+        const query = `
+            SELECT
+                ms.*,
+                s.full_name as student_name,
+                COUNT(m.id) FILTER (WHERE m.status = 'scheduled' AND m.scheduled_time >= NOW()) as upcoming_count
+            FROM meeting_series ms
+            JOIN users s ON ms.student_id = s.id
+            LEFT JOIN meetings m ON m.series_id = ms.id
+            WHERE ms.volunteer_id = $1
+            GROUP BY ms.id, s.full_name
+            ORDER BY ms.created_at DESC
+        `;
+        const result = await pool.query(query, [volunteerId]);
+        return result.rows;
+    }
+
+    /**
+     * Update the recurrence pattern (used when rescheduling the whole series)
+     */
+    static async updatePattern(id, { dayOfWeek, startTime, timezone }) {
+        const query = `
+            UPDATE meeting_series
+            SET day_of_week = COALESCE($2, day_of_week),
+                start_time = COALESCE($3, start_time),
+                timezone = COALESCE($4, timezone),
+                updated_at = NOW()
+            WHERE id = $1
+            RETURNING *;
+        `;
+        const result = await pool.query(query, [id, dayOfWeek, startTime, timezone]);
+        return result.rows[0];
+    }
+
+    /**
+     * Mark series as canceled
+     */
+    static async cancel(id) {
+        const query = `
+            UPDATE meeting_series
+            SET status = 'canceled', canceled_at = NOW(), updated_at = NOW()
+            WHERE id = $1
+            RETURNING *;
+        `;
+        const result = await pool.query(query, [id]);
+        return result.rows[0];
+    }
+}
+
+export default MeetingSeries;
@@ -9,7 +9,8 @@ import {
     endMeeting,
     getMeetingsByStudentId,
     getUpcomingMeetings,
-    getPastMeetings
+    getPastMeetings,
+    getAvailableSlots
 } from '../controllers/meetingController.js';
 import { adminOrVolunteerAuth, jwtAuth, adminAuth } from '../middleware/authMiddleware.js';
 
@@ -18,6 +19,7 @@ const router = express.Router();
 // Volunteer meetings
 router.get('/upcoming', adminOrVolunteerAuth, getUpcomingMeetings);
 router.get('/past', adminOrVolunteerAuth, getPastMeetings);
+router.get('/slots', adminOrVolunteerAuth, getAvailableSlots);
 
 // CRUD operations
 router.get('/', adminAuth, getAllMeetings);
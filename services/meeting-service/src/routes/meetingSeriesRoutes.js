@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+    createSeries,
+    getMySeries,
+    getSeriesById,
+    rescheduleSeries,
+    cancelSeries,
+    rescheduleOccurrence,
+    cancelOccurrence
+} from '../controllers/meetingSeriesController.js';
+import { adminOrVolunteerAuth, volunteerAuth } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Series (recurring meetings)
+router.get('/', volunteerAuth, getMySeries);
+router.post('/', volunteerAuth, createSeries);
+router.get('/:seriesId', adminOrVolunteerAuth, getSeriesById);
+router.put('/:seriesId', adminOrVolunteerAuth, rescheduleSeries);
+router.delete('/:seriesId', adminOrVolunteerAuth, cancelSeries);
+
+// Single occurrences within a series
+router.put('/:seriesId/occurrences/:meetingId', adminOrVolunteerAuth, rescheduleOccurrence);
+router.delete('/:seriesId/occurrences/:meetingId', adminOrVolunteerAuth, cancelOccurrence);
+
+export default router;
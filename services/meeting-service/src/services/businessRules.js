@@ -7,6 +7,7 @@ import {
     getMeetingDuration
 } from '../config/appConfig.js';
 import { getUserTimezone, getDayBoundariesInTimezone } from '../utils/timezoneUtils.js';
+import { checkStudentAvailabilityAt } from './studentAvailability.js';
 
 /**
  * Business rules for meeting management
@@ -14,6 +15,9 @@ import { getUserTimezone, getDayBoundariesInTimezone } from '../utils/timezoneUt
  * - Configurable meeting limit per volunteer-student pair (default: 3)
  * - Auto-timeout for overdue meetings (configurable, default: 40 minutes)
  * - Configurable future scheduling limit (default: 3 months)
+ * - Student availability windows, term dates, holidays and exams
+ * - Safeguarding suspensions placed on a volunteer by an admin
+ * - Volunteer reputation from attendance and students' post-call ratings
  *
  * IMPORTANT: All day boundary calculations use the STUDENT's timezone
  * to ensure accurate enforcement for global users.
@@ -25,9 +29,10 @@ import { getUserTimezone, getDayBoundariesInTimezone } from '../utils/timezoneUt
  *
  * @param {number} studentId
  * @param {Date} scheduledTime
+ * @param {number|null} excludeMeetingId - Meeting to ignore (when rescheduling an existing meeting)
  * @returns {Promise<Object|null>} Existing meeting or null, plus timezone context
  */
-export const checkOneCallPerDay = async (studentId, scheduledTime) => {
+export const checkOneCallPerDay = async (studentId, scheduledTime, excludeMeetingId = null) => {
     // Get student's timezone for accurate day boundary calculation
     const studentTimezone = await getUserTimezone(studentId);
     const { startOfDay, endOfDay, localDateString } = getDayBoundariesInTimezone(scheduledTime, studentTimezone);
@@ -48,9 +53,10 @@ export const checkOneCallPerDay = async (studentId, scheduledTime) => {
         AND scheduled_time >= $2
         AND scheduled_time < $3
         AND status IN ('scheduled', 'in_progress')
+        AND ($4::integer IS NULL OR id <> $4)
     `;
 
-    const result = await pool.query(query, [studentId, startOfDay, endOfDay]);
+    const result = await pool.query(query, [studentId, startOfDay, endOfDay, excludeMeetingId]);
 
     if (result.rows.length > 0) {
         return {
@@ -62,6 +68,20 @@ export const checkOneCallPerDay = async (studentId, scheduledTime) => {
     return null;
 };
 
+// First key of the transaction-level advisory lock that serializes bookings for one student
+const STUDENT_BOOKING_LOCK = 7301;
+
+/**
+ * Hold the student's booking lock until client's transaction ends
+ * Bookings re-check the rules after taking it, so two concurrent requests can't both pass the
+ * 1-call-per-day and pair-limit checks and book the same slot.
+ * @param {Object} client - Client with an open transaction
+ * @param {number} studentId
+ */
+export const lockStudentBookings = async (client, studentId) => {
+    await client.query('SELECT pg_advisory_xact_lock($1, $2)', [STUDENT_BOOKING_LOCK, studentId]);
+};
+
 /**
  * Check meeting limit between volunteer and student
  * Also marks overdue meetings as missed
@@ -103,6 +123,35 @@ export const checkThreeMeetingLimit = async (volunteerId, studentId) => {
     };
 };
 
+const BACKEND_URL = process.env.BACKEND_URL || 'http://backend:3001';
+const INTERNAL_API_KEY = process.env.INTERNAL_API_KEY || '';
+// Reputation is checked on every booking; a slow backend must not hold the booking up
+const RATING_REQUEST_TIMEOUT_MS = 2000;
+
+/**
+ * Reputation adjustment from the volunteer's most recent student ratings
+ * The backend's sessionFeedbackService owns the rating rules; when it cannot be reached or does
+ * not answer in time the ratings are left out of the score rather than blocking scheduling.
+ * @param {number} volunteerId
+ * @returns {Promise<{averageRating: number|null, ratingCount: number, adjustment: number}>}
+ */
+export const getStudentRatingAdjustment = async (volunteerId) => {
+    try {
+        const response = await fetch(`${BACKEND_URL}/internal/volunteers/${volunteerId}/rating-summary`, {
+            headers: { 'X-Internal-API-Key': INTERNAL_API_KEY },
+            signal: AbortSignal.timeout(RATING_REQUEST_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+            throw new Error(`Backend returned ${response.status}`);
+        }
+        const { averageRating, ratingCount, adjustment } = await response.json();
+        return { averageRating, ratingCount, adjustment };
+    } catch (error) {
+        console.error('Error fetching volunteer rating summary:', error.message);
+        return { averageRating: null, ratingCount: 0, adjustment: 0 };
+    }
+};
+
 /**
  * Check volunteer performance and restrictions
  * @param {number} volunteerId
@@ -146,7 +195,8 @@ export const checkVolunteerPerformance = async (volunteerId) => {
 
     const cancelledRate = Math.round((cancelledCalls / totalScheduled) * 100);
     const missedRate = Math.round((missedCalls / totalScheduled) * 100);
-    const reputationScore = Math.max(0, Math.round(100 - (cancelledRate * 1.5) - (missedRate * 2)));
+    const ratings = await getStudentRatingAdjustment(volunteerId);
+    const reputationScore = Math.min(100, Math.max(0, Math.round(100 - (cancelledRate * 1.5) - (missedRate * 2) + ratings.adjustment)));
 
     // Enforce restrictions based on configurable thresholds
     const isRestricted =
@@ -163,10 +213,26 @@ export const checkVolunteerPerformance = async (volunteerId) => {
         cancelledRate,
         missedRate,
         reputationScore,
+        averageStudentRating: ratings.averageRating,
+        ratingAdjustment: ratings.adjustment,
         thresholds // Include thresholds in response for transparency
     };
 };
 
+/**
+ * Check whether an admin has suspended the volunteer's scheduling pending a safeguarding review
+ * @param {number} volunteerId
+ * @returns {Promise<{suspended: boolean, since?: Date}>}
+ */
+export const checkSchedulingSuspension = async (volunteerId) => {
+    const result = await pool.query(
+        'SELECT scheduling_suspended_at FROM users WHERE id = $1',
+        [volunteerId]
+    );
+    const suspendedAt = result.rows[0]?.scheduling_suspended_at;
+    return suspendedAt ? { suspended: true, since: suspendedAt } : { suspended: false };
+};
+
 /**
  * Validate scheduling time constraints
  * - Cannot schedule in the past
@@ -204,6 +270,17 @@ export const validateSchedulingTime = async (scheduledTime) => {
     return { valid: true };
 };
 
+/**
+ * Check the student's availability windows and school calendar
+ * @param {number} studentId - users.id of the student
+ * @param {Date|string} scheduledTime
+ * @returns {Promise<{available: boolean, reason?: string, error?: string, event?: Object}>}
+ */
+export const checkStudentAvailability = async (studentId, scheduledTime) => {
+    const [availability] = await checkStudentAvailabilityAt(studentId, [scheduledTime], await getMeetingDuration());
+    return availability;
+};
+
 /**
  * Mark overdue meetings as missed (batch operation)
  * Called by scheduler cron job
@@ -304,9 +381,13 @@ export const getRealTimeStatusSync = (meeting, timeoutMinutes = 40, durationMinu
 
 export default {
     checkOneCallPerDay,
+    lockStudentBookings,
     checkThreeMeetingLimit,
+    getStudentRatingAdjustment,
     checkVolunteerPerformance,
+    checkSchedulingSuspension,
     validateSchedulingTime,
+    checkStudentAvailability,
     markOverdueMeetingsAsMissed,
     getRealTimeStatus,
     getRealTimeStatusSync
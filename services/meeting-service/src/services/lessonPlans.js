@@ -0,0 +1,38 @@
+/**
+ * Lesson plans for new bookings
+ * The backend's lessonPlanService owns the library and picks the plan for each meeting; this asks
+ * it to attach one once a meeting is booked here. Like the rating adjustment this is best effort:
+ * if the backend doesn't answer the booking stands, and the plan is picked when the volunteer
+ * first opens it during the call.
+ */
+
+const BACKEND_URL = process.env.BACKEND_URL || 'http://backend:3001';
+const INTERNAL_API_KEY = process.env.INTERNAL_API_KEY || '';
+const REQUEST_TIMEOUT_MS = 2000;
+
+/**
+ * Ask the backend to attach the best lesson plan to a newly booked meeting
+ * @param {Object} meeting - meetings row
+ * @returns {Promise<Object|null>} The plan attached, or null when none was (or the backend couldn't be reached)
+ */
+export const requestLessonPlan = async (meeting) => {
+    try {
+        const response = await fetch(`${BACKEND_URL}/internal/meetings/${meeting.id}/lesson-plan`, {
+            method: 'POST',
+            headers: { 'X-Internal-API-Key': INTERNAL_API_KEY },
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+            throw new Error(`Backend returned ${response.status}`);
+        }
+        const { lessonPlan } = await response.json();
+        return lessonPlan;
+    } catch (error) {
+        console.error(`[Meeting Service] Could not assign a lesson plan to meeting ${meeting.id}:`, error.message);
+        return null;
+    }
+};
+
+export default {
+    requestLessonPlan
+};
@@ -1,11 +1,13 @@
 import cron from 'node-cron';
 import { markOverdueMeetingsAsMissed } from './businessRules.js';
 import { publishMeetingMissed } from '../events/publisher.js';
+import { offerFreedSlot, expireWaitlistOffers } from './waitlist.js';
 
 let schedulerTask = null;
 
 /**
  * Process overdue meetings and mark as missed
+ * Each missed meeting's day is offered to the student's waitlist.
  */
 const processOverdueMeetings = async () => {
     try {
@@ -18,11 +20,25 @@ const processOverdueMeetings = async () => {
             // Publish events for each missed meeting
             for (const meeting of missedMeetings) {
                 await publishMeetingMissed(meeting, 'timeout');
+                try {
+                    await offerFreedSlot(meeting);
+                } catch (error) {
+                    console.error(`[Meeting Service] Error offering missed meeting ${meeting.id} to waitlist:`, error.message);
+                }
             }
         }
     } catch (error) {
         console.error('[Meeting Service] Error processing overdue meetings:', error.message);
     }
+
+    try {
+        const expiredOffers = await expireWaitlistOffers();
+        if (expiredOffers > 0) {
+            console.log(`[Meeting Service] Expired ${expiredOffers} waitlist offers`);
+        }
+    } catch (error) {
+        console.error('[Meeting Service] Error expiring waitlist offers:', error.message);
+    }
 };
 
 /**
@@ -40,7 +56,7 @@ export const startScheduler = () => {
         timezone: 'UTC' // Use UTC for global timezone support
     });
 
-    console.log('[Meeting Service] Scheduler started (checking overdue meetings every minute)');
+    console.log('[Meeting Service] Scheduler started (checking overdue meetings and waitlist offers every minute)');
 
     // Run immediately on startup
     processOverdueMeetings();
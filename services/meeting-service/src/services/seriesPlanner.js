@@ -0,0 +1,249 @@
+import {
+    checkOneCallPerDay,
+    checkThreeMeetingLimit,
+    validateSchedulingTime
+} from './businessRules.js';
+import { checkStudentAvailabilityAt } from './studentAvailability.js';
+import { getMeetingDuration } from '../config/appConfig.js';
+import { zonedTimeToUTC, addDaysToDateString, getSafeTimezone, getLocalTimeParts } from '../utils/timezoneUtils.js';
+
+/**
+ * Recurring meeting series planning
+ * - Expands a weekly pattern into concrete UTC occurrence times
+ * - Runs every occurrence through the same business rules as a one-off meeting
+ *   (scheduling window, student availability, 1-call-per-day, volunteer-student pair limit)
+ *
+ * Occurrences that break a rule are reported as conflicts instead of failing
+ * the whole series, so the volunteer can see exactly which weeks need attention.
+ */
+
+export const MAX_SERIES_OCCURRENCES = 26;
+export const MAX_INTERVAL_WEEKS = 4;
+
+/**
+ * Conflict reasons reported for occurrences that cannot be booked
+ */
+export const ConflictReasons = {
+    OUT_OF_RANGE: 'out_of_range',
+    STUDENT_UNAVAILABLE: 'student_unavailable',
+    STUDENT_HAS_MEETING: 'student_has_meeting',
+    PAIR_LIMIT: 'pair_limit'
+};
+
+/**
+ * Get the date of the first occurrence: the first day on or after startDate
+ * that falls on the requested weekday
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {number} dayOfWeek - 0 (Sunday) to 6 (Saturday)
+ * @returns {string} YYYY-MM-DD
+ */
+export const getFirstOccurrenceDate = (startDate, dayOfWeek) => {
+    const startWeekday = new Date(`${startDate}T00:00:00Z`).getUTCDay();
+    const offset = (dayOfWeek - startWeekday + 7) % 7;
+    return addDaysToDateString(startDate, offset);
+};
+
+/**
+ * Expand a series pattern into occurrence times
+ * @param {Object} pattern
+ * @param {string} pattern.startDate - YYYY-MM-DD (in the series timezone)
+ * @param {number} pattern.dayOfWeek - 0 (Sunday) to 6 (Saturday)
+ * @param {string} pattern.startTime - HH:MM wall-clock time in the series timezone
+ * @param {string} pattern.timezone - IANA timezone the pattern is expressed in
+ * @param {number} pattern.intervalWeeks - Weeks between occurrences
+ * @param {number} pattern.occurrenceCount - Number of occurrences
+ * @returns {Array<{index: number, localDate: string, scheduledTime: Date}>}
+ */
+export const expandSeriesOccurrences = ({ startDate, dayOfWeek, startTime, timezone, intervalWeeks = 1, occurrenceCount }) => {
+    const tz = getSafeTimezone(timezone);
+    const firstDate = getFirstOccurrenceDate(startDate, dayOfWeek);
+    const time = String(startTime).slice(0, 5);
+
+    const occurrences = [];
+    for (let index = 0; index < occurrenceCount; index++) {
+        const localDate = addDaysToDateString(firstDate, index * 7 * intervalWeeks);
+        occurrences.push({
+            index,
+            localDate,
+            scheduledTime: zonedTimeToUTC(localDate, time, tz)
+        });
+    }
+    return occurrences;
+};
+
+/**
+ * Where an existing occurrence goes when its series moves to another weekday and/or time
+ * It stays in its own week (Sunday to Saturday, as it falls in the series' current timezone),
+ * so moving the series to an earlier weekday brings the occurrence forward rather than pushing
+ * it into the following week.
+ * @param {Date|string} scheduledTime - The occurrence's current start
+ * @param {string} currentTimezone - Timezone the series is expressed in before the move
+ * @param {Object} pattern - New pattern, as returned by validateSeriesPattern
+ * @returns {{localDate: string, scheduledTime: Date}}
+ */
+export const moveOccurrenceWithinWeek = (scheduledTime, currentTimezone, { dayOfWeek, startTime, timezone }) => {
+    const current = getLocalTimeParts(scheduledTime, currentTimezone);
+    const localDate = addDaysToDateString(current.date, dayOfWeek - current.dayOfWeek);
+    return {
+        localDate,
+        scheduledTime: zonedTimeToUTC(localDate, String(startTime).slice(0, 5), getSafeTimezone(timezone))
+    };
+};
+
+/**
+ * Validate a series request body
+ * @param {Object} body - Request body
+ * @returns {{valid: boolean, error?: string, pattern?: Object}}
+ */
+export const validateSeriesPattern = ({ startDate, dayOfWeek, time, timezone, occurrences, intervalWeeks = 1 }) => {
+    if (!startDate || !/^\d{4}-\d{2}-\d{2}$/.test(startDate)) {
+        return { valid: false, error: 'startDate is required in YYYY-MM-DD format' };
+    }
+    if (!time || !/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+        return { valid: false, error: 'time is required in HH:MM format' };
+    }
+
+    const resolvedDay = dayOfWeek === undefined || dayOfWeek === null
+        ? new Date(`${startDate}T00:00:00Z`).getUTCDay()
+        : Number(dayOfWeek);
+    if (!Number.isInteger(resolvedDay) || resolvedDay < 0 || resolvedDay > 6) {
+        return { valid: false, error: 'dayOfWeek must be between 0 (Sunday) and 6 (Saturday)' };
+    }
+
+    const count = Number(occurrences);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_SERIES_OCCURRENCES) {
+        return { valid: false, error: `occurrences must be between 1 and ${MAX_SERIES_OCCURRENCES}` };
+    }
+
+    const interval = Number(intervalWeeks);
+    if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL_WEEKS) {
+        return { valid: false, error: `intervalWeeks must be between 1 and ${MAX_INTERVAL_WEEKS}` };
+    }
+
+    return {
+        valid: true,
+        pattern: {
+            startDate,
+            dayOfWeek: resolvedDay,
+            startTime: time,
+            timezone: getSafeTimezone(timezone || 'Africa/Nairobi'),
+            intervalWeeks: interval,
+            occurrenceCount: count
+        }
+    };
+};
+
+/**
+ * Run every occurrence of a new series through the scheduling business rules
+ * The pair limit is applied cumulatively: each bookable occurrence uses up one slot.
+ *
+ * @param {number} volunteerId
+ * @param {number} studentId
+ * @param {Array} occurrences - Output of expandSeriesOccurrences
+ * @returns {Promise<{bookable: Array, conflicts: Array, meetingLimit: Object}>}
+ */
+export const evaluateSeriesOccurrences = async (volunteerId, studentId, occurrences) => {
+    const meetingLimit = await checkThreeMeetingLimit(volunteerId, studentId);
+    let activeCount = meetingLimit.count;
+
+    const durationMinutes = await getMeetingDuration();
+    const studentAvailability = await checkStudentAvailabilityAt(
+        studentId, occurrences.map(occurrence => occurrence.scheduledTime), durationMinutes
+    );
+
+    const bookable = [];
+    const conflicts = [];
+
+    for (const [i, occurrence] of occurrences.entries()) {
+        const timeValidation = await validateSchedulingTime(occurrence.scheduledTime);
+        if (!timeValidation.valid) {
+            conflicts.push({
+                ...occurrence,
+                reason: ConflictReasons.OUT_OF_RANGE,
+                message: timeValidation.error
+            });
+            continue;
+        }
+
+        if (!studentAvailability[i].available) {
+            conflicts.push({
+                ...occurrence,
+                reason: ConflictReasons.STUDENT_UNAVAILABLE,
+                message: studentAvailability[i].error
+            });
+            continue;
+        }
+
+        const existingMeeting = await checkOneCallPerDay(studentId, occurrence.scheduledTime);
+        if (existingMeeting) {
+            conflicts.push({
+                ...occurrence,
+                reason: ConflictReasons.STUDENT_HAS_MEETING,
+                message: 'Student already has a meeting scheduled for this date',
+                existingMeeting
+            });
+            continue;
+        }
+
+        if (activeCount >= meetingLimit.limit) {
+            conflicts.push({
+                ...occurrence,
+                reason: ConflictReasons.PAIR_LIMIT,
+                message: `This occurrence would exceed the ${meetingLimit.limit}-meeting limit with this student.`
+            });
+            continue;
+        }
+
+        activeCount++;
+        bookable.push(occurrence);
+    }
+
+    return { bookable, conflicts, meetingLimit };
+};
+
+/**
+ * Check whether an existing occurrence can move to a new time
+ * Pair limit is unaffected by a move, so only the time window, student availability
+ * and 1-call-per-day apply.
+ *
+ * @param {Object} meeting - The occurrence being moved
+ * @param {Date|string} newTime
+ * @returns {Promise<{ok: boolean, reason?: string, message?: string, existingMeeting?: Object}>}
+ */
+export const evaluateOccurrenceMove = async (meeting, newTime) => {
+    const timeValidation = await validateSchedulingTime(newTime);
+    if (!timeValidation.valid) {
+        return { ok: false, reason: ConflictReasons.OUT_OF_RANGE, message: timeValidation.error };
+    }
+
+    const [studentAvailability] = await checkStudentAvailabilityAt(
+        meeting.student_id, [newTime], await getMeetingDuration()
+    );
+    if (!studentAvailability.available) {
+        return { ok: false, reason: ConflictReasons.STUDENT_UNAVAILABLE, message: studentAvailability.error };
+    }
+
+    const existingMeeting = await checkOneCallPerDay(meeting.student_id, newTime, meeting.id);
+    if (existingMeeting) {
+        return {
+            ok: false,
+            reason: ConflictReasons.STUDENT_HAS_MEETING,
+            message: 'Student already has a meeting scheduled for this date',
+            existingMeeting
+        };
+    }
+
+    return { ok: true };
+};
+
+export default {
+    MAX_SERIES_OCCURRENCES,
+    MAX_INTERVAL_WEEKS,
+    ConflictReasons,
+    getFirstOccurrenceDate,
+    expandSeriesOccurrences,
+    moveOccurrenceWithinWeek,
+    validateSeriesPattern,
+    evaluateSeriesOccurrences,
+    evaluateOccurrenceMove
+};
@@ -0,0 +1,233 @@
+import pool from '../config/database.js';
+import { getMeetingDuration, getMaxFutureMonths, getSlotFinderSettings } from '../config/appConfig.js';
+import { checkThreeMeetingLimit } from './businessRules.js';
+import { checkStudentAvailabilityAt } from './studentAvailability.js';
+import {
+    getUserTimezone,
+    getDayBoundariesInTimezone,
+    getLocalTimeParts,
+    zonedTimeToUTC,
+    addDaysToDateString,
+    timeToMinutes
+} from '../utils/timezoneUtils.js';
+
+/**
+ * Availability-driven slot finder
+ * Crosses a volunteer's weekly volunteer_availability windows with:
+ * - the student's timezone (day boundaries for the 1-call-per-day rule)
+ * - existing meetings of both the volunteer and the student
+ * - the configurable school-hours block (in the student's timezone)
+ * - the student's own availability windows and school calendar (terms, holidays, exams)
+ * - the scheduling window and volunteer-student pair limit
+ *
+ * Returns concrete, bookable start times ranked best-first.
+ */
+
+// Student local hours outside this range are still bookable but ranked lower
+const SOCIABLE_START_HOUR = 8;
+const SOCIABLE_END_HOUR = 20;
+
+/**
+ * Convert minutes after midnight to HH:MM
+ * @param {number} minutes
+ * @returns {string}
+ */
+const toTimeString = (minutes) => {
+    const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+    return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Check whether a meeting starting at a student-local time overlaps the school-hours block
+ * @param {{date: string, time: string, dayOfWeek: number}} studentLocal
+ * @param {number} durationMinutes
+ * @param {Object} block - { enabled, days, start, end }
+ * @returns {boolean}
+ */
+export const overlapsSchoolHours = (studentLocal, durationMinutes, block) => {
+    if (!block || !block.enabled || !Array.isArray(block.days)) return false;
+    if (!block.days.includes(studentLocal.dayOfWeek)) return false;
+
+    const start = timeToMinutes(studentLocal.time);
+    const end = start + durationMinutes;
+    return start < timeToMinutes(block.end) && end > timeToMinutes(block.start);
+};
+
+/**
+ * Score a candidate slot (higher is better)
+ * Sooner slots and slots at sociable student-local hours rank first.
+ *
+ * @param {Date} scheduledTime
+ * @param {{time: string}} studentLocal
+ * @param {Date} now
+ * @returns {number}
+ */
+export const scoreSlot = (scheduledTime, studentLocal, now = new Date()) => {
+    const daysAhead = Math.floor((scheduledTime - now) / (24 * 60 * 60 * 1000));
+    const studentHour = timeToMinutes(studentLocal.time) / 60;
+
+    let score = 100 - daysAhead * 3;
+    if (studentHour < SOCIABLE_START_HOUR || studentHour >= SOCIABLE_END_HOUR) {
+        score -= 25;
+    }
+    return Math.max(0, score);
+};
+
+/**
+ * Expand availability windows into candidate start times within a UTC range
+ * Windows are weekly and expressed in their own timezone.
+ *
+ * @param {Array} windows - volunteer_availability rows
+ * @param {Date} rangeStart - Inclusive UTC start
+ * @param {Date} rangeEnd - Exclusive UTC end
+ * @param {number} durationMinutes - Meeting length (a slot must fit inside the window)
+ * @param {number} intervalMinutes - Minutes between candidate start times
+ * @returns {Date[]} Unique candidate start times, ascending
+ */
+export const expandAvailabilityWindows = (windows, rangeStart, rangeEnd, durationMinutes, intervalMinutes) => {
+    const candidates = new Map();
+
+    for (const window of windows) {
+        // Walk local dates in the window's timezone, padded a day either side of the range
+        const firstDate = addDaysToDateString(getLocalTimeParts(rangeStart, window.timezone).date, -1);
+        const lastDate = addDaysToDateString(getLocalTimeParts(rangeEnd, window.timezone).date, 1);
+
+        for (let localDate = firstDate; localDate <= lastDate; localDate = addDaysToDateString(localDate, 1)) {
+            if (new Date(`${localDate}T00:00:00Z`).getUTCDay() !== window.day_of_week) continue;
+
+            const windowEnd = timeToMinutes(window.end_time);
+            for (let start = timeToMinutes(window.start_time); start + durationMinutes <= windowEnd; start += intervalMinutes) {
+                const scheduledTime = zonedTimeToUTC(localDate, toTimeString(start), window.timezone);
+                if (scheduledTime >= rangeStart && scheduledTime < rangeEnd) {
+                    candidates.set(scheduledTime.getTime(), scheduledTime);
+                }
+            }
+        }
+    }
+
+    return [...candidates.values()].sort((a, b) => a - b);
+};
+
+/**
+ * Find bookable slots for a volunteer-student pair
+ * @param {Object} params
+ * @param {number} params.volunteerId
+ * @param {number} params.studentId - users.id of the student
+ * @param {string} params.from - First date (YYYY-MM-DD) in the student's timezone
+ * @param {string} params.to - Last date (YYYY-MM-DD, inclusive) in the student's timezone
+ * @param {number} [params.limit] - Maximum slots to return
+ * @param {number|null} [params.excludeMeetingId] - Meeting being rescheduled (does not block its own slot)
+ * @returns {Promise<{slots: Array, studentTimezone: string, reason?: string, meetingLimit?: Object}>}
+ */
+export const findAvailableSlots = async ({ volunteerId, studentId, from, to, limit = 50, excludeMeetingId = null }) => {
+    const studentTimezone = await getUserTimezone(studentId);
+
+    // Moving an existing meeting does not use up another slot of the pair limit
+    const meetingLimit = await checkThreeMeetingLimit(volunteerId, studentId);
+    if (!meetingLimit.canSchedule && !excludeMeetingId) {
+        return { slots: [], studentTimezone, reason: 'pair_limit', meetingLimit };
+    }
+
+    const windowsResult = await pool.query(`
+        SELECT day_of_week, start_time, end_time, timezone
+        FROM volunteer_availability
+        WHERE volunteer_id = $1 AND is_active = true
+    `, [volunteerId]);
+    if (windowsResult.rows.length === 0) {
+        return { slots: [], studentTimezone, reason: 'no_availability', meetingLimit };
+    }
+
+    const durationMinutes = await getMeetingDuration();
+    const maxFutureMonths = await getMaxFutureMonths();
+    const { intervalMinutes, schoolHoursBlock } = await getSlotFinderSettings();
+
+    // Range boundaries are whole days in the student's timezone
+    const rangeStart = zonedTimeToUTC(from, '00:00', studentTimezone);
+    const rangeEnd = zonedTimeToUTC(addDaysToDateString(to, 1), '00:00', studentTimezone);
+
+    const now = new Date();
+    const maxFutureDate = new Date();
+    maxFutureDate.setMonth(maxFutureDate.getMonth() + maxFutureMonths);
+
+    // Active meetings of either participant that could collide with a candidate
+    const meetingsResult = await pool.query(`
+        SELECT volunteer_id, student_id, scheduled_time
+        FROM meetings
+        WHERE (volunteer_id = $1 OR student_id = $2)
+        AND status IN ('scheduled', 'in_progress')
+        AND scheduled_time >= $3
+        AND scheduled_time < $4
+        AND ($5::integer IS NULL OR id <> $5)
+    `, [
+        volunteerId,
+        studentId,
+        new Date(rangeStart.getTime() - 24 * 60 * 60 * 1000),
+        new Date(rangeEnd.getTime() + 24 * 60 * 60 * 1000),
+        excludeMeetingId
+    ]);
+
+    const durationMs = durationMinutes * 60 * 1000;
+    const volunteerMeetings = meetingsResult.rows
+        .filter(m => m.volunteer_id === volunteerId)
+        .map(m => new Date(m.scheduled_time).getTime());
+    const studentBookedDates = new Set(
+        meetingsResult.rows
+            .filter(m => m.student_id === studentId)
+            .map(m => getDayBoundariesInTimezone(m.scheduled_time, studentTimezone).localDateString)
+    );
+
+    const candidates = expandAvailabilityWindows(
+        windowsResult.rows, rangeStart, rangeEnd, durationMinutes, intervalMinutes
+    );
+
+    const openSlots = [];
+    for (const scheduledTime of candidates) {
+        if (scheduledTime <= now || scheduledTime > maxFutureDate) continue;
+
+        const studentLocal = getLocalTimeParts(scheduledTime, studentTimezone);
+
+        // 1-call-per-day, evaluated on the student's calendar day
+        if (studentBookedDates.has(studentLocal.date)) continue;
+
+        if (overlapsSchoolHours(studentLocal, durationMinutes, schoolHoursBlock)) continue;
+
+        const start = scheduledTime.getTime();
+        const clashesWithVolunteer = volunteerMeetings.some(
+            existing => start < existing + durationMs && start + durationMs > existing
+        );
+        if (clashesWithVolunteer) continue;
+
+        openSlots.push({ scheduledTime, studentLocal });
+    }
+
+    // The student's availability windows and school calendar, for every remaining candidate at once
+    const studentAvailability = await checkStudentAvailabilityAt(
+        studentId, openSlots.map(slot => slot.scheduledTime), durationMinutes
+    );
+
+    const slots = openSlots
+        .filter((slot, i) => studentAvailability[i].available)
+        .map(({ scheduledTime, studentLocal }) => ({
+            scheduledTime: scheduledTime.toISOString(),
+            studentLocalDate: studentLocal.date,
+            studentLocalTime: studentLocal.time,
+            score: scoreSlot(scheduledTime, studentLocal, now)
+        }));
+
+    slots.sort((a, b) => b.score - a.score || a.scheduledTime.localeCompare(b.scheduledTime));
+
+    return {
+        slots: slots.slice(0, limit),
+        totalAvailable: slots.length,
+        studentTimezone,
+        durationMinutes,
+        meetingLimit
+    };
+};
+
+export default {
+    findAvailableSlots,
+    expandAvailabilityWindows,
+    overlapsSchoolHours,
+    scoreSlot
+};
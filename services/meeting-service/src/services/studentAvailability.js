@@ -0,0 +1,57 @@
+/**
+ * Student availability and school calendar
+ * - Weekly windows per student, falling back to the student's class (users.school_grade)
+ * - Holidays and exam periods block whole days
+ * - When terms are defined for the student, bookings must fall inside a term
+ *
+ * The backend's studentAvailabilityService owns these rules; this asks it through the internal
+ * API. Callers that check many candidate times (series, slot finder) send them together.
+ * Unlike the rating adjustment, a failed check is an error: booking over a holiday or an exam
+ * because the backend didn't answer would be worse than asking the volunteer to try again.
+ */
+
+const BACKEND_URL = process.env.BACKEND_URL || 'http://backend:3001';
+const INTERNAL_API_KEY = process.env.INTERNAL_API_KEY || '';
+const REQUEST_TIMEOUT_MS = 5000;
+// The most times the backend checks in one request
+const TIMES_PER_REQUEST = 1000;
+
+const requestAvailability = async (studentId, times, durationMinutes) => {
+    const response = await fetch(`${BACKEND_URL}/internal/students/${studentId}/availability`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Internal-API-Key': INTERNAL_API_KEY
+        },
+        body: JSON.stringify({
+            times: times.map(time => new Date(time).toISOString()),
+            durationMinutes
+        }),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+        throw new Error(`Student availability check failed: backend returned ${response.status}`);
+    }
+
+    const { results } = await response.json();
+    return results;
+};
+
+/**
+ * Check candidate meeting times against the student's availability windows and school calendar
+ * @param {number} studentId - users.id of the student
+ * @param {Array<Date|string>} times
+ * @param {number} durationMinutes - Meeting length; the whole meeting must fit inside a window
+ * @returns {Promise<Array<{available: boolean, reason?: string, error?: string, event?: Object}>>} One result per time, in order
+ */
+export const checkStudentAvailabilityAt = async (studentId, times, durationMinutes) => {
+    const results = [];
+    for (let start = 0; start < times.length; start += TIMES_PER_REQUEST) {
+        results.push(...await requestAvailability(studentId, times.slice(start, start + TIMES_PER_REQUEST), durationMinutes));
+    }
+    return results;
+};
+
+export default {
+    checkStudentAvailabilityAt
+};
@@ -0,0 +1,158 @@
+import pool from '../config/database.js';
+import { getWaitlistOfferWindow } from '../config/appConfig.js';
+import { getUserTimezone, getDayBoundariesInTimezone } from '../utils/timezoneUtils.js';
+import { publishWaitlistOffered, publishWaitlistOfferExpired } from '../events/publisher.js';
+import {
+    checkOneCallPerDay,
+    checkThreeMeetingLimit,
+    checkVolunteerPerformance,
+    checkSchedulingSuspension
+} from './businessRules.js';
+
+/**
+ * Waitlist backfill for meeting-service
+ * Volunteers queue for a booked student's day through the backend (/api/v1/volunteers/waitlist).
+ * When this service cancels a meeting or marks one missed, the first eligible volunteer in that
+ * day's queue is offered the slot for waitlist.offer_window_minutes. Offers that run out pass to
+ * the next volunteer. Accepting an offer goes through the backend, which books the meeting.
+ */
+
+const ENTRY_COLUMNS = `
+    w.id, w.student_id, w.volunteer_id, to_char(w.waitlist_date, 'YYYY-MM-DD') as waitlist_date,
+    w.status, w.freed_meeting_id, w.offered_time, w.offer_expires_at
+`;
+
+/**
+ * Whether a volunteer could book this student now, whatever time they pick
+ * @param {number} volunteerId
+ * @param {number} studentId
+ * @returns {Promise<boolean>}
+ */
+const isVolunteerEligible = async (volunteerId, studentId) => {
+    const suspension = await checkSchedulingSuspension(volunteerId);
+    if (suspension.suspended) return false;
+
+    const performance = await checkVolunteerPerformance(volunteerId);
+    if (performance.isRestricted) return false;
+
+    const meetingLimit = await checkThreeMeetingLimit(volunteerId, studentId);
+    return meetingLimit.canSchedule;
+};
+
+/**
+ * Offer a student's free day to the first eligible volunteer in the queue
+ * Volunteers who can't book right now keep their place and are skipped for this offer.
+ * @param {Object} slot
+ * @param {number} slot.studentId
+ * @param {string} slot.waitlistDate - YYYY-MM-DD in the student's timezone
+ * @param {number|null} [slot.freedMeetingId]
+ * @param {Date|null} [slot.freedTime] - Offered as-is if it is still far enough ahead
+ * @returns {Promise<Object|null>} The offered entry, or null when nobody could take it
+ */
+const offerNextInQueue = async ({ studentId, waitlistDate, freedMeetingId = null, freedTime = null }) => {
+    const offerWindowMinutes = await getWaitlistOfferWindow();
+
+    // One open offer per day at a time
+    const openOffers = await pool.query(`
+        SELECT id FROM meeting_waitlist
+        WHERE student_id = $1 AND waitlist_date = $2 AND status = 'offered'
+        LIMIT 1
+    `, [studentId, waitlistDate]);
+    if (openOffers.rows.length > 0) return null;
+
+    const queue = await pool.query(`
+        SELECT ${ENTRY_COLUMNS}
+        FROM meeting_waitlist w
+        WHERE w.student_id = $1 AND w.waitlist_date = $2 AND w.status = 'waiting'
+        ORDER BY w.created_at, w.id
+    `, [studentId, waitlistDate]);
+    if (queue.rows.length === 0) return null;
+
+    // Someone may have booked the day directly, or it may be over.
+    // Noon UTC stays on the same calendar day for every offset within ±12h.
+    const dayAnchor = new Date(`${waitlistDate}T12:00:00Z`);
+    const studentTimezone = await getUserTimezone(studentId);
+    const { endOfDay } = getDayBoundariesInTimezone(dayAnchor, studentTimezone);
+    if (endOfDay <= new Date()) return null;
+    if (await checkOneCallPerDay(studentId, dayAnchor)) return null;
+
+    // The volunteer needs the whole window to decide, so a time inside it isn't offered
+    const offerExpiresAt = new Date(Date.now() + offerWindowMinutes * 60 * 1000);
+    const offeredTime = freedTime && new Date(freedTime) > offerExpiresAt ? new Date(freedTime) : null;
+
+    for (const entry of queue.rows) {
+        if (!await isVolunteerEligible(entry.volunteer_id, studentId)) {
+            console.log(`[Meeting Service] Waitlist entry ${entry.id} skipped for this offer (volunteer not eligible)`);
+            continue;
+        }
+
+        // Conditional update so the backend and this service can't offer the same entry
+        const claimed = await pool.query(`
+            UPDATE meeting_waitlist
+            SET status = 'offered', freed_meeting_id = $2, offered_time = $3,
+                offered_at = NOW(), offer_expires_at = $4, updated_at = NOW()
+            WHERE id = $1 AND status = 'waiting'
+            RETURNING id
+        `, [entry.id, freedMeetingId, offeredTime, offerExpiresAt]);
+        if (claimed.rows.length === 0) continue;
+
+        const offer = { ...entry, status: 'offered', offered_time: offeredTime, offer_expires_at: offerExpiresAt };
+        await publishWaitlistOffered(offer, offerWindowMinutes);
+
+        console.log(`[Meeting Service] Offered student ${studentId}'s ${waitlistDate} slot to volunteer ${entry.volunteer_id} (waitlist ${entry.id})`);
+        return offer;
+    }
+
+    return null;
+};
+
+/**
+ * Offer the day of a canceled or missed meeting to the student's waitlist
+ * @param {Object} meeting - meetings row (id, student_id, scheduled_time)
+ * @returns {Promise<Object|null>} The offered entry, if any
+ */
+export const offerFreedSlot = async (meeting) => {
+    const studentId = meeting.student_id;
+    const freedTime = new Date(meeting.scheduled_time);
+    if (!studentId || isNaN(freedTime.getTime())) return null;
+
+    const studentTimezone = await getUserTimezone(studentId);
+    return offerNextInQueue({
+        studentId,
+        waitlistDate: getDayBoundariesInTimezone(freedTime, studentTimezone).localDateString,
+        freedMeetingId: meeting.id,
+        freedTime
+    });
+};
+
+/**
+ * Expire unanswered offers and pass each slot to the next volunteer
+ * Called by scheduler cron job
+ * @returns {Promise<number>} Offers expired
+ */
+export const expireWaitlistOffers = async () => {
+    const expired = await pool.query(`
+        UPDATE meeting_waitlist w
+        SET status = 'expired', responded_at = NOW(), updated_at = NOW()
+        WHERE w.status = 'offered' AND w.offer_expires_at <= NOW()
+        RETURNING ${ENTRY_COLUMNS}
+    `);
+
+    for (const entry of expired.rows) {
+        try {
+            await publishWaitlistOfferExpired(entry);
+            await offerNextInQueue({
+                studentId: entry.student_id,
+                waitlistDate: entry.waitlist_date,
+                freedMeetingId: entry.freed_meeting_id,
+                freedTime: entry.offered_time
+            });
+        } catch (error) {
+            console.error(`[Meeting Service] Error passing on expired waitlist offer ${entry.id}:`, error.message);
+        }
+    }
+
+    return expired.rows.length;
+};
+
+export default { offerFreedSlot, expireWaitlistOffers };
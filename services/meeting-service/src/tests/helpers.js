@@ -0,0 +1,41 @@
+/**
+ * Test helpers
+ * The services talk to Postgres through the shared pool; tests swap pool.query for
+ * routeQueries(...) with t.mock.method so no database is needed. Calls to the backend's internal
+ * API go through fetch, which tests replace the same way, answering with jsonResponse(...).
+ */
+
+/**
+ * Build a pool.query stand-in that answers each statement from the first route whose pattern
+ * matches its SQL. Unmatched statements return no rows.
+ * @param {Array<[RegExp, Array|Function]>} routes - Rows, or (params, sql) => rows
+ * @returns {Function}
+ */
+export const routeQueries = (routes) => async (sql, params = []) => {
+    const text = typeof sql === 'string' ? sql : sql.text;
+    const route = routes.find(([pattern]) => pattern.test(text));
+    if (!route) {
+        return { rows: [], rowCount: 0 };
+    }
+    const rows = typeof route[1] === 'function' ? await route[1](params, text) : route[1];
+    return { rows, rowCount: rows.length };
+};
+
+/**
+ * YYYY-MM-DD of the day `days` from today (UTC)
+ * @param {number} days
+ * @returns {string}
+ */
+export const dateFromToday = (days) => {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+};
+
+/**
+ * Minimal fetch Response carrying a JSON body
+ * @param {number} status
+ * @param {Object} body
+ * @returns {{ok: boolean, status: number, json: Function}}
+ */
+export const jsonResponse = (status, body) => ({ ok: status < 400, status, json: async () => body });
@@ -0,0 +1,33 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { requestLessonPlan } from '../services/lessonPlans.js';
+import { jsonResponse } from './helpers.js';
+
+describe('requestLessonPlan', () => {
+    beforeEach((t) => {
+        t.mock.method(console, 'error', () => {});
+    });
+
+    it('asks the backend\'s internal API to attach a plan to the new meeting', async (t) => {
+        t.mock.method(globalThis, 'fetch', async () => jsonResponse(200, { success: true, lessonPlan: { id: 7, title: 'Weekend plans' } }));
+
+        assert.deepEqual(await requestLessonPlan({ id: 42, student_id: 2 }), { id: 7, title: 'Weekend plans' });
+
+        const [url, options] = fetch.mock.calls[0].arguments;
+        assert.match(url, /\/internal\/meetings\/42\/lesson-plan$/);
+        assert.equal(options.method, 'POST');
+        assert.ok('X-Internal-API-Key' in options.headers);
+        assert.ok(options.signal instanceof AbortSignal);
+    });
+
+    it('leaves the booking alone when the backend cannot answer', async (t) => {
+        t.mock.method(globalThis, 'fetch', async () => jsonResponse(500, { success: false }));
+        assert.equal(await requestLessonPlan({ id: 42 }), null);
+
+        t.mock.restoreAll();
+        t.mock.method(console, 'error', () => {});
+        t.mock.method(globalThis, 'fetch', async () => { throw new TypeError('fetch failed'); });
+        assert.equal(await requestLessonPlan({ id: 42 }), null);
+        assert.match(console.error.mock.calls[0].arguments[0], /meeting 42/);
+    });
+});
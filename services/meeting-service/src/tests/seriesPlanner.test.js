@@ -0,0 +1,161 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../config/database.js';
+import {
+    ConflictReasons,
+    getFirstOccurrenceDate,
+    expandSeriesOccurrences,
+    moveOccurrenceWithinWeek,
+    validateSeriesPattern,
+    evaluateSeriesOccurrences
+} from '../services/seriesPlanner.js';
+import { zonedTimeToUTC } from '../utils/timezoneUtils.js';
+import { routeQueries, dateFromToday, jsonResponse } from './helpers.js';
+
+const iso = (occurrence) => occurrence.scheduledTime.toISOString();
+
+describe('zonedTimeToUTC', () => {
+    it('converts a wall-clock time with a fixed offset', () => {
+        assert.equal(zonedTimeToUTC('2026-11-03', '16:00', 'Africa/Nairobi').toISOString(), '2026-11-03T13:00:00.000Z');
+    });
+
+    it('uses the offset in effect on each side of a DST change', () => {
+        assert.equal(zonedTimeToUTC('2026-03-07', '10:00', 'America/New_York').toISOString(), '2026-03-07T15:00:00.000Z');
+        assert.equal(zonedTimeToUTC('2026-03-08', '10:00', 'America/New_York').toISOString(), '2026-03-08T14:00:00.000Z');
+        assert.equal(zonedTimeToUTC('2026-10-24', '09:00', 'Europe/London').toISOString(), '2026-10-24T08:00:00.000Z');
+        assert.equal(zonedTimeToUTC('2026-10-25', '09:00', 'Europe/London').toISOString(), '2026-10-25T09:00:00.000Z');
+    });
+
+    it('falls back to UTC for an unknown timezone', () => {
+        assert.equal(zonedTimeToUTC('2026-11-03', '16:00', 'Mars/Olympus').toISOString(), '2026-11-03T16:00:00.000Z');
+    });
+});
+
+describe('getFirstOccurrenceDate', () => {
+    it('keeps the start date when it already falls on the weekday', () => {
+        assert.equal(getFirstOccurrenceDate('2026-11-03', 2), '2026-11-03');
+    });
+
+    it('moves forward to the next matching weekday, across a month end', () => {
+        assert.equal(getFirstOccurrenceDate('2026-11-03', 1), '2026-11-09');
+        assert.equal(getFirstOccurrenceDate('2026-11-28', 0), '2026-11-29');
+        assert.equal(getFirstOccurrenceDate('2026-11-29', 6), '2026-12-05');
+    });
+});
+
+describe('expandSeriesOccurrences', () => {
+    it('spaces occurrences by the interval in weeks', () => {
+        const occurrences = expandSeriesOccurrences({
+            startDate: '2026-11-01',
+            dayOfWeek: 2,
+            startTime: '16:00',
+            timezone: 'Africa/Nairobi',
+            intervalWeeks: 2,
+            occurrenceCount: 3
+        });
+
+        assert.deepEqual(occurrences.map(o => [o.index, o.localDate, iso(o)]), [
+            [0, '2026-11-03', '2026-11-03T13:00:00.000Z'],
+            [1, '2026-11-17', '2026-11-17T13:00:00.000Z'],
+            [2, '2026-12-01', '2026-12-01T13:00:00.000Z']
+        ]);
+    });
+
+    it('keeps the local start time when the series crosses a DST change', () => {
+        const occurrences = expandSeriesOccurrences({
+            startDate: '2026-03-02',
+            dayOfWeek: 1,
+            startTime: '10:00:00',
+            timezone: 'America/New_York',
+            occurrenceCount: 2
+        });
+
+        assert.deepEqual(occurrences.map(iso), ['2026-03-02T15:00:00.000Z', '2026-03-09T14:00:00.000Z']);
+    });
+});
+
+describe('moveOccurrenceWithinWeek', () => {
+    // Thursday 5 November 2026, 16:00 in Nairobi
+    const thursday = '2026-11-05T13:00:00.000Z';
+
+    it('moves to an earlier weekday in the same week', () => {
+        const moved = moveOccurrenceWithinWeek(thursday, 'Africa/Nairobi', { dayOfWeek: 2, startTime: '16:00', timezone: 'Africa/Nairobi' });
+        assert.equal(moved.localDate, '2026-11-03');
+        assert.equal(moved.scheduledTime.toISOString(), '2026-11-03T13:00:00.000Z');
+    });
+
+    it('moves to a later weekday in the same week with a new time', () => {
+        const moved = moveOccurrenceWithinWeek(thursday, 'Africa/Nairobi', { dayOfWeek: 6, startTime: '10:00', timezone: 'Africa/Nairobi' });
+        assert.equal(moved.localDate, '2026-11-07');
+        assert.equal(moved.scheduledTime.toISOString(), '2026-11-07T07:00:00.000Z');
+    });
+
+    it('reads the week in the current timezone and the new time in the new one', () => {
+        // 02:30 on Sunday 8 November in Nairobi is still Saturday in UTC; the week is Nairobi's
+        const moved = moveOccurrenceWithinWeek('2026-11-07T23:30:00.000Z', 'Africa/Nairobi', { dayOfWeek: 1, startTime: '09:00', timezone: 'Europe/London' });
+        assert.equal(moved.localDate, '2026-11-09');
+        assert.equal(moved.scheduledTime.toISOString(), '2026-11-09T09:00:00.000Z');
+    });
+});
+
+describe('validateSeriesPattern', () => {
+    const valid = { startDate: '2026-11-03', time: '16:00', occurrences: 4 };
+
+    it('fills in the weekday from the start date and the default timezone', () => {
+        const result = validateSeriesPattern(valid);
+        assert.equal(result.valid, true);
+        assert.deepEqual(result.pattern, {
+            startDate: '2026-11-03',
+            dayOfWeek: 2,
+            startTime: '16:00',
+            timezone: 'Africa/Nairobi',
+            intervalWeeks: 1,
+            occurrenceCount: 4
+        });
+    });
+
+    it('rejects malformed dates and times', () => {
+        assert.equal(validateSeriesPattern({ ...valid, startDate: '03/11/2026' }).valid, false);
+        assert.equal(validateSeriesPattern({ ...valid, time: '24:00' }).valid, false);
+        assert.equal(validateSeriesPattern({ ...valid, time: '9:00' }).valid, false);
+    });
+
+    it('rejects out-of-range weekdays, counts and intervals', () => {
+        assert.equal(validateSeriesPattern({ ...valid, dayOfWeek: 7 }).valid, false);
+        assert.equal(validateSeriesPattern({ ...valid, occurrences: 0 }).valid, false);
+        assert.equal(validateSeriesPattern({ ...valid, occurrences: 27 }).valid, false);
+        assert.equal(validateSeriesPattern({ ...valid, intervalWeeks: 5 }).valid, false);
+        assert.equal(validateSeriesPattern({ ...valid, intervalWeeks: 1.5 }).valid, false);
+    });
+});
+
+describe('evaluateSeriesOccurrences', () => {
+    it('reports each conflicting occurrence and applies the pair limit cumulatively', async (t) => {
+        const occurrences = [-7, 7, 14, 21, 28].map((days, index) => ({
+            index,
+            localDate: dateFromToday(days),
+            scheduledTime: new Date(`${dateFromToday(days)}T10:00:00Z`)
+        }));
+        const clashDay = occurrences[2].scheduledTime;
+
+        t.mock.method(pool, 'query', routeQueries([
+            [/COUNT\(\*\) as meeting_count/, [{ meeting_count: '1' }]],
+            [/SELECT timezone FROM users/, [{ timezone: 'UTC' }]],
+            [/FROM meetings\s+WHERE student_id = \$1/, ([, startOfDay, endOfDay]) =>
+                clashDay >= startOfDay && clashDay < endOfDay ? [{ id: 99, scheduled_time: clashDay, status: 'scheduled' }] : []]
+        ]));
+        t.mock.method(globalThis, 'fetch', async (url, options) => jsonResponse(200, {
+            results: JSON.parse(options.body).times.map(() => ({ available: true }))
+        }));
+
+        const { bookable, conflicts, meetingLimit } = await evaluateSeriesOccurrences(1, 2, occurrences);
+
+        assert.equal(meetingLimit.limit, 3);
+        assert.deepEqual(bookable.map(o => o.index), [1, 3]);
+        assert.deepEqual(conflicts.map(o => [o.index, o.reason]), [
+            [0, ConflictReasons.OUT_OF_RANGE],
+            [2, ConflictReasons.STUDENT_HAS_MEETING],
+            [4, ConflictReasons.PAIR_LIMIT]
+        ]);
+    });
+});
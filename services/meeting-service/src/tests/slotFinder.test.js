@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../config/database.js';
+import {
+    overlapsSchoolHours,
+    scoreSlot,
+    expandAvailabilityWindows,
+    findAvailableSlots
+} from '../services/slotFinder.js';
+import { routeQueries, dateFromToday, jsonResponse } from './helpers.js';
+
+const schoolHours = { enabled: true, days: [1, 2, 3, 4, 5], start: '07:30', end: '16:00' };
+
+describe('overlapsSchoolHours', () => {
+    it('blocks a meeting that runs into school hours on a school day', () => {
+        assert.equal(overlapsSchoolHours({ time: '07:00', dayOfWeek: 2 }, 40, schoolHours), true);
+        assert.equal(overlapsSchoolHours({ time: '15:30', dayOfWeek: 2 }, 40, schoolHours), true);
+    });
+
+    it('allows meetings that touch the block edges or fall on other days', () => {
+        assert.equal(overlapsSchoolHours({ time: '06:50', dayOfWeek: 2 }, 40, schoolHours), false);
+        assert.equal(overlapsSchoolHours({ time: '16:00', dayOfWeek: 2 }, 40, schoolHours), false);
+        assert.equal(overlapsSchoolHours({ time: '10:00', dayOfWeek: 6 }, 40, schoolHours), false);
+    });
+
+    it('ignores a disabled or malformed block', () => {
+        assert.equal(overlapsSchoolHours({ time: '10:00', dayOfWeek: 2 }, 40, { ...schoolHours, enabled: false }), false);
+        assert.equal(overlapsSchoolHours({ time: '10:00', dayOfWeek: 2 }, 40, null), false);
+    });
+});
+
+describe('scoreSlot', () => {
+    const now = new Date('2026-11-02T00:00:00Z');
+
+    it('ranks sooner slots higher', () => {
+        const tomorrow = scoreSlot(new Date('2026-11-03T12:00:00Z'), { time: '12:00' }, now);
+        const nextWeek = scoreSlot(new Date('2026-11-09T12:00:00Z'), { time: '12:00' }, now);
+        assert.ok(tomorrow > nextWeek);
+    });
+
+    it('ranks unsociable student-local hours lower but never below zero', () => {
+        const evening = scoreSlot(new Date('2026-11-03T17:00:00Z'), { time: '20:00' }, now);
+        const afternoon = scoreSlot(new Date('2026-11-03T17:00:00Z'), { time: '17:00' }, now);
+        assert.equal(afternoon - evening, 25);
+        assert.equal(scoreSlot(new Date('2027-01-30T12:00:00Z'), { time: '06:00' }, now), 0);
+    });
+});
+
+describe('expandAvailabilityWindows', () => {
+    const tuesday = { day_of_week: 2, start_time: '16:00:00', end_time: '17:30:00', timezone: 'Africa/Nairobi' };
+
+    it('only offers starts where the whole meeting fits inside the window', () => {
+        const slots = expandAvailabilityWindows(
+            [tuesday], new Date('2026-11-02T00:00:00Z'), new Date('2026-11-09T00:00:00Z'), 40, 30
+        );
+        assert.deepEqual(slots.map(s => s.toISOString()), ['2026-11-03T13:00:00.000Z', '2026-11-03T13:30:00.000Z']);
+    });
+
+    it('merges overlapping windows and keeps to the range', () => {
+        const overlapping = { ...tuesday, start_time: '16:30:00', end_time: '18:00:00' };
+        const slots = expandAvailabilityWindows(
+            [tuesday, overlapping], new Date('2026-11-03T13:30:00Z'), new Date('2026-11-03T14:30:00Z'), 40, 30
+        );
+        assert.deepEqual(slots.map(s => s.toISOString()), ['2026-11-03T13:30:00.000Z', '2026-11-03T14:00:00.000Z']);
+    });
+});
+
+describe('findAvailableSlots', () => {
+    const volunteerId = 1;
+    const studentId = 2;
+    const bookedDay = dateFromToday(3);
+    const busyDay = dateFromToday(10);
+
+    const stubDatabase = (t, { meetingCount = '0', windows, studentBusy = [] }) => {
+        t.mock.method(pool, 'query', routeQueries([
+            [/SELECT timezone FROM users/, [{ timezone: 'UTC' }]],
+            [/COUNT\(\*\) as meeting_count/, [{ meeting_count: meetingCount }]],
+            [/FROM volunteer_availability/, windows],
+            [/FROM meetings\s+WHERE \(volunteer_id/, [
+                { volunteer_id: 9, student_id: studentId, scheduled_time: new Date(`${bookedDay}T09:00:00Z`) },
+                { volunteer_id: volunteerId, student_id: 7, scheduled_time: new Date(`${busyDay}T17:30:00Z`) }
+            ]]
+        ]));
+        // The backend's answer for the student's own availability and school calendar
+        t.mock.method(globalThis, 'fetch', async (url, options) => jsonResponse(200, {
+            results: JSON.parse(options.body).times.map(time => ({ available: !studentBusy.includes(time) }))
+        }));
+    };
+
+    it('skips the student\'s booked days and the volunteer\'s other meetings', async (t) => {
+        const dayOfWeek = new Date(`${bookedDay}T00:00:00Z`).getUTCDay();
+        stubDatabase(t, {
+            windows: [{ day_of_week: dayOfWeek, start_time: '17:00:00', end_time: '20:00:00', timezone: 'UTC' }]
+        });
+
+        const result = await findAvailableSlots({ volunteerId, studentId, from: dateFromToday(1), to: dateFromToday(14) });
+
+        assert.equal(result.studentTimezone, 'UTC');
+        assert.deepEqual(result.slots.map(s => [s.studentLocalDate, s.studentLocalTime]), [
+            [busyDay, '18:30'],
+            [busyDay, '19:00']
+        ]);
+    });
+
+    it('leaves out times the student is unavailable and asks about the rest at once', async (t) => {
+        const dayOfWeek = new Date(`${busyDay}T00:00:00Z`).getUTCDay();
+        stubDatabase(t, {
+            windows: [{ day_of_week: dayOfWeek, start_time: '17:00:00', end_time: '20:00:00', timezone: 'UTC' }],
+            studentBusy: [`${busyDay}T18:30:00.000Z`]
+        });
+
+        const result = await findAvailableSlots({ volunteerId, studentId, from: busyDay, to: busyDay });
+
+        assert.deepEqual(result.slots.map(s => s.studentLocalTime), ['19:00']);
+        assert.equal(fetch.mock.callCount(), 1);
+        assert.deepEqual(JSON.parse(fetch.mock.calls[0].arguments[1].body).times, [`${busyDay}T18:30:00.000Z`, `${busyDay}T19:00:00.000Z`]);
+    });
+
+    it('explains an empty result', async (t) => {
+        stubDatabase(t, { meetingCount: '3', windows: [] });
+        const limited = await findAvailableSlots({ volunteerId, studentId, from: dateFromToday(1), to: dateFromToday(7) });
+        assert.equal(limited.reason, 'pair_limit');
+
+        const moving = await findAvailableSlots({ volunteerId, studentId, from: dateFromToday(1), to: dateFromToday(7), excludeMeetingId: 5 });
+        assert.equal(moving.reason, 'no_availability');
+    });
+});
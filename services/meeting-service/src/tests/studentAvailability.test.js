@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkStudentAvailabilityAt } from '../services/studentAvailability.js';
+import { jsonResponse } from './helpers.js';
+
+describe('checkStudentAvailabilityAt', () => {
+    it('asks the backend\'s internal API about every time in one request', async (t) => {
+        const holiday = { available: false, reason: 'holiday', error: 'Student is on a school holiday (Half term) on this date.' };
+        t.mock.method(globalThis, 'fetch', async () => jsonResponse(200, { success: true, results: [{ available: true }, holiday] }));
+
+        const results = await checkStudentAvailabilityAt(2, [new Date('2026-11-03T13:00:00Z'), '2026-11-04T13:00:00Z'], 40);
+
+        assert.deepEqual(results, [{ available: true }, holiday]);
+        assert.equal(fetch.mock.callCount(), 1);
+        const [url, options] = fetch.mock.calls[0].arguments;
+        assert.match(url, /\/internal\/students\/2\/availability$/);
+        assert.ok('X-Internal-API-Key' in options.headers);
+        assert.ok(options.signal instanceof AbortSignal);
+        assert.deepEqual(JSON.parse(options.body), {
+            times: ['2026-11-03T13:00:00.000Z', '2026-11-04T13:00:00.000Z'],
+            durationMinutes: 40
+        });
+    });
+
+    it('splits long lists of times across requests and keeps their order', async (t) => {
+        t.mock.method(globalThis, 'fetch', async (url, options) => jsonResponse(200, {
+            results: JSON.parse(options.body).times.map(time => ({ available: time.endsWith('00:00.000Z'), time }))
+        }));
+        const times = Array.from({ length: 1500 }, (_, i) => new Date(Date.UTC(2026, 10, 3) + i * 30 * 60000));
+
+        const results = await checkStudentAvailabilityAt(2, times, 40);
+
+        assert.equal(fetch.mock.callCount(), 2);
+        assert.deepEqual(results.map(r => r.time), times.map(time => time.toISOString()));
+    });
+
+    it('fails rather than guess when the backend cannot answer', async (t) => {
+        t.mock.method(globalThis, 'fetch', async () => jsonResponse(500, { success: false }));
+        await assert.rejects(checkStudentAvailabilityAt(2, [new Date()], 40), /backend returned 500/);
+
+        assert.deepEqual(await checkStudentAvailabilityAt(2, [], 40), []);
+        assert.equal(fetch.mock.callCount(), 1);
+    });
+});
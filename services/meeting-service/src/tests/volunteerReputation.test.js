@@ -0,0 +1,64 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../config/database.js';
+import { getStudentRatingAdjustment, checkVolunteerPerformance } from '../services/businessRules.js';
+import { routeQueries, jsonResponse } from './helpers.js';
+
+describe('volunteer reputation', () => {
+    beforeEach((t) => {
+        t.mock.method(console, 'error', () => {});
+    });
+
+    it('reads the rating adjustment from the backend\'s internal API', async (t) => {
+        t.mock.method(globalThis, 'fetch', async () => jsonResponse(200, {
+            success: true, averageRating: 4.8, ratingCount: 12, adjustment: 8
+        }));
+
+        assert.deepEqual(await getStudentRatingAdjustment(5), { averageRating: 4.8, ratingCount: 12, adjustment: 8 });
+
+        const [url, options] = fetch.mock.calls[0].arguments;
+        assert.match(url, /\/internal\/volunteers\/5\/rating-summary$/);
+        assert.ok('X-Internal-API-Key' in options.headers);
+    });
+
+    it('leaves the score unadjusted when the backend cannot answer', async (t) => {
+        const neutral = { averageRating: null, ratingCount: 0, adjustment: 0 };
+
+        t.mock.method(globalThis, 'fetch', async () => jsonResponse(401, { error: 'Unauthorized' }));
+        assert.deepEqual(await getStudentRatingAdjustment(5), neutral);
+
+        t.mock.restoreAll();
+        t.mock.method(console, 'error', () => {});
+        t.mock.method(globalThis, 'fetch', async () => { throw new TypeError('fetch failed'); });
+        assert.deepEqual(await getStudentRatingAdjustment(5), neutral);
+    });
+
+    it('stops waiting for a backend that does not answer', async (t) => {
+        // Would answer after a minute; the request's timeout signal should end it long before
+        t.mock.method(globalThis, 'fetch', (url, options) => new Promise((resolve, reject) => {
+            const answer = setTimeout(resolve, 60000, jsonResponse(200, { averageRating: 5, ratingCount: 3, adjustment: 5 }));
+            options.signal.addEventListener('abort', () => {
+                clearTimeout(answer);
+                reject(options.signal.reason);
+            });
+        }));
+
+        assert.deepEqual(await getStudentRatingAdjustment(5), { averageRating: null, ratingCount: 0, adjustment: 0 });
+        assert.match(console.error.mock.calls[0].arguments[1], /timeout/i);
+    });
+
+    it('applies the adjustment to the attendance-based reputation score', async (t) => {
+        t.mock.method(pool, 'query', routeQueries([
+            [/FROM meetings/, [{ completed_calls: '9', cancelled_calls: '1', missed_calls: '0', total_scheduled: '10' }]]
+        ]));
+        t.mock.method(globalThis, 'fetch', async () => jsonResponse(200, { averageRating: 2, ratingCount: 6, adjustment: -20 }));
+
+        const performance = await checkVolunteerPerformance(5);
+
+        assert.equal(performance.cancelledRate, 10);
+        assert.equal(performance.reputationScore, 65);
+        assert.equal(performance.ratingAdjustment, -20);
+        assert.equal(performance.averageStudentRating, 2);
+        assert.equal(performance.isRestricted, false);
+    });
+});
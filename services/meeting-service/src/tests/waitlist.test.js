@@ -0,0 +1,92 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../config/database.js';
+import { publisher } from '../config/redis.js';
+import { offerFreedSlot, expireWaitlistOffers } from '../services/waitlist.js';
+import { routeQueries, dateFromToday } from './helpers.js';
+
+const STUDENT_ID = 2;
+const DAY = dateFromToday(2);
+const FREED_TIME = new Date(`${DAY}T10:00:00Z`);
+
+const entry = (id, volunteerId, overrides = {}) => ({
+    id, student_id: STUDENT_ID, volunteer_id: volunteerId, waitlist_date: DAY, status: 'waiting',
+    freed_meeting_id: null, offered_time: null, offer_expires_at: null, ...overrides
+});
+
+/**
+ * Route the eligibility checks and the waitlist table; students are in UTC
+ */
+const stubWaitlist = (t, { queue = [], expired = [], dayBooked = false, suspended = [], openOffer = false } = {}) => {
+    const offers = [];
+    t.mock.method(pool, 'query', routeQueries([
+        [/SELECT id, scheduled_time, volunteer_id, status\s+FROM meetings/, dayBooked ? [{ id: 41, volunteer_id: 7, status: 'scheduled' }] : []],
+        [/SELECT scheduling_suspended_at FROM users/, ([id]) => [{ scheduling_suspended_at: suspended.includes(id) ? new Date() : null }]],
+        [/COUNT\(\*\) FILTER/, [{ completed_calls: '0', cancelled_calls: '0', missed_calls: '0', total_scheduled: '0' }]],
+        [/as meeting_count/, [{ meeting_count: '0' }]],
+        [/WHERE student_id = \$1 AND waitlist_date = \$2 AND status = 'offered'/, openOffer ? [{ id: 99 }] : []],
+        [/w.status = 'waiting'/, () => queue.filter(e => e.status === 'waiting')],
+        [/SET status = 'offered'/, (params) => {
+            offers.push(params);
+            return [{ id: params[0] }];
+        }],
+        [/SET status = 'expired'/, expired]
+    ]));
+    return offers;
+};
+
+const publishedEvents = () => publisher.publish.mock.calls.map(c => JSON.parse(c.arguments[1]));
+
+describe('waitlist backfill', () => {
+    beforeEach((t) => {
+        t.mock.method(console, 'log', () => {});
+        t.mock.method(publisher, 'publish', async () => 1);
+    });
+
+    it('offers a canceled meeting\'s time to the first eligible volunteer in the queue', async (t) => {
+        const offers = stubWaitlist(t, { queue: [entry(1, 5), entry(2, 6)], suspended: [5] });
+
+        const offered = await offerFreedSlot({ id: 40, student_id: STUDENT_ID, scheduled_time: FREED_TIME });
+
+        assert.equal(offered.volunteer_id, 6);
+        assert.deepEqual(offers.map(params => params.slice(0, 3)), [[2, 40, FREED_TIME]]);
+        const [event] = publishedEvents();
+        assert.equal(event.type, 'waitlist.offered');
+        assert.equal(event.data.volunteerId, 6);
+        assert.equal(event.data.offerWindowMinutes, 30);
+    });
+
+    it('offers only the day when the freed time is inside the decision window', async (t) => {
+        const offers = stubWaitlist(t, { queue: [entry(1, 5)] });
+
+        const offered = await offerFreedSlot({ id: 40, student_id: STUDENT_ID, scheduled_time: new Date(Date.now() + 10 * 60000) });
+
+        assert.equal(offered.offered_time, null);
+        assert.equal(offers[0][2], null);
+    });
+
+    it('offers nothing while another offer is open or the student has been booked again', async (t) => {
+        const offers = stubWaitlist(t, { queue: [entry(1, 5)], openOffer: true });
+        assert.equal(await offerFreedSlot({ id: 40, student_id: STUDENT_ID, scheduled_time: FREED_TIME }), null);
+        assert.equal(offers.length, 0);
+
+        t.mock.restoreAll();
+        t.mock.method(console, 'log', () => {});
+        const rebooked = stubWaitlist(t, { queue: [entry(1, 5)], dayBooked: true });
+        assert.equal(await offerFreedSlot({ id: 40, student_id: STUDENT_ID, scheduled_time: FREED_TIME }), null);
+        assert.equal(rebooked.length, 0);
+    });
+
+    it('expires unanswered offers and passes each slot on', async (t) => {
+        const lapsed = entry(1, 5, { status: 'expired', freed_meeting_id: 40, offered_time: FREED_TIME });
+        const offers = stubWaitlist(t, { queue: [lapsed, entry(2, 6)], expired: [lapsed] });
+
+        assert.equal(await expireWaitlistOffers(), 1);
+
+        assert.deepEqual(publishedEvents().map(e => [e.type, e.data.volunteerId]), [
+            ['waitlist.offer_expired', 5],
+            ['waitlist.offered', 6]
+        ]);
+        assert.deepEqual(offers.map(params => params.slice(0, 3)), [[2, 40, FREED_TIME]]);
+    });
+});
@@ -0,0 +1,47 @@
+/**
+ * Audit actor helpers
+ * The meetings table is audited by a database trigger (see create_audit_trail.sql). Tagging the
+ * transaction with the acting user lets the trigger record who made the change; untagged writes
+ * (timeouts, cleanups) are recorded as system changes.
+ */
+
+import pool from '../config/database.js';
+
+/**
+ * Tag the current transaction on client with the request's user and IP
+ * @param {Object} client - Client with an open transaction
+ * @param {Object} req - Express request (req.user set by authMiddleware)
+ */
+export const setAuditActor = async (client, req) => {
+    await client.query(`
+        SELECT set_config('talktime.actor_id', $1, true),
+               set_config('talktime.actor_role', $2, true),
+               set_config('talktime.actor_ip', $3, true)
+    `, [
+        req.user?.id != null ? String(req.user.id) : '',
+        req.user?.role || '',
+        req.ip || req.connection?.remoteAddress || ''
+    ]);
+};
+
+/**
+ * Run fn(client) in a transaction tagged with the request's user
+ * @param {Object} req
+ * @param {Function} fn - Receives the transaction client
+ * @returns {Promise<*>} Whatever fn returns
+ */
+export const withAuditActor = async (req, fn) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await setAuditActor(client, req);
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
@@ -0,0 +1,34 @@
+/**
+ * Student lookup helpers
+ * Students may be referenced by users.id or by the legacy students table id
+ */
+
+import pool from '../config/database.js';
+
+/**
+ * Resolve a student by users.id, falling back to the legacy students table id
+ * @param {number} studentId
+ * @returns {Promise<{id: number, full_name: string}|null>}
+ */
+export const resolveStudent = async (studentId) => {
+    const userResult = await pool.query(
+        'SELECT id, full_name FROM users WHERE id = $1 AND role = $2',
+        [studentId, 'student']
+    );
+    if (userResult.rows.length > 0) {
+        return userResult.rows[0];
+    }
+
+    const studentsResult = await pool.query(
+        'SELECT id, user_id, full_name FROM students WHERE id = $1',
+        [studentId]
+    );
+    if (studentsResult.rows.length > 0 && studentsResult.rows[0].user_id) {
+        return { id: studentsResult.rows[0].user_id, full_name: studentsResult.rows[0].full_name };
+    }
+    return null;
+};
+
+export default {
+    resolveStudent
+};
@@ -121,10 +121,103 @@ export const formatInTimezone = (date, timezone) => {
     });
 };
 
+/**
+ * Get timezone offset in minutes for a specific timezone at a specific time
+ * Handles DST correctly by checking at the specific moment
+ * @param {Date|string} date - The date to check offset for
+ * @param {string} timezone - The IANA timezone identifier
+ * @returns {number} Offset in minutes from UTC (positive = ahead of UTC)
+ */
+export const getTimezoneOffset = (date, timezone) => {
+    const tz = getSafeTimezone(timezone);
+    const inputDate = new Date(date);
+
+    const utcDate = new Date(inputDate.toLocaleString('en-US', { timeZone: 'UTC' }));
+    const tzDate = new Date(inputDate.toLocaleString('en-US', { timeZone: tz }));
+
+    return Math.round((tzDate - utcDate) / (1000 * 60));
+};
+
+/**
+ * Convert a wall-clock date and time in a timezone to a UTC Date
+ * Used to expand recurring meetings ("every Tuesday 16:00 EAT") into exact instants
+ *
+ * @param {string} dateString - Local date in YYYY-MM-DD format
+ * @param {string} timeString - Local time in HH:MM format
+ * @param {string} timezone - The IANA timezone identifier
+ * @returns {Date} The matching instant in UTC
+ */
+export const zonedTimeToUTC = (dateString, timeString, timezone) => {
+    const tz = getSafeTimezone(timezone);
+    const naiveUTC = new Date(`${dateString}T${timeString}:00Z`);
+
+    // Apply the offset in effect at that moment, then re-check once for DST transitions
+    let result = new Date(naiveUTC.getTime() - getTimezoneOffset(naiveUTC, tz) * 60 * 1000);
+    const correctedOffset = getTimezoneOffset(result, tz);
+    result = new Date(naiveUTC.getTime() - correctedOffset * 60 * 1000);
+
+    return result;
+};
+
+/**
+ * Add days to a YYYY-MM-DD date string (calendar arithmetic, timezone independent)
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} days - Number of days to add (may be negative)
+ * @returns {string} Resulting date in YYYY-MM-DD format
+ */
+export const addDaysToDateString = (dateString, days) => {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+};
+
+/**
+ * Get the wall-clock date, time and weekday of an instant in a timezone
+ * @param {Date|string} date - The instant to convert
+ * @param {string} timezone - The IANA timezone identifier
+ * @returns {{date: string, time: string, dayOfWeek: number}} YYYY-MM-DD, HH:MM and 0 (Sunday) to 6 (Saturday)
+ */
+export const getLocalTimeParts = (date, timezone) => {
+    const tz = getSafeTimezone(timezone);
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-CA', {
+            timeZone: tz,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(new Date(date)).map(({ type, value }) => [type, value])
+    );
+
+    const localDate = `${parts.year}-${parts.month}-${parts.day}`;
+    return {
+        date: localDate,
+        time: `${parts.hour}:${parts.minute}`,
+        dayOfWeek: new Date(`${localDate}T00:00:00Z`).getUTCDay()
+    };
+};
+
+/**
+ * Convert a HH:MM (or HH:MM:SS) wall-clock time to minutes after midnight
+ * @param {string} time - Time string, e.g. a TIME column value
+ * @returns {number} Minutes after midnight
+ */
+export const timeToMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
 export default {
     getUserTimezone,
     isValidTimezone,
     getSafeTimezone,
     getDayBoundariesInTimezone,
-    formatInTimezone
+    formatInTimezone,
+    getTimezoneOffset,
+    zonedTimeToUTC,
+    addDaysToDateString,
+    getLocalTimeParts,
+    timeToMinutes
 };
@@ -4,7 +4,6 @@ import dotenv from 'dotenv';
 import { testConnection } from './config/database.js';
 import { initializeRedis } from './config/redis.js';
 import notificationRoutes from './routes/notificationRoutes.js';
-import { startScheduler, stopScheduler } from './services/scheduler.js';
 import { startMeetingSubscriber } from './subscribers/meetingSubscriber.js';
 
 dotenv.config();
@@ -90,9 +89,6 @@ const server = app.listen(PORT, async () => {
     // Start meeting event subscriber
     await startMeetingSubscriber();
 
-    // Start scheduler
-    startScheduler();
-
     console.log(`[Notification Service] Ready to accept connections`);
     console.log(`[Notification Service] Health: http://localhost:${PORT}/health`);
     console.log(`[Notification Service] API: http://localhost:${PORT}/api/v1/notifications`);
@@ -101,7 +97,6 @@ const server = app.listen(PORT, async () => {
 // Graceful shutdown
 const shutdown = (signal) => {
     console.log(`[Notification Service] ${signal} received, shutting down gracefully...`);
-    stopScheduler();
     server.close(() => {
         console.log('[Notification Service] HTTP server closed');
         process.exit(0);
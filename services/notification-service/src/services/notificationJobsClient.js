@@ -0,0 +1,45 @@
+/**
+ * Notification Jobs Client
+ * The monolith owns the Redis job queue that delivers scheduled notifications; this service
+ * writes the reminder rows and asks it over the internal API to queue or drop them.
+ */
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const BACKEND_URL = process.env.BACKEND_URL || 'http://backend:3001';
+const INTERNAL_API_KEY = process.env.INTERNAL_API_KEY || '';
+
+const callBackend = async (method, path) => {
+    const response = await fetch(`${BACKEND_URL}/internal${path}`, {
+        method,
+        headers: { 'X-Internal-API-Key': INTERNAL_API_KEY }
+    });
+
+    if (!response.ok) {
+        throw new Error(`Backend returned ${response.status}`);
+    }
+    return response.json();
+};
+
+/**
+ * Queue every pending scheduled notification that has no job yet
+ * @returns {Promise<number>} Jobs created
+ */
+export const queueScheduledNotifications = async () => {
+    const { queued } = await callBackend('POST', '/notifications/queue-scheduled');
+    return queued;
+};
+
+/**
+ * Drop a meeting's unsent scheduled notifications and their queued jobs
+ * @param {number|string} meetingId
+ */
+export const cancelQueuedMeetingNotifications = async (meetingId) => {
+    await callBackend('DELETE', `/meetings/${meetingId}/notifications`);
+};
+
+export default {
+    queueScheduledNotifications,
+    cancelQueuedMeetingNotifications
+};
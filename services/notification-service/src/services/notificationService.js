@@ -1,5 +1,6 @@
 import pool from '../config/database.js';
 import { publisher } from '../config/redis.js';
+import { queueScheduledNotifications, cancelQueuedMeetingNotifications } from './notificationJobsClient.js';
 
 /**
  * Send notification to a user
@@ -111,6 +112,14 @@ export const scheduleMeetingNotifications = async (meeting) => {
         }
     }
 
+    // The backend delivers the rows through its job queue; its reconcile sweep queues them
+    // within 10 minutes if it can't be reached right now
+    try {
+        await queueScheduledNotifications();
+    } catch (error) {
+        console.error(`[Notification Service] Error queueing reminders for meeting ${id}:`, error.message);
+    }
+
     console.log(`[Notification Service] Scheduled reminders for meeting ${id}`);
 };
 
@@ -126,121 +135,15 @@ export const cancelMeetingNotifications = async (meetingId) => {
         `, [meetingId.toString()]);
 
         console.log(`[Notification Service] Canceled ${result.rowCount} notifications for meeting ${meetingId}`);
-    } catch (error) {
-        console.error('[Notification Service] Error canceling notifications:', error);
-    }
-};
 
-/**
- * Process scheduled notifications that are due
- */
-export const processScheduledNotifications = async () => {
-    try {
-        const result = await pool.query(`
-            SELECT * FROM notifications
-            WHERE scheduled_for <= NOW()
-            AND is_sent = false
-            AND scheduled_for IS NOT NULL
-            ORDER BY scheduled_for ASC
-            LIMIT 100
-        `);
-
-        for (const notification of result.rows) {
-            await sendScheduledNotification(notification);
-        }
-
-        if (result.rows.length > 0) {
-            console.log(`[Notification Service] Processed ${result.rows.length} scheduled notifications`);
-        }
+        await cancelQueuedMeetingNotifications(meetingId);
     } catch (error) {
-        console.error('[Notification Service] Error processing scheduled notifications:', error);
-    }
-};
-
-/**
- * Send a scheduled notification and trigger auto-launch if applicable
- */
-const sendScheduledNotification = async (notification) => {
-    try {
-        // Mark as sent
-        await pool.query(`
-            UPDATE notifications
-            SET is_sent = true, sent_at = NOW()
-            WHERE id = $1
-        `, [notification.id]);
-
-        // Emit real-time notification
-        await publisher.publish('talktime:notifications:realtime', JSON.stringify({
-            type: 'new-notification',
-            recipient_id: notification.recipient_id,
-            recipient_role: notification.recipient_role,
-            notification
-        }));
-
-        // If this is a 5-minute reminder, trigger auto-launch
-        if (notification.type === 'meeting_reminder_5min') {
-            await triggerMeetingAutoLaunch(notification);
-        }
-    } catch (error) {
-        console.error('[Notification Service] Error sending scheduled notification:', error);
-    }
-};
-
-/**
- * Trigger meeting auto-launch for 5-minute reminders
- */
-const triggerMeetingAutoLaunch = async (notification) => {
-    try {
-        const metadata = notification.metadata || {};
-        const meetingId = metadata.meeting_id;
-
-        if (!meetingId) return;
-
-        // Get meeting details
-        const meetingResult = await pool.query(`
-            SELECT m.*, v.full_name as volunteer_name, s.full_name as student_name
-            FROM meetings m
-            JOIN users v ON m.volunteer_id = v.id
-            JOIN users s ON m.student_id = s.id
-            WHERE m.id = $1
-        `, [meetingId]);
-
-        if (meetingResult.rows.length === 0) return;
-
-        const meeting = meetingResult.rows[0];
-
-        // Publish auto-launch event
-        await publisher.publish('talktime:notifications:realtime', JSON.stringify({
-            type: 'meeting-auto-launch',
-            data: {
-                meetingId: meeting.id,
-                roomId: meeting.room_id,
-                meetingUrl: `/call/call.html?roomId=${meeting.room_id}`,
-                duration: meeting.duration || 40,
-                volunteer: {
-                    id: meeting.volunteer_id,
-                    name: meeting.volunteer_name
-                },
-                student: {
-                    id: meeting.student_id,
-                    name: meeting.student_name
-                }
-            },
-            recipients: [
-                { id: meeting.volunteer_id, role: 'volunteer' },
-                { id: meeting.student_id, role: 'student' }
-            ]
-        }));
-
-        console.log(`[Notification Service] Triggered auto-launch for meeting ${meetingId}`);
-    } catch (error) {
-        console.error('[Notification Service] Error triggering auto-launch:', error);
+        console.error('[Notification Service] Error canceling notifications:', error);
     }
 };
 
 export default {
     sendNotification,
     scheduleMeetingNotifications,
-    cancelMeetingNotifications,
-    processScheduledNotifications
+    cancelMeetingNotifications
 };
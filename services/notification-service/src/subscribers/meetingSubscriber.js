@@ -33,6 +33,14 @@ const handleMeetingEvent = async (message) => {
                 await handleMeetingMissed(event.data);
                 break;
 
+            case 'waitlist.offered':
+                await handleWaitlistOffered(event.data);
+                break;
+
+            case 'waitlist.offer_expired':
+                await handleWaitlistOfferExpired(event.data);
+                break;
+
             default:
                 console.log(`[Notification Service] Unknown event type: ${event.type}`);
         }
@@ -494,6 +502,81 @@ const handleMeetingMissed = async (data) => {
     console.log(`[Notification Service] Missed meeting notifications sent to student ${student.id} and volunteer ${volunteer.id}`);
 };
 
+/**
+ * Handle waitlist.offered event - A canceled or missed slot went to this volunteer
+ */
+const handleWaitlistOffered = async (data) => {
+    console.log('[Notification Service] Handling waitlist offer:', data.waitlistId);
+
+    const { volunteer, student } = await getParticipantDetails(data.volunteerId, data.studentId);
+
+    if (!volunteer || !student) {
+        console.error('[Notification Service] Could not find participants for waitlist offer notification');
+        return;
+    }
+
+    const expiresAt = formatTime(data.offerExpiresAt, volunteer.timezone);
+    const message = data.offeredTime
+        ? `A call with ${student.full_name} on ${formatTime(data.offeredTime, volunteer.timezone)} is free again. Accept by ${expiresAt} to book it; after that it goes to the next volunteer on the waitlist.`
+        : `A call with ${student.full_name} is free on ${data.waitlistDate}. Pick a time and accept by ${expiresAt} to book it; after that it goes to the next volunteer on the waitlist.`;
+
+    await sendNotification({
+        recipient_id: volunteer.id,
+        recipient_role: 'volunteer',
+        title: '📅 A Call Slot Opened Up',
+        message,
+        type: 'waitlist_offer',
+        priority: 'high',
+        metadata: {
+            waitlist_id: data.waitlistId,
+            student_id: student.id,
+            waitlist_date: data.waitlistDate,
+            offered_time: data.offeredTime,
+            offer_expires_at: data.offerExpiresAt
+        }
+    }, ['in-app', 'push'], {
+        persistent: true,
+        auto_delete_after: data.offerWindowMinutes,
+        require_interaction: true,
+        action_url: '/volunteer/dashboard/upcoming.html',
+        tag: `waitlist-offer-${data.waitlistId}`
+    });
+
+    console.log(`[Notification Service] Waitlist offer notification sent to volunteer ${volunteer.id}`);
+};
+
+/**
+ * Handle waitlist.offer_expired event
+ */
+const handleWaitlistOfferExpired = async (data) => {
+    console.log('[Notification Service] Handling expired waitlist offer:', data.waitlistId);
+
+    const { volunteer, student } = await getParticipantDetails(data.volunteerId, data.studentId);
+
+    if (!volunteer || !student) {
+        console.error('[Notification Service] Could not find participants for expired waitlist offer notification');
+        return;
+    }
+
+    await sendNotification({
+        recipient_id: volunteer.id,
+        recipient_role: 'volunteer',
+        title: 'Waitlist Offer Expired',
+        message: `The open slot with ${student.full_name} was passed to the next volunteer because it wasn't accepted in time. You're still on the waitlist for other days you joined.`,
+        type: 'waitlist_offer_expired',
+        priority: 'low',
+        metadata: {
+            waitlist_id: data.waitlistId,
+            student_id: student.id,
+            waitlist_date: data.waitlistDate
+        }
+    }, ['in-app'], {
+        persistent: false,
+        auto_delete_after: 1440, // 24 hours
+        tag: `waitlist-offer-${data.waitlistId}`
+    });
+};
+
 /**
  * Start subscribing to meeting events
  */